@@ -487,9 +487,20 @@ class AdvancedConfigManager {
     }
     
     /**
-     * Restore a configuration to a specific version
+     * Tag a version of a configuration
      * @param {string} configId - Configuration ID
      * @param {number} version - Version number
+     * @param {string} tag - Tag
+     * @returns {boolean} Success status
+     */
+    tagVersion(configId, version, tag) {
+        return this.configVersionManager.tagVersion(configId, version, tag);
+    }
+    
+    /**
+     * Restore a configuration to a specific version
+     * @param {string} configId - Configuration ID
+     * @param {number|string} version - Version number or tag
      * @returns {Object|null} Restored configuration or null if failed
      */
     restoreVersion(configId, version) {
@@ -537,6 +548,17 @@ class AdvancedConfigManager {
         return this.configVersionManager.compareVersions(configId, version1, version2);
     }
     
+    /**
+     * Merge an incoming configuration into the latest version of a configuration
+     * @param {string} configId - Configuration ID
+     * @param {number} baseVersion - Version the incoming configuration was derived from
+     * @param {Object} incomingConfig - Incoming configuration
+     * @returns {Object|null} Merge result or null if failed
+     */
+    mergeWithLatest(configId, baseVersion, incomingConfig) {
+        return this.configVersionManager.mergeWithLatest(configId, baseVersion, incomingConfig);
+    }
+    
     /**
      * Auto-fix a configuration
      * @param {string} configId - Configuration ID
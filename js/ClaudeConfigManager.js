@@ -4,8 +4,12 @@
  * Optimized for Windows environments
  */
 
-import installerUtils from './InstallerUtils.js';
 import installerUICore from './InstallerUICore.js';
+import configSecretResolver from './ConfigSecretResolver.js';
+import mcpClientRegistry from './McpClientRegistry.js';
+
+// Where each env value referenced a secret before it was resolved into the file, by config path
+const SECRET_REFERENCES_KEY = 'mcp_claude_config_secret_refs';
 
 class ClaudeConfigManager {
     /**
@@ -13,7 +17,7 @@ class ClaudeConfigManager {
      * @returns {string} The path to the configuration file
      */
     getClaudeConfigPath() {
-        return installerUtils.getClaudeConfigPath();
+        return mcpClientRegistry.resolveConfigPath({ clientId: 'claude-desktop' });
     }
 
     /**
@@ -21,8 +25,9 @@ class ClaudeConfigManager {
      * @param {string} repoUrl - The repository URL
      * @param {string} installPath - The installation path
      * @param {string} methodId - The installation method (npx, uv, python)
+     * @returns {Promise<void>}
      */
-    updateClaudeConfig(repoUrl, installPath, methodId) {
+    async updateClaudeConfig(repoUrl, installPath, methodId) {
         installerUICore.logMessage('Updating Claude Desktop configuration...', 'info');
         
         try {
@@ -36,7 +41,7 @@ class ClaudeConfigManager {
             this.updateConfigWithServers(config, installPath, methodId);
             
             // Save updated configuration
-            this.saveConfigFile(configPath, config);
+            await this.saveConfigFile(configPath, config);
             
             // Log server information
             this.logServerInformation(config);
@@ -47,8 +52,115 @@ class ClaudeConfigManager {
         }
     }
 
+    /**
+     * Register an installed server with the selected MCP clients
+     * @param {Object} serverData - Server data
+     * @param {string} serverData.name - Server name (defaults to the repository name)
+     * @param {string} serverData.repoUrl - Repository URL
+     * @param {string} serverData.installPath - Installation path
+     * @param {string} serverData.installMethod - Installation method (npx, uv, python)
+     * @param {string} serverData.command - Command (derived from the install method if omitted)
+     * @param {Array<string>} serverData.args - Command arguments
+     * @param {Object} serverData.env - Environment variables; values may be ${secret:name} references
+     * @param {Array<Object>} serverData.targets - Client targets ({ clientId, projectDir }), defaults to the selected ones
+     * @returns {Promise<Object>} Result ({ success, message, results })
+     */
+    async updateServerConfig(serverData) {
+        try {
+            const serverName = serverData.name || this.getServerNameFromRepo(serverData.repoUrl);
+            const serverConfig = serverData.command
+                ? { command: serverData.command, args: serverData.args || [], env: serverData.env || {} }
+                : this.createServerConfigForMethod(serverName, serverData);
+            
+            const results = await mcpClientRegistry.installServer(serverName, serverConfig, serverData.targets);
+            const failed = results.filter(result => !result.success);
+            
+            results.forEach(result => {
+                const clientName = mcpClientRegistry.getClients().find(client => client.id === result.clientId).name;
+                if (result.success) {
+                    installerUICore.logMessage(`Registered ${serverName} with ${clientName} (${result.path})`, 'success');
+                } else {
+                    installerUICore.logMessage(`Could not register ${serverName} with ${clientName}: ${result.error}`, 'error');
+                }
+            });
+            
+            return {
+                success: failed.length === 0,
+                message: failed.map(result => `${result.clientId}: ${result.error}`).join('; '),
+                results
+            };
+        } catch (error) {
+            installerUICore.logMessage(`Error registering server: ${error.message}`, 'error');
+            return { success: false, message: error.message, results: [] };
+        }
+    }
+
+    /**
+     * Derive a server name from a repository URL
+     * @param {string} repoUrl - Repository URL
+     * @returns {string} Server name
+     * @private
+     */
+    getServerNameFromRepo(repoUrl) {
+        const repoName = (repoUrl || '').replace(/\/+$/, '').split(/[/:]/).pop().replace(/\.git$/, '');
+        
+        if (!repoName) {
+            throw new Error('A server name or repository URL is required');
+        }
+        
+        return repoName.replace(/^mcp-server-|-mcp-server$|^server-/, '') || repoName;
+    }
+
+    /**
+     * Build the launch command of a server from its installation method
+     * @param {string} serverName - Server name
+     * @param {Object} serverData - Server data ({ installPath, installMethod, packageName, env })
+     * @returns {Object} Server config ({ command, args, env })
+     * @private
+     */
+    createServerConfigForMethod(serverName, serverData) {
+        const env = serverData.env || (serverData.config && serverData.config.environment) || {};
+        const source = serverData.packageName || serverData.installPath;
+        
+        switch (serverData.installMethod) {
+            case 'npx':
+                return { command: 'npx', args: ['-y', source], env };
+            case 'uv':
+            case 'uvx':
+                return { command: 'uvx', args: ['--from', source, serverName], env };
+            case 'python':
+                return { command: 'python', args: ['-m', serverName.replace(/-/g, '_')], env };
+            default:
+                throw new Error(`Cannot build a launch command for install method "${serverData.installMethod}"`);
+        }
+    }
+
+    /**
+     * Report servers whose configuration differs between MCP clients
+     * @returns {Array<Object>} Drift report from McpClientRegistry.detectDrift
+     */
+    reportClientDrift() {
+        const report = mcpClientRegistry.detectDrift();
+        
+        if (report.length === 0) {
+            installerUICore.logMessage('MCP server configurations are in sync across clients', 'success');
+            return report;
+        }
+        
+        report.forEach(({ serverName, targets }) => {
+            targets.filter(target => target.status !== 'in-sync').forEach(target => {
+                const location = target.projectDir ? `${target.clientId} (${target.projectDir})` : target.clientId;
+                const detail = target.status === 'missing' ? 'missing' : `differs in ${target.differences.join(', ')}`;
+                installerUICore.logMessage(`- ${serverName} in ${location}: ${detail}`, 'warning');
+            });
+        });
+        
+        return report;
+    }
+
     /**
      * Read the current Claude Desktop configuration
+     * Env values that were written from vault secrets come back as ${secret:name} references.
      * @param {string} configPath - Path to configuration file
      * @returns {Object} The configuration object
      */
@@ -59,7 +171,7 @@ class ClaudeConfigManager {
             // Check if file exists
             if (window.fs.existsSync(path)) {
                 const configData = window.fs.readFileSync(path, 'utf8');
-                return JSON.parse(configData);
+                return configSecretResolver.applyReferenceMap(JSON.parse(configData), this.loadSecretReferences(path));
             } else {
                 installerUICore.logMessage('Configuration file not found, creating default configuration', 'warning');
                 return this.getDefaultConfig();
@@ -109,8 +221,9 @@ class ClaudeConfigManager {
      * Save configuration file
      * @param {string} configPath - Path to configuration file
      * @param {Object} config - Configuration object
+     * @returns {Promise<void>}
      */
-    saveConfigFile(configPath, config) {
+    async saveConfigFile(configPath, config) {
         try {
             // Create directory if it doesn't exist
             const configDir = window.path.dirname(configPath);
@@ -119,7 +232,7 @@ class ClaudeConfigManager {
             }
             
             // Write configuration to file
-            this.writeClaudeConfig(configPath, config);
+            await this.writeClaudeConfig(configPath, config);
             
             installerUICore.logMessage(`Configuration saved to ${configPath}`, 'success');
         } catch (error) {
@@ -142,7 +255,8 @@ class ClaudeConfigManager {
         installerUICore.logMessage(`${serverCount} MCP servers configured:`, 'info');
         
         for (const [serverName, serverConfig] of Object.entries(config.mcpServers)) {
-            installerUICore.logMessage(`- ${serverName}: ${serverConfig.command.join(' ')}`, 'info');
+            const { command, args } = mcpClientRegistry.normalizeServer(serverConfig);
+            installerUICore.logMessage(`- ${serverName}: ${[command, ...args].join(' ')}`, 'info');
         }
     }
 
@@ -176,8 +290,9 @@ class ClaudeConfigManager {
 
     /**
      * Fix the JSON configuration file
+     * @returns {Promise<void>}
      */
-    fixJsonConfiguration() {
+    async fixJsonConfiguration() {
         installerUICore.logMessage('Attempting to fix Claude Desktop configuration...', 'info');
         
         try {
@@ -186,12 +301,12 @@ class ClaudeConfigManager {
             // Check if file exists
             if (!window.fs.existsSync(configPath)) {
                 installerUICore.logMessage('Configuration file not found, creating default configuration', 'warning');
-                this.saveConfigFile(configPath, this.getDefaultConfig());
+                await this.saveConfigFile(configPath, this.getDefaultConfig());
                 return;
             }
             
             // Try to fix JSON
-            const success = this.fixJsonConfig(configPath);
+            const success = await this.fixJsonConfig(configPath);
             
             if (success) {
                 installerUICore.logMessage('Configuration file fixed successfully', 'success');
@@ -205,8 +320,9 @@ class ClaudeConfigManager {
 
     /**
      * Verify JSON configuration
+     * @returns {Promise<void>}
      */
-    verifyJsonConfiguration() {
+    async verifyJsonConfiguration() {
         installerUICore.logMessage('Verifying Claude Desktop configuration...', 'info');
         
         try {
@@ -215,7 +331,7 @@ class ClaudeConfigManager {
             // Check if file exists
             if (!window.fs.existsSync(configPath)) {
                 installerUICore.logMessage('Configuration file not found, creating default configuration', 'warning');
-                this.saveConfigFile(configPath, this.getDefaultConfig());
+                await this.saveConfigFile(configPath, this.getDefaultConfig());
                 return;
             }
             
@@ -223,7 +339,7 @@ class ClaudeConfigManager {
             const config = this.readCurrentConfig(configPath);
             
             // Verify and fix server configuration
-            const isValid = this.verifyAndFixServerConfig(config, configPath);
+            const isValid = await this.verifyAndFixServerConfig(config, configPath);
             
             if (isValid) {
                 installerUICore.logMessage('Configuration verification completed', 'success');
@@ -239,15 +355,15 @@ class ClaudeConfigManager {
      * Verify and fix server configuration
      * @param {Object} config - Configuration object
      * @param {string} configPath - Path to configuration file
-     * @returns {boolean} Whether the configuration is valid
+     * @returns {Promise<boolean>} Whether the configuration is valid
      */
-    verifyAndFixServerConfig(config, configPath) {
+    async verifyAndFixServerConfig(config, configPath) {
         // Check for missing required servers
         const requiredServers = ['github', 'redis', 'time'];
         const missingServers = this.findMissingServers(config, requiredServers);
         
         if (missingServers.length > 0) {
-            this.handleMissingServers(config, configPath, missingServers);
+            await this.handleMissingServers(config, configPath, missingServers);
             return true;
         } 
         
@@ -284,8 +400,9 @@ class ClaudeConfigManager {
      * @param {Object} config - Configuration object
      * @param {string} configPath - Path to configuration file
      * @param {Array<string>} missingServers - List of missing server names
+     * @returns {Promise<void>}
      */
-    handleMissingServers(config, configPath, missingServers) {
+    async handleMissingServers(config, configPath, missingServers) {
         installerUICore.logMessage('Configuration verification failed: Missing servers', 'warning');
         installerUICore.logMessage('Attempting to fix configuration...', 'info');
         
@@ -298,7 +415,7 @@ class ClaudeConfigManager {
         this.addMissingServers(config, missingServers);
         
         // Save the updated configuration
-        this.saveConfigFile(configPath, config);
+        await this.saveConfigFile(configPath, config);
     }
 
     /**
@@ -403,32 +520,125 @@ class ClaudeConfigManager {
 
     /**
      * Write the Claude Desktop configuration file
+     * Secret references are resolved from the vault here; Claude Desktop passes env
+     * values to servers verbatim, so the file is the one place that holds the values
+     * and it is made readable by the current user only.
      * @param {string} configPath - Path to configuration file
      * @param {object} config - The configuration object to write
+     * @returns {Promise<void>}
      */
-    writeClaudeConfig(configPath, config) {
+    async writeClaudeConfig(configPath, config) {
         try {
-            const configJson = JSON.stringify(config, null, 2);
-            window.fs.writeFileSync(configPath, configJson, 'utf8');
+            const resolvedConfig = await configSecretResolver.resolveConfig(config);
+            const configJson = JSON.stringify(resolvedConfig, null, 2);
+            window.fs.writeFileSync(configPath, configJson, { encoding: 'utf8', mode: 0o600 });
+            
+            // mode only applies to new files (and is ignored on Windows)
+            if (window.fs.chmodSync) {
+                window.fs.chmodSync(configPath, 0o600);
+            }
+            
+            this.saveSecretReferences(configPath, configSecretResolver.getReferenceMap(config, resolvedConfig));
         } catch (error) {
             installerUICore.logMessage(`Error writing configuration: ${error.message}`, 'error');
             throw error;
         }
     }
 
+    /**
+     * Load the secret references recorded at the last write of a config file
+     * @param {string} configPath - Path to configuration file
+     * @returns {Object} References by server and env name
+     * @private
+     */
+    loadSecretReferences(configPath) {
+        return this.loadAllSecretReferences()[configPath] || {};
+    }
+
+    /**
+     * Load the secret references of every written config file
+     * @returns {Object} Reference maps by config path
+     * @private
+     */
+    loadAllSecretReferences() {
+        try {
+            return JSON.parse(localStorage.getItem(SECRET_REFERENCES_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Record the secret references of a written config file
+     * @param {string} configPath - Path to configuration file
+     * @param {Object} referenceMap - References by server and env name
+     * @private
+     */
+    saveSecretReferences(configPath, referenceMap) {
+        const references = this.loadAllSecretReferences();
+        references[configPath] = referenceMap;
+        localStorage.setItem(SECRET_REFERENCES_KEY, JSON.stringify(references));
+    }
+
+    /**
+     * Scan the configuration for env values that look like plaintext secrets
+     * @param {string} configPath - Path to configuration file
+     * @returns {Array<Object>} Findings ({ serverName, envName, secretName, reason })
+     */
+    scanForPlaintextSecrets(configPath = null) {
+        return configSecretResolver.findPlaintextSecrets(this.readCurrentConfig(configPath));
+    }
+
+    /**
+     * Move plaintext secrets from the configuration into the credential vault
+     * The env values become ${secret:name} references that are resolved when the file is written.
+     * @param {string} configPath - Path to configuration file
+     * @returns {Promise<Array<Object>>} The secrets that were moved
+     */
+    async moveSecretsToVault(configPath = null) {
+        installerUICore.logMessage('Scanning Claude Desktop configuration for plaintext secrets...', 'info');
+        
+        try {
+            const path = configPath || this.getClaudeConfigPath();
+            const config = this.readCurrentConfig(path);
+            const findings = configSecretResolver.findPlaintextSecrets(config);
+            
+            if (findings.length === 0) {
+                installerUICore.logMessage('No plaintext secrets found', 'success');
+                return [];
+            }
+            
+            const moved = await configSecretResolver.moveSecretsToVault(config, findings);
+            await this.saveConfigFile(path, config);
+            
+            moved.forEach(finding => {
+                installerUICore.logMessage(`- ${finding.serverName}: ${finding.envName} moved to secret "${finding.secretName}" (${finding.reason})`, 'info');
+            });
+            installerUICore.logMessage(`${moved.length} secrets moved to the credential vault`, 'success');
+            
+            return moved;
+        } catch (error) {
+            installerUICore.logMessage(`Error moving secrets to the vault: ${error.message}`, 'error');
+            return [];
+        }
+    }
+
     /**
      * Fix a corrupted JSON configuration file
      * @param {string} configPath - The path to the configuration file
-     * @returns {boolean} Whether the fix was successful
+     * @returns {Promise<boolean>} Whether the fix was successful
      */
-    fixJsonConfig(configPath) {
+    async fixJsonConfig(configPath) {
         try {
             // Read the file content
             const content = window.fs.readFileSync(configPath, 'utf8');
             
             try {
                 // Try to parse the JSON
-                const config = JSON.parse(content);
+                const config = configSecretResolver.applyReferenceMap(
+                    JSON.parse(content),
+                    this.loadSecretReferences(configPath)
+                );
                 
                 // If parsing succeeds, verify the structure
                 if (!config.mcpServers) {
@@ -436,13 +646,13 @@ class ClaudeConfigManager {
                 }
                 
                 // Write the fixed configuration
-                this.writeClaudeConfig(configPath, config);
+                await this.writeClaudeConfig(configPath, config);
                 
                 return true;
             } catch (jsonError) {
                 // JSON parsing failed, create a backup and write default config
                 this.backupJsonConfiguration();
-                this.writeClaudeConfig(configPath, this.getDefaultConfig());
+                await this.writeClaudeConfig(configPath, this.getDefaultConfig());
                 
                 return true;
             }
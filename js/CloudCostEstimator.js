@@ -0,0 +1,429 @@
+/**
+ * CloudCostEstimator.js - Estimates what cloud deployments of MCP servers cost
+ * Prices come from a bundled pricing catalog that users can edit to match their
+ * contracts; edits are stored in localStorage
+ */
+
+import logger from './logger.js';
+import performanceOptimizer from './PerformanceOptimizer.js';
+
+const CATALOG_STORAGE_KEY = 'mcp_cloud_pricing_catalog';
+
+// Billing hours in an average month
+const HOURS_PER_MONTH = 730;
+
+// Utilization history needed before downsizing is suggested
+const MIN_SAMPLES_FOR_HINTS = 10;
+
+// Headroom kept above peak usage when suggesting a smaller size
+const SIZING_HEADROOM = 1.25;
+
+/**
+ * Bundled list prices (on-demand, Linux, USD). Users should adjust them to their
+ * own discounts; the catalog is only as accurate as the numbers in it.
+ * Docker host sizes are the share of a self-hosted server a container is allowed to use.
+ */
+const DEFAULT_PRICING_CATALOG = {
+    version: 1,
+    currency: 'USD',
+    updatedAt: '2025-01-01',
+    providers: {
+        'docker-host': {
+            name: 'SSH/Docker Remote Host',
+            instanceTypes: {
+                small: { vcpu: 0.5, memoryGb: 0.5, hourly: 0.003 },
+                medium: { vcpu: 1, memoryGb: 1, hourly: 0.006 },
+                large: { vcpu: 2, memoryGb: 2, hourly: 0.012 }
+            },
+            regions: { 'self-hosted': { multiplier: 1 } },
+            storagePerGbMonth: 0.05,
+            egressPerGb: 0.01,
+            freeEgressGb: 1000
+        },
+        aws: {
+            name: 'AWS',
+            instanceTypes: {
+                't3.micro': { vcpu: 2, memoryGb: 1, hourly: 0.0104 },
+                't3.small': { vcpu: 2, memoryGb: 2, hourly: 0.0208 },
+                't3.medium': { vcpu: 2, memoryGb: 4, hourly: 0.0416 },
+                't3.large': { vcpu: 2, memoryGb: 8, hourly: 0.0832 },
+                'm6i.large': { vcpu: 2, memoryGb: 8, hourly: 0.096 }
+            },
+            regions: {
+                'us-east-1': { multiplier: 1 },
+                'us-west-2': { multiplier: 1 },
+                'eu-west-1': { multiplier: 1.1 },
+                'ap-southeast-1': { multiplier: 1.2 }
+            },
+            storagePerGbMonth: 0.08,
+            egressPerGb: 0.09,
+            freeEgressGb: 100
+        },
+        gcp: {
+            name: 'GCP',
+            instanceTypes: {
+                'e2-micro': { vcpu: 0.25, memoryGb: 1, hourly: 0.0084 },
+                'e2-small': { vcpu: 0.5, memoryGb: 2, hourly: 0.0168 },
+                'e2-medium': { vcpu: 1, memoryGb: 4, hourly: 0.0335 },
+                'e2-standard-2': { vcpu: 2, memoryGb: 8, hourly: 0.067 }
+            },
+            regions: {
+                'us-central1': { multiplier: 1 },
+                'europe-west1': { multiplier: 1.1 },
+                'asia-east1': { multiplier: 1.15 }
+            },
+            storagePerGbMonth: 0.1,
+            egressPerGb: 0.12,
+            freeEgressGb: 1
+        },
+        azure: {
+            name: 'Azure',
+            instanceTypes: {
+                B1s: { vcpu: 1, memoryGb: 1, hourly: 0.0104 },
+                B1ms: { vcpu: 1, memoryGb: 2, hourly: 0.0207 },
+                B2s: { vcpu: 2, memoryGb: 4, hourly: 0.0416 },
+                B2ms: { vcpu: 2, memoryGb: 8, hourly: 0.0832 }
+            },
+            regions: {
+                eastus: { multiplier: 1 },
+                westeurope: { multiplier: 1.1 }
+            },
+            storagePerGbMonth: 0.075,
+            egressPerGb: 0.087,
+            freeEgressGb: 100
+        }
+    }
+};
+
+class CloudCostEstimator {
+    constructor() {
+        this.catalog = null;
+
+        this.loadCatalog();
+    }
+
+    /**
+     * Load the pricing catalog, falling back to the bundled one
+     * @private
+     */
+    loadCatalog() {
+        try {
+            const storedCatalog = localStorage.getItem(CATALOG_STORAGE_KEY);
+            this.catalog = storedCatalog ? JSON.parse(storedCatalog) : this.getDefaultCatalog();
+        } catch (error) {
+            logger.error('Error loading pricing catalog, using bundled prices:', error);
+            this.catalog = this.getDefaultCatalog();
+        }
+    }
+
+    /**
+     * Get a copy of the bundled pricing catalog
+     * @returns {Object} Pricing catalog
+     */
+    getDefaultCatalog() {
+        return JSON.parse(JSON.stringify(DEFAULT_PRICING_CATALOG));
+    }
+
+    /**
+     * Get a copy of the active pricing catalog
+     * @returns {Object} Pricing catalog
+     */
+    getCatalog() {
+        return JSON.parse(JSON.stringify(this.catalog));
+    }
+
+    /**
+     * Replace the pricing catalog with a user-edited one
+     * @param {Object|string} catalog - Catalog or its JSON
+     * @returns {Object} Validation result ({ valid, errors })
+     */
+    updateCatalog(catalog) {
+        let parsed;
+        try {
+            parsed = typeof catalog === 'string' ? JSON.parse(catalog) : catalog;
+        } catch (error) {
+            return { valid: false, errors: [`Invalid JSON: ${error.message}`] };
+        }
+
+        const errors = this.validateCatalog(parsed);
+        if (errors.length > 0) {
+            return { valid: false, errors };
+        }
+
+        this.catalog = parsed;
+        localStorage.setItem(CATALOG_STORAGE_KEY, JSON.stringify(parsed));
+        logger.info('Pricing catalog updated');
+        return { valid: true, errors: [] };
+    }
+
+    /**
+     * Restore the bundled pricing catalog
+     */
+    resetCatalog() {
+        localStorage.removeItem(CATALOG_STORAGE_KEY);
+        this.catalog = this.getDefaultCatalog();
+        logger.info('Pricing catalog reset to bundled prices');
+    }
+
+    /**
+     * Validate the structure of a pricing catalog
+     * @param {Object} catalog - Catalog
+     * @returns {Array<string>} Errors (empty when valid)
+     * @private
+     */
+    validateCatalog(catalog) {
+        const errors = [];
+
+        if (!catalog || typeof catalog.providers !== 'object' || catalog.providers === null) {
+            return ['Catalog must have a "providers" object'];
+        }
+
+        Object.entries(catalog.providers).forEach(([providerId, pricing]) => {
+            const instanceTypes = Object.entries(pricing.instanceTypes || {});
+            if (instanceTypes.length === 0) {
+                errors.push(`${providerId}: at least one instance type is required`);
+            }
+
+            instanceTypes.forEach(([type, spec]) => {
+                ['vcpu', 'memoryGb', 'hourly'].forEach(field => {
+                    if (typeof spec[field] !== 'number' || spec[field] < 0) {
+                        errors.push(`${providerId}.${type}: "${field}" must be a non-negative number`);
+                    }
+                });
+            });
+
+            if (Object.keys(pricing.regions || {}).length === 0) {
+                errors.push(`${providerId}: at least one region is required`);
+            }
+
+            ['storagePerGbMonth', 'egressPerGb'].forEach(field => {
+                if (typeof pricing[field] !== 'number' || pricing[field] < 0) {
+                    errors.push(`${providerId}: "${field}" must be a non-negative number`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Get the pricing of a provider
+     * @param {string} providerId - Provider ID
+     * @returns {Object|null} Provider pricing or null if the catalog has none
+     */
+    getProviderPricing(providerId) {
+        return this.catalog.providers[providerId] || null;
+    }
+
+    /**
+     * Estimate the monthly cost of a deployment
+     * @param {string} providerId - Provider ID
+     * @param {Object} options - Sizing ({ instanceType, region, storageGb, egressGbPerMonth })
+     * @returns {Object} Estimate ({ currency, instanceType, region, compute, storage, egress, monthly, hourly })
+     */
+    estimateMonthlyCost(providerId, options = {}) {
+        const pricing = this.getProviderPricing(providerId);
+        if (!pricing) {
+            throw new Error(`No pricing available for provider ${providerId}`);
+        }
+
+        const instanceType = options.instanceType || Object.keys(pricing.instanceTypes)[0];
+        const spec = pricing.instanceTypes[instanceType];
+        if (!spec) {
+            throw new Error(`Unknown instance type ${instanceType} for provider ${providerId}`);
+        }
+
+        const region = options.region || Object.keys(pricing.regions)[0];
+        if (!pricing.regions[region]) {
+            throw new Error(`Unknown region ${region} for provider ${providerId}`);
+        }
+
+        const multiplier = pricing.regions[region].multiplier || 1;
+        const storageGb = Math.max(0, parseFloat(options.storageGb) || 0);
+        const egressGb = Math.max(0, parseFloat(options.egressGbPerMonth) || 0);
+
+        const compute = spec.hourly * multiplier * HOURS_PER_MONTH;
+        const storage = storageGb * pricing.storagePerGbMonth * multiplier;
+        const egress = Math.max(0, egressGb - (pricing.freeEgressGb || 0)) * pricing.egressPerGb;
+        const monthly = compute + storage + egress;
+
+        return {
+            currency: this.catalog.currency || 'USD',
+            providerId,
+            instanceType,
+            region,
+            storageGb,
+            egressGbPerMonth: egressGb,
+            compute: this.round(compute),
+            storage: this.round(storage),
+            egress: this.round(egress),
+            monthly: this.round(monthly),
+            hourly: monthly / HOURS_PER_MONTH
+        };
+    }
+
+    /**
+     * Get the cost a deployment has accrued since it was created
+     * @param {Object} deployment - Deployment record with a costEstimate
+     * @param {Date} now - Current time
+     * @returns {Object|null} Cost ({ currency, monthly, accrued, hours }) or null without an estimate
+     */
+    getAccruedCost(deployment, now = new Date()) {
+        if (!deployment.costEstimate) {
+            return null;
+        }
+
+        const hours = Math.max(0, (now.getTime() - new Date(deployment.createdAt).getTime()) / 3600000);
+
+        return {
+            currency: deployment.costEstimate.currency,
+            monthly: deployment.costEstimate.monthly,
+            accrued: this.round(deployment.costEstimate.hourly * hours),
+            hours
+        };
+    }
+
+    /**
+     * Total the cost of a set of deployments
+     * @param {Array<Object>} deployments - Deployment records
+     * @param {Date} now - Current time
+     * @returns {Object} Fleet cost ({ currency, monthly, accrued, byProvider, unpriced })
+     */
+    getFleetCost(deployments, now = new Date()) {
+        const fleet = {
+            currency: this.catalog.currency || 'USD',
+            monthly: 0,
+            accrued: 0,
+            byProvider: {},
+            unpriced: 0
+        };
+
+        deployments.forEach(deployment => {
+            const cost = this.getAccruedCost(deployment, now);
+            if (!cost) {
+                fleet.unpriced++;
+                return;
+            }
+
+            const providerTotal = fleet.byProvider[deployment.providerId] || { monthly: 0, accrued: 0, count: 0 };
+            providerTotal.monthly = this.round(providerTotal.monthly + cost.monthly);
+            providerTotal.accrued = this.round(providerTotal.accrued + cost.accrued);
+            providerTotal.count++;
+            fleet.byProvider[deployment.providerId] = providerTotal;
+
+            fleet.monthly += cost.monthly;
+            fleet.accrued += cost.accrued;
+        });
+
+        fleet.monthly = this.round(fleet.monthly);
+        fleet.accrued = this.round(fleet.accrued);
+        return fleet;
+    }
+
+    /**
+     * Suggest ways to lower the cost of a deployment
+     * Downsizing is based on the utilization history PerformanceOptimizer keeps for the server.
+     * @param {Object} deployment - Deployment record with a costEstimate
+     * @returns {Array<Object>} Hints ({ type, message, monthlySavings, suggestedInstanceType })
+     */
+    getOptimizationHints(deployment) {
+        const hints = [];
+        const estimate = deployment.costEstimate;
+
+        if (!estimate) {
+            return hints;
+        }
+
+        if (deployment.status === 'stopped' || deployment.status === 'error') {
+            hints.push({
+                type: 'terminate',
+                message: `Deployment is ${deployment.status} but still reserves resources. Terminate it to stop paying ${this.formatCost(estimate.monthly, estimate.currency)}/month.`,
+                monthlySavings: estimate.monthly
+            });
+        }
+
+        const downsizeHint = this.getDownsizeHint(deployment);
+        if (downsizeHint) {
+            hints.push(downsizeHint);
+        }
+
+        return hints;
+    }
+
+    /**
+     * Suggest the cheapest instance type that still fits peak usage
+     * @param {Object} deployment - Deployment record
+     * @returns {Object|null} Hint or null
+     * @private
+     */
+    getDownsizeHint(deployment) {
+        const estimate = deployment.costEstimate;
+        const pricing = this.getProviderPricing(deployment.providerId);
+        const current = pricing && pricing.instanceTypes[estimate.instanceType];
+
+        if (!current) {
+            return null;
+        }
+
+        const utilization = performanceOptimizer.getUtilizationSummary(deployment.serverId);
+        if (utilization.samples < MIN_SAMPLES_FOR_HINTS) {
+            return null;
+        }
+
+        const neededVcpu = current.vcpu * (utilization.cpu.max / 100) * SIZING_HEADROOM;
+        const neededMemoryGb = current.memoryGb * (utilization.memory.max / 100) * SIZING_HEADROOM;
+
+        const candidates = Object.entries(pricing.instanceTypes)
+            .filter(([, spec]) => spec.vcpu >= neededVcpu && spec.memoryGb >= neededMemoryGb && spec.hourly < current.hourly)
+            .sort(([, a], [, b]) => a.hourly - b.hourly);
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const [suggestedInstanceType] = candidates[0];
+        const suggested = this.estimateMonthlyCost(deployment.providerId, {
+            ...estimate,
+            instanceType: suggestedInstanceType
+        });
+        const monthlySavings = this.round(estimate.monthly - suggested.monthly);
+
+        return {
+            type: 'downsize',
+            message: `Peak usage over ${utilization.samples} samples was ${Math.round(utilization.cpu.max)}% CPU and ${Math.round(utilization.memory.max)}% memory. ` +
+                `Switching from ${estimate.instanceType} to ${suggestedInstanceType} would save ${this.formatCost(monthlySavings, estimate.currency)}/month.`,
+            monthlySavings,
+            suggestedInstanceType
+        };
+    }
+
+    /**
+     * Format an amount of money
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code
+     * @returns {string} Formatted amount
+     */
+    formatCost(amount, currency = 'USD') {
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+        } catch (error) {
+            return `${amount.toFixed(2)} ${currency}`;
+        }
+    }
+
+    /**
+     * Round an amount to cents
+     * @param {number} amount - Amount
+     * @returns {number} Rounded amount
+     * @private
+     */
+    round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+// Create singleton instance
+const cloudCostEstimator = new CloudCostEstimator();
+
+// Export for use in other modules
+export default cloudCostEstimator;
@@ -75,12 +75,13 @@ class CloudIntegrationManager {
      */
     saveProviderConfigs() {
         try {
-            // Exclude SDK objects before saving
+            // Exclude SDK and plugin objects before saving
             const configsToSave = {};
             for (const [providerId, providerData] of Object.entries(this.providers)) {
                 configsToSave[providerId] = { 
                     ...providerData, 
-                    sdk: undefined // Remove SDK object
+                    sdk: undefined, // Remove SDK object
+                    plugin: undefined // Plugins are registered again on startup
                 };
             }
             localStorage.setItem('mcp_cloud_providers', JSON.stringify(configsToSave));
@@ -89,6 +90,22 @@ class CloudIntegrationManager {
         }
     }
     
+    /**
+     * Register a provider plugin (see CloudManager for the plugin interface)
+     * @param {Object} plugin - Provider plugin
+     */
+    registerProvider(plugin) {
+        const existing = this.providers[plugin.id] || {};
+        
+        this.providers[plugin.id] = {
+            ...existing,
+            name: plugin.name,
+            configured: !!existing.configured,
+            plugin
+        };
+        this.saveProviderConfigs();
+    }
+    
     /**
      * Get all available cloud providers
      * @returns {Object} All cloud providers
@@ -121,20 +138,15 @@ class CloudIntegrationManager {
                 return false;
             }
             
-            // Simulate SDK configuration
-            switch (providerId) {
-                case 'aws':
-                    provider.sdk.configure(credentials);
-                    break;
-                case 'azure':
-                    provider.sdk.login(credentials);
-                    break;
-                case 'gcp':
-                    provider.sdk.authenticate(credentials);
-                    break;
-                default:
-                    logger.error(`Unsupported provider: ${providerId}`);
+            if (provider.plugin) {
+                const validation = provider.plugin.validateConfig(credentials);
+                if (!validation.valid) {
+                    logger.error(`Invalid configuration for ${providerId}: ${validation.errors.join(', ')}`);
                     return false;
+                }
+            } else {
+                // Simulate SDK configuration
+                this.configureSdk(providerId, provider, credentials);
             }
             
             // Update provider status
@@ -151,6 +163,29 @@ class CloudIntegrationManager {
         }
     }
     
+    /**
+     * Configure the SDK of a built-in provider
+     * @param {string} providerId - Provider ID
+     * @param {Object} provider - Provider object
+     * @param {Object} credentials - Provider credentials
+     * @private
+     */
+    configureSdk(providerId, provider, credentials) {
+        switch (providerId) {
+            case 'aws':
+                provider.sdk.configure(credentials);
+                break;
+            case 'azure':
+                provider.sdk.login(credentials);
+                break;
+            case 'gcp':
+                provider.sdk.authenticate(credentials);
+                break;
+            default:
+                throw new Error(`Unsupported provider: ${providerId}`);
+        }
+    }
+    
     /**
      * Set the active cloud provider
      * @param {string} providerId - Provider ID
@@ -1,100 +1,319 @@
 /**
  * @file Manages interactions with cloud providers for deploying and managing MCP servers.
+ *
+ * Providers are plugins registered with registerProvider(). A provider is an object with:
+ * - id, name
+ * - getConfigFields() / getDeploymentOptionFields(): field descriptors for the UI
+ * - validateConfig(config): { valid, errors }
+ * - provision(deployment, serverConfig, config): { resourceId, status, ipAddress }
+ * - getStatus(deployment, config): { status, detail }
+ * - getLogs(deployment, config, options): string
+ * - terminate(deployment, config)
+ * - listResources(config): Array of resources
  */
 
+import logger from './logger.js';
+import cloudIntegrationManager from './CloudIntegrationManager.js';
+import cloudCostEstimator from './CloudCostEstimator.js';
+import SshDockerHostProvider from './cloud-providers/SshDockerHostProvider.js';
+
+const PROVIDER_CONFIG_KEY = 'mcp_cloud_provider_configs';
+const DEPLOYMENTS_KEY = 'mcp_cloud_deployments';
+
+// Methods every provider plugin must implement
+const PROVIDER_METHODS = ['validateConfig', 'provision', 'getStatus', 'getLogs', 'terminate', 'listResources'];
+
 class CloudManager {
     constructor() {
-        this.providers = {
-            // Placeholder for supported cloud providers
-            // Example: aws: { name: 'Amazon Web Services', api: null, config: {} },
-        };
+        this.providers = {};
+        this.providerConfigs = {};
         this.activeDeployments = {}; // Track active cloud deployments
-        logger.info(\"CloudManager initialized.\");
+        this.pollTimer = null;
+
+        this.loadState();
+        this.registerProvider(new SshDockerHostProvider());
+        logger.info('CloudManager initialized.');
+    }
+
+    /**
+     * Load provider configurations and deployments from localStorage
+     * @private
+     */
+    loadState() {
+        try {
+            this.providerConfigs = JSON.parse(localStorage.getItem(PROVIDER_CONFIG_KEY) || '{}');
+            this.activeDeployments = JSON.parse(localStorage.getItem(DEPLOYMENTS_KEY) || '{}');
+        } catch (error) {
+            logger.error('Error loading cloud deployment state:', error);
+        }
+    }
+
+    /**
+     * Save provider configurations and deployments to localStorage
+     * @private
+     */
+    saveState() {
+        try {
+            localStorage.setItem(PROVIDER_CONFIG_KEY, JSON.stringify(this.providerConfigs));
+            localStorage.setItem(DEPLOYMENTS_KEY, JSON.stringify(this.activeDeployments));
+        } catch (error) {
+            logger.error('Error saving cloud deployment state:', error);
+        }
+    }
+
+    /**
+     * Register a provider plugin
+     * @param {Object} provider - Provider implementing the plugin interface
+     */
+    registerProvider(provider) {
+        const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+        if (!provider.id || missing.length > 0) {
+            throw new Error(`Invalid cloud provider ${provider.id || '(no id)'}: missing ${missing.join(', ') || 'id'}`);
+        }
+
+        this.providers[provider.id] = provider;
+        cloudIntegrationManager.registerProvider(provider);
+        logger.info(`Cloud provider registered: ${provider.id}`);
+    }
+
+    /**
+     * Get a registered provider
+     * @param {string} providerId - Provider ID
+     * @returns {Object} Provider
+     * @private
+     */
+    getProvider(providerId) {
+        const provider = this.providers[providerId];
+        if (!provider) {
+            throw new Error(`Unsupported cloud provider: ${providerId}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Get the configuration of a provider, failing if it has not been configured
+     * @param {string} providerId - Provider ID
+     * @returns {Object} Provider configuration
+     * @private
+     */
+    getProviderConfig(providerId) {
+        const config = this.providerConfigs[providerId];
+        if (!config) {
+            throw new Error(`Provider ${providerId} not configured.`);
+        }
+        return config;
     }
 
     /**
      * Retrieves the list of supported cloud providers.
-     * @returns {Object} An object containing details about supported providers.
+     * @returns {Object} Provider summaries keyed by ID ({ id, name, configured, configFields, deploymentOptionFields }).
      */
     getSupportedProviders() {
-        logger.debug(\"Retrieving supported cloud providers.\");
-        // In the future, this could dynamically load provider details
-        return this.providers;
+        const summaries = {};
+
+        Object.values(this.providers).forEach(provider => {
+            summaries[provider.id] = {
+                id: provider.id,
+                name: provider.name,
+                configured: !!this.providerConfigs[provider.id],
+                config: this.providerConfigs[provider.id] || null,
+                configFields: provider.getConfigFields ? provider.getConfigFields() : [],
+                deploymentOptionFields: provider.getDeploymentOptionFields ? provider.getDeploymentOptionFields() : []
+            };
+        });
+
+        return summaries;
     }
 
     /**
      * Sets the configuration for a specific cloud provider.
-     * @param {string} providerId - The ID of the provider (e.g., 'aws').
-     * @param {Object} config - Configuration object (API keys, region, etc.).
+     * @param {string} providerId - The ID of the provider (e.g., 'docker-host').
+     * @param {Object} config - Configuration object (host, credentials, region, etc.).
+     * @returns {Object} Validation result ({ valid, errors }).
      */
     setProviderConfig(providerId, config) {
         if (!this.providers[providerId]) {
             logger.error(`Unsupported cloud provider: ${providerId}`);
-            return false;
+            return { valid: false, errors: [`Unsupported cloud provider: ${providerId}`] };
+        }
+
+        const validation = this.providers[providerId].validateConfig(config);
+        if (!validation.valid) {
+            logger.warn(`Invalid configuration for cloud provider ${providerId}: ${validation.errors.join(', ')}`);
+            return validation;
         }
-        this.providers[providerId].config = config;
-        // Potentially initialize API client here based on config
+
+        this.providerConfigs[providerId] = { ...config };
+        this.saveState();
+        cloudIntegrationManager.configureProvider(providerId, config);
         logger.info(`Configuration updated for cloud provider: ${providerId}`);
-        // TODO: Implement secure storage for credentials
-        return true;
+        return validation;
     }
 
     /**
-     * Initiates the deployment of an MCP server to a specified cloud provider.
-     * Placeholder implementation.
+     * Deploys an MCP server with a provider.
      * @param {string} providerId - The ID of the target cloud provider.
-     * @param {Object} serverConfig - Configuration details of the MCP server to deploy.
-     * @param {Object} deploymentOptions - Cloud-specific deployment options (instance type, region, etc.).
-     * @returns {Promise<Object|null>} A promise resolving with deployment details or null on failure.
+     * @param {Object} serverConfig - Configuration details of the MCP server to deploy ({ id, command, args, env }).
+     * @param {Object} deploymentOptions - Provider-specific deployment options (name, image, etc.).
+     * @returns {Promise<Object>} A promise resolving with the deployment record.
      */
-    async deployServer(providerId, serverConfig, deploymentOptions) {
+    async deployServer(providerId, serverConfig, deploymentOptions = {}) {
         logger.info(`Attempting to deploy server ${serverConfig.id || 'new server'} to ${providerId}...`);
-        if (!this.providers[providerId] || !this.providers[providerId].config) {
-            logger.error(`Provider ${providerId} not configured.`);
-            throw new Error(`Provider ${providerId} not configured.`);
-        }
-        // TODO: Implement actual deployment logic using provider-specific APIs (e.g., AWS SDK, gcloud CLI)
-        // 1. Validate serverConfig and deploymentOptions
-        // 2. Authenticate with the cloud provider
-        // 3. Provision resources (VM, container instance, etc.)
-        // 4. Configure the instance (install dependencies, MCP server)
-        // 5. Start the server
-        // 6. Track the deployment status
-        logger.warn(\`Deployment logic for ${providerId} not yet implemented.\`);
-        // Simulate deployment success for now
+        const provider = this.getProvider(providerId);
+        const config = this.getProviderConfig(providerId);
+
         const deploymentId = `dep-${Date.now()}`;
-        this.activeDeployments[deploymentId] = {
+        const serverId = serverConfig.id || serverConfig.name || 'server';
+        const deployment = {
             id: deploymentId,
-            serverId: serverConfig.id || 'simulated-server',
-            providerId: providerId,
+            name: this.sanitizeName(deploymentOptions.name || `mcp-${serverId}-${Date.now()}`),
+            serverId,
+            providerId,
             status: 'pending',
             options: deploymentOptions,
             createdAt: new Date().toISOString()
         };
-        // Simulate async operation
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        this.activeDeployments[deploymentId].status = 'running'; // Simulate completion
-         this.activeDeployments[deploymentId].ipAddress = '192.0.2.1'; // Simulated IP
-        logger.info(`Simulated deployment ${deploymentId} completed for server ${this.activeDeployments[deploymentId].serverId} on ${providerId}.`);
-        return this.activeDeployments[deploymentId];
+
+        // Providers without catalog pricing can still be deployed to, just without an estimate
+        if (cloudCostEstimator.getProviderPricing(providerId)) {
+            deployment.costEstimate = cloudCostEstimator.estimateMonthlyCost(providerId, deploymentOptions);
+        }
+
+        this.activeDeployments[deploymentId] = deployment;
+        this.saveState();
+
+        try {
+            const resource = await provider.provision(deployment, serverConfig, config);
+            Object.assign(deployment, resource, { updatedAt: new Date().toISOString() });
+            logger.info(`Deployment ${deploymentId} provisioned for server ${serverId} on ${providerId}.`);
+            return deployment;
+        } catch (error) {
+            deployment.status = 'error';
+            deployment.error = error.message;
+            logger.error(`Deployment ${deploymentId} failed:`, error);
+            throw error;
+        } finally {
+            this.saveState();
+        }
     }
 
     /**
-     * Retrieves the status of active cloud deployments.
-     * Placeholder implementation.
-     * @returns {Object} An object containing active deployments.
+     * Retrieves the last known status of cloud deployments.
+     * Use refreshDeploymentStatuses() to query the providers.
+     * @returns {Object} An object containing deployments keyed by ID.
      */
     getDeploymentStatus() {
-        logger.debug(\"Retrieving status of active cloud deployments.\");
-        // TODO: Implement logic to query actual status from cloud providers
-        return this.activeDeployments;
+        return { ...this.activeDeployments };
     }
 
-     /**
+    /**
+     * Query the provider for the current status of a deployment
+     * @param {string} deploymentId - Deployment ID
+     * @returns {Promise<Object>} Updated deployment record
+     */
+    async refreshDeploymentStatus(deploymentId) {
+        const deployment = this.activeDeployments[deploymentId];
+        if (!deployment) {
+            throw new Error(`Deployment ${deploymentId} not found.`);
+        }
+
+        // Deployments that never got a resource have nothing to poll
+        if (!deployment.resourceId) {
+            return deployment;
+        }
+
+        try {
+            const provider = this.getProvider(deployment.providerId);
+            const { status, detail } = await provider.getStatus(deployment, this.getProviderConfig(deployment.providerId));
+            deployment.status = status;
+            deployment.statusDetail = detail;
+            delete deployment.error;
+        } catch (error) {
+            deployment.error = error.message;
+            logger.warn(`Could not refresh status of deployment ${deploymentId}: ${error.message}`);
+        }
+
+        deployment.updatedAt = new Date().toISOString();
+        this.saveState();
+        return deployment;
+    }
+
+    /**
+     * Query the providers for the status of every deployment
+     * @returns {Promise<Object>} Deployments keyed by ID
+     */
+    async refreshDeploymentStatuses() {
+        // Providers may share one host connection, so statuses are queried one at a time
+        for (const deploymentId of Object.keys(this.activeDeployments)) {
+            await this.refreshDeploymentStatus(deploymentId);
+        }
+
+        return this.getDeploymentStatus();
+    }
+
+    /**
+     * Poll deployment statuses at a fixed interval
+     * @param {Function} onUpdate - Called with the deployments after each poll
+     * @param {number} interval - Poll interval in milliseconds
+     */
+    startStatusPolling(onUpdate, interval = 15000) {
+        this.stopStatusPolling();
+
+        const poll = async () => {
+            try {
+                const deployments = await this.refreshDeploymentStatuses();
+                if (onUpdate) {
+                    onUpdate(deployments);
+                }
+            } catch (error) {
+                logger.error('Error polling deployment statuses:', error);
+            }
+        };
+
+        this.pollTimer = setInterval(poll, interval);
+        poll();
+    }
+
+    /**
+     * Stop polling deployment statuses
+     */
+    stopStatusPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    /**
+     * Get the logs of a deployment
+     * @param {string} deploymentId - Deployment ID
+     * @param {Object} options - Log options ({ tail })
+     * @returns {Promise<string>} Log output
+     */
+    async getDeploymentLogs(deploymentId, options = {}) {
+        const deployment = this.activeDeployments[deploymentId];
+        if (!deployment) {
+            throw new Error(`Deployment ${deploymentId} not found.`);
+        }
+
+        const provider = this.getProvider(deployment.providerId);
+        return provider.getLogs(deployment, this.getProviderConfig(deployment.providerId), options);
+    }
+
+    /**
+     * List the resources a provider manages, including ones created outside this session
+     * @param {string} providerId - Provider ID
+     * @returns {Promise<Array<Object>>} Resources
+     */
+    async listResources(providerId) {
+        const provider = this.getProvider(providerId);
+        return provider.listResources(this.getProviderConfig(providerId));
+    }
+
+    /**
      * Terminates a cloud deployment.
-     * Placeholder implementation.
      * @param {string} deploymentId - The ID of the deployment to terminate.
-     * @returns {Promise<boolean>} A promise resolving with true on success, false otherwise.
+     * @returns {Promise<boolean>} A promise resolving with true on success, false if the deployment is unknown.
      */
     async terminateDeployment(deploymentId) {
         logger.info(`Attempting to terminate cloud deployment ${deploymentId}...`);
@@ -103,19 +322,70 @@ class CloudManager {
             logger.error(`Deployment ${deploymentId} not found.`);
             return false;
         }
-         const providerId = deployment.providerId;
-        // TODO: Implement actual termination logic using provider-specific APIs
-         logger.warn(`Termination logic for ${providerId} not yet implemented.`);
-         // Simulate termination
-         await new Promise(resolve => setTimeout(resolve, 1000));
+
+        // Failed deployments may not have created anything to remove
+        if (deployment.resourceId) {
+            const provider = this.getProvider(deployment.providerId);
+            await provider.terminate(deployment, this.getProviderConfig(deployment.providerId));
+        }
+
         delete this.activeDeployments[deploymentId];
-        logger.info(`Simulated termination of deployment ${deploymentId} completed.`);
+        this.saveState();
+        logger.info(`Deployment ${deploymentId} terminated.`);
         return true;
     }
 
-    // TODO: Add methods for managing resources (list VMs, scale, etc.)
-    // TODO: Add methods for cost estimation
+    /**
+     * Make a deployment name safe for container and instance names
+     * @param {string} name - Requested name
+     * @returns {string} Sanitized name
+     * @private
+     */
+    sanitizeName(name) {
+        return name.toLowerCase().replace(/[^a-z0-9_.-]+/g, '-').replace(/^[^a-z0-9]+/, '');
+    }
+
+    /**
+     * Estimate the monthly cost of a deployment before creating it
+     * @param {string} providerId - Provider ID
+     * @param {Object} deploymentOptions - Deployment options (instanceType, region, storageGb, egressGbPerMonth)
+     * @returns {Object} Cost estimate
+     */
+    estimateDeploymentCost(providerId, deploymentOptions = {}) {
+        return cloudCostEstimator.estimateMonthlyCost(providerId, deploymentOptions);
+    }
+
+    /**
+     * Get the estimated and accrued cost of a deployment
+     * @param {string} deploymentId - Deployment ID
+     * @returns {Object|null} Cost ({ currency, monthly, accrued, hours }) or null if it was not priced
+     */
+    getDeploymentCost(deploymentId) {
+        const deployment = this.activeDeployments[deploymentId];
+        return deployment ? cloudCostEstimator.getAccruedCost(deployment) : null;
+    }
+
+    /**
+     * Get the total cost of all active deployments
+     * @returns {Object} Fleet cost ({ currency, monthly, accrued, byProvider, unpriced })
+     */
+    getFleetCost() {
+        return cloudCostEstimator.getFleetCost(Object.values(this.activeDeployments));
+    }
+
+    /**
+     * Get cost optimization hints for a deployment
+     * @param {string} deploymentId - Deployment ID
+     * @returns {Array<Object>} Hints
+     */
+    getCostOptimizationHints(deploymentId) {
+        const deployment = this.activeDeployments[deploymentId];
+        return deployment ? cloudCostEstimator.getOptimizationHints(deployment) : [];
+    }
 }
 
-// Make available globally or handle instantiation appropriately
+// Create singleton instance
 const cloudManager = new CloudManager();
+
+// Export for use in other modules
+export default cloudManager;
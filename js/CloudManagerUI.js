@@ -2,6 +2,13 @@
  * @file Manages the UI for cloud deployment features.
  */
 
+import logger from './logger.js';
+import CloudManagerTemplates from './templates/CloudManagerTemplates.js';
+import cloudCostEstimator from './CloudCostEstimator.js';
+
+// How often deployment statuses are polled from the providers
+const STATUS_POLL_INTERVAL = 15000;
+
 class CloudManagerUI {
     constructor(containerId, cloudMgr, serverMgr) {
         this.containerElement = document.getElementById(containerId);
@@ -14,11 +21,12 @@ class CloudManagerUI {
 
         this.render();
         this.attachEventListeners();
-        logger.info(\"CloudManagerUI initialized.\");
+        this.cloudManager.startStatusPolling(() => this.renderActiveDeployments(), STATUS_POLL_INTERVAL);
+        logger.info('CloudManagerUI initialized.');
     }
 
     render() {
-        logger.debug(\"Rendering Cloud Manager UI.\");
+        logger.debug('Rendering Cloud Manager UI.');
         if (!this.containerElement) return;
         // Render the main structure
         this.containerElement.innerHTML = CloudManagerTemplates.getMainContainerHTML();
@@ -29,6 +37,16 @@ class CloudManagerUI {
         this.renderActiveDeployments();
     }
 
+    /**
+     * Stop polling and remove the UI
+     */
+    destroy() {
+        this.cloudManager.stopStatusPolling();
+        if (this.containerElement) {
+            this.containerElement.innerHTML = '';
+        }
+    }
+
     attachEventListeners() {
         if (!this.containerElement) return;
 
@@ -38,16 +56,36 @@ class CloudManagerUI {
             }
         });
 
+        this.containerElement.addEventListener('input', (event) => {
+            if (event.target.closest('#cloud-cost-options')) {
+                this.updateCostEstimate();
+            }
+        });
+
         this.containerElement.addEventListener('click', (event) => {
-            if (event.target.id === 'save-provider-config') {
+            const button = event.target.closest('button');
+            if (!button) return;
+
+            if (button.id === 'save-provider-config') {
                 this.handleSaveProviderConfig();
             }
-            if (event.target.id === 'refresh-deployments-btn') {
-                this.renderActiveDeployments();
+            if (button.id === 'refresh-deployments-btn') {
+                this.handleRefreshDeployments();
+            }
+            if (button.classList.contains('terminate-deployment-btn')) {
+                this.handleTerminateDeployment(button.dataset.deploymentId);
             }
-            if (event.target.classList.contains('terminate-deployment-btn')) {
-                const deploymentId = event.target.dataset.deploymentId;
-                this.handleTerminateDeployment(deploymentId);
+            if (button.classList.contains('deployment-logs-btn')) {
+                this.handleShowLogs(button.dataset.deploymentId);
+            }
+            if (button.id === 'toggle-pricing-catalog-btn') {
+                this.togglePricingCatalogEditor();
+            }
+            if (button.id === 'save-pricing-catalog-btn') {
+                this.handleSavePricingCatalog();
+            }
+            if (button.id === 'reset-pricing-catalog-btn') {
+                this.handleResetPricingCatalog();
             }
         });
 
@@ -64,19 +102,10 @@ class CloudManagerUI {
         const selectElement = this.containerElement.querySelector('#cloud-provider-select');
         if (!selectElement) return;
 
-        const providers = this.cloudManager.getSupportedProviders();
-        // Clear existing options except the placeholder
-        selectElement.innerHTML = '<option value="">-- Select Provider --</option>';
-
-        // TODO: Populate dynamically when providers are added to CloudManager
-        // For now, using static options from template
-        // Object.keys(providers).forEach(providerId => {
-        //     const option = document.createElement('option');
-        //     option.value = providerId;
-        //     option.textContent = providers[providerId].name;
-        //     selectElement.appendChild(option);
-        // });
-        logger.debug(\"Provider select populated (statically for now).\");
+        const selected = selectElement.value;
+        selectElement.innerHTML = CloudManagerTemplates.getProviderOptionsHTML(this.cloudManager.getSupportedProviders());
+        selectElement.value = selected;
+        logger.debug('Provider select populated.');
     }
 
     populateServerSelect() {
@@ -106,7 +135,7 @@ class CloudManagerUI {
             option.textContent = server.name || server.id; // Display name
             selectElement.appendChild(option);
         });
-        logger.debug(\"Server select populated.\");
+        logger.debug('Server select populated.');
     }
 
     handleProviderSelectChange(providerId) {
@@ -118,66 +147,105 @@ class CloudManagerUI {
 
         configFormContainer.innerHTML = ''; // Clear previous content
         deploymentOptionsContainer.innerHTML = ''; // Clear previous content
+        this.renderCostFields(providerId);
 
-        if (!providerId) {
+        const provider = this.cloudManager.getSupportedProviders()[providerId];
+        if (!provider) {
             configFormContainer.style.display = 'none';
             deploymentOptionsContainer.innerHTML = '<p class="text-muted">Select a provider to see deployment options.</p>';
             deployButton.disabled = true;
             return;
         }
 
-        // Load provider-specific config fields and deployment options
-        // Using placeholder AWS templates for now
-        switch (providerId.toLowerCase()) {
-            case 'aws':
-                configFormContainer.innerHTML = CloudManagerTemplates.getAWSConfigFieldsHTML();
-                deploymentOptionsContainer.innerHTML = CloudManagerTemplates.getAWSDeploymentOptionsHTML();
-                break;
-            // TODO: Add cases for gcp, azure, etc.
-            default:
-                 configFormContainer.innerHTML = '<p class="text-danger">Configuration for this provider is not yet implemented.</p>';
-                 deploymentOptionsContainer.innerHTML = '<p class="text-danger">Deployment options for this provider are not yet implemented.</p>';
-                 break;
-        }
+        // Render the fields the provider plugin asks for
+        configFormContainer.innerHTML = `
+            <h5>${CloudManagerTemplates.escapeHTML(provider.name)} Configuration</h5>
+            ${CloudManagerTemplates.getProviderFieldsHTML(provider.configFields, 'cloud-config', provider.config || {})}
+            <button id="save-provider-config" type="button" class="btn btn-primary btn-sm">Save Configuration</button>
+        `;
+        deploymentOptionsContainer.innerHTML = CloudManagerTemplates.getProviderFieldsHTML(
+            provider.deploymentOptionFields,
+            'cloud-deploy-option'
+        );
 
         configFormContainer.style.display = 'block';
-        deployButton.disabled = false; // Enable deploy button once provider is selected
+        deployButton.disabled = !provider.configured;
         logger.debug(`UI updated for selected provider: ${providerId}`);
     }
 
+    /**
+     * Render the sizing fields used for cost estimation
+     * @param {string} providerId - Provider ID
+     * @private
+     */
+    renderCostFields(providerId) {
+        const costOptionsContainer = this.containerElement.querySelector('#cloud-cost-options');
+        if (!costOptionsContainer) return;
+
+        const pricing = providerId ? cloudCostEstimator.getProviderPricing(providerId) : null;
+        costOptionsContainer.innerHTML = pricing ? CloudManagerTemplates.getCostFieldsHTML(pricing) : '';
+        this.updateCostEstimate();
+    }
+
+    /**
+     * Show the monthly estimate for the sizing currently selected in the form
+     * @private
+     */
+    updateCostEstimate() {
+        const estimateContainer = this.containerElement.querySelector('#cloud-cost-estimate');
+        if (!estimateContainer) return;
+
+        const providerId = this.containerElement.querySelector('#cloud-provider-select').value;
+        if (!providerId || !cloudCostEstimator.getProviderPricing(providerId)) {
+            estimateContainer.innerHTML = providerId
+                ? '<p class="text-muted small">No pricing for this provider in the catalog.</p>'
+                : '';
+            return;
+        }
+
+        try {
+            const estimate = this.cloudManager.estimateDeploymentCost(providerId, this.collectFieldValues('#cloud-cost-options'));
+            estimateContainer.innerHTML = CloudManagerTemplates.getCostEstimateHTML(
+                estimate,
+                amount => cloudCostEstimator.formatCost(amount, estimate.currency)
+            );
+        } catch (error) {
+            estimateContainer.innerHTML = `<p class="text-danger small">${CloudManagerTemplates.escapeHTML(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Read the values of rendered provider fields
+     * @param {string} containerSelector - Selector of the element holding the fields
+     * @returns {Object} Values keyed by field ID (empty values are omitted)
+     * @private
+     */
+    collectFieldValues(containerSelector) {
+        const values = {};
+        this.containerElement.querySelectorAll(`${containerSelector} [data-field-id]`).forEach(input => {
+            if (input.value !== '') {
+                values[input.dataset.fieldId] = input.value.trim();
+            }
+        });
+        return values;
+    }
+
     handleSaveProviderConfig() {
         const providerId = this.containerElement.querySelector('#cloud-provider-select').value;
         if (!providerId) {
-             showToast('Error', 'Please select a cloud provider first.', 'error');
+             this.notify('Please select a cloud provider first.', 'error');
              return;
         }
 
-        let config = {};
-        // TODO: Dynamically gather config values based on the rendered form
-        switch (providerId.toLowerCase()) {
-            case 'aws':
-                config = {
-                    accessKeyId: this.containerElement.querySelector('#aws-access-key-id')?.value,
-                    secretAccessKey: this.containerElement.querySelector('#aws-secret-access-key')?.value,
-                    region: this.containerElement.querySelector('#aws-region')?.value
-                };
-                 // Basic validation
-                 if (!config.accessKeyId || !config.secretAccessKey || !config.region) {
-                     showToast('Error', 'Please fill in all AWS configuration fields.', 'error');
-                     return;
-                 }
-                break;
-            // Add cases for other providers
-            default:
-                 showToast('Info', 'Configuration saving not implemented for this provider yet.', 'info');
-                 return;
-        }
+        const config = this.collectFieldValues('#cloud-provider-config-form');
+        const result = this.cloudManager.setProviderConfig(providerId, config);
 
-        const success = this.cloudManager.setProviderConfig(providerId, config);
-        if (success) {
-            showToast('Success', `Configuration saved for ${providerId.toUpperCase()}.`, 'success');
+        if (result.valid) {
+            this.notify(`Configuration saved for ${providerId}.`, 'success');
+            this.populateProviderSelect();
+            this.handleProviderSelectChange(providerId);
         } else {
-            showToast('Error', `Failed to save configuration for ${providerId.toUpperCase()}.`, 'error');
+            this.notify(`Invalid configuration: ${result.errors.join(', ')}`, 'error');
         }
     }
 
@@ -188,34 +256,19 @@ class CloudManagerUI {
         const deployButton = this.containerElement.querySelector('#start-cloud-deployment');
 
         if (!providerId || !serverId) {
-            showToast('Error', 'Please select a cloud provider and a server to deploy.', 'error');
+            this.notify('Please select a cloud provider and a server to deploy.', 'error');
             return;
         }
 
-        // TODO: Gather provider-specific deployment options dynamically
-        let deploymentOptions = {};
-         switch (providerId.toLowerCase()) {
-            case 'aws':
-                deploymentOptions = {
-                    instanceType: this.containerElement.querySelector('#aws-instance-type')?.value,
-                    region: this.containerElement.querySelector('#aws-deployment-region')?.value,
-                    name: deploymentName || `mcp-${serverId}-${Date.now()}`
-                    // Add other AWS options (VPC, security group etc.)
-                };
-                if (!deploymentOptions.instanceType || !deploymentOptions.region) {
-                    showToast('Error', 'Please select AWS instance type and region.', 'error');
-                    return;
-                }
-                break;
-            default:
-                 showToast('Error', 'Deployment not implemented for this provider yet.', 'error');
-                 return;
-        }
+        const deploymentOptions = {
+            ...this.collectFieldValues('#cloud-deployment-options'),
+            ...this.collectFieldValues('#cloud-cost-options'),
+            name: deploymentName || `mcp-${serverId}-${Date.now()}`
+        };
 
-        // TODO: Get the actual server configuration object from ServerManager based on serverId
         const serverConfig = this.serverManager.getServerConfig(serverId); // Assuming this method exists
         if (!serverConfig) {
-             showToast('Error', `Could not find configuration for server ID: ${serverId}.`, 'error');
+             this.notify(`Could not find configuration for server ID: ${serverId}.`, 'error');
              return;
         }
 
@@ -224,42 +277,157 @@ class CloudManagerUI {
         deployButton.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Deploying...';
 
         try {
-            const deploymentDetails = await this.cloudManager.deployServer(providerId, serverConfig, deploymentOptions);
-            if (deploymentDetails) {
-                showToast('Success', `Deployment started for ${serverConfig.name || serverId}. ID: ${deploymentDetails.id}`, 'success');
-                this.renderActiveDeployments(); // Update the list
-                // Optionally clear the form
-                this.containerElement.querySelector('#cloud-deployment-form').reset();
-                this.handleProviderSelectChange(providerId); // Reset options view
-            } else {
-                throw new Error('Deployment initiation failed.');
-            }
+            const deployment = await this.cloudManager.deployServer(providerId, { id: serverId, ...serverConfig }, deploymentOptions);
+            this.notify(`Deployment started for ${serverConfig.name || serverId}. ID: ${deployment.id}`, 'success');
+            this.containerElement.querySelector('#cloud-deployment-form').reset();
+            this.handleProviderSelectChange(providerId); // Reset options view
         } catch (error) {
-            logger.error("Cloud deployment failed:", error);
-            showToast('Error', `Deployment failed: ${error.message}`, 'error');
+            logger.error('Cloud deployment failed:', error);
+            this.notify(`Deployment failed: ${error.message}`, 'error');
         } finally {
-            deployButton.disabled = false;
             deployButton.innerHTML = 'Deploy to Cloud';
+            deployButton.disabled = false;
+            this.renderActiveDeployments(); // Failed deployments are listed with their error
         }
     }
 
+    async handleRefreshDeployments() {
+        await this.cloudManager.refreshDeploymentStatuses();
+        this.renderActiveDeployments();
+    }
+
     renderActiveDeployments() {
         const listContainer = this.containerElement.querySelector('#active-deployments-list');
         if (!listContainer) return;
 
         const deployments = this.cloudManager.getDeploymentStatus();
-        logger.debug("Rendering active deployments:", deployments);
+        logger.debug('Rendering active deployments:', deployments);
+        this.renderFleetCost();
 
         if (Object.keys(deployments).length === 0) {
             listContainer.innerHTML = '<p class="text-muted">No active deployments found.</p>';
             return;
         }
 
+        // Keep log panels the user opened across re-renders
+        const openLogs = {};
+        listContainer.querySelectorAll('.deployment-logs').forEach(pre => {
+            if (pre.style.display !== 'none') {
+                openLogs[pre.dataset.deploymentId] = pre.textContent;
+            }
+        });
+
         listContainer.innerHTML = ''; // Clear previous list
         Object.values(deployments).forEach(deployment => {
-            const cardHTML = CloudManagerTemplates.getDeploymentCardHTML(deployment);
+            const cardHTML = CloudManagerTemplates.getDeploymentCardHTML(deployment, this.getFormattedCost(deployment));
             listContainer.insertAdjacentHTML('beforeend', cardHTML);
         });
+
+        Object.entries(openLogs).forEach(([deploymentId, text]) => {
+            const pre = listContainer.querySelector(`.deployment-logs[data-deployment-id="${deploymentId}"]`);
+            if (pre) {
+                pre.textContent = text;
+                pre.style.display = 'block';
+            }
+        });
+    }
+
+    /**
+     * Format the cost and optimization hints of a deployment for its card
+     * @param {Object} deployment - Deployment record
+     * @returns {Object|null} Formatted cost ({ monthly, accrued, hints }) or null if not priced
+     * @private
+     */
+    getFormattedCost(deployment) {
+        const cost = this.cloudManager.getDeploymentCost(deployment.id);
+        if (!cost) {
+            return null;
+        }
+
+        return {
+            monthly: cloudCostEstimator.formatCost(cost.monthly, cost.currency),
+            accrued: cloudCostEstimator.formatCost(cost.accrued, cost.currency),
+            hints: this.cloudManager.getCostOptimizationHints(deployment.id)
+        };
+    }
+
+    /**
+     * Show the monthly and accrued cost of all deployments
+     * @private
+     */
+    renderFleetCost() {
+        const summaryElement = this.containerElement.querySelector('#fleet-cost-summary');
+        if (!summaryElement) return;
+
+        const fleet = this.cloudManager.getFleetCost();
+        if (fleet.monthly === 0 && fleet.unpriced === 0) {
+            summaryElement.textContent = '';
+            return;
+        }
+
+        summaryElement.textContent = `${cloudCostEstimator.formatCost(fleet.monthly, fleet.currency)}/month, ` +
+            `${cloudCostEstimator.formatCost(fleet.accrued, fleet.currency)} so far` +
+            (fleet.unpriced > 0 ? ` (${fleet.unpriced} without pricing)` : '');
+    }
+
+    /**
+     * Show or hide the pricing catalog editor
+     * @private
+     */
+    togglePricingCatalogEditor() {
+        const editor = this.containerElement.querySelector('#pricing-catalog-editor');
+        if (!editor) return;
+
+        const isHidden = editor.style.display === 'none';
+        if (isHidden) {
+            this.containerElement.querySelector('#pricing-catalog-json').value =
+                JSON.stringify(cloudCostEstimator.getCatalog(), null, 2);
+        }
+        editor.style.display = isHidden ? 'block' : 'none';
+    }
+
+    handleSavePricingCatalog() {
+        const json = this.containerElement.querySelector('#pricing-catalog-json').value;
+        const result = cloudCostEstimator.updateCatalog(json);
+
+        if (!result.valid) {
+            this.notify(`Pricing catalog not saved: ${result.errors.join('; ')}`, 'error');
+            return;
+        }
+
+        this.notify('Pricing catalog saved. New deployments use the updated prices.', 'success');
+        this.updateCostEstimate();
+    }
+
+    handleResetPricingCatalog() {
+        if (!confirm('Restore the bundled prices? Your edits to the pricing catalog will be lost.')) {
+            return;
+        }
+
+        cloudCostEstimator.resetCatalog();
+        this.containerElement.querySelector('#pricing-catalog-json').value =
+            JSON.stringify(cloudCostEstimator.getCatalog(), null, 2);
+        this.updateCostEstimate();
+    }
+
+    async handleShowLogs(deploymentId) {
+        const logsElement = this.containerElement.querySelector(`.deployment-logs[data-deployment-id="${deploymentId}"]`);
+        if (!logsElement) return;
+
+        if (logsElement.style.display !== 'none') {
+            logsElement.style.display = 'none';
+            return;
+        }
+
+        logsElement.textContent = 'Loading logs...';
+        logsElement.style.display = 'block';
+
+        try {
+            const logs = await this.cloudManager.getDeploymentLogs(deploymentId, { tail: 200 });
+            logsElement.textContent = logs || '(no output)';
+        } catch (error) {
+            logsElement.textContent = `Could not load logs: ${error.message}`;
+        }
     }
 
     async handleTerminateDeployment(deploymentId) {
@@ -279,7 +447,7 @@ class CloudManagerUI {
         try {
             const success = await this.cloudManager.terminateDeployment(deploymentId);
             if (success) {
-                showToast('Success', `Deployment ${deploymentId} terminated.`, 'success');
+                this.notify(`Deployment ${deploymentId} terminated.`, 'success');
                 // Update the specific card or re-render the list
                 this.renderActiveDeployments();
             } else {
@@ -287,11 +455,27 @@ class CloudManagerUI {
             }
         } catch (error) {
              logger.error(`Failed to terminate deployment ${deploymentId}:`, error);
-             showToast('Error', `Termination failed: ${error.message}`, 'error');
+             this.notify(`Termination failed: ${error.message}`, 'error');
              if (terminateButton) {
                  terminateButton.disabled = false; // Re-enable button on failure
                  terminateButton.innerHTML = '<i class="fas fa-trash-alt me-1"></i> Terminate';
              }
         }
     }
+
+    /**
+     * Show a notification using the installer notification helper when it is loaded
+     * @param {string} message - Message
+     * @param {string} type - Notification type (info, success, warning, error)
+     * @private
+     */
+    notify(message, type = 'info') {
+        if (window.InstallerUIUtils && window.InstallerUIUtils.showNotification) {
+            window.InstallerUIUtils.showNotification(message, type);
+        } else {
+            logger.info(`[${type}] ${message}`);
+        }
+    }
 }
+
+export default CloudManagerUI;
@@ -0,0 +1,391 @@
+/**
+ * CommandRunner.js - Single entry point for running external commands
+ * Installer paths go through this module so that tests and production run the same code.
+ * The actual execution is delegated to an interchangeable backend (Electron IPC,
+ * Node child_process bridge, recording/replay or dry-run).
+ */
+
+import ElectronCommandBackend from './command-backends/ElectronCommandBackend.js';
+import NodeCommandBackend from './command-backends/NodeCommandBackend.js';
+import ReplayCommandBackend from './command-backends/ReplayCommandBackend.js';
+import DryRunCommandBackend from './command-backends/DryRunCommandBackend.js';
+
+// Backend name reported when no execution bridge exists and no backend was selected
+const UNAVAILABLE_BACKEND = 'unavailable';
+
+/**
+ * Error thrown when a command exits with a non-zero code, times out, is cancelled or
+ * cannot be run because no execution bridge is available.
+ * Carries the full command result so callers can log stdout/stderr.
+ */
+class CommandError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} result - Command result
+     */
+    constructor(message, result) {
+        super(message);
+        this.name = 'CommandError';
+        this.result = result;
+        this.stdout = result.stdout;
+        this.stderr = result.stderr;
+        this.exitCode = result.exitCode;
+        this.timedOut = result.timedOut;
+        this.cancelled = result.cancelled;
+        this.unavailable = Boolean(result.unavailable);
+    }
+}
+
+class CommandRunner {
+    constructor() {
+        this.backends = {};
+        this.activeBackend = null;
+        this.activeRuns = {};
+        this.nextRunId = 1;
+        this.defaultTimeout = 10 * 60 * 1000; // Installs can be slow; 10 minutes by default
+
+        // Register built-in backends
+        this.registerBackend('electron', new ElectronCommandBackend());
+        this.registerBackend('node', new NodeCommandBackend());
+        this.registerBackend('replay', new ReplayCommandBackend());
+        this.registerBackend('dry-run', new DryRunCommandBackend());
+    }
+
+    /**
+     * Register a command backend
+     * @param {string} name - Backend name
+     * @param {Object} backend - Backend implementing isAvailable() and execute(request, hooks)
+     */
+    registerBackend(name, backend) {
+        if (!backend || typeof backend.execute !== 'function') {
+            throw new Error(`Command backend ${name} must implement execute()`);
+        }
+
+        this.backends[name] = backend;
+    }
+
+    /**
+     * Get a registered backend
+     * @param {string} name - Backend name
+     * @returns {Object|null} Backend or null if not registered
+     */
+    getBackend(name) {
+        return this.backends[name] || null;
+    }
+
+    /**
+     * Select the backend used for all subsequent commands
+     * @param {string|null} name - Backend name, or null to go back to automatic selection
+     */
+    setBackend(name) {
+        if (name !== null && !this.backends[name]) {
+            throw new Error(`Unknown command backend: ${name}`);
+        }
+
+        this.activeBackend = name;
+    }
+
+    /**
+     * Get the name of the backend that will run the next command
+     * @returns {string} Backend name
+     */
+    getBackendName() {
+        if (this.activeBackend) {
+            return this.activeBackend;
+        }
+
+        // Prefer the Electron bridge, then a local Node bridge; a dry run has to be selected explicitly
+        const preferred = ['electron', 'node'].find(name => this.backends[name].isAvailable());
+        return preferred || UNAVAILABLE_BACKEND;
+    }
+
+    /**
+     * Check whether commands are only being recorded (dry run selected with setBackend)
+     * @returns {boolean} True in dry-run mode
+     */
+    isDryRun() {
+        return this.getBackendName() === 'dry-run';
+    }
+
+    /**
+     * Check whether commands can be run at all
+     * @returns {boolean} False when no execution bridge is available and no backend was selected
+     */
+    isAvailable() {
+        return this.getBackendName() !== UNAVAILABLE_BACKEND;
+    }
+
+    /**
+     * Run a command
+     * @param {string} executable - Executable name or path
+     * @param {Array<string>} args - Arguments
+     * @param {Object} options - Run options
+     * @param {string} [options.cwd] - Working directory
+     * @param {Object} [options.env] - Extra environment variables
+     * @param {string} [options.input] - Text written to the command's standard input
+     * @param {number} [options.timeout] - Timeout in milliseconds (0 disables it)
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the command
+     * @param {Function} [options.onStdout] - Called with each stdout chunk
+     * @param {Function} [options.onStderr] - Called with each stderr chunk
+     * @param {boolean} [options.rejectOnError=true] - Reject when the command fails
+     * @returns {Promise<Object>} Result ({ stdout, stderr, exitCode, signal, timedOut, cancelled, unavailable,
+     *   durationMs, backend })
+     */
+    async run(executable, args = [], options = {}) {
+        const backendName = this.getBackendName();
+        const backend = this.backends[backendName];
+
+        if (!backend) {
+            return this.finishRun({ request: { executable, args } }, {
+                stdout: '',
+                stderr: 'No command execution bridge is available',
+                exitCode: null,
+                signal: null,
+                timedOut: false,
+                cancelled: false,
+                unavailable: true,
+                durationMs: 0,
+                backend: backendName
+            }, options);
+        }
+
+        const runId = this.nextRunId++;
+        const request = {
+            executable,
+            args,
+            cwd: options.cwd,
+            env: options.env,
+            input: options.input
+        };
+
+        const run = this.createRun(runId, request, options);
+        this.activeRuns[runId] = run;
+
+        const startTime = Date.now();
+
+        try {
+            // A command cancelled before it started is never handed to the backend
+            const outcome = run.cancelled
+                ? { exitCode: null }
+                : await backend.execute(request, run.hooks);
+
+            return this.finishRun(run, {
+                stdout: run.stdout,
+                stderr: run.stderr,
+                exitCode: outcome.exitCode,
+                signal: outcome.signal || null,
+                timedOut: run.timedOut,
+                cancelled: run.cancelled,
+                durationMs: Date.now() - startTime,
+                backend: backendName
+            }, options);
+        } finally {
+            clearTimeout(run.timer);
+            delete this.activeRuns[runId];
+
+            if (options.signal) {
+                options.signal.removeEventListener('abort', run.onAbort);
+            }
+        }
+    }
+
+    /**
+     * Parse and run a command line
+     * @param {string} command - Command line (quotes are respected)
+     * @param {Object} options - Run options (see run())
+     * @returns {Promise<Object>} Result
+     */
+    async runCommand(command, options = {}) {
+        const { executable, args } = this.parseCommand(command);
+        return this.run(executable, args, options);
+    }
+
+    /**
+     * Cancel all running commands
+     */
+    cancelAll() {
+        Object.values(this.activeRuns).forEach(run => run.cancel());
+    }
+
+    /**
+     * Number of commands currently running
+     * @returns {number} Running command count
+     */
+    getActiveRunCount() {
+        return Object.keys(this.activeRuns).length;
+    }
+
+    /**
+     * Parse a command string into executable and arguments
+     * @param {string} command - Command string to parse
+     * @returns {Object} Object containing executable and arguments array
+     */
+    parseCommand(command) {
+        const parts = [];
+        let current = '';
+        let quoteChar = null;
+        let hasToken = false;
+        const input = command.trim();
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            // Backslashes only escape quotes so Windows paths pass through untouched
+            if (char === '\\' && (input[i + 1] === '"' || input[i + 1] === "'")) {
+                current += input[++i];
+                hasToken = true;
+            } else if (quoteChar) {
+                if (char === quoteChar) {
+                    quoteChar = null;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"' || char === "'") {
+                quoteChar = char;
+                hasToken = true;
+            } else if (/\s/.test(char)) {
+                if (hasToken) {
+                    parts.push(current);
+                    current = '';
+                    hasToken = false;
+                }
+            } else {
+                current += char;
+                hasToken = true;
+            }
+        }
+
+        if (quoteChar) {
+            throw new Error(`Unterminated quote in command: ${command}`);
+        }
+
+        if (hasToken) {
+            parts.push(current);
+        }
+
+        return { executable: parts[0], args: parts.slice(1) };
+    }
+
+    /**
+     * Format a command for logging
+     * @param {string} executable - Executable
+     * @param {Array<string>} args - Arguments
+     * @returns {string} Command line
+     */
+    formatCommand(executable, args = []) {
+        return [executable, ...args]
+            .map(part => (/[\s"']/.test(part) ? `"${part.replace(/"/g, '\\"')}"` : part))
+            .join(' ');
+    }
+
+    /**
+     * Create the bookkeeping for a single run (output buffers, timeout, cancellation)
+     * @param {number} runId - Run ID
+     * @param {Object} request - Command request
+     * @param {Object} options - Run options
+     * @returns {Object} Run state
+     * @private
+     */
+    createRun(runId, request, options) {
+        const run = {
+            id: runId,
+            request,
+            stdout: '',
+            stderr: '',
+            timedOut: false,
+            cancelled: false,
+            timer: null,
+            abortHandlers: []
+        };
+
+        run.cancel = () => {
+            if (run.cancelled || run.timedOut) {
+                return;
+            }
+            run.cancelled = true;
+            run.abortHandlers.forEach(handler => handler());
+        };
+
+        run.onAbort = () => run.cancel();
+
+        run.hooks = {
+            onStdout: chunk => {
+                run.stdout += chunk;
+                if (options.onStdout) {
+                    options.onStdout(chunk);
+                }
+            },
+            onStderr: chunk => {
+                run.stderr += chunk;
+                if (options.onStderr) {
+                    options.onStderr(chunk);
+                }
+            },
+            // Backends register how to stop the underlying process
+            onAbort: handler => {
+                run.abortHandlers.push(handler);
+            }
+        };
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                run.cancelled = true;
+            } else {
+                options.signal.addEventListener('abort', run.onAbort);
+            }
+        }
+
+        const timeout = options.timeout === undefined ? this.defaultTimeout : options.timeout;
+        if (timeout > 0) {
+            run.timer = setTimeout(() => {
+                run.timedOut = true;
+                run.abortHandlers.forEach(handler => handler());
+            }, timeout);
+        }
+
+        return run;
+    }
+
+    /**
+     * Turn a finished run into a result, rejecting on failure if requested
+     * @param {Object} run - Run state
+     * @param {Object} result - Command result
+     * @param {Object} options - Run options
+     * @returns {Object} Command result
+     * @private
+     */
+    finishRun(run, result, options) {
+        const rejectOnError = options.rejectOnError !== false;
+        const commandLine = this.formatCommand(run.request.executable, run.request.args);
+
+        if (!rejectOnError) {
+            return result;
+        }
+
+        if (result.timedOut) {
+            throw new CommandError(`Command timed out: ${commandLine}`, result);
+        }
+
+        if (result.cancelled) {
+            throw new CommandError(`Command cancelled: ${commandLine}`, result);
+        }
+
+        if (result.unavailable) {
+            throw new CommandError(`Command not run (${commandLine}): ${result.stderr}`, result);
+        }
+
+        if (result.exitCode !== 0) {
+            const detail = result.stderr.trim().split('\n').pop() || `exit code ${result.exitCode}`;
+            throw new CommandError(`Command failed (${commandLine}): ${detail}`, result);
+        }
+
+        return result;
+    }
+}
+
+// Create singleton instance
+const commandRunner = new CommandRunner();
+
+// Export for use in other modules
+export { CommandError };
+export default commandRunner;
@@ -0,0 +1,555 @@
+/**
+ * ComposeStackManager.js - Docker Compose stacks of several MCP servers
+ * A stack turns inventory servers into compose services on one network, with named
+ * volumes, a healthcheck where the server listens on a port, and one env file per
+ * service. Secrets only go in the env files, so the compose file can be shared:
+ *
+ *   ~/.mcp-installer/stacks/<stack>/
+ *       docker-compose.yml
+ *       <service>.env
+ *
+ * Stacks are brought up and down with `docker compose`, using the stack ID as the project name.
+ */
+
+import commandRunner from './CommandRunner.js';
+import { SERVER_KINDS, DOCKER_VALUE_FLAGS } from './ServerInventory.js';
+
+const STACKS_STORAGE_KEY = 'mcp_compose_stacks';
+const STACK_NETWORK = 'mcp';
+
+// Images that run package-launched servers, with a shared cache volume for each runtime
+const STACK_RUNTIMES = {
+    [SERVER_KINDS.NPX]: { image: 'node:20-alpine', cache: 'npm-cache:/root/.npm' },
+    [SERVER_KINDS.UVX]: { image: 'ghcr.io/astral-sh/uv:python3.12-alpine', cache: 'uv-cache:/root/.cache/uv' }
+};
+
+// Image pulls and package installs can take a while on the first `up`
+const COMPOSE_UP_TIMEOUT = 600000;
+const COMPOSE_TIMEOUT = 120000;
+
+// Strings that YAML would read as something else unless quoted
+const YAML_RESERVED = /^(?:true|false|yes|no|on|off|y|n|null|~)$/i;
+
+class ComposeStackManager {
+    constructor() {
+        this.stacks = this.loadStacks();
+        this.rootDir = null;
+    }
+
+    /**
+     * Build a stack from inventory servers
+     * Servers that only run on the host (local scripts, remote servers) are skipped.
+     * @param {string} name - Stack name
+     * @param {Array<Object>} servers - Inventory entries
+     * @returns {Object} Stack ({ id, name, services }) and the skipped servers ({ name, reason })
+     */
+    createStack(name, servers) {
+        const stack = { id: this.slugify(name), name, services: {} };
+        const skipped = [];
+
+        servers.forEach(server => {
+            try {
+                const service = this.createService(server);
+                let serviceName = this.slugify(server.name);
+                for (let i = 2; stack.services[serviceName]; i++) {
+                    serviceName = `${this.slugify(server.name)}-${i}`;
+                }
+                stack.services[serviceName] = service;
+            } catch (error) {
+                skipped.push({ name: server.name, reason: error.message });
+            }
+        });
+
+        if (!stack.id) {
+            throw new Error('Stack name must contain a letter or digit');
+        }
+
+        return { stack, skipped };
+    }
+
+    /**
+     * Build the service of an inventory server
+     * @param {Object} server - Inventory entry ({ name, kind, identifier, command, args, envNames })
+     * @returns {Object} Service ({ server, image, command, env, ports, volumes, healthcheck })
+     * @throws {Error} If the server cannot run in a container
+     */
+    createService(server) {
+        const env = Object.fromEntries((server.envNames || []).map(key => [key, '']));
+
+        if (server.kind === SERVER_KINDS.DOCKER) {
+            const run = this.parseDockerRun(server.args || []);
+            if (!run.image) {
+                throw new Error('No image in the docker run command');
+            }
+
+            return {
+                server: server.name,
+                image: run.image,
+                command: run.command,
+                env: { ...env, ...run.env },
+                ports: run.ports,
+                volumes: run.volumes,
+                healthcheck: null
+            };
+        }
+
+        const runtime = STACK_RUNTIMES[server.kind];
+        if (!runtime) {
+            throw new Error(`${server.kind} servers run on the host and cannot be added to a stack`);
+        }
+
+        return {
+            server: server.name,
+            image: runtime.image,
+            command: [server.command.split(/[\\/]/).pop().replace(/\.(exe|cmd)$/i, ''), ...(server.args || [])],
+            env,
+            ports: [],
+            volumes: [runtime.cache],
+            healthcheck: null
+        };
+    }
+
+    /**
+     * Read the parts of a `docker run` command that carry over to a compose service
+     * @param {Array<string>} args - Arguments of docker
+     * @returns {Object} Run options ({ image, command, env, ports, volumes })
+     * @private
+     */
+    parseDockerRun(args) {
+        const runIndex = args.indexOf('run');
+        const rest = args.slice(runIndex + 1);
+        const run = { image: null, command: [], env: {}, ports: [], volumes: [] };
+
+        for (let i = 0; i < rest.length; i++) {
+            const arg = rest[i];
+
+            if (run.image) {
+                run.command.push(arg);
+                continue;
+            }
+
+            const separator = arg.startsWith('--') ? arg.indexOf('=') : -1;
+            const flag = separator === -1 ? arg : arg.substring(0, separator);
+
+            if (DOCKER_VALUE_FLAGS.includes(flag)) {
+                const value = separator === -1 ? rest[++i] : arg.substring(separator + 1);
+
+                if (flag === '-e' || flag === '--env') {
+                    const equals = value.indexOf('=');
+                    run.env[equals === -1 ? value : value.substring(0, equals)] = equals === -1 ? '' : value.substring(equals + 1);
+                } else if (flag === '-p' || flag === '--publish') {
+                    run.ports.push(value);
+                } else if (flag === '-v' || flag === '--volume') {
+                    run.volumes.push(value);
+                }
+            } else if (!arg.startsWith('-')) {
+                run.image = arg;
+            }
+        }
+
+        return run;
+    }
+
+    /**
+     * Build a healthcheck that connects to the port a service listens on
+     * @param {Object} service - Service
+     * @returns {Object|null} Compose healthcheck, or null without a port or a known probe
+     */
+    createHealthcheck(service) {
+        const port = service.ports.length > 0 ? String(service.ports[0]).split('/')[0].split(':').pop() : null;
+        if (!port) {
+            return null;
+        }
+
+        let test = null;
+        if (service.image === STACK_RUNTIMES[SERVER_KINDS.NPX].image) {
+            test = ['CMD', 'node', '-e', `require('net').connect(${port}, '127.0.0.1').on('connect', () => process.exit(0)).on('error', () => process.exit(1))`];
+        } else if (service.image === STACK_RUNTIMES[SERVER_KINDS.UVX].image) {
+            test = ['CMD', 'python', '-c', `import socket; socket.create_connection(('127.0.0.1', ${port}), 2)`];
+        } else {
+            test = ['CMD-SHELL', `nc -z 127.0.0.1 ${port} || exit 1`];
+        }
+
+        return { test, interval: '30s', timeout: '5s', retries: 3, start_period: '60s' };
+    }
+
+    /**
+     * Build the compose document of a stack
+     * @param {Object} stack - Stack
+     * @returns {Object} Compose document ({ name, services, networks, volumes })
+     */
+    buildComposeDocument(stack) {
+        const services = {};
+        const volumes = {};
+
+        Object.entries(stack.services).forEach(([serviceName, service]) => {
+            const composeService = { image: service.image };
+
+            if (service.command.length > 0) {
+                composeService.command = service.command;
+            }
+            // Stdio servers exit when stdin closes
+            composeService.stdin_open = true;
+            if (service.envFile || Object.keys(service.env).length > 0) {
+                composeService.env_file = [`${serviceName}.env`];
+            }
+            if (service.ports.length > 0) {
+                composeService.ports = service.ports;
+            }
+            if (service.volumes.length > 0) {
+                composeService.volumes = service.volumes;
+            }
+
+            composeService.networks = [STACK_NETWORK];
+            composeService.labels = { 'mcp.server': service.server, 'mcp.stack': stack.id };
+            composeService.restart = 'unless-stopped';
+
+            const healthcheck = service.healthcheck || this.createHealthcheck(service);
+            if (healthcheck) {
+                composeService.healthcheck = healthcheck;
+            }
+
+            services[serviceName] = composeService;
+
+            // Named volumes (not bind mounts) are declared once for the stack
+            service.volumes
+                .map(volume => String(volume).split(':')[0])
+                .filter(source => source && !/^[./~]/.test(source) && !source.includes('/'))
+                .forEach(source => {
+                    volumes[source] = {};
+                });
+        });
+
+        const document = { name: stack.id, services, networks: { [STACK_NETWORK]: {} } };
+        if (Object.keys(volumes).length > 0) {
+            document.volumes = volumes;
+        }
+        return document;
+    }
+
+    /**
+     * Write the compose file of a stack
+     * @param {Object} stack - Stack
+     * @returns {string} docker-compose.yml content
+     */
+    generateComposeFile(stack) {
+        const lines = [`# MCP server stack "${stack.name}"`, '# Secrets go in the <service>.env files next to this file', ''];
+        this.writeYaml(this.buildComposeDocument(stack), 0, lines);
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Read a stack from a compose file, e.g. one generated on another machine
+     * Env values are not in the compose file; services that use an env file get an empty one to fill in.
+     * @param {string} name - Stack name
+     * @param {string} content - docker-compose.yml content
+     * @returns {Object} Stack
+     * @throws {Error} If the file has no services
+     */
+    importComposeFile(name, content) {
+        const document = window.ConfigYaml.parse(content) || {};
+        if (!document.services || typeof document.services !== 'object') {
+            throw new Error('Compose file has no services');
+        }
+
+        const services = {};
+        Object.entries(document.services).forEach(([serviceName, composeService]) => {
+            const environment = composeService.environment || {};
+            const env = Array.isArray(environment)
+                ? Object.fromEntries(environment.map(entry => [String(entry).split('=')[0], '']))
+                : Object.fromEntries(Object.keys(environment).map(key => [key, '']));
+            const labels = Array.isArray(composeService.labels)
+                ? Object.fromEntries(composeService.labels.map(label => String(label).split('=')))
+                : (composeService.labels || {});
+
+            services[serviceName] = {
+                server: labels['mcp.server'] || serviceName,
+                image: composeService.image,
+                command: Array.isArray(composeService.command)
+                    ? composeService.command.map(String)
+                    : (composeService.command ? ['/bin/sh', '-c', String(composeService.command)] : []),
+                env,
+                envFile: Boolean(composeService.env_file),
+                ports: (composeService.ports || []).map(String),
+                volumes: (composeService.volumes || []).map(String),
+                healthcheck: composeService.healthcheck || null
+            };
+        });
+
+        return { id: this.slugify(name || document.name || ''), name: name || document.name, services };
+    }
+
+    /**
+     * Save a stack
+     * @param {Object} stack - Stack
+     * @returns {Object} Saved stack
+     */
+    saveStack(stack) {
+        const now = new Date().toISOString();
+        const existing = this.stacks[stack.id];
+        const saved = { ...stack, createdAt: existing ? existing.createdAt : now, updatedAt: now };
+
+        this.stacks[stack.id] = saved;
+        this.persistStacks();
+        return saved;
+    }
+
+    /**
+     * Get the saved stacks
+     * @returns {Array<Object>} Stacks
+     */
+    getStacks() {
+        return Object.values(this.stacks);
+    }
+
+    /**
+     * Get a saved stack
+     * @param {string} stackId - Stack ID
+     * @returns {Object|null} Stack or null if unknown
+     */
+    getStack(stackId) {
+        return this.stacks[stackId] || null;
+    }
+
+    /**
+     * Forget a saved stack; its containers and files are left alone
+     * @param {string} stackId - Stack ID
+     */
+    deleteStack(stackId) {
+        delete this.stacks[stackId];
+        this.persistStacks();
+    }
+
+    /**
+     * Get the directory the files of a stack are written to
+     * @param {string} stackId - Stack ID
+     * @returns {Promise<string>} Directory path
+     */
+    async getStackDir(stackId) {
+        if (!this.rootDir) {
+            const home = await window.electronAPI.getUserHome();
+            this.rootDir = window.FileSystemAPI.path.join(home, '.mcp-installer', 'stacks');
+        }
+
+        return window.FileSystemAPI.path.join(this.rootDir, stackId);
+    }
+
+    /**
+     * Write the compose file and env files of a stack
+     * Values already in an env file are kept, so secrets are entered once per machine.
+     * @param {string} stackId - Stack ID
+     * @returns {Promise<string>} Path of docker-compose.yml
+     */
+    async writeStack(stackId) {
+        const stack = this.requireStack(stackId);
+        const fileSystem = window.FileSystemAPI;
+        const dir = await this.getStackDir(stackId);
+        const composePath = fileSystem.path.join(dir, 'docker-compose.yml');
+
+        await fileSystem.writeFile(composePath, this.generateComposeFile(stack));
+
+        for (const [serviceName, service] of Object.entries(stack.services)) {
+            if (!service.envFile && Object.keys(service.env).length === 0) {
+                continue;
+            }
+
+            const envPath = fileSystem.path.join(dir, `${serviceName}.env`);
+            const existing = await fileSystem.existsAsync(envPath)
+                ? this.parseEnvFile(await fileSystem.readFile(envPath))
+                : {};
+            const values = { ...service.env, ...existing };
+
+            await fileSystem.writeFile(envPath, `${[
+                `# Environment of ${service.server}`,
+                ...Object.entries(values).map(([key, value]) => `${key}=${value}`)
+            ].join('\n')}\n`);
+        }
+
+        return composePath;
+    }
+
+    /**
+     * Create or update the containers of a stack and start them
+     * @param {string} stackId - Stack ID
+     * @param {Object} [options={}] - Options ({ onOutput })
+     * @returns {Promise<void>}
+     */
+    async up(stackId, options = {}) {
+        const composePath = await this.writeStack(stackId);
+        await this.compose(stackId, ['-f', composePath, 'up', '-d', '--remove-orphans'], {
+            timeout: COMPOSE_UP_TIMEOUT,
+            onStdout: options.onOutput,
+            onStderr: options.onOutput
+        });
+    }
+
+    /**
+     * Stop and remove the containers and network of a stack; named volumes are kept
+     * @param {string} stackId - Stack ID
+     * @returns {Promise<void>}
+     */
+    async down(stackId) {
+        await this.compose(stackId, ['down']);
+    }
+
+    /**
+     * Restart one service of a stack
+     * @param {string} stackId - Stack ID
+     * @param {string} serviceName - Service name
+     * @returns {Promise<void>}
+     */
+    async restartService(stackId, serviceName) {
+        await this.compose(stackId, ['restart', serviceName]);
+    }
+
+    /**
+     * Run docker compose for a stack
+     * @param {string} stackId - Stack ID (the compose project name)
+     * @param {Array<string>} args - Arguments after the project name
+     * @param {Object} [options={}] - Run options
+     * @returns {Promise<Object>} Command result
+     * @private
+     */
+    async compose(stackId, args, options = {}) {
+        try {
+            return await commandRunner.run('docker', ['compose', '-p', stackId, ...args], {
+                timeout: COMPOSE_TIMEOUT,
+                ...options
+            });
+        } catch (error) {
+            console.error(`Error running docker compose ${args[args.length - 1]} for stack ${stackId}:`, error);
+            const detail = error.stderr ? error.stderr.trim() : error.message;
+            throw new Error(`Failed to run docker compose for stack ${stackId}: ${detail}`);
+        }
+    }
+
+    /**
+     * Get a saved stack or fail
+     * @param {string} stackId - Stack ID
+     * @returns {Object} Stack
+     * @private
+     */
+    requireStack(stackId) {
+        const stack = this.getStack(stackId);
+        if (!stack) {
+            throw new Error(`Unknown stack: ${stackId}`);
+        }
+        return stack;
+    }
+
+    /**
+     * Parse an env file
+     * @param {string} content - Env file content
+     * @returns {Object} Values by key
+     * @private
+     */
+    parseEnvFile(content) {
+        const values = {};
+
+        content.split('\n').forEach(line => {
+            const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=(.*)$/);
+            if (match) {
+                values[match[1]] = match[2];
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Write a value as block YAML
+     * @param {*} value - Object or array
+     * @param {number} indent - Indentation
+     * @param {Array<string>} lines - Output lines
+     * @private
+     */
+    writeYaml(value, indent, lines) {
+        const pad = ' '.repeat(indent);
+
+        if (Array.isArray(value)) {
+            value.forEach(item => {
+                if (item !== null && typeof item === 'object' && Object.keys(item).length > 0) {
+                    // The first key of a mapping goes on the dash line
+                    const itemLines = [];
+                    this.writeYaml(item, indent + 2, itemLines);
+                    lines.push(`${pad}- ${itemLines[0].trimStart()}`, ...itemLines.slice(1));
+                } else {
+                    lines.push(`${pad}- ${this.yamlScalar(item)}`);
+                }
+            });
+            return;
+        }
+
+        Object.entries(value).forEach(([key, item]) => {
+            const isCollection = item !== null && typeof item === 'object';
+
+            if (isCollection && Object.keys(item).length > 0) {
+                lines.push(`${pad}${this.yamlScalar(key)}:`);
+                this.writeYaml(item, indent + 2, lines);
+            } else if (isCollection) {
+                lines.push(`${pad}${this.yamlScalar(key)}: ${Array.isArray(item) ? '[]' : '{}'}`);
+            } else {
+                lines.push(`${pad}${this.yamlScalar(key)}: ${this.yamlScalar(item)}`);
+            }
+        });
+    }
+
+    /**
+     * Write a scalar, quoting strings that YAML would read differently
+     * @param {*} value - Scalar
+     * @returns {string} YAML scalar
+     * @private
+     */
+    yamlScalar(value) {
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        if (typeof value !== 'string') {
+            return String(value);
+        }
+        return /^[A-Za-z_/][A-Za-z0-9_./@-]*$/.test(value) && !YAML_RESERVED.test(value)
+            ? value
+            : JSON.stringify(value);
+    }
+
+    /**
+     * Turn a name into a compose project or service name
+     * @param {string} name - Name
+     * @returns {string} Lower-case letters, digits, dashes and underscores
+     * @private
+     */
+    slugify(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^[-_]+|[-_]+$/g, '');
+    }
+
+    /**
+     * Load saved stacks
+     * @returns {Object} Stacks by ID
+     * @private
+     */
+    loadStacks() {
+        try {
+            return JSON.parse(localStorage.getItem(STACKS_STORAGE_KEY) || '{}');
+        } catch (error) {
+            console.error('Error loading compose stacks:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save stacks to local storage
+     * @private
+     */
+    persistStacks() {
+        try {
+            localStorage.setItem(STACKS_STORAGE_KEY, JSON.stringify(this.stacks));
+        } catch (error) {
+            console.error('Error saving compose stacks:', error);
+        }
+    }
+}
+
+// Create singleton instance
+const composeStackManager = new ComposeStackManager();
+
+export default composeStackManager;
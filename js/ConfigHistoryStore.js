@@ -0,0 +1,327 @@
+/**
+ * ConfigHistoryStore.js - File-backed, content-addressed store for configuration versions
+ * Snapshots are written once per distinct content under objects/<aa>/<sha256>.json,
+ * and each configuration has a log of version entries that point at a snapshot:
+ *
+ *   ~/.mcp-installer/config-history/
+ *       objects/3f/3fa9...c2.json
+ *       logs/<configId>.json
+ */
+
+const BUNDLE_FORMAT = 'mcp-config-history';
+const BUNDLE_FORMAT_VERSION = 1;
+
+class ConfigHistoryStore {
+    constructor() {
+        this.rootDir = null;
+        this.knownObjects = new Set();
+    }
+
+    /**
+     * Check whether the file system is available
+     * @returns {boolean} True in the desktop app
+     */
+    isAvailable() {
+        return typeof window.FileSystemAPI !== 'undefined' &&
+            typeof window.electronAPI !== 'undefined' &&
+            typeof window.electronAPI.getUserHome === 'function';
+    }
+
+    /**
+     * Get the directory the history is stored in
+     * @returns {Promise<string>} Directory path
+     */
+    async getRootDir() {
+        if (!this.rootDir) {
+            const home = await window.electronAPI.getUserHome();
+            this.rootDir = window.FileSystemAPI.path.join(home, '.mcp-installer', 'config-history');
+        }
+
+        return this.rootDir;
+    }
+
+    /**
+     * Store a configuration snapshot
+     * Identical snapshots share one object file.
+     * @param {Object} config - Configuration snapshot
+     * @returns {Promise<string>} SHA-256 hash of the snapshot
+     */
+    async writeObject(config) {
+        const content = JSON.stringify(config);
+        const hash = await this.hashContent(content);
+
+        if (this.knownObjects.has(hash)) {
+            return hash;
+        }
+
+        const objectPath = await this.getObjectPath(hash);
+        if (!await window.FileSystemAPI.existsAsync(objectPath)) {
+            await window.FileSystemAPI.writeFile(objectPath, content);
+        }
+
+        this.knownObjects.add(hash);
+        return hash;
+    }
+
+    /**
+     * Read a configuration snapshot
+     * @param {string} hash - Snapshot hash
+     * @returns {Promise<Object>} Configuration snapshot
+     */
+    async readObject(hash) {
+        const content = await window.FileSystemAPI.readFile(await this.getObjectPath(hash));
+
+        // Content-addressed objects must still match their name
+        if (await this.hashContent(content) !== hash) {
+            throw new Error(`Configuration snapshot ${hash} is corrupted`);
+        }
+
+        return JSON.parse(content);
+    }
+
+    /**
+     * List the configurations that have a history
+     * @returns {Promise<Array<string>>} Configuration IDs
+     */
+    async listConfigIds() {
+        const logsDir = window.FileSystemAPI.path.join(await this.getRootDir(), 'logs');
+        const files = await window.FileSystemAPI.listFiles(logsDir, '*.json');
+
+        return files.map(file => decodeURIComponent(file.name.slice(0, -'.json'.length)));
+    }
+
+    /**
+     * Load the version history of a configuration
+     * @param {string} configId - Configuration ID
+     * @returns {Promise<Array<Object>>} Versions with their configuration snapshots
+     */
+    async loadHistory(configId) {
+        const log = await this.readLog(configId);
+        const versions = [];
+
+        for (const entry of log.versions) {
+            versions.push({ ...entry, config: await this.readObject(entry.hash) });
+        }
+
+        return versions;
+    }
+
+    /**
+     * Load the version history of all configurations
+     * @returns {Promise<Object>} Versions by configuration ID
+     */
+    async loadAllHistory() {
+        const history = {};
+
+        for (const configId of await this.listConfigIds()) {
+            history[configId] = await this.loadHistory(configId);
+        }
+
+        return history;
+    }
+
+    /**
+     * Save the version history of a configuration
+     * Versions without a hash get their snapshot written first and are updated in place.
+     * @param {string} configId - Configuration ID
+     * @param {Array<Object>} versions - Versions with their configuration snapshots
+     * @returns {Promise<void>}
+     */
+    async saveHistory(configId, versions) {
+        const entries = [];
+
+        for (const version of versions) {
+            if (!version.hash) {
+                version.hash = await this.writeObject(version.config);
+            }
+
+            const { config, ...entry } = version;
+            entries.push(entry);
+        }
+
+        await window.FileSystemAPI.writeFile(
+            await this.getLogPath(configId),
+            JSON.stringify({ configId, versions: entries }, null, 2)
+        );
+    }
+
+    /**
+     * Delete the version history of a configuration
+     * Its snapshots are removed by the next garbage collection.
+     * @param {string} configId - Configuration ID
+     * @returns {Promise<void>}
+     */
+    async deleteHistory(configId) {
+        await window.FileSystemAPI.deleteFile(await this.getLogPath(configId));
+    }
+
+    /**
+     * Delete snapshots no version refers to anymore
+     * @returns {Promise<Object>} Result ({ deletedObjects, freedBytes })
+     */
+    async collectGarbage() {
+        const referenced = new Set();
+        for (const configId of await this.listConfigIds()) {
+            (await this.readLog(configId)).versions.forEach(entry => referenced.add(entry.hash));
+        }
+
+        const objectsDir = window.FileSystemAPI.path.join(await this.getRootDir(), 'objects');
+        const result = { deletedObjects: 0, freedBytes: 0 };
+
+        if (!await window.FileSystemAPI.existsAsync(objectsDir)) {
+            return result;
+        }
+
+        for (const fanout of await window.FileSystemAPI.readdirAsync(objectsDir)) {
+            const fanoutDir = window.FileSystemAPI.path.join(objectsDir, fanout);
+
+            for (const file of await window.FileSystemAPI.listFiles(fanoutDir, '*.json')) {
+                const hash = file.name.slice(0, -'.json'.length);
+
+                if (!referenced.has(hash)) {
+                    await window.FileSystemAPI.deleteFile(file.path);
+                    this.knownObjects.delete(hash);
+                    result.deletedObjects++;
+                    result.freedBytes += file.size;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Export histories and their snapshots as a single bundle
+     * @param {Array<string>} configIds - Configurations to export (defaults to all)
+     * @returns {Promise<string>} Bundle JSON
+     */
+    async exportBundle(configIds = null) {
+        const bundle = {
+            format: BUNDLE_FORMAT,
+            formatVersion: BUNDLE_FORMAT_VERSION,
+            exportDate: new Date().toISOString(),
+            histories: {},
+            objects: {}
+        };
+
+        for (const configId of configIds || await this.listConfigIds()) {
+            const log = await this.readLog(configId);
+            bundle.histories[configId] = log.versions;
+
+            for (const entry of log.versions) {
+                if (!bundle.objects[entry.hash]) {
+                    bundle.objects[entry.hash] = await window.FileSystemAPI.readFile(await this.getObjectPath(entry.hash));
+                }
+            }
+        }
+
+        return JSON.stringify(bundle);
+    }
+
+    /**
+     * Import a bundle created by exportBundle
+     * Versions already in the history are skipped, new ones are appended.
+     * @param {string} json - Bundle JSON
+     * @returns {Promise<Object>} Imported version count by configuration ID
+     */
+    async importBundle(json) {
+        const bundle = JSON.parse(json);
+
+        if (bundle.format !== BUNDLE_FORMAT || !bundle.histories || !bundle.objects) {
+            throw new Error('Not a configuration history bundle');
+        }
+
+        // Verify every snapshot before anything is written
+        for (const [hash, content] of Object.entries(bundle.objects)) {
+            if (await this.hashContent(content) !== hash) {
+                throw new Error(`Snapshot ${hash} in the bundle is corrupted`);
+            }
+        }
+
+        const imported = {};
+
+        for (const [configId, entries] of Object.entries(bundle.histories)) {
+            const log = await this.readLog(configId);
+            const existing = new Set(log.versions.map(entry => `${entry.timestamp}:${entry.hash}`));
+            let nextVersion = log.versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+
+            imported[configId] = 0;
+
+            for (const entry of entries) {
+                if (existing.has(`${entry.timestamp}:${entry.hash}`)) {
+                    continue;
+                }
+
+                if (!bundle.objects[entry.hash]) {
+                    throw new Error(`Snapshot ${entry.hash} is missing from the bundle`);
+                }
+
+                await this.writeObject(JSON.parse(bundle.objects[entry.hash]));
+                log.versions.push({ ...entry, version: nextVersion++ });
+                imported[configId]++;
+            }
+
+            await this.saveHistory(configId, log.versions);
+        }
+
+        return imported;
+    }
+
+    /**
+     * Read the log of a configuration
+     * @param {string} configId - Configuration ID
+     * @returns {Promise<Object>} Log ({ configId, versions })
+     * @private
+     */
+    async readLog(configId) {
+        const logPath = await this.getLogPath(configId);
+
+        if (!await window.FileSystemAPI.existsAsync(logPath)) {
+            return { configId, versions: [] };
+        }
+
+        return JSON.parse(await window.FileSystemAPI.readFile(logPath));
+    }
+
+    /**
+     * Get the path of a configuration log
+     * @param {string} configId - Configuration ID
+     * @returns {Promise<string>} Log path
+     * @private
+     */
+    async getLogPath(configId) {
+        return window.FileSystemAPI.path.join(await this.getRootDir(), 'logs', `${encodeURIComponent(configId)}.json`);
+    }
+
+    /**
+     * Get the path of a snapshot object
+     * @param {string} hash - Snapshot hash
+     * @returns {Promise<string>} Object path
+     * @private
+     */
+    async getObjectPath(hash) {
+        return window.FileSystemAPI.path.join(await this.getRootDir(), 'objects', hash.slice(0, 2), `${hash}.json`);
+    }
+
+    /**
+     * Hash snapshot content with SHA-256
+     * @param {string} content - Snapshot content
+     * @returns {Promise<string>} Hex digest
+     * @private
+     */
+    async hashContent(content) {
+        const cryptoApi = (typeof window !== 'undefined' && window.crypto) || globalThis.crypto;
+        if (!cryptoApi || !cryptoApi.subtle) {
+            throw new Error('Web Crypto is not available in this environment');
+        }
+
+        const digest = await cryptoApi.subtle.digest('SHA-256', new TextEncoder().encode(content));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Create singleton instance
+const configHistoryStore = new ConfigHistoryStore();
+
+// Export for use in other modules
+export default configHistoryStore;
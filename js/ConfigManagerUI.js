@@ -587,33 +587,113 @@ class ConfigManagerUI {
     
     /**
      * Render changes for a version
+     * Path-level operations and merge conflicts are shown side by side.
      * @param {Object} changes - Changes object
+     * @param {Array<Object>} conflicts - Merge conflicts ({ path, base, ours, theirs })
      * @returns {string} HTML for changes
      */
-    renderChanges(changes) {
+    renderChanges(changes, conflicts = []) {
         if (!changes) {
             return '';
         }
         
-        const { added, modified, removed } = changes;
+        const { added, modified, removed, operations } = changes;
         let html = '<div class="version-changes mt-2">';
         
-        if (added && added.length > 0) {
-            html += `<div class="text-success">Added: ${added.join(', ')}</div>`;
-        }
-        
-        if (modified && modified.length > 0) {
-            html += `<div class="text-primary">Modified: ${modified.join(', ')}</div>`;
+        if (operations && operations.length > 0) {
+            html += `
+                <table class="table table-sm version-diff mb-0">
+                    <thead><tr><th>Path</th><th>Before</th><th>After</th></tr></thead>
+                    <tbody>
+            `;
+            
+            for (const operation of operations) {
+                const before = operation.op === 'move' ? operation.value : operation.oldValue;
+                const path = operation.op === 'move'
+                    ? `${this.escapeHtml(operation.from)} &rarr; ${this.escapeHtml(operation.path)}`
+                    : this.escapeHtml(operation.path || '/');
+                
+                html += `
+                    <tr class="diff-${operation.op}">
+                        <td><code>${path}</code></td>
+                        <td class="diff-before">${this.formatDiffValue(before)}</td>
+                        <td class="diff-after">${operation.op === 'remove' ? this.formatDiffValue(undefined) : this.formatDiffValue(operation.value)}</td>
+                    </tr>
+                `;
+            }
+            
+            html += '</tbody></table>';
+        } else {
+            // Initial versions and history recorded before path-level diffs only list paths
+            if (added && added.length > 0) {
+                html += `<div class="text-success">Added: ${this.escapeHtml(added.join(', '))}</div>`;
+            }
+            
+            if (modified && modified.length > 0) {
+                html += `<div class="text-primary">Modified: ${this.escapeHtml(modified.join(', '))}</div>`;
+            }
+            
+            if (removed && removed.length > 0) {
+                html += `<div class="text-danger">Removed: ${this.escapeHtml(removed.join(', '))}</div>`;
+            }
         }
         
-        if (removed && removed.length > 0) {
-            html += `<div class="text-danger">Removed: ${removed.join(', ')}</div>`;
+        if (conflicts.length > 0) {
+            html += `
+                <div class="text-warning mt-2">Conflicts: ${conflicts.length}</div>
+                <table class="table table-sm version-diff mb-0">
+                    <thead><tr><th>Path</th><th>Ours</th><th>Theirs</th></tr></thead>
+                    <tbody>
+            `;
+            
+            for (const conflict of conflicts) {
+                html += `
+                    <tr class="diff-conflict">
+                        <td>
+                            <code>${this.escapeHtml(conflict.path || '/')}</code>
+                            <div class="text-muted">Base: ${this.formatDiffValue(conflict.base)}</div>
+                        </td>
+                        <td class="diff-before">${this.formatDiffValue(conflict.ours)}</td>
+                        <td class="diff-after">${this.formatDiffValue(conflict.theirs)}</td>
+                    </tr>
+                `;
+            }
+            
+            html += '</tbody></table>';
         }
         
         html += '</div>';
         
         return html;
     }
+    
+    /**
+     * Format a value for a diff table cell
+     * @param {*} value - Value to format
+     * @returns {string} HTML for the value
+     * @private
+     */
+    formatDiffValue(value) {
+        if (value === undefined) {
+            return '<span class="text-muted">(absent)</span>';
+        }
+        
+        return `<code>${this.escapeHtml(JSON.stringify(value))}</code>`;
+    }
+    
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     * @private
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
 }
 
 // Add CSS styles for the config manager UI
@@ -645,6 +725,25 @@ const addConfigManagerStyles = () => {
         .version-changes {
             font-size: 0.8rem;
         }
+        
+        .version-diff td {
+            word-break: break-all;
+        }
+        
+        .version-diff .diff-add .diff-after,
+        .version-diff .diff-replace .diff-after {
+            background-color: #e6f4ea;
+        }
+        
+        .version-diff .diff-remove .diff-before,
+        .version-diff .diff-replace .diff-before {
+            background-color: #fdecea;
+        }
+        
+        .version-diff .diff-move td,
+        .version-diff .diff-conflict td {
+            background-color: #fff4e5;
+        }
     `;
     document.head.appendChild(style);
 };
@@ -0,0 +1,314 @@
+/**
+ * ConfigSecretResolver.js - Keeps secrets out of stored MCP server configurations
+ * Server env values can reference vault secrets as ${secret:name}. References are
+ * resolved only when a client config file is written, so stored configs, backups
+ * and version history never contain the secret values.
+ */
+
+import securityManager from './SecurityManager.js';
+
+const SECRET_REFERENCE = /\$\{secret:([A-Za-z0-9_.-]+)\}/g;
+
+// Env variable names that usually hold secrets
+const SECRET_ENV_NAME = /(TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|ACCESS_?KEY|PRIVATE_?KEY|CREDENTIALS?|AUTH)/i;
+
+// Value formats of well-known tokens, flagged whatever the variable is called
+const SECRET_VALUE_PATTERNS = [
+    /^gh[pousr]_[A-Za-z0-9]{30,}$/,     // GitHub tokens
+    /^github_pat_[A-Za-z0-9_]{40,}$/,   // GitHub fine-grained tokens
+    /^sk-[A-Za-z0-9_-]{20,}$/,          // OpenAI / Anthropic style keys
+    /^xox[abpr]-[A-Za-z0-9-]{10,}$/,    // Slack tokens
+    /^AKIA[0-9A-Z]{16}$/,               // AWS access key IDs
+    /^BSA[A-Za-z0-9_-]{20,}$/           // Brave Search API keys
+];
+
+// Values that are placeholders rather than secrets
+const NON_SECRET_VALUES = /^(true|false|\d+|<.*>|your[-_ ].*|changeme|xxx+)$/i;
+
+class ConfigSecretResolver {
+    /**
+     * Build the reference string for a secret
+     * @param {string} name - Secret name
+     * @returns {string} Reference (${secret:name})
+     */
+    createReference(name) {
+        return `\${secret:${name}}`;
+    }
+
+    /**
+     * Check whether a value contains secret references
+     * @param {*} value - Value to check
+     * @returns {boolean} True if the value references a secret
+     */
+    hasReference(value) {
+        return typeof value === 'string' && new RegExp(SECRET_REFERENCE.source).test(value);
+    }
+
+    /**
+     * List the secrets referenced by the servers of a config
+     * @param {Object} config - Config with an mcpServers map
+     * @returns {Array<string>} Secret names
+     */
+    findReferences(config) {
+        const names = new Set();
+
+        this.forEachEnvValue(config, (serverName, envName, value) => {
+            if (typeof value === 'string') {
+                for (const match of value.matchAll(SECRET_REFERENCE)) {
+                    names.add(match[1]);
+                }
+            }
+        });
+
+        return [...names];
+    }
+
+    /**
+     * Replace secret references with the values from the vault
+     * The config passed in is left untouched.
+     * @param {Object} config - Config with an mcpServers map
+     * @returns {Promise<Object>} Config with resolved env values
+     */
+    async resolveConfig(config) {
+        const names = this.findReferences(config);
+        const resolved = JSON.parse(JSON.stringify(config));
+
+        if (names.length === 0) {
+            return resolved;
+        }
+
+        this.ensureVaultUnlocked('write configs that reference secrets');
+
+        const values = {};
+        const missing = [];
+        for (const name of names) {
+            const value = await securityManager.getSecret(name);
+            if (value === null) {
+                missing.push(name);
+            } else {
+                values[name] = value;
+            }
+        }
+
+        // Writing a config with unresolved references would start servers with broken credentials
+        if (missing.length > 0) {
+            throw new Error(`Secrets not found in the vault: ${missing.join(', ')}`);
+        }
+
+        this.forEachEnvValue(resolved, (serverName, envName, value, env) => {
+            if (typeof value === 'string') {
+                env[envName] = value.replace(SECRET_REFERENCE, (match, name) => values[name]);
+            }
+        });
+
+        return resolved;
+    }
+
+    /**
+     * Collect where each server env value references a secret
+     * With the resolved config, each entry also records a hash of the value written in its place.
+     * @param {Object} config - Config with an mcpServers map
+     * @param {Object} [resolvedConfig] - The config returned by resolveConfig
+     * @returns {Object} References by server and env name
+     *   ({ server: { ENV_NAME: { reference: '${secret:name}', valueHash } } })
+     */
+    getReferenceMap(config, resolvedConfig = null) {
+        const map = {};
+
+        this.forEachEnvValue(config, (serverName, envName, value) => {
+            if (this.hasReference(value)) {
+                const resolvedValue = resolvedConfig ? resolvedConfig.mcpServers[serverName].env[envName] : null;
+                map[serverName] = map[serverName] || {};
+                map[serverName][envName] = {
+                    reference: value,
+                    valueHash: resolvedValue === null ? null : this.hashValue(resolvedValue)
+                };
+            }
+        });
+
+        return map;
+    }
+
+    /**
+     * Put references back into a config that was read from a written file
+     * Only env values that are still the ones written from the vault are restored,
+     * values edited in the file since then are kept.
+     * @param {Object} config - Config read from disk (modified in place)
+     * @param {Object} referenceMap - Map returned by getReferenceMap with the resolved config
+     * @returns {Object} The config
+     */
+    applyReferenceMap(config, referenceMap) {
+        Object.entries(referenceMap || {}).forEach(([serverName, envRefs]) => {
+            const env = config.mcpServers && config.mcpServers[serverName] && config.mcpServers[serverName].env;
+            if (!env) {
+                return;
+            }
+
+            Object.entries(envRefs).forEach(([envName, entry]) => {
+                if (typeof env[envName] === 'string' && entry && entry.valueHash
+                    && this.hashValue(env[envName]) === entry.valueHash) {
+                    env[envName] = entry.reference;
+                }
+            });
+        });
+
+        return config;
+    }
+
+    /**
+     * Hash a resolved env value, so written values can be recognized without storing them
+     * @param {string} value - Value
+     * @returns {string} SHA-256 hash as hex
+     * @private
+     */
+    hashValue(value) {
+        return window.require('crypto').createHash('sha256').update(value).digest('hex');
+    }
+
+    /**
+     * Find env values that look like plaintext secrets
+     * @param {Object} config - Config with an mcpServers map
+     * @returns {Array<Object>} Findings ({ serverName, envName, secretName, reason })
+     */
+    findPlaintextSecrets(config) {
+        const findings = [];
+
+        this.forEachEnvValue(config, (serverName, envName, value) => {
+            if (typeof value !== 'string' || !value.trim() || this.hasReference(value)) {
+                return;
+            }
+
+            let reason = null;
+            if (SECRET_VALUE_PATTERNS.some(pattern => pattern.test(value))) {
+                reason = 'value looks like a token';
+            } else if (SECRET_ENV_NAME.test(envName) && !NON_SECRET_VALUES.test(value)) {
+                reason = 'variable name suggests a secret';
+            }
+
+            if (reason) {
+                findings.push({
+                    serverName,
+                    envName,
+                    secretName: this.suggestSecretName(serverName, envName),
+                    reason
+                });
+            }
+        });
+
+        return findings;
+    }
+
+    /**
+     * Move plaintext secrets into the vault and replace them with references
+     * A suggested name that is already taken by a different value, in the vault or earlier
+     * in the batch, gets the server name and then a number added, so no secret is overwritten.
+     * @param {Object} config - Config with an mcpServers map (modified in place)
+     * @param {Array<Object>} findings - Findings from findPlaintextSecrets (defaults to all)
+     * @returns {Promise<Array<Object>>} The findings that were moved, with the secret names used
+     */
+    async moveSecretsToVault(config, findings = null) {
+        this.ensureVaultUnlocked('move secrets into it');
+
+        const moved = [];
+        const batch = {};
+
+        for (const finding of findings || this.findPlaintextSecrets(config)) {
+            const env = config.mcpServers[finding.serverName].env;
+            const value = env[finding.envName];
+            const secretName = await this.chooseSecretName(finding, value, batch);
+
+            if (!await securityManager.storeSecret(secretName, value)) {
+                throw new Error(`Could not store secret ${secretName} in the vault`);
+            }
+
+            batch[secretName] = value;
+            env[finding.envName] = this.createReference(secretName);
+            moved.push({ ...finding, secretName });
+        }
+
+        return moved;
+    }
+
+    /**
+     * Pick a secret name that does not hold a different value yet
+     * @param {Object} finding - Finding ({ serverName, envName, secretName })
+     * @param {string} value - Secret value
+     * @param {Object} batch - Values stored so far in this batch by secret name
+     * @returns {Promise<string>} Secret name
+     * @private
+     */
+    async chooseSecretName(finding, value, batch) {
+        const qualified = this.suggestSecretName(finding.serverName, finding.envName, true);
+        const candidates = [...new Set([finding.secretName, qualified])];
+
+        for (let i = 0; ; i++) {
+            const name = i < candidates.length ? candidates[i] : `${qualified}-${i - candidates.length + 2}`;
+            const existing = name in batch ? batch[name] : await securityManager.getSecret(name);
+
+            // The same value under the same name is shared rather than stored twice
+            if (existing === null || existing === value) {
+                return name;
+            }
+        }
+    }
+
+    /**
+     * Throw unless secrets can be kept in a master-password vault that is unlocked
+     * Without a master password the vault key only lives for the session, so the
+     * secrets would be lost on restart and every reference would break.
+     * @param {string} action - What the vault is needed for, e.g. "move secrets into it"
+     * @private
+     */
+    ensureVaultUnlocked(action) {
+        if (!securityManager.isVaultEnabled()) {
+            throw new Error(`Set a master password for the credential vault to ${action}`);
+        }
+
+        if (securityManager.isLocked()) {
+            throw new Error(`Unlock the credential vault to ${action}`);
+        }
+    }
+
+    /**
+     * Derive a secret name from a server and env variable name
+     * @param {string} serverName - Server name
+     * @param {string} envName - Env variable name
+     * @param {boolean} [qualified=false] - Always start with the full server name
+     * @returns {string} Secret name (e.g. github-personal-access-token)
+     * @private
+     */
+    suggestSecretName(serverName, envName, qualified = false) {
+        const toName = value => value.toLowerCase().replace(/[^a-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '');
+        const server = toName(serverName);
+        const env = toName(envName);
+
+        if (qualified) {
+            return env.startsWith(`${server}-`) ? env : `${server}-${env}`;
+        }
+
+        // GITHUB_TOKEN on the github server becomes github-token, not github-github-token
+        return env.startsWith(`${server.split('-')[0]}-`) ? env : `${server}-${env}`;
+    }
+
+    /**
+     * Call a function for every env value of every server
+     * @param {Object} config - Config with an mcpServers map
+     * @param {Function} callback - Called with (serverName, envName, value, env)
+     * @private
+     */
+    forEachEnvValue(config, callback) {
+        Object.entries((config && config.mcpServers) || {}).forEach(([serverName, server]) => {
+            if (server && server.env && typeof server.env === 'object') {
+                Object.entries(server.env).forEach(([envName, value]) => {
+                    callback(serverName, envName, value, server.env);
+                });
+            }
+        });
+    }
+}
+
+// Create singleton instance
+const configSecretResolver = new ConfigSecretResolver();
+
+// Export for use in other modules
+export default configSecretResolver;
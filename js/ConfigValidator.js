@@ -5,6 +5,7 @@
 
 import logger from './logger.js';
 import configTemplateManager from './ConfigTemplateManager.js';
+import portRegistry from './PortRegistry.js';
 
 class ConfigValidator {
     constructor() {
@@ -42,10 +43,18 @@ class ConfigValidator {
      */
     registerCustomValidators() {
         // Register port availability validator
-        this.registerCustomValidator('portAvailable', (value, schema, path) => {
-            // In a real implementation, this would check if the port is available
-            // For this demo, we'll just return true
-            return { valid: true };
+        // Validation is synchronous, so the port registry answers from reserved ports and
+        // recent probes instead of binding the port here
+        this.registerCustomValidator('portAvailable', (value, schema, path, args, context) => {
+            if (value === undefined || value === null) {
+                return { valid: true };
+            }
+            
+            const conflict = portRegistry.getConflict(value, context.config._id);
+            return {
+                valid: !conflict,
+                errors: conflict ? [conflict] : []
+            };
         });
         
         // Register path existence validator
@@ -59,26 +68,40 @@ class ConfigValidator {
         });
         
         // Register unique port validator
-        this.registerCustomValidator('uniquePort', (value, schema, path, configs) => {
-            if (!configs || !Array.isArray(configs)) {
-                return { valid: true };
-            }
+        this.registerCustomValidator('uniquePort', (value, schema, path, args, context) => {
+            const owner = context.config._id;
             
             // Check if port is used in any other configuration
-            const portConflicts = configs.filter(config => 
-                config.port === value && config._id !== schema._id
+            const portConflicts = context.configs.filter(config =>
+                config !== context.config
+                && (owner === undefined || config._id !== owner)
+                && this.getValueByPath(config, path) === value
             );
             
+            if (portConflicts.length > 0) {
+                return {
+                    valid: false,
+                    errors: [`Port ${value} is already in use by another server`]
+                };
+            }
+            
+            // Check the ports of installed servers and their HTTPS endpoints
+            const reservation = portRegistry.getReservation(value, {
+                owner,
+                sources: ['server', 'https', 'allocation']
+            });
+            
             return {
-                valid: portConflicts.length === 0,
-                errors: portConflicts.length > 0 ? 
-                    [`Port ${value} is already in use by another server`] : []
+                valid: !reservation,
+                errors: reservation ? [`Port ${value} is already in use by ${reservation.name}`] : []
             };
         });
     }
     
     /**
      * Register a custom validator
+     * Validators are called with (value, schema, path, args, context), where context
+     * holds the validated config and the other configs ({ config, configs }).
      * @param {string} name - Validator name
      * @param {Function} validator - Validator function
      */
@@ -274,6 +297,14 @@ class ConfigValidator {
         return true; // Type validation passed
     }
     
+    /**
+     * Validates the constraints of a single property.
+     * @private
+     */
+    _validatePropertyConstraints(key, value, propSchema, errors) {
+        errors.push(...this.validateConstraints(value, propSchema, key));
+    }
+    
     /**
      * Validate a value against a type
      * @param {*} value - Value to validate
@@ -765,10 +796,12 @@ class ConfigValidator {
      * @param {Object} config - Configuration to validate
      * @param {Object} schema - Schema to validate against
      * @param {Object} options - Validation options
+     * @param {Array} [options.configs] - All configurations, for validators that compare them
      * @returns {Array} Validation errors
      */
     applyCustomValidators(config, schema, options) {
         const errors = [];
+        const context = { config, configs: Array.isArray(options.configs) ? options.configs : [] };
         
         // Skip if no custom validators
         if (!schema.customValidators || !Array.isArray(schema.customValidators)) {
@@ -789,7 +822,7 @@ class ConfigValidator {
             const value = path ? this.getValueByPath(config, path) : config;
             
             // Apply validator
-            const result = this.customValidators[name](value, schema, path || '', args);
+            const result = this.customValidators[name](value, schema, path || '', args, context);
             
             // Add errors if validation failed
             if (!result.valid && result.errors) {
@@ -1,27 +1,39 @@
 /**
  * ConfigVersionManager.js - Manages version control for MCP server configurations
  * Tracks configuration changes and maintains version history
+ * In the desktop app history is kept in ConfigHistoryStore on disk without a cap;
+ * elsewhere it falls back to a capped history in localStorage.
  */
 
+import configHistoryStore from './ConfigHistoryStore.js';
 import logger from './logger.js';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 class ConfigVersionManager {
     constructor() {
         this.configHistory = {};
-        this.maxHistoryLength = 20; // Maximum number of versions to keep per config
+        this.historyStore = configHistoryStore;
+        this.maxHistoryLength = 20; // Maximum number of versions to keep per config in localStorage
+        this.pendingWrites = Promise.resolve();
         
         // Initialize version manager
-        this.initializeVersionManager();
+        this.ready = this.initializeVersionManager();
     }
     
     /**
      * Initialize version manager
+     * @returns {Promise<void>} Resolves once the stored history is loaded
      */
-    initializeVersionManager() {
+    async initializeVersionManager() {
         try {
             // Load configuration history from localStorage
             this.loadConfigHistory();
             
+            if (this.historyStore.isAvailable()) {
+                await this.loadStoredHistory();
+            }
+            
             logger.info('Configuration version manager initialized');
         } catch (error) {
             logger.error('Error initializing configuration version manager:', error);
@@ -44,9 +56,76 @@ class ConfigVersionManager {
     }
     
     /**
-     * Save configuration history to localStorage
+     * Load configuration history from the history store
+     * History left in localStorage by earlier releases, and versions added while
+     * the store was still loading, are appended to the stored log and renumbered.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async loadStoredHistory() {
+        const storedHistory = await this.historyStore.loadAllHistory();
+        
+        for (const [configId, versions] of Object.entries(this.configHistory)) {
+            const stored = storedHistory[configId] || [];
+            const last = stored[stored.length - 1];
+            const missing = versions.filter(version => !last
+                || version.timestamp > last.timestamp
+                || (version.timestamp === last.timestamp
+                    && JSON.stringify(version.config) !== JSON.stringify(last.config)));
+            
+            if (missing.length > 0) {
+                storedHistory[configId] = this.appendVersions(stored, missing);
+                await this.historyStore.saveHistory(configId, storedHistory[configId]);
+            }
+        }
+        
+        this.configHistory = storedHistory;
+        localStorage.removeItem('mcp_config_history');
+    }
+    
+    /**
+     * Append versions to a history, continuing its numbering
+     * Changes are recalculated against the new predecessor and tags held by the
+     * appended versions are moved off the existing ones.
+     * @param {Array} history - Existing versions
+     * @param {Array} versions - Versions to append (updated in place)
+     * @returns {Array} Combined history
+     * @private
      */
-    saveConfigHistory() {
+    appendVersions(history, versions) {
+        const movedTags = versions.flatMap(version => version.tags || []);
+        const combined = history.map(version => ({
+            ...version,
+            tags: (version.tags || []).filter(tag => !movedTags.includes(tag))
+        }));
+        
+        for (const version of versions) {
+            const previous = combined[combined.length - 1];
+            version.version = previous ? previous.version + 1 : 1;
+            version.changes = this.calculateChanges(previous?.config, version.config);
+            combined.push(version);
+        }
+        
+        return combined;
+    }
+    
+    /**
+     * Save configuration history
+     * @param {string} configId - Configuration that changed (all if omitted)
+     */
+    saveConfigHistory(configId = null) {
+        if (this.historyStore.isAvailable()) {
+            const configIds = configId ? [configId] : Object.keys(this.configHistory);
+            
+            // Read the history when the write runs: it is replaced once the store has loaded
+            for (const id of configIds) {
+                this.persist(() => (this.configHistory[id]
+                    ? this.historyStore.saveHistory(id, this.configHistory[id])
+                    : this.historyStore.deleteHistory(id)));
+            }
+            return;
+        }
+        
         try {
             localStorage.setItem('mcp_config_history', JSON.stringify(this.configHistory));
         } catch (error) {
@@ -54,14 +133,40 @@ class ConfigVersionManager {
         }
     }
     
+    /**
+     * Queue a write to the history store
+     * Writes run one after another so logs are never written out of order, and
+     * not before the stored history has loaded so they cannot overwrite it.
+     * @param {Function} task - Async write
+     * @private
+     */
+    persist(task) {
+        this.pendingWrites = this.pendingWrites
+            .then(() => this.ready)
+            .then(task)
+            .catch(error => logger.error('Error writing configuration history:', error));
+    }
+    
+    /**
+     * Wait until all queued history writes are done
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await this.ready;
+        await this.pendingWrites;
+    }
+    
     /**
      * Add a new version of a configuration
      * @param {string} configId - Configuration ID
      * @param {Object} config - Configuration object
      * @param {string} comment - Comment describing the changes
+     * @param {Object} options - Version options
+     * @param {string} options.author - Author of the change
+     * @param {Array<string>} options.tags - Tags for the new version
      * @returns {Object} Version info
      */
-    addVersion(configId, config, comment = '') {
+    addVersion(configId, config, comment = '', options = {}) {
         try {
             if (!configId) {
                 logger.error('Configuration ID is required');
@@ -87,26 +192,33 @@ class ConfigVersionManager {
             
             // Create version info
             const versionInfo = {
-                version: this.configHistory[configId].length + 1,
+                version: latestVersion ? latestVersion.version + 1 : 1,
                 timestamp: Date.now(),
                 config: JSON.parse(JSON.stringify(config)), // Deep clone config
                 comment: comment || `Configuration update ${new Date().toISOString()}`,
-                author: 'User', // In a real app, this would be the current user
+                author: options.author || 'User',
+                tags: [],
                 changes: this.calculateChanges(latestVersion?.config, config)
             };
             
+            // Tags are unique per configuration, so move them to the new version
+            for (const tag of options.tags || []) {
+                this.removeTag(configId, tag);
+                versionInfo.tags.push(tag);
+            }
+            
             // Add version to history
             this.configHistory[configId].push(versionInfo);
             
-            // Trim history if needed
-            if (this.configHistory[configId].length > this.maxHistoryLength) {
+            // Trim history if needed (the history store keeps everything)
+            if (!this.historyStore.isAvailable() && this.configHistory[configId].length > this.maxHistoryLength) {
                 this.configHistory[configId] = this.configHistory[configId].slice(
                     this.configHistory[configId].length - this.maxHistoryLength
                 );
             }
             
             // Save history
-            this.saveConfigHistory();
+            this.saveConfigHistory(configId);
             
             logger.info(`Added version ${versionInfo.version} for configuration ${configId}`);
             
@@ -119,42 +231,406 @@ class ConfigVersionManager {
     
     /**
      * Calculate changes between two configurations
+     * Paths are JSON Pointers (RFC 6901), so a single env var change inside
+     * mcpServers.github is reported as /mcpServers/github/env/NAME.
      * @param {Object} oldConfig - Old configuration
      * @param {Object} newConfig - New configuration
-     * @returns {Object} Changes object
+     * @returns {Object} Changes object ({ added, modified, removed, moved, operations })
      */
     calculateChanges(oldConfig, newConfig) {
+        const toPaths = config => Object.keys(config).map(key => `/${this.escapePointerToken(key)}`);
+        
         if (!oldConfig) {
-            return { added: Object.keys(newConfig), modified: [], removed: [] };
+            return { added: toPaths(newConfig), modified: [], removed: [], moved: [], operations: [] };
         }
         
         if (!newConfig) {
-            return { added: [], modified: [], removed: Object.keys(oldConfig) };
+            return { added: [], modified: [], removed: toPaths(oldConfig), moved: [], operations: [] };
+        }
+        
+        const operations = this.diffValues(oldConfig, newConfig);
+        const pathsFor = op => operations.filter(operation => operation.op === op).map(operation => operation.path);
+        
+        return {
+            added: pathsFor('add'),
+            modified: pathsFor('replace'),
+            removed: pathsFor('remove'),
+            moved: pathsFor('move'),
+            operations
+        };
+    }
+    
+    /**
+     * Recursively diff two values
+     * Operations use JSON Patch names (add, remove, replace, move). Paths of
+     * removed array elements and move sources refer to the old array, all other
+     * paths to the new one.
+     * @param {*} oldValue - Old value
+     * @param {*} newValue - New value
+     * @param {string} path - JSON Pointer of the values
+     * @param {Array<Object>} operations - Operations collected so far
+     * @returns {Array<Object>} Operations ({ op, path, from, oldValue, value })
+     */
+    diffValues(oldValue, newValue, path = '', operations = []) {
+        if (this.isEqual(oldValue, newValue)) {
+            return operations;
+        }
+        
+        if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+            this.diffArrays(oldValue, newValue, path, operations);
+        } else if (this.isPlainObject(oldValue) && this.isPlainObject(newValue)) {
+            for (const key of Object.keys(newValue)) {
+                const childPath = `${path}/${this.escapePointerToken(key)}`;
+                
+                if (!Object.prototype.hasOwnProperty.call(oldValue, key)) {
+                    operations.push({ op: 'add', path: childPath, value: this.cloneValue(newValue[key]) });
+                } else {
+                    this.diffValues(oldValue[key], newValue[key], childPath, operations);
+                }
+            }
+            
+            for (const key of Object.keys(oldValue)) {
+                if (!Object.prototype.hasOwnProperty.call(newValue, key)) {
+                    operations.push({
+                        op: 'remove',
+                        path: `${path}/${this.escapePointerToken(key)}`,
+                        oldValue: this.cloneValue(oldValue[key])
+                    });
+                }
+            }
+        } else {
+            operations.push({
+                op: 'replace',
+                path,
+                oldValue: this.cloneValue(oldValue),
+                value: this.cloneValue(newValue)
+            });
+        }
+        
+        return operations;
+    }
+    
+    /**
+     * Diff two arrays
+     * Elements kept in order are matched by their longest common subsequence.
+     * Unmatched elements that appear on both sides are reported as moves, and
+     * unmatched elements at the same index are diffed recursively.
+     * @param {Array} oldArray - Old array
+     * @param {Array} newArray - New array
+     * @param {string} path - JSON Pointer of the array
+     * @param {Array<Object>} operations - Operations collected so far
+     * @private
+     */
+    diffArrays(oldArray, newArray, path, operations) {
+        const oldKeys = oldArray.map(value => this.toCanonicalJson(value));
+        const newKeys = newArray.map(value => this.toCanonicalJson(value));
+        const matches = this.findCommonSubsequence(oldKeys, newKeys);
+        
+        const unmatchedOld = oldKeys.map((key, index) => index).filter(index => !matches.some(([oldIndex]) => oldIndex === index));
+        const unmatchedNew = newKeys.map((key, index) => index).filter(index => !matches.some(([, newIndex]) => newIndex === index));
+        
+        for (const newIndex of unmatchedNew) {
+            const movedFrom = unmatchedOld.find(oldIndex => oldKeys[oldIndex] === newKeys[newIndex]);
+            
+            if (movedFrom !== undefined) {
+                unmatchedOld.splice(unmatchedOld.indexOf(movedFrom), 1);
+                operations.push({
+                    op: 'move',
+                    from: `${path}/${movedFrom}`,
+                    path: `${path}/${newIndex}`,
+                    value: this.cloneValue(newArray[newIndex])
+                });
+            } else if (unmatchedOld.includes(newIndex)) {
+                unmatchedOld.splice(unmatchedOld.indexOf(newIndex), 1);
+                this.diffValues(oldArray[newIndex], newArray[newIndex], `${path}/${newIndex}`, operations);
+            } else {
+                operations.push({ op: 'add', path: `${path}/${newIndex}`, value: this.cloneValue(newArray[newIndex]) });
+            }
+        }
+        
+        for (const oldIndex of unmatchedOld) {
+            operations.push({ op: 'remove', path: `${path}/${oldIndex}`, oldValue: this.cloneValue(oldArray[oldIndex]) });
+        }
+    }
+    
+    /**
+     * Find the longest common subsequence of two key lists
+     * @param {Array<string>} oldKeys - Keys of the old elements
+     * @param {Array<string>} newKeys - Keys of the new elements
+     * @returns {Array<Array<number>>} Matched index pairs ([oldIndex, newIndex])
+     * @private
+     */
+    findCommonSubsequence(oldKeys, newKeys) {
+        const lengths = Array.from({ length: oldKeys.length + 1 }, () => new Array(newKeys.length + 1).fill(0));
+        
+        for (let i = oldKeys.length - 1; i >= 0; i--) {
+            for (let j = newKeys.length - 1; j >= 0; j--) {
+                lengths[i][j] = oldKeys[i] === newKeys[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
         }
         
-        const changes = {
-            added: [],
-            modified: [],
-            removed: []
+        const matches = [];
+        let i = 0;
+        let j = 0;
+        
+        while (i < oldKeys.length && j < newKeys.length) {
+            if (oldKeys[i] === newKeys[j]) {
+                matches.push([i, j]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+        
+        return matches;
+    }
+    
+    /**
+     * Three-way merge of configurations
+     * Changes made on only one side are taken over. Where both sides changed the
+     * same path differently, the current value (ours) is kept and a conflict is
+     * reported. Arrays are merged as a whole.
+     * @param {Object} base - Common ancestor configuration
+     * @param {Object} ours - Current configuration (e.g. edited by hand)
+     * @param {Object} theirs - Incoming configuration (e.g. a template-driven update)
+     * @returns {Object} Merge result ({ merged, conflicts, hasConflicts, changes })
+     */
+    mergeConfigs(base, ours, theirs) {
+        const conflicts = [];
+        const merged = this.mergeValues(base, ours, theirs, '', conflicts) || {};
+        
+        return {
+            merged,
+            conflicts,
+            hasConflicts: conflicts.length > 0,
+            changes: this.calculateChanges(ours, merged)
         };
+    }
+    
+    /**
+     * Merge an incoming configuration into the latest version
+     * Metadata properties (prefixed with _) always come from the latest version.
+     * @param {string} configId - Configuration ID
+     * @param {number} baseVersion - Version the incoming configuration was derived from
+     * @param {Object} incomingConfig - Incoming configuration
+     * @returns {Object|null} Merge result or null if error
+     */
+    mergeWithLatest(configId, baseVersion, incomingConfig) {
+        try {
+            const baseInfo = this.getVersion(configId, baseVersion);
+            const latestInfo = this.getLatestVersion(configId);
+            
+            if (!baseInfo || !latestInfo) {
+                logger.error(`Version ${baseVersion} not found for configuration ${configId}`);
+                return null;
+            }
+            
+            const theirs = { ...incomingConfig };
+            for (const key of Object.keys(latestInfo.config).filter(key => key.startsWith('_'))) {
+                theirs[key] = latestInfo.config[key];
+            }
+            
+            return this.mergeConfigs(baseInfo.config, latestInfo.config, theirs);
+        } catch (error) {
+            logger.error(`Error merging into configuration ${configId}:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Apply conflict resolutions to a merge result
+     * @param {Object} mergeResult - Result of mergeConfigs
+     * @param {Object} resolutions - Chosen side by conflict path ({ '/path': 'ours' | 'theirs' | 'base' })
+     * @returns {Object} Resolved configuration
+     */
+    resolveConflicts(mergeResult, resolutions = {}) {
+        const resolved = this.cloneValue(mergeResult.merged);
+        
+        for (const conflict of mergeResult.conflicts) {
+            const side = resolutions[conflict.path];
+            
+            if (side && side !== 'ours') {
+                this.setValueAtPointer(resolved, conflict.path, conflict[side]);
+            }
+        }
+        
+        return resolved;
+    }
+    
+    /**
+     * Merge a single value
+     * @param {*} base - Base value (undefined if absent)
+     * @param {*} ours - Our value (undefined if absent)
+     * @param {*} theirs - Their value (undefined if absent)
+     * @param {string} path - JSON Pointer of the value
+     * @param {Array<Object>} conflicts - Conflicts collected so far
+     * @returns {*} Merged value (undefined if removed)
+     * @private
+     */
+    mergeValues(base, ours, theirs, path, conflicts) {
+        if (this.isEqual(ours, theirs) || this.isEqual(base, theirs)) {
+            return this.cloneValue(ours);
+        }
+        
+        if (this.isEqual(base, ours)) {
+            return this.cloneValue(theirs);
+        }
         
-        // Find added and modified properties
-        for (const key of Object.keys(newConfig)) {
-            if (!(key in oldConfig)) {
-                changes.added.push(key);
-            } else if (JSON.stringify(oldConfig[key]) !== JSON.stringify(newConfig[key])) {
-                changes.modified.push(key);
+        if (this.isPlainObject(ours) && this.isPlainObject(theirs)) {
+            const baseObject = this.isPlainObject(base) ? base : {};
+            const keys = [...new Set([...Object.keys(ours), ...Object.keys(theirs)])];
+            const merged = {};
+            
+            for (const key of keys) {
+                const value = this.mergeValues(
+                    this.getOwnValue(baseObject, key),
+                    this.getOwnValue(ours, key),
+                    this.getOwnValue(theirs, key),
+                    `${path}/${this.escapePointerToken(key)}`,
+                    conflicts
+                );
+                
+                if (value !== undefined) {
+                    merged[key] = value;
+                }
             }
+            
+            return merged;
         }
         
-        // Find removed properties
-        for (const key of Object.keys(oldConfig)) {
-            if (!(key in newConfig)) {
-                changes.removed.push(key);
+        conflicts.push({
+            path,
+            base: this.cloneValue(base),
+            ours: this.cloneValue(ours),
+            theirs: this.cloneValue(theirs),
+            markers: this.formatConflictMarkers(base, ours, theirs)
+        });
+        
+        return this.cloneValue(ours);
+    }
+    
+    /**
+     * Format a conflict with diff3-style markers
+     * @param {*} base - Base value
+     * @param {*} ours - Our value
+     * @param {*} theirs - Their value
+     * @returns {string} Conflict text
+     * @private
+     */
+    formatConflictMarkers(base, ours, theirs) {
+        const format = value => (value === undefined ? '(absent)' : JSON.stringify(value, null, 2));
+        
+        return [
+            '<<<<<<< ours',
+            format(ours),
+            '||||||| base',
+            format(base),
+            '=======',
+            format(theirs),
+            '>>>>>>> theirs'
+        ].join('\n');
+    }
+    
+    /**
+     * Set a value at a JSON Pointer, removing it if the value is undefined
+     * @param {Object} target - Object to modify
+     * @param {string} pointer - JSON Pointer
+     * @param {*} value - Value to set
+     * @private
+     */
+    setValueAtPointer(target, pointer, value) {
+        const tokens = pointer.split('/').slice(1).map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const lastToken = tokens.pop();
+        let parent = target;
+        
+        for (const token of tokens) {
+            if (!this.isPlainObject(parent[token]) && !Array.isArray(parent[token])) {
+                parent[token] = {};
             }
+            parent = parent[token];
         }
         
-        return changes;
+        if (value === undefined) {
+            delete parent[lastToken];
+        } else {
+            parent[lastToken] = this.cloneValue(value);
+        }
+    }
+    
+    /**
+     * Escape a property name for use in a JSON Pointer
+     * @param {string} token - Property name or array index
+     * @returns {string} Escaped token
+     * @private
+     */
+    escapePointerToken(token) {
+        return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+    
+    /**
+     * Get an own property, ignoring inherited ones
+     * @param {Object} object - Object to read
+     * @param {string} key - Property name
+     * @returns {*} Value or undefined if absent
+     * @private
+     */
+    getOwnValue(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+    }
+    
+    /**
+     * Check whether a value is a plain object
+     * @param {*} value - Value to check
+     * @returns {boolean} True for non-null, non-array objects
+     * @private
+     */
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    /**
+     * Check whether two values are deeply equal, ignoring property order
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True if equal
+     * @private
+     */
+    isEqual(a, b) {
+        return this.toCanonicalJson(a) === this.toCanonicalJson(b);
+    }
+    
+    /**
+     * Serialize a value with sorted object keys
+     * @param {*} value - Value to serialize
+     * @returns {string|undefined} Canonical JSON (undefined for undefined)
+     * @private
+     */
+    toCanonicalJson(value) {
+        return JSON.stringify(value, (key, item) => {
+            if (!this.isPlainObject(item)) {
+                return item;
+            }
+            
+            return Object.keys(item).sort().reduce((sorted, name) => {
+                sorted[name] = item[name];
+                return sorted;
+            }, {});
+        });
+    }
+    
+    /**
+     * Deep clone a JSON value
+     * @param {*} value - Value to clone
+     * @returns {*} Clone (undefined stays undefined)
+     * @private
+     */
+    cloneValue(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
     }
     
     /**
@@ -179,7 +655,7 @@ class ConfigVersionManager {
     /**
      * Get a specific version of a configuration
      * @param {string} configId - Configuration ID
-     * @param {number} version - Version number
+     * @param {number|string} version - Version number or tag
      * @returns {Object|null} Version info or null if not found
      */
     getVersion(configId, version) {
@@ -195,6 +671,11 @@ class ConfigVersionManager {
             }
             
             const history = this.configHistory[configId] || [];
+            
+            if (typeof version === 'string') {
+                return history.find(v => (v.tags || []).includes(version)) || null;
+            }
+            
             return history.find(v => v.version === version) || null;
         } catch (error) {
             logger.error(`Error getting version ${version} for configuration ${configId}:`, error);
@@ -230,7 +711,7 @@ class ConfigVersionManager {
     /**
      * Restore a configuration to a specific version
      * @param {string} configId - Configuration ID
-     * @param {number} version - Version number
+     * @param {number|string} version - Version number or tag
      * @returns {Object|null} Restored configuration or null if not found
      */
     restoreVersion(configId, version) {
@@ -271,8 +752,8 @@ class ConfigVersionManager {
     /**
      * Compare two versions of a configuration
      * @param {string} configId - Configuration ID
-     * @param {number} version1 - First version number
-     * @param {number} version2 - Second version number
+     * @param {number|string} version1 - First version number or tag
+     * @param {number|string} version2 - Second version number or tag
      * @returns {Object|null} Comparison result or null if error
      */
     compareVersions(configId, version1, version2) {
@@ -324,28 +805,15 @@ class ConfigVersionManager {
             };
             
             // Add detailed changes
-            for (const key of changes.added) {
-                comparison.details.push({
-                    key,
-                    changeType: 'added',
-                    newValue: versionInfo2.config[key]
-                });
-            }
-            
-            for (const key of changes.modified) {
-                comparison.details.push({
-                    key,
-                    changeType: 'modified',
-                    oldValue: versionInfo1.config[key],
-                    newValue: versionInfo2.config[key]
-                });
-            }
+            const changeTypes = { add: 'added', replace: 'modified', remove: 'removed', move: 'moved' };
             
-            for (const key of changes.removed) {
+            for (const operation of changes.operations) {
                 comparison.details.push({
-                    key,
-                    changeType: 'removed',
-                    oldValue: versionInfo1.config[key]
+                    key: operation.path,
+                    from: operation.from,
+                    changeType: changeTypes[operation.op],
+                    oldValue: operation.oldValue,
+                    newValue: operation.value
                 });
             }
             
@@ -401,6 +869,17 @@ class ConfigVersionManager {
                 diff += '\n';
             }
             
+            // Moved array elements
+            if (comparison.changes.moved.length > 0) {
+                diff += `Moved elements:\n`;
+                
+                for (const detail of comparison.details.filter(d => d.changeType === 'moved')) {
+                    diff += `> ${detail.from} -> ${detail.key}: ${JSON.stringify(detail.newValue)}\n`;
+                }
+                
+                diff += '\n';
+            }
+            
             // Removed properties
             if (comparison.changes.removed.length > 0) {
                 diff += `Removed properties:\n`;
@@ -472,11 +951,11 @@ class ConfigVersionManager {
                 return false;
             }
             
-            // Import version history
-            this.configHistory[importObj.configId] = importObj.versions;
+            // Import version history (snapshot hashes refer to the exporting store)
+            this.configHistory[importObj.configId] = importObj.versions.map(({ hash, ...version }) => version);
             
             // Save history
-            this.saveConfigHistory();
+            this.saveConfigHistory(importObj.configId);
             
             logger.info(`Imported version history for configuration ${importObj.configId}`);
             
@@ -509,7 +988,7 @@ class ConfigVersionManager {
             delete this.configHistory[configId];
             
             // Save history
-            this.saveConfigHistory();
+            this.saveConfigHistory(configId);
             
             logger.info(`Deleted version history for configuration ${configId}`);
             
@@ -527,10 +1006,15 @@ class ConfigVersionManager {
     clearAllVersionHistory() {
         try {
             // Clear history
+            const configIds = Object.keys(this.configHistory);
             this.configHistory = {};
             
             // Save history
-            this.saveConfigHistory();
+            if (this.historyStore.isAvailable()) {
+                configIds.forEach(configId => this.saveConfigHistory(configId));
+            } else {
+                this.saveConfigHistory();
+            }
             
             logger.info('Cleared all configuration version history');
             
@@ -540,6 +1024,207 @@ class ConfigVersionManager {
             return false;
         }
     }
+    
+    /**
+     * Tag a version of a configuration
+     * A tag names one version per configuration and moves if it is reused.
+     * @param {string} configId - Configuration ID
+     * @param {number} version - Version number
+     * @param {string} tag - Tag (e.g. "before-upgrade")
+     * @returns {boolean} Success status
+     */
+    tagVersion(configId, version, tag) {
+        try {
+            if (!tag || /^\d+$/.test(tag)) {
+                logger.error('Tags must be non-numeric names');
+                return false;
+            }
+            
+            const versionInfo = this.getVersion(configId, version);
+            
+            if (!versionInfo) {
+                logger.error(`Version ${version} not found for configuration ${configId}`);
+                return false;
+            }
+            
+            this.removeTag(configId, tag);
+            versionInfo.tags = [...(versionInfo.tags || []), tag];
+            this.saveConfigHistory(configId);
+            
+            logger.info(`Tagged version ${versionInfo.version} of configuration ${configId} as ${tag}`);
+            
+            return true;
+        } catch (error) {
+            logger.error(`Error tagging version ${version} of configuration ${configId}:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Remove a tag from a configuration
+     * @param {string} configId - Configuration ID
+     * @param {string} tag - Tag to remove
+     * @returns {boolean} Success status
+     */
+    untagVersion(configId, tag) {
+        try {
+            if (!this.removeTag(configId, tag)) {
+                logger.warn(`Tag ${tag} not found for configuration ${configId}`);
+                return false;
+            }
+            
+            this.saveConfigHistory(configId);
+            return true;
+        } catch (error) {
+            logger.error(`Error removing tag ${tag} from configuration ${configId}:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Remove a tag from whichever version carries it
+     * @param {string} configId - Configuration ID
+     * @param {string} tag - Tag to remove
+     * @returns {boolean} True if the tag was found
+     * @private
+     */
+    removeTag(configId, tag) {
+        const versionInfo = this.getVersion(configId, tag);
+        
+        if (!versionInfo) {
+            return false;
+        }
+        
+        versionInfo.tags = versionInfo.tags.filter(t => t !== tag);
+        return true;
+    }
+    
+    /**
+     * Get the retention policy used by garbage collection
+     * @returns {Object} Policy ({ keepLast, maxAgeDays, keepTagged })
+     */
+    getRetentionPolicy() {
+        try {
+            const storedPolicy = localStorage.getItem('mcp_config_history_retention');
+            
+            if (storedPolicy) {
+                return JSON.parse(storedPolicy);
+            }
+        } catch (error) {
+            logger.error('Error loading configuration history retention policy:', error);
+        }
+        
+        // Keep everything unless a policy is configured
+        return { keepLast: null, maxAgeDays: null, keepTagged: true };
+    }
+    
+    /**
+     * Set the retention policy used by garbage collection
+     * @param {Object} policy - Policy
+     * @param {number|null} policy.keepLast - Keep this many recent versions per configuration
+     * @param {number|null} policy.maxAgeDays - Keep versions younger than this
+     * @param {boolean} policy.keepTagged - Always keep tagged versions
+     */
+    setRetentionPolicy(policy) {
+        localStorage.setItem('mcp_config_history_retention', JSON.stringify({
+            ...this.getRetentionPolicy(),
+            ...policy
+        }));
+    }
+    
+    /**
+     * Prune versions by policy and delete snapshots no version refers to
+     * A version is kept if any configured rule keeps it. The latest version of
+     * each configuration is always kept.
+     * @param {Object} policy - Retention policy (defaults to the configured one)
+     * @returns {Promise<Object|null>} Result ({ prunedVersions, deletedObjects, freedBytes }) or null if error
+     */
+    async collectGarbage(policy = this.getRetentionPolicy()) {
+        try {
+            await this.flush();
+            
+            const now = Date.now();
+            const result = { prunedVersions: 0, deletedObjects: 0, freedBytes: 0 };
+            const hasRules = Number.isInteger(policy.keepLast) || Number.isFinite(policy.maxAgeDays);
+            
+            for (const [configId, history] of Object.entries(hasRules ? this.configHistory : {})) {
+                const kept = history.filter((version, index) => {
+                    return index === history.length - 1 ||
+                        (policy.keepTagged !== false && (version.tags || []).length > 0) ||
+                        (Number.isInteger(policy.keepLast) && index >= history.length - policy.keepLast) ||
+                        (Number.isFinite(policy.maxAgeDays) && now - version.timestamp < policy.maxAgeDays * DAY_MS);
+                });
+                
+                if (kept.length < history.length) {
+                    result.prunedVersions += history.length - kept.length;
+                    this.configHistory[configId] = kept;
+                    this.saveConfigHistory(configId);
+                }
+            }
+            
+            if (this.historyStore.isAvailable()) {
+                await this.pendingWrites;
+                Object.assign(result, await this.historyStore.collectGarbage());
+            } else {
+                this.saveConfigHistory();
+            }
+            
+            logger.info(`Configuration history garbage collection pruned ${result.prunedVersions} versions and ${result.deletedObjects} snapshots`);
+            
+            return result;
+        } catch (error) {
+            logger.error('Error collecting configuration history garbage:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Export the history of several configurations as one bundle
+     * @param {Array<string>} configIds - Configurations to export (defaults to all)
+     * @returns {Promise<string|null>} Bundle JSON or null if error
+     */
+    async exportHistoryBundle(configIds = null) {
+        try {
+            if (!this.historyStore.isAvailable()) {
+                logger.error('History bundles need the file-backed history store');
+                return null;
+            }
+            
+            await this.flush();
+            return await this.historyStore.exportBundle(configIds);
+        } catch (error) {
+            logger.error('Error exporting configuration history bundle:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Import a history bundle
+     * @param {string} json - Bundle JSON
+     * @returns {Promise<Object|null>} Imported version count by configuration ID or null if error
+     */
+    async importHistoryBundle(json) {
+        try {
+            if (!this.historyStore.isAvailable()) {
+                logger.error('History bundles need the file-backed history store');
+                return null;
+            }
+            
+            await this.flush();
+            const imported = await this.historyStore.importBundle(json);
+            
+            for (const configId of Object.keys(imported)) {
+                this.configHistory[configId] = await this.historyStore.loadHistory(configId);
+            }
+            
+            logger.info(`Imported configuration history bundle for ${Object.keys(imported).length} configurations`);
+            
+            return imported;
+        } catch (error) {
+            logger.error('Error importing configuration history bundle:', error);
+            return null;
+        }
+    }
 }
 
 // Create singleton instance
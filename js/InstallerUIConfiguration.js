@@ -5,6 +5,15 @@
 
 import installerUIState from './InstallerUIState.js';
 import installerUICore from './InstallerUICore.js';
+import portRegistry from './PortRegistry.js';
+import commandRunner from './CommandRunner.js';
+
+// Commands that install every MCP server, by installation method
+const MCP_INSTALL_COMMANDS = {
+    npx: 'npx @modelcontextprotocol/mcp-installer --all',
+    uv: 'uv install @modelcontextprotocol/mcp --all',
+    python: 'pip install modelcontextprotocol-mcp --all'
+};
 
 class InstallerUIConfiguration {
     /**
@@ -22,11 +31,14 @@ class InstallerUIConfiguration {
             const repoInfo = this.extractRepoInfo(repoUrl);
             
             // Create configuration object
-            const configData = this.createConfigObject(repoUrl, installPath, methodId, repoInfo);
+            const configData = await this.createConfigObject(repoUrl, installPath, methodId, repoInfo);
             
             // Save configuration
             const success = await this.saveConfiguration(configData);
             
+            // The saved configuration now reserves the port; a failed save frees it
+            portRegistry.releaseOwner(configData.id);
+            
             if (success) {
                 installerUICore.logMessage('Claude Desktop configuration updated successfully', 'success');
             } else {
@@ -82,14 +94,16 @@ class InstallerUIConfiguration {
      * @param {string} installPath - Installation path
      * @param {string} methodId - Installation method
      * @param {Object} repoInfo - Repository information
-     * @returns {Object} Configuration object
+     * @returns {Promise<Object>} Configuration object
      */
-    createConfigObject(repoUrl, installPath, methodId, repoInfo) {
+    async createConfigObject(repoUrl, installPath, methodId, repoInfo) {
         const timestamp = new Date().toISOString();
+        const id = `mcp-${repoInfo.repo || this.generateUniqueId()}`;
+        const name = repoInfo.repo || 'MCP Server';
         
         return {
-            id: `mcp-${repoInfo.repo || this.generateUniqueId()}`,
-            name: repoInfo.repo || 'MCP Server',
+            id,
+            name,
             type: 'mcp',
             installPath,
             installMethod: methodId,
@@ -101,7 +115,7 @@ class InstallerUIConfiguration {
             status: 'installed',
             config: {
                 autoStart: false,
-                port: this.findAvailablePort(3000, 4000),
+                port: await this.findAvailablePort(3000, 4000, id, name),
                 environment: {}
             }
         };
@@ -116,15 +130,24 @@ class InstallerUIConfiguration {
     }
     
     /**
-     * Find an available port in the given range
+     * Allocate an available port in the given range
+     * A reinstalled server keeps its current port if that port is still free.
      * @param {number} start - Start of port range
      * @param {number} end - End of port range
-     * @returns {number} Available port
+     * @param {string} serverId - ID of the server the port is for
+     * @param {string} serverName - Name of the server
+     * @returns {Promise<number>} Available port
      */
-    findAvailablePort(start, end) {
-        // In a real implementation, this would check if ports are in use
-        // For now, just return a random port in the range
-        return Math.floor(Math.random() * (end - start + 1)) + start;
+    findAvailablePort(start, end, serverId, serverName) {
+        const existing = this.getExistingConfigurations().find(config => config.id === serverId);
+        
+        return portRegistry.allocatePort({
+            owner: serverId,
+            name: serverName,
+            preferred: existing && existing.config ? existing.config.port : undefined,
+            start,
+            end
+        });
     }
     
     /**
@@ -235,8 +258,20 @@ class InstallerUIConfiguration {
         try {
             installerUICore.logMessage('Installing MCP servers...', 'info');
             
-            // In a real implementation, this would install MCP servers
-            // For now, just return true
+            const command = MCP_INSTALL_COMMANDS[methodId] || MCP_INSTALL_COMMANDS.npx;
+            installerUICore.logMessage(`Executing: ${command}`, 'info');
+            
+            // Stream command output into the log as it arrives
+            const logLines = type => chunk => {
+                chunk.split('\n').filter(line => line.trim()).forEach(line => installerUICore.logMessage(line, type));
+            };
+            
+            await commandRunner.runCommand(command, {
+                onStdout: logLines('info'),
+                onStderr: logLines('warning')
+            });
+            
+            installerUICore.logMessage('MCP servers installed successfully', 'success');
             return true;
         } catch (error) {
             installerUICore.logMessage(`Error installing MCP servers: ${error.message}`, 'error');
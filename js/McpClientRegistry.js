@@ -0,0 +1,861 @@
+/**
+ * McpClientRegistry.js - Registers MCP servers with the clients that run them
+ * Each client target knows where its config file lives and how its server entries
+ * are shaped. Servers are kept in one canonical form ({ command, args, env }) and
+ * mapped to the client schema when written, so one install can register a server
+ * with several clients and drift between them can be reported.
+ */
+
+import installerUtils from './InstallerUtils.js';
+import configSecretResolver from './ConfigSecretResolver.js';
+
+const REGISTRATIONS_KEY = 'mcp_client_registrations';
+const SELECTED_TARGETS_KEY = 'mcp_selected_clients';
+
+const DEFAULT_TARGETS = [{ clientId: 'claude-desktop' }];
+
+/**
+ * Map a canonical server config to a stdio entry
+ * @param {Object} server - Canonical server config
+ * @returns {Object} { command, args, env }
+ */
+function toStdioEntry(server) {
+    const entry = { command: server.command, args: server.args };
+
+    if (Object.keys(server.env).length > 0) {
+        entry.env = server.env;
+    }
+
+    return entry;
+}
+
+/**
+ * Skip whitespace in JSON text
+ * @param {string} text - JSON text
+ * @param {number} start - Offset to start at
+ * @returns {number} Offset of the next other character
+ */
+function skipJsonSpace(text, start) {
+    let pos = start;
+    while (/\s/.test(text[pos] || '')) {
+        pos++;
+    }
+    return pos;
+}
+
+/**
+ * Find where a JSON string ends
+ * @param {string} text - JSON text
+ * @param {number} start - Offset of the opening quote
+ * @returns {number} Offset after the closing quote
+ */
+function skipJsonString(text, start) {
+    for (let i = start + 1; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '"') {
+            return i + 1;
+        }
+    }
+    return text.length;
+}
+
+/**
+ * Find where a JSON value ends
+ * @param {string} text - JSON text without comments
+ * @param {number} start - Offset of the value
+ * @returns {number} Offset after the value
+ */
+function skipJsonValue(text, start) {
+    if (text[start] === '"') {
+        return skipJsonString(text, start);
+    }
+    if (text[start] !== '{' && text[start] !== '[') {
+        const match = text.slice(start).match(/^[^\s,\]}]+/);
+        return start + (match ? match[0].length : 0);
+    }
+
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '"') {
+            i = skipJsonString(text, i) - 1;
+        } else if (text[i] === '{' || text[i] === '[') {
+            depth++;
+        } else if (text[i] === '}' || text[i] === ']') {
+            depth--;
+            if (depth === 0) {
+                return i + 1;
+            }
+        }
+    }
+    return text.length;
+}
+
+/**
+ * List the members of a JSON object
+ * @param {string} text - JSON text without comments
+ * @param {number} start - Offset of the opening brace
+ * @returns {Object} { members, end } with members as { key, keyStart, valueStart, valueEnd }
+ *   and end at the closing brace
+ */
+function listJsonMembers(text, start) {
+    const members = [];
+    let pos = skipJsonSpace(text, start + 1);
+
+    while (text[pos] === '"') {
+        const keyEnd = skipJsonString(text, pos);
+        const valueStart = skipJsonSpace(text, skipJsonSpace(text, keyEnd) + 1);
+        const valueEnd = skipJsonValue(text, valueStart);
+
+        members.push({ key: JSON.parse(text.slice(pos, keyEnd)), keyStart: pos, valueStart, valueEnd });
+
+        pos = skipJsonSpace(text, valueEnd);
+        if (text[pos] === ',') {
+            pos = skipJsonSpace(text, pos + 1);
+        }
+    }
+
+    return { members, end: pos };
+}
+
+/**
+ * Replace the comments in JSONC with spaces
+ * Line breaks are kept, so offsets and lines in the result match the original text.
+ * @param {string} content - JSONC text
+ * @returns {string} Text without comments
+ */
+function blankJsonComments(content) {
+    const chars = content.split('');
+    let pos = 0;
+
+    while (pos < content.length) {
+        let end = pos + 1;
+
+        if (content[pos] === '"') {
+            end = skipJsonString(content, pos);
+        } else if (content.startsWith('//', pos)) {
+            end = content.indexOf('\n', pos);
+            end = end === -1 ? content.length : end;
+        } else if (content.startsWith('/*', pos)) {
+            end = content.indexOf('*/', pos + 2);
+            end = end === -1 ? content.length : end + 2;
+        }
+
+        if (content[pos] === '/' && end > pos + 1) {
+            for (let i = pos; i < end; i++) {
+                chars[i] = /[\r\n]/.test(chars[i]) ? chars[i] : ' ';
+            }
+        }
+        pos = end;
+    }
+
+    return chars.join('');
+}
+
+/**
+ * Get the indentation of the line an offset is on
+ * @param {string} content - Text
+ * @param {number} offset - Offset
+ * @returns {string} Leading whitespace of the line
+ */
+function getLineIndent(content, offset) {
+    const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+    return content.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+// Built-in clients; path resolvers get { os, home, appData, projectDir }
+const BUILT_IN_CLIENTS = [
+    {
+        id: 'claude-desktop',
+        name: 'Claude Desktop',
+        scope: 'user',
+        serversKey: 'mcpServers',
+        getPath: ({ os, home, appData }, join) => {
+            if (os === 'windows') {
+                return join(appData, 'Claude', 'claude_desktop_config.json');
+            }
+            if (os === 'macos') {
+                return join(home, 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json');
+            }
+            return join(home, '.config', 'Claude', 'claude_desktop_config.json');
+        },
+        toEntry: toStdioEntry
+    },
+    {
+        id: 'claude-code',
+        name: 'Claude Code (project)',
+        scope: 'project',
+        serversKey: 'mcpServers',
+        getPath: ({ projectDir }, join) => join(projectDir, '.mcp.json'),
+        toEntry: server => ({ type: 'stdio', ...toStdioEntry(server) })
+    },
+    {
+        id: 'cursor',
+        name: 'Cursor',
+        scope: 'user',
+        serversKey: 'mcpServers',
+        getPath: ({ home }, join) => join(home, '.cursor', 'mcp.json'),
+        toEntry: toStdioEntry
+    },
+    {
+        id: 'vscode',
+        name: 'VS Code (workspace)',
+        scope: 'project',
+        serversKey: 'servers',
+        allowsComments: true,
+        getPath: ({ projectDir }, join) => join(projectDir, '.vscode', 'mcp.json'),
+        toEntry: server => ({ type: 'stdio', ...toStdioEntry(server) })
+    },
+    {
+        id: 'windsurf',
+        name: 'Windsurf',
+        scope: 'user',
+        serversKey: 'mcpServers',
+        getPath: ({ home }, join) => join(home, '.codeium', 'windsurf', 'mcp_config.json'),
+        toEntry: toStdioEntry
+    },
+    {
+        id: 'zed',
+        name: 'Zed',
+        scope: 'user',
+        serversKey: 'context_servers',
+        allowsComments: true,
+        getPath: ({ os, home, appData }, join) => (os === 'windows'
+            ? join(appData, 'Zed', 'settings.json')
+            : join(home, '.config', 'zed', 'settings.json')),
+        toEntry: server => ({ source: 'custom', ...toStdioEntry(server) })
+    }
+];
+
+class McpClientRegistry {
+    constructor() {
+        this.clients = new Map();
+        BUILT_IN_CLIENTS.forEach(client => this.registerClient(client));
+    }
+
+    /**
+     * Register a client target
+     * @param {Object} client - Client definition
+     * @param {string} client.id - Unique ID
+     * @param {string} client.name - Display name
+     * @param {string} client.scope - 'user' for one file per user, 'project' for one file per project
+     * @param {string} client.serversKey - Top-level key holding the server map
+     * @param {Function} client.getPath - Resolves the config path from ({ os, home, appData, projectDir }, join)
+     * @param {Function} client.toEntry - Maps a canonical server config to the client's entry
+     * @param {Function} client.fromEntry - Maps a client entry back (optional)
+     * @param {boolean} client.allowsComments - Whether the file may contain comments
+     */
+    registerClient(client) {
+        const required = ['id', 'name', 'scope', 'serversKey', 'getPath', 'toEntry'];
+        const missing = required.filter(field => !client[field]);
+
+        if (missing.length > 0) {
+            throw new Error(`Client definition is missing: ${missing.join(', ')}`);
+        }
+
+        this.clients.set(client.id, client);
+    }
+
+    /**
+     * Get the registered clients
+     * @returns {Array<Object>} Clients ({ id, name, scope })
+     */
+    getClients() {
+        return [...this.clients.values()].map(({ id, name, scope }) => ({ id, name, scope }));
+    }
+
+    /**
+     * Get a client definition
+     * @param {string} clientId - Client ID
+     * @returns {Object} Client definition
+     * @private
+     */
+    getClient(clientId) {
+        const client = this.clients.get(clientId);
+
+        if (!client) {
+            throw new Error(`Unknown MCP client: ${clientId}`);
+        }
+
+        return client;
+    }
+
+    /**
+     * Resolve the config file of a target
+     * @param {Object} target - Target ({ clientId, projectDir })
+     * @returns {string} Config file path
+     */
+    resolveConfigPath(target) {
+        const client = this.getClient(target.clientId);
+
+        if (client.scope === 'project' && !target.projectDir) {
+            throw new Error(`${client.name} needs a project directory`);
+        }
+
+        const home = installerUtils.getHomeDirPath();
+        const context = {
+            os: installerUtils.detectOS(),
+            home,
+            appData: window.path.join(home, 'AppData', 'Roaming'),
+            projectDir: target.projectDir
+        };
+
+        return client.getPath(context, window.path.join);
+    }
+
+    /**
+     * Get the targets new servers are registered with
+     * @returns {Array<Object>} Targets ({ clientId, projectDir })
+     */
+    getSelectedTargets() {
+        try {
+            return JSON.parse(localStorage.getItem(SELECTED_TARGETS_KEY)) || DEFAULT_TARGETS;
+        } catch (error) {
+            return DEFAULT_TARGETS;
+        }
+    }
+
+    /**
+     * Set the targets new servers are registered with
+     * @param {Array<Object>} targets - Targets ({ clientId, projectDir })
+     */
+    setSelectedTargets(targets) {
+        targets.forEach(target => this.resolveConfigPath(target));
+        localStorage.setItem(SELECTED_TARGETS_KEY, JSON.stringify(targets));
+    }
+
+    /**
+     * Get every target whose config can be read without asking for a project
+     * @returns {Array<Object>} User-level clients plus the selected and registered targets
+     */
+    getKnownTargets() {
+        const userTargets = [...this.clients.values()]
+            .filter(client => client.scope === 'user')
+            .map(client => ({ clientId: client.id }));
+
+        return this.mergeTargets(
+            userTargets,
+            this.getSelectedTargets(),
+            ...Object.values(this.loadRegistrations()).map(registration => registration.targets)
+        );
+    }
+
+    /**
+     * Normalize a server config to { command, args, env }
+     * Accepts the command as an array, and Zed's older { command: { path, args, env } } form.
+     * Remote servers keep their url (and have no command).
+     * @param {Object} server - Server config or client entry
+     * @returns {Object} Canonical server config
+     */
+    normalizeServer(server) {
+        let command = server.command;
+        let args = server.args || [];
+        let env = server.env || {};
+
+        if (command && typeof command === 'object' && !Array.isArray(command)) {
+            args = command.args || args;
+            env = command.env || env;
+            command = command.path;
+        }
+
+        if (Array.isArray(command)) {
+            [command, ...args] = [...command, ...args];
+        }
+
+        const normalized = { command, args: args.map(String), env: { ...env } };
+        if (server.url) {
+            normalized.url = server.url;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Read the servers configured in a target
+     * @param {Object} target - Target ({ clientId, projectDir })
+     * @returns {Object|null} Canonical server configs by name, or null if the file does not exist
+     */
+    readServers(target) {
+        const client = this.getClient(target.clientId);
+        const document = this.readDocument(this.resolveConfigPath(target), client);
+
+        if (!document) {
+            return null;
+        }
+
+        const servers = {};
+        Object.entries(document[client.serversKey] || {}).forEach(([name, entry]) => {
+            if (entry && typeof entry === 'object') {
+                servers[name] = client.fromEntry ? client.fromEntry(entry) : this.normalizeServer(entry);
+            }
+        });
+
+        return servers;
+    }
+
+    /**
+     * Register a server with a set of clients
+     * Secret references in env are resolved per file; the registration keeps the references.
+     * @param {string} serverName - Server name
+     * @param {Object} serverConfig - Server config ({ command, args, env })
+     * @param {Array<Object>} targets - Targets ({ clientId, projectDir }), defaults to the selected targets
+     * @returns {Promise<Array<Object>>} Results ({ clientId, projectDir, path, success, error })
+     */
+    async installServer(serverName, serverConfig, targets = null) {
+        const server = this.normalizeServer(serverConfig);
+        const resolved = (await configSecretResolver.resolveConfig({ mcpServers: { [serverName]: server } }))
+            .mcpServers[serverName];
+        const results = [];
+
+        for (const target of targets || this.getSelectedTargets()) {
+            const result = { ...target, path: null, success: false, error: null };
+
+            try {
+                const client = this.getClient(target.clientId);
+                result.path = this.resolveConfigPath(target);
+
+                this.updateDocument(result.path, client, servers => {
+                    servers[serverName] = client.toEntry(resolved);
+                });
+
+                result.success = true;
+            } catch (error) {
+                result.error = error.message;
+            }
+
+            results.push(result);
+        }
+
+        const registrations = this.loadRegistrations();
+        const previousTargets = registrations[serverName] ? registrations[serverName].targets : [];
+        const installedTargets = results.filter(result => result.success).map(({ clientId, projectDir }) => ({ clientId, projectDir }));
+
+        registrations[serverName] = {
+            config: server,
+            targets: this.mergeTargets(previousTargets, installedTargets),
+            updatedAt: new Date().toISOString()
+        };
+        this.saveRegistrations(registrations);
+
+        return results;
+    }
+
+    /**
+     * Remove a server from a set of clients
+     * @param {string} serverName - Server name
+     * @param {Array<Object>} targets - Targets, defaults to every target the server was registered with
+     * @returns {Array<Object>} Results ({ clientId, projectDir, path, success, error })
+     */
+    removeServer(serverName, targets = null) {
+        const registrations = this.loadRegistrations();
+        const registration = registrations[serverName];
+        const results = [];
+
+        for (const target of targets || (registration ? registration.targets : [])) {
+            const result = { ...target, path: null, success: false, error: null };
+
+            try {
+                const client = this.getClient(target.clientId);
+                result.path = this.resolveConfigPath(target);
+
+                if (window.fs.existsSync(result.path)) {
+                    this.updateDocument(result.path, client, servers => {
+                        delete servers[serverName];
+                    });
+                }
+
+                result.success = true;
+            } catch (error) {
+                result.error = error.message;
+            }
+
+            results.push(result);
+        }
+
+        if (registration) {
+            const removed = results.filter(result => result.success).map(result => this.getTargetKey(result));
+            registration.targets = registration.targets.filter(target => !removed.includes(this.getTargetKey(target)));
+
+            if (registration.targets.length === 0) {
+                delete registrations[serverName];
+            }
+            this.saveRegistrations(registrations);
+        }
+
+        return results;
+    }
+
+    /**
+     * Compare the servers configured across clients
+     * Registered servers are checked against their registration in every target they were
+     * installed to; other servers are compared between the targets that have them.
+     * @param {Array<Object>} targets - Extra targets to include (the selected targets by default)
+     * @returns {Array<Object>} Drifted servers ({ serverName, registered, targets: [{ clientId, projectDir, status, differences }] })
+     */
+    detectDrift(targets = null) {
+        const registrations = this.loadRegistrations();
+        const allTargets = this.mergeTargets(
+            targets || this.getSelectedTargets(),
+            ...Object.values(registrations).map(registration => registration.targets)
+        );
+
+        // Read every target once
+        const serversByTarget = new Map();
+        allTargets.forEach(target => {
+            try {
+                serversByTarget.set(this.getTargetKey(target), this.readServers(target));
+            } catch (error) {
+                serversByTarget.set(this.getTargetKey(target), null);
+            }
+        });
+
+        const serverNames = new Set(Object.keys(registrations));
+        serversByTarget.forEach(servers => Object.keys(servers || {}).forEach(name => serverNames.add(name)));
+
+        const report = [];
+        serverNames.forEach(serverName => {
+            const registration = registrations[serverName];
+            const present = allTargets.filter(target => (serversByTarget.get(this.getTargetKey(target)) || {})[serverName]);
+            const checkedTargets = registration ? registration.targets : present;
+            const reference = registration
+                ? registration.config
+                : serversByTarget.get(this.getTargetKey(present[0]))[serverName];
+
+            const results = checkedTargets.map(target => {
+                const servers = serversByTarget.get(this.getTargetKey(target)) || {};
+                const actual = servers[serverName];
+
+                if (!actual) {
+                    return { ...target, status: 'missing', differences: [] };
+                }
+
+                const differences = this.compareServers(reference, actual);
+                return { ...target, status: differences.length > 0 ? 'different' : 'in-sync', differences };
+            });
+
+            if (results.some(result => result.status !== 'in-sync')) {
+                report.push({ serverName, registered: Boolean(registration), targets: results });
+            }
+        });
+
+        return report;
+    }
+
+    /**
+     * List the fields in which two canonical server configs differ
+     * Env values that reference secrets only need to be present, since files hold the resolved value.
+     * @param {Object} expected - Expected config
+     * @param {Object} actual - Actual config
+     * @returns {Array<string>} Differences (url, command, args, env.NAME)
+     * @private
+     */
+    compareServers(expected, actual) {
+        const differences = [];
+
+        if (expected.url !== actual.url) {
+            differences.push('url');
+        }
+
+        if (expected.command !== actual.command) {
+            differences.push('command');
+        }
+
+        if (JSON.stringify(expected.args) !== JSON.stringify(actual.args)) {
+            differences.push('args');
+        }
+
+        const envNames = new Set([...Object.keys(expected.env), ...Object.keys(actual.env)]);
+        envNames.forEach(name => {
+            const expectedValue = expected.env[name];
+            const matches = configSecretResolver.hasReference(expectedValue)
+                ? name in actual.env
+                : expectedValue === actual.env[name];
+
+            if (!matches) {
+                differences.push(`env.${name}`);
+            }
+        });
+
+        return differences;
+    }
+
+    /**
+     * Read and parse a client config file
+     * @param {string} filePath - Config file path
+     * @param {Object} client - Client definition
+     * @returns {Object|null} Parsed document or null if the file does not exist
+     * @private
+     */
+    readDocument(filePath, client) {
+        if (!window.fs.existsSync(filePath)) {
+            return null;
+        }
+
+        return this.parseDocument(window.fs.readFileSync(filePath, 'utf8'), client);
+    }
+
+    /**
+     * Parse the text of a client config file
+     * @param {string} content - File content
+     * @param {Object} client - Client definition
+     * @returns {*} Parsed document, an empty object if the file is blank
+     * @private
+     */
+    parseDocument(content, client) {
+        if (!content.trim()) {
+            return {};
+        }
+
+        return JSON.parse(client.allowsComments ? this.stripJsonComments(content) : content);
+    }
+
+    /**
+     * Apply a change to the server map of a client config file
+     * Only the server entries that changed are rewritten; other settings, comments and
+     * formatting in the file are left as they are.
+     * @param {string} filePath - Config file path
+     * @param {Object} client - Client definition
+     * @param {Function} change - Called with the server map to modify
+     * @private
+     */
+    updateDocument(filePath, client, change) {
+        const content = window.fs.existsSync(filePath) ? window.fs.readFileSync(filePath, 'utf8') : '';
+        const document = this.parseDocument(content, client);
+
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            throw new Error(`${filePath} does not contain a JSON object`);
+        }
+
+        const current = document[client.serversKey];
+        const hasServerMap = Boolean(current) && typeof current === 'object' && !Array.isArray(current);
+        const servers = hasServerMap ? { ...current } : {};
+        change(servers);
+
+        let updated = content;
+        if (!content.trim()) {
+            updated = JSON.stringify({ [client.serversKey]: servers }, null, 2);
+        } else if (!hasServerMap) {
+            updated = this.setJsonMember(content, [], client.serversKey, servers);
+        } else {
+            new Set([...Object.keys(current), ...Object.keys(servers)]).forEach(name => {
+                if (JSON.stringify(current[name]) !== JSON.stringify(servers[name])) {
+                    updated = this.setJsonMember(updated, [client.serversKey], name, servers[name]);
+                }
+            });
+        }
+
+        // Duplicate keys could leave an older entry in effect
+        if (JSON.stringify(this.parseDocument(updated, client)[client.serversKey]) !== JSON.stringify(servers)) {
+            throw new Error(`Failed to update the servers in ${filePath}`);
+        }
+        if (updated === content) {
+            return;
+        }
+
+        const directory = window.path.dirname(filePath);
+        if (!window.fs.existsSync(directory)) {
+            window.fs.mkdirSync(directory, { recursive: true });
+        }
+
+        // The file may hold resolved secrets
+        window.fs.writeFileSync(filePath, updated, { encoding: 'utf8', mode: 0o600 });
+        if (window.fs.chmodSync) {
+            window.fs.chmodSync(filePath, 0o600);
+        }
+    }
+
+    /**
+     * Set or remove one member of an object in JSON or JSONC text
+     * The rest of the text, including comments, is left untouched.
+     * @param {string} content - File content
+     * @param {Array<string>} path - Keys leading to the object, empty for the root object
+     * @param {string} key - Member key
+     * @param {*} value - New value, or undefined to remove the member
+     * @returns {string} Updated content
+     * @private
+     */
+    setJsonMember(content, path, key, value) {
+        const text = blankJsonComments(content);
+        const findMember = (members, name) => members.filter(member => member.key === name).pop();
+        const start = path.reduce(
+            (offset, name) => findMember(listJsonMembers(text, offset).members, name).valueStart,
+            skipJsonSpace(text, 0)
+        );
+        const object = { start, ...listJsonMembers(text, start) };
+        const member = findMember(object.members, key);
+
+        if (value === undefined) {
+            return member ? this.removeJsonMember(content, text, object, member) : content;
+        }
+
+        const eol = content.includes('\r\n') ? '\r\n' : '\n';
+        const indentUnit = (content.match(/\n([ \t]+)\S/) || [null, '  '])[1];
+        const neighbour = member || object.members[object.members.length - 1];
+        const indent = neighbour
+            ? getLineIndent(content, neighbour.keyStart)
+            : getLineIndent(content, start) + indentUnit;
+        const formatted = JSON.stringify(value, null, indentUnit).replace(/\n/g, `${eol}${indent}`);
+
+        if (member) {
+            return content.slice(0, member.valueStart) + formatted + content.slice(member.valueEnd);
+        }
+        return this.insertJsonMember(content, text, object, `${eol}${indent}${JSON.stringify(key)}: ${formatted}`);
+    }
+
+    /**
+     * Add a member after the last member of an object
+     * @param {string} content - File content
+     * @param {string} text - File content with comments blanked out
+     * @param {Object} object - Object ({ start, end, members })
+     * @param {string} entry - Member text, starting with a line break and indentation
+     * @returns {string} Updated content
+     * @private
+     */
+    insertJsonMember(content, text, object, entry) {
+        const last = object.members[object.members.length - 1];
+
+        if (!last) {
+            // Keep comments inside an otherwise empty object after the new member
+            const closing = content.slice(object.start + 1, object.end).trim()
+                ? object.start + 1
+                : object.end;
+            const eol = entry.match(/^\r?\n/)[0];
+            const close = closing === object.end ? `${eol}${getLineIndent(content, object.start)}` : '';
+            return content.slice(0, object.start + 1) + entry + close + content.slice(closing);
+        }
+
+        // A trailing comma is kept after the new member; a comment after the last member stays with it
+        const next = skipJsonSpace(text, last.valueEnd);
+        const hasTrailingComma = text[next] === ',';
+        const after = hasTrailingComma ? next + 1 : last.valueEnd;
+        const lineEnd = text.indexOf('\n', after);
+        const rest = lineEnd === -1 ? '' : text.slice(after, lineEnd);
+        const at = lineEnd !== -1 && lineEnd < object.end && !rest.trim()
+            ? lineEnd - (rest.endsWith('\r') ? 1 : 0)
+            : after;
+
+        return content.slice(0, last.valueEnd)
+            + (hasTrailingComma ? '' : ',')
+            + content.slice(last.valueEnd, at)
+            + entry
+            + (hasTrailingComma ? ',' : '')
+            + content.slice(at);
+    }
+
+    /**
+     * Remove a member from an object, with its comma and, if it has a line to itself, that line
+     * @param {string} content - File content
+     * @param {string} text - File content with comments blanked out
+     * @param {Object} object - Object ({ start, end, members })
+     * @param {Object} member - Member to remove
+     * @returns {string} Updated content
+     * @private
+     */
+    removeJsonMember(content, text, object, member) {
+        const index = object.members.indexOf(member);
+        const lineStart = text.lastIndexOf('\n', member.keyStart - 1) + 1;
+        const ownLine = lineStart > 0 && !text.slice(lineStart, member.keyStart).trim();
+        let from = ownLine ? lineStart : member.keyStart;
+
+        let to = member.valueEnd;
+        const next = skipJsonSpace(text, to);
+        const hasComma = text[next] === ',';
+        if (hasComma) {
+            to = next + 1;
+        }
+
+        // Drop the whole line, or the line break before the member if something follows it on its line
+        const lineEnd = text.indexOf('\n', to);
+        if (ownLine && lineEnd !== -1 && !text.slice(to, lineEnd).trim()) {
+            to = lineEnd + 1;
+        } else if (ownLine) {
+            from = lineStart - (text[lineStart - 2] === '\r' ? 2 : 1);
+        }
+
+        const remaining = content.slice(object.start + 1, from) + content.slice(to, object.end);
+        if (object.members.length === 1 && !remaining.trim()) {
+            return content.slice(0, object.start + 1) + content.slice(object.end);
+        }
+
+        // The previous member's comma would otherwise be left trailing
+        if (!hasComma && index > 0) {
+            const comma = skipJsonSpace(text, object.members[index - 1].valueEnd);
+            return content.slice(0, comma) + content.slice(comma + 1, from) + content.slice(to);
+        }
+        return content.slice(0, from) + content.slice(to);
+    }
+
+    /**
+     * Remove comments and trailing commas from JSONC
+     * Both are replaced with spaces, so offsets in the result match the original text.
+     * @param {string} content - JSONC text
+     * @returns {string} JSON text
+     * @private
+     */
+    stripJsonComments(content) {
+        const text = blankJsonComments(content);
+        const chars = text.split('');
+
+        for (let pos = 0; pos < text.length; pos++) {
+            if (text[pos] === '"') {
+                pos = skipJsonString(text, pos) - 1;
+            } else if (text[pos] === ',' && /[}\]]/.test(text[skipJsonSpace(text, pos + 1)] || '')) {
+                chars[pos] = ' ';
+            }
+        }
+
+        return chars.join('');
+    }
+
+    /**
+     * Merge target lists without duplicates
+     * @param {...Array<Object>} lists - Target lists
+     * @returns {Array<Object>} Targets
+     * @private
+     */
+    mergeTargets(...lists) {
+        const merged = new Map();
+        lists.flat().forEach(target => merged.set(this.getTargetKey(target), {
+            clientId: target.clientId,
+            ...(target.projectDir ? { projectDir: target.projectDir } : {})
+        }));
+        return [...merged.values()];
+    }
+
+    /**
+     * Get a key identifying a target
+     * @param {Object} target - Target ({ clientId, projectDir })
+     * @returns {string} Key
+     * @private
+     */
+    getTargetKey(target) {
+        return target.projectDir ? `${target.clientId}:${target.projectDir}` : target.clientId;
+    }
+
+    /**
+     * Load the server registrations
+     * @returns {Object} Registrations by server name ({ config, targets, updatedAt })
+     */
+    loadRegistrations() {
+        try {
+            return JSON.parse(localStorage.getItem(REGISTRATIONS_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Save the server registrations
+     * @param {Object} registrations - Registrations by server name
+     * @private
+     */
+    saveRegistrations(registrations) {
+        localStorage.setItem(REGISTRATIONS_KEY, JSON.stringify(registrations));
+    }
+}
+
+// Create singleton instance
+const mcpClientRegistry = new McpClientRegistry();
+
+// Export for use in other modules
+export default mcpClientRegistry;
@@ -238,7 +238,7 @@ class PerformanceMonitor {
     /**
      * Start monitoring a server
      * @param {string} serverId - Server ID
-     * @param {Object} options - Monitoring options (e.g., { name: 'MyServer', type: 'web' })
+     * @param {Object} options - Monitoring options (e.g., { name: 'MyServer', type: 'docker', containerId: 'mcp-github' })
      * @returns {boolean} Success status
      */
     startMonitoring(serverId, options = {}) {
@@ -248,7 +248,7 @@ class PerformanceMonitor {
         
         const actionConfig = {
             type: 'start',
-            resourceMonitorAction: () => this.resourceMonitor.startMonitoring(serverId),
+            resourceMonitorAction: () => this.resourceMonitor.startMonitoring(serverId, options),
             eventName: 'monitoring-started',
             updateStateFunc: () => {
                 this.monitoredServers[serverId] = {
@@ -477,6 +477,7 @@ class PerformanceMonitor {
                         ${this.renderResourceMeter('Disk', this.resourceMonitor.getResources(serverId)?.disk || 0, 'disk')}
                         ${this.renderResourceMeter('Network', this.resourceMonitor.getResources(serverId)?.network || 0, 'network')}
                     </div>
+                    ${this.renderSampleDetails(serverId)}
                 </div>
             `;
             
@@ -511,6 +512,62 @@ class PerformanceMonitor {
         `;
     }
     
+    /**
+     * Render where the current sample came from (PID or container, RSS, FDs, I/O)
+     * @param {string} serverId - Server ID
+     * @returns {string} Sample details HTML
+     */
+    renderSampleDetails(serverId) {
+        const server = this.resourceMonitor.getMonitoredServers()[serverId];
+        const details = server?.resources?.details;
+        
+        if (server?.error) {
+            return `<div class="sample-details text-danger">Sampling failed: ${this.escapeHTML(server.error)}</div>`;
+        }
+        
+        if (!details) {
+            return '';
+        }
+        
+        const formatBytes = bytes => (bytes === null || bytes === undefined
+            ? 'n/a'
+            : `${(bytes / (1024 * 1024)).toFixed(1)} MiB`);
+        const items = [`Source: ${this.escapeHTML(details.source)}${details.source === 'simulated' ? ' (demo mode)' : ''}`];
+        
+        if (details.rssBytes !== undefined) {
+            items.push(`RSS: ${formatBytes(details.rssBytes)}`);
+        }
+        
+        if (details.openFds !== undefined) {
+            items.push(`Open FDs: ${details.openFds === null ? 'n/a' : details.openFds}`);
+        }
+        
+        if (details.ioReadRate !== undefined) {
+            items.push(`I/O: ${formatBytes(details.ioReadRate)}/s read, ${formatBytes(details.ioWriteRate)}/s write`);
+        }
+        
+        if (details.netRxRate !== undefined) {
+            items.push(`Net: ${formatBytes(details.netRxRate)}/s in, ${formatBytes(details.netTxRate)}/s out`);
+        }
+        
+        return `<div class="sample-details text-muted small mt-2">${items.join(' &middot; ')}</div>`;
+    }
+    
+    /**
+     * Escape text for use in HTML
+     * Sampling errors quote /proc and docker stats output, which must not be rendered as markup.
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    escapeHTML(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
     /**
      * Render optimization suggestions for a server
      * @param {string} containerId - Container element ID
@@ -1012,6 +1069,24 @@ class PerformanceMonitor {
         logger.info(`Auto-optimization ${enabled ? 'enabled' : 'disabled'}`);
     }
     
+    /**
+     * Enable or disable demo mode (simulated resource data)
+     * @param {boolean} enabled - Whether demo mode is enabled
+     */
+    setDemoMode(enabled) {
+        this.resourceMonitor.setDemoMode(enabled);
+        
+        logger.info(`Demo mode ${enabled ? 'enabled' : 'disabled'}`);
+    }
+    
+    /**
+     * Check whether demo mode is enabled
+     * @returns {boolean} Demo mode status
+     */
+    isDemoMode() {
+        return this.resourceMonitor.isDemoMode();
+    }
+    
     /**
      * Update alert thresholds
      * @param {Object} thresholds - New thresholds
@@ -98,6 +98,13 @@ class PerformanceMonitorUI {
                                 </div>
                                 <small class="form-text text-muted">Automatically apply optimizations for high-priority issues</small>
                             </div>
+                            <div class="form-group mb-3">
+                                <div class="form-check form-switch">
+                                    <input class="form-check-input" type="checkbox" id="demo-mode-toggle">
+                                    <label class="form-check-label" for="demo-mode-toggle">Demo Mode</label>
+                                </div>
+                                <small class="form-text text-muted">Show simulated resource data instead of sampling real processes and containers</small>
+                            </div>
                             
                             <h6>Alert Thresholds</h6>
                             <div class="row">
@@ -194,8 +201,15 @@ class PerformanceMonitorUI {
                         <input type="text" class="form-control form-control-sm" id="server-name">
                     </div>
                     <div class="mb-2">
-                        <label for="server-type" class="form-label">Server Type (Optional)</label>
-                        <input type="text" class="form-control form-control-sm" id="server-type">
+                        <label for="server-type" class="form-label">Server Type</label>
+                        <select class="form-select form-select-sm" id="server-type">
+                            <option value="process">Process</option>
+                            <option value="docker">Docker Container</option>
+                        </select>
+                    </div>
+                    <div class="mb-2">
+                        <label for="server-target" class="form-label">Process ID or Container (Optional)</label>
+                        <input type="text" class="form-control form-control-sm" id="server-target">
                     </div>
                     <button type="submit" class="btn btn-sm btn-success">Start</button>
                 </form>
@@ -313,7 +327,8 @@ class PerformanceMonitorUI {
         return {
             serverId: this._getValueOrDefault(containerElement, '#server-id'),
             serverName: this._getValueOrDefault(containerElement, '#server-name'),
-            serverType: this._getValueOrDefault(containerElement, '#server-type', 'unknown')
+            serverType: this._getValueOrDefault(containerElement, '#server-type', 'unknown'),
+            serverTarget: this._getValueOrDefault(containerElement, '#server-target')
         };
     }
     
@@ -323,11 +338,15 @@ class PerformanceMonitorUI {
      * @returns {boolean} True if inputs are valid, false otherwise
      * @private
      */
-    _validateMonitoringInputs({ serverId }) {
+    _validateMonitoringInputs({ serverId, serverType, serverTarget }) {
         if (!serverId) {
             this.showAlert('Server ID is required', 'warning');
             return false;
         }
+        if (serverType === 'process' && !/^\d+$/.test(serverTarget || serverId)) {
+            this.showAlert('A numeric process ID is required for process-based servers', 'warning');
+            return false;
+        }
         return true;
     }
     
@@ -336,14 +355,19 @@ class PerformanceMonitorUI {
      * @param {Object} serverData - Object containing server data
      * @private
      */
-    _registerServerForMonitoring({ serverId, serverName, serverType }) {
+    _registerServerForMonitoring({ serverId, serverName, serverType, serverTarget }) {
         // Use serverId as name if not provided
         const name = serverName || serverId;
         
+        // The target defaults to the server ID (a PID or a container name)
+        const target = serverTarget || serverId;
+        const targetOptions = serverType === 'docker' ? { containerId: target } : { pid: target };
+        
         // Start monitoring the server
         performanceMonitor.startMonitoring(serverId, { 
             name, 
-            type: serverType 
+            type: serverType,
+            ...targetOptions
         });
         
         // Refresh the server list to show the new server
@@ -528,6 +552,7 @@ class PerformanceMonitorUI {
         try {
             // Set auto-optimize toggle
             this._setInputValueIfExists('auto-optimize-toggle', performanceMonitor.autoOptimizeEnabled, 'checked');
+            this._setInputValueIfExists('demo-mode-toggle', performanceMonitor.isDemoMode(), 'checked');
 
             // Define threshold element IDs
             const thresholdElements = {
@@ -606,6 +631,12 @@ class PerformanceMonitorUI {
                 performanceMonitor.setAutoOptimize(autoOptimizeToggle.checked);
             }
 
+            // Get demo mode toggle
+            const demoModeToggle = document.getElementById('demo-mode-toggle');
+            if (demoModeToggle) {
+                performanceMonitor.setDemoMode(demoModeToggle.checked);
+            }
+
             // Get threshold inputs
             const cpuThreshold = document.getElementById('cpu-threshold');
             const memoryThreshold = document.getElementById('memory-threshold');
@@ -298,6 +298,23 @@ class PerformanceOptimizer {
         }
     }
     
+    /**
+     * Summarize how much of its resources a server has been using
+     * @param {string} serverId - Server ID
+     * @param {Object} options - History options (limit, startTime, endTime)
+     * @returns {Object} Summary ({ samples, cpu: { avg, max }, memory: { avg, max } })
+     */
+    getUtilizationSummary(serverId, options = { limit: 100 }) {
+        const history = resourceMonitor.getResourceHistory(serverId, options);
+        const stats = resourceMonitor.getResourceStatistics(serverId, options);
+        
+        return {
+            samples: history.length,
+            cpu: { avg: stats.cpu.avg, max: stats.cpu.max },
+            memory: { avg: stats.memory.avg, max: stats.memory.max }
+        };
+    }
+    
     /**
      * Retrieve resources, history, and stats for a server
      * @param {string} serverId - Server ID
@@ -3,6 +3,8 @@
  * Provides role-based access control for server management
  */
 
+import serverInventory from './ServerInventory.js';
+
 class PermissionManager {
     constructor() {
         this.roles = {
@@ -43,6 +45,10 @@ class PermissionManager {
             // Load user roles and server permissions from localStorage
             this.loadUserRoles();
             this.loadServerPermissions();
+            this._migrateServerIds();
+
+            // Records made before the server inventory use server names or container IDs
+            window.addEventListener('server-inventory-updated', () => this._migrateServerIds());
             
             // Set default roles if none exist
             if (Object.keys(this.userRoles).length === 0) {
@@ -167,20 +173,21 @@ class PermissionManager {
             const hasRolePermission = rolePermissions.includes(permission);
 
             // If no server ID is provided or no server-specific rules exist, rely on role permission
-            if (!serverId || !this.serverPermissions[serverId]) {
+            const serverKey = serverId && this._getServerKey(serverId);
+            if (!serverKey || !this.serverPermissions[serverKey]) {
                 return hasRolePermission;
             }
 
             // Check server-specific overrides if the role has the general permission
             if (hasRolePermission) {
-                 const serverOverride = this._checkServerSpecificPermission(userId, role, permission, serverId);
+                 const serverOverride = this._checkServerSpecificPermission(userId, role, permission, serverKey);
                  // If there's a specific override (true for grant, false for deny), use it.
                  // Otherwise (null), rely on the general role permission.
                  return serverOverride !== null ? serverOverride : true;
             } 
             // If the role doesn't have the general permission, check if there is a specific grant for this server
             else {
-                const serverGrant = this._checkServerSpecificPermission(userId, role, permission, serverId);
+                const serverGrant = this._checkServerSpecificPermission(userId, role, permission, serverKey);
                 // Only return true if specifically granted on the server level
                 return serverGrant === true; 
             }
@@ -228,6 +235,44 @@ class PermissionManager {
         return null; // No specific override found for this user/role/permission on this server
     }
 
+    /**
+     * Get the key a server's permissions are kept under
+     * @param {string} serverId - Inventory ID, or an older server name or container ID
+     * @returns {string} Inventory ID if the server is in the inventory, otherwise serverId
+     * @private
+     */
+    _getServerKey(serverId) {
+        return serverInventory.resolveServerId(serverId);
+    }
+
+    /**
+     * Move server permissions kept under older server names or container IDs to the inventory IDs
+     * Records for the same server are merged.
+     * @private
+     */
+    _migrateServerIds() {
+        const moved = Object.keys(this.serverPermissions).filter(serverId => this._getServerKey(serverId) !== serverId);
+
+        moved.forEach(serverId => {
+            const target = this.serverPermissions[this._getServerKey(serverId)] || {};
+
+            Object.entries(this.serverPermissions[serverId]).forEach(([listType, list]) => {
+                target[listType] = target[listType] || {};
+                Object.entries(list).forEach(([identifier, permissions]) => {
+                    const merged = [...(target[listType][identifier] || []), ...permissions];
+                    target[listType][identifier] = [...new Set(merged)];
+                });
+            });
+
+            this.serverPermissions[this._getServerKey(serverId)] = target;
+            delete this.serverPermissions[serverId];
+        });
+
+        if (moved.length > 0) {
+            this.saveServerPermissions();
+        }
+    }
+
     /**
      * Private helper to add a permission to a specific list for a server.
      * Handles initialization of nested structures.
@@ -241,7 +286,8 @@ class PermissionManager {
     _addPermissionToServerList(serverId, listType, identifier, permission) {
         try {
             // Use short-circuit evaluation to ensure nested objects/arrays exist
-            const serverPerms = this.serverPermissions[serverId] = this.serverPermissions[serverId] || {};
+            const serverKey = this._getServerKey(serverId);
+            const serverPerms = this.serverPermissions[serverKey] = this.serverPermissions[serverKey] || {};
             const list = serverPerms[listType] = serverPerms[listType] || {};
             const permissionsList = list[identifier] = list[identifier] || [];
 
@@ -290,12 +336,13 @@ class PermissionManager {
      */
     clearUserPermissionsForServer(userId, serverId) {
         try {
-            if (this.serverPermissions[serverId]) {
-                if (this.serverPermissions[serverId].userGranted) {
-                    delete this.serverPermissions[serverId].userGranted[userId];
+            const serverPerms = this.serverPermissions[this._getServerKey(serverId)];
+            if (serverPerms) {
+                if (serverPerms.userGranted) {
+                    delete serverPerms.userGranted[userId];
                 }
-                if (this.serverPermissions[serverId].userDenied) {
-                    delete this.serverPermissions[serverId].userDenied[userId];
+                if (serverPerms.userDenied) {
+                    delete serverPerms.userDenied[userId];
                 }
                 this.saveServerPermissions();
             }
@@ -338,12 +385,13 @@ class PermissionManager {
      */
     clearRolePermissionsForServer(role, serverId) {
         try {
-            if (this.serverPermissions[serverId]) {
-                if (this.serverPermissions[serverId].roleGranted) {
-                    delete this.serverPermissions[serverId].roleGranted[role];
+            const serverPerms = this.serverPermissions[this._getServerKey(serverId)];
+            if (serverPerms) {
+                if (serverPerms.roleGranted) {
+                    delete serverPerms.roleGranted[role];
                 }
-                if (this.serverPermissions[serverId].roleDenied) {
-                    delete this.serverPermissions[serverId].roleDenied[role];
+                if (serverPerms.roleDenied) {
+                    delete serverPerms.roleDenied[role];
                 }
                 this.saveServerPermissions();
             }
@@ -368,7 +416,7 @@ class PermissionManager {
      * @returns {Object} Server permissions
      */
     getServerPermissions(serverId) {
-        return this.serverPermissions[serverId] || {
+        return this.serverPermissions[this._getServerKey(serverId)] || {
             userGranted: {},
             userDenied: {},
             roleGranted: {},
@@ -383,8 +431,9 @@ class PermissionManager {
      */
     resetServerPermissions(serverId) {
         try {
-            if (this.serverPermissions[serverId]) {
-                delete this.serverPermissions[serverId];
+            const serverKey = this._getServerKey(serverId);
+            if (this.serverPermissions[serverKey]) {
+                delete this.serverPermissions[serverKey];
                 this.saveServerPermissions();
             }
 
@@ -0,0 +1,311 @@
+/**
+ * PortRegistry.js - Tracks and allocates the local ports used by MCP servers
+ * A port is free when no installed server, HTTPS endpoint, Docker port mapping or pending
+ * allocation reserves it and a socket can actually be bound to it. Allocations are
+ * serialized, so concurrent installs never receive the same port.
+ */
+
+import httpsManager from './HttpsManager.js';
+
+const INSTALLED_CONFIGS_STORAGE_KEY = 'claudeServerConfigs';
+
+const DEFAULT_PORT_RANGE = { start: 3000, end: 4000 };
+const MAX_PORT = 65535;
+
+// Host that probes bind to; servers listening on every interface also conflict with it
+const PROBE_HOST = '127.0.0.1';
+
+// Time limit for binding a probe socket (ms)
+const PROBE_TIMEOUT = 2000;
+
+// Probe results older than this are not trusted by synchronous checks (ms)
+const PROBE_CACHE_TTL = 30000;
+
+class PortRegistry {
+    constructor() {
+        this.allocations = new Map(); // port -> { owner, name, allocatedAt }
+        this.probeResults = new Map(); // port -> { inUse, checkedAt }
+        this.allocationLock = Promise.resolve();
+    }
+
+    /**
+     * Check whether ports can be probed from this window
+     * @returns {boolean} True in the desktop app, where Node.js modules are available
+     */
+    canProbe() {
+        return typeof window.require === 'function';
+    }
+
+    /**
+     * Probe a port by binding a socket to it
+     * @param {number} port - Port
+     * @param {string} [host] - Host to bind to
+     * @returns {Promise<boolean|null>} True if the port is free, false if it is in use,
+     *   null when ports cannot be probed outside the desktop app
+     */
+    probePort(port, host = PROBE_HOST) {
+        if (!this.canProbe()) {
+            return Promise.resolve(null);
+        }
+
+        const net = window.require('net');
+
+        return new Promise(resolve => {
+            const server = net.createServer();
+            let settled = false;
+            let timer;
+
+            const finish = free => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                clearTimeout(timer);
+                this.probeResults.set(port, { inUse: !free, checkedAt: Date.now() });
+                resolve(free);
+            };
+
+            timer = setTimeout(() => {
+                server.close();
+                finish(false);
+            }, PROBE_TIMEOUT);
+
+            server.unref();
+            server.once('error', () => finish(false));
+            server.once('listening', () => server.close(() => finish(true)));
+            server.listen({ port, host, exclusive: true });
+        });
+    }
+
+    /**
+     * Get the ports reserved by installed servers, HTTPS endpoints, Docker containers
+     * and pending allocations
+     * @returns {Array<Object>} Reservations ({ port, source, owner, name })
+     */
+    getReservations() {
+        const reservations = [];
+        const add = (port, source, owner, name) => {
+            const number = Number(port);
+            if (Number.isInteger(number) && number > 0 && number <= MAX_PORT) {
+                reservations.push({ port: number, source, owner, name });
+            }
+        };
+
+        this.loadInstalledConfigs().forEach(server => {
+            add(server.config && server.config.port, 'server', server.id, server.name || server.id);
+        });
+
+        Object.entries(httpsManager.serverConfigs || {}).forEach(([serverId, config]) => {
+            add(config.port, 'server', serverId, config.name || serverId);
+            if (config.useHttps) {
+                add(config.httpsPort || httpsManager.getDefaultHttpsPort(config.port), 'https', serverId,
+                    `HTTPS for ${config.name || serverId}`);
+            }
+        });
+
+        this.getDockerContainers().forEach(container => {
+            (container.ports || []).forEach(mapping => {
+                // "host:container", optionally prefixed with the host IP
+                const parts = String(mapping).split(':');
+                if (parts.length >= 2) {
+                    add(parts[parts.length - 2], 'docker', container.id, `container ${container.name}`);
+                }
+            });
+        });
+
+        this.allocations.forEach((allocation, port) => {
+            add(port, 'allocation', allocation.owner, allocation.name);
+        });
+
+        return reservations;
+    }
+
+    /**
+     * Find who reserves a port
+     * @param {number} port - Port
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.owner] - Owner whose own reservations are ignored
+     * @param {Array<string>} [options.sources] - Only consider these sources (server, https, docker, allocation)
+     * @returns {Object|null} Reservation ({ port, source, owner, name }) or null
+     */
+    getReservation(port, options = {}) {
+        const number = Number(port);
+        return this.getReservations().find(reservation =>
+            reservation.port === number
+            && (options.owner === undefined || reservation.owner !== options.owner)
+            && (!options.sources || options.sources.includes(reservation.source))
+        ) || null;
+    }
+
+    /**
+     * Explain why a port cannot be used, without probing it
+     * Relies on reservations and on probe results from the last 30 seconds, so it can be
+     * used by synchronous validation.
+     * @param {number} port - Port
+     * @param {string} [owner] - Owner whose own reservations are ignored
+     * @returns {string|null} Reason, or null if nothing is known to use the port
+     */
+    getConflict(port, owner) {
+        const number = Number(port);
+        if (!Number.isInteger(number) || number < 1 || number > MAX_PORT) {
+            return `Port ${port} is not a valid port number`;
+        }
+
+        const reservation = this.getReservation(number, { owner });
+        if (reservation) {
+            return `Port ${number} is reserved by ${reservation.name}`;
+        }
+
+        const probe = this.probeResults.get(number);
+        if (probe && probe.inUse && Date.now() - probe.checkedAt < PROBE_CACHE_TTL) {
+            return `Port ${number} is in use by another process`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a port is free
+     * @param {number} port - Port
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.owner] - Owner whose own reservations are ignored
+     * @returns {Promise<boolean>} True if the port is not reserved and can be bound
+     */
+    async isPortAvailable(port, options = {}) {
+        const number = Number(port);
+        if (!Number.isInteger(number) || number < 1 || number > MAX_PORT) {
+            return false;
+        }
+
+        if (this.getReservation(number, { owner: options.owner })) {
+            return false;
+        }
+
+        // Outside the desktop app only reservations are known
+        return (await this.probePort(number)) !== false;
+    }
+
+    /**
+     * Find a free port without reserving it
+     * @param {number} [start=3000] - First port to try
+     * @param {number} [end=65535] - Last port to try
+     * @returns {Promise<number>} Free port
+     */
+    async findAvailablePort(start = DEFAULT_PORT_RANGE.start, end = MAX_PORT) {
+        for (let port = start; port <= end; port++) {
+            if (await this.isPortAvailable(port)) {
+                return port;
+            }
+        }
+
+        throw new Error(`Failed to find a free port: ports ${start}-${end} are all in use`);
+    }
+
+    /**
+     * Allocate a free port to an owner
+     * Allocations run one at a time, so a port is never handed to two installs. The port
+     * stays reserved until it is released; once the owner's configuration is saved it is
+     * reserved by that configuration as well.
+     * @param {Object} options - Allocation options
+     * @param {string} options.owner - Owner ID (usually the server ID)
+     * @param {string} [options.name] - Name shown in conflict messages (defaults to the owner)
+     * @param {number} [options.preferred] - Port to keep if it is still free, e.g. the owner's current port
+     * @param {number} [options.start=3000] - First port of the range
+     * @param {number} [options.end=4000] - Last port of the range
+     * @returns {Promise<number>} Allocated port
+     */
+    allocatePort(options) {
+        const allocation = this.allocationLock.then(() => this.allocateNow(options));
+
+        // Keep the queue going after a failed allocation
+        this.allocationLock = allocation.catch(() => {});
+
+        return allocation;
+    }
+
+    /**
+     * Allocate a port while holding the allocation lock
+     * @param {Object} options - Allocation options (see allocatePort)
+     * @returns {Promise<number>} Allocated port
+     * @private
+     */
+    async allocateNow({ owner, name, preferred, start = DEFAULT_PORT_RANGE.start, end = DEFAULT_PORT_RANGE.end }) {
+        if (!owner) {
+            throw new Error('Failed to allocate port: an owner is required');
+        }
+
+        const candidates = [];
+        if (preferred) {
+            candidates.push(Number(preferred));
+        }
+        for (let port = start; port <= end; port++) {
+            if (port !== Number(preferred)) {
+                candidates.push(port);
+            }
+        }
+
+        for (const port of candidates) {
+            if (await this.isPortAvailable(port, { owner })) {
+                this.releaseOwner(owner);
+                this.allocations.set(port, { owner, name: name || owner, allocatedAt: Date.now() });
+                return port;
+            }
+        }
+
+        throw new Error(`Failed to allocate port for ${name || owner}: ports ${start}-${end} are all in use`);
+    }
+
+    /**
+     * Release an allocated port
+     * @param {number} port - Port
+     */
+    releasePort(port) {
+        this.allocations.delete(Number(port));
+    }
+
+    /**
+     * Release the ports allocated to an owner
+     * @param {string} owner - Owner ID
+     */
+    releaseOwner(owner) {
+        this.allocations.forEach((allocation, port) => {
+            if (allocation.owner === owner) {
+                this.allocations.delete(port);
+            }
+        });
+    }
+
+    /**
+     * Load the configurations of installed servers
+     * @returns {Array<Object>} Installed server configurations
+     * @private
+     */
+    loadInstalledConfigs() {
+        try {
+            const stored = localStorage.getItem(INSTALLED_CONFIGS_STORAGE_KEY);
+            const configs = stored ? JSON.parse(stored) : [];
+            return Array.isArray(configs) ? configs : [];
+        } catch (error) {
+            console.error('Error loading installed server configurations:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the containers known to the Docker manager
+     * @returns {Array<Object>} Containers
+     * @private
+     */
+    getDockerContainers() {
+        if (!window.dockerManager || typeof window.dockerManager.getAllContainers !== 'function') {
+            return [];
+        }
+        return window.dockerManager.getAllContainers();
+    }
+}
+
+// Create singleton instance
+const portRegistry = new PortRegistry();
+
+// Export for use in other modules
+export default portRegistry;
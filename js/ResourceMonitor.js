@@ -3,6 +3,8 @@
  * Tracks CPU, memory, network, and disk usage for server instances
  */
 
+import resourceSampler from './ResourceSampler.js';
+
 class ResourceMonitor {
     constructor() {
         this.servers = {};
@@ -10,6 +12,7 @@ class ResourceMonitor {
         this.resourceHistory = {};
         this.maxHistoryLength = 100; // Maximum number of history points to keep per server
         this.defaultInterval = 5000; // Default monitoring interval in milliseconds
+        this.demoMode = false; // Simulated data is only produced when demo mode is enabled
         
         // Initialize resource monitoring
         this.initializeMonitoring();
@@ -20,7 +23,8 @@ class ResourceMonitor {
      */
     initializeMonitoring() {
         try {
-            // Load resource history from localStorage
+            // Load settings and resource history from localStorage
+            this.loadSettings();
             this.loadResourceHistory();
             
             console.info('Resource monitoring initialized');
@@ -29,6 +33,52 @@ class ResourceMonitor {
         }
     }
     
+    /**
+     * Load monitor settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const storedSettings = localStorage.getItem('mcp_resource_monitor_settings');
+            
+            if (storedSettings) {
+                const settings = JSON.parse(storedSettings);
+                this.demoMode = settings.demoMode === true;
+            }
+        } catch (error) {
+            console.error('Error loading resource monitor settings:', error);
+        }
+    }
+    
+    /**
+     * Save monitor settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem('mcp_resource_monitor_settings', JSON.stringify({
+                demoMode: this.demoMode
+            }));
+        } catch (error) {
+            console.error('Error saving resource monitor settings:', error);
+        }
+    }
+    
+    /**
+     * Enable or disable demo mode (simulated resource data)
+     * @param {boolean} enabled - Whether demo mode is enabled
+     */
+    setDemoMode(enabled) {
+        this.demoMode = Boolean(enabled);
+        this.saveSettings();
+    }
+    
+    /**
+     * Check whether demo mode is enabled
+     * @returns {boolean} Demo mode status
+     */
+    isDemoMode() {
+        return this.demoMode;
+    }
+    
     /**
      * Load resource history from localStorage
      */
@@ -69,6 +119,8 @@ class ResourceMonitor {
      * Start monitoring a server
      * @param {string} serverId - Server ID
      * @param {Object} options - Monitoring options
+     * @param {number} [options.pid] - Process ID of a process-based server
+     * @param {string} [options.containerId] - Container ID or name of a Docker-based server
      * @returns {boolean} Success status
      */
     startMonitoring(serverId, options = {}) {
@@ -88,7 +140,9 @@ class ResourceMonitor {
                 id: serverId,
                 name: options.name || serverId,
                 type: options.type || 'unknown',
+                target: this.resolveTarget(serverId, options),
                 lastUpdate: Date.now(),
+                error: null,
                 resources: {
                     cpu: 0,
                     memory: 0,
@@ -122,6 +176,8 @@ class ResourceMonitor {
                 delete this.monitoringIntervals[serverId];
             }
             
+            resourceSampler.reset(serverId);
+            
             return true;
         } catch (error) {
             console.error('Error stopping monitoring:', error);
@@ -135,6 +191,13 @@ class ResourceMonitor {
      */
     async updateServerResources(serverId) {
         try {
+            if (!this.canSampleServer(serverId)) {
+                if (this.servers[serverId]) {
+                    this.servers[serverId].error = 'No process ID or container configured';
+                }
+                return;
+            }
+            
             // Get server resources
             const resources = await this.getServerResources(serverId);
             
@@ -142,6 +205,7 @@ class ResourceMonitor {
             if (this.servers[serverId]) {
                 this.servers[serverId].resources = resources;
                 this.servers[serverId].lastUpdate = Date.now();
+                this.servers[serverId].error = null;
                 
                 // Add to resource history
                 this.addToResourceHistory(serverId, resources);
@@ -151,74 +215,57 @@ class ResourceMonitor {
             }
         } catch (error) {
             console.error(`Error updating resources for server ${serverId}:`, error);
+            
+            // Keep the last real sample instead of recording a fake zero
+            if (this.servers[serverId]) {
+                this.servers[serverId].error = error.message;
+            }
         }
     }
     
     /**
-     * Get server resources
+     * Resolve what should be sampled for a server
      * @param {string} serverId - Server ID
-     * @returns {Promise<Object>} Server resources
+     * @param {Object} options - Monitoring options
+     * @returns {Object} Sampling target ({ pid, containerId })
      */
-    async getServerResources(serverId) {
-        try {
-            // In a real implementation, we would query the server for resource usage
-            // For this demo, we'll generate simulated resource data
-            return this.getSimulatedResources(serverId);
-        } catch (error) {
-            console.error(`Error getting resources for server ${serverId}:`, error);
-            return {
-                cpu: 0,
-                memory: 0,
-                disk: 0,
-                network: 0
-            };
+    resolveTarget(serverId, options = {}) {
+        if (options.pid) {
+            return { pid: parseInt(options.pid, 10) };
         }
+        
+        if (options.containerId) {
+            return { containerId: options.containerId };
+        }
+        
+        // Docker-based servers are usually registered under their container name
+        if (options.type === 'docker') {
+            return { containerId: serverId };
+        }
+        
+        return {};
     }
     
     /**
-     * Get simulated resources for a server
+     * Get server resources
      * @param {string} serverId - Server ID
-     * @returns {Object} Simulated resources
+     * @returns {Promise<Object>} Server resources
      */
-    getSimulatedResources(serverId) {
-        // Get previous resources if available
-        const prevResources = this.servers[serverId]?.resources || {
-            cpu: 0,
-            memory: 0,
-            disk: 0,
-            network: 0
-        };
-        
-        // Generate realistic resource usage that changes gradually
-        const resources = {
-            cpu: this.simulateResourceValue(prevResources.cpu, 0, 100, 10),
-            memory: this.simulateResourceValue(prevResources.memory, 0, 100, 5),
-            disk: this.simulateResourceValue(prevResources.disk, 0, 100, 2),
-            network: this.simulateResourceValue(prevResources.network, 0, 100, 15)
-        };
+    async getServerResources(serverId) {
+        const server = this.servers[serverId];
+        const target = { ...(server?.target || {}), demo: this.demoMode };
         
-        return resources;
+        return resourceSampler.sample(serverId, target, server?.resources);
     }
     
     /**
-     * Simulate a resource value that changes gradually
-     * @param {number} prevValue - Previous value
-     * @param {number} min - Minimum value
-     * @param {number} max - Maximum value
-     * @param {number} maxChange - Maximum change
-     * @returns {number} Simulated value
+     * Check whether a server has something that can be sampled
+     * @param {string} serverId - Server ID
+     * @returns {boolean} True if resources can be sampled
      */
-    simulateResourceValue(prevValue, min, max, maxChange) {
-        // Generate a random change
-        const change = (Math.random() * maxChange * 2) - maxChange;
-        
-        // Calculate new value
-        let newValue = prevValue + change;
-        
-        // Ensure value is within bounds
-        newValue = Math.max(min, Math.min(max, newValue));
-        
-        return parseFloat(newValue.toFixed(1));
+    canSampleServer(serverId) {
+        const target = { ...(this.servers[serverId]?.target || {}), demo: this.demoMode };
+        return resourceSampler.resolveBackend(target) !== null;
     }
     
     /**
@@ -0,0 +1,470 @@
+/**
+ * ResourceSampler.js - Collects real resource usage for MCP servers
+ * Reads /proc for process-based servers and `docker stats` for containers.
+ * The simulated backend is only used when demo mode is explicitly enabled.
+ */
+
+import commandRunner from './CommandRunner.js';
+
+// Sampling backends
+const SAMPLER_BACKENDS = {
+    PROCESS: 'process',
+    DOCKER: 'docker',
+    SIMULATED: 'simulated'
+};
+
+// Byte multipliers for the size strings printed by `docker stats`
+const BYTE_UNITS = {
+    b: 1,
+    kb: 1000,
+    mb: 1000 ** 2,
+    gb: 1000 ** 3,
+    tb: 1000 ** 4,
+    kib: 1024,
+    mib: 1024 ** 2,
+    gib: 1024 ** 3,
+    tib: 1024 ** 4
+};
+
+class ResourceSampler {
+    constructor() {
+        // Previous raw samples per server, used to turn counters into rates
+        this.previousSamples = {};
+
+        // Throughput that counts as 100% on the disk and network gauges (bytes per second)
+        this.throughputBaselines = {
+            disk: 50 * 1024 * 1024,
+            network: 10 * 1024 * 1024
+        };
+    }
+
+    /**
+     * Determine which backend should sample a server
+     * @param {Object} target - Sampling target ({ pid, containerId, type, demo })
+     * @returns {string|null} Backend name or null if the server cannot be sampled
+     */
+    resolveBackend(target = {}) {
+        if (target.demo) {
+            return SAMPLER_BACKENDS.SIMULATED;
+        }
+
+        if (target.pid) {
+            return SAMPLER_BACKENDS.PROCESS;
+        }
+
+        if (target.containerId) {
+            return SAMPLER_BACKENDS.DOCKER;
+        }
+
+        return null;
+    }
+
+    /**
+     * Sample resources for a server
+     * @param {string} serverId - Server ID
+     * @param {Object} target - Sampling target ({ pid, containerId, demo })
+     * @param {Object} previousResources - Last resources reported for the server
+     * @returns {Promise<Object>} Resources ({ cpu, memory, disk, network, details })
+     */
+    async sample(serverId, target = {}, previousResources = null) {
+        const backend = this.resolveBackend(target);
+
+        switch (backend) {
+            case SAMPLER_BACKENDS.PROCESS:
+                return this.sampleProcess(serverId, target.pid);
+            case SAMPLER_BACKENDS.DOCKER:
+                return this.sampleContainer(serverId, target.containerId);
+            case SAMPLER_BACKENDS.SIMULATED:
+                return this.sampleSimulated(previousResources);
+            default:
+                throw new Error(`No process ID or container configured for server ${serverId}`);
+        }
+    }
+
+    /**
+     * Sample a local process from /proc
+     * @param {string} serverId - Server ID
+     * @param {number|string} pid - Process ID
+     * @returns {Promise<Object>} Resources
+     */
+    async sampleProcess(serverId, pid) {
+        const [statContent, cpuContent, statusContent, meminfoContent] = await Promise.all([
+            this.readFile(`/proc/${pid}/stat`),
+            this.readFile('/proc/stat'),
+            this.readFile(`/proc/${pid}/status`),
+            this.readFile('/proc/meminfo')
+        ]);
+
+        const raw = {
+            timestamp: Date.now(),
+            processJiffies: this.parseProcessJiffies(statContent),
+            totalJiffies: this.parseTotalJiffies(cpuContent),
+            io: await this.readProcessIo(pid)
+        };
+
+        const rssBytes = this.parseStatusField(statusContent, 'VmRSS') * 1024;
+        const memTotalBytes = this.parseStatusField(meminfoContent, 'MemTotal') * 1024;
+        const openFds = await this.countOpenFileDescriptors(pid);
+
+        const previous = this.swapPreviousSample(serverId, raw);
+        const cpu = previous
+            ? this.calculatePercent(
+                raw.processJiffies - previous.processJiffies,
+                raw.totalJiffies - previous.totalJiffies
+            )
+            : 0;
+        const ioRates = this.calculateRates(previous, raw, ['readBytes', 'writeBytes'], 'io');
+
+        return {
+            cpu,
+            memory: this.calculatePercent(rssBytes, memTotalBytes),
+            disk: this.calculateThroughputPercent(ioRates.readBytes + ioRates.writeBytes, 'disk'),
+            network: 0,
+            details: {
+                source: SAMPLER_BACKENDS.PROCESS,
+                pid: Number(pid),
+                rssBytes,
+                openFds,
+                ioReadBytes: raw.io ? raw.io.readBytes : null,
+                ioWriteBytes: raw.io ? raw.io.writeBytes : null,
+                ioReadRate: ioRates.readBytes,
+                ioWriteRate: ioRates.writeBytes
+            }
+        };
+    }
+
+    /**
+     * Sample a Docker container with `docker stats`
+     * @param {string} serverId - Server ID
+     * @param {string} containerId - Container ID or name
+     * @returns {Promise<Object>} Resources
+     */
+    async sampleContainer(serverId, containerId) {
+        const output = await this.executeCommand('docker', [
+            'stats',
+            '--no-stream',
+            '--format',
+            'json',
+            containerId
+        ]);
+
+        const stats = this.parseDockerStats(output);
+        const [rxBytes, txBytes] = this.parseBytePair(stats.NetIO);
+        const [readBytes, writeBytes] = this.parseBytePair(stats.BlockIO);
+        const [memUsageBytes, memLimitBytes] = this.parseBytePair(stats.MemUsage);
+
+        const raw = {
+            timestamp: Date.now(),
+            net: { rxBytes, txBytes },
+            io: { readBytes, writeBytes }
+        };
+
+        const previous = this.swapPreviousSample(serverId, raw);
+        const netRates = this.calculateRates(previous, raw, ['rxBytes', 'txBytes'], 'net');
+        const ioRates = this.calculateRates(previous, raw, ['readBytes', 'writeBytes'], 'io');
+
+        return {
+            cpu: this.parsePercent(stats.CPUPerc),
+            memory: this.parsePercent(stats.MemPerc),
+            disk: this.calculateThroughputPercent(ioRates.readBytes + ioRates.writeBytes, 'disk'),
+            network: this.calculateThroughputPercent(netRates.rxBytes + netRates.txBytes, 'network'),
+            details: {
+                source: SAMPLER_BACKENDS.DOCKER,
+                containerId: stats.ID || containerId,
+                rssBytes: memUsageBytes,
+                memLimitBytes,
+                pids: parseInt(stats.PIDs, 10) || 0,
+                ioReadBytes: readBytes,
+                ioWriteBytes: writeBytes,
+                ioReadRate: ioRates.readBytes,
+                ioWriteRate: ioRates.writeBytes,
+                netRxBytes: rxBytes,
+                netTxBytes: txBytes,
+                netRxRate: netRates.rxBytes,
+                netTxRate: netRates.txBytes
+            }
+        };
+    }
+
+    /**
+     * Generate simulated resources (demo mode only)
+     * @param {Object} previousResources - Previous resources to drift from
+     * @returns {Object} Simulated resources
+     */
+    sampleSimulated(previousResources) {
+        const prev = previousResources || {
+            cpu: 0,
+            memory: 0,
+            disk: 0,
+            network: 0
+        };
+
+        return {
+            cpu: this.simulateResourceValue(prev.cpu, 0, 100, 10),
+            memory: this.simulateResourceValue(prev.memory, 0, 100, 5),
+            disk: this.simulateResourceValue(prev.disk, 0, 100, 2),
+            network: this.simulateResourceValue(prev.network, 0, 100, 15),
+            details: {
+                source: SAMPLER_BACKENDS.SIMULATED
+            }
+        };
+    }
+
+    /**
+     * Simulate a resource value that changes gradually
+     * @param {number} prevValue - Previous value
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @param {number} maxChange - Maximum change
+     * @returns {number} Simulated value
+     */
+    simulateResourceValue(prevValue, min, max, maxChange) {
+        const change = (Math.random() * maxChange * 2) - maxChange;
+        const newValue = Math.max(min, Math.min(max, prevValue + change));
+
+        return parseFloat(newValue.toFixed(1));
+    }
+
+    /**
+     * Forget the previous sample for a server
+     * @param {string} serverId - Server ID
+     */
+    reset(serverId) {
+        delete this.previousSamples[serverId];
+    }
+
+    /**
+     * Store a raw sample and return the one it replaces
+     * @param {string} serverId - Server ID
+     * @param {Object} raw - Raw sample
+     * @returns {Object|null} Previous raw sample
+     * @private
+     */
+    swapPreviousSample(serverId, raw) {
+        const previous = this.previousSamples[serverId] || null;
+        this.previousSamples[serverId] = raw;
+        return previous;
+    }
+
+    /**
+     * Parse utime + stime from /proc/<pid>/stat
+     * @param {string} content - File content
+     * @returns {number} Process CPU time in jiffies
+     */
+    parseProcessJiffies(content) {
+        // The command name can contain spaces and parentheses, so split after the last ')'
+        const fields = content.slice(content.lastIndexOf(')') + 2).trim().split(/\s+/);
+
+        // Fields 14 (utime) and 15 (stime) in proc(5), offset by the pid and comm fields
+        return parseInt(fields[11], 10) + parseInt(fields[12], 10);
+    }
+
+    /**
+     * Parse total CPU time from the aggregate line of /proc/stat
+     * @param {string} content - File content
+     * @returns {number} Total CPU time in jiffies
+     */
+    parseTotalJiffies(content) {
+        const cpuLine = content.split('\n').find(line => line.startsWith('cpu '));
+
+        if (!cpuLine) {
+            throw new Error('Unexpected /proc/stat format');
+        }
+
+        // user nice system idle iowait irq softirq steal (guest time is already counted in user)
+        return cpuLine.trim().split(/\s+/).slice(1, 9)
+            .reduce((sum, value) => sum + parseInt(value, 10), 0);
+    }
+
+    /**
+     * Parse a "Key:   value kB" field from /proc/<pid>/status or /proc/meminfo
+     * @param {string} content - File content
+     * @param {string} field - Field name
+     * @returns {number} Field value (kB for memory fields)
+     */
+    parseStatusField(content, field) {
+        const match = content.match(new RegExp(`^${field}:\\s+(\\d+)`, 'm'));
+        return match ? parseInt(match[1], 10) : 0;
+    }
+
+    /**
+     * Read I/O counters from /proc/<pid>/io
+     * @param {number|string} pid - Process ID
+     * @returns {Promise<Object|null>} I/O counters or null if not readable
+     */
+    async readProcessIo(pid) {
+        try {
+            const content = await this.readFile(`/proc/${pid}/io`);
+
+            return {
+                readBytes: this.parseStatusField(content, 'read_bytes'),
+                writeBytes: this.parseStatusField(content, 'write_bytes')
+            };
+        } catch (error) {
+            // /proc/<pid>/io is only readable for processes owned by the current user
+            return null;
+        }
+    }
+
+    /**
+     * Count open file descriptors of a process
+     * @param {number|string} pid - Process ID
+     * @returns {Promise<number|null>} Number of open descriptors or null if not readable
+     */
+    async countOpenFileDescriptors(pid) {
+        try {
+            const entries = await this.listDirectory(`/proc/${pid}/fd`);
+            return entries.length;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Parse `docker stats --format json` output
+     * @param {string} output - Command output
+     * @returns {Object} Stats object for the first container
+     */
+    parseDockerStats(output) {
+        const line = (output || '').trim().split('\n')[0];
+
+        if (!line) {
+            throw new Error('docker stats returned no data');
+        }
+
+        return JSON.parse(line);
+    }
+
+    /**
+     * Parse a docker percentage string such as "12.5%"
+     * @param {string} value - Percentage string
+     * @returns {number} Percentage
+     */
+    parsePercent(value) {
+        const parsed = parseFloat(String(value || '').replace('%', ''));
+        return Number.isNaN(parsed) ? 0 : parseFloat(parsed.toFixed(1));
+    }
+
+    /**
+     * Parse a docker "used / total" size pair such as "1.2kB / 3.4MB"
+     * @param {string} value - Size pair
+     * @returns {Array<number>} Both sizes in bytes
+     */
+    parseBytePair(value) {
+        const [first, second] = String(value || '').split('/');
+        return [this.parseByteSize(first), this.parseByteSize(second)];
+    }
+
+    /**
+     * Parse a docker size string such as "10.5MiB"
+     * @param {string} value - Size string
+     * @returns {number} Size in bytes
+     */
+    parseByteSize(value) {
+        const match = String(value || '').trim().match(/^([\d.]+)\s*([a-zA-Z]*)$/);
+
+        if (!match) {
+            return 0;
+        }
+
+        const multiplier = BYTE_UNITS[(match[2] || 'b').toLowerCase()] || 1;
+        return Math.round(parseFloat(match[1]) * multiplier);
+    }
+
+    /**
+     * Calculate per-second rates between two raw samples
+     * @param {Object|null} previous - Previous raw sample
+     * @param {Object} current - Current raw sample
+     * @param {Array<string>} keys - Counter keys
+     * @param {string} group - Property holding the counters
+     * @returns {Object} Rates in bytes per second keyed by counter
+     */
+    calculateRates(previous, current, keys, group) {
+        const rates = {};
+        const elapsedSeconds = previous ? (current.timestamp - previous.timestamp) / 1000 : 0;
+
+        keys.forEach(key => {
+            const hasCounters = previous && previous[group] && current[group];
+            const delta = hasCounters ? current[group][key] - previous[group][key] : 0;
+
+            // Counters reset when a process or container restarts
+            rates[key] = elapsedSeconds > 0 && delta > 0 ? Math.round(delta / elapsedSeconds) : 0;
+        });
+
+        return rates;
+    }
+
+    /**
+     * Calculate a percentage rounded to one decimal place
+     * @param {number} value - Value
+     * @param {number} total - Total
+     * @returns {number} Percentage between 0 and 100
+     */
+    calculatePercent(value, total) {
+        if (!total || total <= 0 || value <= 0) {
+            return 0;
+        }
+
+        return parseFloat(Math.min(100, (value / total) * 100).toFixed(1));
+    }
+
+    /**
+     * Express a throughput as a percentage of its configured baseline
+     * @param {number} bytesPerSecond - Throughput
+     * @param {string} kind - Baseline kind ('disk' or 'network')
+     * @returns {number} Percentage between 0 and 100
+     */
+    calculateThroughputPercent(bytesPerSecond, kind) {
+        return this.calculatePercent(bytesPerSecond, this.throughputBaselines[kind]);
+    }
+
+    /**
+     * Read a file through the Electron bridge
+     * @param {string} filePath - File path
+     * @returns {Promise<string>} File content
+     * @private
+     */
+    async readFile(filePath) {
+        if (typeof window.electronAPI === 'undefined' || !window.electronAPI.readFile) {
+            throw new Error('File access is not available in this environment');
+        }
+
+        return window.electronAPI.readFile(filePath);
+    }
+
+    /**
+     * List a directory through the Electron bridge
+     * @param {string} dirPath - Directory path
+     * @returns {Promise<Array>} Directory entries
+     * @private
+     */
+    async listDirectory(dirPath) {
+        if (typeof window.electronAPI === 'undefined' || !window.electronAPI.listDirectory) {
+            throw new Error('Directory listing is not available in this environment');
+        }
+
+        return window.electronAPI.listDirectory(dirPath);
+    }
+
+    /**
+     * Execute a command through the command runner
+     * @param {string} command - Executable
+     * @param {Array<string>} args - Arguments
+     * @returns {Promise<string>} Command output
+     * @private
+     */
+    async executeCommand(command, args) {
+        if (commandRunner.isDryRun() || !commandRunner.isAvailable()) {
+            throw new Error('Command execution is not available in this environment');
+        }
+
+        const result = await commandRunner.run(command, args, { timeout: 15000 });
+        return result.stdout;
+    }
+}
+
+// Create singleton instance
+const resourceSampler = new ResourceSampler();
+
+// Export for use in other modules
+export default resourceSampler;
@@ -108,6 +108,84 @@ class SecurityFeatures {
         return this.credentialManager.deleteCredentials(serverId);
     }
     
+    /**
+     * Protect stored credentials with a master password
+     * @param {string} masterPassword - Master password
+     * @param {Object} options - Vault options ({ autoLockMinutes })
+     * @returns {Promise<boolean>} Success status
+     */
+    async enableCredentialVault(masterPassword, options = {}) {
+        return this.credentialManager.enableVault(masterPassword, options);
+    }
+    
+    /**
+     * Unlock stored credentials
+     * @param {string} masterPassword - Master password
+     * @returns {Promise<boolean>} True if the password was correct
+     */
+    async unlockCredentials(masterPassword) {
+        return this.credentialManager.unlock(masterPassword);
+    }
+    
+    /**
+     * Lock stored credentials
+     */
+    lockCredentials() {
+        this.credentialManager.lock();
+    }
+    
+    /**
+     * Check whether stored credentials are locked
+     * @returns {boolean} True if a master password is needed to read credentials
+     */
+    areCredentialsLocked() {
+        return this.credentialManager.isLocked();
+    }
+    
+    /**
+     * Change the master password
+     * @param {string} currentPassword - Current master password
+     * @param {string} newPassword - New master password
+     * @returns {Promise<boolean>} Success status
+     */
+    async changeMasterPassword(currentPassword, newPassword) {
+        return this.credentialManager.changeMasterPassword(currentPassword, newPassword);
+    }
+    
+    /**
+     * Export stored credentials to an encrypted file
+     * @param {string} filePath - Destination file
+     * @param {string} password - Password protecting the export
+     * @returns {Promise<boolean>} Success status
+     */
+    async exportCredentials(filePath, password) {
+        try {
+            const contents = await this.credentialManager.exportCredentials(password);
+            await window.electronAPI.writeFile(filePath, contents);
+            return true;
+        } catch (error) {
+            console.error('Error exporting credentials:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Import credentials from an encrypted export file
+     * @param {string} filePath - Export file
+     * @param {string} password - Password protecting the export
+     * @param {Object} options - Import options ({ overwrite })
+     * @returns {Promise<Object|null>} Result ({ imported, skipped }) or null on failure
+     */
+    async importCredentials(filePath, password, options = {}) {
+        try {
+            const contents = await window.electronAPI.readFile(filePath);
+            return await this.credentialManager.importCredentials(contents, password, options);
+        } catch (error) {
+            console.error('Error importing credentials:', error);
+            return null;
+        }
+    }
+    
     /**
      * Enable HTTPS for a server
      * @param {string} serverId - Server ID
@@ -146,7 +224,7 @@ class SecurityFeatures {
     }
     
     /**
-     * Generate a self-signed certificate for a server
+     * Issue a certificate for a server from the local CA
      * @param {string} serverId - Server ID
      * @param {Object} options - Certificate options
      * @returns {Promise<Object>} Certificate data
@@ -249,9 +327,9 @@ class SecurityFeatures {
      * Secure an existing server
      * @param {string} serverId - Server ID
      * @param {Object} serverConfig - Server configuration
-     * @returns {Object} Updated server configuration with security features
+     * @returns {Promise<Object>} Updated server configuration with security features
      */
-    secureServer(serverId, serverConfig) {
+    async secureServer(serverId, serverConfig) {
         try {
             const config = { ...serverConfig };
             
@@ -261,7 +339,8 @@ class SecurityFeatures {
                 
                 // Generate certificate if needed
                 if (!this.httpsManager.getCertificateInfo(serverId)) {
-                    this.generateCertificate(serverId, {
+                    // The HTTPS config points at the certificate files, so they must exist first
+                    await this.generateCertificate(serverId, {
                         subject: config.host || 'localhost'
                     });
                 }
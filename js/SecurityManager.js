@@ -1,14 +1,36 @@
 /**
  * SecurityManager.js - Handles security features for MCP servers
- * Provides secure credential storage, HTTPS support, and permission management
+ * Provides secure credential storage, HTTPS support, and permission management.
+ *
+ * Credentials are encrypted with AES-GCM. Without a vault the key lives in
+ * sessionStorage and only survives the browser session; once a master password
+ * is set, the key is derived from it with PBKDF2 and never stored.
  */
 
+const VAULT_STORAGE_KEY = 'mcp_credential_vault';
+const EXPORT_FORMAT = 'mcp-credential-vault';
+
+// OWASP recommendation for PBKDF2-HMAC-SHA256
+const PBKDF2_ITERATIONS = 600000;
+const SALT_LENGTH = 16;
+const MIN_PASSWORD_LENGTH = 8;
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+const SECRET_PREFIX = 'secret:';
+const BACKUP_KEY_ID = 'backup-encryption-key';
+const BACKUP_KEY_LENGTH = 32;
+
+// Known value encrypted with the vault key, so a wrong master password is detected
+// even when no credentials are stored yet
+const VAULT_VERIFIER_VALUE = 'mcp-credential-vault';
+
 class SecurityManager {
     constructor() {
         this.credentials = {};
         this.permissions = {};
         this.encryptionKey = null;
         this.initialized = false;
+        this.vault = null; // KDF parameters and settings of the master-password vault
+        this.autoLockTimer = null;
         
         // Initialize secure storage
         this.initializeSecureStorage();
@@ -22,6 +44,15 @@ class SecurityManager {
         try {
             // Check if Web Crypto API is available
             if (window.crypto && window.crypto.subtle) {
+                this.vault = this.loadVaultSettings();
+                
+                if (this.vault) {
+                    // The key is only available once the user unlocks the vault
+                    this.initialized = true;
+                    console.info('Secure credential storage initialized (vault locked)');
+                    return;
+                }
+                
                 // Generate or retrieve encryption key
                 this.encryptionKey = await this.getEncryptionKey();
                 this.initialized = true;
@@ -86,6 +117,364 @@ class SecurityManager {
         return key;
     }
     
+    /**
+     * Load the vault settings from localStorage
+     * @returns {Object|null} Vault settings ({ kdf, verifier, autoLockMinutes }) or null if no vault is set up
+     * @private
+     */
+    loadVaultSettings() {
+        try {
+            const storedVault = localStorage.getItem(VAULT_STORAGE_KEY);
+            return storedVault ? JSON.parse(storedVault) : null;
+        } catch (error) {
+            console.error('Error loading credential vault settings:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Save the vault settings to localStorage
+     * @private
+     */
+    saveVaultSettings() {
+        localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify(this.vault));
+    }
+    
+    /**
+     * Check whether a master-password vault is set up
+     * @returns {boolean} True if credentials are protected by a master password
+     */
+    isVaultEnabled() {
+        return this.vault !== null;
+    }
+    
+    /**
+     * Check whether the credentials are locked
+     * @returns {boolean} True if the vault is set up and not unlocked
+     */
+    isLocked() {
+        return this.isVaultEnabled() && this.encryptionKey === null;
+    }
+    
+    /**
+     * Create new PBKDF2 parameters with a random salt
+     * @returns {Object} KDF parameters
+     * @private
+     */
+    createKdfParams() {
+        return {
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: PBKDF2_ITERATIONS,
+            salt: this.arrayBufferToBase64(window.crypto.getRandomValues(new Uint8Array(SALT_LENGTH)))
+        };
+    }
+    
+    /**
+     * Derive an AES-GCM key from a password
+     * @param {string} password - Password
+     * @param {Object} kdf - KDF parameters ({ name, hash, iterations, salt })
+     * @returns {Promise<CryptoKey>} Derived key
+     * @private
+     */
+    async deriveKey(password, kdf) {
+        if (kdf.name !== 'PBKDF2') {
+            throw new Error(`Unsupported key derivation function: ${kdf.name}`);
+        }
+        
+        const passwordKey = await window.crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        
+        return window.crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                hash: kdf.hash,
+                iterations: kdf.iterations,
+                salt: this.base64ToArrayBuffer(kdf.salt)
+            },
+            passwordKey,
+            { name: 'AES-GCM', length: 256 },
+            false, // not extractable
+            ['encrypt', 'decrypt']
+        );
+    }
+    
+    /**
+     * Check that a new master password is acceptable
+     * @param {string} password - Password
+     * @private
+     */
+    validateMasterPassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Master password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+    
+    /**
+     * Protect the stored credentials with a master password
+     * Existing credentials are re-encrypted and the session key is discarded.
+     * @param {string} masterPassword - Master password
+     * @param {Object} options - Vault options
+     * @param {number} options.autoLockMinutes - Minutes of inactivity before locking (0 disables)
+     * @returns {Promise<boolean>} Success status
+     */
+    async enableVault(masterPassword, options = {}) {
+        try {
+            if (!this.initialized) {
+                throw new Error('Secure storage not initialized');
+            }
+            
+            if (this.isVaultEnabled()) {
+                throw new Error('Credential vault is already enabled');
+            }
+            
+            this.validateMasterPassword(masterPassword);
+            
+            const kdf = this.createKdfParams();
+            this.encryptionKey = await this.deriveKey(masterPassword, kdf);
+            this.vault = {
+                kdf,
+                verifier: await this.encryptData(VAULT_VERIFIER_VALUE),
+                autoLockMinutes: options.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES
+            };
+            
+            await this.saveCredentials();
+            this.saveVaultSettings();
+            sessionStorage.removeItem('mcp_encryption_key');
+            this.resetAutoLockTimer();
+            
+            console.info('Credential vault enabled');
+            window.dispatchEvent(new CustomEvent('credential-vault-enabled'));
+            return true;
+        } catch (error) {
+            console.error('Error enabling credential vault:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Unlock the vault with the master password
+     * @param {string} masterPassword - Master password
+     * @returns {Promise<boolean>} True if the password was correct
+     */
+    async unlock(masterPassword) {
+        try {
+            if (!this.isVaultEnabled()) {
+                throw new Error('Credential vault is not enabled');
+            }
+            
+            const key = await this.deriveKey(masterPassword, this.vault.kdf);
+            if (!await this.verifyVaultKey(key)) {
+                console.warn('Incorrect master password');
+                return false;
+            }
+            
+            const encryptedData = localStorage.getItem('mcp_credentials');
+            const credentials = encryptedData ? await this.decryptData(encryptedData, key) : {};
+            if (!credentials) {
+                throw new Error('Stored credentials could not be decrypted');
+            }
+            
+            this.encryptionKey = key;
+            this.credentials = credentials;
+            
+            // Vaults created before verifiers were stored get one now
+            if (!this.vault.verifier) {
+                this.vault.verifier = await this.encryptData(VAULT_VERIFIER_VALUE);
+                this.saveVaultSettings();
+            }
+            
+            this.resetAutoLockTimer();
+            
+            window.dispatchEvent(new CustomEvent('credential-vault-unlocked'));
+            return true;
+        } catch (error) {
+            console.error('Error unlocking credential vault:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Check that a key was derived from the master password
+     * AES-GCM authentication fails when the key was derived from a wrong password.
+     * @param {CryptoKey} key - Key derived from the entered password
+     * @returns {Promise<boolean>} True if the key decrypts the vault verifier
+     * @private
+     */
+    async verifyVaultKey(key) {
+        if (this.vault.verifier) {
+            return await this.decryptData(this.vault.verifier, key) === VAULT_VERIFIER_VALUE;
+        }
+        
+        // Vaults created before verifiers were stored are checked against the credentials
+        const encryptedData = localStorage.getItem('mcp_credentials');
+        return Boolean(encryptedData) && await this.decryptData(encryptedData, key) !== null;
+    }
+    
+    /**
+     * Lock the vault, forgetting the key and the decrypted credentials
+     */
+    lock() {
+        if (!this.isVaultEnabled()) {
+            return;
+        }
+        
+        clearTimeout(this.autoLockTimer);
+        this.autoLockTimer = null;
+        this.encryptionKey = null;
+        this.credentials = {};
+        
+        window.dispatchEvent(new CustomEvent('credential-vault-locked'));
+    }
+    
+    /**
+     * Set the auto-lock timeout
+     * @param {number} minutes - Minutes of inactivity before locking (0 disables)
+     */
+    setAutoLockTimeout(minutes) {
+        if (!this.isVaultEnabled()) {
+            throw new Error('Credential vault is not enabled');
+        }
+        
+        this.vault.autoLockMinutes = Math.max(0, Number(minutes) || 0);
+        this.saveVaultSettings();
+        this.resetAutoLockTimer();
+    }
+    
+    /**
+     * Restart the auto-lock countdown
+     * @private
+     */
+    resetAutoLockTimer() {
+        clearTimeout(this.autoLockTimer);
+        this.autoLockTimer = null;
+        
+        if (this.isVaultEnabled() && !this.isLocked() && this.vault.autoLockMinutes > 0) {
+            this.autoLockTimer = setTimeout(() => {
+                console.info('Credential vault locked after inactivity');
+                this.lock();
+            }, this.vault.autoLockMinutes * 60 * 1000);
+        }
+    }
+    
+    /**
+     * Change the master password and re-encrypt the credentials with the new key
+     * @param {string} currentPassword - Current master password
+     * @param {string} newPassword - New master password
+     * @returns {Promise<boolean>} Success status
+     */
+    async changeMasterPassword(currentPassword, newPassword) {
+        try {
+            if (!this.isVaultEnabled()) {
+                throw new Error('Credential vault is not enabled');
+            }
+            
+            this.validateMasterPassword(newPassword);
+            
+            // Verify the current password even when the vault is already unlocked
+            if (!await this.unlock(currentPassword)) {
+                throw new Error('Current master password is incorrect');
+            }
+            
+            const kdf = this.createKdfParams();
+            const key = await this.deriveKey(newPassword, kdf);
+            const encryptedData = await this.encryptData(this.credentials, key);
+            const verifier = await this.encryptData(VAULT_VERIFIER_VALUE, key);
+            
+            localStorage.setItem('mcp_credentials', encryptedData);
+            this.vault.kdf = kdf;
+            this.vault.verifier = verifier;
+            this.saveVaultSettings();
+            this.encryptionKey = key;
+            
+            console.info('Master password changed');
+            return true;
+        } catch (error) {
+            console.error('Error changing master password:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Export the credentials as an encrypted file
+     * The export has its own salt, so it can be imported into another installation.
+     * @param {string} password - Password protecting the export
+     * @returns {Promise<string>} Export file contents (JSON)
+     */
+    async exportCredentials(password) {
+        this.ensureUnlocked();
+        this.validateMasterPassword(password);
+        
+        const kdf = this.createKdfParams();
+        const key = await this.deriveKey(password, kdf);
+        
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            kdf,
+            data: await this.encryptData(this.credentials, key)
+        }, null, 2);
+    }
+    
+    /**
+     * Import credentials from an encrypted export file
+     * @param {string} fileContents - Export file contents
+     * @param {string} password - Password protecting the export
+     * @param {Object} options - Import options
+     * @param {boolean} options.overwrite - Replace credentials that already exist (default false)
+     * @returns {Promise<Object>} Result ({ imported, skipped }) with server IDs
+     */
+    async importCredentials(fileContents, password, options = {}) {
+        this.ensureUnlocked();
+        
+        const file = JSON.parse(fileContents);
+        if (file.format !== EXPORT_FORMAT || !file.kdf || !file.data) {
+            throw new Error('Not a credential vault export file');
+        }
+        
+        const key = await this.deriveKey(password, file.kdf);
+        const credentials = await this.decryptData(file.data, key);
+        if (!credentials) {
+            throw new Error('Incorrect password for credential export');
+        }
+        
+        const result = { imported: [], skipped: [] };
+        Object.entries(credentials).forEach(([serverId, entry]) => {
+            if (this.credentials[serverId] && !options.overwrite) {
+                result.skipped.push(serverId);
+            } else {
+                this.credentials[serverId] = entry;
+                result.imported.push(serverId);
+            }
+        });
+        
+        await this.saveCredentials();
+        return result;
+    }
+    
+    /**
+     * Throw unless credentials can be read and written
+     * Every access counts as activity for the auto-lock timer.
+     * @private
+     */
+    ensureUnlocked() {
+        if (!this.initialized) {
+            throw new Error('Secure storage not initialized');
+        }
+        
+        if (this.isLocked()) {
+            throw new Error('Credential vault is locked');
+        }
+        
+        this.resetAutoLockTimer();
+    }
+    
     /**
      * Load stored credentials from localStorage
      */
@@ -109,7 +498,7 @@ class SecurityManager {
      */
     async saveCredentials() {
         try {
-            if (this.initialized) {
+            if (this.initialized && this.encryptionKey) {
                 const encryptedData = await this.encryptData(this.credentials);
                 localStorage.setItem('mcp_credentials', encryptedData);
             }
@@ -126,9 +515,7 @@ class SecurityManager {
      */
     async storeCredentials(serverId, credentials) {
         try {
-            if (!this.initialized) {
-                throw new Error('Secure storage not initialized');
-            }
+            this.ensureUnlocked();
             
             // Validate credentials
             if (!credentials || typeof credentials !== 'object') {
@@ -158,9 +545,7 @@ class SecurityManager {
      */
     async getCredentials(serverId) {
         try {
-            if (!this.initialized) {
-                throw new Error('Secure storage not initialized');
-            }
+            this.ensureUnlocked();
             
             return this.credentials[serverId] || null;
         } catch (error) {
@@ -176,9 +561,7 @@ class SecurityManager {
      */
     async deleteCredentials(serverId) {
         try {
-            if (!this.initialized) {
-                throw new Error('Secure storage not initialized');
-            }
+            this.ensureUnlocked();
             
             if (this.credentials[serverId]) {
                 delete this.credentials[serverId];
@@ -192,13 +575,88 @@ class SecurityManager {
         }
     }
     
+    /**
+     * Store a named secret, e.g. an API key referenced from server configs
+     * Secrets share the encrypted credential store, keyed with a "secret:" prefix. They are
+     * only stored behind a master password: configs keep referencing them after a restart,
+     * when a session-only key would be gone.
+     * @param {string} name - Secret name
+     * @param {string} value - Secret value
+     * @returns {Promise<boolean>} Success status
+     */
+    async storeSecret(name, value) {
+        if (!this.isVaultEnabled()) {
+            console.error(`Error storing secret ${name}: set a master password for the credential vault first`);
+            return false;
+        }
+        
+        return this.storeCredentials(`${SECRET_PREFIX}${name}`, { value });
+    }
+    
+    /**
+     * Retrieve a named secret
+     * @param {string} name - Secret name
+     * @returns {Promise<string|null>} Secret value or null if not found
+     */
+    async getSecret(name) {
+        const entry = await this.getCredentials(`${SECRET_PREFIX}${name}`);
+        return entry ? entry.value : null;
+    }
+    
+    /**
+     * Delete a named secret
+     * @param {string} name - Secret name
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteSecret(name) {
+        return this.deleteCredentials(`${SECRET_PREFIX}${name}`);
+    }
+    
+    /**
+     * List the names of the stored secrets
+     * @returns {Array<string>} Secret names (empty while locked)
+     */
+    listSecrets() {
+        return Object.keys(this.credentials)
+            .filter(key => key.startsWith(SECRET_PREFIX))
+            .map(key => key.substring(SECRET_PREFIX.length));
+    }
+    
+    /**
+     * Get the key backups are encrypted with, creating it on first use
+     * The key is stored with the credentials (and travels with credential exports), but
+     * only behind a master password: a session-only credential key would not survive a
+     * restart, and the backups would become unreadable.
+     * @returns {Promise<string>} Raw 256-bit key as base64
+     */
+    async getBackupEncryptionKey() {
+        this.ensureUnlocked();
+        
+        if (!this.isVaultEnabled()) {
+            throw new Error('Set a master password for the credential vault before encrypting backups with its key');
+        }
+        
+        const entry = this.credentials[BACKUP_KEY_ID];
+        if (entry) {
+            return entry.value;
+        }
+        
+        const key = this.arrayBufferToBase64(window.crypto.getRandomValues(new Uint8Array(BACKUP_KEY_LENGTH)));
+        if (!await this.storeCredentials(BACKUP_KEY_ID, { value: key })) {
+            throw new Error('Could not store the backup encryption key');
+        }
+        
+        return key;
+    }
+    
     /**
      * Encrypt data using AES-GCM
      * @param {Object} data - Data to encrypt
+     * @param {CryptoKey} key - Encryption key (defaults to the credential key)
      * @returns {Promise<string>} Encrypted data as base64 string
      */
-    async encryptData(data) {
-        if (!this.initialized) {
+    async encryptData(data, key = this.encryptionKey) {
+        if (!this.initialized || !key) {
             throw new Error('Secure storage not initialized');
         }
         
@@ -215,7 +673,7 @@ class SecurityManager {
                 name: 'AES-GCM',
                 iv
             },
-            this.encryptionKey,
+            key,
             dataBuffer
         );
         
@@ -231,10 +689,11 @@ class SecurityManager {
     /**
      * Decrypt data using AES-GCM
      * @param {string} encryptedData - Encrypted data as base64 string
-     * @returns {Promise<Object>} Decrypted data
+     * @param {CryptoKey} key - Decryption key (defaults to the credential key)
+     * @returns {Promise<Object>} Decrypted data, or null if the key does not match
      */
-    async decryptData(encryptedData) {
-        if (!this.initialized) {
+    async decryptData(encryptedData, key = this.encryptionKey) {
+        if (!this.initialized || !key) {
             throw new Error('Secure storage not initialized');
         }
         
@@ -252,7 +711,7 @@ class SecurityManager {
                     name: 'AES-GCM',
                     iv
                 },
-                this.encryptionKey,
+                key,
                 encryptedBuffer
             );
             
@@ -0,0 +1,596 @@
+/**
+ * ServerInventory.js - Builds one inventory of the MCP servers on this machine
+ * Servers are discovered from the mcpServers entries of every known client config,
+ * classified by how they are launched, and matched to running processes and Docker
+ * containers. Inventory IDs are derived from server names and persisted, so backups,
+ * monitoring and permissions all refer to a server by the same ID.
+ */
+
+import commandRunner from './CommandRunner.js';
+import mcpClientRegistry from './McpClientRegistry.js';
+
+const INVENTORY_STORAGE_KEY = 'mcp_server_inventory';
+
+// Server kinds, by how the client launches them
+const SERVER_KINDS = {
+    NPX: 'npx',
+    UVX: 'uvx',
+    NODE: 'node',
+    PYTHON: 'python',
+    DOCKER: 'docker',
+    REMOTE: 'remote',
+    OTHER: 'other'
+};
+
+// docker run flags that take a value, so the value is not mistaken for the image
+const DOCKER_VALUE_FLAGS = [
+    '-e', '--env', '--env-file', '-v', '--volume', '-p', '--publish', '--name', '--network',
+    '-w', '--workdir', '-u', '--user', '--label', '-l', '--mount', '--entrypoint', '--platform',
+    '--restart', '-m', '--memory', '--cpus', '-h', '--hostname', '--add-host'
+];
+
+// Identifiers shorter than this match too many unrelated processes
+const MIN_MATCH_LENGTH = 4;
+
+class ServerInventory {
+    constructor() {
+        this.inventory = this.loadInventory();
+    }
+
+    /**
+     * Discover servers from client configs, processes and containers
+     * @param {Object} options - Discovery options
+     * @param {Array<Object>} options.targets - Client targets to read (defaults to every known target)
+     * @param {boolean} options.includeProcesses - Match running processes (default true)
+     * @param {boolean} options.includeContainers - Match Docker containers (default true)
+     * @returns {Promise<Array<Object>>} Inventory entries
+     */
+    async discover(options = {}) {
+        const configured = this.collectConfiguredServers(options.targets || mcpClientRegistry.getKnownTargets());
+        const [processes, containers] = await Promise.all([
+            options.includeProcesses === false ? [] : this.listProcesses(),
+            options.includeContainers === false ? [] : this.listContainers()
+        ]);
+
+        const entries = [];
+        const matchedContainers = new Set();
+        const previous = this.inventory;
+
+        configured.forEach(server => {
+            const container = this.matchContainer(server, containers);
+            if (container) {
+                matchedContainers.add(container.id);
+            }
+
+            entries.push(this.createEntry(server, {
+                process: container ? null : this.matchProcess(server, processes),
+                container
+            }));
+        });
+
+        // MCP containers that no client config launches (e.g. cloud or compose deployments)
+        containers
+            .filter(container => !matchedContainers.has(container.id) && this.isMcpContainer(container))
+            .forEach(container => {
+                entries.push(this.createEntry({
+                    name: container.labels['mcp.server'] || container.name,
+                    kind: SERVER_KINDS.DOCKER,
+                    identifier: container.image,
+                    config: { command: null, args: [], env: {} },
+                    clients: [],
+                    conflicting: false
+                }, { process: null, container }));
+            });
+
+        this.assignIds(entries, previous);
+        this.inventory = Object.fromEntries(entries.map(entry => [entry.id, entry]));
+        this.saveInventory();
+
+        // Lets records kept under older server names move to the inventory IDs
+        window.dispatchEvent(new CustomEvent('server-inventory-updated', { detail: { servers: entries } }));
+
+        return entries;
+    }
+
+    /**
+     * Get the entries of the last discovery
+     * @returns {Array<Object>} Inventory entries
+     */
+    getServers() {
+        return Object.values(this.inventory);
+    }
+
+    /**
+     * Get an inventory entry
+     * @param {string} serverId - Inventory ID
+     * @returns {Object|null} Entry or null if unknown
+     */
+    getServer(serverId) {
+        return this.inventory[serverId] || null;
+    }
+
+    /**
+     * Get the inventory ID of a server
+     * Backups and permission records made before the inventory refer to servers by name or container ID.
+     * @param {string} serverId - Inventory ID, server name, container ID or container name
+     * @returns {string} Inventory ID, or serverId if it is not exactly one entry's ID, name or container
+     */
+    resolveServerId(serverId) {
+        if (this.inventory[serverId]) {
+            return serverId;
+        }
+
+        // Full container IDs start with the short ID the inventory keeps
+        const isContainerId = /^[0-9a-f]{12,64}$/.test(serverId);
+        const matches = this.getServers().filter(entry => this.getAliases(entry).includes(serverId)
+            || (isContainerId && entry.container && serverId.startsWith(entry.container.id)));
+
+        return matches.length === 1 ? matches[0].id : serverId;
+    }
+
+    /**
+     * Get the options ResourceMonitor.startMonitoring needs to sample a server
+     * @param {string} serverId - Inventory ID
+     * @returns {Object|null} Monitoring options ({ name, type, pid, containerId }) or null if unknown
+     */
+    getMonitoringOptions(serverId) {
+        const entry = this.getServer(serverId);
+        if (!entry) {
+            return null;
+        }
+
+        return {
+            name: entry.name,
+            type: entry.kind,
+            pid: entry.process ? entry.process.pid : undefined,
+            containerId: entry.container ? entry.container.id : undefined
+        };
+    }
+
+    /**
+     * Classify how a server is launched
+     * @param {Object} server - Canonical server config ({ command, args, env, url })
+     * @returns {Object} Classification ({ kind, identifier }); the identifier is the package, script, module, image or URL
+     */
+    classifyServer(server) {
+        if (server.url) {
+            return { kind: SERVER_KINDS.REMOTE, identifier: server.url };
+        }
+
+        const executable = (server.command || '').split(/[\\/]/).pop().replace(/\.(exe|cmd|bat)$/i, '').toLowerCase();
+        const args = server.args || [];
+
+        switch (executable) {
+            case 'npx':
+            case 'bunx':
+                return { kind: SERVER_KINDS.NPX, identifier: this.firstPositional(args, ['-p', '--package']) };
+            case 'npm':
+            case 'pnpm':
+            case 'yarn': {
+                const execIndex = args.findIndex(arg => ['exec', 'dlx'].includes(arg));
+                if (execIndex !== -1) {
+                    return { kind: SERVER_KINDS.NPX, identifier: this.firstPositional(args.slice(execIndex + 1)) };
+                }
+                return { kind: SERVER_KINDS.NODE, identifier: this.firstPositional(args) };
+            }
+            case 'uvx':
+                return { kind: SERVER_KINDS.UVX, identifier: this.getFlagValue(args, '--from') || this.firstPositional(args) };
+            case 'uv':
+                return this.classifyUvServer(args);
+            case 'node':
+            case 'bun':
+            case 'deno':
+            case 'tsx':
+                return {
+                    kind: SERVER_KINDS.NODE,
+                    identifier: args.find(arg => /\.(m?js|cjs|ts)$/.test(arg)) || this.firstPositional(args, ['-r', '--require', '--import'])
+                };
+            case 'python':
+            case 'python3':
+            case 'py':
+            case 'pythonw':
+                return { kind: SERVER_KINDS.PYTHON, identifier: this.getFlagValue(args, '-m') || this.firstPositional(args) };
+            case 'docker':
+            case 'podman': {
+                const runIndex = args.indexOf('run');
+                return {
+                    kind: SERVER_KINDS.DOCKER,
+                    identifier: runIndex === -1 ? null : this.firstPositional(args.slice(runIndex + 1), DOCKER_VALUE_FLAGS)
+                };
+            }
+            default:
+                if (/\.py$/i.test(server.command || '')) {
+                    return { kind: SERVER_KINDS.PYTHON, identifier: server.command };
+                }
+                if (/\.(m?js|cjs)$/i.test(server.command || '')) {
+                    return { kind: SERVER_KINDS.NODE, identifier: server.command };
+                }
+                return { kind: SERVER_KINDS.OTHER, identifier: server.command || null };
+        }
+    }
+
+    /**
+     * Classify a server launched with uv
+     * `uv run server.py` runs a script, `uv tool run pkg` and `uv run pkg` run a tool
+     * @param {Array<string>} args - Arguments
+     * @returns {Object} Classification ({ kind, identifier })
+     * @private
+     */
+    classifyUvServer(args) {
+        const runIndex = args.indexOf('run');
+        const target = runIndex === -1 ? null : this.firstPositional(args.slice(runIndex + 1), ['--with', '--directory', '--project', '--from', '--python']);
+
+        if (target && /\.py$/i.test(target)) {
+            return { kind: SERVER_KINDS.PYTHON, identifier: target };
+        }
+
+        if (target === 'python') {
+            return { kind: SERVER_KINDS.PYTHON, identifier: this.getFlagValue(args, '-m') };
+        }
+
+        return { kind: SERVER_KINDS.UVX, identifier: this.getFlagValue(args, '--from') || target };
+    }
+
+    /**
+     * Collect the servers of every target, merging entries that share a name
+     * @param {Array<Object>} targets - Client targets
+     * @returns {Array<Object>} Servers ({ name, kind, identifier, config, clients, conflicting })
+     * @private
+     */
+    collectConfiguredServers(targets) {
+        const servers = new Map();
+
+        targets.forEach(target => {
+            let targetServers = null;
+            try {
+                targetServers = mcpClientRegistry.readServers(target);
+            } catch (error) {
+                console.warn(`Could not read MCP servers of ${target.clientId}:`, error);
+            }
+
+            Object.entries(targetServers || {}).forEach(([name, config]) => {
+                const existing = servers.get(name);
+
+                if (existing) {
+                    existing.clients.push(target);
+                    existing.conflicting = existing.conflicting || !this.isSameLaunch(existing.config, config);
+                    return;
+                }
+
+                servers.set(name, {
+                    name,
+                    ...this.classifyServer(config),
+                    config,
+                    clients: [target],
+                    conflicting: false
+                });
+            });
+        });
+
+        return [...servers.values()];
+    }
+
+    /**
+     * Check whether two configs launch the same server
+     * Env values are ignored; they hold per-client secrets and settings.
+     * @param {Object} a - Canonical server config
+     * @param {Object} b - Canonical server config
+     * @returns {boolean} True if command, args and url match
+     * @private
+     */
+    isSameLaunch(a, b) {
+        return a.command === b.command && a.url === b.url && JSON.stringify(a.args) === JSON.stringify(b.args);
+    }
+
+    /**
+     * Build an inventory entry
+     * @param {Object} server - Collected server
+     * @param {Object} matches - Runtime matches ({ process, container })
+     * @returns {Object} Inventory entry
+     * @private
+     */
+    createEntry(server, { process, container }) {
+        let status = 'configured';
+        if (server.kind === SERVER_KINDS.REMOTE) {
+            status = 'remote';
+        } else if (container) {
+            status = container.state === 'running' ? 'running' : 'stopped';
+        } else if (process) {
+            status = 'running';
+        }
+
+        return {
+            id: null,
+            name: server.name,
+            kind: server.kind,
+            identifier: server.identifier,
+            command: server.config.command,
+            args: server.config.args,
+            url: server.config.url || null,
+            // Only names: values may be secrets
+            envNames: Object.keys(server.config.env),
+            templateId: server.config.env.TEMPLATE_ID || null,
+            clients: server.clients,
+            conflicting: server.conflicting,
+            process,
+            container,
+            status,
+            lastSeen: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Give every entry a stable ID
+     * IDs are slugs of the server name; an entry keeps the ID it had in the previous inventory.
+     * @param {Array<Object>} entries - Inventory entries (modified in place)
+     * @param {Object} previous - Previous inventory by ID
+     * @private
+     */
+    assignIds(entries, previous) {
+        const previousByKey = new Map(Object.values(previous).map(entry => [this.getIdentityKey(entry), entry]));
+        const usedIds = new Set();
+
+        // Keep known IDs first so new entries cannot take them
+        entries.forEach(entry => {
+            const known = previousByKey.get(this.getIdentityKey(entry));
+            if (known && !usedIds.has(known.id)) {
+                entry.id = known.id;
+                entry.firstSeen = known.firstSeen;
+                usedIds.add(entry.id);
+            }
+        });
+
+        entries.filter(entry => !entry.id).forEach(entry => {
+            const base = this.slugify(entry.name) || 'server';
+            let id = base;
+            for (let suffix = 2; usedIds.has(id); suffix++) {
+                id = `${base}-${suffix}`;
+            }
+
+            entry.id = id;
+            entry.firstSeen = entry.lastSeen;
+            usedIds.add(id);
+        });
+    }
+
+    /**
+     * Get the key that identifies an entry across discoveries
+     * @param {Object} entry - Inventory entry
+     * @returns {string} Identity key
+     * @private
+     */
+    getIdentityKey(entry) {
+        // Configured servers are identified by name, unconfigured containers by container name
+        return entry.clients.length > 0 ? `config:${entry.name}` : `container:${entry.container && entry.container.name}`;
+    }
+
+    /**
+     * Get the names an entry was known by before the inventory
+     * @param {Object} entry - Inventory entry
+     * @returns {Array<string>} Server name, container ID and container name
+     * @private
+     */
+    getAliases(entry) {
+        const container = entry.container || {};
+        return [entry.name, container.id, container.name].filter(Boolean);
+    }
+
+    /**
+     * Find the running process of a server
+     * @param {Object} server - Collected server
+     * @param {Array<Object>} processes - Processes ({ pid, commandLine })
+     * @returns {Object|null} Process ({ pid, commandLine }) or null
+     * @private
+     */
+    matchProcess(server, processes) {
+        const identifier = server.identifier;
+        if ([SERVER_KINDS.REMOTE, SERVER_KINDS.DOCKER].includes(server.kind) || !identifier || identifier.length < MIN_MATCH_LENGTH) {
+            return null;
+        }
+
+        // npx and uvx resolve versions; match the package name without them
+        const needle = identifier.replace(/(.)@[^/@]+$/, '$1');
+        const match = processes.find(process => process.commandLine.includes(needle));
+
+        return match ? { pid: match.pid, commandLine: match.commandLine } : null;
+    }
+
+    /**
+     * Find the container of a server
+     * @param {Object} server - Collected server
+     * @param {Array<Object>} containers - Containers from listContainers
+     * @returns {Object|null} Container or null
+     * @private
+     */
+    matchContainer(server, containers) {
+        const byLabel = containers.find(container => container.labels['mcp.server'] === server.name);
+        if (byLabel) {
+            return byLabel;
+        }
+
+        if (server.kind !== SERVER_KINDS.DOCKER) {
+            return containers.find(container => container.name === server.name) || null;
+        }
+
+        const containerName = this.getFlagValue(server.config.args, '--name');
+        if (containerName) {
+            return containers.find(container => container.name === containerName) || null;
+        }
+
+        // Clients start `docker run` servers without a name; prefer a running container of the image
+        const image = server.identifier;
+        const candidates = containers.filter(container => container.image === image || container.image === `${image}:latest`);
+        return candidates.find(container => container.state === 'running') || candidates[0] || null;
+    }
+
+    /**
+     * Check whether a container looks like an MCP server
+     * @param {Object} container - Container
+     * @returns {boolean} True for installer-labelled containers or mcp images/names
+     * @private
+     */
+    isMcpContainer(container) {
+        return Boolean(container.labels['mcp.server'] || container.labels['mcp.deployment'])
+            || /mcp/i.test(container.image) || /mcp/i.test(container.name);
+    }
+
+    /**
+     * List running processes
+     * @returns {Promise<Array<Object>>} Processes ({ pid, commandLine })
+     * @private
+     */
+    async listProcesses() {
+        try {
+            if (navigator.userAgent.toLowerCase().includes('windows')) {
+                const result = await commandRunner.run('powershell', [
+                    '-NoProfile', '-Command',
+                    'Get-CimInstance Win32_Process | Select-Object ProcessId,CommandLine | ConvertTo-Json -Compress'
+                ], { timeout: 20000 });
+
+                return [].concat(JSON.parse(result.stdout || '[]'))
+                    .filter(process => process.CommandLine)
+                    .map(process => ({ pid: process.ProcessId, commandLine: process.CommandLine }));
+            }
+
+            const result = await commandRunner.run('ps', ['-axo', 'pid=,args='], { timeout: 20000 });
+            return result.stdout
+                .split('\n')
+                .map(line => line.trim().match(/^(\d+)\s+(.+)$/))
+                .filter(Boolean)
+                .map(([, pid, commandLine]) => ({ pid: parseInt(pid, 10), commandLine }));
+        } catch (error) {
+            console.warn('Could not list processes:', error);
+            return [];
+        }
+    }
+
+    /**
+     * List Docker containers
+     * @returns {Promise<Array<Object>>} Containers ({ id, name, image, state, status, ports, labels })
+     * @private
+     */
+    async listContainers() {
+        try {
+            const result = await commandRunner.run('docker', ['ps', '-a', '--no-trunc', '--format', '{{json .}}'], { timeout: 20000 });
+
+            return result.stdout
+                .split('\n')
+                .filter(line => line.trim())
+                .map(line => JSON.parse(line))
+                .map(container => ({
+                    id: container.ID.substring(0, 12),
+                    name: container.Names.split(',')[0],
+                    image: container.Image,
+                    state: container.State,
+                    status: container.Status,
+                    ports: container.Ports,
+                    labels: this.parseLabels(container.Labels)
+                }));
+        } catch (error) {
+            // Docker is optional
+            console.info('Docker containers not available:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Parse the label string printed by docker ps
+     * @param {string} labels - Labels (key=value,key=value)
+     * @returns {Object} Labels by key
+     * @private
+     */
+    parseLabels(labels) {
+        const parsed = {};
+
+        (labels || '').split(',').filter(Boolean).forEach(label => {
+            const separator = label.indexOf('=');
+            if (separator > 0) {
+                parsed[label.substring(0, separator)] = label.substring(separator + 1);
+            }
+        });
+
+        return parsed;
+    }
+
+    /**
+     * Get the first positional argument
+     * @param {Array<string>} args - Arguments
+     * @param {Array<string>} valueFlags - Flags whose next argument is their value
+     * @returns {string|null} Argument or null
+     * @private
+     */
+    firstPositional(args, valueFlags = []) {
+        for (let i = 0; i < args.length; i++) {
+            if (valueFlags.includes(args[i])) {
+                i++;
+            } else if (!args[i].startsWith('-')) {
+                return args[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the value of a flag (--flag value or --flag=value)
+     * @param {Array<string>} args - Arguments
+     * @param {string} flag - Flag
+     * @returns {string|null} Value or null
+     * @private
+     */
+    getFlagValue(args, flag) {
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === flag && i + 1 < args.length) {
+                return args[i + 1];
+            }
+            if (args[i].startsWith(`${flag}=`)) {
+                return args[i].substring(flag.length + 1);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Turn a name into an ID
+     * @param {string} name - Name
+     * @returns {string} Lowercase ID
+     * @private
+     */
+    slugify(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Load the inventory from localStorage
+     * @returns {Object} Entries by ID
+     * @private
+     */
+    loadInventory() {
+        try {
+            return JSON.parse(localStorage.getItem(INVENTORY_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error('Error loading server inventory:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save the inventory to localStorage
+     * @private
+     */
+    saveInventory() {
+        try {
+            localStorage.setItem(INVENTORY_STORAGE_KEY, JSON.stringify(this.inventory));
+        } catch (error) {
+            console.error('Error saving server inventory:', error);
+        }
+    }
+}
+
+// Create singleton instance
+const serverInventory = new ServerInventory();
+
+// Export for use in other modules
+export { SERVER_KINDS, DOCKER_VALUE_FLAGS };
+export default serverInventory;
@@ -0,0 +1,579 @@
+/**
+ * X509CertificateBuilder.js - Builds X.509 certificates and CRLs with Web Crypto
+ * Keys are ECDSA P-256 and everything is signed with ecdsa-with-SHA256, which
+ * Node.js, browsers and OpenSSL all accept. Only the DER structures the local CA
+ * needs are implemented.
+ */
+
+const OIDS = {
+    ecdsaWithSha256: '1.2.840.10045.4.3.2',
+    commonName: '2.5.4.3',
+    organizationName: '2.5.4.10',
+    subjectKeyIdentifier: '2.5.29.14',
+    keyUsage: '2.5.29.15',
+    subjectAltName: '2.5.29.17',
+    basicConstraints: '2.5.29.19',
+    crlNumber: '2.5.29.20',
+    crlReason: '2.5.29.21',
+    authorityKeyIdentifier: '2.5.29.35',
+    extKeyUsage: '2.5.29.37',
+    serverAuth: '1.3.6.1.5.5.7.3.1'
+};
+
+// RFC 5280 CRLReason codes
+const CRL_REASONS = {
+    unspecified: 0,
+    keyCompromise: 1,
+    cACompromise: 2,
+    affiliationChanged: 3,
+    superseded: 4,
+    cessationOfOperation: 5
+};
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+class X509CertificateBuilder {
+    /**
+     * Get the Web Crypto implementation
+     * @returns {SubtleCrypto} Subtle crypto
+     * @private
+     */
+    getSubtle() {
+        const cryptoApi = (typeof window !== 'undefined' && window.crypto) || globalThis.crypto;
+        if (!cryptoApi || !cryptoApi.subtle) {
+            throw new Error('Web Crypto is not available in this environment');
+        }
+        return cryptoApi.subtle;
+    }
+
+    /**
+     * Generate an ECDSA P-256 key pair
+     * @returns {Promise<CryptoKeyPair>} Extractable key pair
+     */
+    generateKeyPair() {
+        return this.getSubtle().generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+    }
+
+    /**
+     * Export a private key as a PKCS#8 PEM
+     * @param {CryptoKey} privateKey - Private key
+     * @returns {Promise<string>} PEM
+     */
+    async exportPrivateKeyPem(privateKey) {
+        const pkcs8 = await this.getSubtle().exportKey('pkcs8', privateKey);
+        return this.toPem(new Uint8Array(pkcs8), 'PRIVATE KEY');
+    }
+
+    /**
+     * Import a PKCS#8 PEM private key and derive its public key
+     * @param {string} pem - Private key PEM
+     * @returns {Promise<CryptoKeyPair>} Key pair
+     */
+    async importKeyPairPem(pem) {
+        const subtle = this.getSubtle();
+        const privateKey = await subtle.importKey('pkcs8', this.fromPem(pem), KEY_ALGORITHM, true, ['sign']);
+
+        // The public key is recovered from the private JWK (d removed)
+        const jwk = await subtle.exportKey('jwk', privateKey);
+        delete jwk.d;
+        jwk.key_ops = ['verify'];
+        const publicKey = await subtle.importKey('jwk', jwk, KEY_ALGORITHM, true, ['verify']);
+
+        return { privateKey, publicKey };
+    }
+
+    /**
+     * Create a certificate
+     * @param {Object} options - Certificate options
+     * @param {Object} options.subject - Subject name ({ commonName, organizationName })
+     * @param {Object} options.issuer - Issuer name; defaults to the subject (self-signed)
+     * @param {CryptoKey} options.publicKey - Public key being certified
+     * @param {CryptoKey} options.signingKey - Issuer private key
+     * @param {CryptoKey} options.issuerPublicKey - Issuer public key, for the authority key identifier
+     * @param {Date} options.validFrom - Start of validity
+     * @param {Date} options.validTo - End of validity
+     * @param {boolean} options.isCA - Whether the certificate can sign other certificates
+     * @param {Array<string>} options.dnsNames - DNS subject alternative names
+     * @param {Array<string>} options.ipAddresses - IP subject alternative names
+     * @returns {Promise<Object>} Certificate ({ der, pem, serialNumber, fingerprint })
+     */
+    async createCertificate(options) {
+        const subtle = this.getSubtle();
+        const serial = this.generateSerialNumber();
+        const spki = new Uint8Array(await subtle.exportKey('spki', options.publicKey));
+        const subjectKeyId = await this.getKeyIdentifier(options.publicKey);
+        const authorityKeyId = options.issuerPublicKey
+            ? await this.getKeyIdentifier(options.issuerPublicKey)
+            : subjectKeyId;
+
+        const extensions = [
+            this.extension(OIDS.basicConstraints, true, options.isCA
+                ? this.sequence([this.boolean(true), this.integer(new Uint8Array([0]))])
+                : this.sequence([])),
+            this.extension(OIDS.keyUsage, true, options.isCA
+                ? this.keyUsageBits([0, 5, 6]) // digitalSignature, keyCertSign, cRLSign
+                : this.keyUsageBits([0])), // digitalSignature
+            this.extension(OIDS.subjectKeyIdentifier, false, this.octetString(subjectKeyId)),
+            this.extension(OIDS.authorityKeyIdentifier, false, this.sequence([this.contextPrimitive(0, authorityKeyId)]))
+        ];
+
+        if (!options.isCA) {
+            extensions.push(this.extension(OIDS.extKeyUsage, false, this.sequence([this.oid(OIDS.serverAuth)])));
+        }
+
+        const altNames = [
+            ...(options.dnsNames || []).map(name => this.contextPrimitive(2, new TextEncoder().encode(name))),
+            ...(options.ipAddresses || []).map(ip => this.contextPrimitive(7, this.parseIpAddress(ip)))
+        ];
+        if (altNames.length > 0) {
+            extensions.push(this.extension(OIDS.subjectAltName, false, this.sequence(altNames)));
+        }
+
+        const tbsCertificate = this.sequence([
+            this.contextConstructed(0, [this.integer(new Uint8Array([2]))]), // v3
+            this.integer(serial),
+            this.algorithmIdentifier(),
+            this.name(options.issuer || options.subject),
+            this.sequence([this.time(options.validFrom), this.time(options.validTo)]),
+            this.name(options.subject),
+            spki,
+            this.contextConstructed(3, [this.sequence(extensions)])
+        ]);
+
+        const der = await this.signStructure(tbsCertificate, options.signingKey);
+
+        return {
+            der,
+            pem: this.toPem(der, 'CERTIFICATE'),
+            serialNumber: this.toHex(serial, ''),
+            fingerprint: await this.fingerprint(der)
+        };
+    }
+
+    /**
+     * Create a certificate revocation list
+     * @param {Object} options - CRL options
+     * @param {Object} options.issuer - Issuer name
+     * @param {CryptoKey} options.signingKey - Issuer private key
+     * @param {CryptoKey} options.issuerPublicKey - Issuer public key
+     * @param {number} options.crlNumber - Monotonic CRL number
+     * @param {Date} options.thisUpdate - Issue time
+     * @param {Date} options.nextUpdate - Time of the next CRL
+     * @param {Array<Object>} options.revoked - Revoked certificates ({ serialNumber, revokedAt, reason })
+     * @returns {Promise<Object>} CRL ({ der, pem })
+     */
+    async createCrl(options) {
+        const revokedEntries = options.revoked.map(entry => this.sequence([
+            this.integer(this.fromHex(entry.serialNumber)),
+            this.time(new Date(entry.revokedAt)),
+            this.sequence([
+                this.extension(OIDS.crlReason, false, this.enumerated(CRL_REASONS[entry.reason] || 0))
+            ])
+        ]));
+
+        const authorityKeyId = await this.getKeyIdentifier(options.issuerPublicKey);
+
+        const tbsCertList = this.sequence([
+            this.integer(new Uint8Array([1])), // v2
+            this.algorithmIdentifier(),
+            this.name(options.issuer),
+            this.time(options.thisUpdate),
+            this.time(options.nextUpdate),
+            ...(revokedEntries.length > 0 ? [this.sequence(revokedEntries)] : []),
+            this.contextConstructed(0, [this.sequence([
+                this.extension(OIDS.authorityKeyIdentifier, false, this.sequence([this.contextPrimitive(0, authorityKeyId)])),
+                this.extension(OIDS.crlNumber, false, this.integer(this.numberToBytes(options.crlNumber)))
+            ])])
+        ]);
+
+        const der = await this.signStructure(tbsCertList, options.signingKey);
+        return { der, pem: this.toPem(der, 'X509 CRL') };
+    }
+
+    /**
+     * Compute the SHA-256 fingerprint of a DER structure
+     * @param {Uint8Array} der - DER bytes
+     * @returns {Promise<string>} Colon-separated uppercase hex
+     */
+    async fingerprint(der) {
+        const digest = await this.getSubtle().digest('SHA-256', der);
+        return this.toHex(new Uint8Array(digest), ':');
+    }
+
+    /**
+     * Encode DER bytes as PEM
+     * @param {Uint8Array} der - DER bytes
+     * @param {string} label - PEM label
+     * @returns {string} PEM
+     */
+    toPem(der, label) {
+        let binary = '';
+        der.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        const base64 = btoa(binary).match(/.{1,64}/g).join('\n');
+        return `-----BEGIN ${label}-----\n${base64}\n-----END ${label}-----\n`;
+    }
+
+    /**
+     * Decode the first PEM block
+     * @param {string} pem - PEM text
+     * @returns {Uint8Array} DER bytes
+     */
+    fromPem(pem) {
+        const base64 = pem.replace(/-----(BEGIN|END)[^-]+-----/g, '').replace(/\s+/g, '');
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    /**
+     * Sign a TBS structure and wrap it with the algorithm and signature
+     * @param {Uint8Array} tbs - DER of the to-be-signed structure
+     * @param {CryptoKey} signingKey - Private key
+     * @returns {Promise<Uint8Array>} Signed structure DER
+     * @private
+     */
+    async signStructure(tbs, signingKey) {
+        const rawSignature = new Uint8Array(await this.getSubtle().sign(SIGN_ALGORITHM, signingKey, tbs));
+
+        // Web Crypto returns r || s; X.509 wants DER SEQUENCE { r INTEGER, s INTEGER }
+        const half = rawSignature.length / 2;
+        const signature = this.sequence([
+            this.integer(rawSignature.slice(0, half)),
+            this.integer(rawSignature.slice(half))
+        ]);
+
+        return this.sequence([tbs, this.algorithmIdentifier(), this.bitString(signature)]);
+    }
+
+    /**
+     * Compute a key identifier (SHA-1 of the SubjectPublicKeyInfo, RFC 7093 method 4 style)
+     * @param {CryptoKey} publicKey - Public key
+     * @returns {Promise<Uint8Array>} 20-byte identifier
+     * @private
+     */
+    async getKeyIdentifier(publicKey) {
+        const spki = await this.getSubtle().exportKey('spki', publicKey);
+        return new Uint8Array(await this.getSubtle().digest('SHA-1', spki));
+    }
+
+    /**
+     * Generate a positive 128-bit serial number
+     * @returns {Uint8Array} Serial bytes
+     * @private
+     */
+    generateSerialNumber() {
+        const serial = new Uint8Array(16);
+        ((typeof window !== 'undefined' && window.crypto) || globalThis.crypto).getRandomValues(serial);
+        serial[0] = (serial[0] & 0x7f) || 0x01;
+        return serial;
+    }
+
+    /**
+     * Encode an AlgorithmIdentifier for ecdsa-with-SHA256 (no parameters)
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    algorithmIdentifier() {
+        return this.sequence([this.oid(OIDS.ecdsaWithSha256)]);
+    }
+
+    /**
+     * Encode a distinguished name
+     * @param {Object} name - Name ({ commonName, organizationName })
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    name(name) {
+        const rdns = [];
+        if (name.organizationName) {
+            rdns.push(this.set([this.sequence([this.oid(OIDS.organizationName), this.utf8String(name.organizationName)])]));
+        }
+        rdns.push(this.set([this.sequence([this.oid(OIDS.commonName), this.utf8String(name.commonName)])]));
+        return this.sequence(rdns);
+    }
+
+    /**
+     * Encode an extension
+     * @param {string} oid - Extension OID
+     * @param {boolean} critical - Critical flag
+     * @param {Uint8Array} value - DER extension value
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    extension(oid, critical, value) {
+        const parts = [this.oid(oid)];
+        if (critical) {
+            parts.push(this.boolean(true));
+        }
+        parts.push(this.octetString(value));
+        return this.sequence(parts);
+    }
+
+    /**
+     * Encode a KeyUsage bit string
+     * @param {Array<number>} bits - Bit positions that are set
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    keyUsageBits(bits) {
+        const highest = Math.max(...bits);
+        const bytes = new Uint8Array(Math.floor(highest / 8) + 1);
+        bits.forEach(bit => {
+            bytes[Math.floor(bit / 8)] |= 0x80 >> (bit % 8);
+        });
+        const unusedBits = 7 - (highest % 8);
+        return this.tlv(0x03, this.concat([new Uint8Array([unusedBits]), bytes]));
+    }
+
+    /**
+     * Parse an IPv4 or IPv6 address into bytes
+     * @param {string} ip - IP address
+     * @returns {Uint8Array} 4 or 16 bytes
+     * @private
+     */
+    parseIpAddress(ip) {
+        if (ip.includes('.')) {
+            return new Uint8Array(ip.split('.').map(part => parseInt(part, 10)));
+        }
+
+        const [head, tail = ''] = ip.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = ip.includes('::') && tail ? tail.split(':') : [];
+        const missing = 8 - headGroups.length - tailGroups.length;
+        const groups = [...headGroups, ...new Array(ip.includes('::') ? missing : 0).fill('0'), ...tailGroups];
+
+        const bytes = new Uint8Array(16);
+        groups.forEach((group, index) => {
+            const value = parseInt(group, 16);
+            bytes[index * 2] = value >> 8;
+            bytes[index * 2 + 1] = value & 0xff;
+        });
+        return bytes;
+    }
+
+    /**
+     * Encode a time as UTCTime (before 2050) or GeneralizedTime
+     * @param {Date} date - Date
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    time(date) {
+        const iso = date.toISOString().replace(/[-:T]/g, '').replace(/\.\d+Z$/, 'Z');
+        if (date.getUTCFullYear() < 2050) {
+            return this.tlv(0x17, new TextEncoder().encode(iso.substring(2)));
+        }
+        return this.tlv(0x18, new TextEncoder().encode(iso));
+    }
+
+    /**
+     * Encode an OBJECT IDENTIFIER
+     * @param {string} oid - Dotted OID
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    oid(oid) {
+        const parts = oid.split('.').map(Number);
+        const bytes = [parts[0] * 40 + parts[1]];
+
+        parts.slice(2).forEach(part => {
+            const encoded = [part & 0x7f];
+            let value = Math.floor(part / 128);
+            while (value > 0) {
+                encoded.unshift((value & 0x7f) | 0x80);
+                value = Math.floor(value / 128);
+            }
+            bytes.push(...encoded);
+        });
+
+        return this.tlv(0x06, new Uint8Array(bytes));
+    }
+
+    /**
+     * Encode an unsigned big-endian INTEGER
+     * @param {Uint8Array} bytes - Magnitude bytes
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    integer(bytes) {
+        let start = 0;
+        while (start < bytes.length - 1 && bytes[start] === 0) {
+            start++;
+        }
+        let value = bytes.slice(start);
+        if (value[0] & 0x80) {
+            value = this.concat([new Uint8Array([0]), value]);
+        }
+        return this.tlv(0x02, value);
+    }
+
+    /**
+     * Convert a non-negative number to big-endian bytes
+     * @param {number} number - Number
+     * @returns {Uint8Array} Bytes
+     * @private
+     */
+    numberToBytes(number) {
+        const bytes = [];
+        let value = number;
+        do {
+            bytes.unshift(value & 0xff);
+            value = Math.floor(value / 256);
+        } while (value > 0);
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Encode an ENUMERATED value
+     * @param {number} value - Value (< 128)
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    enumerated(value) {
+        return this.tlv(0x0a, new Uint8Array([value]));
+    }
+
+    /**
+     * Encode a BOOLEAN
+     * @param {boolean} value - Value
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    boolean(value) {
+        return this.tlv(0x01, new Uint8Array([value ? 0xff : 0x00]));
+    }
+
+    /**
+     * Encode a BIT STRING with no unused bits
+     * @param {Uint8Array} bytes - Content
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    bitString(bytes) {
+        return this.tlv(0x03, this.concat([new Uint8Array([0]), bytes]));
+    }
+
+    /**
+     * Encode an OCTET STRING
+     * @param {Uint8Array} bytes - Content
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    octetString(bytes) {
+        return this.tlv(0x04, bytes);
+    }
+
+    /**
+     * Encode a UTF8String
+     * @param {string} text - Text
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    utf8String(text) {
+        return this.tlv(0x0c, new TextEncoder().encode(text));
+    }
+
+    /**
+     * Encode a SEQUENCE
+     * @param {Array<Uint8Array>} items - Encoded items
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    sequence(items) {
+        return this.tlv(0x30, this.concat(items));
+    }
+
+    /**
+     * Encode a SET
+     * @param {Array<Uint8Array>} items - Encoded items
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    set(items) {
+        return this.tlv(0x31, this.concat(items));
+    }
+
+    /**
+     * Encode an implicitly tagged primitive context-specific value
+     * @param {number} tag - Tag number
+     * @param {Uint8Array} bytes - Content
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    contextPrimitive(tag, bytes) {
+        return this.tlv(0x80 | tag, bytes);
+    }
+
+    /**
+     * Encode an explicitly tagged constructed context-specific value
+     * @param {number} tag - Tag number
+     * @param {Array<Uint8Array>} items - Encoded items
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    contextConstructed(tag, items) {
+        return this.tlv(0xa0 | tag, this.concat(items));
+    }
+
+    /**
+     * Encode a tag-length-value triple
+     * @param {number} tag - Tag byte
+     * @param {Uint8Array} value - Content
+     * @returns {Uint8Array} DER
+     * @private
+     */
+    tlv(tag, value) {
+        let length;
+        if (value.length < 0x80) {
+            length = new Uint8Array([value.length]);
+        } else {
+            const lengthBytes = this.numberToBytes(value.length);
+            length = this.concat([new Uint8Array([0x80 | lengthBytes.length]), lengthBytes]);
+        }
+        return this.concat([new Uint8Array([tag]), length, value]);
+    }
+
+    /**
+     * Concatenate byte arrays
+     * @param {Array<Uint8Array>} arrays - Arrays
+     * @returns {Uint8Array} Combined bytes
+     * @private
+     */
+    concat(arrays) {
+        const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+        let offset = 0;
+        arrays.forEach(array => {
+            result.set(array, offset);
+            offset += array.length;
+        });
+        return result;
+    }
+
+    /**
+     * Format bytes as uppercase hex
+     * @param {Uint8Array} bytes - Bytes
+     * @param {string} separator - Separator between bytes
+     * @returns {string} Hex
+     * @private
+     */
+    toHex(bytes, separator) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(separator);
+    }
+
+    /**
+     * Parse hex into bytes
+     * @param {string} hex - Hex string (separators are ignored)
+     * @returns {Uint8Array} Bytes
+     * @private
+     */
+    fromHex(hex) {
+        const clean = hex.replace(/[^0-9a-f]/gi, '');
+        return new Uint8Array(clean.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+    }
+}
+
+// Create singleton instance
+const x509CertificateBuilder = new X509CertificateBuilder();
+
+// Export for use in other modules
+export default x509CertificateBuilder;
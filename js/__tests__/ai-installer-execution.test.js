@@ -0,0 +1,86 @@
+/**
+ * AI Installer Execution Tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+window.require = require;
+require('../file-system-api.js');
+require('../ai-installer-execution.js');
+
+describe('AiInstallerExecution', () => {
+  const log = jest.fn();
+  let installPath;
+
+  beforeEach(() => {
+    installPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-ai-install-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    window.CommandRunner = {
+      isDryRun: jest.fn(() => false),
+      run: jest.fn(),
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    log.mockReset();
+    delete window.CommandRunner;
+    fs.rmSync(installPath, { recursive: true, force: true });
+  });
+
+  test('should verify that the planned Docker container is running', async () => {
+    // Arrange
+    const installPlan = { recommendedMethod: 'docker', installPath, repoAnalysis: { repo: 'weather' } };
+    window.CommandRunner.run
+      .mockResolvedValueOnce({ exitCode: 0, stdout: 'running\n', stderr: '' })
+      .mockResolvedValueOnce({ exitCode: 0, stdout: 'exited\n', stderr: '' })
+      .mockResolvedValueOnce({ exitCode: 1, stdout: '', stderr: 'Error: No such object: mcp-weather' });
+
+    // Act
+    const running = window.AiInstallerExecution.verifyInstallation(installPlan, {}, log);
+    const exited = window.AiInstallerExecution.verifyInstallation(installPlan, {}, log);
+    const missing = window.AiInstallerExecution.verifyInstallation(installPlan, {}, log);
+
+    // Assert
+    await expect(running).resolves.toBeUndefined();
+    await expect(exited).rejects.toThrow('Docker container mcp-weather is exited');
+    await expect(missing).rejects.toThrow('Docker container mcp-weather was not found');
+    expect(window.CommandRunner.run).toHaveBeenCalledWith(
+      'docker',
+      ['inspect', '--format', '{{.State.Status}}', 'mcp-weather'],
+      expect.objectContaining({ rejectOnError: false }),
+    );
+    expect(log).toHaveBeenCalledWith('Docker container mcp-weather is running', 'success');
+  });
+
+  test('should create missing config files from their examples and check the installed files', async () => {
+    // Arrange
+    fs.writeFileSync(path.join(installPath, '.env.sample'), 'API_KEY=\n');
+    fs.writeFileSync(path.join(installPath, 'package.json'), '{}');
+    const step = { type: 'config', configFiles: ['.env'], cwd: installPath };
+    const installPlan = {
+      recommendedMethod: 'npx',
+      installPath,
+      repoAnalysis: { repo: 'weather', language: 'JavaScript', configFiles: ['.env'] },
+    };
+
+    // Act
+    await window.AiInstallerExecution.executeInstallationStep(step, {}, log);
+    const withoutDependencies = await window.AiInstallerExecution.verifyInstallation(installPlan, {}, log)
+      .catch(error => error);
+    fs.mkdirSync(path.join(installPath, 'node_modules'));
+    await window.AiInstallerExecution.verifyInstallation(installPlan, {}, log);
+    const missingConfig = await window.AiInstallerExecution
+      .executeInstallationStep({ ...step, configFiles: ['config.json'] }, {}, log)
+      .catch(error => error);
+
+    // Assert
+    expect(fs.readFileSync(path.join(installPath, '.env'), 'utf8')).toBe('API_KEY=\n');
+    expect(withoutDependencies.message).toBe(`Missing in ${installPath}: node_modules`);
+    expect(log).toHaveBeenCalledWith('Files and configuration verified', 'success');
+    expect(missingConfig.message).toBe(`config.json not found in ${installPath}`);
+    expect(window.CommandRunner.run).not.toHaveBeenCalled();
+  });
+});
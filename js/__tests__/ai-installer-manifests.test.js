@@ -0,0 +1,214 @@
+/**
+ * AI Installer Manifest Tests
+ */
+
+require('../config-formats.js');
+require('../config-toml.js');
+require('../config-yaml.js');
+require('../ai-installer-manifests.js');
+
+describe('AiInstallerManifests', () => {
+  const manifests = window.AiInstallerManifests;
+
+  test('should read package.json commands, engines and the MCP SDK', () => {
+    // Arrange
+    const content = JSON.stringify({
+      name: '@acme/mcp-server-notes',
+      version: '1.2.0',
+      type: 'module',
+      bin: 'dist/index.js',
+      engines: { node: '>=20' },
+      dependencies: { '@modelcontextprotocol/sdk': '^1.0.0' },
+      devDependencies: { typescript: '^5.0.0' },
+    });
+
+    // Act
+    const pkg = manifests.parsePackageJson(content);
+
+    // Assert
+    expect(pkg).toMatchObject({
+      name: '@acme/mcp-server-notes',
+      type: 'module',
+      bin: { 'mcp-server-notes': 'dist/index.js' },
+      engines: { node: '>=20' },
+      usesMcpSdk: true,
+      usesTypeScript: true,
+    });
+    expect(pkg.dependencies).toEqual([{ name: '@modelcontextprotocol/sdk', version: '^1.0.0' }]);
+  });
+
+  test('should read PEP 621 and Poetry projects from pyproject.toml', () => {
+    // Arrange
+    const pep621 = [
+      '# Weather server',
+      '[project]',
+      'name = "mcp-server-weather"',
+      'version = "0.3.0"',
+      'requires-python = ">=3.10"  # uv picks 3.12',
+      'dependencies = [',
+      '    "mcp[cli]>=1.2.0; python_version >= \'3.10\'",',
+      '    "httpx",  # HTTP client',
+      ']',
+      '',
+      '[project.scripts]',
+      'mcp-server-weather = "weather:main"',
+      '',
+      '[build-system]',
+      'requires = ["hatchling"]',
+      'build-backend = "hatchling.build"',
+    ].join('\n');
+    const poetry = [
+      '[tool.poetry]',
+      'name = "fetch-server"',
+      '',
+      '[tool.poetry.dependencies]',
+      'python = "^3.11"',
+      'fastmcp = "^2.0"',
+      'requests = { version = "^2.31", extras = ["socks"] }',
+      '',
+      '[tool.poetry.scripts]',
+      'fetch-server = "fetch_server:run"',
+    ].join('\n');
+
+    // Act
+    const project = manifests.parsePyproject(pep621);
+    const poetryProject = manifests.parsePyproject(poetry);
+
+    // Assert
+    expect(project).toEqual({
+      name: 'mcp-server-weather',
+      version: '0.3.0',
+      requiresPython: '>=3.10',
+      dependencies: [{ name: 'mcp', version: '>=1.2.0' }, { name: 'httpx', version: '' }],
+      scripts: { 'mcp-server-weather': 'weather:main' },
+      buildBackend: 'hatchling.build',
+      usesMcpSdk: true,
+    });
+    expect(poetryProject).toMatchObject({
+      name: 'fetch-server',
+      requiresPython: '^3.11',
+      dependencies: [{ name: 'fastmcp', version: '^2.0' }, { name: 'requests', version: '' }],
+      scripts: { 'fetch-server': 'fetch_server:run' },
+      usesMcpSdk: true,
+    });
+    expect(() => manifests.parsePyproject('[project\nname = "x"')).toThrow(window.ConfigFormats.ConfigParseError);
+  });
+
+  test('should read requirements.txt and Dockerfiles', () => {
+    // Arrange
+    const requirements = '# runtime\nmcp>=1.0  # sdk\n-r dev.txt\nuvicorn[standard]==0.30.0\n\n';
+    const dockerfile = [
+      'FROM node:20 AS build',
+      'FROM --platform=linux/amd64 node:20-alpine',
+      'ENV NODE_ENV=production PORT="8080"',
+      'ENV LOG_LEVEL info',
+      'EXPOSE 8080/tcp 8080 9000',
+      'ENTRYPOINT ["node", \\',
+      '  "dist/index.js"]',
+      'CMD --stdio',
+    ].join('\n');
+
+    // Act
+    const dependencies = manifests.parseRequirements(requirements);
+    const docker = manifests.parseDockerfile(dockerfile);
+
+    // Assert
+    expect(dependencies).toEqual([{ name: 'mcp', version: '>=1.0' }, { name: 'uvicorn', version: '==0.30.0' }]);
+    expect(docker).toEqual({
+      baseImage: 'node:20-alpine',
+      exposedPorts: [8080, 9000],
+      entrypoint: 'node dist/index.js',
+      cmd: '--stdio',
+      env: { NODE_ENV: 'production', PORT: '8080', LOG_LEVEL: 'info' },
+    });
+  });
+
+  test('should read the config schema of smithery.yaml', () => {
+    // Arrange
+    const content = [
+      'startCommand:',
+      '  type: stdio',
+      '  configSchema:',
+      '    type: object',
+      '    required: ["apiKey"]',
+      '    properties:',
+      '      apiKey:',
+      '        type: string',
+      '        description: "API key: from the dashboard"',
+      '      region:',
+      '        type: string',
+      '  commandFunction: |-',
+      '    (config) => ({ command: "node", args: ["dist/index.js"] })',
+    ].join('\n');
+
+    // Act
+    const smithery = manifests.parseSmithery(content);
+
+    // Assert
+    expect(smithery).toEqual({
+      transport: 'stdio',
+      requiredConfig: ['apiKey'],
+      configProperties: [
+        { name: 'apiKey', type: 'string', description: 'API key: from the dashboard' },
+        { name: 'region', type: 'string', description: '' },
+      ],
+    });
+    expect(manifests.parseSmithery('# nothing yet\n'))
+      .toEqual({ transport: 'stdio', requiredConfig: [], configProperties: [] });
+  });
+
+  test('should read .env.example variables and README install snippets', () => {
+    // Arrange
+    const envExample = [
+      '# GitHub token with repo scope',
+      'GITHUB_TOKEN=ghp_your_token_here',
+      '',
+      '# Optional: API base URL',
+      'export GITHUB_API_URL="https://api.github.com"',
+      'LOG_LEVEL=info # default',
+    ].join('\n');
+    const readme = [
+      '## Install',
+      '```bash',
+      '$ npm install',
+      'npm run build',
+      'echo done',
+      '```',
+      '```json',
+      '{',
+      '  // Claude Desktop',
+      '  "mcpServers": { "github": { "command": "node", "args": ["dist/index.js"], } },',
+      '}',
+      '```',
+      '```sh',
+      'npm install',
+      'docker run -i --rm mcp/github',
+      '```',
+    ].join('\n');
+
+    // Act
+    const variables = manifests.parseEnvExample(envExample);
+    const snippets = manifests.extractReadmeInstallSnippets(readme);
+
+    // Assert
+    expect(variables).toEqual([
+      {
+        name: 'GITHUB_TOKEN',
+        example: 'ghp_your_token_here',
+        description: 'GitHub token with repo scope',
+        required: true,
+      },
+      {
+        name: 'GITHUB_API_URL',
+        example: 'https://api.github.com',
+        description: 'Optional: API base URL',
+        required: false,
+      },
+      { name: 'LOG_LEVEL', example: 'info', description: '', required: false },
+    ]);
+    expect(snippets).toEqual({
+      commands: ['npm install', 'npm run build', 'docker run -i --rm mcp/github'],
+      claudeConfig: { mcpServers: { github: { command: 'node', args: ['dist/index.js'] } } },
+    });
+  });
+});
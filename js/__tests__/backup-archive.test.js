@@ -0,0 +1,64 @@
+/**
+ * Backup Archive Tests
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+window.require = require;
+require('../file-system-api.js');
+require('../backup-encryption.js');
+require('../tar-archive.js');
+require('../backup-archive.js');
+
+describe('BackupArchive', () => {
+  const mtime = new Date('2025-01-01T00:00:00.000Z');
+  let workDir;
+  let archivePath;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-archive-'));
+    archivePath = path.join(workDir, 'backup_memory_1.tar.gz');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('should round-trip long and UTF-8 paths through ustar prefixes and PAX headers', async () => {
+    // Arrange
+    const paths = [
+      'config/ünïcödé-設定.json',
+      `data/${'a'.repeat(99)}.txt`.slice(0, 100),
+      `data/${'nested-directory/'.repeat(8)}${'b'.repeat(90)}.json`,
+      `data/${'日本語'.repeat(12)}.txt`,
+      `data/${'deep/'.repeat(60)}emoji-😀-${'ß'.repeat(60)}.txt`,
+    ];
+    const files = paths.map((filePath, index) => ({ path: filePath, content: Buffer.from(`file ${index} ✓`), mtime }));
+    const manifest = { id: 'backup_memory_1', serverId: 'memory', items: paths.map(filePath => ({ path: filePath })) };
+
+    // Act
+    await window.BackupArchive.writeArchive(archivePath, manifest, files);
+    const contents = await window.BackupArchive.readArchive(archivePath);
+    const verification = await window.BackupArchive.verifyArchive(archivePath);
+
+    // Assert
+    expect(Buffer.byteLength(paths[1])).toBe(100);
+    expect(Buffer.byteLength(paths[3])).toBeGreaterThan(100);
+    expect(Buffer.byteLength(paths[4])).toBeGreaterThan(255);
+    expect([...contents.files.keys()]).toEqual(paths);
+    files.forEach(file => expect(contents.files.get(file.path).toString()).toBe(file.content.toString()));
+    expect(contents.manifest.items.map(item => item.path)).toEqual(paths);
+    expect(verification).toMatchObject({ valid: true, errors: [], warnings: [], checkedFiles: paths.length });
+    if (process.platform === 'linux') {
+      // GNU tar must read the same paths
+      const listing = execFileSync('tar', ['--quoting-style=literal', '-tzf', archivePath], { encoding: 'utf8' });
+      expect(listing.trim().split('\n')).toEqual(['manifest.json', ...paths]);
+    }
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Backup Core Tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+window.require = require;
+require('../file-system-api.js');
+require('../backup-encryption.js');
+require('../tar-archive.js');
+require('../backup-archive.js');
+require('../backup-core.js');
+
+describe('BackupCore', () => {
+  const { BackupKeyring, createEncryption } = window.BackupEncryption;
+  let options;
+  let backups;
+
+  /**
+   * Write a backup whose files already stored in the parent's chain are only referenced
+   * @param {string} id - Backup ID
+   * @param {Object|null} parent - Parent backup
+   * @param {Object} files - File contents by path
+   * @param {Object} [encryption] - Encryption from createEncryption
+   * @returns {Promise<Object>} Backup metadata
+   */
+  const createBackup = async (id, parent, files, encryption = null) => {
+    const index = parent ? window.BackupCore.buildContentIndex(parent) : new Map();
+    const items = [];
+    const stored = [];
+
+    Object.entries(files).forEach(([filePath, text]) => {
+      const content = Buffer.from(text);
+      const sha256 = window.BackupArchive.sha256(content);
+      if (index.has(sha256)) {
+        items.push({ path: filePath, size: content.length, sha256, source: index.get(sha256) });
+      } else {
+        items.push({ path: filePath });
+        stored.push({ path: filePath, content });
+      }
+    });
+
+    const parentId = parent ? parent.id : null;
+    const manifest = { id, serverId: 'memory', parentId, items };
+    const archive = await window.BackupCore.writeBackupArchive(id, manifest, stored, options, encryption);
+    const backup = {
+      id,
+      serverId: 'memory',
+      status: 'completed',
+      createdAt: new Date(Date.UTC(2025, 0, backups.length + 1)).toISOString(),
+      parentId,
+      items: archive.manifest.items,
+      archiveSha256: archive.archiveSha256,
+    };
+    backups.push(backup);
+    return backup;
+  };
+
+  /**
+   * Delete a backup the way BackupManager.deleteBackup does
+   * @param {string} backupId - Backup ID
+   * @param {Object} [keyring] - BackupKeyring for encrypted backups
+   */
+  const prune = async (backupId, keyring = null) => {
+    await window.BackupCore.detachDependents(backupId, backups, options, keyring);
+    await window.BackupCore.deleteBackupFiles(backupId, options);
+    backups = backups.filter(backup => backup.id !== backupId);
+  };
+
+  const readFiles = async (backupId, keyring = null) => {
+    const { files } = await window.BackupCore.openBackup(backupId, options, keyring);
+    return Object.fromEntries(Array.from(files, ([filePath, content]) => [filePath, content.toString()]));
+  };
+
+  beforeEach(() => {
+    options = { backupBasePath: fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-backups-')) };
+    backups = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(options.backupBasePath, { recursive: true, force: true });
+  });
+
+  test('should build on the latest completed archive of the same server', async () => {
+    // Arrange
+    const full = await createBackup('full', null, { 'config.json': '{}' });
+    const incremental = await createBackup('incremental', full, { 'config.json': '{}', 'data.db': 'rows' });
+    backups.push(
+      { id: 'failed', serverId: 'memory', status: 'failed', createdAt: '2025-02-01T00:00:00.000Z' },
+      { id: 'legacy', serverId: 'memory', status: 'completed', createdAt: '2025-02-02T00:00:00.000Z' },
+      { ...full, id: 'other', serverId: 'github', createdAt: '2025-02-03T00:00:00.000Z' },
+    );
+
+    // Act
+    const latest = window.BackupCore.findParentBackup(backups, 'memory');
+    const requested = window.BackupCore.findParentBackup(backups, 'memory', 'full');
+
+    // Assert
+    expect(latest).toBe(incremental);
+    expect(requested).toBe(full);
+    expect(window.BackupCore.findParentBackup(backups, 'fetch')).toBeNull();
+    expect(() => window.BackupCore.findParentBackup(backups, 'memory', 'failed'))
+      .toThrow('Backup failed cannot be used as a parent');
+    expect(() => window.BackupCore.findParentBackup(backups, 'memory', 'legacy'))
+      .toThrow('Backup legacy cannot be used as a parent');
+  });
+
+  test('should never orphan incremental backups when their parents are pruned', async () => {
+    // Arrange
+    const full = await createBackup('full', null, { 'config.json': 'v1', 'data.db': 'rows', 'notes.md': 'hello' });
+    const second = await createBackup('second', full, { 'config.json': 'v2', 'data.db': 'rows', 'notes.md': 'hello' });
+    const third = await createBackup('third', second, {
+      'config.json': 'v2',
+      'data.db': 'more rows',
+      'notes.md': 'hello',
+    });
+    const expectedSecond = await readFiles('second');
+    const expectedThird = await readFiles('third');
+
+    // Act
+    await prune('full');
+    const afterFull = { second: await readFiles('second'), third: await readFiles('third') };
+    const thirdSources = third.items.filter(item => item.source).map(item => item.source);
+    await prune('second');
+
+    // Assert
+    expect(afterFull).toEqual({ second: expectedSecond, third: expectedThird });
+    expect(second.parentId).toBeNull();
+    expect(thirdSources).toEqual([
+      { backupId: 'second', path: 'config.json' },
+      { backupId: 'second', path: 'notes.md' },
+    ]);
+    expect(await readFiles('third')).toEqual(expectedThird);
+    expect(third.parentId).toBeNull();
+    expect(third.items.every(item => !item.source)).toBe(true);
+    expect(backups.map(backup => backup.id)).toEqual(['third']);
+    expect(await window.BackupCore.verifyBackup(third, options)).toMatchObject({ valid: true, errors: [] });
+  });
+
+  test('should keep a parent and its dependents intact when the dependents cannot be rewritten', async () => {
+    // Arrange
+    const encryption = await createEncryption({
+      keySource: 'passphrase',
+      passphrase: 'correct horse',
+      iterations: 1000,
+    });
+    const keyring = new BackupKeyring({ passphrase: 'correct horse' });
+    const full = await createBackup('full', null, { 'config.json': 'v1', 'data.db': 'rows' }, encryption);
+    const second = await createBackup('second', full, { 'config.json': 'v2', 'data.db': 'rows' }, encryption);
+    const before = JSON.parse(JSON.stringify(second));
+
+    // Act
+    const failure = await prune('full').catch(error => error);
+
+    // Assert
+    expect(failure).toMatchObject({ name: 'BackupKeyError' });
+    expect(second).toEqual(before);
+    expect(backups.map(backup => backup.id)).toEqual(['full', 'second']);
+    expect(await readFiles('second', keyring)).toEqual({ 'config.json': 'v2', 'data.db': 'rows' });
+  });
+});
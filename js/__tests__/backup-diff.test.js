@@ -0,0 +1,63 @@
+/**
+ * Backup Diff Tests
+ */
+
+window.require = require;
+require('../backup-diff.js');
+
+describe('BackupDiff', () => {
+  const lines = count => Array.from({ length: count }, (_, i) => `line ${i + 1}`);
+  const toBuffer = list => Buffer.from(`${list.join('\n')}\n`);
+
+  test('should keep distant changes in separate hunks with numbered context', () => {
+    // Arrange
+    const current = lines(20);
+    const restored = [...current];
+    restored[1] = 'changed 2';
+    restored.splice(15, 1);
+
+    // Act
+    const result = window.BackupDiff.compareContents(toBuffer(current), toBuffer(restored));
+
+    // Assert
+    expect(result).toMatchObject({ status: 'changed', added: 1, removed: 2 });
+    expect(result.hunks).toHaveLength(2);
+    expect(result.hunks[0]).toMatchObject({ oldStart: 1, oldLines: 5, newStart: 1, newLines: 5 });
+    expect(result.hunks[0].lines.filter(line => line.type !== 'equal')).toEqual([
+      { type: 'remove', text: 'line 2', oldLine: 2, newLine: 2 },
+      { type: 'add', text: 'changed 2', oldLine: 3, newLine: 2 },
+    ]);
+    expect(result.hunks[1]).toMatchObject({ oldStart: 13, oldLines: 7, newStart: 13, newLines: 6 });
+  });
+
+  test('should merge changes whose context overlaps', () => {
+    // Arrange
+    const current = lines(12);
+    const restored = [...current];
+    restored[2] = 'changed 3';
+    restored[8] = 'changed 9';
+
+    // Act
+    const { hunks } = window.BackupDiff.compareContents(toBuffer(current), toBuffer(restored));
+
+    // Assert
+    expect(hunks).toHaveLength(1);
+    expect(hunks[0]).toMatchObject({ oldStart: 1, oldLines: 12, newStart: 1, newLines: 12 });
+  });
+
+  test('should report identical, missing and binary files', () => {
+    // Arrange
+    const content = Buffer.from('{"command":"npx"}\n');
+
+    // Act
+    const identical = window.BackupDiff.compareContents(Buffer.from(content), content);
+    const missing = window.BackupDiff.compareContents(null, content);
+    const binary = window.BackupDiff.compareContents(content, Buffer.from([0x89, 0x50, 0x00, 0x47]));
+
+    // Assert
+    expect(identical.status).toBe('identical');
+    expect(missing).toMatchObject({ status: 'missing', added: 1, removed: 0 });
+    expect(missing.hunks[0].lines).toEqual([{ type: 'add', text: '{"command":"npx"}', oldLine: 1, newLine: 1 }]);
+    expect(binary).toMatchObject({ status: 'binary', hunks: [] });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Backup Encryption Tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+window.require = require;
+require('../file-system-api.js');
+require('../backup-encryption.js');
+require('../tar-archive.js');
+require('../backup-archive.js');
+
+describe('BackupEncryption', () => {
+  const { BackupKeyring, BackupKeyError, createEncryption } = window.BackupEncryption;
+  const files = [{ path: 'config/claude_desktop_config.json', content: Buffer.from('{"env":{"GITHUB_TOKEN":"ghp_secret"}}') }];
+  let workDir;
+  let archivePath;
+
+  const writeArchive = async (settings) => {
+    const encryption = await createEncryption({ iterations: 1000, ...settings });
+    const manifest = { id: 'backup_memory_1', serverId: 'memory', items: [{ path: files[0].path }] };
+    await window.BackupArchive.writeArchive(archivePath, manifest, files, encryption);
+    return encryption;
+  };
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-encryption-'));
+    archivePath = path.join(workDir, 'backup_memory_1.tar.gz');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    delete window.SecurityManager;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('should hide the file list and refuse wrong or missing passphrases', async () => {
+    // Arrange
+    await writeArchive({ keySource: 'passphrase', passphrase: 'correct horse' });
+    const raw = fs.readFileSync(archivePath);
+
+    // Act
+    const contents = await window.BackupArchive.readArchive(archivePath, new BackupKeyring({ passphrase: 'correct horse' }));
+    const wrong = await window.BackupArchive.readArchive(archivePath, new BackupKeyring({ passphrase: 'wrong horse' })).catch(error => error);
+    const missing = await window.BackupArchive.readArchive(archivePath).catch(error => error);
+    const verification = await window.BackupArchive.verifyArchive(archivePath);
+
+    // Assert
+    expect(raw.includes('claude_desktop_config')).toBe(false);
+    expect(raw.includes('manifest.json')).toBe(false);
+    expect(contents.files.get(files[0].path).toString()).toBe(files[0].content.toString());
+    expect(contents.encryption.header).toMatchObject({ keySource: 'passphrase', kdf: { name: 'PBKDF2', iterations: 1000 } });
+    expect(wrong).toMatchObject({ name: 'BackupKeyError', code: 'WRONG_KEY' });
+    expect(missing).toMatchObject({ code: 'PASSPHRASE_REQUIRED' });
+    expect(verification).toMatchObject({ valid: true, manifest: null });
+    expect(verification.warnings[0]).toContain('Encrypted contents were not checked');
+  });
+
+  test('should report altered archives as damaged rather than as a wrong key', async () => {
+    // Arrange
+    await writeArchive({ keySource: 'passphrase', passphrase: 'correct horse' });
+    const raw = fs.readFileSync(archivePath);
+    raw[raw.length - 20] ^= 0xff;
+    fs.writeFileSync(archivePath, raw);
+
+    // Act
+    const result = await window.BackupArchive.verifyArchive(archivePath, null, new BackupKeyring({ passphrase: 'correct horse' }));
+
+    // Assert
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['Encrypted archive failed authentication, it is damaged or was altered']);
+  });
+
+  test('should encrypt with the credential vault key', async () => {
+    // Arrange
+    const key = Buffer.alloc(32, 7).toString('base64');
+    window.SecurityManager = { isLocked: () => false, getBackupEncryptionKey: jest.fn(async () => key) };
+    await writeArchive({ keySource: 'vault' });
+
+    // Act
+    const contents = await window.BackupArchive.readArchive(archivePath);
+    window.SecurityManager.getBackupEncryptionKey.mockResolvedValue(Buffer.alloc(32, 8).toString('base64'));
+    const otherVault = await window.BackupArchive.readArchive(archivePath).catch(error => error);
+    window.SecurityManager.isLocked = () => true;
+    const locked = await window.BackupArchive.readArchive(archivePath).catch(error => error);
+
+    // Assert
+    expect(contents.manifest.serverId).toBe('memory');
+    expect(otherVault).toMatchObject({ code: 'WRONG_KEY' });
+    expect(locked).toBeInstanceOf(BackupKeyError);
+    expect(locked.code).toBe('KEY_UNAVAILABLE');
+  });
+
+  test('should reuse the parent salt only when the passphrase is unchanged', async () => {
+    // Arrange
+    const parent = await createEncryption({ keySource: 'passphrase', passphrase: 'correct horse', iterations: 1000 });
+
+    // Act
+    const same = await createEncryption({ keySource: 'passphrase', passphrase: 'correct horse' }, parent.header);
+    const changed = await createEncryption({ keySource: 'passphrase', passphrase: 'battery staple', iterations: 1000 }, parent.header);
+
+    // Assert
+    expect(window.BackupEncryption.isSameKey(parent.header, same.header)).toBe(true);
+    expect(window.BackupEncryption.isSameKey(parent.header, changed.header)).toBe(false);
+    expect(changed.header.kdf.salt).not.toBe(parent.header.kdf.salt);
+    expect(window.BackupEncryption.isSameKey(parent.header, null)).toBe(false);
+    await expect(createEncryption({ keySource: 'passphrase', passphrase: 'short' })).rejects.toThrow('at least 8 characters');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Backup Operations Tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+window.require = require;
+require('../file-system-api.js');
+require('../backup-operations.js');
+
+describe('BackupOperations', () => {
+  let installPath;
+
+  /**
+   * Open a backup holding config items
+   * @param {Array<Object>} items - Backup items
+   * @returns {Object} Opened backup ({ manifest, files })
+   */
+  const openBackup = items => ({
+    manifest: { id: 'backup-1', items: items.map(item => ({ type: 'config', ...item })) },
+    files: new Map(items.map(item => [item.path, Buffer.from(`content of ${item.path}`)])),
+  });
+
+  beforeEach(() => {
+    installPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-restore-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.ServerManager = { getServerInfo: jest.fn(async () => ({ installPath })) };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete window.ServerManager;
+    fs.rmSync(installPath, { recursive: true, force: true });
+  });
+
+  test('should restore files below the server directory instead of their recorded path', async () => {
+    // Arrange
+    const backup = openBackup([
+      { path: 'config/settings.json', originalPath: `${installPath}/config/settings.json` },
+      { path: 'config/nested/extra.json', originalPath: `${installPath}/old/location.json` },
+    ]);
+
+    // Act
+    await window.BackupOperations.restoreConfigFiles('server-1', backup, { createBackupBeforeRestore: false });
+
+    // Assert
+    expect(fs.readFileSync(path.join(installPath, 'config', 'settings.json'), 'utf8'))
+      .toBe('content of config/settings.json');
+    expect(fs.readFileSync(path.join(installPath, 'config', 'nested', 'extra.json'), 'utf8'))
+      .toBe('content of config/nested/extra.json');
+    expect(fs.existsSync(path.join(installPath, 'old'))).toBe(false);
+  });
+
+  test('should refuse items recorded or stored outside the server directory', async () => {
+    // Arrange
+    const outside = openBackup([
+      { path: 'config/settings.json', originalPath: `${installPath}/config/settings.json` },
+      { path: 'config/bashrc', originalPath: `${os.homedir()}/.bashrc` },
+    ]);
+    const escaping = openBackup([
+      { path: 'config/../../escape.json', originalPath: `${installPath}/config/escape.json` },
+    ]);
+    const options = { createBackupBeforeRestore: false };
+
+    // Act
+    const outsideError = await window.BackupOperations.restoreConfigFiles('server-1', outside, options)
+      .catch(error => error);
+    const escapingError = await window.BackupOperations.restoreConfigFiles('server-1', escaping, options)
+      .catch(error => error);
+
+    // Assert
+    expect(outsideError.message)
+      .toBe(`Failed to restore config files: Refusing to restore config/bashrc from outside ${installPath}`);
+    expect(escapingError.message).toMatch(/^Failed to restore config files: Refusing to restore \.\.\/\.\.\/escape/);
+    expect(fs.existsSync(path.join(installPath, 'config'))).toBe(false);
+  });
+});
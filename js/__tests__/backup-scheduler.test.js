@@ -0,0 +1,101 @@
+/**
+ * Backup Scheduler Tests
+ */
+
+require('../backup-events.js');
+require('../backup-scheduler.js');
+
+describe('BackupScheduler', () => {
+  const { getNextRun, selectBackupsToKeep } = window.BackupSchedule;
+
+  const createManager = (changed) => ({
+    backups: [],
+    loadBackups: jest.fn(async () => []),
+    getServerInfo: jest.fn(async serverId => ({ id: serverId, name: 'Memory' })),
+    hasChanges: jest.fn(async () => changed),
+    createBackup: jest.fn(async serverId => ({ id: `backup_${serverId}` })),
+    getBackupsForServer: jest.fn(() => []),
+    deleteBackup: jest.fn(async () => true),
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    window.NotificationManager = { showWarning: jest.fn(), showError: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should compute the next run of cron expressions', () => {
+    // Arrange
+    const after = new Date(2026, 0, 30, 10, 17);
+
+    // Act & Assert
+    expect(getNextRun('*/15 * * * *', after)).toEqual(new Date(2026, 0, 30, 10, 30));
+    expect(getNextRun('0 2 * * *', after)).toEqual(new Date(2026, 0, 31, 2, 0));
+    expect(getNextRun('0 9 * * 1-5', after)).toEqual(new Date(2026, 1, 2, 9, 0));
+    expect(getNextRun('@monthly', after)).toEqual(new Date(2026, 1, 1, 0, 0));
+    expect(getNextRun('0 0 31 * *', new Date(2026, 1, 1))).toEqual(new Date(2026, 2, 31, 0, 0));
+    expect(() => getNextRun('61 * * * *')).toThrow('Invalid minute');
+    expect(() => getNextRun('0 0 30 2 *')).toThrow('never matches');
+  });
+
+  test('should keep the newest backup of each retained day, week and month', () => {
+    // Arrange: two backups a day from March 1 to April 14
+    const backups = [];
+    for (let day = 0; day < 45; day++) {
+      for (const hour of [1, 13]) {
+        const createdAt = new Date(2026, 2, 1 + day, hour).toISOString();
+        backups.push({ id: `${day}-${hour}`, createdAt });
+      }
+    }
+
+    // Act
+    const keep = selectBackupsToKeep(backups, { daily: 2, weekly: 3, monthly: 2 });
+
+    // Assert: April 14 and 13 (daily), Sundays April 12 and 5 (weekly), March 31 (monthly)
+    expect([...keep].sort()).toEqual(['30-13', '35-13', '42-13', '43-13', '44-13']);
+  });
+
+  test('should report missed runs, skip unchanged servers and reschedule', async () => {
+    // Arrange
+    const manager = createManager(false);
+    const scheduler = new window.BackupScheduler(manager);
+    scheduler.setSchedule('memory', { cron: '0 * * * *' });
+    scheduler.schedules.memory.nextRunAt = new Date(2026, 0, 30, 6, 0).toISOString();
+    const now = new Date(2026, 0, 30, 9, 2);
+
+    // Act
+    const [result] = await scheduler.checkSchedules(now);
+
+    // Assert
+    expect(window.NotificationManager.showWarning).toHaveBeenCalledWith(expect.stringContaining('3 scheduled backups of Memory were missed'), 0);
+    expect(result.status).toBe('skipped');
+    expect(manager.createBackup).not.toHaveBeenCalled();
+    expect(scheduler.getSchedule('memory').nextRunAt).toBe(new Date(2026, 0, 30, 10, 0).toISOString());
+    expect(JSON.parse(localStorage.getItem('mcp_backup_schedules')).memory.lastResult.status).toBe('skipped');
+  });
+
+  test('should back up changed servers and prune scheduled backups only', async () => {
+    // Arrange
+    const manager = createManager(true);
+    manager.getBackupsForServer.mockReturnValue([
+      { id: 'new', scheduled: true, status: 'completed', createdAt: new Date(2026, 0, 30, 2).toISOString() },
+      { id: 'old', scheduled: true, status: 'completed', createdAt: new Date(2026, 0, 29, 2).toISOString() },
+      { id: 'manual', scheduled: false, status: 'completed', createdAt: new Date(2026, 0, 28, 2).toISOString() },
+    ]);
+    const scheduler = new window.BackupScheduler(manager);
+    scheduler.setSchedule('memory', { cron: '0 2 * * *', retention: { daily: 1, weekly: 0, monthly: 0 } });
+
+    // Act
+    const result = await scheduler.runSchedule('memory', new Date(2026, 0, 30, 2, 0));
+
+    // Assert
+    expect(manager.createBackup).toHaveBeenCalledWith('memory', expect.objectContaining({ type: 'full', incremental: true, scheduled: true }));
+    expect(result).toMatchObject({ status: 'completed', backupId: 'backup_memory', deletedBackups: ['old'] });
+    expect(manager.deleteBackup).toHaveBeenCalledTimes(1);
+  });
+});
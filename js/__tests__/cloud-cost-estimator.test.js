@@ -0,0 +1,149 @@
+/**
+ * Cloud Cost Estimator Tests
+ */
+
+import cloudCostEstimator from '../CloudCostEstimator.js';
+import performanceOptimizer from '../PerformanceOptimizer.js';
+
+jest.mock('../logger.js', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../PerformanceOptimizer.js', () => ({
+  getUtilizationSummary: jest.fn(),
+}));
+
+describe('CloudCostEstimator', () => {
+  const createdAt = '2025-01-01T00:00:00.000Z';
+  const twoDaysLater = new Date('2025-01-03T00:00:00.000Z');
+
+  beforeEach(() => {
+    localStorage.clear();
+    cloudCostEstimator.resetCatalog();
+  });
+
+  test('should add region-adjusted compute and storage to egress above the free tier', () => {
+    // Act
+    const estimate = cloudCostEstimator.estimateMonthlyCost('aws', {
+      instanceType: 't3.small',
+      region: 'eu-west-1',
+      storageGb: '20',
+      egressGbPerMonth: 150,
+    });
+    const defaults = cloudCostEstimator.estimateMonthlyCost('docker-host', { egressGbPerMonth: -5 });
+
+    // Assert
+    expect(estimate).toMatchObject({
+      currency: 'USD',
+      instanceType: 't3.small',
+      region: 'eu-west-1',
+      storageGb: 20,
+      compute: 16.7,
+      storage: 1.76,
+      egress: 4.5,
+      monthly: 22.96,
+    });
+    expect(estimate.hourly).toBeCloseTo(22.9624 / 730, 10);
+    expect(defaults).toMatchObject({
+      instanceType: 'small',
+      region: 'self-hosted',
+      egressGbPerMonth: 0,
+      monthly: 2.19,
+    });
+    expect(() => cloudCostEstimator.estimateMonthlyCost('aws', { instanceType: 'x1.huge' }))
+      .toThrow('Unknown instance type x1.huge for provider aws');
+    expect(() => cloudCostEstimator.estimateMonthlyCost('oracle')).toThrow('No pricing available for provider oracle');
+  });
+
+  test('should accrue cost by the hour and total it per provider', () => {
+    // Arrange
+    const aws = {
+      providerId: 'aws',
+      createdAt,
+      costEstimate: cloudCostEstimator.estimateMonthlyCost('aws', {
+        instanceType: 't3.small', region: 'eu-west-1', storageGb: 20, egressGbPerMonth: 150,
+      }),
+    };
+    const dockerHost = {
+      providerId: 'docker-host',
+      createdAt,
+      costEstimate: cloudCostEstimator.estimateMonthlyCost('docker-host', { instanceType: 'medium' }),
+    };
+    const unpriced = { providerId: 'gcp', createdAt };
+
+    // Act
+    const accrued = cloudCostEstimator.getAccruedCost(aws, twoDaysLater);
+    const notStarted = cloudCostEstimator.getAccruedCost(aws, new Date('2024-12-31T00:00:00.000Z'));
+    const fleet = cloudCostEstimator.getFleetCost([aws, dockerHost, unpriced], twoDaysLater);
+
+    // Assert
+    expect(accrued).toEqual({ currency: 'USD', monthly: 22.96, accrued: 1.51, hours: 48 });
+    expect(notStarted.accrued).toBe(0);
+    expect(fleet).toEqual({
+      currency: 'USD',
+      monthly: 27.34,
+      accrued: 1.8,
+      byProvider: {
+        aws: { monthly: 22.96, accrued: 1.51, count: 1 },
+        'docker-host': { monthly: 4.38, accrued: 0.29, count: 1 },
+      },
+      unpriced: 1,
+    });
+  });
+
+  test('should suggest the cheapest instance type that fits peak usage with headroom', () => {
+    // Arrange
+    const deployment = {
+      providerId: 'aws',
+      serverId: 'github',
+      status: 'stopped',
+      costEstimate: cloudCostEstimator.estimateMonthlyCost('aws', { instanceType: 't3.large' }),
+    };
+    performanceOptimizer.getUtilizationSummary.mockReturnValue({
+      samples: 12,
+      cpu: { max: 40 },
+      memory: { max: 30 },
+    });
+
+    // Act
+    const hints = cloudCostEstimator.getOptimizationHints(deployment);
+    performanceOptimizer.getUtilizationSummary.mockReturnValue({ samples: 9, cpu: { max: 1 }, memory: { max: 1 } });
+    const fewSamples = cloudCostEstimator.getOptimizationHints({ ...deployment, status: 'running' });
+
+    // Assert
+    expect(performanceOptimizer.getUtilizationSummary).toHaveBeenCalledWith('github');
+    expect(hints.map(({ type, monthlySavings }) => [type, monthlySavings])).toEqual([
+      ['terminate', 60.74],
+      ['downsize', 30.37],
+    ]);
+    expect(hints[1].suggestedInstanceType).toBe('t3.medium');
+    expect(fewSamples).toEqual([]);
+  });
+
+  test('should reject catalogs with missing or negative prices', () => {
+    // Arrange
+    const catalog = cloudCostEstimator.getCatalog();
+    catalog.providers.gcp.instanceTypes['e2-micro'].hourly = -1;
+    catalog.providers.gcp.regions = {};
+    delete catalog.providers.azure.egressPerGb;
+
+    // Act
+    const result = cloudCostEstimator.updateCatalog(catalog);
+    const invalidJson = cloudCostEstimator.updateCatalog('{');
+
+    // Assert
+    expect(result).toEqual({
+      valid: false,
+      errors: [
+        'gcp.e2-micro: "hourly" must be a non-negative number',
+        'gcp: at least one region is required',
+        'azure: "egressPerGb" must be a non-negative number',
+      ],
+    });
+    expect(invalidJson.valid).toBe(false);
+    expect(cloudCostEstimator.getCatalog().providers.gcp.regions).not.toEqual({});
+  });
+});
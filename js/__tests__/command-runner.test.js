@@ -0,0 +1,187 @@
+/**
+ * Command Runner Tests
+ */
+
+import commandRunner, { CommandError } from '../CommandRunner.js';
+
+describe('CommandRunner', () => {
+  const replayBackend = commandRunner.getBackend('replay');
+
+  afterEach(() => {
+    commandRunner.setBackend(null);
+  });
+
+  test('should report commands as not run when no execution bridge is available', async () => {
+    // Act
+    const failure = commandRunner.runCommand('npm install @modelcontextprotocol/server-github');
+    const result = await commandRunner.run('docker', ['version'], { rejectOnError: false });
+
+    // Assert
+    await expect(failure).rejects.toThrow(
+      'Command not run (npm install @modelcontextprotocol/server-github): No command execution bridge is available',
+    );
+    expect(commandRunner.getBackendName()).toBe('unavailable');
+    expect(commandRunner.isAvailable()).toBe(false);
+    expect(commandRunner.isDryRun()).toBe(false);
+    expect(result).toMatchObject({ exitCode: null, unavailable: true, backend: 'unavailable' });
+  });
+
+  test('should record commands without running them in an explicit dry run', async () => {
+    // Arrange
+    commandRunner.setBackend('dry-run');
+
+    // Act
+    const result = await commandRunner.runCommand('npm install @modelcontextprotocol/server-github');
+
+    // Assert
+    expect(commandRunner.isDryRun()).toBe(true);
+    expect(result.exitCode).toBe(0);
+    expect(result.backend).toBe('dry-run');
+
+    const history = commandRunner.getBackend('dry-run').getHistory();
+    expect(history[history.length - 1].args).toEqual(['install', '@modelcontextprotocol/server-github']);
+  });
+
+  test('should parse quoted arguments and keep Windows paths intact', () => {
+    // Act
+    const parsed = commandRunner.parseCommand('pip install --target "C:\\Program Files\\MCP" \'my pkg\'');
+
+    // Assert
+    expect(parsed.executable).toBe('pip');
+    expect(parsed.args).toEqual(['install', '--target', 'C:\\Program Files\\MCP', 'my pkg']);
+  });
+
+  test('should replay recorded output and exit codes', async () => {
+    // Arrange
+    replayBackend.loadRecordings([
+      { executable: 'git', args: ['--version'], stdout: 'git version 2.43.0\n', stderr: '', exitCode: 0 },
+      { executable: 'docker', args: ['info'], stdout: '', stderr: 'Cannot connect to the Docker daemon\n', exitCode: 1 },
+    ]);
+    commandRunner.setBackend('replay');
+    const chunks = [];
+
+    // Act
+    const gitResult = await commandRunner.run('git', ['--version'], { onStdout: chunk => chunks.push(chunk) });
+    const dockerResult = await commandRunner.run('docker', ['info'], { rejectOnError: false });
+
+    // Assert
+    expect(gitResult.stdout).toBe('git version 2.43.0\n');
+    expect(chunks).toEqual(['git version 2.43.0\n']);
+    expect(dockerResult.exitCode).toBe(1);
+    expect(dockerResult.stderr).toContain('Cannot connect');
+    expect(replayBackend.isExhausted()).toBe(true);
+  });
+
+  test('should reject with a CommandError when a command fails', async () => {
+    // Arrange
+    replayBackend.loadRecordings([
+      { executable: 'npm', args: ['install'], stdout: '', stderr: 'npm ERR! code E404\n', exitCode: 1 },
+    ]);
+    commandRunner.setBackend('replay');
+
+    // Act & Assert
+    await expect(commandRunner.run('npm', ['install'])).rejects.toMatchObject({
+      name: 'CommandError',
+      exitCode: 1,
+      stderr: 'npm ERR! code E404\n',
+    });
+  });
+
+  test('should reject commands that were not recorded', async () => {
+    // Arrange
+    replayBackend.loadRecordings([{ executable: 'git', args: ['status'], stdout: '', stderr: '', exitCode: 0 }]);
+    commandRunner.setBackend('replay');
+
+    // Act & Assert
+    await expect(commandRunner.run('git', ['clone', 'x'])).rejects.toThrow('Unexpected command');
+  });
+
+  test('should time out commands that never finish', async () => {
+    // Arrange
+    commandRunner.registerBackend('hanging', {
+      isAvailable: () => true,
+      execute: (request, hooks) => new Promise(resolve => hooks.onAbort(() => resolve({ exitCode: null }))),
+    });
+    commandRunner.setBackend('hanging');
+
+    // Act & Assert
+    await expect(commandRunner.run('sleep', ['60'], { timeout: 20 })).rejects.toBeInstanceOf(CommandError);
+    expect(commandRunner.getActiveRunCount()).toBe(0);
+  });
+
+  test('should cancel running commands', async () => {
+    // Arrange
+    commandRunner.setBackend('hanging');
+    const controller = new AbortController();
+
+    // Act
+    const pending = commandRunner.run('sleep', ['60'], { signal: controller.signal, rejectOnError: false });
+    controller.abort();
+    const result = await pending;
+
+    // Assert
+    expect(result.cancelled).toBe(true);
+  });
+
+  describe('on Windows', () => {
+    const nodePath = require('path');
+    let spawn;
+
+    beforeEach(() => {
+      const files = ['C:\\nodejs\\npx.CMD', 'C:\\Tools\\uvx.EXE'];
+      spawn = jest.fn(() => {
+        const { EventEmitter } = require('events');
+        const child = new EventEmitter();
+        child.stdout = new EventEmitter();
+        child.stderr = new EventEmitter();
+        child.stdin = { end: () => setTimeout(() => child.emit('close', 0, null)) };
+        return child;
+      });
+      const modules = {
+        child_process: { spawn },
+        process: { platform: 'win32', env: { Path: 'C:\\nodejs;C:\\Tools', PATHEXT: '.EXE;.CMD' } },
+        fs: {
+          statSync: file => {
+            if (!files.includes(file)) {
+              throw new Error(`ENOENT: ${file}`);
+            }
+            return { isFile: () => true };
+          },
+        },
+        path: nodePath,
+      };
+      window.require = name => modules[name];
+    });
+
+    afterEach(() => {
+      delete window.require;
+    });
+
+    test('should escape the arguments of .cmd shims for cmd.exe', async () => {
+      // Act
+      await commandRunner.run('npx', ['-y', 'server & calc.exe', '"quoted"|more'], { cwd: 'C:\\work' });
+
+      // Assert
+      expect(commandRunner.getBackendName()).toBe('node');
+      expect(spawn).toHaveBeenCalledWith('cmd.exe', [
+        '/d',
+        '/s',
+        '/c',
+        '"^"C:\\nodejs\\npx.CMD^" ^^^"-y^^^" ^^^"server^^^ ^^^&^^^ calc.exe^^^" ^^^"\\^^^"quoted\\^^^"^^^|more^^^""',
+      ], expect.objectContaining({ windowsVerbatimArguments: true }));
+      expect(spawn.mock.calls[0][2].shell).toBeUndefined();
+    });
+
+    test('should run executables directly without a shell', async () => {
+      // Act
+      await commandRunner.run('uvx', ['mcp-server-fetch', 'a&b']);
+
+      // Assert
+      expect(spawn).toHaveBeenCalledWith(
+        'C:\\Tools\\uvx.EXE',
+        ['mcp-server-fetch', 'a&b'],
+        expect.objectContaining({ windowsVerbatimArguments: false }),
+      );
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Compose Stack Tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import commandRunner from '../CommandRunner.js';
+import composeStackManager from '../ComposeStackManager.js';
+
+window.require = require;
+require('../file-system-api.js');
+require('../config-formats.js');
+require('../config-yaml.js');
+
+describe('ComposeStackManager', () => {
+  const replayBackend = commandRunner.getBackend('replay');
+  const servers = [
+    { name: 'GitHub', kind: 'npx', command: 'npx', args: ['-y', '@modelcontextprotocol/server-github'], envNames: ['GITHUB_TOKEN'] },
+    {
+      name: 'postgres',
+      kind: 'docker',
+      command: 'docker',
+      args: ['run', '-i', '--rm', '-e', 'PGHOST=db', '-p', '8080:8080', '-v', 'pg-data:/data', 'mcp/postgres', '--read-only'],
+      envNames: ['PGPASSWORD'],
+    },
+    { name: 'fetch', kind: 'uvx', command: 'uvx', args: ['mcp-server-fetch'], envNames: [] },
+    { name: 'local', kind: 'node', command: 'node', args: ['/home/me/server.js'], envNames: [] },
+  ];
+  let homeDir;
+
+  beforeEach(() => {
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-stacks-'));
+    window.electronAPI = { getUserHome: async () => homeDir };
+    localStorage.clear();
+    composeStackManager.stacks = {};
+    composeStackManager.rootDir = null;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    commandRunner.setBackend(null);
+    delete window.electronAPI;
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  test('should turn inventory servers into a compose file', () => {
+    // Act
+    const { stack, skipped } = composeStackManager.createStack('Team Bundle', servers);
+    const content = composeStackManager.generateComposeFile(stack);
+    const document = window.ConfigYaml.parse(content);
+
+    // Assert
+    expect(stack.id).toBe('team-bundle');
+    expect(Object.keys(stack.services)).toEqual(['github', 'postgres', 'fetch']);
+    expect(skipped).toEqual([{ name: 'local', reason: 'node servers run on the host and cannot be added to a stack' }]);
+    expect(document).toEqual(composeStackManager.buildComposeDocument(stack));
+    expect(document.services.github).toMatchObject({
+      image: 'node:20-alpine',
+      command: ['npx', '-y', '@modelcontextprotocol/server-github'],
+      env_file: ['github.env'],
+      volumes: ['npm-cache:/root/.npm'],
+      networks: ['mcp'],
+      labels: { 'mcp.server': 'GitHub', 'mcp.stack': 'team-bundle' },
+    });
+    expect(document.services.postgres).toMatchObject({
+      image: 'mcp/postgres',
+      command: ['--read-only'],
+      ports: ['8080:8080'],
+      healthcheck: { test: ['CMD-SHELL', 'nc -z 127.0.0.1 8080 || exit 1'] },
+    });
+    expect(document.services.fetch.healthcheck).toBeUndefined();
+    expect(document.volumes).toEqual({ 'npm-cache': {}, 'pg-data': {}, 'uv-cache': {} });
+    expect(content).toContain('      - "8080:8080"\n');
+  });
+
+  test('should read a stack back from its compose file', () => {
+    // Arrange
+    const { stack } = composeStackManager.createStack('Team Bundle', servers);
+
+    // Act
+    const imported = composeStackManager.importComposeFile('Team Bundle', composeStackManager.generateComposeFile(stack));
+
+    // Assert
+    expect(composeStackManager.buildComposeDocument(imported)).toEqual(composeStackManager.buildComposeDocument(stack));
+    expect(imported.services.postgres).toMatchObject({ server: 'postgres', env: {}, envFile: true });
+  });
+
+  test('should write env files that keep filled-in values and run docker compose', async () => {
+    // Arrange
+    const { stack } = composeStackManager.createStack('Team Bundle', servers);
+    composeStackManager.saveStack(stack);
+    const stackDir = path.join(homeDir, '.mcp-installer', 'stacks', 'team-bundle');
+    const composePath = path.join(stackDir, 'docker-compose.yml');
+    fs.mkdirSync(stackDir, { recursive: true });
+    fs.writeFileSync(path.join(stackDir, 'github.env'), 'GITHUB_TOKEN=ghp_secret\n');
+    replayBackend.loadRecordings([
+      { executable: 'docker', args: ['compose', '-p', 'team-bundle', '-f', composePath, 'up', '-d', '--remove-orphans'], stdout: '', stderr: '', exitCode: 0 },
+      { executable: 'docker', args: ['compose', '-p', 'team-bundle', 'restart', 'github'], stdout: '', stderr: '', exitCode: 0 },
+      { executable: 'docker', args: ['compose', '-p', 'team-bundle', 'down'], stdout: '', stderr: 'no such project', exitCode: 1 },
+    ]);
+    commandRunner.setBackend('replay');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Act
+    await composeStackManager.up('team-bundle');
+    await composeStackManager.restartService('team-bundle', 'github');
+    const failure = composeStackManager.down('team-bundle');
+
+    // Assert
+    await expect(failure).rejects.toThrow('Failed to run docker compose for stack team-bundle: no such project');
+    expect(replayBackend.isExhausted()).toBe(true);
+    expect(fs.readFileSync(composePath, 'utf8')).toBe(composeStackManager.generateComposeFile(stack));
+    expect(fs.readFileSync(path.join(stackDir, 'github.env'), 'utf8')).toBe('# Environment of GitHub\nGITHUB_TOKEN=ghp_secret\n');
+    expect(fs.readFileSync(path.join(stackDir, 'postgres.env'), 'utf8')).toBe('# Environment of postgres\nPGPASSWORD=\nPGHOST=db\n');
+    expect(fs.existsSync(path.join(stackDir, 'fetch.env'))).toBe(false);
+    expect(JSON.parse(localStorage.getItem('mcp_compose_stacks'))['team-bundle'].name).toBe('Team Bundle');
+  });
+});
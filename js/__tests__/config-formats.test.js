@@ -0,0 +1,140 @@
+/**
+ * Config Formats Tests
+ */
+
+require('../config-formats.js');
+require('../config-yaml.js');
+require('../config-toml.js');
+
+describe('ConfigFormats', () => {
+  const { parseConfig, formatConfig, ConfigParseError } = window.ConfigFormats;
+
+  const parseError = (content, format) => {
+    try {
+      parseConfig(content, format);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  test('should parse YAML with anchors, merge keys and block scalars', () => {
+    // Arrange
+    const content = [
+      'defaults: &defaults',
+      '  restart: unless-stopped',
+      '  ports: ["3000:3000"]',
+      'services:',
+      '  api:',
+      '    <<: *defaults',
+      '    command: |',
+      '      node server.js',
+      '    replicas: 2',
+      '    debug: false',
+      '    image: ~'
+    ].join('\n');
+
+    // Act
+    const config = parseConfig(content, 'yaml');
+
+    // Assert
+    expect(config.services.api).toEqual({
+      restart: 'unless-stopped',
+      ports: ['3000:3000'],
+      command: 'node server.js\n',
+      replicas: 2,
+      debug: false,
+      image: null
+    });
+  });
+
+  test('should format YAML indentation and keep comments', () => {
+    // Arrange
+    const content = [
+      '# Compose file',
+      'services:',
+      '    api:   # main service',
+      '        image: node:20',
+      '        environment:',
+      '        - NODE_ENV=production',
+      '',
+      '',
+      'volumes: {}'
+    ].join('\n');
+
+    // Act
+    const formatted = formatConfig(content, 'yaml');
+
+    // Assert
+    expect(formatted).toBe([
+      '# Compose file',
+      'services:',
+      '  api: # main service',
+      '    image: node:20',
+      '    environment:',
+      '      - NODE_ENV=production',
+      '',
+      'volumes: {}',
+      ''
+    ].join('\n'));
+    expect(formatConfig(formatted, 'yaml')).toBe(formatted);
+  });
+
+  test('should parse and format TOML and keep comments', () => {
+    // Arrange
+    const content = [
+      '[project]',
+      'name="mcp-server"   # package name',
+      'dependencies = [ "mcp>=1.0",',
+      '  # pinned for the tools',
+      '  "httpx>=0.27" ]',
+      '  [tool.ruff]',
+      'line-length = 1_00',
+      'lint.select = [\'E\', \'F\']',
+      '[[tool.checks]]',
+      'timeout = 1.5'
+    ].join('\n');
+
+    // Act
+    const config = parseConfig(content, 'toml');
+    const formatted = formatConfig(content, 'toml');
+
+    // Assert
+    expect(config).toEqual({
+      project: { name: 'mcp-server', dependencies: ['mcp>=1.0', 'httpx>=0.27'] },
+      tool: { ruff: { 'line-length': 100, lint: { select: ['E', 'F'] } }, checks: [{ timeout: 1.5 }] }
+    });
+    expect(formatted).toBe([
+      '[project]',
+      'name = "mcp-server" # package name',
+      'dependencies = [',
+      '    "mcp>=1.0",',
+      '    # pinned for the tools',
+      '    "httpx>=0.27",',
+      ']',
+      '[tool.ruff]',
+      'line-length = 1_00',
+      'lint.select = [\'E\', \'F\']',
+      '[[tool.checks]]',
+      'timeout = 1.5',
+      ''
+    ].join('\n'));
+  });
+
+  test('should report the line and column of syntax errors', () => {
+    // Act
+    const errors = [
+      parseError('{\n  "port": 3000,\n}', 'json'),
+      parseError('server:\n  port: 3000\n   host: localhost', 'yaml'),
+      parseError('name: a\nname: b', 'yaml'),
+      parseError('[server]\nport = 3000\n[server]', 'toml'),
+      parseError('port = 3000 3001', 'toml')
+    ];
+
+    // Assert
+    errors.forEach(error => expect(error).toBeInstanceOf(ConfigParseError));
+    expect(errors.map(error => [error.line, error.column])).toEqual([[3, 1], [3, 8], [2, 1], [3, 1], [1, 13]]);
+    expect(errors[2].message).toBe('Line 2, column 1: Duplicate key "name"');
+    expect(errors[3].reason).toBe('Table "server" is already defined');
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Config History Store Tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import configHistoryStore from '../ConfigHistoryStore.js';
+import configVersionManager from '../ConfigVersionManager.js';
+
+jest.mock('../logger.js', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('ConfigHistoryStore', () => {
+  let homeDir;
+
+  const countObjects = () => {
+    const objectsDir = path.join(homeDir, '.mcp-installer', 'config-history', 'objects');
+    return fs.readdirSync(objectsDir).reduce((count, dir) => count + fs.readdirSync(path.join(objectsDir, dir)).length, 0);
+  };
+
+  const reinstall = async () => {
+    configVersionManager.configHistory = {};
+    await configVersionManager.initializeVersionManager();
+  };
+
+  beforeAll(() => {
+    global.TextEncoder = global.TextEncoder || TextEncoder;
+    Object.defineProperty(window.crypto, 'subtle', { value: webcrypto.subtle, configurable: true });
+    window.require = require;
+    require('../file-system-api.js');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-history-'));
+    window.electronAPI = { getUserHome: async () => homeDir };
+    configHistoryStore.rootDir = null;
+    configHistoryStore.knownObjects.clear();
+    localStorage.clear();
+    await reinstall();
+  });
+
+  afterEach(() => {
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  test('should deduplicate snapshots and keep history across reinstalls', async () => {
+    // Arrange
+    configVersionManager.addVersion('cfg', { port: 8080 }, 'Initial', { author: 'alice', tags: ['stable'] });
+    for (let port = 8081; port <= 8105; port++) {
+      configVersionManager.addVersion('cfg', { port });
+    }
+    configVersionManager.restoreVersion('cfg', 'stable');
+    await configVersionManager.flush();
+
+    // Act
+    await reinstall();
+    const history = configVersionManager.getVersionHistory('cfg');
+
+    // Assert
+    expect(history).toHaveLength(27);
+    expect(countObjects()).toBe(26);
+    expect(history[26].config).toEqual({ port: 8080 });
+    expect(configVersionManager.getVersion('cfg', 'stable')).toMatchObject({ version: 1, author: 'alice' });
+    expect(configVersionManager.compareVersions('cfg', 'stable', 2).changes.modified).toEqual(['/port']);
+  });
+
+  test('should append versions added while the stored history loads', async () => {
+    // Arrange
+    configVersionManager.addVersion('cfg', { port: 8080 }, 'Initial', { tags: ['stable'] });
+    configVersionManager.addVersion('cfg', { port: 8081 });
+    await configVersionManager.flush();
+    configVersionManager.configHistory = {};
+    configVersionManager.ready = configVersionManager.initializeVersionManager();
+
+    // Act
+    const added = configVersionManager.addVersion('cfg', { port: 9090 }, 'Early', { tags: ['stable'] });
+    await configVersionManager.flush();
+    await reinstall();
+    const history = configVersionManager.getVersionHistory('cfg');
+
+    // Assert
+    expect(added.version).toBe(3);
+    expect(history.map(version => version.config.port)).toEqual([8080, 8081, 9090]);
+    expect(history[2].changes.modified).toEqual(['/port']);
+    expect(configVersionManager.getVersion('cfg', 'stable')).toMatchObject({ version: 3, comment: 'Early' });
+  });
+
+  test('should prune versions by policy and delete unreferenced snapshots', async () => {
+    // Arrange
+    configVersionManager.addVersion('cfg', { port: 1 });
+    configVersionManager.addVersion('cfg', { port: 2 });
+    configVersionManager.addVersion('cfg', { port: 3 });
+    configVersionManager.addVersion('cfg', { port: 4 });
+    configVersionManager.tagVersion('cfg', 1, 'baseline');
+
+    // Act
+    const result = await configVersionManager.collectGarbage({ keepLast: 2, maxAgeDays: null, keepTagged: true });
+    await reinstall();
+
+    // Assert
+    expect(result).toMatchObject({ prunedVersions: 1, deletedObjects: 1 });
+    expect(configVersionManager.getVersionHistory('cfg').map(version => version.version)).toEqual([1, 3, 4]);
+    expect(countObjects()).toBe(3);
+  });
+
+  test('should round-trip history through a verified bundle', async () => {
+    // Arrange
+    configVersionManager.addVersion('a', { command: 'npx' });
+    configVersionManager.addVersion('a', { command: 'uvx' });
+    configVersionManager.addVersion('b', { command: 'npx' });
+    const bundle = await configVersionManager.exportHistoryBundle();
+    configVersionManager.clearAllVersionHistory();
+    await configVersionManager.flush();
+
+    const corrupted = JSON.parse(bundle);
+    const [hash] = Object.keys(corrupted.objects);
+    corrupted.objects[hash] = '{"command":"evil"}';
+
+    // Act
+    const rejected = await configVersionManager.importHistoryBundle(JSON.stringify(corrupted));
+    const imported = await configVersionManager.importHistoryBundle(bundle);
+    await reinstall();
+
+    // Assert
+    expect(rejected).toBeNull();
+    expect(imported).toEqual({ a: 2, b: 1 });
+    expect(configVersionManager.getVersionHistory('a').map(version => version.config.command)).toEqual(['npx', 'uvx']);
+    expect(countObjects()).toBe(2);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Config Schema Tests
+ */
+
+import '../config-validator.js';
+
+jest.mock('../logger.js', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+require('../config-formats.js');
+require('../config-yaml.js');
+require('../config-toml.js');
+require('../config-schema.js');
+
+describe('ConfigSchema', () => {
+  const { getCompletions, getHover, getDiagnostics, getQuickFixes, applyEdits, applyAllFixes } = window.ConfigSchema;
+  const schema = window.ConfigValidator.getTemplateSchema('brave-search');
+  const labels = completions => completions.items.map(item => item.label);
+
+  test('should complete keys and values from the template schema in every format', () => {
+    // Arrange
+    const json = '{\n  "api_key": "x",\n  "search_settings": {\n    "content_filter": "m\n  },\n  "cache_\n}';
+    const yaml = 'api_key: x\nsearch_settings:\n  default_search_type: \n  content_\n';
+    const toml = 'api_key = "x"\n\n[search_settings]\ndefault_\n';
+
+    // Act
+    const jsonValue = getCompletions(schema, json, 'json', json.indexOf('"m') + 2);
+    const jsonKey = getCompletions(schema, json, 'json', json.indexOf('cache_') + 6);
+    const yamlValue = getCompletions(schema, yaml, 'yaml', yaml.indexOf('type: ') + 6);
+    const yamlKey = getCompletions(schema, yaml, 'yaml', yaml.indexOf('content_') + 8);
+    const tomlKey = getCompletions(schema, toml, 'toml', toml.indexOf('default_') + 8);
+
+    // Assert
+    expect(labels(jsonValue)).toEqual(['"moderate"']);
+    expect(jsonValue.from).toBe(json.indexOf('"m'));
+    expect(labels(jsonKey)).toEqual(['cache_enabled', 'cache_ttl']);
+    expect(jsonKey.items[0].text).toBe('"cache_enabled": true');
+    expect(labels(yamlValue)).toEqual(['web', 'local']);
+    expect(yamlKey.items.map(item => item.text)).toEqual(['content_filter: moderate']);
+    expect(labels(tomlKey)).toEqual(['default_search_type', 'default_results_count']);
+    expect(tomlKey.items[0].text).toBe('default_search_type = "web"');
+  });
+
+  test('should describe the key under the mouse', () => {
+    // Arrange
+    const content = 'search_settings:\n  content_filter: strict\n';
+
+    // Act
+    const hover = getHover(schema, content, 'yaml', content.indexOf('content_filter') + 2);
+
+    // Assert
+    expect(hover).toMatchObject({
+      path: 'search_settings.content_filter',
+      description: 'Content filter level',
+      enum: ['off', 'moderate', 'strict'],
+      from: content.indexOf('content_filter'),
+      to: content.indexOf(':', content.indexOf('content_filter'))
+    });
+  });
+
+  test('should place validation errors on the values they are about', () => {
+    // Arrange
+    const content = 'api_key = "x"\ncache_ttl = 10\n\n[search_settings]\ncontent_filter = "loose"\n';
+
+    // Act
+    const diagnostics = getDiagnostics(content, 'toml', 'brave-search');
+    const syntax = getDiagnostics('port = ', 'toml', 'brave-search');
+
+    // Assert
+    const slices = diagnostics.map(item => [item.path, content.slice(item.from, item.to), Boolean(item.fix)]);
+    expect(slices).toContainEqual(['cache_ttl', '10', true]);
+    expect(slices).toContainEqual(['search_settings.content_filter', '"loose"', false]);
+    expect(syntax).toHaveLength(1);
+    expect(syntax[0].severity).toBe('error');
+  });
+
+  test('should turn auto-fixes into edits that keep the rest of the file', () => {
+    // Arrange
+    const content = '{\n  "api_key": "x",\n  "cache_ttl": 10\n}';
+
+    // Act
+    const fixes = getQuickFixes(content, 'json', 'brave-search');
+    const fixed = applyEdits(content, fixes.find(fix => fix.path === 'cache_ttl').edits);
+    const all = applyAllFixes(content, 'json', 'brave-search');
+
+    // Assert
+    expect(fixed).toBe('{\n  "api_key": "x",\n  "cache_ttl": 60\n}');
+    expect(getQuickFixes(all, 'json', 'brave-search')).toEqual([]);
+    expect(JSON.parse(all)).toMatchObject({ api_key: 'x', cache_ttl: 60, cache_enabled: true });
+    expect(all.startsWith('{\n  "api_key": "x",\n  "cache_ttl": 60,\n  "')).toBe(true);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Config Secret Resolver Tests
+ */
+
+import configSecretResolver from '../ConfigSecretResolver.js';
+import securityManager from '../SecurityManager.js';
+
+window.require = require;
+
+jest.mock('../SecurityManager.js', () => ({
+  isVaultEnabled: jest.fn(),
+  isLocked: jest.fn(),
+  storeSecret: jest.fn(),
+  getSecret: jest.fn(),
+}));
+
+describe('ConfigSecretResolver', () => {
+  const githubToken = `ghp_${'a'.repeat(36)}`;
+  const reference = name => configSecretResolver.createReference(name);
+  let vault;
+  let config;
+
+  beforeEach(() => {
+    vault = {};
+    securityManager.isVaultEnabled.mockReturnValue(true);
+    securityManager.isLocked.mockReturnValue(false);
+    securityManager.storeSecret.mockImplementation(async (name, value) => {
+      vault[name] = value;
+      return true;
+    });
+    securityManager.getSecret.mockImplementation(async name => (name in vault ? vault[name] : null));
+    config = {
+      mcpServers: {
+        github: {
+          command: 'npx',
+          env: { GITHUB_PERSONAL_ACCESS_TOKEN: githubToken, LOG_LEVEL: 'info' },
+        },
+        brave: {
+          command: 'npx',
+          env: { BRAVE_API_KEY: 'b1234', DEBUG: 'true', PROXY_PASSWORD: 'your-password' },
+        },
+      },
+    };
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('should move plaintext secrets into the vault and resolve them when writing', async () => {
+    // Act
+    const moved = await configSecretResolver.moveSecretsToVault(config);
+    const stored = JSON.parse(JSON.stringify(config));
+    const resolved = await configSecretResolver.resolveConfig(config);
+
+    // Assert
+    expect(moved.map(({ serverName, envName, secretName }) => [serverName, envName, secretName])).toEqual([
+      ['github', 'GITHUB_PERSONAL_ACCESS_TOKEN', 'github-personal-access-token'],
+      ['brave', 'BRAVE_API_KEY', 'brave-api-key'],
+    ]);
+    expect(vault).toEqual({ 'github-personal-access-token': githubToken, 'brave-api-key': 'b1234' });
+    expect(stored.mcpServers.github.env).toEqual({
+      GITHUB_PERSONAL_ACCESS_TOKEN: reference('github-personal-access-token'),
+      LOG_LEVEL: 'info',
+    });
+    expect(JSON.stringify(stored)).not.toContain(githubToken);
+    expect(resolved.mcpServers.github.env.GITHUB_PERSONAL_ACCESS_TOKEN).toBe(githubToken);
+    expect(resolved.mcpServers.brave.env).toEqual({
+      BRAVE_API_KEY: 'b1234',
+      DEBUG: 'true',
+      PROXY_PASSWORD: 'your-password',
+    });
+    expect(configSecretResolver.getReferenceMap(config)).toEqual({
+      github: {
+        GITHUB_PERSONAL_ACCESS_TOKEN: { reference: reference('github-personal-access-token'), valueHash: null },
+      },
+      brave: { BRAVE_API_KEY: { reference: reference('brave-api-key'), valueHash: null } },
+    });
+  });
+
+  test('should not overwrite a different secret stored under the suggested name', async () => {
+    // Arrange
+    vault['github-token'] = 'ghp_stored_earlier';
+    config.mcpServers = {
+      github: { command: 'npx', env: { GITHUB_TOKEN: 'ghp_personal' } },
+      'github-enterprise': { command: 'npx', env: { GITHUB_TOKEN: 'ghp_enterprise' } },
+      'github-mirror': { command: 'npx', env: { GITHUB_TOKEN: 'ghp_personal' } },
+      'github-enterprise-2': { command: 'npx', env: { GITHUB_ENTERPRISE_GITHUB_TOKEN: 'ghp_other' } },
+    };
+
+    // Act
+    const moved = await configSecretResolver.moveSecretsToVault(config);
+    const resolved = await configSecretResolver.resolveConfig(config);
+
+    // Assert
+    expect(moved.map(({ serverName, secretName }) => [serverName, secretName])).toEqual([
+      ['github', 'github-token-2'],
+      ['github-enterprise', 'github-enterprise-github-token'],
+      ['github-mirror', 'github-mirror-github-token'],
+      ['github-enterprise-2', 'github-enterprise-2-github-enterprise-github-token'],
+    ]);
+    expect(vault['github-token']).toBe('ghp_stored_earlier');
+    expect(Object.entries(resolved.mcpServers).map(([name, server]) => [name, Object.values(server.env)[0]])).toEqual([
+      ['github', 'ghp_personal'],
+      ['github-enterprise', 'ghp_enterprise'],
+      ['github-mirror', 'ghp_personal'],
+      ['github-enterprise-2', 'ghp_other'],
+    ]);
+  });
+
+  test('should only restore references for values that were not edited since they were written', async () => {
+    // Arrange
+    config.mcpServers.github.env.GITHUB_PERSONAL_ACCESS_TOKEN = reference('github-token');
+    config.mcpServers.brave.env.BRAVE_API_KEY = reference('brave-key');
+    Object.assign(vault, { 'github-token': githubToken, 'brave-key': 'b1234' });
+    const written = await configSecretResolver.resolveConfig(config);
+    const referenceMap = configSecretResolver.getReferenceMap(config, written);
+    const readBack = JSON.parse(JSON.stringify(written));
+    readBack.mcpServers.brave.env.BRAVE_API_KEY = 'b5678';
+
+    // Act
+    configSecretResolver.applyReferenceMap(readBack, referenceMap);
+
+    // Assert
+    expect(JSON.stringify(referenceMap)).not.toContain(githubToken);
+    expect(readBack.mcpServers.github.env.GITHUB_PERSONAL_ACCESS_TOKEN).toBe(reference('github-token'));
+    expect(readBack.mcpServers.brave.env.BRAVE_API_KEY).toBe('b5678');
+  });
+
+  test('should refuse to move secrets without an unlocked master-password vault', async () => {
+    // Arrange
+    securityManager.isVaultEnabled.mockReturnValue(false);
+
+    // Act & Assert
+    await expect(configSecretResolver.moveSecretsToVault(config))
+      .rejects.toThrow('Set a master password for the credential vault to move secrets into it');
+    securityManager.isVaultEnabled.mockReturnValue(true);
+    securityManager.isLocked.mockReturnValue(true);
+    await expect(configSecretResolver.moveSecretsToVault(config))
+      .rejects.toThrow('Unlock the credential vault to move secrets into it');
+    expect(securityManager.storeSecret).not.toHaveBeenCalled();
+    expect(config.mcpServers.github.env.GITHUB_PERSONAL_ACCESS_TOKEN).toBe(githubToken);
+  });
+
+  test('should not write configs whose secrets cannot be resolved', async () => {
+    // Arrange
+    config.mcpServers.github.env.GITHUB_PERSONAL_ACCESS_TOKEN = reference('github-token');
+    config.mcpServers.brave.env.BRAVE_API_KEY = `prefix-${reference('brave-key')}`;
+    vault['github-token'] = githubToken;
+
+    // Act & Assert
+    await expect(configSecretResolver.resolveConfig(config))
+      .rejects.toThrow('Secrets not found in the vault: brave-key');
+    securityManager.isLocked.mockReturnValue(true);
+    await expect(configSecretResolver.resolveConfig(config))
+      .rejects.toThrow('Unlock the credential vault to write configs that reference secrets');
+    securityManager.isVaultEnabled.mockReturnValue(false);
+    await expect(configSecretResolver.resolveConfig(config))
+      .rejects.toThrow('Set a master password for the credential vault to write configs that reference secrets');
+    delete config.mcpServers.github.env.GITHUB_PERSONAL_ACCESS_TOKEN;
+    delete config.mcpServers.brave.env.BRAVE_API_KEY;
+    expect(await configSecretResolver.resolveConfig(config)).toEqual(config);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Config Version Manager Tests
+ */
+
+import configVersionManager from '../ConfigVersionManager.js';
+
+jest.mock('../logger.js', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('ConfigVersionManager', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    configVersionManager.configHistory = {};
+  });
+
+  test('should report nested changes as JSON Pointer paths', () => {
+    // Arrange
+    const oldConfig = {
+      mcpServers: {
+        github: { command: 'npx', args: ['-y', 'server-github'], env: { GITHUB_TOKEN: 'a', 'API/URL': 'x' } },
+      },
+    };
+    const newConfig = {
+      mcpServers: {
+        github: { command: 'npx', args: ['-y', 'server-github'], env: { GITHUB_TOKEN: 'b', DEBUG: '1' } },
+      },
+    };
+
+    // Act
+    const changes = configVersionManager.calculateChanges(oldConfig, newConfig);
+
+    // Assert
+    expect(changes.modified).toEqual(['/mcpServers/github/env/GITHUB_TOKEN']);
+    expect(changes.added).toEqual(['/mcpServers/github/env/DEBUG']);
+    expect(changes.removed).toEqual(['/mcpServers/github/env/API~1URL']);
+    expect(changes.operations[0]).toEqual({
+      op: 'replace', path: '/mcpServers/github/env/GITHUB_TOKEN', oldValue: 'a', value: 'b',
+    });
+  });
+
+  test('should detect moved array elements', () => {
+    // Act
+    const changes = configVersionManager.calculateChanges(
+      { args: ['--port', '8080', '--verbose', 'serve'] },
+      { args: ['--verbose', '--port', '8080', 'run'] },
+    );
+
+    // Assert
+    expect(changes.operations).toEqual([
+      { op: 'move', from: '/args/2', path: '/args/0', value: '--verbose' },
+      { op: 'replace', path: '/args/3', oldValue: 'serve', value: 'run' },
+    ]);
+  });
+
+  test('should merge independent changes and report conflicts', () => {
+    // Arrange
+    const base = { mcpServers: { github: { command: 'npx', env: { TOKEN: 'a', LEVEL: 'info' } } } };
+    const ours = { mcpServers: { github: { command: 'npx', env: { TOKEN: 'mine', LEVEL: 'debug' } } } };
+    const theirs = {
+      mcpServers: {
+        github: { command: 'npx', env: { TOKEN: 'a', LEVEL: 'warn' } },
+        fetch: { command: 'uvx', args: ['mcp-server-fetch'] },
+      },
+    };
+
+    // Act
+    const result = configVersionManager.mergeConfigs(base, ours, theirs);
+
+    // Assert
+    expect(result.merged.mcpServers.github.env).toEqual({ TOKEN: 'mine', LEVEL: 'debug' });
+    expect(result.merged.mcpServers.fetch).toEqual(theirs.mcpServers.fetch);
+    expect(result.hasConflicts).toBe(true);
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.conflicts[0]).toMatchObject({
+      path: '/mcpServers/github/env/LEVEL', base: 'info', ours: 'debug', theirs: 'warn',
+    });
+    expect(result.conflicts[0].markers).toBe(
+      '<<<<<<< ours\n"debug"\n||||||| base\n"info"\n=======\n"warn"\n>>>>>>> theirs',
+    );
+    expect(configVersionManager.resolveConflicts(result, { '/mcpServers/github/env/LEVEL': 'theirs' })
+      .mcpServers.github.env.LEVEL).toBe('warn');
+  });
+
+  test('should merge an incoming config into the latest version', () => {
+    // Arrange
+    configVersionManager.addVersion('cfg', { _updated: 1, port: 8080, host: 'localhost' });
+    configVersionManager.addVersion('cfg', { _updated: 2, port: 9090, host: 'localhost' });
+
+    // Act
+    const result = configVersionManager.mergeWithLatest('cfg', 1, { port: 8080, host: '0.0.0.0' });
+
+    // Assert
+    expect(result.hasConflicts).toBe(false);
+    expect(result.merged).toEqual({ _updated: 2, port: 9090, host: '0.0.0.0' });
+    expect(result.changes.modified).toEqual(['/host']);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Container Supervisor Tests
+ */
+
+require('../container-supervisor.js');
+
+/**
+ * Docker manager stand-in that keeps its containers in memory
+ * @param {Array<Object>} containers - Containers
+ * @returns {Object} Manager with emit() to trigger manager events
+ */
+function createManager(containers) {
+  const listeners = {};
+  return {
+    on: (name, callback) => {
+      listeners[name] = [...(listeners[name] || []), callback];
+    },
+    emit: (name, data) => (listeners[name] || []).forEach(callback => callback(data)),
+    getAllContainers: () => containers,
+    getContainerById: id => containers.find(container => container.id === id),
+    restartContainer: jest.fn(async () => {}),
+  };
+}
+
+describe('ContainerSupervisor', () => {
+  let notifier;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    notifier = { show: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should restart unhealthy MCP containers with growing delays until they crash loop', async () => {
+    // Arrange
+    const github = { id: 'c1', name: 'mcp-github', image: 'mcp/github', health: 'unhealthy', labels: {} };
+    const database = { id: 'c2', name: 'postgres', image: 'postgres:16', health: 'unhealthy', labels: {} };
+    const manager = createManager([github, database]);
+    const supervisor = new window.ContainerSupervisor(manager, { baseDelay: 1000, notifier });
+
+    // Act
+    supervisor.start();
+    await jest.advanceTimersByTimeAsync(1000);
+    manager.emit('containerHealthChanged', github);
+    await jest.advanceTimersByTimeAsync(1999);
+    const restartsBeforeBackoff = manager.restartContainer.mock.calls.length;
+    await jest.advanceTimersByTimeAsync(1);
+    manager.emit('containerHealthChanged', github);
+    await jest.advanceTimersByTimeAsync(4000);
+    manager.emit('containerHealthChanged', github);
+    await jest.advanceTimersByTimeAsync(60000);
+
+    // Assert
+    expect(restartsBeforeBackoff).toBe(1);
+    expect(manager.restartContainer.mock.calls).toEqual([['c1'], ['c1'], ['c1']]);
+    expect(notifier.show).toHaveBeenCalledWith('mcp-github is unhealthy, restarting it in 4 seconds', 'warning', undefined);
+    expect(notifier.show).toHaveBeenCalledWith('Restarting unhealthy container mcp-github', 'info', undefined);
+    expect(notifier.show).toHaveBeenLastCalledWith(
+      'mcp-github is crash looping: restarted 3 times in 10 minutes. Automatic restarts are paused; check its logs.',
+      'error',
+      0,
+    );
+
+    // Act - a healthy container is supervised again
+    github.health = 'healthy';
+    manager.emit('containerHealthChanged', github);
+
+    // Assert
+    expect(notifier.show).toHaveBeenLastCalledWith('mcp-github is healthy again', 'success', undefined);
+  });
+
+  test('should report crash loops of containers restarted by their restart policy', () => {
+    // Arrange
+    const memory = { id: 'c3', name: 'memory', image: 'node:22', labels: { 'mcp.server': 'memory' }, restartCount: 4 };
+    const ignored = { id: 'c4', name: 'mcp-fetch', image: 'mcp/fetch', labels: { 'mcp.supervise': 'false' }, restartCount: 0 };
+    const manager = createManager([memory, ignored]);
+    const supervisor = new window.ContainerSupervisor(manager, { notifier });
+    supervisor.start();
+
+    // Act
+    [4, 5, 6, 7].forEach(restartCount => {
+      memory.restartCount = restartCount;
+      ignored.restartCount = restartCount;
+      manager.emit('containerStatusChanged', memory);
+      manager.emit('containerStatusChanged', ignored);
+    });
+
+    // Assert
+    expect(notifier.show).toHaveBeenCalledTimes(1);
+    expect(notifier.show.mock.calls[0][0]).toBe(
+      'memory is crash looping: restarted 3 times in 10 minutes. Automatic restarts are paused; check its logs.',
+    );
+    expect(manager.restartContainer).not.toHaveBeenCalled();
+  });
+});
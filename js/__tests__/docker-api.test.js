@@ -0,0 +1,311 @@
+/**
+ * Docker API Tests
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+window.require = require;
+require('../tar-archive.js');
+require('../docker-api.js');
+require('../docker-manager.js');
+
+/**
+ * Frame log output like a container without a TTY
+ * @param {number} stream - 1 for stdout, 2 for stderr
+ * @param {string} text - Output
+ * @returns {Buffer} Frame
+ */
+function logFrame(stream, text) {
+  const payload = Buffer.from(text);
+  const header = Buffer.alloc(8);
+  header[0] = stream;
+  header.writeUInt32BE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Minimal Docker daemon keeping containers in memory
+ * @param {Map<string, Object>} containers - Inspect responses by ID
+ * @param {Set<http.ServerResponse>} watchers - Open event streams
+ * @param {Array<Object>} builds - Receives the build requests ({ tag, remote, contentType, context })
+ * @returns {http.Server} Server
+ */
+function createDaemon(containers, watchers, builds) {
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  return http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const [, version, resource, id, action] = url.pathname.split('/');
+      const container = containers.get(id) || [...containers.values()].find(c => c.Name === `/${id}`);
+
+      if (version !== 'v1.41') {
+        sendJson(res, 400, { message: `unsupported version ${version}` });
+      } else if (resource === '_ping') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('OK');
+      } else if (resource === 'events') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.write('');
+        watchers.add(res);
+        res.on('close', () => watchers.delete(res));
+      } else if (resource === 'build' && req.method === 'POST') {
+        builds.push({
+          tag: url.searchParams.get('t'),
+          remote: url.searchParams.get('remote'),
+          contentType: req.headers['content-type'],
+          context: Buffer.concat(chunks),
+        });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(`${JSON.stringify({ stream: 'Step 1/2 : FROM node:22-alpine\n' })}\n${JSON.stringify({ aux: { ID: 'sha256:abc' } })}\n`);
+      } else if (resource === 'containers' && id === 'json') {
+        sendJson(res, 200, [...containers.values()].map(c => ({
+          Id: c.Id,
+          Names: [c.Name],
+          Image: c.Config.Image,
+          State: c.State.Status,
+          Status: c.State.Running ? 'Up 1 second' : 'Created',
+          Created: Date.parse(c.Created) / 1000,
+          Ports: [],
+          Labels: c.Config.Labels,
+          Mounts: c.Mounts,
+        })));
+      } else if (resource === 'containers' && id === 'create' && req.method === 'POST') {
+        const spec = JSON.parse(Buffer.concat(chunks).toString());
+        const created = {
+          Id: `${url.searchParams.get('name')}`.padEnd(64, '0'),
+          Name: `/${url.searchParams.get('name')}`,
+          Created: '2026-10-19T10:00:00Z',
+          State: { Status: 'created', Running: false },
+          Config: { Image: spec.Image, Env: spec.Env, Labels: {} },
+          NetworkSettings: { Ports: {} },
+          HostConfig: spec.HostConfig,
+          Mounts: [],
+        };
+        containers.set(created.Id, created);
+        sendJson(res, 201, { Id: created.Id, Warnings: [] });
+      } else if (!container) {
+        sendJson(res, 404, { message: `No such container: ${id}` });
+      } else if (action === 'start' && req.method === 'POST') {
+        container.State = { Status: 'running', Running: true };
+        container.NetworkSettings.Ports = Object.fromEntries(Object.entries(container.HostConfig.PortBindings || {}));
+        res.writeHead(204);
+        res.end();
+      } else if (action === 'json') {
+        sendJson(res, 200, container);
+      } else if (action === 'logs') {
+        res.writeHead(200, { 'Content-Type': 'application/vnd.docker.multiplexed-stream' });
+        res.end(Buffer.concat([logFrame(1, 'listening on 8080\nready'), logFrame(2, ' to serve\n'), logFrame(1, '\n')]));
+      } else if (action === 'stats') {
+        sendJson(res, 200, {
+          cpu_stats: { cpu_usage: { total_usage: 400 }, system_cpu_usage: 2000, online_cpus: 2 },
+          precpu_stats: { cpu_usage: { total_usage: 200 }, system_cpu_usage: 1000 },
+          memory_stats: { usage: 300, limit: 1000, stats: { inactive_file: 100 } },
+          networks: { eth0: { rx_bytes: 10, tx_bytes: 20 } },
+          pids_stats: { current: 3 },
+        });
+      } else {
+        sendJson(res, 500, { message: 'not implemented' });
+      }
+    });
+  });
+}
+
+describe('DockerApi', () => {
+  let workDir;
+  let socketPath;
+  let containers;
+  let watchers;
+  let builds;
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-docker-'));
+    socketPath = path.join(workDir, 'docker.sock');
+    containers = new Map();
+    watchers = new Set();
+    builds = [];
+    server = createDaemon(containers, watchers, builds);
+    await new Promise(resolve => server.listen(socketPath, resolve));
+    client = new window.DockerApi.DockerApiClient({ socketPath });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    watchers.forEach(res => res.end());
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('should create, start and inspect containers over the socket', async () => {
+    // Arrange
+    const spec = {
+      Image: 'mcp/github:latest',
+      Env: ['GITHUB_TOKEN=abc=def'],
+      HostConfig: { PortBindings: { '8080/tcp': [{ HostIp: '', HostPort: '9000' }] } },
+    };
+
+    // Act
+    const { Id } = await client.createContainer(spec, 'mcp-github');
+    await client.startContainer('mcp-github');
+    const container = window.DockerApi.describeContainer(await client.inspectContainer(Id));
+
+    // Assert
+    expect(await client.ping()).toBe(true);
+    expect(container).toMatchObject({
+      name: 'mcp-github',
+      image: 'mcp/github:latest',
+      state: 'running',
+      ports: ['9000:8080'],
+      environment: { GITHUB_TOKEN: 'abc=def' },
+    });
+  });
+
+  test('should report daemon errors and an unreachable socket', async () => {
+    // Arrange
+    const missing = new window.DockerApi.DockerApiClient({ socketPath: path.join(workDir, 'missing.sock') });
+
+    // Act
+    const error = await client.inspectContainer('nope').catch(caught => caught);
+
+    // Assert
+    expect(error).toBeInstanceOf(window.DockerApi.DockerApiError);
+    expect(error.statusCode).toBe(404);
+    expect(error.message).toBe('No such container: nope');
+    await expect(missing.ping()).rejects.toThrow('Docker daemon is not reachable');
+  });
+
+  test('should split multiplexed logs into lines and summarize stats', async () => {
+    // Arrange
+    await client.createContainer({ Image: 'mcp/memory', HostConfig: {} }, 'mcp-memory');
+
+    // Act
+    const lines = await client.getContainerLogs('mcp-memory');
+    const stats = window.DockerApi.summarizeStats(await client.getContainerStats('mcp-memory'));
+
+    // Assert
+    expect(lines).toEqual([
+      { stream: 'stdout', text: 'listening on 8080' },
+      { stream: 'stderr', text: ' to serve' },
+      { stream: 'stdout', text: 'ready' },
+    ]);
+    expect(stats).toMatchObject({ cpuPercent: 40, memoryUsage: 200, memoryPercent: 20, networkRx: 10, networkTx: 20, pids: 3 });
+  });
+
+  test('should build from a checkout with a replaced Dockerfile', async () => {
+    // Arrange
+    const checkout = path.join(workDir, 'checkout');
+    const longDir = path.join(checkout, 'src', 'a'.repeat(100), 'b'.repeat(100), 'c'.repeat(100));
+    fs.mkdirSync(longDir, { recursive: true });
+    fs.mkdirSync(path.join(checkout, 'node_modules', 'left-pad'), { recursive: true });
+    fs.writeFileSync(path.join(checkout, 'package.json'), '{"name":"notes"}');
+    fs.writeFileSync(path.join(checkout, 'Dockerfile'), 'FROM scratch\n');
+    fs.writeFileSync(path.join(longDir, 'index.js'), 'console.log("hi");\n');
+    fs.writeFileSync(path.join(checkout, 'node_modules', 'left-pad', 'index.js'), '');
+    const progress = [];
+
+    // Act
+    const context = window.DockerApi.createBuildContext(checkout, { Dockerfile: 'FROM node:22-alpine\n' });
+    const id = await client.buildImage({ remote: 'https://example.com/notes.git', context, tag: 'mcp/notes:latest' }, line => progress.push(line));
+    const extracted = path.join(workDir, 'extracted');
+    fs.mkdirSync(extracted);
+    fs.writeFileSync(path.join(workDir, 'context.tar'), builds[0].context);
+    execFileSync('tar', ['-xf', path.join(workDir, 'context.tar'), '-C', extracted]);
+
+    // Assert
+    expect(id).toBe('sha256:abc');
+    expect(progress).toEqual(['Step 1/2 : FROM node:22-alpine']);
+    expect(builds[0]).toMatchObject({ tag: 'mcp/notes:latest', remote: null, contentType: 'application/x-tar' });
+    expect(fs.readFileSync(path.join(extracted, 'Dockerfile'), 'utf8')).toBe('FROM node:22-alpine\n');
+    expect(fs.readFileSync(path.join(longDir.replace(checkout, extracted), 'index.js'), 'utf8')).toBe('console.log("hi");\n');
+    expect(fs.existsSync(path.join(extracted, 'package.json'))).toBe(true);
+    expect(fs.existsSync(path.join(extracted, 'node_modules'))).toBe(false);
+  });
+
+  test('should describe container health and build restart and resource settings', () => {
+    // Arrange
+    const manager = new window.DockerManager({ client });
+    const inspected = {
+      Id: 'abc',
+      Name: '/mcp-notes',
+      Created: '2026-10-19T10:00:00Z',
+      RestartCount: 2,
+      State: { Status: 'running', Running: true, Health: { Status: 'unhealthy' } },
+      Config: { Image: 'mcp/notes', Env: [], Healthcheck: { Test: ['CMD-SHELL', 'nc -z 127.0.0.1 8080'], Interval: 30e9, Retries: 3 } },
+      HostConfig: { RestartPolicy: { Name: 'on-failure', MaximumRetryCount: 5 }, Memory: 536870912, NanoCpus: 1.5e9 },
+      NetworkSettings: { Ports: {} },
+    };
+
+    // Act
+    const container = window.DockerApi.describeContainer(inspected);
+    const listed = window.DockerApi.describeContainer({ Id: 'abc', Names: ['/mcp-notes'], Status: 'Up 2 minutes (health: starting)', Created: 0 });
+    const spec = manager.buildContainerSpec({
+      image: 'mcp/notes',
+      restartPolicy: 'on-failure:5',
+      healthcheck: { test: 'nc -z 127.0.0.1 8080', interval: '30', retries: '3' },
+      memoryLimit: '512m',
+      cpuLimit: '1.5',
+    });
+
+    // Assert
+    expect(container).toMatchObject({
+      health: 'unhealthy',
+      restartCount: 2,
+      restartPolicy: 'on-failure:5',
+      healthcheck: { test: 'nc -z 127.0.0.1 8080', interval: 30, timeout: null, retries: 3, startPeriod: null },
+      memoryLimit: 536870912,
+      cpuLimit: 1.5,
+    });
+    expect(listed.health).toBe('starting');
+    expect(spec.Healthcheck).toEqual({ Test: ['CMD-SHELL', 'nc -z 127.0.0.1 8080'], Interval: 30e9, Retries: 3 });
+    expect(spec.HostConfig).toMatchObject({
+      RestartPolicy: { Name: 'on-failure', MaximumRetryCount: 5 },
+      Memory: 536870912,
+      MemorySwap: 1073741824,
+      NanoCpus: 1.5e9,
+    });
+    expect(() => manager.buildResourceConfig({ restartPolicy: 'always:3' })).toThrow('Invalid restart policy: always:3');
+    expect(() => manager.buildResourceConfig({ memoryLimit: 'lots' })).toThrow('Invalid memory limit: lots');
+  });
+
+  test('should update the Docker manager from the event stream', async () => {
+    // Arrange
+    const manager = new window.DockerManager({ client });
+    const changed = jest.fn();
+    manager.on('containerStatusChanged', container => changed(container.status));
+    const { Id } = await client.createContainer({ Image: 'mcp/fetch', HostConfig: {} }, 'mcp-fetch');
+    await manager.initialize();
+    while (watchers.size === 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    // Act
+    containers.get(Id).State = { Status: 'running', Running: true };
+    watchers.forEach(res => res.write(`${JSON.stringify({ Type: 'container', Action: 'start', Actor: { ID: Id } })}\n`));
+    while (changed.mock.calls.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    manager.stopEventStream();
+
+    // Assert
+    expect(manager.isDockerAvailable).toBe(true);
+    expect(manager.getContainerById('mcp-fetch').status).toBe('running');
+    expect(changed).toHaveBeenCalledWith('running');
+    expect(manager.buildContainerSpec({ image: 'x', ports: ['127.0.0.1:9000:8080', '53/udp'], command: 'node server.js' })).toMatchObject({
+      Cmd: ['/bin/sh', '-c', 'node server.js'],
+      ExposedPorts: { '8080/tcp': {}, '53/udp': {} },
+      HostConfig: { PortBindings: { '8080/tcp': [{ HostIp: '127.0.0.1', HostPort: '9000' }] } },
+    });
+  });
+});
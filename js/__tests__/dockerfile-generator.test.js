@@ -0,0 +1,120 @@
+/**
+ * Dockerfile Generator Tests
+ */
+
+window.require = require;
+require('../config-formats.js');
+require('../config-toml.js');
+require('../config-yaml.js');
+require('../ai-installer-manifests.js');
+require('../ai-installer-analysis.js');
+require('../dockerfile-generator.js');
+
+/**
+ * Analyze repository files the way DockerManager.prepareDockerfile does
+ * @param {Object} contents - File contents by name
+ * @returns {Object} Analysis and root files
+ */
+function analyze(contents) {
+  const rootFiles = Object.keys(contents);
+  return { analysis: window.AiInstallerAnalysis.buildAnalysis({ rootFiles, contents }), rootFiles };
+}
+
+describe('DockerfileGenerator', () => {
+  test('should pick the newest image version that satisfies the project range', () => {
+    // Arrange
+    const { selectNodeVersion, selectPythonVersion } = window.DockerfileGenerator;
+
+    // Act & Assert
+    expect(selectNodeVersion(undefined)).toBe(22);
+    expect(selectNodeVersion('>=18')).toBe(24);
+    expect(selectNodeVersion('^20.11.0')).toBe(20);
+    expect(selectNodeVersion('>=18 <23')).toBe(22);
+    expect(selectNodeVersion('18.x || 20.x')).toBe(20);
+    expect(selectPythonVersion('>=3.10')).toBe('3.13');
+    expect(selectPythonVersion('>=3.10,<3.13')).toBe('3.12');
+    expect(selectPythonVersion('^3.11')).toBe('3.13');
+    expect(selectPythonVersion('~=3.11.2')).toBe('3.11');
+    expect(selectPythonVersion('==3.9.*')).toBe('3.9');
+  });
+
+  test('should build TypeScript servers in a separate stage and run their bin as node', () => {
+    // Arrange
+    const { analysis, rootFiles } = analyze({
+      'package.json': JSON.stringify({
+        name: '@acme/mcp-server-notes',
+        bin: { 'mcp-server-notes': 'dist/index.js' },
+        scripts: { build: 'tsc', prepare: 'npm run build' },
+        engines: { node: '>=20' },
+        dependencies: { '@modelcontextprotocol/sdk': '^1.0.0' },
+        devDependencies: { typescript: '^5.0.0' },
+      }),
+      'package-lock.json': '{}',
+    });
+
+    // Act
+    const dockerfile = window.DockerfileGenerator.generateDockerfile(analysis, rootFiles);
+
+    // Assert
+    expect(dockerfile).toBe([
+      '# Generated from package.json of @acme/mcp-server-notes',
+      '# The repository has no Dockerfile; review this one before building',
+      '',
+      'FROM node:24-alpine AS build',
+      'WORKDIR /app',
+      'COPY package*.json ./',
+      'RUN npm ci --ignore-scripts',
+      'COPY . .',
+      'RUN npm run build',
+      'RUN npm prune --omit=dev',
+      '',
+      'FROM node:24-alpine',
+      'ENV NODE_ENV=production',
+      'WORKDIR /app',
+      'COPY --from=build --chown=node:node /app /app',
+      'USER node',
+      'ENTRYPOINT ["node","dist/index.js"]',
+      '',
+    ].join('\n'));
+  });
+
+  test('should install Python servers into a virtual environment and run their console script', () => {
+    // Arrange
+    const pyproject = [
+      '[project]',
+      'name = "mcp-server-weather"',
+      'requires-python = ">=3.10,<3.13"',
+      'dependencies = ["mcp>=1.2.0", "httpx"]',
+      '',
+      '[project.scripts]',
+      'mcp-server-weather = "weather:main"',
+    ].join('\n');
+    const uvProject = analyze({ 'pyproject.toml': pyproject, 'uv.lock': '' });
+    const pipProject = analyze({ 'requirements.txt': 'mcp\n', 'server.py': '' });
+
+    // Act
+    const uvDockerfile = window.DockerfileGenerator.generateDockerfile(uvProject.analysis, uvProject.rootFiles);
+    const pipDockerfile = window.DockerfileGenerator.generateDockerfile(pipProject.analysis, pipProject.rootFiles);
+
+    // Assert
+    expect(uvDockerfile).toContain('FROM ghcr.io/astral-sh/uv:python3.12-bookworm-slim AS build\n');
+    expect(uvDockerfile).toContain('RUN uv sync --frozen --no-dev --no-install-project\nCOPY . .\nRUN uv sync --frozen --no-dev\n');
+    expect(uvDockerfile).toContain('FROM python:3.12-slim-bookworm\nRUN useradd --system --uid 10001 --no-create-home mcp\n');
+    expect(uvDockerfile).toMatch(/USER mcp\nENTRYPOINT \["mcp-server-weather"\]\n$/);
+    expect(pipDockerfile).toContain('COPY requirements.txt ./\nRUN pip install -r requirements.txt\nCOPY . .\n\nFROM python:3.12-slim\n');
+    expect(pipDockerfile).not.toContain('pip install .');
+    expect(pipDockerfile).toMatch(/ENTRYPOINT \["python","server.py"\]\n$/);
+  });
+
+  test('should refuse projects it cannot start', () => {
+    // Arrange
+    const goProject = analyze({ 'go.mod': 'module example.com/server' });
+    const scriptless = analyze({ 'requirements.txt': 'mcp\n' });
+
+    // Act & Assert
+    expect(() => window.DockerfileGenerator.generateDockerfile(goProject.analysis, goProject.rootFiles))
+      .toThrow('Cannot generate a Dockerfile for Go projects');
+    expect(() => window.DockerfileGenerator.generateDockerfile(scriptless.analysis, scriptless.rootFiles))
+      .toThrow('No console script or server.py/main.py/app.py found to start the server');
+  });
+});
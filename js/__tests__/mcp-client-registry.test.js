@@ -0,0 +1,131 @@
+/**
+ * MCP Client Registry Tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mcpClientRegistry from '../McpClientRegistry.js';
+
+jest.mock('../ConfigSecretResolver.js', () => ({
+  resolveConfig: jest.fn(async config => config),
+}));
+
+describe('McpClientRegistry', () => {
+  let projectDir;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-clients-'));
+    window.fs = fs;
+    window.path = path;
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    delete window.fs;
+    delete window.path;
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  test('should edit only the changed server entries and keep comments in JSONC files', async () => {
+    // Arrange
+    const file = path.join(projectDir, '.vscode', 'mcp.json');
+    const targets = [{ clientId: 'vscode', projectDir }];
+    const header = [
+      '{',
+      '  // Workspace MCP servers',
+      '  "inputs": [',
+      '    { "id": "note", "description": "Keep a,} and // not a comment", },',
+      '  ],',
+      '  "servers": {',
+      '    /* Memory is pinned */',
+    ];
+    const memory = [
+      '    "memory": {',
+      '      "type": "stdio",',
+      '      "command": "npx", // from npm',
+      '      "args": ["-y", "@modelcontextprotocol/server-memory"],',
+      '    },',
+    ];
+    const footer = ['  },', '}', ''];
+    fs.mkdirSync(path.dirname(file));
+    fs.writeFileSync(file, [...header, ...memory, ...footer].join('\n'));
+
+    // Act
+    await mcpClientRegistry.installServer('github', { command: 'npx', args: ['-y', 'gh'] }, targets);
+    const installed = fs.readFileSync(file, 'utf8');
+    await mcpClientRegistry.installServer('github', { command: 'npx', args: ['gh'], env: { A: '1' } }, targets);
+    mcpClientRegistry.removeServer('memory', targets);
+    const updated = fs.readFileSync(file, 'utf8');
+    mcpClientRegistry.removeServer('github', targets);
+
+    // Assert
+    expect(installed).toBe([
+      ...header,
+      ...memory,
+      '    "github": {',
+      '      "type": "stdio",',
+      '      "command": "npx",',
+      '      "args": [',
+      '        "-y",',
+      '        "gh"',
+      '      ]',
+      '    },',
+      ...footer,
+    ].join('\n'));
+    expect(updated).toBe([
+      ...header,
+      '    "github": {',
+      '      "type": "stdio",',
+      '      "command": "npx",',
+      '      "args": [',
+      '        "gh"',
+      '      ],',
+      '      "env": {',
+      '        "A": "1"',
+      '      }',
+      '    },',
+      ...footer,
+    ].join('\n'));
+    expect(fs.readFileSync(file, 'utf8')).toBe([...header, ...footer].join('\n'));
+    expect(mcpClientRegistry.readServers(targets[0])).toEqual({});
+  });
+
+  test('should keep string contents that look like comments or trailing commas', async () => {
+    // Arrange
+    const file = path.join(projectDir, '.mcp.json');
+    const targets = [{ clientId: 'claude-code', projectDir }];
+    const jsonc = '{"a": "b,}", "c": [1, /* d */ 2,], // e,}\n}';
+    fs.writeFileSync(file, '{"mcpServers": {"echo": {"command": "echo", "args": ["a,}", "// b", "/* c */"]}}, "x": 1}');
+
+    // Act
+    await mcpClientRegistry.installServer('github', { command: 'npx' }, targets);
+    const installed = fs.readFileSync(file, 'utf8');
+    mcpClientRegistry.removeServer('github', targets);
+    const stripped = mcpClientRegistry.stripJsonComments(jsonc);
+
+    // Assert
+    expect(installed).toBe('{"mcpServers": {"echo": {"command": "echo", "args": ["a,}", "// b", "/* c */"]},'
+      + '\n"github": {\n  "type": "stdio",\n  "command": "npx",\n  "args": []\n}}, "x": 1}');
+    expect(fs.readFileSync(file, 'utf8'))
+      .toBe('{"mcpServers": {"echo": {"command": "echo", "args": ["a,}", "// b", "/* c */"]}}, "x": 1}');
+    expect(stripped).toHaveLength(jsonc.length);
+    expect(JSON.parse(stripped)).toEqual({ a: 'b,}', c: [1, 2] });
+  });
+
+  test('should create missing files and leave unchanged files alone', async () => {
+    // Arrange
+    const file = path.join(projectDir, '.vscode', 'mcp.json');
+    const targets = [{ clientId: 'vscode', projectDir }];
+
+    // Act
+    await mcpClientRegistry.installServer('github', { command: 'npx' }, targets);
+    const created = fs.readFileSync(file, 'utf8');
+    fs.chmodSync(file, 0o644);
+    await mcpClientRegistry.installServer('github', { command: 'npx' }, targets);
+
+    // Assert
+    expect(JSON.parse(created)).toEqual({ servers: { github: { type: 'stdio', command: 'npx', args: [] } } });
+    expect(fs.statSync(file).mode % 0o1000).toBe(0o644);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Port Registry Tests
+ */
+
+import net from 'net';
+import configTemplateManager from '../ConfigTemplateManager.js';
+import configValidator from '../ConfigValidator.js';
+import httpsManager from '../HttpsManager.js';
+import portRegistry from '../PortRegistry.js';
+
+jest.mock('../logger.js', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+/**
+ * Listen on a free port chosen by the OS
+ * @returns {Promise<net.Server>} Listening server
+ */
+function listenOnFreePort() {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.listen({ port: 0, host: '127.0.0.1' }, () => resolve(server));
+  });
+}
+
+describe('PortRegistry', () => {
+  let occupied;
+  let base;
+
+  beforeEach(async () => {
+    window.require = require;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+    portRegistry.allocations.clear();
+    portRegistry.probeResults.clear();
+    occupied = await listenOnFreePort();
+    base = occupied.address().port;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    delete window.require;
+    delete window.dockerManager;
+    httpsManager.serverConfigs = {};
+    await new Promise(resolve => occupied.close(resolve));
+  });
+
+  test('should treat ports of servers, HTTPS endpoints, containers and other processes as taken', async () => {
+    // Arrange
+    localStorage.setItem('claudeServerConfigs', JSON.stringify([
+      { id: 'mcp-notes', name: 'notes', config: { port: base + 1 } },
+    ]));
+    httpsManager.serverConfigs = { 'mcp-weather': { port: base + 2, httpsPort: base + 3, useHttps: true } };
+    window.dockerManager = {
+      getAllContainers: () => [{ id: 'c1', name: 'mcp-github', ports: [`127.0.0.1:${base + 4}:8080`] }],
+    };
+
+    // Act
+    const availability = await Promise.all([0, 1, 2, 3, 4].map(offset => portRegistry.isPortAvailable(base + offset)));
+    const ownPort = await portRegistry.isPortAvailable(base + 1, { owner: 'mcp-notes' });
+
+    // Assert
+    expect(availability).toEqual([false, false, false, false, false]);
+    expect(ownPort).toBe(true);
+    expect(portRegistry.getReservations().map(({ port, source }) => [port - base, source])).toEqual([
+      [1, 'server'], [2, 'server'], [3, 'https'], [4, 'docker'],
+    ]);
+    expect(portRegistry.getConflict(base)).toBe(`Port ${base} is in use by another process`);
+    expect(portRegistry.getConflict(base + 3)).toBe(`Port ${base + 3} is reserved by HTTPS for mcp-weather`);
+    expect(portRegistry.getConflict(base + 4)).toBe(`Port ${base + 4} is reserved by container mcp-github`);
+  });
+
+  test('should hand out a different free port to each concurrent install', async () => {
+    // Arrange
+    localStorage.setItem('claudeServerConfigs', JSON.stringify([
+      { id: 'mcp-notes', name: 'notes', config: { port: base + 1 } },
+    ]));
+    const range = { start: base, end: base + 4 };
+
+    // Act
+    const ports = await Promise.all(['a', 'b', 'c'].map(owner => portRegistry.allocatePort({ owner, ...range })));
+    const exhausted = portRegistry.allocatePort({ owner: 'd', ...range });
+    await expect(exhausted).rejects.toThrow(`Failed to allocate port for d: ports ${base}-${base + 4} are all in use`);
+    portRegistry.releaseOwner('b');
+    const reused = await portRegistry.allocatePort({ owner: 'd', ...range });
+    const kept = await portRegistry.allocatePort({ owner: 'mcp-notes', preferred: base + 1, ...range });
+
+    // Assert
+    expect(ports).toEqual([base + 2, base + 3, base + 4]);
+    expect(reused).toBe(base + 3);
+    expect(kept).toBe(base + 1);
+  });
+
+  test('should fail template validation for ports reserved by other servers', () => {
+    // Arrange
+    localStorage.setItem('claudeServerConfigs', JSON.stringify([
+      { id: 'mcp-notes', name: 'notes', config: { port: base + 1 } },
+    ]));
+    configTemplateManager.createTemplate({
+      id: 'port-check',
+      name: 'Port check',
+      serverType: 'custom',
+      configSchema: {
+        type: 'object',
+        properties: { port: { type: 'integer' } },
+        customValidators: [{ name: 'portAvailable', path: 'port' }, { name: 'uniquePort', path: 'port' }],
+      },
+    });
+    const notes = { _id: 'mcp-notes', _template: 'port-check', port: base + 1 };
+    const weather = { _id: 'mcp-weather', _template: 'port-check', port: base + 1 };
+    const fetch = { _id: 'mcp-fetch', _template: 'port-check', port: base + 2 };
+    const configs = [notes, fetch];
+    const validate = config => configValidator.validateConfigAgainstTemplate(config, 'port-check', { configs });
+
+    // Act
+    const notesResult = validate(notes);
+    const weatherResult = validate(weather);
+    const fetchResult = validate(fetch);
+    const clashResult = validate({ ...fetch, _id: 'mcp-fetch-2' });
+
+    // Assert
+    expect(notesResult).toMatchObject({ valid: true, errors: [] });
+    expect(weatherResult.errors).toEqual([
+      `Port ${base + 1} is reserved by notes`,
+      `Port ${base + 1} is already in use by another server`,
+    ]);
+    expect(fetchResult).toMatchObject({ valid: true, errors: [] });
+    expect(clashResult.errors).toEqual([`Port ${base + 2} is already in use by another server`]);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Resource Sampler Tests
+ */
+
+import commandRunner from '../CommandRunner.js';
+import performanceMonitor from '../PerformanceMonitor.js';
+import resourceMonitor from '../ResourceMonitor.js';
+import resourceSampler from '../ResourceSampler.js';
+
+jest.mock('../logger.js', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+/**
+ * Build /proc/<pid>/stat with the given CPU times
+ * @param {number} utime - User time in jiffies
+ * @param {number} stime - System time in jiffies
+ * @returns {string} File content
+ */
+function procStat(utime, stime) {
+  // The command name contains a space and a parenthesis, like real node processes can
+  return `4242 (node (mcp) x) S 1 4242 4242 0 -1 4194560 1200 0 0 0 ${utime} ${stime} 0 0 20 0 11 0 900 0 0\n`;
+}
+
+/**
+ * Build the aggregate line of /proc/stat
+ * @param {number} total - Total jiffies, spread over user and idle
+ * @returns {string} File content
+ */
+function systemStat(total) {
+  return `cpu  ${total / 2} 0 0 ${total / 2} 0 0 0 0 7 0\ncpu0 1 0 0 1 0 0 0 0 0 0\n`;
+}
+
+describe('ResourceSampler', () => {
+  const replayBackend = commandRunner.getBackend('replay');
+  let files;
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    files = {
+      '/proc/4242/status': 'Name:\tnode\nVmPeak:\t  900000 kB\nVmRSS:\t  262144 kB\n',
+      '/proc/meminfo': 'MemTotal:       1048576 kB\nMemFree:         524288 kB\n',
+      '/proc/4242/io': 'rchar: 1\nread_bytes: 1048576\nwrite_bytes: 0\n',
+    };
+    window.electronAPI = {
+      readFile: jest.fn(async filePath => {
+        if (!(filePath in files)) {
+          throw new Error(`ENOENT: ${filePath}`);
+        }
+        return files[filePath];
+      }),
+      listDirectory: jest.fn(async () => ['0', '1', '2', '19']),
+    };
+    resourceSampler.reset('notes');
+    resourceSampler.reset('github');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    commandRunner.setBackend(null);
+    delete window.electronAPI;
+  });
+
+  test('should turn /proc counters into CPU, memory and disk usage', async () => {
+    // Arrange
+    files['/proc/4242/stat'] = procStat(100, 50);
+    files['/proc/stat'] = systemStat(10000);
+
+    // Act
+    const first = await resourceSampler.sample('notes', { pid: 4242 });
+    now += 2000;
+    files['/proc/4242/stat'] = procStat(300, 100);
+    files['/proc/stat'] = systemStat(11000);
+    files['/proc/4242/io'] = 'read_bytes: 42991616\nwrite_bytes: 10485760\n';
+    const second = await resourceSampler.sample('notes', { pid: 4242 });
+
+    // Assert
+    expect(first).toMatchObject({ cpu: 0, memory: 25, disk: 0, network: 0 });
+    expect(first.details).toMatchObject({ source: 'process', pid: 4242, rssBytes: 268435456, openFds: 4 });
+    expect(second.cpu).toBe(25);
+    expect(second.details).toMatchObject({ ioReadRate: 20971520, ioWriteRate: 5242880 });
+    expect(second.disk).toBe(50);
+  });
+
+  test('should keep sampling when /proc/<pid>/io and fd are not readable', async () => {
+    // Arrange
+    files['/proc/4242/stat'] = procStat(100, 50);
+    files['/proc/stat'] = systemStat(10000);
+    delete files['/proc/4242/io'];
+    window.electronAPI.listDirectory.mockRejectedValue(new Error('EACCES'));
+
+    // Act
+    const resources = await resourceSampler.sample('notes', { pid: 4242 });
+
+    // Assert
+    expect(resources.details).toMatchObject({ openFds: null, ioReadBytes: null, ioReadRate: 0 });
+    expect(() => resourceSampler.parseTotalJiffies('intr 1 2 3\n')).toThrow('Unexpected /proc/stat format');
+  });
+
+  test('should parse docker stats output and compute throughput', async () => {
+    // Arrange
+    const args = ['stats', '--no-stream', '--format', 'json', 'github'];
+    const stats = (netIO, blockIO) => JSON.stringify({
+      ID: 'abc123',
+      CPUPerc: '12.345%',
+      MemPerc: '3.50%',
+      MemUsage: '64MiB / 1.5GiB',
+      NetIO: netIO,
+      BlockIO: blockIO,
+      PIDs: '7',
+    });
+    replayBackend.loadRecordings([
+      { executable: 'docker', args, stdout: `${stats('1kB / 2kB', '0B / 0B')}\n`, stderr: '', exitCode: 0 },
+      { executable: 'docker', args, stdout: `${stats('10.001MB / 2kB', '25MiB / 0B')}\n`, stderr: '', exitCode: 0 },
+    ]);
+    commandRunner.setBackend('replay');
+
+    // Act
+    const first = await resourceSampler.sample('github', { containerId: 'github' });
+    now += 1000;
+    const second = await resourceSampler.sample('github', { containerId: 'github' });
+
+    // Assert
+    expect(replayBackend.isExhausted()).toBe(true);
+    expect(first).toMatchObject({ cpu: 12.3, memory: 3.5, disk: 0, network: 0 });
+    expect(first.details).toMatchObject({
+      source: 'docker',
+      containerId: 'abc123',
+      rssBytes: 67108864,
+      memLimitBytes: 1610612736,
+      pids: 7,
+      netRxBytes: 1000,
+      netTxBytes: 2000,
+    });
+    expect(second.details).toMatchObject({ netRxRate: 10000000, netTxRate: 0, ioReadRate: 26214400 });
+    expect(second.network).toBe(95.4);
+    expect(second.disk).toBe(50);
+    expect(resourceSampler.parseByteSize('1.5 GB')).toBe(1500000000);
+    expect(resourceSampler.parseByteSize('n/a')).toBe(0);
+    expect(() => resourceSampler.parseDockerStats('  \n')).toThrow('docker stats returned no data');
+  });
+});
+
+describe('ResourceMonitor', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    resourceMonitor.stopMonitoring('fetch');
+    resourceMonitor.clearResourceHistory('fetch');
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should record samples and keep the last one when sampling fails', async () => {
+    // Arrange
+    const sample = { cpu: 5, memory: 10, disk: 0, network: 1, details: { source: 'docker' } };
+    const spy = jest.spyOn(resourceSampler, 'sample')
+      .mockResolvedValueOnce(sample)
+      .mockRejectedValueOnce(new Error('Error response from daemon: No such container: fetch'));
+    resourceMonitor.startMonitoring('fetch', { type: 'docker', interval: 1000 });
+
+    // Act
+    await jest.advanceTimersByTimeAsync(1000);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    // Assert
+    expect(spy).toHaveBeenCalledWith('fetch', { containerId: 'fetch', demo: false }, expect.any(Object));
+    expect(resourceMonitor.getResources('fetch')).toEqual(sample);
+    expect(resourceMonitor.getResourceHistory('fetch')).toHaveLength(1);
+    expect(resourceMonitor.getMonitoredServers().fetch.error)
+      .toBe('Error response from daemon: No such container: fetch');
+  });
+
+  test('should not sample servers without a process or container', async () => {
+    // Arrange
+    const spy = jest.spyOn(resourceSampler, 'sample');
+    resourceMonitor.startMonitoring('fetch', { type: 'npx', interval: 1000 });
+
+    // Act
+    await jest.advanceTimersByTimeAsync(1000);
+
+    // Assert
+    expect(spy).not.toHaveBeenCalled();
+    expect(resourceMonitor.getMonitoredServers().fetch.error).toBe('No process ID or container configured');
+  });
+
+  test('should escape sampling errors in the performance panel', async () => {
+    // Arrange
+    const error = new Error('Unexpected token < in "<img src=x onerror=alert(1)>"');
+    jest.spyOn(resourceSampler, 'sample').mockRejectedValue(error);
+    resourceMonitor.startMonitoring('fetch', { type: 'docker', interval: 1000 });
+
+    // Act
+    await jest.advanceTimersByTimeAsync(1000);
+    const html = performanceMonitor.renderSampleDetails('fetch');
+
+    // Assert
+    expect(html).toBe('<div class="sample-details text-danger">Sampling failed: Unexpected token &lt; in '
+      + '&quot;&lt;img src=x onerror=alert(1)&gt;&quot;</div>');
+  });
+});
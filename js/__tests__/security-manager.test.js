@@ -0,0 +1,170 @@
+/**
+ * Security Manager Tests
+ */
+
+import crypto from 'crypto';
+import { TextDecoder, TextEncoder } from 'util';
+import securityManager from '../SecurityManager.js';
+
+/**
+ * Copy ArrayBuffers from the jsdom realm, which Node's Web Crypto does not recognize
+ * @param {*} value - Argument passed to SubtleCrypto
+ * @returns {*} Argument Node's Web Crypto accepts
+ */
+function toNodeCryptoArgument(value) {
+  if (Object.prototype.toString.call(value) === '[object ArrayBuffer]') {
+    return Buffer.from(value);
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toNodeCryptoArgument(item)]));
+  }
+  return value;
+}
+
+const subtle = new Proxy(crypto.webcrypto.subtle, {
+  get: (target, name) => (...args) => target[name](...args.map(toNodeCryptoArgument)),
+});
+
+describe('SecurityManager', () => {
+  let originalCrypto;
+
+  beforeAll(() => {
+    originalCrypto = window.crypto;
+    Object.defineProperty(window, 'crypto', {
+      value: { subtle, getRandomValues: array => crypto.webcrypto.getRandomValues(array) },
+      configurable: true,
+    });
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+  });
+
+  afterAll(() => {
+    Object.defineProperty(window, 'crypto', { value: originalCrypto, configurable: true });
+    delete window.TextEncoder;
+    delete window.TextDecoder;
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.clear();
+    sessionStorage.clear();
+    securityManager.lock();
+    securityManager.vault = null;
+    securityManager.credentials = {};
+    await securityManager.initializeSecureStorage();
+
+    // Full-strength PBKDF2 makes every unlock take about a second
+    const createKdfParams = securityManager.createKdfParams.bind(securityManager);
+    jest.spyOn(securityManager, 'createKdfParams')
+      .mockImplementation(() => ({ ...createKdfParams(), iterations: 1000 }));
+  });
+
+  afterEach(() => {
+    securityManager.lock();
+    jest.restoreAllMocks();
+  });
+
+  test('should derive the same key only from the same password and salt', async () => {
+    // Arrange
+    const kdf = securityManager.createKdfParams();
+    const otherSalt = securityManager.createKdfParams();
+
+    // Act
+    const key = await securityManager.deriveKey('correct horse', kdf);
+    const encrypted = await securityManager.encryptData({ token: 'ghp_secret' }, key);
+    const sameKey = await securityManager.deriveKey('correct horse', kdf);
+    const wrongPassword = await securityManager.deriveKey('wrong horse', kdf);
+    const wrongSalt = await securityManager.deriveKey('correct horse', otherSalt);
+
+    // Assert
+    securityManager.createKdfParams.mockRestore();
+    const defaults = securityManager.createKdfParams();
+    expect(defaults).toMatchObject({ name: 'PBKDF2', hash: 'SHA-256', iterations: 600000 });
+    expect(new Uint8Array(securityManager.base64ToArrayBuffer(defaults.salt))).toHaveLength(16);
+    expect(kdf.salt).not.toBe(otherSalt.salt);
+    expect(await securityManager.decryptData(encrypted, sameKey)).toEqual({ token: 'ghp_secret' });
+    expect(await securityManager.decryptData(encrypted, wrongPassword)).toBeNull();
+    expect(await securityManager.decryptData(encrypted, wrongSalt)).toBeNull();
+    await expect(securityManager.deriveKey('x', { ...kdf, name: 'scrypt' }))
+      .rejects.toThrow('Unsupported key derivation function: scrypt');
+  });
+
+  test('should round-trip data with a fresh IV for every encryption', async () => {
+    // Arrange
+    const data = { env: { API_KEY: 'sk-ünïcödé' }, list: [1, 2, 3] };
+
+    // Act
+    const first = await securityManager.encryptData(data);
+    const second = await securityManager.encryptData(data);
+
+    // Assert
+    expect(first).not.toBe(second);
+    expect(await securityManager.decryptData(first)).toEqual(data);
+    expect(await securityManager.decryptData(second)).toEqual(data);
+  });
+
+  test('should reject a wrong master password even when no credentials are stored', async () => {
+    // Arrange
+    expect(await securityManager.enableVault('correct horse battery', { autoLockMinutes: 0 })).toBe(true);
+    localStorage.removeItem('mcp_credentials');
+    securityManager.lock();
+
+    // Act
+    const wrong = await securityManager.unlock('wrong password');
+    const lockedAfterWrong = securityManager.isLocked();
+    const right = await securityManager.unlock('correct horse battery');
+
+    // Assert
+    expect(JSON.parse(localStorage.getItem('mcp_credential_vault')).verifier).toEqual(expect.any(String));
+    expect(wrong).toBe(false);
+    expect(lockedAfterWrong).toBe(true);
+    expect(right).toBe(true);
+    expect(securityManager.isLocked()).toBe(false);
+  });
+
+  test('should keep credentials behind the master password across lock, unlock and password changes', async () => {
+    // Arrange
+    const storedWithoutVault = await securityManager.storeSecret('github-token', 'ghp_secret');
+    await securityManager.storeCredentials('github', { token: 'ghp_secret' });
+    await securityManager.enableVault('correct horse battery', { autoLockMinutes: 0 });
+    await securityManager.storeSecret('github-token', 'ghp_secret');
+
+    // Act
+    securityManager.lock();
+    const whileLocked = await securityManager.getSecret('github-token');
+    const changed = await securityManager.changeMasterPassword('correct horse battery', 'new password 123');
+    securityManager.lock();
+    const oldPassword = await securityManager.unlock('correct horse battery');
+    const newPassword = await securityManager.unlock('new password 123');
+
+    // Assert
+    expect(storedWithoutVault).toBe(false);
+    expect(sessionStorage.getItem('mcp_encryption_key')).toBeNull();
+    expect(whileLocked).toBeNull();
+    expect(changed).toBe(true);
+    expect(oldPassword).toBe(false);
+    expect(newPassword).toBe(true);
+    expect(await securityManager.getSecret('github-token')).toBe('ghp_secret');
+    expect(await securityManager.getCredentials('github')).toMatchObject({ token: 'ghp_secret' });
+    expect(await securityManager.enableVault('another password')).toBe(false);
+  });
+
+  test('should check vaults created without a verifier against the stored credentials', async () => {
+    // Arrange
+    await securityManager.enableVault('correct horse battery', { autoLockMinutes: 0 });
+    delete securityManager.vault.verifier;
+    securityManager.saveVaultSettings();
+    securityManager.lock();
+
+    // Act
+    const wrong = await securityManager.unlock('wrong password');
+    const right = await securityManager.unlock('correct horse battery');
+
+    // Assert
+    expect(wrong).toBe(false);
+    expect(right).toBe(true);
+    expect(securityManager.vault.verifier).toEqual(expect.any(String));
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Server Inventory Tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import commandRunner from '../CommandRunner.js';
+import permissionManager from '../PermissionManager.js';
+import serverInventory from '../ServerInventory.js';
+import '../server-inventory.js';
+
+require('../backup-core.js');
+
+describe('ServerInventory', () => {
+  const replayBackend = commandRunner.getBackend('replay');
+  let homeDir;
+
+  const writeJson = (filePath, data) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data));
+  };
+
+  const recordRuntime = (processes, containers) => {
+    replayBackend.loadRecordings([
+      { executable: 'ps', args: ['-axo', 'pid=,args='], stdout: processes, stderr: '', exitCode: 0 },
+      {
+        executable: 'docker',
+        args: ['ps', '-a', '--no-trunc', '--format', '{{json .}}'],
+        stdout: containers.map(container => JSON.stringify(container)).join('\n'),
+        stderr: '',
+        exitCode: 0,
+      },
+    ]);
+    commandRunner.setBackend('replay');
+  };
+
+  beforeEach(() => {
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-inventory-'));
+    process.env.HOME = homeDir;
+    window.fs = fs;
+    window.path = path;
+    localStorage.clear();
+    serverInventory.inventory = {};
+  });
+
+  afterEach(() => {
+    commandRunner.setBackend(null);
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  test('should classify servers by how they are launched', () => {
+    // Act & Assert
+    expect(serverInventory.classifyServer({ command: 'npx', args: ['-y', '@modelcontextprotocol/server-github'] }))
+      .toEqual({ kind: 'npx', identifier: '@modelcontextprotocol/server-github' });
+    expect(serverInventory.classifyServer({ command: 'uvx', args: ['mcp-server-fetch'] }))
+      .toEqual({ kind: 'uvx', identifier: 'mcp-server-fetch' });
+    expect(serverInventory.classifyServer({ command: 'C:\\Program Files\\nodejs\\node.exe', args: ['C:\\mcp\\dist\\index.js'] }))
+      .toEqual({ kind: 'node', identifier: 'C:\\mcp\\dist\\index.js' });
+    expect(serverInventory.classifyServer({ command: 'uv', args: ['run', '--with', 'mcp', 'server.py'] }))
+      .toEqual({ kind: 'python', identifier: 'server.py' });
+    expect(serverInventory.classifyServer({ command: 'docker', args: ['run', '-i', '--rm', '-e', 'TOKEN', 'mcp/github'] }))
+      .toEqual({ kind: 'docker', identifier: 'mcp/github' });
+    expect(serverInventory.classifyServer({ url: 'https://example.com/mcp', args: [] }))
+      .toEqual({ kind: 'remote', identifier: 'https://example.com/mcp' });
+  });
+
+  test('should merge client configs with processes and containers', async () => {
+    // Arrange
+    writeJson(path.join(homeDir, '.config', 'Claude', 'claude_desktop_config.json'), {
+      mcpServers: {
+        github: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-github'], env: { GITHUB_TOKEN: 'x' } },
+        postgres: { command: 'docker', args: ['run', '-i', '--rm', 'mcp/postgres'], env: { TEMPLATE_ID: 'basic-api' } },
+      },
+    });
+    writeJson(path.join(homeDir, '.cursor', 'mcp.json'), {
+      mcpServers: {
+        github: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-github@1.2.0'] },
+        docs: { url: 'https://example.com/mcp' },
+      },
+    });
+    recordRuntime('  412 node /usr/bin/npx -y @modelcontextprotocol/server-github\n  500 bash\n', [
+      { ID: 'abc123abc123def', Names: 'eager_turing', Image: 'mcp/postgres', State: 'running', Status: 'Up 2 minutes', Ports: '', Labels: '' },
+      { ID: 'fff000fff000aaa', Names: 'weather', Image: 'node:20-slim', State: 'exited', Status: 'Exited (0)', Ports: '', Labels: 'mcp.server=weather,mcp.deployment=dep-1' },
+    ]);
+
+    // Act
+    const entries = await serverInventory.discover();
+    const byId = Object.fromEntries(entries.map(entry => [entry.id, entry]));
+
+    // Assert
+    expect(Object.keys(byId).sort()).toEqual(['docs', 'github', 'postgres', 'weather']);
+    expect(byId.github.clients.map(target => target.clientId)).toEqual(['claude-desktop', 'cursor']);
+    expect(byId.github.conflicting).toBe(true);
+    expect(byId.github.process.pid).toBe(412);
+    expect(byId.github.envNames).toEqual(['GITHUB_TOKEN']);
+    expect(byId.github.templateId).toBeNull();
+    expect(byId.postgres.templateId).toBe('basic-api');
+    expect(byId.postgres.container.id).toBe('abc123abc123');
+    expect(byId.postgres.status).toBe('running');
+    expect(byId.docs.status).toBe('remote');
+    expect(byId.weather.clients).toEqual([]);
+    expect(byId.weather.status).toBe('stopped');
+    expect(serverInventory.getMonitoringOptions('github')).toMatchObject({ type: 'npx', pid: 412 });
+  });
+
+  test('should keep IDs stable across discoveries', async () => {
+    // Arrange
+    const configPath = path.join(homeDir, '.config', 'Claude', 'claude_desktop_config.json');
+    writeJson(configPath, { mcpServers: { 'My Server': { command: 'uvx', args: ['mcp-server-time'] } } });
+    recordRuntime('', []);
+    const [first] = await serverInventory.discover();
+
+    writeJson(configPath, {
+      mcpServers: {
+        'my-server': { command: 'uvx', args: ['mcp-server-fetch'] },
+        'My Server': { command: 'uvx', args: ['mcp-server-time'] },
+      },
+    });
+    recordRuntime('', []);
+
+    // Act
+    const entries = await serverInventory.discover();
+
+    // Assert
+    expect(first.id).toBe('my-server');
+    expect(entries.find(entry => entry.name === 'My Server').id).toBe('my-server');
+    expect(entries.find(entry => entry.name === 'my-server').id).toBe('my-server-2');
+  });
+
+  test('should move permissions and find backups kept under older server names', async () => {
+    // Arrange
+    writeJson(path.join(homeDir, '.config', 'Claude', 'claude_desktop_config.json'), {
+      mcpServers: { 'My Server': { command: 'uvx', args: ['mcp-server-time'] } },
+    });
+    recordRuntime('', [
+      {
+        ID: 'abc123abc123def', Names: 'eager_turing', Image: 'mcp/postgres', State: 'running', Status: 'Up',
+        Ports: '', Labels: '',
+      },
+    ]);
+    permissionManager.setUserRole('bob', 'operator');
+    permissionManager.serverPermissions = {
+      'My Server': { userGranted: { bob: ['server:delete'] } },
+      'my-server': { userGranted: { bob: ['server:config:edit'] } },
+      abc123abc123def: { roleDenied: { operator: ['server:stop'] } },
+      unknown: { roleGranted: { viewer: ['server:start'] } },
+    };
+    const backups = [
+      { id: 'b1', serverId: 'abc123abc123def' },
+      { id: 'b2', serverId: 'eager_turing' },
+      { id: 'b3', serverId: 'My Server' },
+    ];
+
+    // Act
+    await serverInventory.discover();
+
+    // Assert
+    expect(permissionManager.serverPermissions).toEqual({
+      'my-server': { userGranted: { bob: ['server:config:edit', 'server:delete'] } },
+      eager_turing: { roleDenied: { operator: ['server:stop'] } },
+      unknown: { roleGranted: { viewer: ['server:start'] } },
+    });
+    expect(permissionManager.hasPermission('bob', 'server:delete', 'My Server')).toBe(true);
+    expect(permissionManager.hasPermission('bob', 'server:stop', 'abc123abc123')).toBe(false);
+    expect(serverInventory.resolveServerId('abc123abc123def456')).toBe('eager_turing');
+    expect(serverInventory.resolveServerId('unknown')).toBe('unknown');
+    const backupIds = serverId => window.BackupCore.getBackupsForServer(backups, serverId).map(backup => backup.id);
+    expect(backupIds('eager_turing')).toEqual(['b1', 'b2']);
+    expect(backupIds('my-server')).toEqual(['b3']);
+  });
+});
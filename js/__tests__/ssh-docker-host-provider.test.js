@@ -0,0 +1,91 @@
+/**
+ * SSH/Docker Host Provider Tests
+ */
+
+import commandRunner from '../CommandRunner.js';
+import SshDockerHostProvider from '../cloud-providers/SshDockerHostProvider.js';
+
+jest.mock('../logger.js', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('SshDockerHostProvider', () => {
+  const provider = new SshDockerHostProvider();
+  const deployment = {
+    id: 'dep-1',
+    name: 'mcp-github',
+    serverId: 'github',
+    options: {},
+  };
+  const serverConfig = {
+    command: 'npx',
+    args: ['@modelcontextprotocol/server-github'],
+    env: { GITHUB_TOKEN: 'ghp_secret', LOG_LEVEL: 'debug' },
+  };
+  let run;
+
+  beforeEach(() => {
+    run = jest.spyOn(commandRunner, 'run').mockResolvedValue({ stdout: '0123456789abcdef\n', stderr: '', exitCode: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should only accept "local" or [user@]hostname as host', () => {
+    // Arrange
+    const hosts = ['local', 'deploy@mcp.example.com', '10.0.0.5', 'fe80::1', '-oProxyCommand=calc', 'me@-x', 'a b'];
+
+    // Act
+    const results = hosts.map(host => provider.validateConfig({ host }).valid);
+
+    // Assert
+    expect(results).toEqual([true, true, true, true, false, false, false]);
+  });
+
+  test('should end the ssh options before the host and send env values on stdin', async () => {
+    // Arrange
+    const config = { host: 'deploy@mcp.example.com', port: 2222 };
+
+    // Act
+    const resource = await provider.provision(deployment, serverConfig, config);
+
+    // Assert
+    const [executable, args, options] = run.mock.calls[0];
+    expect(executable).toBe('ssh');
+    expect(args.slice(0, 8)).toEqual([
+      '-o', 'BatchMode=yes', '-o', 'ConnectTimeout=15', '-p', '2222', '--', 'deploy@mcp.example.com',
+    ]);
+    expect(args[8]).toContain('--env-file /dev/stdin node:20-slim npx -y @modelcontextprotocol/server-github');
+    expect(args[8]).not.toContain('ghp_secret');
+    expect(options.input).toBe('GITHUB_TOKEN=ghp_secret\nLOG_LEVEL=debug\n');
+    expect(resource).toEqual({ resourceId: '0123456789ab', status: 'pending', ipAddress: 'mcp.example.com' });
+  });
+
+  test('should pass env values to the local daemon through the docker client environment', async () => {
+    // Act
+    await provider.provision(deployment, serverConfig, { host: 'local' });
+
+    // Assert
+    const [executable, args, options] = run.mock.calls[0];
+    expect(executable).toBe('docker');
+    expect(args).toEqual(expect.arrayContaining(['-e', 'GITHUB_TOKEN', '-e', 'LOG_LEVEL']));
+    expect(args.join(' ')).not.toContain('ghp_secret');
+    expect(options.env).toEqual({ GITHUB_TOKEN: 'ghp_secret', LOG_LEVEL: 'debug' });
+  });
+
+  test('should refuse hosts that ssh would read as options and multi-line remote values', async () => {
+    // Arrange
+    const multiLine = { ...serverConfig, env: { KEY: '-----BEGIN KEY-----\nabc' } };
+
+    // Act & Assert
+    await expect(provider.getLogs(deployment, { host: '-oProxyCommand=calc' }))
+      .rejects.toThrow('Invalid SSH host "-oProxyCommand=calc"');
+    await expect(provider.provision(deployment, multiLine, { host: 'mcp.example.com' }))
+      .rejects.toThrow('Failed to pass KEY to the remote host: values cannot contain line breaks');
+    expect(run).not.toHaveBeenCalled();
+  });
+});
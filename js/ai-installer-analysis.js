@@ -1,40 +1,74 @@
 /**
  * AI Installer Analysis - Repository analysis functionality
- * Handles analyzing repositories for AI-assisted installation
+ * Handles analyzing repositories for AI-assisted installation by inspecting
+ * the files of a local checkout
  */
 
+// Files the analysis looks for in the repository root
+const MANIFEST_FILES = {
+    packageJson: 'package.json',
+    tsconfig: 'tsconfig.json',
+    pyproject: 'pyproject.toml',
+    requirements: 'requirements.txt',
+    setupPy: 'setup.py',
+    uvLock: 'uv.lock',
+    dockerfile: 'Dockerfile',
+    smithery: 'smithery.yaml',
+    goMod: 'go.mod',
+    cargoToml: 'Cargo.toml'
+};
+
+const ENV_EXAMPLE_FILES = ['.env.example', '.env.sample', '.env.template'];
+const README_FILES = ['README.md', 'readme.md', 'Readme.md', 'README'];
+const CONFIG_FILES = ['config.json', 'config.example.json', 'config.yaml', 'config.yml'];
+
 /**
  * Analyze a repository to determine its structure and dependencies
  * @param {string} repoUrl - Repository URL
  * @param {Function} log - Logging function
+ * @param {Object} options - Analysis options
+ * @param {string} options.localPath - Existing checkout to inspect instead of cloning
  * @returns {Promise<Object>} Promise resolving to repository analysis
  */
-async function analyzeRepository(repoUrl, log) {
+async function analyzeRepository(repoUrl, log, options = {}) {
+    const repoInfo = extractRepoInfo(repoUrl);
+    let checkoutPath = options.localPath || null;
+    let clonedForAnalysis = false;
+
     try {
-        // Initial logging
-        log('Cloning repository for analysis...', 'info');
-        await simulateDelay(1500);
-        
-        // Extract repository information
-        const repoInfo = extractRepoInfo(repoUrl);
-        
-        // Log analysis progress
+        if (!hasFileAccess()) {
+            throw new Error('Repository analysis needs file system access, which is only available in the desktop app');
+        }
+
+        if (!checkoutPath) {
+            log('Cloning repository for analysis...', 'info');
+            checkoutPath = await cloneForAnalysis(repoUrl, repoInfo);
+            clonedForAnalysis = true;
+        }
+
         log(`Analyzing repository structure for ${repoInfo.owner}/${repoInfo.repo}...`, 'info');
-        await simulateDelay(2000);
-        
-        // Get repository details
-        const analysis = getRepositoryDetails(repoInfo);
-        
-        // Add repository URL to analysis
+
+        const files = await readRepositoryFiles(checkoutPath);
+        const analysis = buildAnalysis(files);
+
+        // Add repository information to analysis
         analysis.repoUrl = repoUrl;
         analysis.owner = repoInfo.owner;
         analysis.repo = repoInfo.repo;
-        
+
+        if (!analysis.usesMcpSdk) {
+            log('No MCP SDK dependency found - this may not be an MCP server', 'warning');
+        }
+
         log('Repository analysis completed', 'success');
         return analysis;
     } catch (error) {
         log(`Error analyzing repository: ${error.message}`, 'error');
         throw error;
+    } finally {
+        if (clonedForAnalysis) {
+            await removeCheckout(checkoutPath);
+        }
     }
 }
 
@@ -47,130 +81,316 @@ function extractRepoInfo(repoUrl) {
     const urlParts = repoUrl.replace(/^https?:\/\/github\.com\//, '').split('/');
     return {
         owner: urlParts[0],
-        repo: urlParts[1]
+        repo: (urlParts[1] || '').replace(/\.git$/, '')
     };
 }
 
 /**
- * Get repository details based on repository information
+ * Check whether the Electron file API is available
+ * @returns {boolean} True if files can be read
+ */
+function hasFileAccess() {
+    return typeof window.electronAPI !== 'undefined' &&
+        typeof window.electronAPI.readFile === 'function' &&
+        typeof window.electronAPI.listDirectory === 'function';
+}
+
+/**
+ * Shallow clone a repository into the temp directory
+ * @param {string} repoUrl - Repository URL
  * @param {Object} repoInfo - Repository information
- * @returns {Object} Repository details
+ * @returns {Promise<string>} Checkout path
  */
-function getRepositoryDetails(repoInfo) {
-    // Check if this is a known repository
-    const repoKey = `${repoInfo.owner}/${repoInfo.repo}`;
-    const knownRepo = getKnownRepositoryDetails(repoKey);
-    
-    if (knownRepo) {
-        return knownRepo;
+async function cloneForAnalysis(repoUrl, repoInfo) {
+    const tempDir = await window.electronAPI.getTempDir();
+    const checkoutPath = `${tempDir}/mcp-analysis-${repoInfo.owner}-${repoInfo.repo}-${Date.now()}`;
+
+    await window.CommandRunner.run('git', ['clone', '--depth=1', repoUrl, checkoutPath], {
+        timeout: 5 * 60 * 1000
+    });
+
+    return checkoutPath;
+}
+
+/**
+ * Remove a temporary checkout
+ * @param {string} checkoutPath - Checkout path
+ * @returns {Promise<void>}
+ */
+async function removeCheckout(checkoutPath) {
+    if (!checkoutPath || !window.electronAPI.deleteDirectory) {
+        return;
+    }
+
+    try {
+        await window.electronAPI.deleteDirectory(checkoutPath);
+    } catch (error) {
+        console.error(`Error removing analysis checkout ${checkoutPath}:`, error);
     }
-    
-    // If not a known repository, return generic analysis
-    return getGenericRepositoryDetails();
 }
 
 /**
- * Get known repository details
- * @param {string} repoKey - Repository key (owner/repo)
- * @returns {Object|null} Repository details or null if not found
+ * Read the files relevant to the analysis from a checkout
+ * @param {string} checkoutPath - Checkout path
+ * @returns {Promise<Object>} Root file names and the contents of the files that exist
  */
-function getKnownRepositoryDetails(repoKey) {
-    const knownRepos = {
-        'modelcontextprotocol/servers': {
-            language: 'JavaScript',
-            framework: 'Node.js',
-            hasDockerfile: true,
-            dependencies: [
-                { name: 'express', version: '^4.18.2' },
-                { name: 'cors', version: '^2.8.5' },
-                { name: 'dotenv', version: '^16.0.3' }
-            ],
-            installCommands: [
-                'npm install',
-                'npm run build'
-            ],
-            startCommand: 'npm start',
-            configFiles: ['config.json', '.env']
-        },
-        'davidteren/claude-server': {
-            language: 'JavaScript',
-            framework: 'Node.js',
-            hasDockerfile: true,
-            dependencies: [
-                { name: 'express', version: '^4.18.2' },
-                { name: 'anthropic', version: '^0.5.0' }
-            ],
-            installCommands: [
-                'npm install'
-            ],
-            startCommand: 'node server.js',
-            configFiles: ['config.json']
-        },
-        'GongRzhe/JSON-MCP-Server': {
-            language: 'JavaScript',
-            framework: 'Node.js',
-            hasDockerfile: false,
-            dependencies: [
-                { name: 'express', version: '^4.18.2' },
-                { name: 'body-parser', version: '^1.20.2' }
-            ],
-            installCommands: [
-                'npm install'
-            ],
-            startCommand: 'node index.js',
-            configFiles: ['config.json']
-        },
-        'browserbase/mcp-server-browserbase': {
-            language: 'JavaScript',
-            framework: 'Node.js',
-            hasDockerfile: true,
-            dependencies: [
-                { name: 'express', version: '^4.18.2' },
-                { name: 'puppeteer', version: '^19.7.2' }
-            ],
-            installCommands: [
-                'npm install'
-            ],
-            startCommand: 'node server.js',
-            configFiles: ['config.json']
+async function readRepositoryFiles(checkoutPath) {
+    const entries = await window.electronAPI.listDirectory(checkoutPath);
+    const rootFiles = entries.map(entry => (typeof entry === 'string' ? entry : entry.name));
+
+    const wanted = [
+        ...Object.values(MANIFEST_FILES),
+        ...ENV_EXAMPLE_FILES,
+        ...README_FILES,
+        ...CONFIG_FILES
+    ].filter(name => rootFiles.includes(name));
+
+    const contents = {};
+    await Promise.all(wanted.map(async name => {
+        try {
+            contents[name] = await window.electronAPI.readFile(`${checkoutPath}/${name}`);
+        } catch (error) {
+            console.error(`Error reading ${name}:`, error);
         }
+    }));
+
+    return { rootFiles, contents, checkoutPath };
+}
+
+/**
+ * Build the analysis object consumed by AiInstallationPlanner from repository files
+ * @param {Object} files - Result of readRepositoryFiles
+ * @returns {Object} Repository analysis
+ */
+function buildAnalysis(files) {
+    const manifests = window.AiInstallerManifests;
+    const { contents, rootFiles } = files;
+
+    const node = contents[MANIFEST_FILES.packageJson]
+        ? safeParse(() => manifests.parsePackageJson(contents[MANIFEST_FILES.packageJson]))
+        : null;
+    const python = parsePythonProject(contents);
+    const docker = contents[MANIFEST_FILES.dockerfile]
+        ? manifests.parseDockerfile(contents[MANIFEST_FILES.dockerfile])
+        : null;
+    const smithery = contents[MANIFEST_FILES.smithery]
+        ? safeParse(() => manifests.parseSmithery(contents[MANIFEST_FILES.smithery]))
+        : null;
+
+    const envFile = ENV_EXAMPLE_FILES.find(name => contents[name] !== undefined);
+    const envVars = envFile ? manifests.parseEnvExample(contents[envFile]) : [];
+
+    const readmeFile = README_FILES.find(name => contents[name] !== undefined);
+    const readme = readmeFile
+        ? manifests.extractReadmeInstallSnippets(contents[readmeFile])
+        : { commands: [], claudeConfig: null };
+
+    const analysis = {
+        ...describeProject(node, python, rootFiles),
+        hasDockerfile: !!docker,
+        docker,
+        smithery,
+        serverType: smithery ? smithery.transport : 'stdio',
+        envVars,
+        readmeInstallSnippets: readme.commands,
+        readmeClaudeConfig: readme.claudeConfig,
+        configFiles: [
+            ...CONFIG_FILES.filter(name => rootFiles.includes(name)),
+            ...(envFile ? ['.env'] : [])
+        ]
     };
-    
-    return knownRepos[repoKey] || null;
+
+    // Smithery config schemas describe required settings that are often missing from .env.example
+    if (smithery) {
+        smithery.configProperties.forEach(property => {
+            if (!analysis.envVars.some(envVar => envVar.name.toLowerCase() === property.name.toLowerCase())) {
+                analysis.envVars.push({
+                    name: property.name,
+                    example: '',
+                    description: property.description,
+                    required: smithery.requiredConfig.includes(property.name)
+                });
+            }
+        });
+    }
+
+    return analysis;
 }
 
 /**
- * Get generic repository details
- * @returns {Object} Generic repository details
+ * Parse pyproject.toml and requirements.txt if present
+ * @param {Object} contents - File contents by name
+ * @returns {Object|null} Python project information
  */
-function getGenericRepositoryDetails() {
+function parsePythonProject(contents) {
+    const manifests = window.AiInstallerManifests;
+    const hasPyproject = contents[MANIFEST_FILES.pyproject] !== undefined;
+    const hasRequirements = contents[MANIFEST_FILES.requirements] !== undefined;
+    const hasSetupPy = contents[MANIFEST_FILES.setupPy] !== undefined;
+
+    if (!hasPyproject && !hasRequirements && !hasSetupPy) {
+        return null;
+    }
+
+    const project = hasPyproject
+        ? safeParse(() => manifests.parsePyproject(contents[MANIFEST_FILES.pyproject]))
+        : null;
+    const requirements = hasRequirements
+        ? manifests.parseRequirements(contents[MANIFEST_FILES.requirements])
+        : [];
+
+    const dependencies = [...((project && project.dependencies) || [])];
+    requirements.forEach(dep => {
+        if (!dependencies.some(existing => existing.name === dep.name)) {
+            dependencies.push(dep);
+        }
+    });
+
+    return {
+        name: project ? project.name : null,
+        requiresPython: project ? project.requiresPython : null,
+        scripts: project ? project.scripts : {},
+        dependencies,
+        hasPyproject: !!project,
+        hasRequirements,
+        usesUv: contents[MANIFEST_FILES.uvLock] !== undefined,
+        usesMcpSdk: (project && project.usesMcpSdk) ||
+            requirements.some(dep => /^(mcp|fastmcp)$/i.test(dep.name))
+    };
+}
+
+/**
+ * Describe language, dependencies and commands of the project
+ * When a repository has both Node.js and Python manifests, the one that
+ * depends on an MCP SDK wins, falling back to Node.js
+ * @param {Object|null} node - Parsed package.json
+ * @param {Object|null} python - Parsed Python project
+ * @param {Array<string>} rootFiles - Files in the repository root
+ * @returns {Object} Language, framework, dependencies and commands
+ */
+function describeProject(node, python, rootFiles) {
+    const preferPython = python && (!node || (python.usesMcpSdk && !node.usesMcpSdk));
+
+    if (node && !preferPython) {
+        return describeNodeProject(node, rootFiles);
+    }
+
+    if (python) {
+        return describePythonProject(python, rootFiles);
+    }
+
+    let language = 'Unknown';
+    if (rootFiles.includes(MANIFEST_FILES.goMod)) {
+        language = 'Go';
+    } else if (rootFiles.includes(MANIFEST_FILES.cargoToml)) {
+        language = 'Rust';
+    }
+
+    return {
+        language,
+        framework: null,
+        packageName: null,
+        usesMcpSdk: false,
+        dependencies: [],
+        installCommands: [],
+        startCommand: null,
+        bin: {},
+        scripts: {},
+        engines: {}
+    };
+}
+
+/**
+ * Describe a Node.js project
+ * @param {Object} node - Parsed package.json
+ * @param {Array<string>} rootFiles - Files in the repository root
+ * @returns {Object} Project description
+ */
+function describeNodeProject(node, rootFiles) {
+    const installCommands = ['npm install'];
+    if (node.scripts.build) {
+        installCommands.push('npm run build');
+    }
+
+    const binEntries = Object.entries(node.bin);
+    let startCommand = 'node index.js';
+    if (node.scripts.start) {
+        startCommand = 'npm start';
+    } else if (binEntries.length > 0) {
+        startCommand = `node ${binEntries[0][1]}`;
+    } else if (node.main) {
+        startCommand = `node ${node.main}`;
+    }
+
     return {
-        language: 'JavaScript',
+        language: node.usesTypeScript || rootFiles.includes(MANIFEST_FILES.tsconfig) ? 'TypeScript' : 'JavaScript',
         framework: 'Node.js',
-        hasDockerfile: Math.random() > 0.5, // Randomly determine if it has a Dockerfile
-        dependencies: [
-            { name: 'express', version: '^4.18.2' }
-        ],
-        installCommands: [
-            'npm install'
-        ],
-        startCommand: 'node index.js',
-        configFiles: ['config.json']
+        packageName: node.name,
+        usesMcpSdk: node.usesMcpSdk,
+        dependencies: node.dependencies,
+        installCommands,
+        startCommand,
+        bin: node.bin,
+        scripts: node.scripts,
+        engines: node.engines
     };
 }
 
 /**
- * Simulate a delay for development/testing
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise<void>} Promise that resolves after the delay
+ * Describe a Python project
+ * @param {Object} python - Parsed Python project
+ * @param {Array<string>} rootFiles - Files in the repository root
+ * @returns {Object} Project description
  */
-function simulateDelay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function describePythonProject(python, rootFiles) {
+    let installCommands = ['pip install -r requirements.txt'];
+    if (python.usesUv) {
+        installCommands = ['uv sync'];
+    } else if (python.hasPyproject || rootFiles.includes(MANIFEST_FILES.setupPy)) {
+        installCommands = ['pip install .'];
+    }
+
+    const scriptNames = Object.keys(python.scripts);
+    let startCommand = null;
+    if (scriptNames.length > 0) {
+        startCommand = python.usesUv ? `uv run ${scriptNames[0]}` : scriptNames[0];
+    } else {
+        const entryFile = ['server.py', 'main.py', 'app.py'].find(name => rootFiles.includes(name));
+        startCommand = entryFile ? `python ${entryFile}` : null;
+    }
+
+    return {
+        language: 'Python',
+        framework: python.dependencies.some(dep => /^fastmcp$/i.test(dep.name)) ? 'FastMCP' : 'Python',
+        packageName: python.name,
+        usesMcpSdk: python.usesMcpSdk,
+        dependencies: python.dependencies,
+        installCommands,
+        startCommand,
+        bin: python.scripts,
+        scripts: {},
+        engines: python.requiresPython ? { python: python.requiresPython } : {}
+    };
+}
+
+/**
+ * Run a parser, returning null instead of throwing on malformed files
+ * @param {Function} parse - Parser call
+ * @returns {*} Parsed result or null
+ */
+function safeParse(parse) {
+    try {
+        return parse();
+    } catch (error) {
+        console.error('Error parsing repository manifest:', error);
+        return null;
+    }
 }
 
 // Export functions for use in other modules
 window.AiInstallerAnalysis = {
     analyzeRepository,
     extractRepoInfo,
-    getRepositoryDetails
+    readRepositoryFiles,
+    buildAnalysis
 };
@@ -3,6 +3,9 @@
  * Handles executing installation steps for AI-assisted installation
  */
 
+// Example env files a missing .env is created from
+const ENV_EXAMPLE_FILES = ['.env.example', '.env.sample', '.env.template'];
+
 /**
  * Execute an installation step
  * @param {Object} step - Installation step
@@ -30,7 +33,7 @@ async function executeInstallationStep(step, options, log) {
  * @param {Object} step - Installation step
  * @param {Object} options - Installation options
  * @param {Function} log - Logging function
- * @returns {Promise<void>} Promise that resolves when command is executed
+ * @returns {Promise<Object>} Promise that resolves with the command result
  */
 async function executeCommand(step, options, log) {
     // Validate command
@@ -38,47 +41,27 @@ async function executeCommand(step, options, log) {
         throw new Error('No command specified for this step');
     }
     
-    // Check if we're running in Electron with command execution access
-    if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-        return await executeWithElectron(step, options, log);
-    } else {
-        // Fallback to simulation for development/testing
-        return await simulateExecution(step, log);
+    if (window.CommandRunner.isDryRun()) {
+        log(`[Dry run] ${step.command}`, 'info');
     }
-}
-
-/**
- * Execute a command with Electron API
- * @param {Object} step - Installation step
- * @param {Object} options - Installation options
- * @param {Function} log - Logging function
- * @returns {Promise<void>} Promise that resolves when command is executed
- */
-async function executeWithElectron(step, options, log) {
-    // Parse the command
-    const { executable, args } = parseCommand(step.command);
     
-    // Execute the command
-    return await window.electronAPI.executeCommand(executable, args, {
-        cwd: step.cwd || options.installPath
-    });
-}
-
-/**
- * Simulate command execution
- * @param {Object} step - Installation step
- * @param {Function} log - Logging function
- * @returns {Promise<void>} Promise that resolves when simulation is complete
- */
-async function simulateExecution(step, log) {
-    log(`[Simulation] Executing command: ${step.command}`, 'info');
-    await simulateDelay(2000);
+    // Stream command output into the installer log
+    const logLines = type => chunk => {
+        chunk.split('\n').filter(line => line.trim()).forEach(line => log(line, type));
+    };
     
-    return Promise.resolve();
+    return window.CommandRunner.runCommand(step.command, {
+        cwd: step.cwd || options.installPath,
+        timeout: step.timeout,
+        signal: options.signal,
+        onStdout: logLines('info'),
+        onStderr: logLines('warning')
+    });
 }
 
 /**
  * Configure the server
+ * Missing config files are created from the example the repository ships with.
  * @param {Object} step - Configuration step
  * @param {Object} options - Installation options
  * @param {Function} log - Logging function
@@ -86,24 +69,50 @@ async function simulateExecution(step, log) {
  */
 async function configureServer(step, options, log) {
     try {
+        const fsApi = window.FileSystemAPI;
+        const dir = step.cwd || options.installPath;
         const configFiles = step.configFiles || [];
         
         for (const configFile of configFiles) {
             log(`Configuring ${configFile}...`, 'info');
             
-            // In a real implementation, we would read and modify the configuration file
-            await simulateDelay(1000);
+            const filePath = fsApi.path.join(dir, configFile);
+            if (await fsApi.existsAsync(filePath)) {
+                log(`${configFile} configured successfully`, 'success');
+                continue;
+            }
+            
+            const examples = configFile === '.env'
+                ? ENV_EXAMPLE_FILES
+                : [configFile.replace(/(\.[^.]+)$/, '.example$1')];
+            const example = await findExistingFile(dir, examples);
+            if (!example) {
+                throw new Error(`${configFile} not found in ${dir}`);
+            }
             
-            log(`${configFile} configured successfully`, 'success');
+            await fsApi.copyFile(fsApi.path.join(dir, example), filePath);
+            log(`Created ${configFile} from ${example}, fill in its settings before starting the server`, 'warning');
         }
-        
-        return Promise.resolve();
     } catch (error) {
         log(`Error configuring server: ${error.message}`, 'error');
         throw error;
     }
 }
 
+/**
+ * Find the first file of a list that exists in a directory
+ * @param {string} dir - Directory
+ * @param {Array<string>} names - File names
+ * @returns {Promise<string|null>} File name or null if none exists
+ */
+async function findExistingFile(dir, names) {
+    const exists = await Promise.all(
+        names.map(name => window.FileSystemAPI.existsAsync(window.FileSystemAPI.path.join(dir, name)))
+    );
+    const index = exists.indexOf(true);
+    return index === -1 ? null : names[index];
+}
+
 /**
  * Verify prerequisites for installation
  * @param {Object} installPlan - Installation plan
@@ -137,54 +146,70 @@ async function checkMethodPrerequisites(method, log) {
     if (method === 'docker') {
         // Check Docker
         log('Checking Docker availability...', 'info');
-        const dockerAvailable = await checkDockerAvailability(log);
+        const dockerAvailable = await checkDockerAvailability();
         
         if (!dockerAvailable) {
             throw new Error('Docker is not available. Please install Docker and ensure it is running.');
         }
         
         log('Docker is available', 'success');
-    } else if (method === 'npx' || method === 'uv') {
-        // Check Node.js
-        log('Checking Node.js availability...', 'info');
-        await simulateDelay(500);
-        
-        // In a real implementation, we would check the Node.js version
-        log('Node.js is available', 'success');
+    } else if (method === 'npx') {
+        await checkToolVersion('Node.js', 'node', ['--version'], log);
+    } else if (method === 'uv') {
+        await checkToolVersion('uv', 'uv', ['--version'], log);
     } else if (method === 'python') {
-        // Check Python
-        log('Checking Python availability...', 'info');
-        await simulateDelay(500);
-        
-        // In a real implementation, we would check the Python version
-        log('Python is available', 'success');
+        await checkToolVersion('Python', 'python', ['--version'], log);
     }
 }
 
+/**
+ * Check that a tool is installed by asking for its version
+ * @param {string} label - Tool name for log messages
+ * @param {string} executable - Executable to run
+ * @param {Array<string>} args - Version arguments
+ * @param {Function} log - Logging function
+ * @returns {Promise<string>} Promise that resolves with the reported version
+ */
+async function checkToolVersion(label, executable, args, log) {
+    log(`Checking ${label} availability...`, 'info');
+    
+    const result = await window.CommandRunner.run(executable, args, {
+        timeout: 15000,
+        rejectOnError: false
+    });
+    
+    if (result.exitCode !== 0) {
+        throw new Error(`${label} is not available. Please install it and make sure it is on the PATH.`);
+    }
+    
+    // Python 2 prints its version on stderr
+    const version = (result.stdout || result.stderr).trim();
+    log(`${label} is available${version ? ` (${version})` : ''}`, 'success');
+    
+    return version;
+}
+
 /**
  * Check Git availability
  * @param {Function} log - Logging function
  * @returns {Promise<void>} Promise that resolves when Git availability is verified
  */
 async function checkGitAvailability(log) {
-    log('Checking Git availability...', 'info');
-    await simulateDelay(500);
-    
-    // In a real implementation, we would check the Git version
-    log('Git is available', 'success');
+    await checkToolVersion('Git', 'git', ['--version'], log);
 }
 
 /**
  * Check Docker availability
- * @param {Function} log - Logging function
  * @returns {Promise<boolean>} Promise resolving to true if Docker is available
  */
-async function checkDockerAvailability(log) {
-    // In a real implementation, this would check if Docker is installed and running
-    await simulateDelay(1000);
+async function checkDockerAvailability() {
+    // `docker info` fails when the daemon is not running, unlike `docker --version`
+    const result = await window.CommandRunner.run('docker', ['info'], {
+        timeout: 15000,
+        rejectOnError: false
+    });
     
-    // For simulation, return true
-    return true;
+    return result.exitCode === 0;
 }
 
 /**
@@ -198,13 +223,16 @@ async function verifyInstallation(installPlan, options, log) {
     try {
         log('Verifying installation...', 'info');
         
+        if (window.CommandRunner.isDryRun()) {
+            log('Dry run: nothing was installed, skipping verification', 'warning');
+            return;
+        }
+        
         if (installPlan.recommendedMethod === 'docker') {
             await verifyDockerInstallation(installPlan, log);
         } else {
             await verifyNonDockerInstallation(installPlan, log);
         }
-        
-        return Promise.resolve();
     } catch (error) {
         log(`Verification failed: ${error.message}`, 'error');
         throw error;
@@ -218,13 +246,23 @@ async function verifyInstallation(installPlan, options, log) {
  * @returns {Promise<void>} Promise that resolves when verification is complete
  */
 async function verifyDockerInstallation(installPlan, log) {
-    // Verify Docker container
-    log('Verifying Docker container...', 'info');
+    // The planner names the container after the repository
+    const containerName = `mcp-${installPlan.repoAnalysis.repo}`;
+    log(`Verifying Docker container ${containerName}...`, 'info');
     
-    // In a real implementation, we would check if the container is running
-    await simulateDelay(1000);
+    const args = ['inspect', '--format', '{{.State.Status}}', containerName];
+    const result = await window.CommandRunner.run('docker', args, { timeout: 15000, rejectOnError: false });
     
-    log('Docker container is running', 'success');
+    if (result.exitCode !== 0) {
+        throw new Error(`Docker container ${containerName} was not found`);
+    }
+    
+    const status = result.stdout.trim();
+    if (status !== 'running') {
+        throw new Error(`Docker container ${containerName} is ${status || 'not running'}`);
+    }
+    
+    log(`Docker container ${containerName} is running`, 'success');
 }
 
 /**
@@ -234,11 +272,27 @@ async function verifyDockerInstallation(installPlan, log) {
  * @returns {Promise<void>} Promise that resolves when verification is complete
  */
 async function verifyNonDockerInstallation(installPlan, log) {
-    // Verify files and configuration
-    log('Verifying files and configuration...', 'info');
+    const fsApi = window.FileSystemAPI;
+    const { installPath, repoAnalysis } = installPlan;
+    log(`Verifying files and configuration in ${installPath}...`, 'info');
+    
+    const requiredFiles = [...(repoAnalysis.configFiles || [])];
+    if (repoAnalysis.language === 'JavaScript' || repoAnalysis.language === 'TypeScript') {
+        requiredFiles.push('package.json', 'node_modules');
+    }
+    
+    const exists = await Promise.all(
+        [installPath, ...requiredFiles.map(name => fsApi.path.join(installPath, name))]
+            .map(filePath => fsApi.existsAsync(filePath))
+    );
+    if (!exists[0]) {
+        throw new Error(`Installation directory ${installPath} does not exist`);
+    }
     
-    // In a real implementation, we would check if key files exist
-    await simulateDelay(1000);
+    const missing = requiredFiles.filter((name, index) => !exists[index + 1]);
+    if (missing.length > 0) {
+        throw new Error(`Missing in ${installPath}: ${missing.join(', ')}`);
+    }
     
     log('Files and configuration verified', 'success');
 }
@@ -249,21 +303,7 @@ async function verifyNonDockerInstallation(installPlan, log) {
  * @returns {Object} Object containing executable and arguments array
  */
 function parseCommand(command) {
-    // Simple parsing for demonstration
-    const parts = command.split(' ');
-    const executable = parts[0];
-    const args = parts.slice(1);
-    
-    return { executable, args };
-}
-
-/**
- * Simulate a delay for development/testing
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise<void>} Promise that resolves after the delay
- */
-function simulateDelay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return window.CommandRunner.parseCommand(command);
 }
 
 // Export functions for use in other modules
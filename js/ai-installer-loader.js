@@ -11,7 +11,17 @@ document.addEventListener('DOMContentLoaded', function() {
  * Load all AI installer modules in the correct order
  */
 function loadAiInstallerModules() {
+    // The manifest parsers read TOML and YAML with the configuration editor parsers,
+    // which pages without the editor do not load
+    const parserModules = [
+        ['config-formats.js', 'ConfigFormats'],
+        ['config-toml.js', 'ConfigToml'],
+        ['config-yaml.js', 'ConfigYaml']
+    ].filter(([, globalName]) => !window[globalName]).map(([file]) => file);
+
     const modulesToLoad = [
+        ...parserModules,
+        'ai-installer-manifests.js',
         'ai-installer-analysis.js',
         'ai-installer-planning.js',
         'ai-installer-execution.js',
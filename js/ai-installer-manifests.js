@@ -0,0 +1,368 @@
+/**
+ * AI Installer Manifests - Parsers for the files found in an MCP server repository
+ * Turns package.json, pyproject.toml, requirements.txt, Dockerfile, smithery.yaml,
+ * .env.example and README contents into plain objects used by the repository analysis.
+ * TOML and YAML are read with the configuration editor parsers (window.ConfigToml and
+ * window.ConfigYaml), which ai-installer-loader.js loads first when the page has not.
+ */
+
+/**
+ * Parse package.json
+ * @param {string} content - File content
+ * @returns {Object} Package information
+ */
+function parsePackageJson(content) {
+    const pkg = JSON.parse(content);
+    const dependencies = pkg.dependencies || {};
+    const devDependencies = pkg.devDependencies || {};
+
+    return {
+        name: pkg.name || null,
+        version: pkg.version || null,
+        main: pkg.main || null,
+        type: pkg.type || 'commonjs',
+        bin: normalizeBin(pkg.name, pkg.bin),
+        scripts: pkg.scripts || {},
+        engines: pkg.engines || {},
+        dependencies: Object.entries(dependencies).map(([name, version]) => ({ name, version })),
+        devDependencies: Object.entries(devDependencies).map(([name, version]) => ({ name, version })),
+        usesMcpSdk: '@modelcontextprotocol/sdk' in dependencies || '@modelcontextprotocol/sdk' in devDependencies,
+        usesTypeScript: 'typescript' in dependencies || 'typescript' in devDependencies
+    };
+}
+
+/**
+ * Normalize the package.json bin field to a name -> path map
+ * @param {string} packageName - Package name
+ * @param {string|Object} bin - bin field
+ * @returns {Object} Map of command names to script paths
+ * @private
+ */
+function normalizeBin(packageName, bin) {
+    if (!bin) {
+        return {};
+    }
+
+    if (typeof bin === 'string') {
+        // A string bin is installed under the unscoped package name
+        const commandName = (packageName || 'server').replace(/^@[^/]+\//, '');
+        return { [commandName]: bin };
+    }
+
+    return { ...bin };
+}
+
+/**
+ * Parse pyproject.toml
+ * Only the [project], [tool.poetry] and [build-system] tables are read,
+ * which is all the analysis needs
+ * @param {string} content - File content
+ * @returns {Object} Project information
+ * @throws {ConfigParseError} If the TOML is not valid
+ */
+function parsePyproject(content) {
+    const data = window.ConfigToml.parse(content);
+    const project = data.project || {};
+    const poetry = (data.tool || {}).poetry || {};
+    const poetryDependencies = poetry.dependencies || {};
+
+    const dependencies = Array.isArray(project.dependencies)
+        ? project.dependencies.map(parseRequirementSpec).filter(Boolean)
+        : Object.entries(poetryDependencies)
+            .filter(([name]) => name !== 'python')
+            .map(([name, version]) => ({ name, version: typeof version === 'string' ? version : '' }));
+
+    const pythonVersion = project['requires-python'] || poetryDependencies.python || null;
+
+    return {
+        name: project.name || poetry.name || null,
+        version: project.version || poetry.version || null,
+        requiresPython: typeof pythonVersion === 'string' ? pythonVersion : null,
+        dependencies,
+        scripts: { ...(poetry.scripts || {}), ...(project.scripts || {}) },
+        buildBackend: (data['build-system'] || {})['build-backend'] || null,
+        usesMcpSdk: dependencies.some(dep => isPythonMcpPackage(dep.name))
+    };
+}
+
+/**
+ * Parse requirements.txt
+ * @param {string} content - File content
+ * @returns {Array<Object>} Dependencies ({ name, version })
+ */
+function parseRequirements(content) {
+    return content
+        .split(/\r?\n/)
+        .map(line => line.replace(/\s+#.*$/, '').trim())
+        .filter(line => line && !line.startsWith('#') && !line.startsWith('-'))
+        .map(parseRequirementSpec)
+        .filter(Boolean);
+}
+
+/**
+ * Parse a PEP 508 requirement such as "mcp[cli]>=1.2.0; python_version >= '3.10'"
+ * @param {string} spec - Requirement
+ * @returns {Object|null} Dependency ({ name, version }) or null if unparseable
+ * @private
+ */
+function parseRequirementSpec(spec) {
+    const match = spec.split(';')[0].trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(\[[^\]]*\])?\s*(.*)$/);
+
+    if (!match) {
+        return null;
+    }
+
+    return { name: match[1], version: match[3].trim() };
+}
+
+/**
+ * Check whether a Python package is an MCP server SDK
+ * @param {string} name - Package name
+ * @returns {boolean} True for mcp / fastmcp
+ * @private
+ */
+function isPythonMcpPackage(name) {
+    const normalized = name.toLowerCase().replace(/_/g, '-');
+    return normalized === 'mcp' || normalized === 'fastmcp';
+}
+
+/**
+ * Parse a Dockerfile
+ * @param {string} content - File content
+ * @returns {Object} Dockerfile information ({ baseImage, exposedPorts, entrypoint, cmd, env })
+ */
+function parseDockerfile(content) {
+    const info = {
+        baseImage: null,
+        exposedPorts: [],
+        entrypoint: null,
+        cmd: null,
+        env: {}
+    };
+
+    // Join continuation lines so every instruction is on one line
+    const instructions = content
+        .replace(/\\\r?\n/g, ' ')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+
+    instructions.forEach(line => {
+        const [instruction, ...rest] = line.split(/\s+/);
+        const argument = rest.join(' ');
+
+        switch (instruction.toUpperCase()) {
+            case 'FROM':
+                // The last stage is the image that actually runs
+                info.baseImage = rest.filter(part => !part.startsWith('--'))[0] || null;
+                break;
+            case 'EXPOSE':
+                rest.forEach(port => {
+                    const number = parseInt(port, 10);
+                    if (!isNaN(number) && !info.exposedPorts.includes(number)) {
+                        info.exposedPorts.push(number);
+                    }
+                });
+                break;
+            case 'ENTRYPOINT':
+                info.entrypoint = parseDockerCommand(argument);
+                break;
+            case 'CMD':
+                info.cmd = parseDockerCommand(argument);
+                break;
+            case 'ENV':
+                Object.assign(info.env, parseDockerEnv(argument));
+                break;
+            default:
+                break;
+        }
+    });
+
+    return info;
+}
+
+/**
+ * Parse the exec or shell form of CMD/ENTRYPOINT
+ * @param {string} argument - Instruction argument
+ * @returns {string} Command line
+ * @private
+ */
+function parseDockerCommand(argument) {
+    if (argument.startsWith('[')) {
+        try {
+            return JSON.parse(argument).join(' ');
+        } catch (error) {
+            // Fall through to the shell form
+        }
+    }
+
+    return argument;
+}
+
+/**
+ * Parse an ENV instruction (both "KEY value" and "KEY=value ..." forms)
+ * @param {string} argument - Instruction argument
+ * @returns {Object} Environment variables
+ * @private
+ */
+function parseDockerEnv(argument) {
+    const env = {};
+
+    if (!argument.includes('=')) {
+        const [key, ...value] = argument.split(/\s+/);
+        env[key] = value.join(' ');
+        return env;
+    }
+
+    const pairs = argument.match(/[A-Za-z_][A-Za-z0-9_]*=("[^"]*"|'[^']*'|\S*)/g) || [];
+    pairs.forEach(pair => {
+        const index = pair.indexOf('=');
+        env[pair.slice(0, index)] = pair.slice(index + 1).replace(/^["']|["']$/g, '');
+    });
+
+    return env;
+}
+
+/**
+ * Parse smithery.yaml
+ * @param {string} content - File content
+ * @returns {Object} Smithery information ({ transport, requiredConfig, configProperties })
+ * @throws {ConfigParseError} If the YAML is not valid
+ */
+function parseSmithery(content) {
+    const data = window.ConfigYaml.parse(content) || {};
+    const startCommand = data.startCommand || {};
+    const configSchema = startCommand.configSchema || {};
+    const properties = configSchema.properties || {};
+
+    return {
+        transport: startCommand.type || 'stdio',
+        requiredConfig: Array.isArray(configSchema.required) ? configSchema.required : [],
+        configProperties: Object.entries(properties).map(([name, schema]) => ({
+            name,
+            type: (schema && schema.type) || 'string',
+            description: (schema && schema.description) || ''
+        }))
+    };
+}
+
+/**
+ * Parse .env.example
+ * Comment lines directly above a variable are used as its description
+ * @param {string} content - File content
+ * @returns {Array<Object>} Variables ({ name, example, description, required })
+ */
+function parseEnvExample(content) {
+    const variables = [];
+    let pendingComment = [];
+
+    content.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+
+        if (!line) {
+            pendingComment = [];
+            return;
+        }
+
+        if (line.startsWith('#')) {
+            pendingComment.push(line.replace(/^#+\s*/, ''));
+            return;
+        }
+
+        const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+        if (match) {
+            const example = match[2].replace(/\s+#.*$/, '').replace(/^["']|["']$/g, '');
+            const description = pendingComment.join(' ');
+
+            variables.push({
+                name: match[1],
+                example,
+                description,
+                // Variables documented as optional or shipped with a real default are not required
+                required: !/optional/i.test(description) && !isRealDefault(example)
+            });
+        }
+
+        pendingComment = [];
+    });
+
+    return variables;
+}
+
+/**
+ * Check whether an example value looks like a usable default rather than a placeholder
+ * @param {string} value - Example value
+ * @returns {boolean} True for real defaults
+ * @private
+ */
+function isRealDefault(value) {
+    if (!value) {
+        return false;
+    }
+
+    return !/^(your|<|xxx|changeme|replace|sk-|ghp_|\.\.\.)/i.test(value) && !/your[_-]|_here$/i.test(value);
+}
+
+/**
+ * Extract installation snippets from a README
+ * @param {string} content - README content
+ * @returns {Object} Snippets ({ commands, claudeConfig })
+ */
+function extractReadmeInstallSnippets(content) {
+    const commands = [];
+    let claudeConfig = null;
+    const installPattern = /^(?:\$\s*)?(npm (?:install|i|run build)|npx |pnpm |yarn |pip3? install|uv |uvx |pipx |docker (?:build|run|compose)|docker-compose |git clone)/;
+    const codeBlockPattern = /```([\w-]*)[^\n]*\n([\s\S]*?)```/g;
+
+    Array.from(content.matchAll(codeBlockPattern)).forEach(match => {
+        const language = match[1].toLowerCase();
+        const body = match[2];
+
+        if (language === 'json' || language === 'jsonc' || (!language && body.trim().startsWith('{'))) {
+            if (!claudeConfig && body.includes('mcpServers')) {
+                claudeConfig = parseJsonSnippet(body);
+            }
+            return;
+        }
+
+        body.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (installPattern.test(line)) {
+                const command = line.replace(/^\$\s*/, '');
+                if (!commands.includes(command)) {
+                    commands.push(command);
+                }
+            }
+        });
+    });
+
+    return { commands, claudeConfig };
+}
+
+/**
+ * Parse a JSON snippet from documentation, tolerating comments and trailing commas
+ * @param {string} snippet - JSON text
+ * @returns {Object|null} Parsed object or null
+ * @private
+ */
+function parseJsonSnippet(snippet) {
+    try {
+        const cleaned = snippet
+            .replace(/^\s*\/\/.*$/gm, '')
+            .replace(/,(\s*[}\]])/g, '$1');
+        return JSON.parse(cleaned);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Export functions for use in other modules
+window.AiInstallerManifests = {
+    parsePackageJson,
+    parsePyproject,
+    parseRequirements,
+    parseDockerfile,
+    parseSmithery,
+    parseEnvExample,
+    extractReadmeInstallSnippets
+};
@@ -109,12 +109,14 @@ function createDockerSteps(repoAnalysis, installPath) {
         cwd: null
     });
     
-    // Create container
+    // Create container, publishing the port the Dockerfile exposes
     const containerName = `mcp-${repoAnalysis.repo}`;
+    const exposedPorts = (repoAnalysis.docker && repoAnalysis.docker.exposedPorts) || [];
+    const port = exposedPorts.length > 0 ? exposedPorts[0] : 3000;
     steps.push({
         type: 'docker',
         description: 'Create and start Docker container',
-        command: `docker run -d --name ${containerName} -p 3000:3000 -v "${installPath}:/app/data" mcp-${repoAnalysis.repo}`,
+        command: `docker run -d --name ${containerName} -p ${port}:${port} -v "${installPath}:/app/data" mcp-${repoAnalysis.repo}`,
         cwd: null
     });
     
@@ -135,7 +137,7 @@ function createNonDockerSteps(repoAnalysis, recommendedMethod, installPath) {
     if (repoAnalysis.language === 'JavaScript' || repoAnalysis.language === 'TypeScript') {
         steps.push(createNodeDependencySteps(repoAnalysis, installPath));
     } else if (repoAnalysis.language === 'Python') {
-        steps.push(createPythonDependencySteps(installPath));
+        steps.push(createPythonDependencySteps(repoAnalysis, installPath));
     }
     
     // Add configuration step if needed
@@ -178,14 +180,17 @@ function createNodeDependencySteps(repoAnalysis, installPath) {
 
 /**
  * Create Python dependency installation steps
+ * @param {Object} repoAnalysis - Repository analysis
  * @param {string} installPath - Installation path
  * @returns {Object} Python dependency installation step
  */
-function createPythonDependencySteps(installPath) {
+function createPythonDependencySteps(repoAnalysis, installPath) {
+    const installCommands = repoAnalysis.installCommands || [];
+
     return {
         type: 'python',
         description: 'Install Python dependencies',
-        command: 'pip install -r requirements.txt',
+        command: installCommands[0] || 'pip install -r requirements.txt',
         cwd: installPath
     };
 }
@@ -0,0 +1,202 @@
+/**
+ * Backup Archive - Writes and reads checksummed tar.gz backup archives
+ * An archive starts with manifest.json, which lists the SHA-256 and size of every
+ * file that follows. A <archive>.sha256 file next to the archive covers the
+ * archive itself, so truncated or altered archives are caught before restore.
+ * Encrypted archives keep the name but wrap the tar.gz in an envelope (see BackupEncryption).
+ */
+
+const MANIFEST_NAME = 'manifest.json';
+const ARCHIVE_FORMAT = 'tar.gz';
+const ARCHIVE_FORMAT_VERSION = 1;
+
+/**
+ * Get a Node.js module through the Electron bridge
+ * @private
+ * @param {string} name - Module name
+ * @returns {Object} Module
+ */
+function _require(name) {
+    if (typeof window.require !== 'function') {
+        throw new Error('Backup archives can only be created in the desktop app');
+    }
+    return window.require(name);
+}
+
+/**
+ * Calculate the SHA-256 of a buffer
+ * @param {Buffer} buffer - Content
+ * @returns {string} Hex digest
+ */
+function sha256(buffer) {
+    return _require('crypto').createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Write a backup archive
+ * Item checksums and sizes are added to the manifest before it is written.
+ * Items with a source live in another backup's archive and are only listed.
+ * @param {string} archivePath - Archive file path
+ * @param {Object} manifest - Backup manifest (items are filled in)
+ * @param {Array<Object>} files - Files ({ path, content, mtime }) matching the stored manifest items
+ * @param {Object} [encryption] - Encryption ({ key, header }) from BackupEncryption.createEncryption
+ * @returns {Promise<Object>} Archive info ({ archivePath, archiveSize, archiveSha256 })
+ */
+async function writeArchive(archivePath, manifest, files, encryption = null) {
+    const { Buffer } = _require('buffer');
+    const gzip = _require('util').promisify(_require('zlib').gzip);
+
+    const contents = new Map(files.map(file => [file.path, file]));
+    for (const item of manifest.items.filter(entry => !entry.source)) {
+        const file = contents.get(item.path);
+        item.size = file.content.length;
+        item.sha256 = sha256(file.content);
+    }
+
+    const completeManifest = {
+        ...manifest,
+        format: ARCHIVE_FORMAT,
+        formatVersion: ARCHIVE_FORMAT_VERSION,
+        fileCount: manifest.items.length,
+        totalSize: manifest.items.reduce((total, item) => total + item.size, 0),
+        storedSize: manifest.items.reduce((total, item) => total + (item.source ? 0 : item.size), 0)
+    };
+
+    const tar = window.TarArchive.packTar([
+        { path: MANIFEST_NAME, content: Buffer.from(JSON.stringify(completeManifest, null, 2)) },
+        ...files
+    ]);
+    const compressed = await gzip(tar);
+    const archive = encryption ? window.BackupEncryption.encrypt(compressed, encryption) : compressed;
+    const archiveSha256 = sha256(archive);
+
+    await window.FileSystemAPI.writeBinaryFile(archivePath, archive);
+    await window.FileSystemAPI.writeFile(
+        `${archivePath}.sha256`,
+        `${archiveSha256}  ${window.FileSystemAPI.path.basename(archivePath)}\n`
+    );
+
+    return { archivePath, archiveSize: archive.length, archiveSha256, manifest: completeManifest };
+}
+
+/**
+ * Read a backup archive
+ * @param {string} archivePath - Archive file path
+ * @param {Object} [keyring] - BackupKeyring for encrypted archives (defaults to the vault key only)
+ * @returns {Promise<Object>} Archive contents ({ manifest, files, archiveSha256, encryption })
+ */
+async function readArchive(archivePath, keyring = null) {
+    const gunzip = _require('util').promisify(_require('zlib').gunzip);
+    const data = await window.FileSystemAPI.readBinaryFile(archivePath);
+
+    let archive = data;
+    let encryption = null;
+    if (window.BackupEncryption.isEncrypted(data)) {
+        ({ data: archive, encryption } = await window.BackupEncryption.decrypt(
+            data,
+            keyring || new window.BackupEncryption.BackupKeyring()
+        ));
+    }
+
+    let tar;
+    try {
+        tar = await gunzip(archive);
+    } catch (error) {
+        throw new Error(`Archive is not valid gzip data: ${error.message}`);
+    }
+
+    const files = window.TarArchive.unpackTar(tar);
+    const manifestContent = files.get(MANIFEST_NAME);
+
+    if (!manifestContent) {
+        throw new Error('Archive has no manifest');
+    }
+
+    files.delete(MANIFEST_NAME);
+    return { manifest: JSON.parse(manifestContent.toString('utf8')), files, archiveSha256: sha256(data), encryption };
+}
+
+/**
+ * Verify a backup archive against its checksum file and manifest
+ * Items stored in other archives are left to the caller. Without the key of an encrypted
+ * archive only its checksum is checked, and the manifest is null.
+ * @param {string} archivePath - Archive file path
+ * @param {string} [expectedSha256] - Archive checksum recorded when the backup was created
+ * @param {Object} [keyring] - BackupKeyring for encrypted archives
+ * @returns {Promise<Object>} Result ({ valid, errors, warnings, checkedFiles, totalSize, manifest })
+ */
+async function verifyArchive(archivePath, expectedSha256 = null, keyring = null) {
+    const result = { valid: false, errors: [], warnings: [], checkedFiles: 0, totalSize: 0, manifest: null };
+
+    if (!await window.FileSystemAPI.existsAsync(archivePath)) {
+        result.errors.push(`Archive ${archivePath} does not exist`);
+        return result;
+    }
+
+    let contents;
+    try {
+        contents = await readArchive(archivePath, keyring);
+    } catch (error) {
+        if (!(error instanceof window.BackupEncryption.BackupKeyError)) {
+            result.errors.push(error.message);
+            return result;
+        }
+
+        result.warnings.push(`Encrypted contents were not checked: ${error.message}`);
+        contents = { manifest: null, archiveSha256: sha256(await window.FileSystemAPI.readBinaryFile(archivePath)) };
+    }
+
+    const checksums = [expectedSha256];
+    if (await window.FileSystemAPI.existsAsync(`${archivePath}.sha256`)) {
+        checksums.push((await window.FileSystemAPI.readFile(`${archivePath}.sha256`)).split(/\s+/)[0]);
+    } else {
+        result.warnings.push('Checksum file is missing');
+    }
+
+    for (const checksum of checksums.filter(Boolean)) {
+        if (checksum !== contents.archiveSha256) {
+            result.errors.push('Archive checksum does not match');
+            break;
+        }
+    }
+
+    result.manifest = contents.manifest;
+    if (!contents.manifest) {
+        result.valid = result.errors.length === 0;
+        return result;
+    }
+
+    for (const item of (contents.manifest.items || []).filter(entry => !entry.source)) {
+        const content = contents.files.get(item.path);
+
+        if (!content) {
+            result.errors.push(`${item.path} is missing from the archive`);
+        } else if (content.length !== item.size) {
+            result.errors.push(`${item.path} has ${content.length} bytes, expected ${item.size}`);
+        } else if (sha256(content) !== item.sha256) {
+            result.errors.push(`${item.path} does not match its checksum`);
+        } else {
+            result.checkedFiles++;
+            result.totalSize += content.length;
+        }
+    }
+
+    const listed = new Set((contents.manifest.items || []).map(item => item.path));
+    for (const path of contents.files.keys()) {
+        if (!listed.has(path)) {
+            result.warnings.push(`${path} is not listed in the manifest`);
+        }
+    }
+
+    result.valid = result.errors.length === 0;
+    return result;
+}
+
+// Export functions for use in other modules
+window.BackupArchive = {
+    ARCHIVE_FORMAT,
+    sha256,
+    writeArchive,
+    readArchive,
+    verifyArchive
+};
@@ -50,14 +50,25 @@ function getBackupById(backups, backupId) {
     return backups.find(b => b.id === backupId) || null;
 }
 
+/**
+ * Get the inventory ID of a server
+ * Backups made before the server inventory refer to servers by name or container ID.
+ * @param {string} serverId - Server ID
+ * @returns {string} Inventory ID, or serverId if the server is not in the inventory
+ */
+function resolveServerId(serverId) {
+    return window.ServerInventory ? window.ServerInventory.resolveServerId(serverId) : serverId;
+}
+
 /**
  * Get backups for a server
  * @param {Array} backups - Array of backups
- * @param {string} serverId - Server ID
+ * @param {string} serverId - Server ID, or an older server name or container ID
  * @returns {Array} Backups for the server
  */
 function getBackupsForServer(backups, serverId) {
-    return backups.filter(b => b.serverId === serverId);
+    const inventoryId = resolveServerId(serverId);
+    return backups.filter(b => b.serverId === serverId || resolveServerId(b.serverId) === inventoryId);
 }
 
 /**
@@ -72,71 +83,450 @@ function generateBackupId(serverId) {
 }
 
 /**
- * Create backup directory structure
+ * Get the directory of a backup created before archives were introduced
  * @param {string} backupId - Backup ID
  * @param {Object} options - Options
- * @returns {Promise<string>} Backup directory path
+ * @returns {string} Backup directory path
  */
-async function createBackupDirectory(backupId, options) {
+function getLegacyBackupDirectory(backupId, options) {
+    return `${options.backupBasePath || './backups'}/${backupId}`;
+}
+
+/**
+ * Get the archive path of a backup
+ * @param {string} backupId - Backup ID
+ * @param {Object} options - Options
+ * @returns {string} Archive path
+ */
+function getBackupArchivePath(backupId, options) {
+    return `${getLegacyBackupDirectory(backupId, options)}.${window.BackupArchive.ARCHIVE_FORMAT}`;
+}
+
+/**
+ * Write the backup archive
+ * @param {string} backupId - Backup ID
+ * @param {Object} manifest - Backup manifest
+ * @param {Array<Object>} files - Files ({ path, content, mtime }) listed in the manifest
+ * @param {Object} options - Options
+ * @param {Object} [encryption] - Encryption ({ key, header }) for an encrypted archive
+ * @returns {Promise<Object>} Archive info ({ archivePath, archiveSize, archiveSha256, manifest })
+ */
+async function writeBackupArchive(backupId, manifest, files, options, encryption = null) {
     try {
-        // Create main backup directory
-        const backupDir = `${options.backupBasePath || './backups'}/${backupId}`;
+        return await window.BackupArchive.writeArchive(getBackupArchivePath(backupId, options), manifest, files, encryption);
+    } catch (error) {
+        console.error('Error writing backup archive:', error);
+        throw new Error(`Failed to write backup archive: ${error.message}`);
+    }
+}
+
+/**
+ * Find the backup an incremental backup builds on
+ * @param {Array} backups - Array of backups
+ * @param {string} serverId - Server ID
+ * @param {string} [parentBackupId] - Requested parent (defaults to the latest archived backup of the server)
+ * @returns {Object|null} Parent backup metadata or null if the server has no archived backup
+ */
+function findParentBackup(backups, serverId, parentBackupId = null) {
+    if (parentBackupId) {
+        const parent = getBackupById(backups, parentBackupId);
         
-        // Create directory structure using the file system API
-        await window.FileSystemAPI.createDirectory(backupDir);
-        await window.FileSystemAPI.createDirectory(`${backupDir}/config`);
-        await window.FileSystemAPI.createDirectory(`${backupDir}/data`);
+        if (!parent || parent.status !== 'completed' || !parent.archiveSha256) {
+            throw new Error(`Backup ${parentBackupId} cannot be used as a parent`);
+        }
         
-        if (options.includeLogs) {
-            await window.FileSystemAPI.createDirectory(`${backupDir}/logs`);
+        return parent;
+    }
+    
+    const candidates = getBackupsForServer(backups, serverId)
+        .filter(b => b.status === 'completed' && b.archiveSha256)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    return candidates[0] || null;
+}
+
+/**
+ * Index the file contents of a backup by checksum
+ * Unchanged files of the parent point at the archive that actually stores them.
+ * @param {Object} backup - Backup metadata
+ * @returns {Map<string, Object>} Locations ({ backupId, path }) by SHA-256
+ */
+function buildContentIndex(backup) {
+    const index = new Map();
+    
+    for (const item of backup.items) {
+        if (item.sha256 && !index.has(item.sha256)) {
+            index.set(item.sha256, item.source || { backupId: backup.id, path: item.path });
         }
+    }
+    
+    return index;
+}
+
+/**
+ * Arrange the items of a backup as a directory tree
+ * @param {Array} items - Backup items
+ * @returns {Object} Root node ({ name, path, children }); file nodes also carry their item
+ */
+function buildFileTree(items) {
+    const root = { name: '', path: '', children: [] };
+    
+    for (const item of items) {
+        const parts = item.path.split('/');
+        let node = root;
         
-        return backupDir;
-    } catch (error) {
-        console.error('Error creating backup directory:', error);
-        throw new Error(`Failed to create backup directory: ${error.message}`);
+        parts.forEach((part, index) => {
+            let child = node.children.find(entry => entry.name === part);
+            if (!child) {
+                child = { name: part, path: parts.slice(0, index + 1).join('/'), children: [] };
+                node.children.push(child);
+            }
+            node = child;
+        });
+        
+        node.item = item;
     }
+    
+    // Directories first, then by name
+    const sortTree = node => {
+        node.children.sort((a, b) => (Boolean(a.item) - Boolean(b.item)) || a.name.localeCompare(b.name));
+        node.children.forEach(sortTree);
+    };
+    sortTree(root);
+    
+    return root;
 }
 
 /**
- * Save backup manifest
+ * Load backup manifest
  * @param {string} backupId - Backup ID
- * @param {Object} manifest - Backup manifest
  * @param {Object} options - Options
- * @returns {Promise<void>}
+ * @param {Object} [keyring] - BackupKeyring for encrypted backups
+ * @returns {Promise<Object>} Backup manifest
  */
-async function saveBackupManifest(backupId, manifest, options) {
+async function loadBackupManifest(backupId, options, keyring = null) {
     try {
-        const backupDir = `${options.backupBasePath || './backups'}/${backupId}`;
-        const manifestPath = `${backupDir}/manifest.json`;
-        
-        // Write manifest file
-        await window.FileSystemAPI.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+        return (await openBackup(backupId, options, keyring)).manifest;
     } catch (error) {
-        console.error('Error saving backup manifest:', error);
-        throw new Error(`Failed to save backup manifest: ${error.message}`);
+        console.error('Error loading backup manifest:', error);
+        throw new Error(`Failed to load backup manifest: ${error.message}`);
     }
 }
 
 /**
- * Load backup manifest
+ * Open a backup for restore
+ * Files an incremental backup shares with earlier backups are read from their archives,
+ * so the result always holds the complete file set.
  * @param {string} backupId - Backup ID
  * @param {Object} options - Options
- * @returns {Promise<Object>} Backup manifest
+ * @param {Object} [keyring] - BackupKeyring for encrypted backups
+ * @returns {Promise<Object>} Backup contents ({ manifest, files }) with file contents by item path
  */
-async function loadBackupManifest(backupId, options) {
-    try {
-        const backupDir = `${options.backupBasePath || './backups'}/${backupId}`;
-        const manifestPath = `${backupDir}/manifest.json`;
+async function openBackup(backupId, options, keyring = null) {
+    const archivePath = getBackupArchivePath(backupId, options);
+    
+    if (await window.FileSystemAPI.existsAsync(archivePath)) {
+        const { manifest, files } = await window.BackupArchive.readArchive(archivePath, keyring);
+        const sources = new Map();
         
-        // Read manifest file
-        const content = await window.FileSystemAPI.readFile(manifestPath);
+        for (const item of manifest.items.filter(entry => entry.source)) {
+            const { backupId: sourceId, path } = item.source;
+            
+            if (!sources.has(sourceId)) {
+                sources.set(sourceId, (await window.BackupArchive.readArchive(getBackupArchivePath(sourceId, options), keyring)).files);
+            }
+            
+            const content = sources.get(sourceId).get(path);
+            if (!content) {
+                throw new Error(`${item.path} is missing from backup ${sourceId}`);
+            }
+            
+            files.set(item.path, content);
+        }
         
-        return JSON.parse(content);
+        return { manifest, files };
+    }
+    
+    // Backups created before archives were introduced are plain directories
+    const backupDir = getLegacyBackupDirectory(backupId, options);
+    const manifest = JSON.parse(await window.FileSystemAPI.readFile(`${backupDir}/manifest.json`));
+    const files = new Map();
+    
+    for (const item of manifest.items) {
+        files.set(item.path, await window.FileSystemAPI.readBinaryFile(`${backupDir}/${item.path}`));
+    }
+    
+    return { manifest, files };
+}
+
+/**
+ * Verify the integrity of a backup
+ * Incremental backups are only valid if the archives they share files with are.
+ * @param {Object} backup - Backup metadata
+ * @param {Object} options - Options
+ * @param {Array} [backups=[]] - All backups, for the recorded checksums of shared archives
+ * @param {Object} [keyring] - BackupKeyring for encrypted backups
+ * @returns {Promise<Object>} Result ({ valid, errors, warnings, checkedFiles, totalSize })
+ */
+async function verifyBackup(backup, options, backups = [], keyring = null) {
+    const archivePath = getBackupArchivePath(backup.id, options);
+    
+    if (await window.FileSystemAPI.existsAsync(archivePath)) {
+        const result = await window.BackupArchive.verifyArchive(archivePath, backup.archiveSha256, keyring);
+        const sources = new Map();
+        
+        for (const item of (result.manifest ? result.manifest.items : []).filter(entry => entry.source)) {
+            const { backupId: sourceId, path } = item.source;
+            
+            if (!sources.has(sourceId)) {
+                const source = getBackupById(backups, sourceId);
+                sources.set(sourceId, await window.BackupArchive.verifyArchive(
+                    getBackupArchivePath(sourceId, options),
+                    source ? source.archiveSha256 : null,
+                    keyring
+                ));
+                
+                if (!sources.get(sourceId).valid) {
+                    result.errors.push(`Backup ${sourceId}, which this backup depends on, failed verification: ${sources.get(sourceId).errors.join('; ')}`);
+                }
+            }
+            
+            const sourceResult = sources.get(sourceId);
+            if (!sourceResult.manifest) {
+                continue;
+            }
+            
+            const stored = sourceResult.manifest.items.find(entry => entry.path === path && !entry.source);
+            
+            if (!stored || stored.sha256 !== item.sha256) {
+                result.errors.push(`${item.path} is missing from backup ${sourceId}`);
+            } else if (sourceResult.valid) {
+                result.checkedFiles++;
+                result.totalSize += item.size;
+            }
+        }
+        
+        result.valid = result.errors.length === 0;
+        return result;
+    }
+    
+    const result = {
+        valid: false,
+        errors: [],
+        warnings: ['Backup was created without checksums, only the presence of its files was checked'],
+        checkedFiles: 0,
+        totalSize: 0
+    };
+    
+    try {
+        const backupDir = getLegacyBackupDirectory(backup.id, options);
+        const manifest = JSON.parse(await window.FileSystemAPI.readFile(`${backupDir}/manifest.json`));
+        
+        for (const item of manifest.items) {
+            if (await window.FileSystemAPI.existsAsync(`${backupDir}/${item.path}`)) {
+                result.checkedFiles++;
+                result.totalSize += item.size;
+            } else {
+                result.errors.push(`${item.path} is missing from the backup`);
+            }
+        }
     } catch (error) {
-        console.error('Error loading backup manifest:', error);
-        throw new Error(`Failed to load backup manifest: ${error.message}`);
+        result.errors.push(error.message);
+    }
+    
+    result.valid = result.errors.length === 0;
+    return result;
+}
+
+/**
+ * Make the backups that share files with a backup independent of it
+ * Shared files move into the oldest dependent's archive, later dependents point there,
+ * so deleting the backup never breaks a chain.
+ * @param {string} backupId - Backup ID about to be deleted
+ * @param {Array} backups - Array of backups (dependents are updated in place)
+ * @param {Object} options - Options
+ * @param {Object} [keyring] - BackupKeyring for encrypted backups
+ * @returns {Promise<Array>} Updated dependent backups
+ */
+async function detachDependents(backupId, backups, options, keyring = null) {
+    const backup = getBackupById(backups, backupId);
+    const dependents = backups
+        .filter(b => b.id !== backupId && (b.parentId === backupId || (b.items || []).some(item => item.source && item.source.backupId === backupId)))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const newHomes = new Map();
+    let deletedFiles = null;
+    
+    for (const dependent of dependents) {
+        // Only touch a dependent once its archive is rewritten, so a failure (e.g. a missing key) leaves it intact
+        const parentId = dependent.parentId === backupId ? backup.parentId || null : dependent.parentId;
+        
+        if (!dependent.items.some(item => item.source && item.source.backupId === backupId)) {
+            dependent.parentId = parentId;
+            continue;
+        }
+        
+        if (!deletedFiles) {
+            deletedFiles = (await window.BackupArchive.readArchive(getBackupArchivePath(backupId, options), keyring)).files;
+        }
+        
+        const archivePath = getBackupArchivePath(dependent.id, options);
+        const { manifest, files, encryption } = await window.BackupArchive.readArchive(archivePath, keyring);
+        
+        for (const item of manifest.items.filter(entry => entry.source && entry.source.backupId === backupId)) {
+            if (newHomes.has(item.sha256)) {
+                item.source = newHomes.get(item.sha256);
+                continue;
+            }
+            
+            const content = deletedFiles.get(item.source.path);
+            if (!content) {
+                throw new Error(`${item.source.path} is missing from backup ${backupId}`);
+            }
+            
+            files.set(item.path, content);
+            delete item.source;
+            newHomes.set(item.sha256, { backupId: dependent.id, path: item.path });
+        }
+        
+        manifest.parentId = parentId;
+        const archive = await window.BackupArchive.writeArchive(
+            archivePath,
+            manifest,
+            Array.from(files, ([path, content]) => ({ path, content })),
+            encryption
+        );
+        
+        dependent.parentId = parentId;
+        dependent.items = archive.manifest.items;
+        dependent.storedSize = archive.manifest.storedSize;
+        dependent.archiveSize = archive.archiveSize;
+        dependent.archiveSha256 = archive.archiveSha256;
+    }
+    
+    return dependents;
+}
+
+/**
+ * Get the key a backup archive is stored under in a storage target
+ * @param {Object} backup - Backup metadata
+ * @returns {string} Storage key
+ */
+function getStorageKey(backup) {
+    return `${backup.serverId}/${backup.id}.${window.BackupArchive.ARCHIVE_FORMAT}`;
+}
+
+/**
+ * Copy a backup archive and its checksum file to a storage target
+ * @param {Object} backup - Backup metadata
+ * @param {Object} target - Storage target config
+ * @param {Object} options - Options
+ * @returns {Promise<Object>} Copy record ({ targetId, key, uploadedAt })
+ */
+async function uploadBackup(backup, target, options) {
+    const archivePath = getBackupArchivePath(backup.id, options);
+    const client = window.BackupStorage.createTarget(target);
+    const key = getStorageKey(backup);
+    
+    await client.upload(archivePath, key);
+    await client.upload(`${archivePath}.sha256`, `${key}.sha256`);
+    
+    return { targetId: target.id, key, uploadedAt: new Date().toISOString() };
+}
+
+/**
+ * Make sure a backup and the backups it shares files with are available locally
+ * Missing archives are downloaded from the first storage target holding a copy.
+ * @param {Object} backup - Backup metadata
+ * @param {Array} backups - Array of backups
+ * @param {Object} options - Options
+ * @param {string} [targetId] - Download the backup itself from this target even if a local copy exists
+ * @returns {Promise<Array<string>>} IDs of the downloaded backups
+ */
+async function fetchBackupArchives(backup, backups, options, targetId = null) {
+    const downloaded = [];
+    const needed = [backup];
+    const seen = new Set();
+    
+    while (needed.length > 0) {
+        const current = needed.shift();
+        if (seen.has(current.id)) {
+            continue;
+        }
+        seen.add(current.id);
+        
+        const archivePath = getBackupArchivePath(current.id, options);
+        const forced = current.id === backup.id && targetId;
+        
+        if (forced || !await window.FileSystemAPI.existsAsync(archivePath)) {
+            const copy = (current.copies || []).find(c => (forced ? c.targetId === targetId : window.BackupStorage.getTarget(c.targetId)));
+            if (!copy) {
+                throw new Error(`Backup ${current.id} is not available locally or in any storage target`);
+            }
+            
+            const client = window.BackupStorage.createTarget(copy.targetId);
+            await client.download(copy.key, archivePath);
+            await client.download(`${copy.key}.sha256`, `${archivePath}.sha256`);
+            downloaded.push(current.id);
+        }
+        
+        // Incremental backups need the archives their unchanged files live in
+        for (const item of current.items || []) {
+            const source = item.source && getBackupById(backups, item.source.backupId);
+            if (source) {
+                needed.push(source);
+            }
+        }
     }
+    
+    return downloaded;
+}
+
+/**
+ * Delete the copy of a backup from a storage target
+ * @param {Object} copy - Copy record ({ targetId, key })
+ * @returns {Promise<void>}
+ */
+async function deleteRemoteCopy(copy) {
+    const client = window.BackupStorage.createTarget(copy.targetId);
+    
+    await client.delete(copy.key);
+    await client.delete(`${copy.key}.sha256`);
+}
+
+/**
+ * Create backup metadata for an archive found in a storage target
+ * @param {Object} manifest - Manifest read from the archive
+ * @param {Object} archive - Archive info ({ archivePath, archiveSize, archiveSha256, encryption })
+ * @param {Object} copy - Copy record ({ targetId, key, uploadedAt })
+ * @returns {Object} Backup metadata
+ */
+function createMetadataFromManifest(manifest, archive, copy) {
+    const options = manifest.options || {};
+    const server = manifest.server || { id: manifest.serverId, name: manifest.serverId, type: 'unknown' };
+    
+    return {
+        id: manifest.id,
+        serverId: manifest.serverId,
+        serverName: server.name,
+        serverType: server.type,
+        createdAt: manifest.createdAt,
+        completedAt: manifest.createdAt,
+        name: options.name || `Backup of ${server.name} - ${new Date(manifest.createdAt).toLocaleString()}`,
+        description: options.description || '',
+        type: options.type || 'full',
+        incremental: Boolean(manifest.parentId),
+        parentId: manifest.parentId || null,
+        scheduled: Boolean(options.scheduled),
+        size: manifest.totalSize,
+        storedSize: manifest.storedSize,
+        status: 'completed',
+        items: manifest.items,
+        archivePath: archive.archivePath,
+        archiveSize: archive.archiveSize,
+        archiveSha256: archive.archiveSha256,
+        encryption: archive.encryption || null,
+        copies: [copy]
+    };
 }
 
 /**
@@ -147,10 +537,12 @@ async function loadBackupManifest(backupId, options) {
  */
 async function deleteBackupFiles(backupId, options) {
     try {
-        const backupDir = `${options.backupBasePath || './backups'}/${backupId}`;
+        const archivePath = getBackupArchivePath(backupId, options);
         
-        // Delete backup directory
-        await window.FileSystemAPI.deleteDirectory(backupDir, true);
+        // Delete the archive, its checksum file and any legacy backup directory
+        await window.FileSystemAPI.deleteFile(archivePath);
+        await window.FileSystemAPI.deleteFile(`${archivePath}.sha256`);
+        await window.FileSystemAPI.deleteDirectory(getLegacyBackupDirectory(backupId, options), true);
     } catch (error) {
         console.error('Error deleting backup files:', error);
         throw new Error(`Failed to delete backup files: ${error.message}`);
@@ -162,10 +554,22 @@ window.BackupCore = {
     loadBackups,
     saveBackups,
     getBackupById,
+    resolveServerId,
     getBackupsForServer,
     generateBackupId,
-    createBackupDirectory,
-    saveBackupManifest,
+    getBackupArchivePath,
+    findParentBackup,
+    buildContentIndex,
+    buildFileTree,
+    writeBackupArchive,
     loadBackupManifest,
+    openBackup,
+    verifyBackup,
+    detachDependents,
+    getStorageKey,
+    uploadBackup,
+    fetchBackupArchives,
+    deleteRemoteCopy,
+    createMetadataFromManifest,
     deleteBackupFiles
 };
@@ -0,0 +1,183 @@
+/**
+ * Backup Diff - Line diffs between backed-up files and the files on disk
+ * Used to preview what restoring a single file would change.
+ */
+
+const DEFAULT_CONTEXT = 3;
+const BINARY_SNIFF_LENGTH = 8000;
+
+// Largest LCS table (old lines x new lines after trimming the common prefix and suffix)
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Check whether content looks binary (has a NUL byte near the start)
+ * @param {Buffer} content - File content
+ * @returns {boolean} True if binary
+ */
+function isBinary(content) {
+    const end = Math.min(content.length, BINARY_SNIFF_LENGTH);
+    for (let i = 0; i < end; i++) {
+        if (content[i] === 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Split text into lines, ignoring the final newline
+ * @private
+ * @param {string} text - Text
+ * @returns {Array<string>} Lines
+ */
+function _splitLines(text) {
+    if (text === '') {
+        return [];
+    }
+
+    const lines = text.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+/**
+ * Diff two lists of lines
+ * @param {Array<string>} oldLines - Lines before
+ * @param {Array<string>} newLines - Lines after
+ * @returns {Array<Object>|null} Changes ({ type: 'equal' | 'remove' | 'add', text }), or null if too large to diff
+ */
+function diffLines(oldLines, newLines) {
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const rows = oldEnd - start;
+    const columns = newEnd - start;
+    if ((rows + 1) * (columns + 1) > MAX_DIFF_CELLS) {
+        return null;
+    }
+
+    // lengths[i][j] is the length of the longest common subsequence of the remaining lines
+    const width = columns + 1;
+    const lengths = new Uint32Array((rows + 1) * width);
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = columns - 1; j >= 0; j--) {
+            lengths[i * width + j] = oldLines[start + i] === newLines[start + j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const changes = oldLines.slice(0, start).map(text => ({ type: 'equal', text }));
+    let i = 0;
+    let j = 0;
+
+    while (i < rows || j < columns) {
+        if (i < rows && j < columns && oldLines[start + i] === newLines[start + j]) {
+            changes.push({ type: 'equal', text: oldLines[start + i] });
+            i++;
+            j++;
+        } else if (j === columns || (i < rows && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+            changes.push({ type: 'remove', text: oldLines[start + i] });
+            i++;
+        } else {
+            changes.push({ type: 'add', text: newLines[start + j] });
+            j++;
+        }
+    }
+
+    return changes.concat(oldLines.slice(oldEnd).map(text => ({ type: 'equal', text })));
+}
+
+/**
+ * Group changes into hunks with surrounding context, like a unified diff
+ * @param {Array<Object>} changes - Changes from diffLines
+ * @param {number} [context=3] - Unchanged lines to show around each change
+ * @returns {Array<Object>} Hunks ({ oldStart, oldLines, newStart, newLines, lines }) with numbered lines
+ */
+function createHunks(changes, context = DEFAULT_CONTEXT) {
+    let oldLine = 1;
+    let newLine = 1;
+    const numbered = changes.map(change => {
+        const line = { ...change, oldLine, newLine };
+        oldLine += change.type === 'add' ? 0 : 1;
+        newLine += change.type === 'remove' ? 0 : 1;
+        return line;
+    });
+
+    const ranges = [];
+    numbered.forEach((change, index) => {
+        if (change.type === 'equal') {
+            return;
+        }
+
+        const last = ranges[ranges.length - 1];
+        if (last && index - last.end <= context * 2) {
+            last.end = index + 1;
+        } else {
+            ranges.push({ start: Math.max(0, index - context), end: index + 1 });
+        }
+    });
+
+    return ranges.map(range => {
+        const lines = numbered.slice(range.start, Math.min(numbered.length, range.end + context));
+        return {
+            oldStart: lines[0].oldLine,
+            oldLines: lines.filter(line => line.type !== 'add').length,
+            newStart: lines[0].newLine,
+            newLines: lines.filter(line => line.type !== 'remove').length,
+            lines
+        };
+    });
+}
+
+/**
+ * Compare the file on disk with the backed-up version
+ * @param {Buffer|null} current - Content on disk, or null if the file does not exist
+ * @param {Buffer} restored - Content in the backup
+ * @returns {Object} Comparison ({ status, added, removed, hunks }) with status
+ *   'identical', 'changed', 'missing', 'binary' or 'too-large'
+ */
+function compareContents(current, restored) {
+    if (current && current.equals(restored)) {
+        return { status: 'identical', added: 0, removed: 0, hunks: [] };
+    }
+
+    if ((current && isBinary(current)) || isBinary(restored)) {
+        return { status: 'binary', added: 0, removed: 0, hunks: [] };
+    }
+
+    const changes = diffLines(
+        _splitLines(current ? current.toString('utf8') : ''),
+        _splitLines(restored.toString('utf8'))
+    );
+
+    if (!changes) {
+        return { status: 'too-large', added: 0, removed: 0, hunks: [] };
+    }
+
+    return {
+        status: current ? 'changed' : 'missing',
+        added: changes.filter(change => change.type === 'add').length,
+        removed: changes.filter(change => change.type === 'remove').length,
+        hunks: createHunks(changes)
+    };
+}
+
+// Export functions for use in other modules
+window.BackupDiff = {
+    isBinary,
+    diffLines,
+    createHunks,
+    compareContents
+};
@@ -0,0 +1,296 @@
+/**
+ * Backup Encryption - Encrypts backup archives with AES-256-GCM
+ * An encrypted archive is an envelope: a magic line, a JSON header line, the encrypted
+ * tar.gz and the GCM tag. The header only names the key source, the KDF parameters and
+ * a key fingerprint, so the manifest and the file list stay hidden. Keys come from the
+ * credential vault (SecurityManager) or from a passphrase.
+ */
+
+const ENVELOPE_MAGIC = 'MCP-BACKUP-ENCRYPTED-1\n';
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const SALT_LENGTH = 16;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Same work factor as the credential vault
+const PBKDF2_ITERATIONS = 600000;
+
+const KEY_SOURCES = {
+    VAULT: 'vault',
+    PASSPHRASE: 'passphrase'
+};
+
+/**
+ * Error for backups that cannot be decrypted with the available key
+ * Codes: PASSPHRASE_REQUIRED, WRONG_KEY, KEY_UNAVAILABLE
+ */
+class BackupKeyError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {string} code - Error code
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'BackupKeyError';
+        this.code = code;
+    }
+}
+
+/**
+ * Get a Node.js module through the Electron bridge
+ * @private
+ * @param {string} name - Module name
+ * @returns {Object} Module
+ */
+function _require(name) {
+    if (typeof window.require !== 'function') {
+        throw new Error('Backup encryption is only available in the desktop app');
+    }
+    return window.require(name);
+}
+
+/**
+ * Fingerprint a key, so a wrong key is told apart from a damaged archive
+ * @private
+ * @param {Buffer} key - Key
+ * @returns {string} Key ID
+ */
+function _fingerprint(key) {
+    return _require('crypto').createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Derive a key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Object} kdf - KDF parameters ({ name, hash, iterations, salt })
+ * @returns {Promise<Buffer>} Key
+ */
+async function deriveKey(passphrase, kdf) {
+    if (kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256') {
+        throw new Error(`Unsupported key derivation function: ${kdf.name}/${kdf.hash}`);
+    }
+
+    const { Buffer } = _require('buffer');
+    const pbkdf2 = _require('util').promisify(_require('crypto').pbkdf2);
+    return pbkdf2(passphrase, Buffer.from(kdf.salt, 'base64'), kdf.iterations, KEY_LENGTH, 'sha256');
+}
+
+/**
+ * Get the backup key from the credential vault
+ * @private
+ * @returns {Promise<Buffer>} Key
+ */
+async function _getVaultKey() {
+    if (!window.SecurityManager) {
+        throw new BackupKeyError('The credential vault is not available', 'KEY_UNAVAILABLE');
+    }
+
+    if (window.SecurityManager.isLocked()) {
+        throw new BackupKeyError('Unlock the credential vault to use the backup encryption key', 'KEY_UNAVAILABLE');
+    }
+
+    try {
+        const { Buffer } = _require('buffer');
+        return Buffer.from(await window.SecurityManager.getBackupEncryptionKey(), 'base64');
+    } catch (error) {
+        throw new BackupKeyError(error.message, 'KEY_UNAVAILABLE');
+    }
+}
+
+/**
+ * Check whether two archives are encrypted with the same key
+ * Incremental backups only share files with archives they can be read alongside.
+ * @param {Object|null} a - Encryption header or null for a plain archive
+ * @param {Object|null} b - Encryption header or null for a plain archive
+ * @returns {boolean} True if both are plain or use the same key
+ */
+function isSameKey(a, b) {
+    if (!a || !b) {
+        return !a && !b;
+    }
+    return a.keySource === b.keySource && a.keyId === b.keyId;
+}
+
+/**
+ * Set up encryption for a new archive
+ * @param {Object} settings - Encryption settings ({ keySource, passphrase, iterations })
+ * @param {Object} [reuse] - Encryption header of the parent backup; its salt is reused so an
+ *   unchanged passphrase yields the same key and the backups can share files
+ * @returns {Promise<Object>} Encryption ({ key, header })
+ */
+async function createEncryption(settings, reuse = null) {
+    const header = { cipher: CIPHER, keySource: settings.keySource };
+    let key;
+
+    if (settings.keySource === KEY_SOURCES.VAULT) {
+        key = await _getVaultKey();
+    } else if (settings.keySource === KEY_SOURCES.PASSPHRASE) {
+        if (typeof settings.passphrase !== 'string' || settings.passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Backup passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+
+        if (reuse && reuse.keySource === KEY_SOURCES.PASSPHRASE) {
+            header.kdf = reuse.kdf;
+            key = await deriveKey(settings.passphrase, header.kdf);
+        }
+
+        if (!key || _fingerprint(key) !== reuse.keyId) {
+            header.kdf = {
+                name: 'PBKDF2',
+                hash: 'SHA-256',
+                iterations: settings.iterations || PBKDF2_ITERATIONS,
+                salt: _require('crypto').randomBytes(SALT_LENGTH).toString('base64')
+            };
+            key = await deriveKey(settings.passphrase, header.kdf);
+        }
+    } else {
+        throw new Error(`Unknown backup key source: ${settings.keySource}`);
+    }
+
+    header.keyId = _fingerprint(key);
+    return { key, header };
+}
+
+/**
+ * Keys for reading encrypted archives
+ * Derived keys are cached, so a chain of incremental backups runs the KDF once per salt.
+ */
+class BackupKeyring {
+    /**
+     * @param {Object} [secrets] - Secrets ({ passphrase })
+     */
+    constructor(secrets = {}) {
+        this.passphrase = secrets.passphrase || null;
+        this.keys = new Map();
+    }
+
+    /**
+     * Get the key for an archive
+     * @param {Object} header - Encryption header
+     * @returns {Promise<Buffer>} Key
+     */
+    async getKey(header) {
+        const cacheKey = `${header.keySource}:${header.keyId}:${header.kdf ? header.kdf.salt : ''}`;
+        if (this.keys.has(cacheKey)) {
+            return this.keys.get(cacheKey);
+        }
+
+        let key;
+        if (header.keySource === KEY_SOURCES.VAULT) {
+            key = await _getVaultKey();
+            if (_fingerprint(key) !== header.keyId) {
+                throw new BackupKeyError('Backup was encrypted with the key of a different credential vault', 'WRONG_KEY');
+            }
+        } else if (header.keySource === KEY_SOURCES.PASSPHRASE) {
+            if (!this.passphrase) {
+                throw new BackupKeyError('Backup is encrypted with a passphrase; enter it to continue', 'PASSPHRASE_REQUIRED');
+            }
+
+            key = await deriveKey(this.passphrase, header.kdf);
+            if (_fingerprint(key) !== header.keyId) {
+                throw new BackupKeyError('Wrong passphrase for this backup', 'WRONG_KEY');
+            }
+        } else {
+            throw new BackupKeyError(`Unknown backup key source: ${header.keySource}`, 'KEY_UNAVAILABLE');
+        }
+
+        this.keys.set(cacheKey, key);
+        return key;
+    }
+}
+
+/**
+ * Check whether archive data is an encryption envelope
+ * @param {Buffer} data - Archive data
+ * @returns {boolean} True if encrypted
+ */
+function isEncrypted(data) {
+    return data.length >= ENVELOPE_MAGIC.length && data.toString('latin1', 0, ENVELOPE_MAGIC.length) === ENVELOPE_MAGIC;
+}
+
+/**
+ * Read the header of an encryption envelope
+ * @param {Buffer} data - Archive data
+ * @returns {Object} Header ({ header, headerBytes, body }) with the encrypted body
+ */
+function readHeader(data) {
+    const end = data.indexOf(0x0a, ENVELOPE_MAGIC.length);
+
+    try {
+        const headerBytes = data.subarray(ENVELOPE_MAGIC.length, end);
+        const header = JSON.parse(headerBytes.toString('utf8'));
+
+        if (end === -1 || header.cipher !== CIPHER || !header.iv || !header.keyId) {
+            throw new Error('incomplete header');
+        }
+
+        return { header, headerBytes, body: data.subarray(end + 1) };
+    } catch (error) {
+        throw new Error(`Encrypted archive header is corrupted: ${error.message}`);
+    }
+}
+
+/**
+ * Wrap archive data in an encryption envelope
+ * The header is authenticated along with the data, so it cannot be altered either.
+ * @param {Buffer} data - Archive data
+ * @param {Object} encryption - Encryption ({ key, header })
+ * @returns {Buffer} Envelope
+ */
+function encrypt(data, encryption) {
+    const { Buffer } = _require('buffer');
+    const crypto = _require('crypto');
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const headerBytes = Buffer.from(JSON.stringify({ ...encryption.header, iv: iv.toString('base64') }));
+
+    const cipher = crypto.createCipheriv(CIPHER, encryption.key, iv);
+    cipher.setAAD(headerBytes);
+    const body = Buffer.concat([cipher.update(data), cipher.final()]);
+
+    return Buffer.concat([Buffer.from(ENVELOPE_MAGIC), headerBytes, Buffer.from('\n'), body, cipher.getAuthTag()]);
+}
+
+/**
+ * Unwrap an encryption envelope
+ * @param {Buffer} data - Envelope
+ * @param {BackupKeyring} keyring - Keyring
+ * @returns {Promise<Object>} Result ({ data, encryption }) with the encryption to write the archive again
+ */
+async function decrypt(data, keyring) {
+    const { Buffer } = _require('buffer');
+    const { header, headerBytes, body } = readHeader(data);
+    const key = await keyring.getKey(header);
+
+    if (body.length < TAG_LENGTH) {
+        throw new Error('Encrypted archive is truncated');
+    }
+
+    try {
+        const decipher = _require('crypto').createDecipheriv(CIPHER, key, Buffer.from(header.iv, 'base64'));
+        decipher.setAAD(headerBytes);
+        decipher.setAuthTag(body.subarray(body.length - TAG_LENGTH));
+
+        const plain = Buffer.concat([decipher.update(body.subarray(0, body.length - TAG_LENGTH)), decipher.final()]);
+        const { iv, ...storedHeader } = header;
+
+        return { data: plain, encryption: { key, header: storedHeader } };
+    } catch (error) {
+        throw new Error('Encrypted archive failed authentication, it is damaged or was altered');
+    }
+}
+
+// Export functions for use in other modules
+window.BackupEncryption = {
+    KEY_SOURCES,
+    BackupKeyError,
+    BackupKeyring,
+    deriveKey,
+    isSameKey,
+    createEncryption,
+    isEncrypted,
+    readHeader,
+    encrypt,
+    decrypt
+};
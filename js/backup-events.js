@@ -23,7 +23,12 @@ class BackupEvents {
             'restoreProgress',
             'restoreCompleted',
             'restoreFailed',
-            'backupDeleted'
+            'backupDeleted',
+            'backupVerified',
+            'backupReplicated',
+            'scheduleUpdated',
+            'scheduledBackupSkipped',
+            'scheduledRunMissed'
         ];
         
         // Initialize event listeners for each type
@@ -109,6 +114,7 @@ class BackupEvents {
                 break;
             case 'backupCompleted':
             case 'restoreCompleted':
+            case 'backupVerified':
                 logStyle = 'color: white; background: #28a745;';
                 break;
             case 'backupFailed':
@@ -120,8 +126,12 @@ class BackupEvents {
                 logStyle = 'color: white; background: #17a2b8;';
                 break;
             case 'backupDeleted':
+            case 'scheduledBackupSkipped':
                 logStyle = 'color: white; background: #6c757d;';
                 break;
+            case 'scheduledRunMissed':
+                logStyle = 'color: black; background: #ffc107;';
+                break;
         }
         
         console.log(`%c[${event}]`, logStyle, data);
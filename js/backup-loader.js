@@ -12,10 +12,15 @@ document.addEventListener('DOMContentLoaded', function() {
  */
 function loadBackupModules() {
     const modulesToLoad = [
+        'backup-encryption.js',
+        'backup-archive.js',
+        'backup-storage.js',
         'backup-core.js',
         'backup-operations.js',
+        'backup-diff.js',
         'backup-events.js',
         'backup-manager.js',
+        'backup-scheduler.js',
         'backup-statistics.js',
         'backup-restore-ui.js'
     ];
@@ -81,6 +86,12 @@ function initializeBackupSystem() {
         const backupManager = new window.BackupManager();
         window.backupManager = backupManager; // Make globally available
         backupManager.initialize().then(() => {
+            // Scheduled backups share the global backup manager
+            if (window.BackupScheduler) {
+                window.backupScheduler = new window.BackupScheduler(backupManager);
+                window.backupScheduler.start();
+            }
+            
             console.log('Backup system initialized successfully');
         }).catch(error => {
             console.error('Backup system initialization failed:', error);
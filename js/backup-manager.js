@@ -90,19 +90,24 @@ class BackupManager {
             }
             
             // Create backup ID
-            const backupId = window.BackupCore.generateBackupId(serverId);
+            const backupId = window.BackupCore.generateBackupId(server.id);
             this.currentBackupId = backupId;
             
             // Create backup metadata
             const metadata = {
                 id: backupId,
-                serverId,
+                serverId: server.id,
                 serverName: server.name,
                 serverType: server.type,
                 createdAt: new Date().toISOString(),
                 name: options.name || `Backup of ${server.name} - ${new Date().toLocaleString()}`,
                 description: options.description || '',
                 type: options.type || 'full', // 'full', 'config', 'data'
+                incremental: false,
+                parentId: null,
+                scheduled: Boolean(options.scheduled),
+                encryption: null,
+                copies: [],
                 size: 0,
                 status: 'in_progress',
                 items: []
@@ -122,11 +127,21 @@ class BackupManager {
             metadata.status = 'completed';
             metadata.completedAt = new Date().toISOString();
             metadata.size = result.totalSize;
+            metadata.storedSize = result.storedSize;
+            metadata.incremental = Boolean(result.parentId);
+            metadata.parentId = result.parentId;
             metadata.items = result.items;
+            metadata.archivePath = result.archivePath;
+            metadata.archiveSize = result.archiveSize;
+            metadata.archiveSha256 = result.archiveSha256;
+            metadata.encryption = result.encryption;
             
             // Save updated metadata
             await this.saveBackups();
             
+            // Copy the archive off the machine; failed copies do not fail the backup
+            await this.replicateBackup(backupId, options.targets);
+            
             // Trigger backup completed event
             window.BackupEvents.trigger('backupCompleted', { backup: metadata });
             
@@ -163,36 +178,132 @@ class BackupManager {
 
     /**
      * Perform the actual backup
+     * With options.incremental, files unchanged since the parent backup (options.parentBackupId
+     * or the latest backup of the server) are referenced instead of stored again.
+     * With options.encryption ({ keySource: 'vault' | 'passphrase', passphrase }) the archive is
+     * encrypted; it only shares files with a parent encrypted with the same key.
      * @param {string} serverId - Server ID
      * @param {string} backupId - Backup ID
      * @param {Object} options - Backup options
      * @returns {Promise<Object>} Backup result
      */
     async performBackup(serverId, backupId, options = {}) {
-        // Create backup directory structure
-        const backupDir = await window.BackupCore.createBackupDirectory(backupId, this.options);
+        // Files are collected in memory and written as a single archive
+        const { archiveFiles, items, totalSize } = await this.collectBackupFiles(
+            serverId,
+            backupId,
+            options,
+            data => window.BackupEvents.trigger('backupProgress', data)
+        );
+        
+        // Only store files whose content the parent backup does not already have
+        let parent = options.incremental
+            ? window.BackupCore.findParentBackup(this.backups, serverId, options.parentBackupId)
+            : null;
+        
+        const encryption = options.encryption
+            ? await window.BackupEncryption.createEncryption(options.encryption, parent && parent.encryption)
+            : null;
         
+        // Restoring must never need a second key, so encrypted and plain chains stay apart
+        if (parent && !window.BackupEncryption.isSameKey(parent.encryption, encryption && encryption.header)) {
+            if (options.parentBackupId) {
+                throw new Error(`Backup ${parent.id} is encrypted differently and cannot be used as a parent`);
+            }
+            parent = null;
+        }
+        
+        if (parent) {
+            const index = window.BackupCore.buildContentIndex(parent);
+            const changedFiles = [];
+            
+            for (const file of archiveFiles) {
+                const item = items.find(entry => entry.path === file.path);
+                const sha256 = window.BackupArchive.sha256(file.content);
+                
+                if (item && index.has(sha256)) {
+                    item.sha256 = sha256;
+                    item.size = file.content.length;
+                    item.source = { ...index.get(sha256) };
+                } else {
+                    changedFiles.push(file);
+                }
+            }
+            
+            archiveFiles.splice(0, archiveFiles.length, ...changedFiles);
+        }
+        
+        // Create backup manifest
+        const server = await this.getServerInfo(serverId);
+        const manifest = {
+            id: backupId,
+            serverId,
+            parentId: parent ? parent.id : null,
+            server: {
+                id: server.id,
+                name: server.name,
+                type: server.type,
+                status: server.status
+            },
+            createdAt: new Date().toISOString(),
+            options: { ...options, encryption: undefined },
+            items
+        };
+        
+        // Write the archive (adds per-file checksums to the manifest)
+        const archive = await window.BackupCore.writeBackupArchive(backupId, manifest, archiveFiles, this.options, encryption);
+        
+        // Trigger progress event
+        window.BackupEvents.trigger('backupProgress', {
+            backupId,
+            serverId,
+            progress: 100,
+            message: 'Backup completed'
+        });
+        
+        return {
+            items,
+            totalSize,
+            storedSize: archive.manifest.storedSize,
+            parentId: manifest.parentId,
+            archivePath: archive.archivePath,
+            archiveSize: archive.archiveSize,
+            archiveSha256: archive.archiveSha256,
+            encryption: encryption ? encryption.header : null
+        };
+    }
+
+    /**
+     * Collect the files a backup of a server would contain
+     * @param {string} serverId - Server ID
+     * @param {string} backupId - Backup ID
+     * @param {Object} options - Backup options
+     * @param {Function} [progressCallback] - Progress callback function
+     * @returns {Promise<Object>} Collected files ({ archiveFiles, items, totalSize })
+     */
+    async collectBackupFiles(serverId, backupId, options = {}, progressCallback = null) {
+        const archiveFiles = [];
         const items = [];
         let totalSize = 0;
         
+        const reportProgress = (progress, message) => {
+            if (progressCallback) {
+                progressCallback({ backupId, serverId, progress, message });
+            }
+        };
+        
         // Backup configuration files
         if (options.type === 'full' || options.type === 'config') {
             const configResult = await window.BackupOperations.backupConfigFiles(
                 serverId, 
                 backupId, 
-                backupDir, 
-                data => window.BackupEvents.trigger('backupProgress', data)
+                archiveFiles, 
+                progressCallback
             );
             items.push(...configResult.items);
             totalSize += configResult.totalSize;
             
-            // Trigger progress event
-            window.BackupEvents.trigger('backupProgress', {
-                backupId,
-                serverId,
-                progress: 33,
-                message: 'Configuration files backed up'
-            });
+            reportProgress(33, 'Configuration files backed up');
         }
         
         // Backup data files
@@ -200,20 +311,14 @@ class BackupManager {
             const dataResult = await window.BackupOperations.backupDataFiles(
                 serverId, 
                 backupId, 
-                backupDir, 
+                archiveFiles, 
                 options,
-                data => window.BackupEvents.trigger('backupProgress', data)
+                progressCallback
             );
             items.push(...dataResult.items);
             totalSize += dataResult.totalSize;
             
-            // Trigger progress event
-            window.BackupEvents.trigger('backupProgress', {
-                backupId,
-                serverId,
-                progress: 66,
-                message: 'Data files backed up'
-            });
+            reportProgress(66, 'Data files backed up');
         }
         
         // Backup logs if requested
@@ -221,45 +326,126 @@ class BackupManager {
             const logsResult = await window.BackupOperations.backupLogFiles(
                 serverId, 
                 backupId, 
-                backupDir,
-                data => window.BackupEvents.trigger('backupProgress', data)
+                archiveFiles,
+                progressCallback
             );
             items.push(...logsResult.items);
             totalSize += logsResult.totalSize;
             
-            // Trigger progress event
-            window.BackupEvents.trigger('backupProgress', {
-                backupId,
-                serverId,
-                progress: 90,
-                message: 'Log files backed up'
-            });
+            reportProgress(90, 'Log files backed up');
         }
         
-        // Create backup manifest
-        const manifest = {
-            id: backupId,
-            serverId,
-            createdAt: new Date().toISOString(),
-            options,
-            items
-        };
+        return { archiveFiles, items, totalSize };
+    }
+
+    /**
+     * Check whether a server's files changed since its latest backup
+     * @param {string} serverId - Server ID
+     * @param {Object} options - Backup options the next backup would use
+     * @returns {Promise<boolean>} True if a backup would store anything new
+     */
+    async hasChanges(serverId, options = {}) {
+        const latest = window.BackupCore.findParentBackup(this.backups, serverId);
+        const keySource = options.encryption ? options.encryption.keySource : null;
+        
+        if (!latest || latest.type !== (options.type || 'full') ||
+            (latest.encryption ? latest.encryption.keySource : null) !== keySource) {
+            return true;
+        }
         
-        // Save manifest
-        await window.BackupCore.saveBackupManifest(backupId, manifest, this.options);
+        const { archiveFiles } = await this.collectBackupFiles(serverId, null, options);
+        const stored = new Map(latest.items.map(item => [item.path, item.sha256]));
         
-        // Trigger progress event
-        window.BackupEvents.trigger('backupProgress', {
-            backupId,
-            serverId,
-            progress: 100,
-            message: 'Backup completed'
-        });
+        return archiveFiles.length !== stored.size ||
+            archiveFiles.some(file => stored.get(file.path) !== window.BackupArchive.sha256(file.content));
+    }
+
+    /**
+     * Copy a backup to storage targets
+     * @param {string} backupId - Backup ID
+     * @param {Array<string>} [targetIds] - Targets to copy to (defaults to all enabled targets)
+     * @returns {Promise<Object>} Result ({ copies, errors }) with the errors by target ID
+     */
+    async replicateBackup(backupId, targetIds = null) {
+        const backup = this.getBackupById(backupId);
+        if (!backup) {
+            throw new Error(`Backup ${backupId} not found`);
+        }
         
-        return {
-            items,
-            totalSize
-        };
+        const targets = window.BackupStorage ? window.BackupStorage.loadTargets() : [];
+        const selected = targets.filter(target => (targetIds ? targetIds.includes(target.id) : target.enabled));
+        const errors = {};
+        
+        backup.copies = backup.copies || [];
+        
+        for (const target of selected) {
+            try {
+                const copy = await window.BackupCore.uploadBackup(backup, target, this.options);
+                backup.copies = backup.copies.filter(c => c.targetId !== target.id).concat(copy);
+            } catch (error) {
+                console.error(`Error copying backup ${backupId} to ${target.name}:`, error);
+                errors[target.id] = error.message;
+            }
+        }
+        
+        if (selected.length > 0) {
+            await this.saveBackups();
+            window.BackupEvents.trigger('backupReplicated', { backupId, copies: backup.copies, errors });
+        }
+        
+        return { copies: backup.copies, errors };
+    }
+
+    /**
+     * Add the backups found in a storage target that are not known locally
+     * Encrypted backups that cannot be opened with the vault key or options.passphrase are skipped.
+     * @param {string} targetId - Storage target ID
+     * @param {Object} [options] - Import options ({ passphrase })
+     * @returns {Promise<Array>} Imported backups
+     */
+    async importBackupsFromTarget(targetId, options = {}) {
+        const client = window.BackupStorage.createTarget(targetId);
+        const keyring = new window.BackupEncryption.BackupKeyring({ passphrase: options.passphrase });
+        const suffix = `.${window.BackupArchive.ARCHIVE_FORMAT}`;
+        const imported = [];
+        
+        for (const object of await client.list()) {
+            const backupId = object.key.split('/').pop().slice(0, -suffix.length);
+            
+            if (!object.key.endsWith(suffix) || this.getBackupById(backupId)) {
+                continue;
+            }
+            
+            const archivePath = window.BackupCore.getBackupArchivePath(backupId, this.options);
+            await client.download(object.key, archivePath);
+            await client.download(`${object.key}.sha256`, `${archivePath}.sha256`);
+            
+            let contents;
+            try {
+                contents = await window.BackupArchive.readArchive(archivePath, keyring);
+            } catch (error) {
+                if (!(error instanceof window.BackupEncryption.BackupKeyError)) {
+                    throw error;
+                }
+                
+                console.warn(`Skipping backup ${backupId} from ${targetId}: ${error.message}`);
+                await window.BackupCore.deleteBackupFiles(backupId, this.options);
+                continue;
+            }
+            
+            const { manifest, archiveSha256, encryption } = contents;
+            const backup = window.BackupCore.createMetadataFromManifest(
+                manifest,
+                { archivePath, archiveSize: object.size, archiveSha256, encryption: encryption && encryption.header },
+                { targetId, key: object.key, uploadedAt: new Date(object.modifiedTime || Date.now()).toISOString() }
+            );
+            
+            this.backups.push(backup);
+            imported.push(backup);
+        }
+        
+        await this.saveBackups();
+        return imported;
     }
 
     /**
@@ -290,11 +476,12 @@ class BackupManager {
                 throw new Error(`Server ${backup.serverId} not found`);
             }
             
-            // Trigger restore started event
+            // Trigger restore started event (events are logged, so never pass the key material on)
+            const { passphrase, keyring, ...eventOptions } = options;
             window.BackupEvents.trigger('restoreStarted', { 
                 backup,
                 server,
-                options
+                options: eventOptions
             });
             
             // Perform restore
@@ -332,16 +519,48 @@ class BackupManager {
 
     /**
      * Perform the actual restore
+     * With options.paths only those files are restored, to their original location or,
+     * with options.targetDirectory, below another directory (the server keeps running then).
      * @param {Object} backup - Backup metadata
      * @param {Object} options - Restore options
      * @returns {Promise<Object>} Restore result
      */
     async performRestore(backup, options = {}) {
-        // Load backup manifest
-        const manifest = await window.BackupCore.loadBackupManifest(backup.id, this.options);
+        const keyring = options.keyring || new window.BackupEncryption.BackupKeyring({ passphrase: options.passphrase });
+        const selective = Array.isArray(options.paths);
+        const inPlace = !(selective && options.targetDirectory);
+        
+        // Download the archives from a storage target if they are not on this machine
+        const downloaded = await window.BackupCore.fetchBackupArchives(backup, this.backups, this.options, options.targetId);
+        if (downloaded.length > 0) {
+            window.BackupEvents.trigger('restoreProgress', {
+                backupId: backup.id,
+                serverId: backup.serverId,
+                progress: 5,
+                message: `Downloaded ${downloaded.length} archive${downloaded.length === 1 ? '' : 's'}`
+            });
+        }
+        
+        // Refuse to restore anything from a corrupted backup
+        const verification = await this.verifyBackup(backup.id, { keyring });
+        if (!verification.valid) {
+            const error = new Error(`Backup failed verification: ${verification.errors.join('; ')}`);
+            error.code = 'BACKUP_CORRUPTED';
+            throw error;
+        }
+        
+        // Load backup manifest and files; a missing or wrong key fails here, before anything is touched
+        const backupContents = await window.BackupCore.openBackup(backup.id, this.options, keyring);
+        
+        if (selective) {
+            const missing = options.paths.filter(path => !backupContents.files.has(path));
+            if (missing.length > 0) {
+                throw new Error(`Not in backup ${backup.id}: ${missing.join(', ')}`);
+            }
+        }
         
         // Stop the server if it's running
-        if (options.stopServer !== false) {
+        if (options.stopServer !== false && inPlace) {
             await window.BackupOperations.stopServer(
                 backup.serverId,
                 data => window.BackupEvents.trigger('restoreProgress', data)
@@ -356,11 +575,31 @@ class BackupManager {
             });
         }
         
+        // Restore the chosen files only
+        let restoredFiles = null;
+        if (selective) {
+            restoredFiles = await window.BackupOperations.restoreSelectedFiles(
+                backup.serverId,
+                backupContents,
+                options.paths,
+                { targetDirectory: options.targetDirectory },
+                data => window.BackupEvents.trigger('restoreProgress', data)
+            );
+            
+            // Trigger progress event
+            window.BackupEvents.trigger('restoreProgress', {
+                backupId: backup.id,
+                serverId: backup.serverId,
+                progress: 70,
+                message: `${restoredFiles.length} file${restoredFiles.length === 1 ? '' : 's'} restored`
+            });
+        }
+        
         // Restore configuration files
-        if (options.restoreConfig !== false) {
+        if (!selective && options.restoreConfig !== false) {
             await window.BackupOperations.restoreConfigFiles(
                 backup.serverId, 
-                manifest, 
+                backupContents, 
                 options,
                 data => window.BackupEvents.trigger('restoreProgress', data)
             );
@@ -375,10 +614,10 @@ class BackupManager {
         }
         
         // Restore data files
-        if (options.restoreData !== false) {
+        if (!selective && options.restoreData !== false) {
             await window.BackupOperations.restoreDataFiles(
                 backup.serverId, 
-                manifest, 
+                backupContents, 
                 options,
                 data => window.BackupEvents.trigger('restoreProgress', data)
             );
@@ -393,7 +632,7 @@ class BackupManager {
         }
         
         // Start the server if it was running
-        if (options.startServer !== false) {
+        if (options.startServer !== false && inPlace) {
             await window.BackupOperations.startServer(
                 backup.serverId,
                 data => window.BackupEvents.trigger('restoreProgress', data)
@@ -419,22 +658,114 @@ class BackupManager {
         return {
             success: true,
             serverId: backup.serverId,
-            backupId: backup.id
+            backupId: backup.id,
+            restoredFiles
+        };
+    }
+
+    /**
+     * Compare a file in a backup with the file restoring it would overwrite
+     * @param {string} backupId - Backup ID
+     * @param {string} path - Path of the item in the backup
+     * @param {Object} [options] - Options ({ passphrase, keyring, targetId, targetDirectory })
+     * @returns {Promise<Object>} Preview ({ path, restorePath, size, currentSize, status, added, removed, hunks })
+     */
+    async previewFileRestore(backupId, path, options = {}) {
+        const backup = this.getBackupById(backupId);
+        if (!backup) {
+            throw new Error(`Backup ${backupId} not found`);
+        }
+        
+        const keyring = options.keyring || new window.BackupEncryption.BackupKeyring({ passphrase: options.passphrase });
+        await window.BackupCore.fetchBackupArchives(backup, this.backups, this.options, options.targetId);
+        
+        const { manifest, files } = await window.BackupCore.openBackup(backupId, this.options, keyring);
+        const item = manifest.items.find(entry => entry.path === path);
+        if (!item || !files.has(path)) {
+            throw new Error(`${path} is not in backup ${backupId}`);
+        }
+        
+        const restorePath = window.BackupOperations.getRestorePath(item, options.targetDirectory);
+        const content = files.get(path);
+        const current = await window.FileSystemAPI.existsAsync(restorePath)
+            ? await window.FileSystemAPI.readBinaryFile(restorePath)
+            : null;
+        
+        return {
+            path,
+            restorePath,
+            size: content.length,
+            currentSize: current ? current.length : null,
+            ...window.BackupDiff.compareContents(current, content)
+        };
+    }
+
+    /**
+     * Verify that a backup is complete and uncorrupted
+     * Without the key of an encrypted backup only its archive checksum is checked.
+     * @param {string} backupId - Backup ID
+     * @param {Object} [options] - Verify options ({ passphrase } or { keyring })
+     * @returns {Promise<Object>} Result ({ valid, errors, warnings, checkedFiles, totalSize })
+     */
+    async verifyBackup(backupId, options = {}) {
+        const backup = this.getBackupById(backupId);
+        if (!backup) {
+            throw new Error(`Backup ${backupId} not found`);
+        }
+        
+        const keyring = options.keyring || new window.BackupEncryption.BackupKeyring({ passphrase: options.passphrase });
+        const result = await window.BackupCore.verifyBackup(backup, this.options, this.backups, keyring);
+        
+        // Remember the outcome so the backup list can show it
+        backup.verifiedAt = new Date().toISOString();
+        backup.verification = {
+            valid: result.valid,
+            errors: result.errors,
+            warnings: result.warnings
         };
+        await this.saveBackups();
+        
+        window.BackupEvents.trigger('backupVerified', { backupId, result });
+        
+        return result;
     }
 
     /**
      * Delete a backup
      * @param {string} backupId - Backup ID
+     * @param {Object} [options] - Delete options ({ passphrase }), needed when later backups share its files
      * @returns {Promise<boolean>} Whether the backup was deleted
      */
-    async deleteBackup(backupId) {
+    async deleteBackup(backupId, options = {}) {
         const backup = this.getBackupById(backupId);
         if (!backup) {
             throw new Error(`Backup ${backupId} not found`);
         }
         
         try {
+            // Move files later backups still share into their own archives first
+            const keyring = new window.BackupEncryption.BackupKeyring({ passphrase: options.passphrase });
+            const dependents = await window.BackupCore.detachDependents(backupId, this.backups, this.options, keyring);
+            if (dependents.length > 0) {
+                await this.saveBackups();
+            }
+            
+            // Rewritten archives replace the copies in storage targets
+            const staleTargets = new Set();
+            for (const dependent of dependents.filter(d => d.copies && d.copies.length > 0)) {
+                const { errors } = await this.replicateBackup(dependent.id, dependent.copies.map(copy => copy.targetId));
+                Object.keys(errors).forEach(targetId => staleTargets.add(targetId));
+            }
+            
+            // Delete copies in storage targets, except where a dependent still needs them
+            for (const copy of (backup.copies || []).filter(c => !staleTargets.has(c.targetId))) {
+                try {
+                    await window.BackupCore.deleteRemoteCopy(copy);
+                } catch (error) {
+                    console.error(`Error deleting copy of backup ${backupId} from ${copy.targetId}:`, error);
+                }
+            }
+            
             // Delete backup files
             await window.BackupCore.deleteBackupFiles(backupId, this.options);
             
@@ -487,6 +818,19 @@ class BackupManager {
         // In a real implementation, we would get server info from the server manager
         // For now, we'll return mock data
         
+        // Check the server inventory, which also knows servers by older names and container IDs
+        if (window.ServerInventory) {
+            const entry = window.ServerInventory.getServer(window.BackupCore.resolveServerId(serverId));
+            if (entry) {
+                return {
+                    id: entry.id,
+                    name: entry.name,
+                    type: entry.kind,
+                    status: entry.status
+                };
+            }
+        }
+        
         // Check if Docker manager is available
         if (window.dockerManager) {
             const container = window.dockerManager.getContainerById(serverId);
@@ -25,6 +25,15 @@
  * @property {string} path - Path relative to backup directory
  * @property {string} originalPath - Original file path
  * @property {number} size - File size in bytes
+ * @property {string} [sha256] - SHA-256 of the file, filled in when the archive is written
+ * @property {Object} [source] - Where an incremental backup finds an unchanged file ({ backupId, path })
+ */
+
+/**
+ * @typedef {Object} ArchiveFile
+ * @property {string} path - Path inside the backup archive
+ * @property {Buffer} content - File content
+ * @property {Date} mtime - Modification time
  */
 
 /**
@@ -52,6 +61,31 @@ const _utils = {
         return pathMap[dirType] || `${server.installPath}/${dirType}`;
     },
     
+    /**
+     * Get where a full restore writes a backed-up file
+     * The file keeps its path below the directory of its type; items recorded from
+     * outside the server directory, or escaping it, are refused.
+     * @private
+     * @param {BackupItem} item - Backup item
+     * @param {Object} server - Server information
+     * @param {string} targetDir - Directory of the item type
+     * @returns {string} File path
+     * @throws {Error} If the item would be restored outside the server directory
+     */
+    getItemDestination(item, server, targetDir) {
+        const serverDir = server.installPath.replace(/[\\/]+$/, '');
+        const originalParts = item.originalPath.split(/[\\/]/);
+        const prefix = `${item.type}/`;
+        
+        if (!item.originalPath.startsWith(`${serverDir}/`)
+            || originalParts.some(part => part === '.' || part === '..')
+            || !item.path.startsWith(prefix)) {
+            throw new Error(`Refusing to restore ${item.path} from outside ${serverDir}`);
+        }
+        
+        return getRestorePath({ ...item, path: item.path.slice(prefix.length) }, targetDir);
+    },
+    
     /**
      * Create a backup of a directory
      * @private
@@ -78,10 +112,10 @@ const _utils = {
     },
     
     /**
-     * Process file backup or restore
+     * Collect files for the backup archive
      * @private
      * @param {string} sourceDir - Source directory path
-     * @param {string} targetDir - Target directory path
+     * @param {ArchiveFile[]} archiveFiles - Files to add to the backup archive
      * @param {string} filePattern - File pattern to match
      * @param {string} fileType - File type ('config', 'data', 'log')
      * @param {string[]} excludePatterns - Patterns to exclude
@@ -91,7 +125,7 @@ const _utils = {
      * @param {number} progressRange - Progress range
      * @returns {Promise<BackupResult>} Processing result
      */
-    async processFiles(sourceDir, targetDir, filePattern, fileType, excludePatterns, progressData, progressCallback, baseProgress, progressRange) {
+    async processFiles(sourceDir, archiveFiles, filePattern, fileType, excludePatterns, progressData, progressCallback, baseProgress, progressRange) {
         const files = await window.FileSystemAPI.listFiles(sourceDir, filePattern, excludePatterns);
         
         const items = [];
@@ -111,11 +145,15 @@ const _utils = {
                 });
             }
             
-            // Read file content
-            const content = await window.FileSystemAPI.readFile(`${sourceDir}/${file.name}`);
+            // Read file content (binary safe)
+            const content = await window.FileSystemAPI.readBinaryFile(`${sourceDir}/${file.name}`);
             
-            // Write to target location
-            await window.FileSystemAPI.writeFile(`${targetDir}/${file.name}`, content);
+            // Add to the archive
+            archiveFiles.push({
+                path: `${fileType}/${file.name}`,
+                content,
+                mtime: file.modifiedTime
+            });
             
             // Add to items
             items.push({
@@ -136,22 +174,21 @@ const _utils = {
  * Backup configuration files
  * @param {string} serverId - Server ID
  * @param {string} backupId - Backup ID
- * @param {string} backupDir - Backup directory path
+ * @param {ArchiveFile[]} archiveFiles - Files to add to the backup archive
  * @param {Function} [progressCallback] - Progress callback function
  * @returns {Promise<BackupResult>} Backup result
  */
-async function backupConfigFiles(serverId, backupId, backupDir, progressCallback) {
+async function backupConfigFiles(serverId, backupId, archiveFiles, progressCallback) {
     try {
         const server = await window.ServerManager.getServerInfo(serverId);
         const configDir = _utils.getServerDirPath(server, 'config');
-        const backupConfigDir = `${backupDir}/config`;
         
         // Progress data object for callbacks
         const progressData = { backupId, serverId, progress: 10 };
         
         return await _utils.processFiles(
             configDir,                   // sourceDir
-            backupConfigDir,             // targetDir
+            archiveFiles,                // archiveFiles
             '*.json',                    // filePattern
             'config',                    // fileType
             [],                          // excludePatterns
@@ -170,16 +207,15 @@ async function backupConfigFiles(serverId, backupId, backupDir, progressCallback
  * Backup data files
  * @param {string} serverId - Server ID
  * @param {string} backupId - Backup ID
- * @param {string} backupDir - Backup directory path
+ * @param {ArchiveFile[]} archiveFiles - Files to add to the backup archive
  * @param {BackupOptions} [options={}] - Backup options
  * @param {Function} [progressCallback] - Progress callback function
  * @returns {Promise<BackupResult>} Backup result
  */
-async function backupDataFiles(serverId, backupId, backupDir, options = {}, progressCallback) {
+async function backupDataFiles(serverId, backupId, archiveFiles, options = {}, progressCallback) {
     try {
         const server = await window.ServerManager.getServerInfo(serverId);
         const dataDir = _utils.getServerDirPath(server, 'data');
-        const backupDataDir = `${backupDir}/data`;
         
         // Get exclude patterns
         let excludePatterns = options.excludePatterns || [];
@@ -192,7 +228,7 @@ async function backupDataFiles(serverId, backupId, backupDir, options = {}, prog
         
         return await _utils.processFiles(
             dataDir,                     // sourceDir
-            backupDataDir,               // targetDir
+            archiveFiles,                // archiveFiles
             '*',                         // filePattern
             'data',                      // fileType
             excludePatterns,             // excludePatterns
@@ -211,22 +247,21 @@ async function backupDataFiles(serverId, backupId, backupDir, options = {}, prog
  * Backup log files
  * @param {string} serverId - Server ID
  * @param {string} backupId - Backup ID
- * @param {string} backupDir - Backup directory path
+ * @param {ArchiveFile[]} archiveFiles - Files to add to the backup archive
  * @param {Function} [progressCallback] - Progress callback function
  * @returns {Promise<BackupResult>} Backup result
  */
-async function backupLogFiles(serverId, backupId, backupDir, progressCallback) {
+async function backupLogFiles(serverId, backupId, archiveFiles, progressCallback) {
     try {
         const server = await window.ServerManager.getServerInfo(serverId);
         const logsDir = _utils.getServerDirPath(server, 'logs');
-        const backupLogsDir = `${backupDir}/logs`;
         
         // Progress data object for callbacks
         const progressData = { backupId, serverId, progress: 85 };
         
         return await _utils.processFiles(
             logsDir,                     // sourceDir
-            backupLogsDir,               // targetDir
+            archiveFiles,                // archiveFiles
             '*.log',                     // filePattern
             'log',                       // fileType
             [],                          // excludePatterns
@@ -245,7 +280,7 @@ async function backupLogFiles(serverId, backupId, backupDir, progressCallback) {
  * Restore files of a specific type
  * @private
  * @param {string} serverId - Server ID
- * @param {Object} manifest - Backup manifest
+ * @param {Object} backup - Opened backup ({ manifest, files })
  * @param {string} fileType - File type ('config', 'data', 'log')
  * @param {BackupOptions} [options={}] - Restore options
  * @param {Function} [progressCallback] - Progress callback function
@@ -253,14 +288,15 @@ async function backupLogFiles(serverId, backupId, backupDir, progressCallback) {
  * @param {number} progressRange - Progress range
  * @returns {Promise<void>}
  */
-async function _restoreFiles(serverId, manifest, fileType, options = {}, progressCallback, baseProgress, progressRange) {
+async function _restoreFiles(serverId, backup, fileType, options = {}, progressCallback, baseProgress, progressRange) {
     try {
+        const { manifest, files } = backup;
         const server = await window.ServerManager.getServerInfo(serverId);
         const targetDir = _utils.getServerDirPath(server, fileType);
-        const backupDir = `${options.backupBasePath || './backups'}/${manifest.id}`;
         
-        // Get items from manifest
+        // Get items from manifest and resolve every destination before writing anything
         const items = manifest.items.filter(item => item.type === fileType);
+        const destinations = items.map(item => _utils.getItemDestination(item, server, targetDir));
         
         // Create backup of current files if requested
         if (options.createBackupBeforeRestore) {
@@ -288,11 +324,7 @@ async function _restoreFiles(serverId, manifest, fileType, options = {}, progres
                 });
             }
             
-            // Read backup file
-            const content = await window.FileSystemAPI.readFile(`${backupDir}/${item.path}`);
-            
-            // Write to original location
-            await window.FileSystemAPI.writeFile(item.originalPath, content);
+            await window.FileSystemAPI.writeBinaryFile(destinations[i], files.get(item.path));
         }
     } catch (error) {
         console.error(`Error restoring ${fileType} files:`, error);
@@ -303,25 +335,89 @@ async function _restoreFiles(serverId, manifest, fileType, options = {}, progres
 /**
  * Restore configuration files
  * @param {string} serverId - Server ID
- * @param {Object} manifest - Backup manifest
+ * @param {Object} backup - Opened backup ({ manifest, files })
  * @param {BackupOptions} [options={}] - Restore options
  * @param {Function} [progressCallback] - Progress callback function
  * @returns {Promise<void>}
  */
-async function restoreConfigFiles(serverId, manifest, options = {}, progressCallback) {
-    return _restoreFiles(serverId, manifest, 'config', options, progressCallback, 20, 20);
+async function restoreConfigFiles(serverId, backup, options = {}, progressCallback) {
+    return _restoreFiles(serverId, backup, 'config', options, progressCallback, 20, 20);
 }
 
 /**
  * Restore data files
  * @param {string} serverId - Server ID
- * @param {Object} manifest - Backup manifest
+ * @param {Object} backup - Opened backup ({ manifest, files })
  * @param {BackupOptions} [options={}] - Restore options
  * @param {Function} [progressCallback] - Progress callback function
  * @returns {Promise<void>}
  */
-async function restoreDataFiles(serverId, manifest, options = {}, progressCallback) {
-    return _restoreFiles(serverId, manifest, 'data', options, progressCallback, 45, 30);
+async function restoreDataFiles(serverId, backup, options = {}, progressCallback) {
+    return _restoreFiles(serverId, backup, 'data', options, progressCallback, 45, 30);
+}
+
+/**
+ * Get where a backed-up file is restored to
+ * @param {BackupItem} item - Backup item
+ * @param {string} [targetDirectory] - Alternate directory; files keep their path inside the backup
+ * @returns {string} File path
+ */
+function getRestorePath(item, targetDirectory = null) {
+    if (!targetDirectory) {
+        return item.originalPath;
+    }
+    
+    const parts = item.path.split(/[\\/]/);
+    if (/^([a-zA-Z]:)?[\\/]/.test(item.path) || parts.some(part => part === '' || part === '.' || part === '..')) {
+        throw new Error(`Refusing to restore ${item.path} outside ${targetDirectory}`);
+    }
+    
+    return `${targetDirectory.replace(/[\\/]+$/, '')}/${item.path}`;
+}
+
+/**
+ * Restore individual files
+ * @param {string} serverId - Server ID
+ * @param {Object} backup - Opened backup ({ manifest, files })
+ * @param {string[]} paths - Paths of the items to restore
+ * @param {Object} [options={}] - Restore options ({ targetDirectory })
+ * @param {Function} [progressCallback] - Progress callback function
+ * @returns {Promise<Array<Object>>} Restored files ({ path, restoredTo })
+ */
+async function restoreSelectedFiles(serverId, backup, paths, options = {}, progressCallback) {
+    try {
+        const { manifest, files } = backup;
+        const items = paths.map(path => {
+            const item = manifest.items.find(entry => entry.path === path);
+            if (!item || !files.has(path)) {
+                throw new Error(`${path} is not in backup ${manifest.id}`);
+            }
+            return item;
+        });
+        
+        // Resolve every destination before writing anything
+        const destinations = items.map(item => getRestorePath(item, options.targetDirectory));
+        const restored = [];
+        
+        for (let i = 0; i < items.length; i++) {
+            if (progressCallback) {
+                progressCallback({
+                    backupId: manifest.id,
+                    serverId,
+                    progress: 20 + Math.floor((i / items.length) * 50),
+                    message: `Restoring ${items[i].path}`
+                });
+            }
+            
+            await window.FileSystemAPI.writeBinaryFile(destinations[i], files.get(items[i].path));
+            restored.push({ path: items[i].path, restoredTo: destinations[i] });
+        }
+        
+        return restored;
+    } catch (error) {
+        console.error('Error restoring selected files:', error);
+        throw new Error(`Failed to restore selected files: ${error.message}`);
+    }
 }
 
 /**
@@ -403,6 +499,8 @@ window.BackupOperations = {
     backupLogFiles,
     restoreConfigFiles,
     restoreDataFiles,
+    getRestorePath,
+    restoreSelectedFiles,
     stopServer,
     startServer
 };
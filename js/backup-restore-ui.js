@@ -21,10 +21,35 @@ class BackupRestoreUI {
             createBackupBtn: document.getElementById('create-backup-btn'),
             backupHistoryContainer: document.getElementById('backup-history-container'),
             
+            // Schedule elements
+            scheduleCron: document.getElementById('backup-schedule-cron'),
+            retentionDaily: document.getElementById('backup-retention-daily'),
+            retentionWeekly: document.getElementById('backup-retention-weekly'),
+            retentionMonthly: document.getElementById('backup-retention-monthly'),
+            scheduleIncremental: document.getElementById('backup-schedule-incremental'),
+            scheduleEncrypted: document.getElementById('backup-schedule-encrypted'),
+            scheduleEncryptedContainer: document.getElementById('backup-schedule-encrypted-container'),
+            scheduleEnabled: document.getElementById('backup-schedule-enabled'),
+            saveScheduleBtn: document.getElementById('save-schedule-btn'),
+            removeScheduleBtn: document.getElementById('remove-schedule-btn'),
+            schedulesContainer: document.getElementById('backup-schedules-container'),
+            
+            // Storage target elements
+            targetType: document.getElementById('backup-target-type'),
+            targetName: document.getElementById('backup-target-name'),
+            targetFields: document.getElementById('backup-target-fields'),
+            addTargetBtn: document.getElementById('add-target-btn'),
+            targetsContainer: document.getElementById('backup-targets-container'),
+            restoreSourceTarget: document.getElementById('restore-source-target'),
+            
             // Backup modal elements
             backupModal: document.getElementById('backup-modal'),
             backupDescription: document.getElementById('backup-description'),
             backupIncludeData: document.getElementById('backup-include-data'),
+            backupEncryption: document.getElementById('backup-encryption'),
+            backupEncryptionVault: document.getElementById('backup-encryption-vault'),
+            backupPassphraseGroup: document.getElementById('backup-passphrase-group'),
+            backupPassphrase: document.getElementById('backup-passphrase'),
             confirmBackupBtn: document.getElementById('confirm-backup-btn'),
             cancelBackupBtn: document.getElementById('cancel-backup-btn'),
             
@@ -33,9 +58,24 @@ class BackupRestoreUI {
             restoreBackupId: document.getElementById('restore-backup-id'),
             restoreServerId: document.getElementById('restore-server-id'),
             restoreCreateBackup: document.getElementById('restore-create-backup'),
+            restorePassphraseGroup: document.getElementById('restore-passphrase-group'),
+            restorePassphrase: document.getElementById('restore-passphrase'),
             confirmRestoreBtn: document.getElementById('confirm-restore-btn'),
             cancelRestoreBtn: document.getElementById('cancel-restore-btn'),
             
+            // File restore modal elements
+            fileRestoreModal: document.getElementById('file-restore-modal'),
+            fileRestoreBackupId: document.getElementById('file-restore-backup-id'),
+            fileRestorePassphraseGroup: document.getElementById('file-restore-passphrase-group'),
+            fileRestorePassphrase: document.getElementById('file-restore-passphrase'),
+            fileRestoreTree: document.getElementById('file-restore-tree'),
+            fileRestorePreview: document.getElementById('file-restore-preview'),
+            fileRestoreLocation: document.getElementById('file-restore-location'),
+            fileRestoreDirectoryGroup: document.getElementById('file-restore-directory-group'),
+            fileRestoreDirectory: document.getElementById('file-restore-directory'),
+            confirmFileRestoreBtn: document.getElementById('confirm-file-restore-btn'),
+            cancelFileRestoreBtn: document.getElementById('cancel-file-restore-btn'),
+            
             // Progress elements
             progressContainer: document.getElementById('backup-progress-container'),
             progressBar: document.getElementById('backup-progress-bar'),
@@ -45,6 +85,23 @@ class BackupRestoreUI {
         
         this.addEventListeners();
         this.loadServerList();
+        this.initTargetForm();
+        this.updateVaultKeyOptions();
+    }
+
+    /**
+     * Offer the credential vault key for encryption only once a vault exists
+     */
+    updateVaultKeyOptions() {
+        const vaultEnabled = Boolean(window.SecurityManager && window.SecurityManager.isVaultEnabled());
+        
+        if (this.elements.scheduleEncryptedContainer) {
+            this.elements.scheduleEncryptedContainer.style.display = vaultEnabled ? '' : 'none';
+        }
+        if (this.elements.backupEncryptionVault) {
+            this.elements.backupEncryptionVault.hidden = !vaultEnabled;
+            this.elements.backupEncryptionVault.disabled = !vaultEnabled;
+        }
     }
 
     /**
@@ -52,17 +109,87 @@ class BackupRestoreUI {
      */
     addEventListeners() {
         // Backup tab events
-        this.elements.backupServerSelect.addEventListener('change', () => this.loadBackupHistory());
+        this.elements.backupServerSelect.addEventListener('change', () => {
+            this.loadBackupHistory();
+            this.loadScheduleForm();
+        });
         this.elements.createBackupBtn.addEventListener('click', () => this.showBackupModal());
         
+        // Schedule events
+        if (this.elements.saveScheduleBtn) {
+            this.elements.saveScheduleBtn.addEventListener('click', () => this.saveSchedule());
+            this.elements.removeScheduleBtn.addEventListener('click', () => this.removeSchedule());
+            window.BackupEvents.on('scheduleUpdated', () => this.renderSchedules());
+        }
+        
+        // The vault can be set up while the backup tab is open
+        window.addEventListener('credential-vault-enabled', () => this.updateVaultKeyOptions());
+        
         // Backup modal events
         this.elements.confirmBackupBtn.addEventListener('click', () => this.createBackup());
         this.elements.cancelBackupBtn.addEventListener('click', () => this.hideBackupModal());
+        if (this.elements.backupEncryption) {
+            this.elements.backupEncryption.addEventListener('change', () => {
+                this.elements.backupPassphraseGroup.style.display =
+                    this.elements.backupEncryption.value === 'passphrase' ? 'block' : 'none';
+            });
+        }
+        
+        // Storage target events
+        if (this.elements.addTargetBtn) {
+            this.elements.targetType.addEventListener('change', () => this.renderTargetFields());
+            this.elements.addTargetBtn.addEventListener('click', () => this.addTarget());
+            this.elements.targetsContainer.addEventListener('click', (e) => {
+                const targetId = e.target.dataset.targetId;
+                
+                if (e.target.classList.contains('test-target-btn')) {
+                    this.testTarget(targetId);
+                }
+                
+                if (e.target.classList.contains('import-target-btn')) {
+                    this.importFromTarget(targetId);
+                }
+                
+                if (e.target.classList.contains('remove-target-btn')) {
+                    this.removeTarget(targetId);
+                }
+            });
+        }
         
         // Restore modal events
         this.elements.confirmRestoreBtn.addEventListener('click', () => this.restoreBackup());
         this.elements.cancelRestoreBtn.addEventListener('click', () => this.hideRestoreModal());
         
+        // File restore modal events
+        if (this.elements.fileRestoreModal) {
+            this.elements.confirmFileRestoreBtn.addEventListener('click', () => this.restoreSelectedFiles());
+            this.elements.cancelFileRestoreBtn.addEventListener('click', () => this.hideFileRestoreModal());
+            this.elements.fileRestoreLocation.addEventListener('change', () => {
+                this.elements.fileRestoreDirectoryGroup.style.display =
+                    this.elements.fileRestoreLocation.value === 'alternate' ? 'block' : 'none';
+                this.refreshFilePreview();
+            });
+            this.elements.fileRestoreDirectory.addEventListener('change', () => this.refreshFilePreview());
+            this.elements.fileRestorePassphrase.addEventListener('change', () => {
+                // A new passphrase needs a new keyring
+                this.fileRestoreKeyring = null;
+                this.refreshFilePreview();
+            });
+            this.elements.fileRestoreTree.addEventListener('click', (e) => {
+                if (e.target.classList.contains('file-name')) {
+                    this.previewFile(e.target.dataset.path);
+                }
+            });
+            this.elements.fileRestoreTree.addEventListener('change', (e) => {
+                // Checking a directory checks everything below it
+                if (e.target.dataset.directory) {
+                    e.target.closest('li').querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                        checkbox.checked = e.target.checked;
+                    });
+                }
+            });
+        }
+        
         // Delegate click events for dynamic restore buttons
         this.elements.backupHistoryContainer.addEventListener('click', (e) => {
             if (e.target.classList.contains('restore-backup-btn')) {
@@ -71,6 +198,14 @@ class BackupRestoreUI {
                 this.showRestoreModal(serverId, backupId);
             }
             
+            if (e.target.classList.contains('verify-backup-btn')) {
+                this.verifyBackup(e.target.dataset.backupId);
+            }
+            
+            if (e.target.classList.contains('browse-backup-btn')) {
+                this.showFileRestoreModal(e.target.dataset.backupId);
+            }
+            
             if (e.target.classList.contains('delete-backup-btn')) {
                 const backupId = e.target.dataset.backupId;
                 const serverId = this.elements.backupServerSelect.value;
@@ -84,7 +219,7 @@ class BackupRestoreUI {
      */
     async loadServerList() {
         try {
-            const servers = await this.serverManager.getServers();
+            const servers = await this.serverManager.getServerList();
             
             // Clear existing options
             this.elements.backupServerSelect.innerHTML = '';
@@ -98,6 +233,7 @@ class BackupRestoreUI {
             this.elements.backupServerSelect.appendChild(defaultOption);
             
             // Add server options
+            this.serverNames = new Map(servers.map(server => [server.id, server.name]));
             servers.forEach(server => {
                 const option = document.createElement('option');
                 option.value = server.id;
@@ -109,6 +245,8 @@ class BackupRestoreUI {
             if (this.elements.backupServerSelect.value) {
                 this.loadBackupHistory();
             }
+            
+            this.renderSchedules();
         } catch (error) {
             console.error('Error loading server list:', error);
             this.showError('Failed to load server list. Please try again.');
@@ -149,9 +287,14 @@ class BackupRestoreUI {
                         <div class="backup-info">
                             <h4>${backup.id}</h4>
                             <p class="backup-date">${date}</p>
-                            <p class="backup-description">${backup.description || 'No description'}</p>
+                            <p class="backup-description">${this.escapeHtml(backup.description || 'No description')}</p>
+                            ${backup.encryption ? `<p class="backup-encrypted">Encrypted with ${backup.encryption.keySource === 'passphrase' ? 'a passphrase' : 'the credential vault key'}</p>` : ''}
+                            ${this.renderVerificationStatus(backup)}
+                            ${this.renderCopies(backup)}
                         </div>
                         <div class="backup-actions">
+                            <button class="verify-backup-btn" data-backup-id="${backup.id}">Verify</button>
+                            <button class="browse-backup-btn" data-backup-id="${backup.id}">Browse Files</button>
                             <button class="restore-backup-btn" data-backup-id="${backup.id}">Restore</button>
                             <button class="delete-backup-btn" data-backup-id="${backup.id}">Delete</button>
                         </div>
@@ -167,6 +310,321 @@ class BackupRestoreUI {
         }
     }
 
+    /**
+     * Render the result of the last verification of a backup
+     * @param {Object} backup - Backup metadata
+     * @returns {string} HTML for the verification status
+     */
+    renderVerificationStatus(backup) {
+        if (!backup.verification) {
+            return '';
+        }
+        
+        const date = new Date(backup.verifiedAt).toLocaleString();
+        
+        if (backup.verification.valid) {
+            return `<p class="backup-verification verified">Verified ${date}</p>`;
+        }
+        
+        return `<p class="backup-verification corrupted">Corrupted (checked ${date}): ${this.escapeHtml(backup.verification.errors[0])}</p>`;
+    }
+
+    /**
+     * Fill the schedule form with the schedule of the selected server
+     */
+    loadScheduleForm() {
+        if (!this.elements.scheduleCron || !window.backupScheduler) {
+            return;
+        }
+        
+        const schedule = window.backupScheduler.getSchedule(this.elements.backupServerSelect.value);
+        const retention = schedule ? schedule.retention : window.BackupSchedule.DEFAULT_RETENTION;
+        
+        this.elements.scheduleCron.value = schedule ? schedule.cron : '';
+        this.elements.retentionDaily.value = retention.daily;
+        this.elements.retentionWeekly.value = retention.weekly;
+        this.elements.retentionMonthly.value = retention.monthly;
+        this.elements.scheduleIncremental.checked = schedule ? schedule.incremental : true;
+        if (this.elements.scheduleEncrypted) {
+            this.elements.scheduleEncrypted.checked = schedule ? Boolean(schedule.encrypted) : false;
+        }
+        this.elements.scheduleEnabled.checked = schedule ? schedule.enabled : true;
+    }
+
+    /**
+     * Save the schedule of the selected server
+     */
+    saveSchedule() {
+        const serverId = this.elements.backupServerSelect.value;
+        
+        if (!serverId) {
+            this.showError('Please select a server to schedule.');
+            return;
+        }
+        
+        if (!window.backupScheduler) {
+            this.showError('The backup scheduler is not available.');
+            return;
+        }
+        
+        try {
+            const schedule = window.backupScheduler.setSchedule(serverId, {
+                cron: this.elements.scheduleCron.value.trim() || '0 2 * * *',
+                incremental: this.elements.scheduleIncremental.checked,
+                encrypted: this.elements.scheduleEncrypted ? this.elements.scheduleEncrypted.checked : false,
+                enabled: this.elements.scheduleEnabled.checked,
+                retention: {
+                    daily: parseInt(this.elements.retentionDaily.value, 10) || 0,
+                    weekly: parseInt(this.elements.retentionWeekly.value, 10) || 0,
+                    monthly: parseInt(this.elements.retentionMonthly.value, 10) || 0
+                }
+            });
+            
+            this.showSuccess(schedule.nextRunAt
+                ? `Next backup: ${new Date(schedule.nextRunAt).toLocaleString()}`
+                : 'Schedule saved (disabled)');
+        } catch (error) {
+            console.error('Error saving backup schedule:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Remove the schedule of the selected server
+     */
+    removeSchedule() {
+        const serverId = this.elements.backupServerSelect.value;
+        
+        if (serverId && window.backupScheduler && window.backupScheduler.removeSchedule(serverId)) {
+            this.loadScheduleForm();
+            this.showSuccess('Backup schedule removed');
+        }
+    }
+
+    /**
+     * Render all schedules with their last and next runs
+     */
+    renderSchedules() {
+        if (!this.elements.schedulesContainer || !window.backupScheduler) {
+            return;
+        }
+        
+        const schedules = window.backupScheduler.getSchedules();
+        
+        if (schedules.length === 0) {
+            this.elements.schedulesContainer.innerHTML = '<p>No backup schedules configured.</p>';
+            return;
+        }
+        
+        let html = `
+            <table class="backup-schedule-table">
+                <thead>
+                    <tr>
+                        <th>Server</th>
+                        <th>Schedule</th>
+                        <th>Retention</th>
+                        <th>Last Run</th>
+                        <th>Next Run</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        schedules.forEach(schedule => {
+            const serverName = (this.serverNames && this.serverNames.get(schedule.serverId)) || schedule.serverId;
+            const { daily, weekly, monthly } = schedule.retention;
+            const lastRun = schedule.lastRunAt
+                ? `${new Date(schedule.lastRunAt).toLocaleString()} (${schedule.lastResult.status})`
+                : 'Never';
+            const nextRun = schedule.enabled && schedule.nextRunAt
+                ? new Date(schedule.nextRunAt).toLocaleString()
+                : 'Disabled';
+            const failed = schedule.lastResult && schedule.lastResult.status === 'failed';
+            const error = failed ? this.escapeHtml(schedule.lastResult.error || '') : '';
+            
+            html += `
+                <tr class="${schedule.enabled ? '' : 'schedule-disabled'}">
+                    <td>${this.escapeHtml(serverName)}</td>
+                    <td><code>${this.escapeHtml(schedule.cron)}</code>${schedule.incremental ? ' (incremental)' : ''}${schedule.encrypted ? ' (encrypted)' : ''}</td>
+                    <td>${daily} daily, ${weekly} weekly, ${monthly} monthly</td>
+                    <td class="${failed ? 'schedule-failed' : ''}" title="${error}">${this.escapeHtml(lastRun)}</td>
+                    <td>${nextRun}</td>
+                </tr>
+            `;
+        });
+        
+        html += '</tbody></table>';
+        this.elements.schedulesContainer.innerHTML = html;
+    }
+
+    /**
+     * Render where copies of a backup are stored
+     * @param {Object} backup - Backup metadata
+     * @returns {string} HTML for the copies
+     */
+    renderCopies(backup) {
+        if (!backup.copies || backup.copies.length === 0 || !window.BackupStorage) {
+            return '';
+        }
+        
+        const names = backup.copies.map(copy => {
+            const target = window.BackupStorage.getTarget(copy.targetId);
+            return target ? target.name : 'removed target';
+        });
+        
+        return `<p class="backup-copies">Copied to ${this.escapeHtml(names.join(', '))}</p>`;
+    }
+
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     * @private
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Fill the storage target type select
+     */
+    initTargetForm() {
+        if (!this.elements.targetType || !window.BackupStorage) {
+            return;
+        }
+        
+        this.elements.targetType.innerHTML = Object.entries(window.BackupStorage.TARGET_TYPES)
+            .map(([type, definition]) => `<option value="${type}">${definition.name}</option>`)
+            .join('');
+        
+        this.renderTargetFields();
+        this.renderTargets();
+    }
+
+    /**
+     * Render the configuration fields of the selected target type
+     */
+    renderTargetFields() {
+        const definition = window.BackupStorage.TARGET_TYPES[this.elements.targetType.value];
+        
+        this.elements.targetFields.innerHTML = definition.fields.map(field => `
+            <div class="form-group">
+                <label for="backup-target-${field.id}">${field.label}${field.required ? ' *' : ''}</label>
+                <input type="${field.type}" id="backup-target-${field.id}" data-field="${field.id}" placeholder="${field.placeholder}">
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Add a storage target from the form
+     */
+    async addTarget() {
+        const settings = {};
+        this.elements.targetFields.querySelectorAll('[data-field]').forEach(input => {
+            if (input.value.trim()) {
+                settings[input.dataset.field] = input.value.trim();
+            }
+        });
+        
+        try {
+            const target = await window.BackupStorage.saveTarget({
+                type: this.elements.targetType.value,
+                name: this.elements.targetName.value.trim(),
+                settings
+            });
+            
+            this.elements.targetName.value = '';
+            this.renderTargetFields();
+            this.renderTargets();
+            
+            const result = await window.BackupStorage.testTarget(target);
+            if (result.success) {
+                this.showSuccess(`Storage target ${target.name} added`);
+            } else {
+                this.showError(`Storage target ${target.name} added, but it is not writable: ${result.error}`);
+            }
+        } catch (error) {
+            console.error('Error adding storage target:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Render the configured storage targets
+     */
+    renderTargets() {
+        if (!this.elements.targetsContainer || !window.BackupStorage) {
+            return;
+        }
+        
+        const targets = window.BackupStorage.loadTargets();
+        
+        if (targets.length === 0) {
+            this.elements.targetsContainer.innerHTML = '<p>Backups are only stored on this machine.</p>';
+            return;
+        }
+        
+        this.elements.targetsContainer.innerHTML = targets.map(target => `
+            <div class="backup-item">
+                <div class="backup-info">
+                    <h4>${this.escapeHtml(target.name)}</h4>
+                    <p class="backup-description">${window.BackupStorage.TARGET_TYPES[target.type].name}</p>
+                </div>
+                <div class="backup-actions backup-target-actions">
+                    <button class="verify-backup-btn test-target-btn" data-target-id="${target.id}">Test</button>
+                    <button class="restore-backup-btn import-target-btn" data-target-id="${target.id}">Import Backups</button>
+                    <button class="delete-backup-btn remove-target-btn" data-target-id="${target.id}">Remove</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Check that a storage target is writable
+     * @param {string} targetId - Target ID
+     */
+    async testTarget(targetId) {
+        const result = await window.BackupStorage.testTarget(targetId);
+        
+        if (result.success) {
+            this.showSuccess('Storage target is reachable and writable');
+        } else {
+            this.showError(`Storage target test failed: ${result.error}`);
+        }
+    }
+
+    /**
+     * Add the backups stored in a target to the backup history
+     * @param {string} targetId - Target ID
+     */
+    async importFromTarget(targetId) {
+        try {
+            await this.backupManager.loadBackups();
+            const imported = await this.backupManager.importBackupsFromTarget(targetId);
+            
+            this.loadBackupHistory();
+            this.showSuccess(`Imported ${imported.length} backup${imported.length === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('Error importing backups:', error);
+            this.showError(`Failed to import backups: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a storage target
+     * @param {string} targetId - Target ID
+     */
+    async removeTarget(targetId) {
+        if (confirm('Remove this storage target? Copies already stored there are kept.')) {
+            await window.BackupStorage.removeTarget(targetId);
+            this.renderTargets();
+        }
+    }
+
     /**
      * Show backup modal
      */
@@ -181,6 +639,11 @@ class BackupRestoreUI {
         // Reset form
         this.elements.backupDescription.value = '';
         this.elements.backupIncludeData.checked = true;
+        if (this.elements.backupEncryption) {
+            this.elements.backupEncryption.value = '';
+            this.elements.backupPassphrase.value = '';
+            this.elements.backupPassphraseGroup.style.display = 'none';
+        }
         
         // Show modal
         this.elements.backupModal.classList.add('show');
@@ -203,11 +666,43 @@ class BackupRestoreUI {
         this.elements.restoreServerId.value = serverId;
         this.elements.restoreBackupId.value = backupId;
         this.elements.restoreCreateBackup.checked = true;
+        if (this.elements.restorePassphrase) {
+            this.elements.restorePassphrase.value = '';
+        }
+        
+        this.loadRestoreSources(backupId);
         
         // Show modal
         this.elements.restoreModal.classList.add('show');
     }
 
+    /**
+     * Offer every storage target that holds a copy of a backup as restore source
+     * @param {string} backupId - Backup ID
+     */
+    async loadRestoreSources(backupId) {
+        if (!this.elements.restoreSourceTarget) {
+            return;
+        }
+        
+        const backups = await window.BackupCore.loadBackups();
+        const backup = window.BackupCore.getBackupById(backups, backupId);
+        const copies = (backup && backup.copies) || [];
+        
+        // Ask for the passphrase up front instead of failing the restore
+        if (this.elements.restorePassphraseGroup) {
+            const needsPassphrase = Boolean(backup && backup.encryption && backup.encryption.keySource === 'passphrase');
+            this.elements.restorePassphraseGroup.style.display = needsPassphrase ? 'block' : 'none';
+        }
+        
+        this.elements.restoreSourceTarget.innerHTML = '<option value="">This machine</option>' + copies
+            .map(copy => {
+                const target = window.BackupStorage && window.BackupStorage.getTarget(copy.targetId);
+                return target ? `<option value="${target.id}">${this.escapeHtml(target.name)}</option>` : '';
+            })
+            .join('');
+    }
+
     /**
      * Hide restore modal
      */
@@ -215,6 +710,282 @@ class BackupRestoreUI {
         this.elements.restoreModal.classList.remove('show');
     }
 
+    /**
+     * Show the file restore modal with the file tree of a backup
+     * @param {string} backupId - Backup ID
+     */
+    async showFileRestoreModal(backupId) {
+        const backups = await window.BackupCore.loadBackups();
+        const backup = window.BackupCore.getBackupById(backups, backupId);
+        if (!backup) {
+            this.showError(`Backup ${backupId} not found`);
+            return;
+        }
+        
+        // Keys are derived once per modal, not once per previewed file
+        this.fileRestoreKeyring = null;
+        this.fileRestorePreviewPath = null;
+        
+        this.elements.fileRestoreBackupId.value = backupId;
+        this.elements.fileRestorePassphrase.value = '';
+        this.elements.fileRestorePassphraseGroup.style.display =
+            backup.encryption && backup.encryption.keySource === 'passphrase' ? 'block' : 'none';
+        this.elements.fileRestoreLocation.value = 'original';
+        this.elements.fileRestoreDirectoryGroup.style.display = 'none';
+        this.elements.fileRestoreDirectory.value = '';
+        this.elements.fileRestorePreview.innerHTML = '<p>Select a file to compare it with the version on disk.</p>';
+        
+        this.elements.fileRestoreTree.innerHTML = '';
+        this.elements.fileRestoreTree.appendChild(this.renderFileTree(window.BackupCore.buildFileTree(backup.items || [])));
+        
+        // Show modal
+        this.elements.fileRestoreModal.classList.add('show');
+    }
+
+    /**
+     * Render a directory of the backup file tree
+     * @param {Object} node - Tree node from BackupCore.buildFileTree
+     * @returns {HTMLElement} List element
+     */
+    renderFileTree(node) {
+        const list = document.createElement('ul');
+        
+        node.children.forEach(child => {
+            const entry = document.createElement('li');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            
+            const name = document.createElement('span');
+            name.textContent = child.name;
+            entry.appendChild(checkbox);
+            entry.appendChild(name);
+            
+            if (child.item) {
+                checkbox.dataset.path = child.path;
+                name.className = 'file-name';
+                name.dataset.path = child.path;
+                
+                const size = document.createElement('span');
+                size.className = 'file-size';
+                size.textContent = this.formatSize(child.item.size);
+                entry.appendChild(size);
+            } else {
+                checkbox.dataset.directory = child.path;
+                name.textContent = `${child.name}/`;
+                entry.appendChild(this.renderFileTree(child));
+            }
+            
+            list.appendChild(entry);
+        });
+        
+        return list;
+    }
+
+    /**
+     * Format a file size for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Formatted size
+     */
+    formatSize(bytes) {
+        if (typeof bytes !== 'number') {
+            return '';
+        }
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Get the keyring for the backup open in the file restore modal
+     * @returns {Object} BackupKeyring
+     */
+    getFileRestoreKeyring() {
+        if (!this.fileRestoreKeyring) {
+            this.fileRestoreKeyring = new window.BackupEncryption.BackupKeyring({
+                passphrase: this.elements.fileRestorePassphrase.value || null
+            });
+        }
+        return this.fileRestoreKeyring;
+    }
+
+    /**
+     * Get the alternate restore directory, or null to restore to the original location
+     * @returns {string|null} Directory
+     */
+    getFileRestoreDirectory() {
+        if (this.elements.fileRestoreLocation.value !== 'alternate') {
+            return null;
+        }
+        return this.elements.fileRestoreDirectory.value.trim() || null;
+    }
+
+    /**
+     * Preview the file again after the destination or the passphrase changed
+     */
+    refreshFilePreview() {
+        if (this.fileRestorePreviewPath) {
+            this.previewFile(this.fileRestorePreviewPath);
+        }
+    }
+
+    /**
+     * Show what restoring a file would change
+     * @param {string} path - Path of the item in the backup
+     */
+    async previewFile(path) {
+        const preview = this.elements.fileRestorePreview;
+        this.fileRestorePreviewPath = path;
+        
+        this.elements.fileRestoreTree.querySelectorAll('.file-name').forEach(name => {
+            name.classList.toggle('active', name.dataset.path === path);
+        });
+        preview.innerHTML = '<p>Loading preview...</p>';
+        
+        try {
+            await this.backupManager.loadBackups();
+            const result = await this.backupManager.previewFileRestore(this.elements.fileRestoreBackupId.value, path, {
+                keyring: this.getFileRestoreKeyring(),
+                targetDirectory: this.getFileRestoreDirectory()
+            });
+            
+            // Another file was selected while this one loaded
+            if (this.fileRestorePreviewPath !== path) {
+                return;
+            }
+            
+            const summary = document.createElement('p');
+            summary.className = 'preview-summary';
+            
+            switch (result.status) {
+                case 'identical':
+                    summary.textContent = `${result.restorePath} is the same as in the backup.`;
+                    break;
+                case 'missing':
+                    summary.textContent = `${result.restorePath} does not exist; restoring creates it (${result.added} lines).`;
+                    break;
+                case 'binary':
+                    summary.textContent = `${result.restorePath} is a binary file (${this.formatSize(result.currentSize)} on disk, ${this.formatSize(result.size)} in the backup).`;
+                    break;
+                case 'too-large':
+                    summary.textContent = `${result.restorePath} is too large to compare line by line.`;
+                    break;
+                default:
+                    summary.textContent = result.hunks.length > 0
+                        ? `Restoring ${result.restorePath} adds ${result.added} and removes ${result.removed} lines.`
+                        : `${result.restorePath} differs from the backup only in line endings.`;
+            }
+            
+            preview.innerHTML = '';
+            preview.appendChild(summary);
+            result.hunks.forEach(hunk => preview.appendChild(this.renderDiffHunk(hunk)));
+        } catch (error) {
+            console.error('Error previewing file:', error);
+            preview.innerHTML = '';
+            
+            const message = document.createElement('p');
+            message.textContent = `Failed to preview ${path}: ${error.message}`;
+            preview.appendChild(message);
+            
+            // The keyring holds the passphrase it was created with; use a new one for the next attempt
+            if (error.code === 'PASSPHRASE_REQUIRED' || error.code === 'WRONG_KEY') {
+                this.fileRestoreKeyring = null;
+                this.elements.fileRestorePassphraseGroup.style.display = 'block';
+                this.elements.fileRestorePassphrase.focus();
+            }
+        }
+    }
+
+    /**
+     * Render a diff hunk
+     * @param {Object} hunk - Hunk from BackupDiff.createHunks
+     * @returns {HTMLElement} Preformatted element
+     */
+    renderDiffHunk(hunk) {
+        const block = document.createElement('pre');
+        block.className = 'file-diff';
+        
+        const header = document.createElement('span');
+        header.className = 'diff-hunk';
+        header.textContent = `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+        block.appendChild(header);
+        
+        const prefixes = { equal: ' ', remove: '-', add: '+' };
+        hunk.lines.forEach(line => {
+            const row = document.createElement('span');
+            row.className = `diff-${line.type}`;
+            row.textContent = `${prefixes[line.type]}${line.text}`;
+            block.appendChild(row);
+        });
+        
+        return block;
+    }
+
+    /**
+     * Hide the file restore modal
+     */
+    hideFileRestoreModal() {
+        this.elements.fileRestoreModal.classList.remove('show');
+        this.fileRestoreKeyring = null;
+        this.fileRestorePreviewPath = null;
+    }
+
+    /**
+     * Restore the files checked in the file restore modal
+     */
+    async restoreSelectedFiles() {
+        const paths = Array.from(this.elements.fileRestoreTree.querySelectorAll('input[data-path]:checked'))
+            .map(checkbox => checkbox.dataset.path);
+        const targetDirectory = this.getFileRestoreDirectory();
+        
+        if (paths.length === 0) {
+            this.showError('Select the files to restore.');
+            return;
+        }
+        
+        if (this.elements.fileRestoreLocation.value === 'alternate' && !targetDirectory) {
+            this.showError('Enter the folder to restore the files to.');
+            return;
+        }
+        
+        const backupId = this.elements.fileRestoreBackupId.value;
+        const keyring = this.getFileRestoreKeyring();
+        
+        try {
+            // Hide modal
+            this.hideFileRestoreModal();
+            
+            // Show progress
+            this.showProgress();
+            this.updateProgress(0, 'Preparing restore...');
+            
+            // Restore the files
+            await this.backupManager.loadBackups();
+            const result = await this.backupManager.restoreBackup(backupId, {
+                paths,
+                targetDirectory,
+                keyring,
+                progressCallback: (progress, status) => {
+                    this.updateProgress(progress, status);
+                }
+            });
+            
+            // Complete progress
+            this.updateProgress(100, 'Restore completed successfully!');
+            setTimeout(() => this.hideProgress(), 2000);
+            
+            const count = result.restoredFiles.length;
+            this.showSuccess(`${count} file${count === 1 ? '' : 's'} restored${targetDirectory ? ` to ${targetDirectory}` : ''}`);
+        } catch (error) {
+            console.error('Error restoring files:', error);
+            this.hideProgress();
+            this.showError(`Failed to restore files: ${error.message}`);
+        }
+    }
+
     /**
      * Create a backup
      */
@@ -223,6 +994,8 @@ class BackupRestoreUI {
             const serverId = this.elements.backupServerSelect.value;
             const description = this.elements.backupDescription.value;
             const includeData = this.elements.backupIncludeData.checked;
+            const keySource = this.elements.backupEncryption ? this.elements.backupEncryption.value : '';
+            const encryption = keySource ? { keySource, passphrase: this.elements.backupPassphrase.value } : null;
             
             // Hide modal
             this.hideBackupModal();
@@ -235,6 +1008,7 @@ class BackupRestoreUI {
             const backupId = await this.backupManager.createBackup(serverId, {
                 description,
                 includeData,
+                encryption,
                 progressCallback: (progress, status) => {
                     this.updateProgress(progress, status);
                 }
@@ -260,9 +1034,10 @@ class BackupRestoreUI {
      */
     async restoreBackup() {
         try {
-            const serverId = this.elements.restoreServerId.value;
             const backupId = this.elements.restoreBackupId.value;
             const createBackup = this.elements.restoreCreateBackup.checked;
+            const targetId = this.elements.restoreSourceTarget ? this.elements.restoreSourceTarget.value : '';
+            const passphrase = this.elements.restorePassphrase ? this.elements.restorePassphrase.value : '';
             
             // Hide modal
             this.hideRestoreModal();
@@ -272,8 +1047,11 @@ class BackupRestoreUI {
             this.updateProgress(0, 'Preparing restore...');
             
             // Restore backup
-            await this.backupManager.restoreBackup(serverId, backupId, {
+            await this.backupManager.loadBackups();
+            await this.backupManager.restoreBackup(backupId, {
                 createBackupFirst: createBackup,
+                targetId: targetId || null,
+                passphrase: passphrase || null,
                 progressCallback: (progress, status) => {
                     this.updateProgress(progress, status);
                 }
@@ -291,6 +1069,44 @@ class BackupRestoreUI {
             console.error('Error restoring backup:', error);
             this.hideProgress();
             this.showError(`Failed to restore backup: ${error.message}`);
+            
+            // Nothing was restored; ask again for the passphrase
+            if (error.code === 'PASSPHRASE_REQUIRED' || (error.code === 'WRONG_KEY' && this.elements.restorePassphrase.value)) {
+                this.elements.restoreModal.classList.add('show');
+                this.elements.restorePassphraseGroup.style.display = 'block';
+                this.elements.restorePassphrase.value = '';
+                this.elements.restorePassphrase.focus();
+            }
+        }
+    }
+
+    /**
+     * Verify a backup before it is needed for a restore
+     * @param {string} backupId - Backup ID
+     */
+    async verifyBackup(backupId) {
+        try {
+            // Show progress
+            this.showProgress();
+            this.updateProgress(0, 'Verifying backup...');
+            
+            // Verify backup
+            const result = await this.backupManager.verifyBackup(backupId);
+            
+            this.updateProgress(100, 'Verification finished');
+            this.hideProgress();
+            this.loadBackupHistory();
+            
+            if (result.valid) {
+                const warnings = result.warnings.length > 0 ? ` (${result.warnings.join('; ')})` : '';
+                this.showSuccess(`Backup verified: ${result.checkedFiles} files are intact${warnings}`);
+            } else {
+                this.showError(`Backup ${backupId} is corrupted: ${result.errors.join('; ')}`);
+            }
+        } catch (error) {
+            console.error('Error verifying backup:', error);
+            this.hideProgress();
+            this.showError(`Failed to verify backup: ${error.message}`);
         }
     }
 
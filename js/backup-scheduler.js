@@ -0,0 +1,498 @@
+/**
+ * Backup Scheduler - Runs backups on per-server cron schedules
+ * Skips runs when nothing changed since the latest backup, prunes scheduled backups
+ * grandfather-father-son style and reports runs missed while the app was closed.
+ */
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const DEFAULT_RETENTION = { daily: 7, weekly: 4, monthly: 6 };
+
+/**
+ * Parse one field of a cron expression
+ * @private
+ * @param {string} text - Field text (e.g. '*', '1-5', '*\/15', '0,30')
+ * @param {Object} field - Field definition ({ name, min, max })
+ * @returns {Set<number>} Matching values
+ */
+function _parseCronField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        let start;
+        let end;
+
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(Number);
+        } else {
+            start = Number(range);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        if (![start, end, step].every(Number.isInteger) || step < 1 || start < field.min || end > field.max || start > end) {
+            throw new Error(`Invalid ${field.name} in cron expression: ${part}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            // Sunday may be written as 0 or 7
+            values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * Supports the five standard fields and the @hourly, @daily, @weekly and @monthly aliases.
+ * @param {string} expression - Cron expression
+ * @returns {Object} Schedule with the matching values of each field
+ */
+function parseCron(expression) {
+    const normalized = CRON_ALIASES[expression.trim()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error(`Cron expression needs ${CRON_FIELDS.length} fields: ${expression}`);
+    }
+
+    const schedule = {};
+    CRON_FIELDS.forEach((field, index) => {
+        schedule[field.name] = _parseCronField(parts[index], field);
+    });
+
+    // As in cron, a restricted day of month and day of week match either
+    schedule.anyDayOfMonth = parts[2] === '*';
+    schedule.anyDayOfWeek = parts[4] === '*';
+
+    return schedule;
+}
+
+/**
+ * Check whether a date falls on a scheduled day
+ * @private
+ * @param {Object} schedule - Parsed cron schedule
+ * @param {Date} date - Date
+ * @returns {boolean} True if the day matches
+ */
+function _matchesDay(schedule, date) {
+    const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+    const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+
+    if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+        return dayOfMonth && dayOfWeek;
+    }
+
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Get the next time a cron expression matches
+ * @param {string} expression - Cron expression
+ * @param {Date} [after=new Date()] - Start searching after this time
+ * @returns {Date} Next run time (local time)
+ */
+function getNextRun(expression, after = new Date()) {
+    const schedule = parseCron(expression);
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date);
+    limit.setFullYear(limit.getFullYear() + 5);
+
+    while (date < limit) {
+        if (!schedule.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!_matchesDay(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!schedule.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!schedule.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+
+    throw new Error(`Cron expression never matches: ${expression}`);
+}
+
+/**
+ * Format a date as a local calendar day key
+ * @private
+ * @param {Date} date - Date
+ * @returns {string} Day key (YYYY-MM-DD)
+ */
+function _dayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Format a date as the key of its week (the Monday it starts on)
+ * @private
+ * @param {Date} date - Date
+ * @returns {string} Week key
+ */
+function _weekKey(date) {
+    const monday = new Date(date);
+    monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return _dayKey(monday);
+}
+
+/**
+ * Format a date as a month key
+ * @private
+ * @param {Date} date - Date
+ * @returns {string} Month key (YYYY-MM)
+ */
+function _monthKey(date) {
+    return _dayKey(date).slice(0, 7);
+}
+
+/**
+ * Select the backups a grandfather-father-son retention policy keeps
+ * The newest backup of each of the last N days, weeks and months is kept,
+ * as is the newest backup overall.
+ * @param {Array} backups - Completed backups
+ * @param {Object} retention - Policy ({ daily, weekly, monthly })
+ * @returns {Set<string>} IDs of the backups to keep
+ */
+function selectBackupsToKeep(backups, retention) {
+    const sorted = [...backups].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const keep = new Set(sorted.length > 0 ? [sorted[0].id] : []);
+    const tiers = [
+        [retention.daily, _dayKey],
+        [retention.weekly, _weekKey],
+        [retention.monthly, _monthKey]
+    ];
+
+    for (const [count, periodKey] of tiers) {
+        const periods = new Set();
+
+        for (const backup of sorted) {
+            const key = periodKey(new Date(backup.createdAt));
+
+            if (periods.has(key)) {
+                continue;
+            }
+            if (periods.size >= (count || 0)) {
+                break;
+            }
+
+            periods.add(key);
+            keep.add(backup.id);
+        }
+    }
+
+    return keep;
+}
+
+class BackupScheduler {
+    constructor(backupManager, options = {}) {
+        this.backupManager = backupManager;
+        this.checkInterval = options.checkInterval || 60 * 1000;
+        this.missedRunGrace = options.missedRunGrace || 5 * 60 * 1000;
+        this.schedules = {};
+        this.runningServers = new Set();
+        this.timer = null;
+        this.loadSchedules();
+    }
+
+    /**
+     * Load schedules from storage
+     * @returns {Object} Schedules by server ID
+     */
+    loadSchedules() {
+        try {
+            const schedulesJson = localStorage.getItem('mcp_backup_schedules');
+            this.schedules = schedulesJson ? JSON.parse(schedulesJson) : {};
+        } catch (error) {
+            console.error('Error loading backup schedules:', error);
+            this.schedules = {};
+        }
+
+        return this.schedules;
+    }
+
+    /**
+     * Save schedules to storage
+     */
+    saveSchedules() {
+        try {
+            localStorage.setItem('mcp_backup_schedules', JSON.stringify(this.schedules));
+        } catch (error) {
+            console.error('Error saving backup schedules:', error);
+        }
+    }
+
+    /**
+     * Get all schedules
+     * @returns {Array} Schedules ordered by next run
+     */
+    getSchedules() {
+        return Object.values(this.schedules).sort((a, b) => {
+            if (!a.nextRunAt) return 1;
+            if (!b.nextRunAt) return -1;
+            return new Date(a.nextRunAt) - new Date(b.nextRunAt);
+        });
+    }
+
+    /**
+     * Get the schedule of a server
+     * @param {string} serverId - Server ID
+     * @returns {Object|null} Schedule or null if the server has none
+     */
+    getSchedule(serverId) {
+        return this.schedules[serverId] || null;
+    }
+
+    /**
+     * Create or update the schedule of a server
+     * @param {string} serverId - Server ID
+     * @param {Object} settings - Schedule settings ({ cron, enabled, type, includeLogs, incremental, encrypted, skipUnchanged, retention })
+     * @returns {Object} Schedule
+     */
+    setSchedule(serverId, settings) {
+        const existing = this.schedules[serverId] || {};
+        const schedule = {
+            serverId,
+            cron: '0 2 * * *',
+            enabled: true,
+            type: 'full',
+            includeLogs: false,
+            incremental: true,
+            encrypted: false,
+            skipUnchanged: true,
+            lastRunAt: null,
+            lastResult: null,
+            ...existing,
+            ...settings,
+            retention: { ...DEFAULT_RETENTION, ...existing.retention, ...settings.retention }
+        };
+
+        // Throws for invalid expressions before anything is stored
+        schedule.nextRunAt = schedule.enabled ? getNextRun(schedule.cron).toISOString() : null;
+
+        this.schedules[serverId] = schedule;
+        this.saveSchedules();
+        window.BackupEvents.trigger('scheduleUpdated', { schedule });
+
+        return schedule;
+    }
+
+    /**
+     * Remove the schedule of a server
+     * Backups it created are kept.
+     * @param {string} serverId - Server ID
+     * @returns {boolean} Whether a schedule was removed
+     */
+    removeSchedule(serverId) {
+        if (!this.schedules[serverId]) {
+            return false;
+        }
+
+        delete this.schedules[serverId];
+        this.saveSchedules();
+        window.BackupEvents.trigger('scheduleUpdated', { serverId, schedule: null });
+
+        return true;
+    }
+
+    /**
+     * Start checking schedules
+     * Runs that came due while the app was closed are handled right away.
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.checkSchedules();
+        this.timer = setInterval(() => this.checkSchedules(), this.checkInterval);
+    }
+
+    /**
+     * Stop checking schedules
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run every schedule that is due
+     * @param {Date} [now=new Date()] - Current time
+     * @returns {Promise<Array>} Results of the runs
+     */
+    async checkSchedules(now = new Date()) {
+        const results = [];
+
+        for (const schedule of Object.values(this.schedules)) {
+            if (!schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) {
+                continue;
+            }
+
+            const missedRuns = this.countMissedRuns(schedule, now);
+            if (missedRuns > 0) {
+                await this.reportMissedRuns(schedule, missedRuns);
+            }
+
+            results.push(await this.runSchedule(schedule.serverId, now));
+        }
+
+        return results;
+    }
+
+    /**
+     * Count the runs of a schedule that passed without running
+     * A run is missed once it is more than the grace period overdue.
+     * @param {Object} schedule - Schedule
+     * @param {Date} now - Current time
+     * @returns {number} Missed runs
+     */
+    countMissedRuns(schedule, now) {
+        const cutoff = new Date(now.getTime() - this.missedRunGrace);
+        let runAt = new Date(schedule.nextRunAt);
+        let missed = 0;
+
+        // Cap the count so long absences with frequent schedules stay cheap
+        while (runAt <= cutoff && missed < 1000) {
+            missed++;
+            runAt = getNextRun(schedule.cron, runAt);
+        }
+
+        return missed;
+    }
+
+    /**
+     * Report missed runs to the user
+     * @param {Object} schedule - Schedule
+     * @param {number} missedRuns - Missed runs
+     * @returns {Promise<void>}
+     */
+    async reportMissedRuns(schedule, missedRuns) {
+        const server = await this.backupManager.getServerInfo(schedule.serverId);
+        const message = `${missedRuns} scheduled backup${missedRuns === 1 ? '' : 's'} of ${server.name} ` +
+            `${missedRuns === 1 ? 'was' : 'were'} missed since ${new Date(schedule.nextRunAt).toLocaleString()}. Running one now.`;
+
+        console.warn(message);
+        if (window.NotificationManager) {
+            window.NotificationManager.showWarning(message, 0);
+        }
+
+        window.BackupEvents.trigger('scheduledRunMissed', { serverId: schedule.serverId, missedRuns });
+    }
+
+    /**
+     * Run the schedule of a server now
+     * @param {string} serverId - Server ID
+     * @param {Date} [now=new Date()] - Current time
+     * @returns {Promise<Object>} Run result ({ serverId, status, backupId, deletedBackups, error })
+     */
+    async runSchedule(serverId, now = new Date()) {
+        const schedule = this.schedules[serverId];
+        if (!schedule) {
+            throw new Error(`No backup schedule for server ${serverId}`);
+        }
+
+        if (this.runningServers.has(serverId)) {
+            return { serverId, status: 'running' };
+        }
+
+        this.runningServers.add(serverId);
+        const options = {
+            type: schedule.type,
+            includeLogs: schedule.includeLogs,
+            incremental: schedule.incremental,
+            // Unattended runs cannot ask for a passphrase, so they use the credential vault key
+            encryption: schedule.encrypted ? { keySource: 'vault' } : null,
+            description: `Scheduled backup (${schedule.cron})`,
+            scheduled: true
+        };
+        let result;
+
+        try {
+            // Other windows may have created or deleted backups
+            await this.backupManager.loadBackups();
+
+            if (schedule.skipUnchanged && !await this.backupManager.hasChanges(serverId, options)) {
+                result = { serverId, status: 'skipped', deletedBackups: [] };
+                window.BackupEvents.trigger('scheduledBackupSkipped', { serverId });
+            } else {
+                const backup = await this.backupManager.createBackup(serverId, options);
+                const deletedBackups = await this.applyRetention(serverId, schedule.retention);
+                result = { serverId, status: 'completed', backupId: backup.id, deletedBackups };
+            }
+        } catch (error) {
+            console.error(`Error running scheduled backup of server ${serverId}:`, error);
+            result = { serverId, status: 'failed', error: error.message };
+
+            if (window.NotificationManager) {
+                window.NotificationManager.showError(`Scheduled backup failed: ${error.message}`);
+            }
+        } finally {
+            this.runningServers.delete(serverId);
+        }
+
+        schedule.lastRunAt = now.toISOString();
+        schedule.lastResult = result;
+        schedule.nextRunAt = schedule.enabled ? getNextRun(schedule.cron, now).toISOString() : null;
+        this.saveSchedules();
+        window.BackupEvents.trigger('scheduleUpdated', { schedule });
+
+        return result;
+    }
+
+    /**
+     * Delete the scheduled backups of a server the retention policy no longer keeps
+     * Manual backups are never pruned.
+     * @param {string} serverId - Server ID
+     * @param {Object} retention - Policy ({ daily, weekly, monthly })
+     * @returns {Promise<Array<string>>} IDs of the deleted backups
+     */
+    async applyRetention(serverId, retention) {
+        const scheduled = this.backupManager.getBackupsForServer(serverId)
+            .filter(backup => backup.scheduled && backup.status === 'completed');
+        const keep = selectBackupsToKeep(scheduled, retention);
+        const deleted = [];
+
+        for (const backup of scheduled.filter(b => !keep.has(b.id))) {
+            await this.backupManager.deleteBackup(backup.id);
+            deleted.push(backup.id);
+        }
+
+        return deleted;
+    }
+}
+
+// Make the scheduler and its helpers globally available
+window.BackupScheduler = BackupScheduler;
+window.BackupSchedule = {
+    DEFAULT_RETENTION,
+    parseCron,
+    getNextRun,
+    selectBackupsToKeep
+};
@@ -32,6 +32,9 @@ class BackupStatistics {
             // Show loading state
             this.showLoading();
             
+            // Load backup metadata
+            await this.backupManager.loadBackups();
+            
             // Get all servers
             const servers = await this.getServers();
             
@@ -82,12 +85,14 @@ class BackupStatistics {
             const server = await window.ServerManager.getServerInfo(serverId);
             
             // Get backups for server
-            const backups = await this.backupManager.getBackups(serverId);
+            const backups = this.backupManager.getBackupsForServer(serverId);
             
-            // Calculate total size
-            let totalSize = 0;
+            // Calculate restorable size and the size actually used on disk
+            let logicalSize = 0;
+            let physicalSize = 0;
             for (const backup of backups) {
-                totalSize += await this.getBackupSize(serverId, backup.id);
+                logicalSize += backup.size || 0;
+                physicalSize += await this.getBackupSize(serverId, backup);
             }
             
             // Calculate backup frequency
@@ -98,7 +103,9 @@ class BackupStatistics {
                 serverId,
                 serverName: server.name,
                 backupCount: backups.length,
-                totalSize,
+                incrementalCount: backups.filter(backup => backup.incremental).length,
+                logicalSize,
+                physicalSize,
                 oldestBackup: backups.length > 0 ? new Date(backups[backups.length - 1].timestamp) : null,
                 newestBackup: backups.length > 0 ? new Date(backups[0].timestamp) : null,
                 backupFrequency
@@ -109,7 +116,9 @@ class BackupStatistics {
                 serverId,
                 serverName: 'Unknown',
                 backupCount: 0,
-                totalSize: 0,
+                incrementalCount: 0,
+                logicalSize: 0,
+                physicalSize: 0,
                 oldestBackup: null,
                 newestBackup: null,
                 backupFrequency: {}
@@ -118,19 +127,24 @@ class BackupStatistics {
     }
 
     /**
-     * Get backup size
+     * Get the size a backup takes on disk
      * @param {string} serverId - Server ID
-     * @param {string} backupId - Backup ID
+     * @param {Object} backup - Backup metadata
      * @returns {Promise<number>} Backup size in bytes
      */
-    async getBackupSize(serverId, backupId) {
+    async getBackupSize(serverId, backup) {
         try {
-            const backupDir = `${this.backupManager.options.backupBasePath || './backups'}/${serverId}/${backupId}`;
+            // Archived backups record their compressed size
+            if (typeof backup.archiveSize === 'number') {
+                return backup.archiveSize;
+            }
+            
+            const backupDir = `${this.backupManager.options.backupBasePath || './backups'}/${serverId}/${backup.id}`;
             
             // Get directory size recursively
             return await this.getDirectorySize(backupDir);
         } catch (error) {
-            console.error(`Error getting size for backup ${backupId}:`, error);
+            console.error(`Error getting size for backup ${backup.id}:`, error);
             return 0;
         }
     }
@@ -219,7 +233,9 @@ class BackupStatistics {
     calculateOverallStatistics(serverStats) {
         // Calculate totals
         const totalBackups = serverStats.reduce((total, stats) => total + stats.backupCount, 0);
-        const totalSize = serverStats.reduce((total, stats) => total + stats.totalSize, 0);
+        const incrementalBackups = serverStats.reduce((total, stats) => total + stats.incrementalCount, 0);
+        const logicalSize = serverStats.reduce((total, stats) => total + stats.logicalSize, 0);
+        const physicalSize = serverStats.reduce((total, stats) => total + stats.physicalSize, 0);
         
         // Find oldest and newest backups
         let oldestBackup = null;
@@ -263,7 +279,9 @@ class BackupStatistics {
         
         return {
             totalBackups,
-            totalSize,
+            incrementalBackups,
+            logicalSize,
+            physicalSize,
             serverCount: serverStats.length,
             oldestBackup,
             newestBackup,
@@ -283,7 +301,9 @@ class BackupStatistics {
         if (!this.elements.statsContainer) return;
         
         // Format overall statistics
-        const totalSizeFormatted = this.formatFileSize(overallStats.totalSize);
+        const logicalSizeFormatted = this.formatFileSize(overallStats.logicalSize);
+        const physicalSizeFormatted = this.formatFileSize(overallStats.physicalSize);
+        const savingsFormatted = this.formatSavings(overallStats.logicalSize, overallStats.physicalSize);
         const oldestBackupFormatted = overallStats.oldestBackup 
             ? overallStats.oldestBackup.toLocaleDateString() 
             : 'N/A';
@@ -305,8 +325,20 @@ class BackupStatistics {
                         <div class="stat-label">Servers</div>
                     </div>
                     <div class="stat-card">
-                        <div class="stat-value">${totalSizeFormatted}</div>
-                        <div class="stat-label">Total Size</div>
+                        <div class="stat-value">${overallStats.incrementalBackups}</div>
+                        <div class="stat-label">Incremental Backups</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-value">${logicalSizeFormatted}</div>
+                        <div class="stat-label">Logical Size</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-value">${physicalSizeFormatted}</div>
+                        <div class="stat-label">Size on Disk</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-value">${savingsFormatted}</div>
+                        <div class="stat-label">Space Saved</div>
                     </div>
                     <div class="stat-card">
                         <div class="stat-value">${oldestBackupFormatted}</div>
@@ -327,7 +359,9 @@ class BackupStatistics {
                             <tr>
                                 <th>Server</th>
                                 <th>Backups</th>
-                                <th>Size</th>
+                                <th>Logical Size</th>
+                                <th>Size on Disk</th>
+                                <th>Saved</th>
                                 <th>Latest Backup</th>
                             </tr>
                         </thead>
@@ -336,7 +370,9 @@ class BackupStatistics {
         
         // Add rows for each server
         for (const stats of serverStats) {
-            const sizeFormatted = this.formatFileSize(stats.totalSize);
+            const logicalFormatted = this.formatFileSize(stats.logicalSize);
+            const physicalFormatted = this.formatFileSize(stats.physicalSize);
+            const savedFormatted = this.formatSavings(stats.logicalSize, stats.physicalSize);
             const latestBackupFormatted = stats.newestBackup 
                 ? stats.newestBackup.toLocaleDateString() 
                 : 'N/A';
@@ -345,7 +381,9 @@ class BackupStatistics {
                 <tr>
                     <td>${stats.serverName}</td>
                     <td>${stats.backupCount}</td>
-                    <td>${sizeFormatted}</td>
+                    <td>${logicalFormatted}</td>
+                    <td>${physicalFormatted}</td>
+                    <td>${savedFormatted}</td>
                     <td>${latestBackupFormatted}</td>
                 </tr>
             `;
@@ -416,7 +454,7 @@ class BackupStatistics {
         
         // Prepare data
         const labels = serverStats.map(stats => stats.serverName);
-        const data = serverStats.map(stats => stats.totalSize);
+        const data = serverStats.map(stats => stats.physicalSize);
         
         // Generate colors
         const colors = this.generateChartColors(serverStats.length);
@@ -574,6 +612,19 @@ class BackupStatistics {
         return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${units[i]}`;
     }
 
+    /**
+     * Format the space saved by deduplication and compression
+     * @param {number} logicalSize - Size of the backed up files in bytes
+     * @param {number} physicalSize - Size on disk in bytes
+     * @returns {string} Formatted savings
+     */
+    formatSavings(logicalSize, physicalSize) {
+        if (logicalSize <= 0 || physicalSize >= logicalSize) return '0 B';
+        
+        const saved = logicalSize - physicalSize;
+        return `${this.formatFileSize(saved)} (${Math.round((saved / logicalSize) * 100)}%)`;
+    }
+
     /**
      * Show loading state
      */
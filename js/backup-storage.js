@@ -0,0 +1,835 @@
+/**
+ * Backup Storage - Storage targets that keep off-machine copies of backup archives
+ * Every target stores objects under keys like "<serverId>/<backupId>.tar.gz" and
+ * implements upload, download, list and delete:
+ *
+ *   local  - a directory on this machine
+ *   mount  - an SMB/NFS share mounted into the file system
+ *   sftp   - a directory on an SSH server, through the sftp command
+ *   s3     - an S3-compatible bucket (AWS S3, MinIO, ...)
+ */
+
+const TARGETS_STORAGE_KEY = 'mcp_backup_targets';
+
+// [user@]hostname or an IP address; neither part may start with "-", which sftp would read as an option
+const SSH_HOST_PATTERN = /^(?:[A-Za-z0-9_][A-Za-z0-9._-]*@)?(?:[A-Za-z0-9][A-Za-z0-9.-]*|[0-9A-Fa-f]*:[0-9A-Fa-f:.]+)$/;
+
+/**
+ * Get a Node.js module through the Electron bridge
+ * @private
+ * @param {string} name - Module name
+ * @returns {Object} Module
+ */
+function _require(name) {
+    if (typeof window.require !== 'function') {
+        throw new Error('Backup storage targets are only available in the desktop app');
+    }
+    return window.require(name);
+}
+
+/**
+ * Check that a key stays inside the target
+ * @private
+ * @param {string} key - Object key
+ * @returns {string} Key
+ */
+function _checkKey(key) {
+    if (!key || key.startsWith('/') || key.split('/').includes('..')) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return key;
+}
+
+/**
+ * Check that the credential vault can hold target secrets
+ * @private
+ * @param {string} action - What the secrets are needed for (e.g. 'save storage target credentials')
+ * @throws {Error} If no master password is set or the vault is locked
+ */
+function _checkVault(action) {
+    if (!window.SecurityManager || !window.SecurityManager.isVaultEnabled()) {
+        throw new Error(`Set a master password for the credential vault to ${action}`);
+    }
+    if (window.SecurityManager.isLocked()) {
+        throw new Error(`Unlock the credential vault to ${action}`);
+    }
+}
+
+/**
+ * Get the vault secret name for a target setting
+ * @private
+ * @param {string} targetId - Target ID
+ * @param {string} fieldId - Setting ID
+ * @returns {string} Secret name
+ */
+function _getSecretName(targetId, fieldId) {
+    return `backup-target-${targetId}-${fieldId}`;
+}
+
+/**
+ * Move the secret settings of a target into the credential vault
+ * The settings keep a reference to each secret in settings.secretRefs.
+ * @private
+ * @param {Object} target - Target config ({ id, settings })
+ * @param {Array<Object>} fields - Field descriptors of the target type
+ * @returns {Promise<boolean>} Whether any secret was moved
+ * @throws {Error} If the vault cannot hold secrets
+ */
+async function _storeTargetSecrets(target, fields) {
+    const secretFields = fields.filter(field => field.type === 'password' && target.settings[field.id]);
+    if (secretFields.length === 0) {
+        return false;
+    }
+
+    _checkVault('save storage target credentials');
+    const secretRefs = { ...target.settings.secretRefs };
+    await Promise.all(secretFields.map(async field => {
+        const name = _getSecretName(target.id, field.id);
+        if (!await window.SecurityManager.storeSecret(name, target.settings[field.id])) {
+            throw new Error(`Failed to store ${field.label} in the credential vault`);
+        }
+        secretRefs[field.id] = name;
+    }));
+
+    secretFields.forEach(field => delete target.settings[field.id]);
+    target.settings.secretRefs = secretRefs;
+    return true;
+}
+
+/**
+ * Get a secret target setting, reading it from the credential vault if it is kept there
+ * @private
+ * @param {Object} settings - Target settings
+ * @param {string} fieldId - Setting ID
+ * @returns {Promise<string|undefined>} Setting value
+ * @throws {Error} If the vault is locked or the secret is missing
+ */
+async function _getTargetSecret(settings, fieldId) {
+    const name = (settings.secretRefs || {})[fieldId];
+    if (!name) {
+        return settings[fieldId];
+    }
+
+    _checkVault('use storage target credentials');
+    const value = await window.SecurityManager.getSecret(name);
+    if (value === null) {
+        throw new Error(`Secret not found in the vault: ${name}`);
+    }
+    return value;
+}
+
+class LocalStorageTarget {
+    /**
+     * @param {Object} settings - Target settings ({ path })
+     * @param {Object} [options={}] - Behaviour ({ requireMounted })
+     */
+    constructor(settings, options = {}) {
+        this.settings = settings;
+        this.requireMounted = Boolean(options.requireMounted);
+    }
+
+    /**
+     * Describe the configuration fields shown in the UI
+     * @returns {Array<Object>} Field descriptors ({ id, label, type, placeholder, required })
+     */
+    static getConfigFields() {
+        return [
+            { id: 'path', label: 'Directory', type: 'text', placeholder: '/var/backups/mcp', required: true }
+        ];
+    }
+
+    /**
+     * Copy a file into the target
+     * @param {string} localPath - Local file path
+     * @param {string} key - Object key
+     * @returns {Promise<void>}
+     */
+    async upload(localPath, key) {
+        const targetPath = await this.resolve(key);
+        await window.FileSystemAPI.writeBinaryFile(targetPath, await window.FileSystemAPI.readBinaryFile(localPath));
+    }
+
+    /**
+     * Copy a file out of the target
+     * @param {string} key - Object key
+     * @param {string} localPath - Local file path
+     * @returns {Promise<void>}
+     */
+    async download(key, localPath) {
+        const sourcePath = await this.resolve(key);
+        await window.FileSystemAPI.writeBinaryFile(localPath, await window.FileSystemAPI.readBinaryFile(sourcePath));
+    }
+
+    /**
+     * List the objects in the target
+     * @param {string} [prefix=''] - Key prefix
+     * @returns {Promise<Array<Object>>} Objects ({ key, size, modifiedTime })
+     */
+    async list(prefix = '') {
+        const root = await this.resolve(null);
+        const objects = [];
+
+        const walk = async (dir, keyPrefix) => {
+            for (const name of await window.FileSystemAPI.readdirAsync(dir)) {
+                const filePath = window.FileSystemAPI.path.join(dir, name);
+                const stat = await window.FileSystemAPI.statAsync(filePath);
+
+                if (stat.isDirectory()) {
+                    await walk(filePath, `${keyPrefix}${name}/`);
+                } else if (`${keyPrefix}${name}`.startsWith(prefix)) {
+                    objects.push({ key: `${keyPrefix}${name}`, size: stat.size, modifiedTime: stat.mtime });
+                }
+            }
+        };
+
+        if (await window.FileSystemAPI.existsAsync(root)) {
+            await walk(root, '');
+        }
+
+        return objects;
+    }
+
+    /**
+     * Delete an object
+     * @param {string} key - Object key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await window.FileSystemAPI.deleteFile(await this.resolve(key));
+    }
+
+    /**
+     * Resolve a key to a file path
+     * @param {string|null} key - Object key, or null for the target directory
+     * @returns {Promise<string>} File path
+     * @private
+     */
+    async resolve(key) {
+        if (!this.settings.path) {
+            throw new Error('Storage directory is not configured');
+        }
+
+        // A missing share means it is not mounted, writing there would fill the local disk
+        if (this.requireMounted && !await window.FileSystemAPI.existsAsync(this.settings.path)) {
+            throw new Error(`${this.settings.path} is not mounted`);
+        }
+
+        return key === null
+            ? this.settings.path
+            : window.FileSystemAPI.path.join(this.settings.path, ..._checkKey(key).split('/'));
+    }
+}
+
+class SftpStorageTarget {
+    /**
+     * @param {Object} settings - Target settings ({ host, port, identityFile, path })
+     */
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    /**
+     * Describe the configuration fields shown in the UI
+     * @returns {Array<Object>} Field descriptors ({ id, label, type, placeholder, required })
+     */
+    static getConfigFields() {
+        return [
+            { id: 'host', label: 'Host', type: 'text', placeholder: 'backup@nas.example.com', required: true },
+            { id: 'port', label: 'SSH Port', type: 'number', placeholder: '22', required: false },
+            { id: 'identityFile', label: 'SSH Identity File', type: 'text', placeholder: '~/.ssh/id_ed25519', required: false },
+            { id: 'path', label: 'Remote Directory', type: 'text', placeholder: 'mcp-backups', required: true }
+        ];
+    }
+
+    /**
+     * Upload a file
+     * @param {string} localPath - Local file path
+     * @param {string} key - Object key
+     * @returns {Promise<void>}
+     */
+    async upload(localPath, key) {
+        const remotePath = this.resolve(key);
+        const parents = [];
+
+        // sftp has no "mkdir -p", so create each parent and ignore the ones that exist
+        let dir = remotePath.slice(0, remotePath.lastIndexOf('/'));
+        while (dir && dir !== '.' && dir !== '/') {
+            parents.unshift(`-mkdir ${this.quote(dir)}`);
+            dir = dir.includes('/') ? dir.slice(0, dir.lastIndexOf('/')) : '';
+        }
+
+        await this.runBatch([...parents, `put ${this.quote(localPath)} ${this.quote(remotePath)}`]);
+    }
+
+    /**
+     * Download a file
+     * @param {string} key - Object key
+     * @param {string} localPath - Local file path
+     * @returns {Promise<void>}
+     */
+    async download(key, localPath) {
+        await window.FileSystemAPI.createDirectory(window.FileSystemAPI.path.dirname(localPath));
+        await this.runBatch([`get ${this.quote(this.resolve(key))} ${this.quote(localPath)}`]);
+    }
+
+    /**
+     * List the objects in the target
+     * @param {string} [prefix=''] - Key prefix
+     * @returns {Promise<Array<Object>>} Objects ({ key, size, modifiedTime })
+     */
+    async list(prefix = '') {
+        const objects = [];
+        const pending = [''];
+
+        while (pending.length > 0) {
+            const keyPrefix = pending.shift();
+            const dir = keyPrefix ? this.resolve(keyPrefix.slice(0, -1)) : this.settings.path;
+            const result = await this.runBatch([`-ls -ln ${this.quote(dir)}`]);
+
+            for (const line of result.stdout.split('\n')) {
+                // -rw-r--r--    1 1000     1000       1234 Jan 30 10:00 name
+                const match = line.match(/^([dl-])\S*\s+\d+\s+\S+\s+\S+\s+(\d+)\s+(\w{3}\s+\d+\s+[\d:]+)\s+(.+)$/);
+                if (!match) {
+                    continue;
+                }
+
+                const name = match[4].split('/').pop();
+                if (match[1] === 'd') {
+                    pending.push(`${keyPrefix}${name}/`);
+                } else if (`${keyPrefix}${name}`.startsWith(prefix)) {
+                    objects.push({ key: `${keyPrefix}${name}`, size: parseInt(match[2], 10), modifiedTime: this.parseListingDate(match[3]) });
+                }
+            }
+        }
+
+        return objects;
+    }
+
+    /**
+     * Delete an object
+     * @param {string} key - Object key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this.runBatch([`-rm ${this.quote(this.resolve(key))}`]);
+    }
+
+    /**
+     * Resolve a key to a remote path
+     * @param {string} key - Object key
+     * @returns {string} Remote path
+     * @private
+     */
+    resolve(key) {
+        if (!this.settings.host || !this.settings.path) {
+            throw new Error('SFTP host and directory are required');
+        }
+
+        return `${this.settings.path.replace(/\/+$/, '')}/${_checkKey(key)}`;
+    }
+
+    /**
+     * Parse the date column of an ls listing
+     * Recent files show a time instead of the year.
+     * @param {string} text - Date column (e.g. 'Jan 30 10:00' or 'Jan 30 2025')
+     * @returns {Date|null} Modification time or null if unreadable
+     * @private
+     */
+    parseListingDate(text) {
+        const [month, day, yearOrTime] = text.split(/\s+/);
+        const date = yearOrTime.includes(':')
+            ? new Date(`${month} ${day} ${new Date().getFullYear()} ${yearOrTime}`)
+            : new Date(`${month} ${day} ${yearOrTime}`);
+
+        if (date > new Date()) {
+            date.setFullYear(date.getFullYear() - 1);
+        }
+
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Quote a path for an sftp batch file
+     * @param {string} value - Path
+     * @returns {string} Quoted path
+     * @private
+     */
+    quote(value) {
+        return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    /**
+     * Run sftp commands from a batch file
+     * @param {Array<string>} commands - sftp commands
+     * @returns {Promise<Object>} Command result
+     * @private
+     */
+    async runBatch(commands) {
+        const os = _require('os');
+        const batchPath = window.FileSystemAPI.path.join(
+            os.tmpdir(),
+            `mcp-sftp-${Date.now()}-${Math.random().toString(36).substring(2, 10)}.txt`
+        );
+
+        if (!SSH_HOST_PATTERN.test(this.settings.host)) {
+            throw new Error(`Invalid SFTP host: ${this.settings.host}`);
+        }
+
+        const args = ['-b', batchPath, '-o', 'BatchMode=yes', '-o', 'ConnectTimeout=15'];
+        if (this.settings.port) {
+            args.push('-P', String(this.settings.port));
+        }
+        if (this.settings.identityFile) {
+            args.push('-i', this.settings.identityFile);
+        }
+        args.push('--', this.settings.host);
+
+        await window.FileSystemAPI.writeFile(batchPath, `${commands.join('\n')}\n`);
+        try {
+            const result = await window.CommandRunner.run('sftp', args, { timeout: 30 * 60 * 1000, rejectOnError: false });
+
+            if (result.exitCode !== 0) {
+                throw new Error(result.stderr.trim() || `sftp exited with code ${result.exitCode}`);
+            }
+
+            return result;
+        } finally {
+            await window.FileSystemAPI.deleteFile(batchPath);
+        }
+    }
+}
+
+class S3StorageTarget {
+    /**
+     * @param {Object} settings - Target settings
+     *   ({ endpoint, region, bucket, prefix, accessKeyId, secretAccessKey, secretRefs, forcePathStyle })
+     */
+    constructor(settings) {
+        this.settings = {
+            region: 'us-east-1',
+            prefix: '',
+            forcePathStyle: true,
+            ...settings
+        };
+    }
+
+    /**
+     * Describe the configuration fields shown in the UI
+     * @returns {Array<Object>} Field descriptors ({ id, label, type, placeholder, required })
+     */
+    static getConfigFields() {
+        return [
+            { id: 'endpoint', label: 'Endpoint', type: 'text', placeholder: 'https://s3.amazonaws.com or http://127.0.0.1:9000', required: true },
+            { id: 'region', label: 'Region', type: 'text', placeholder: 'us-east-1', required: false },
+            { id: 'bucket', label: 'Bucket', type: 'text', placeholder: 'mcp-backups', required: true },
+            { id: 'prefix', label: 'Key Prefix', type: 'text', placeholder: 'workstation-1/', required: false },
+            { id: 'accessKeyId', label: 'Access Key ID', type: 'text', placeholder: '', required: true },
+            { id: 'secretAccessKey', label: 'Secret Access Key', type: 'password', placeholder: '', required: true }
+        ];
+    }
+
+    /**
+     * Upload a file
+     * @param {string} localPath - Local file path
+     * @param {string} key - Object key
+     * @returns {Promise<void>}
+     */
+    async upload(localPath, key) {
+        const body = await window.FileSystemAPI.readBinaryFile(localPath);
+        await this.request('PUT', this.getObjectKey(key), { body });
+    }
+
+    /**
+     * Download a file
+     * @param {string} key - Object key
+     * @param {string} localPath - Local file path
+     * @returns {Promise<void>}
+     */
+    async download(key, localPath) {
+        const response = await this.request('GET', this.getObjectKey(key));
+        await window.FileSystemAPI.writeBinaryFile(localPath, response.body);
+    }
+
+    /**
+     * List the objects in the target
+     * @param {string} [prefix=''] - Key prefix
+     * @returns {Promise<Array<Object>>} Objects ({ key, size, modifiedTime })
+     */
+    async list(prefix = '') {
+        const objects = [];
+        const fullPrefix = `${this.settings.prefix}${prefix}`;
+        let continuationToken = null;
+
+        do {
+            const query = { 'list-type': '2', prefix: fullPrefix };
+            if (continuationToken) {
+                query['continuation-token'] = continuationToken;
+            }
+
+            const xml = (await this.request('GET', '', { query })).body.toString('utf8');
+
+            for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                objects.push({
+                    key: this.readXmlValue(contents, 'Key').slice(this.settings.prefix.length),
+                    size: parseInt(this.readXmlValue(contents, 'Size'), 10),
+                    modifiedTime: new Date(this.readXmlValue(contents, 'LastModified'))
+                });
+            }
+
+            continuationToken = this.readXmlValue(xml, 'IsTruncated') === 'true'
+                ? this.readXmlValue(xml, 'NextContinuationToken')
+                : null;
+        } while (continuationToken);
+
+        return objects;
+    }
+
+    /**
+     * Delete an object
+     * @param {string} key - Object key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this.request('DELETE', this.getObjectKey(key));
+    }
+
+    /**
+     * Sign a request with AWS Signature Version 4
+     * @param {Object} request - Request ({ method, path, query, headers, payloadHash })
+     * @param {Date} [date=new Date()] - Signing time
+     * @param {string} [secretAccessKey=this.settings.secretAccessKey] - Secret access key
+     * @returns {string} Authorization header value
+     */
+    signRequest(request, date = new Date(), secretAccessKey = this.settings.secretAccessKey) {
+        const crypto = _require('crypto');
+        const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+        const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+        const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const scope = `${dateStamp}/${this.settings.region}/s3/aws4_request`;
+
+        const headerNames = Object.keys(request.headers).map(name => name.toLowerCase()).sort();
+        const headerValues = Object.fromEntries(
+            Object.entries(request.headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+        );
+        const canonicalQuery = Object.keys(request.query || {})
+            .sort()
+            .map(name => `${this.encode(name)}=${this.encode(request.query[name])}`)
+            .join('&');
+
+        const canonicalRequest = [
+            request.method,
+            request.path.split('/').map(segment => this.encode(segment)).join('/'),
+            canonicalQuery,
+            headerNames.map(name => `${name}:${headerValues[name]}\n`).join(''),
+            headerNames.join(';'),
+            request.payloadHash
+        ].join('\n');
+
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash(canonicalRequest)].join('\n');
+
+        let signingKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+        for (const part of [this.settings.region, 's3', 'aws4_request']) {
+            signingKey = hmac(signingKey, part);
+        }
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return `AWS4-HMAC-SHA256 Credential=${this.settings.accessKeyId}/${scope}, ` +
+            `SignedHeaders=${headerNames.join(';')}, Signature=${signature}`;
+    }
+
+    /**
+     * Send a signed request
+     * @param {string} method - HTTP method
+     * @param {string} key - Full object key ('' for the bucket)
+     * @param {Object} [options={}] - Request options ({ body, query })
+     * @returns {Promise<Object>} Response ({ statusCode, body })
+     * @private
+     */
+    async request(method, key, options = {}) {
+        const { Buffer } = _require('buffer');
+        const crypto = _require('crypto');
+
+        if (!this.settings.endpoint || !this.settings.bucket) {
+            throw new Error('S3 endpoint and bucket are required');
+        }
+
+        const endpoint = new URL(this.settings.endpoint);
+        const body = options.body || Buffer.alloc(0);
+        const host = this.settings.forcePathStyle ? endpoint.host : `${this.settings.bucket}.${endpoint.host}`;
+        const basePath = endpoint.pathname.replace(/\/+$/, '');
+        const path = this.settings.forcePathStyle
+            ? `${basePath}/${this.settings.bucket}${key ? `/${key}` : ''}`
+            : `${basePath}/${key}`;
+        const date = new Date();
+
+        const headers = {
+            host,
+            'x-amz-content-sha256': crypto.createHash('sha256').update(body).digest('hex'),
+            'x-amz-date': date.toISOString().replace(/[:-]|\.\d{3}/g, '')
+        };
+        if (method === 'PUT') {
+            headers['content-length'] = body.length;
+        }
+
+        headers.authorization = this.signRequest({
+            method,
+            path,
+            query: options.query,
+            headers,
+            payloadHash: headers['x-amz-content-sha256']
+        }, date, await _getTargetSecret(this.settings, 'secretAccessKey'));
+
+        const search = new URLSearchParams(options.query || {}).toString();
+        const requestPath = `${path.split('/').map(segment => this.encode(segment)).join('/')}${search ? `?${search}` : ''}`;
+        const transport = _require(endpoint.protocol === 'https:' ? 'https' : 'http');
+
+        const response = await new Promise((resolve, reject) => {
+            const req = transport.request({
+                protocol: endpoint.protocol,
+                hostname: this.settings.forcePathStyle ? endpoint.hostname : `${this.settings.bucket}.${endpoint.hostname}`,
+                port: endpoint.port || undefined,
+                method,
+                path: requestPath,
+                headers,
+                timeout: 5 * 60 * 1000
+            }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve({ statusCode: res.statusCode, body: Buffer.concat(chunks) }));
+                res.on('error', reject);
+            });
+
+            req.on('timeout', () => req.destroy(new Error('S3 request timed out')));
+            req.on('error', reject);
+            req.end(body);
+        });
+
+        if (response.statusCode >= 300) {
+            const xml = response.body.toString('utf8');
+            const code = this.readXmlValue(xml, 'Code') || `HTTP ${response.statusCode}`;
+            const message = this.readXmlValue(xml, 'Message');
+            throw new Error(`S3 ${method} ${key || this.settings.bucket} failed: ${code}${message ? ` (${message})` : ''}`);
+        }
+
+        return response;
+    }
+
+    /**
+     * Add the configured prefix to a key
+     * @param {string} key - Object key
+     * @returns {string} Full object key
+     * @private
+     */
+    getObjectKey(key) {
+        return `${this.settings.prefix}${_checkKey(key)}`;
+    }
+
+    /**
+     * Percent-encode a value the way Signature Version 4 expects
+     * @param {string} value - Value
+     * @returns {string} Encoded value
+     * @private
+     */
+    encode(value) {
+        return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+
+    /**
+     * Read the first value of an XML element
+     * @param {string} xml - XML text
+     * @param {string} name - Element name
+     * @returns {string} Decoded value or '' if missing
+     * @private
+     */
+    readXmlValue(xml, name) {
+        const match = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+        if (!match) {
+            return '';
+        }
+
+        return match[1]
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+}
+
+const TARGET_TYPES = {
+    local: { name: 'Local Directory', create: settings => new LocalStorageTarget(settings), fields: LocalStorageTarget.getConfigFields() },
+    mount: {
+        name: 'SMB/NFS Mount',
+        create: settings => new LocalStorageTarget(settings, { requireMounted: true }),
+        fields: LocalStorageTarget.getConfigFields()
+    },
+    sftp: { name: 'SFTP', create: settings => new SftpStorageTarget(settings), fields: SftpStorageTarget.getConfigFields() },
+    s3: { name: 'S3-Compatible Object Storage', create: settings => new S3StorageTarget(settings), fields: S3StorageTarget.getConfigFields() }
+};
+
+/**
+ * Load the configured storage targets
+ * @returns {Array<Object>} Targets ({ id, name, type, enabled, settings })
+ */
+function loadTargets() {
+    try {
+        const targetsJson = localStorage.getItem(TARGETS_STORAGE_KEY);
+        return targetsJson ? JSON.parse(targetsJson) : [];
+    } catch (error) {
+        console.error('Error loading backup storage targets:', error);
+        return [];
+    }
+}
+
+/**
+ * Get a configured storage target
+ * @param {string} targetId - Target ID
+ * @returns {Object|null} Target config or null if not found
+ */
+function getTarget(targetId) {
+    return loadTargets().find(target => target.id === targetId) || null;
+}
+
+/**
+ * Add or update a storage target
+ * Secret settings such as the S3 secret access key are kept in the credential vault.
+ * @param {Object} target - Target config ({ id, name, type, enabled, settings })
+ * @returns {Promise<Object>} Saved target config
+ * @throws {Error} If settings are missing or the vault cannot hold the target's secrets
+ */
+async function saveTarget(target) {
+    const type = TARGET_TYPES[target.type];
+    if (!type) {
+        throw new Error(`Unknown storage target type: ${target.type}`);
+    }
+
+    const settings = target.settings || {};
+    const secretRefs = settings.secretRefs || {};
+    const missing = type.fields.filter(field => field.required && !settings[field.id] && !secretRefs[field.id]);
+    if (missing.length > 0) {
+        throw new Error(`Missing ${missing.map(field => field.label).join(', ')}`);
+    }
+
+    const saved = {
+        id: target.id || `target_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+        name: target.name || type.name,
+        type: target.type,
+        enabled: target.enabled !== false,
+        settings: { ...settings }
+    };
+    await _storeTargetSecrets(saved, type.fields);
+
+    const targets = loadTargets().filter(existing => existing.id !== saved.id);
+    targets.push(saved);
+    localStorage.setItem(TARGETS_STORAGE_KEY, JSON.stringify(targets));
+
+    return saved;
+}
+
+/**
+ * Remove a storage target and its secrets
+ * Copies already in the target are left there.
+ * @param {string} targetId - Target ID
+ * @returns {Promise<boolean>} Whether the target was removed
+ */
+async function removeTarget(targetId) {
+    const targets = loadTargets();
+    const removed = targets.find(target => target.id === targetId);
+    const remaining = targets.filter(target => target !== removed);
+
+    localStorage.setItem(TARGETS_STORAGE_KEY, JSON.stringify(remaining));
+    if (removed && window.SecurityManager) {
+        const secretRefs = Object.values((removed.settings || {}).secretRefs || {});
+        await Promise.all(secretRefs.map(name => window.SecurityManager.deleteSecret(name)));
+    }
+    return Boolean(removed);
+}
+
+/**
+ * Move secrets of targets saved before they were kept in the credential vault into the vault
+ * Does nothing until the vault is set up and unlocked.
+ * @returns {Promise<number>} Number of targets whose secrets were moved
+ */
+async function migrateTargetSecrets() {
+    if (!window.SecurityManager || !window.SecurityManager.isVaultEnabled() || window.SecurityManager.isLocked()) {
+        return 0;
+    }
+
+    const targets = loadTargets();
+    const moved = await Promise.all(targets
+        .filter(target => TARGET_TYPES[target.type])
+        .map(target => _storeTargetSecrets(target, TARGET_TYPES[target.type].fields)));
+    const count = moved.filter(Boolean).length;
+
+    if (count > 0) {
+        localStorage.setItem(TARGETS_STORAGE_KEY, JSON.stringify(targets));
+    }
+    return count;
+}
+
+/**
+ * Create the client for a storage target
+ * @param {Object|string} target - Target config or ID
+ * @returns {Object} Client with upload, download, list and delete
+ */
+function createTarget(target) {
+    const config = typeof target === 'string' ? getTarget(target) : target;
+    if (!config) {
+        throw new Error(`Storage target ${target} not found`);
+    }
+
+    const type = TARGET_TYPES[config.type];
+    if (!type) {
+        throw new Error(`Unknown storage target type: ${config.type}`);
+    }
+
+    return type.create(config.settings || {});
+}
+
+/**
+ * Check that a target is reachable and writable
+ * @param {Object|string} target - Target config or ID
+ * @returns {Promise<Object>} Result ({ success, error })
+ */
+async function testTarget(target) {
+    const os = _require('os');
+    const client = createTarget(target);
+    const key = `.mcp-write-test-${Date.now()}`;
+    const localPath = window.FileSystemAPI.path.join(os.tmpdir(), key);
+
+    try {
+        await window.FileSystemAPI.writeFile(localPath, 'ok');
+        await client.upload(localPath, key);
+        await client.delete(key);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    } finally {
+        await window.FileSystemAPI.deleteFile(localPath);
+    }
+}
+
+// Move plaintext secrets of older targets as soon as the vault can hold them
+['credential-vault-enabled', 'credential-vault-unlocked'].forEach(eventName => {
+    window.addEventListener(eventName, () => {
+        migrateTargetSecrets()
+            .catch(error => console.error('Error moving storage target secrets to the vault:', error));
+    });
+});
+
+// Export functions for use in other modules
+window.BackupStorage = {
+    TARGET_TYPES,
+    LocalStorageTarget,
+    SftpStorageTarget,
+    S3StorageTarget,
+    loadTargets,
+    getTarget,
+    saveTarget,
+    removeTarget,
+    migrateTargetSecrets,
+    createTarget,
+    testTarget
+};
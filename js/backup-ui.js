@@ -449,6 +449,8 @@ async function handleCreateBackup() {
     const backupDescription = document.getElementById('backupDescription').value;
     const backupType = document.querySelector('input[name="backupType"]:checked').value;
     const includeLogs = document.getElementById('includeLogs').checked;
+    const incrementalCheckbox = document.getElementById('incrementalBackup');
+    const incremental = incrementalCheckbox ? incrementalCheckbox.checked : false;
     
     if (!serverId || !backupName) {
         showErrorNotification('Server ID and backup name are required');
@@ -467,7 +469,8 @@ async function handleCreateBackup() {
             name: backupName,
             description: backupDescription,
             type: backupType,
-            includeLogs
+            includeLogs,
+            incremental
         });
         
         // Show success message
@@ -638,6 +641,7 @@ function createBackupListItem(backup) {
                 <span class="backup-server">${backup.serverName}</span>
                 <span class="backup-date">${formatDate(backup.createdAt)}</span>
                 <span class="backup-type">${backup.type}</span>
+                ${backup.incremental ? '<span class="backup-incremental">incremental</span>' : ''}
                 <span class="backup-size">${formatSize(backup.size)}</span>
             </div>
             <div class="backup-status ${statusClass}">${backup.status}</div>
@@ -754,6 +758,14 @@ function updateRestoreProgress(backupId, progress, message) {
 async function getServerInfo(serverId) {
     // Define different ways to get server/container info
     const managerCheckers = [
+        {
+            name: 'ServerInventory',
+            exists: () => window.ServerInventory,
+            fetch: (id) => {
+                const entry = window.ServerInventory.getServer(window.BackupCore.resolveServerId(id));
+                return entry ? { id: entry.id, name: entry.name, type: entry.kind, status: entry.status } : null;
+            }
+        },
         {
             name: 'DockerManager',
             exists: () => window.dockerManager,
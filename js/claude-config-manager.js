@@ -163,6 +163,39 @@ function fixJsonConfig(configPath) {
     return claudeConfigManager.fixJsonConfig(configPath);
 }
 
+/**
+ * Scan the configuration for env values that look like plaintext secrets
+ * @returns {Array<Object>} Findings ({ serverName, envName, secretName, reason })
+ */
+function scanForPlaintextSecrets() {
+    return claudeConfigManager.scanForPlaintextSecrets();
+}
+
+/**
+ * Move plaintext secrets from the configuration into the credential vault
+ * @returns {Promise<Array<Object>>} The secrets that were moved
+ */
+function moveSecretsToVault() {
+    return claudeConfigManager.moveSecretsToVault();
+}
+
+/**
+ * Register an installed server with the selected MCP clients
+ * @param {Object} serverData - Server data
+ * @returns {Promise<Object>} Result ({ success, message, results })
+ */
+function updateServerConfig(serverData) {
+    return claudeConfigManager.updateServerConfig(serverData);
+}
+
+/**
+ * Report servers whose configuration differs between MCP clients
+ * @returns {Array<Object>} Drift report
+ */
+function reportClientDrift() {
+    return claudeConfigManager.reportClientDrift();
+}
+
 // Export functions for use in other modules
 window.ClaudeConfigManager = {
     updateClaudeConfig,
@@ -182,5 +215,9 @@ window.ClaudeConfigManager = {
     getServerConfigurations,
     createNodeServerConfig,
     writeClaudeConfig,
-    fixJsonConfig
+    fixJsonConfig,
+    scanForPlaintextSecrets,
+    moveSecretsToVault,
+    updateServerConfig,
+    reportClientDrift
 };
@@ -0,0 +1,400 @@
+/**
+ * SshDockerHostProvider.js - Deploys MCP servers as containers on a Docker host
+ * The host is either the local Docker daemon or a remote machine reached over SSH,
+ * which makes it possible to test every code path against a local daemon.
+ */
+
+import commandRunner from '../CommandRunner.js';
+
+// Images used when the server command does not name one
+const RUNTIME_IMAGES = {
+    node: 'node:20-slim',
+    python: 'ghcr.io/astral-sh/uv:python3.12-bookworm-slim'
+};
+
+const NODE_COMMANDS = ['npx', 'node', 'npm'];
+const PYTHON_COMMANDS = ['uvx', 'uv', 'python', 'python3', 'pip'];
+
+// Labels used to find containers created by the installer
+const DEPLOYMENT_LABEL = 'mcp.deployment';
+const SERVER_LABEL = 'mcp.server';
+
+// [user@]hostname or an IP address; neither part may start with "-", which ssh would read as an option
+const SSH_HOST_PATTERN = /^(?:[A-Za-z0-9_][A-Za-z0-9._-]*@)?(?:[A-Za-z0-9][A-Za-z0-9.-]*|[0-9A-Fa-f]*:[0-9A-Fa-f:.]+)$/;
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class SshDockerHostProvider {
+    constructor() {
+        this.id = 'docker-host';
+        this.name = 'SSH/Docker Remote Host';
+    }
+
+    /**
+     * Describe the configuration fields shown in the UI
+     * @returns {Array<Object>} Field descriptors ({ id, label, type, placeholder, required, help })
+     */
+    getConfigFields() {
+        return [
+            {
+                id: 'host',
+                label: 'Host',
+                type: 'text',
+                placeholder: 'user@server.example.com or "local"',
+                required: true,
+                help: 'Use "local" to deploy to the Docker daemon on this machine.'
+            },
+            { id: 'port', label: 'SSH Port', type: 'number', placeholder: '22', required: false },
+            { id: 'identityFile', label: 'SSH Identity File', type: 'text', placeholder: '~/.ssh/id_ed25519', required: false }
+        ];
+    }
+
+    /**
+     * Describe the deployment options shown in the UI
+     * @returns {Array<Object>} Field descriptors
+     */
+    getDeploymentOptionFields() {
+        return [
+            {
+                id: 'image',
+                label: 'Container Image',
+                type: 'text',
+                placeholder: 'Detected from the server command',
+                required: false
+            },
+            {
+                id: 'restartPolicy',
+                label: 'Restart Policy',
+                type: 'select',
+                options: ['unless-stopped', 'always', 'on-failure', 'no'],
+                required: false
+            }
+        ];
+    }
+
+    /**
+     * Validate a provider configuration
+     * @param {Object} config - Provider configuration
+     * @returns {Object} Validation result ({ valid, errors })
+     */
+    validateConfig(config) {
+        const errors = [];
+
+        if (!config || !config.host) {
+            errors.push('Host is required');
+        } else if (!this.isLocalHost(config) && !SSH_HOST_PATTERN.test(config.host)) {
+            errors.push('Host must be "local" or [user@]hostname, and must not start with "-"');
+        }
+
+        if (config && config.port && !/^\d+$/.test(String(config.port))) {
+            errors.push('SSH port must be a number');
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Start a server container on the host
+     * @param {Object} deployment - Deployment record ({ id, name, serverId, options })
+     * @param {Object} serverConfig - Server configuration ({ command, args, env })
+     * @param {Object} config - Provider configuration
+     * @returns {Promise<Object>} Provisioned resource ({ resourceId, status, ipAddress })
+     */
+    async provision(deployment, serverConfig, config) {
+        const options = deployment.options || {};
+        const image = options.image || this.resolveImage(serverConfig);
+
+        if (!image) {
+            throw new Error(`Cannot choose a container image for command "${serverConfig.command}". Set an image in the deployment options.`);
+        }
+
+        const args = [
+            'run', '-d', '-i',
+            '--name', deployment.name,
+            '--label', `${DEPLOYMENT_LABEL}=${deployment.id}`,
+            '--label', `${SERVER_LABEL}=${deployment.serverId}`,
+            '--restart', options.restartPolicy || 'unless-stopped'
+        ];
+
+        const env = this.getEnvArguments(serverConfig.env || {}, config);
+        args.push(...env.args, image, ...this.getContainerCommand(serverConfig));
+
+        const result = await this.runDocker(config, args, env.options);
+        const containerId = result.stdout.trim().split('\n').pop();
+
+        return {
+            resourceId: containerId.substring(0, 12),
+            status: 'pending',
+            ipAddress: this.getHostAddress(config)
+        };
+    }
+
+    /**
+     * Get the status of a deployment
+     * @param {Object} deployment - Deployment record
+     * @param {Object} config - Provider configuration
+     * @returns {Promise<Object>} Status ({ status, detail })
+     */
+    async getStatus(deployment, config) {
+        const result = await this.runDocker(config, [
+            'inspect', '--format', '{{.State.Status}}|{{.State.ExitCode}}|{{.State.Error}}',
+            deployment.resourceId || deployment.name
+        ], { rejectOnError: false });
+
+        if (result.exitCode !== 0) {
+            if (/no such (object|container)/i.test(result.stderr)) {
+                return { status: 'terminated', detail: 'Container no longer exists' };
+            }
+            throw new Error(result.stderr.trim() || `docker inspect exited with code ${result.exitCode}`);
+        }
+
+        const [state, exitCode, error] = result.stdout.trim().split('|');
+        return {
+            status: this.mapContainerState(state, parseInt(exitCode, 10)),
+            detail: error || `Container ${state}${state === 'exited' ? ` (exit code ${exitCode})` : ''}`
+        };
+    }
+
+    /**
+     * Get the logs of a deployment
+     * @param {Object} deployment - Deployment record
+     * @param {Object} config - Provider configuration
+     * @param {Object} options - Log options ({ tail })
+     * @returns {Promise<string>} Log output (stdout and stderr)
+     */
+    async getLogs(deployment, config, options = {}) {
+        const result = await this.runDocker(config, [
+            'logs', '--tail', String(options.tail || 200), '--timestamps',
+            deployment.resourceId || deployment.name
+        ]);
+
+        // docker logs replays the container's stderr on its own stderr
+        return [result.stdout, result.stderr].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Remove a deployment's container
+     * @param {Object} deployment - Deployment record
+     * @param {Object} config - Provider configuration
+     * @returns {Promise<void>}
+     */
+    async terminate(deployment, config) {
+        const result = await this.runDocker(config, ['rm', '-f', deployment.resourceId || deployment.name], {
+            rejectOnError: false
+        });
+
+        // A container that is already gone counts as terminated
+        if (result.exitCode !== 0 && !/no such container/i.test(result.stderr)) {
+            throw new Error(result.stderr.trim() || `docker rm exited with code ${result.exitCode}`);
+        }
+    }
+
+    /**
+     * List the MCP containers on the host
+     * @param {Object} config - Provider configuration
+     * @returns {Promise<Array<Object>>} Resources ({ id, name, status, deploymentId, serverId, image })
+     */
+    async listResources(config) {
+        const result = await this.runDocker(config, [
+            'ps', '-a',
+            '--filter', `label=${DEPLOYMENT_LABEL}`,
+            '--format', `{{.ID}}\t{{.Names}}\t{{.State}}\t{{.Image}}\t{{.Label "${DEPLOYMENT_LABEL}"}}\t{{.Label "${SERVER_LABEL}"}}`
+        ]);
+
+        return result.stdout
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                const [id, name, state, image, deploymentId, serverId] = line.split('\t');
+                return {
+                    id,
+                    name,
+                    status: this.mapContainerState(state, 0),
+                    image,
+                    deploymentId,
+                    serverId
+                };
+            });
+    }
+
+    /**
+     * Choose a runtime image from the server command
+     * @param {Object} serverConfig - Server configuration
+     * @returns {string|null} Image name
+     * @private
+     */
+    resolveImage(serverConfig) {
+        const command = this.getExecutableName(serverConfig.command);
+
+        if (NODE_COMMANDS.includes(command)) {
+            return RUNTIME_IMAGES.node;
+        }
+
+        if (PYTHON_COMMANDS.includes(command)) {
+            return RUNTIME_IMAGES.python;
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the command run inside the container
+     * Host paths to executables are reduced to their name so they resolve in the image
+     * @param {Object} serverConfig - Server configuration
+     * @returns {Array<string>} Command and arguments
+     * @private
+     */
+    getContainerCommand(serverConfig) {
+        const command = this.getExecutableName(serverConfig.command);
+        const args = [...(serverConfig.args || [])];
+
+        // npx prompts before installing packages unless told not to
+        if (command === 'npx' && !args.includes('-y') && !args.includes('--yes')) {
+            args.unshift('-y');
+        }
+
+        return [command, ...args];
+    }
+
+    /**
+     * Build the docker arguments and run options that pass environment variables to a container
+     * Values never appear on a command line, where other users of the host could read them:
+     * the local daemon takes them from the docker client's environment, a remote one reads
+     * them as an env file from standard input.
+     * @param {Object} env - Environment variables
+     * @param {Object} config - Provider configuration
+     * @returns {Object} Arguments and CommandRunner options ({ args, options })
+     * @private
+     */
+    getEnvArguments(env, config) {
+        const entries = Object.entries(env);
+        if (entries.length === 0) {
+            return { args: [], options: {} };
+        }
+
+        entries.forEach(([key, value]) => {
+            if (!ENV_NAME_PATTERN.test(key)) {
+                throw new Error(`Invalid environment variable name "${key}"`);
+            }
+            if (!this.isLocalHost(config) && /[\r\n]/.test(String(value))) {
+                throw new Error(`Failed to pass ${key} to the remote host: values cannot contain line breaks`);
+            }
+        });
+
+        if (this.isLocalHost(config)) {
+            // "-e NAME" without a value copies NAME from the environment of the docker client
+            return {
+                args: entries.flatMap(([key]) => ['-e', key]),
+                options: { env: Object.fromEntries(entries.map(([key, value]) => [key, String(value)])) }
+            };
+        }
+
+        return {
+            args: ['--env-file', '/dev/stdin'],
+            options: { input: `${entries.map(([key, value]) => `${key}=${value}`).join('\n')}\n` }
+        };
+    }
+
+    /**
+     * Get the executable name without directory or extension
+     * @param {string} command - Command or path
+     * @returns {string} Executable name
+     * @private
+     */
+    getExecutableName(command) {
+        return (command || '').split(/[\\/]/).pop().replace(/\.(exe|cmd|bat)$/i, '').toLowerCase();
+    }
+
+    /**
+     * Map a Docker container state to a deployment status
+     * @param {string} state - Container state
+     * @param {number} exitCode - Container exit code
+     * @returns {string} Deployment status (pending, running, stopped, error)
+     * @private
+     */
+    mapContainerState(state, exitCode) {
+        switch (state) {
+            case 'running':
+                return 'running';
+            case 'created':
+            case 'restarting':
+                return 'pending';
+            case 'exited':
+                return exitCode === 0 ? 'stopped' : 'error';
+            case 'paused':
+                return 'stopped';
+            default:
+                return 'error';
+        }
+    }
+
+    /**
+     * Check whether the configuration targets the local Docker daemon
+     * @param {Object} config - Provider configuration
+     * @returns {boolean} True for the local daemon
+     * @private
+     */
+    isLocalHost(config) {
+        return !config.host || ['local', 'localhost-docker'].includes(config.host.toLowerCase());
+    }
+
+    /**
+     * Get the address clients use to reach the host
+     * @param {Object} config - Provider configuration
+     * @returns {string} Host address
+     * @private
+     */
+    getHostAddress(config) {
+        return this.isLocalHost(config) ? '127.0.0.1' : config.host.split('@').pop();
+    }
+
+    /**
+     * Run a docker command on the host
+     * @param {Object} config - Provider configuration
+     * @param {Array<string>} args - docker arguments
+     * @param {Object} options - CommandRunner options
+     * @returns {Promise<Object>} Command result
+     * @private
+     */
+    runDocker(config, args, options = {}) {
+        const runOptions = { timeout: 5 * 60 * 1000, ...options };
+
+        if (this.isLocalHost(config)) {
+            return commandRunner.run('docker', args, runOptions);
+        }
+
+        if (!SSH_HOST_PATTERN.test(config.host)) {
+            return Promise.reject(new Error(`Invalid SSH host "${config.host}"`));
+        }
+
+        const sshArgs = ['-o', 'BatchMode=yes', '-o', 'ConnectTimeout=15'];
+        if (config.port) {
+            sshArgs.push('-p', String(config.port));
+        }
+        if (config.identityFile) {
+            sshArgs.push('-i', config.identityFile);
+        }
+
+        // "--" ends the ssh options. ssh joins the remote command into one string, so each
+        // argument is quoted for the remote shell.
+        sshArgs.push('--', config.host, ['docker', ...args].map(arg => this.quoteForShell(arg)).join(' '));
+
+        return commandRunner.run('ssh', sshArgs, runOptions);
+    }
+
+    /**
+     * Quote an argument for a POSIX shell
+     * @param {string} arg - Argument
+     * @returns {string} Quoted argument
+     * @private
+     */
+    quoteForShell(arg) {
+        if (/^[A-Za-z0-9_@%+=:,./-]+$/.test(arg)) {
+            return arg;
+        }
+
+        return `'${arg.replace(/'/g, '\'\\\'\'')}'`;
+    }
+}
+
+export default SshDockerHostProvider;
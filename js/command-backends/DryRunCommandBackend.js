@@ -0,0 +1,57 @@
+/**
+ * DryRunCommandBackend.js - Records commands without running anything
+ * Only used when a dry run is selected explicitly; without an execution bridge commands
+ * are reported as not run instead.
+ */
+
+class DryRunCommandBackend {
+    constructor() {
+        this.history = [];
+        this.maxHistoryLength = 200;
+    }
+
+    /**
+     * A dry run is always possible
+     * @returns {boolean} Always true
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Record a command and report success without running it
+     * @param {Object} request - Command request ({ executable, args, cwd })
+     * @returns {Promise<Object>} Outcome ({ exitCode })
+     */
+    async execute(request) {
+        this.history.push({
+            executable: request.executable,
+            args: [...request.args],
+            cwd: request.cwd || null,
+            timestamp: Date.now()
+        });
+
+        if (this.history.length > this.maxHistoryLength) {
+            this.history.shift();
+        }
+
+        return { exitCode: 0 };
+    }
+
+    /**
+     * Get the commands that would have been executed
+     * @returns {Array<Object>} Command history
+     */
+    getHistory() {
+        return [...this.history];
+    }
+
+    /**
+     * Clear the command history
+     */
+    clearHistory() {
+        this.history = [];
+    }
+}
+
+export default DryRunCommandBackend;
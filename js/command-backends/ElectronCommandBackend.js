@@ -0,0 +1,61 @@
+/**
+ * ElectronCommandBackend.js - Runs commands through the Electron preload bridge
+ * window.electronAPI.executeCommand resolves with stdout once the command finishes,
+ * so output is delivered as a single chunk.
+ */
+
+class ElectronCommandBackend {
+    /**
+     * Check whether the Electron bridge can execute commands
+     * @returns {boolean} True if available
+     */
+    isAvailable() {
+        return typeof window !== 'undefined'
+            && typeof window.electronAPI !== 'undefined'
+            && typeof window.electronAPI.executeCommand === 'function';
+    }
+
+    /**
+     * Execute a command
+     * @param {Object} request - Command request ({ executable, args, cwd, env, input })
+     * @param {Object} hooks - Output and cancellation hooks from CommandRunner
+     * @returns {Promise<Object>} Outcome ({ exitCode })
+     */
+    async execute(request, hooks) {
+        if (!this.isAvailable()) {
+            throw new Error('Electron command execution is not available');
+        }
+
+        const options = { cwd: request.cwd };
+        if (request.env) {
+            options.env = request.env;
+        }
+        if (request.input !== undefined) {
+            options.input = request.input;
+        }
+
+        // The bridge cannot kill the process, so cancellation only stops waiting for it
+        const aborted = new Promise(resolve => {
+            hooks.onAbort(() => resolve({ exitCode: null, signal: 'SIGTERM' }));
+        });
+
+        const execution = window.electronAPI.executeCommand(request.executable, request.args, options)
+            .then(stdout => {
+                if (stdout) {
+                    hooks.onStdout(String(stdout));
+                }
+                return { exitCode: 0 };
+            })
+            .catch(error => {
+                if (error.stdout) {
+                    hooks.onStdout(String(error.stdout));
+                }
+                hooks.onStderr(String(error.stderr || error.message));
+                return { exitCode: Number.isInteger(error.code) ? error.code : 1 };
+            });
+
+        return Promise.race([execution, aborted]);
+    }
+}
+
+export default ElectronCommandBackend;
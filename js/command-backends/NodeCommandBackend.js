@@ -0,0 +1,186 @@
+/**
+ * NodeCommandBackend.js - Runs commands with child_process when Node integration is enabled
+ * Streams stdout/stderr as they arrive and kills the process on timeout or cancellation.
+ */
+
+// Grace period between SIGTERM and SIGKILL when stopping a process
+const KILL_GRACE_PERIOD = 5000;
+
+// Characters cmd.exe treats specially; they are escaped with ^
+const CMD_META_CHARACTERS = /([()\][%!^"`<>&|;, *?])/g;
+
+/**
+ * Quote an argument for cmd.exe
+ * The argument is quoted the way the C runtime splits command lines, then every cmd.exe
+ * metacharacter is escaped. Batch files pass their arguments through cmd.exe a second
+ * time, so their arguments are escaped twice.
+ * @param {string} arg - Argument
+ * @param {boolean} doubleEscape - Escape metacharacters twice
+ * @returns {string} Escaped argument
+ */
+function escapeCmdArgument(arg, doubleEscape) {
+    // Double the backslashes in front of quotes and at the end, then escape the quotes
+    let quoted = `"${String(arg)
+        .replace(/(\\*)"/g, '$1$1\\"')
+        .replace(/(\\*)$/, '$1$1')}"`;
+
+    quoted = quoted.replace(CMD_META_CHARACTERS, '^$1');
+    return doubleEscape ? quoted.replace(CMD_META_CHARACTERS, '^$1') : quoted;
+}
+
+/**
+ * Read an environment variable the way Windows does (names are case-insensitive)
+ * @param {Object} env - Environment
+ * @param {string} name - Variable name
+ * @returns {string} Value or an empty string
+ */
+function getWindowsEnv(env, name) {
+    const key = Object.keys(env).find(candidate => candidate.toUpperCase() === name);
+    return key ? env[key] : '';
+}
+
+class NodeCommandBackend {
+    /**
+     * Get the child_process module if Node integration is enabled
+     * @returns {Object|null} child_process module or null
+     * @private
+     */
+    getChildProcess() {
+        try {
+            if (typeof window !== 'undefined' && typeof window.require === 'function') {
+                return window.require('child_process');
+            }
+        } catch (error) {
+            // Node integration is disabled
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether child_process is reachable
+     * @returns {boolean} True if available
+     */
+    isAvailable() {
+        return this.getChildProcess() !== null;
+    }
+
+    /**
+     * Execute a command
+     * @param {Object} request - Command request ({ executable, args, cwd, env, input })
+     * @param {Object} hooks - Output and cancellation hooks from CommandRunner
+     * @returns {Promise<Object>} Outcome ({ exitCode, signal })
+     */
+    async execute(request, hooks) {
+        const childProcess = this.getChildProcess();
+
+        if (!childProcess) {
+            throw new Error('Node child_process is not available');
+        }
+
+        const nodeProcess = window.require('process');
+        const env = { ...nodeProcess.env, ...(request.env || {}) };
+        const command = nodeProcess.platform === 'win32'
+            ? this.getWindowsCommand(request, env)
+            : { file: request.executable, args: request.args };
+
+        return new Promise(resolve => {
+            const child = childProcess.spawn(command.file, command.args, {
+                cwd: request.cwd,
+                env,
+                windowsHide: true,
+                windowsVerbatimArguments: Boolean(command.verbatim)
+            });
+
+            let killTimer = null;
+
+            hooks.onAbort(() => {
+                child.kill('SIGTERM');
+                killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_PERIOD);
+            });
+
+            child.stdout.on('data', data => hooks.onStdout(data.toString()));
+            child.stderr.on('data', data => hooks.onStderr(data.toString()));
+
+            child.on('error', error => {
+                // Spawn failures (e.g. ENOENT) are reported like a shell would
+                hooks.onStderr(error.message);
+                clearTimeout(killTimer);
+                resolve({ exitCode: error.code === 'ENOENT' ? 127 : 1 });
+            });
+
+            child.on('close', (exitCode, signal) => {
+                clearTimeout(killTimer);
+                resolve({ exitCode, signal });
+            });
+
+            if (request.input !== undefined) {
+                child.stdin.end(request.input);
+            } else {
+                child.stdin.end();
+            }
+        });
+    }
+
+    /**
+     * Build the command that runs a request on Windows
+     * Executables are spawned directly, without a shell. npm, npx and friends are .cmd shims,
+     * which only cmd.exe can run; their arguments are escaped so that characters such as
+     * & and | stay part of the argument instead of starting another command.
+     * @param {Object} request - Command request ({ executable, args, cwd })
+     * @param {Object} env - Environment of the command
+     * @returns {Object} Command ({ file, args, verbatim })
+     */
+    getWindowsCommand(request, env) {
+        const resolved = this.findWindowsExecutable(request.executable, request.cwd, env);
+
+        if (!resolved || !/\.(cmd|bat)$/i.test(resolved)) {
+            return { file: resolved || request.executable, args: request.args };
+        }
+
+        const commandLine = [
+            escapeCmdArgument(resolved, false),
+            ...request.args.map(arg => escapeCmdArgument(arg, true))
+        ].join(' ');
+
+        return {
+            file: getWindowsEnv(env, 'COMSPEC') || 'cmd.exe',
+            args: ['/d', '/s', '/c', `"${commandLine}"`],
+            verbatim: true
+        };
+    }
+
+    /**
+     * Find the file Windows runs for an executable, searching PATH with the PATHEXT extensions
+     * @param {string} executable - Executable name or path
+     * @param {string} [cwd] - Working directory
+     * @param {Object} env - Environment of the command
+     * @returns {string|null} Full path or null if nothing was found
+     * @private
+     */
+    findWindowsExecutable(executable, cwd, env) {
+        const fs = window.require('fs');
+        const path = window.require('path').win32;
+        const extensions = ['', ...(getWindowsEnv(env, 'PATHEXT') || '.COM;.EXE;.BAT;.CMD').split(';')]
+            .filter((extension, index) => index === 0 || extension);
+        const searchPath = getWindowsEnv(env, 'PATH').split(';').filter(Boolean);
+        const directories = /[\\/]/.test(executable) ? [cwd || '.'] : [cwd || '.', ...searchPath];
+
+        const isFile = candidate => {
+            try {
+                return fs.statSync(candidate).isFile();
+            } catch (error) {
+                return false;
+            }
+        };
+
+        const candidates = directories.flatMap(directory => {
+            const base = path.resolve(directory, executable);
+            return extensions.map(extension => base + extension);
+        });
+
+        return candidates.find(isFile) || null;
+    }
+}
+
+export default NodeCommandBackend;
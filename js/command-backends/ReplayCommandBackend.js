@@ -0,0 +1,163 @@
+/**
+ * ReplayCommandBackend.js - Records commands run by another backend and replays them later
+ * Used by tests so installer flows run exactly the same code as in production.
+ */
+
+class ReplayCommandBackend {
+    constructor() {
+        this.recordings = [];
+        this.recordingTarget = null;
+        this.replayIndex = 0;
+    }
+
+    /**
+     * The replay backend is only used when selected explicitly
+     * @returns {boolean} True if there is something to record or replay
+     */
+    isAvailable() {
+        return this.recordingTarget !== null || this.recordings.length > 0;
+    }
+
+    /**
+     * Start recording the commands executed by another backend
+     * @param {Object} backend - Backend that actually runs the commands
+     */
+    startRecording(backend) {
+        this.recordings = [];
+        this.replayIndex = 0;
+        this.recordingTarget = backend;
+    }
+
+    /**
+     * Stop recording
+     * @returns {Array<Object>} Recorded commands
+     */
+    stopRecording() {
+        this.recordingTarget = null;
+        return this.getRecordings();
+    }
+
+    /**
+     * Load recordings to replay
+     * @param {Array<Object>|string} recordings - Recordings or their JSON export
+     */
+    loadRecordings(recordings) {
+        const parsed = typeof recordings === 'string' ? JSON.parse(recordings) : recordings;
+
+        if (!Array.isArray(parsed)) {
+            throw new Error('Command recordings must be an array');
+        }
+
+        this.recordings = parsed.map(recording => ({ ...recording }));
+        this.replayIndex = 0;
+        this.recordingTarget = null;
+    }
+
+    /**
+     * Get a copy of the recordings
+     * @returns {Array<Object>} Recordings
+     */
+    getRecordings() {
+        return this.recordings.map(recording => ({ ...recording }));
+    }
+
+    /**
+     * Export the recordings as JSON
+     * @returns {string} JSON string
+     */
+    exportRecordings() {
+        return JSON.stringify(this.recordings, null, 2);
+    }
+
+    /**
+     * Check whether every recording has been replayed
+     * @returns {boolean} True if all recordings were consumed
+     */
+    isExhausted() {
+        return this.replayIndex >= this.recordings.length;
+    }
+
+    /**
+     * Execute a command
+     * @param {Object} request - Command request ({ executable, args, cwd })
+     * @param {Object} hooks - Output and cancellation hooks from CommandRunner
+     * @returns {Promise<Object>} Outcome ({ exitCode, signal })
+     */
+    async execute(request, hooks) {
+        if (this.recordingTarget) {
+            return this.record(request, hooks);
+        }
+
+        return this.replay(request, hooks);
+    }
+
+    /**
+     * Run a command on the recording target and store what happened
+     * @param {Object} request - Command request
+     * @param {Object} hooks - Hooks from CommandRunner
+     * @returns {Promise<Object>} Outcome
+     * @private
+     */
+    async record(request, hooks) {
+        const recording = {
+            executable: request.executable,
+            args: [...request.args],
+            cwd: request.cwd || null,
+            stdout: '',
+            stderr: ''
+        };
+
+        const outcome = await this.recordingTarget.execute(request, {
+            ...hooks,
+            onStdout: chunk => {
+                recording.stdout += chunk;
+                hooks.onStdout(chunk);
+            },
+            onStderr: chunk => {
+                recording.stderr += chunk;
+                hooks.onStderr(chunk);
+            }
+        });
+
+        recording.exitCode = outcome.exitCode;
+        recording.signal = outcome.signal || null;
+        this.recordings.push(recording);
+
+        return outcome;
+    }
+
+    /**
+     * Replay the next recording, which must match the requested command
+     * @param {Object} request - Command request
+     * @param {Object} hooks - Hooks from CommandRunner
+     * @returns {Promise<Object>} Outcome
+     * @private
+     */
+    async replay(request, hooks) {
+        const recording = this.recordings[this.replayIndex];
+        const requested = [request.executable, ...request.args].join(' ');
+
+        if (!recording) {
+            throw new Error(`No recorded command left to replay for: ${requested}`);
+        }
+
+        const recorded = [recording.executable, ...recording.args].join(' ');
+        if (recorded !== requested) {
+            throw new Error(`Unexpected command. Expected "${recorded}" but got "${requested}"`);
+        }
+
+        this.replayIndex++;
+
+        if (recording.stdout) {
+            hooks.onStdout(recording.stdout);
+        }
+
+        if (recording.stderr) {
+            hooks.onStderr(recording.stderr);
+        }
+
+        return { exitCode: recording.exitCode, signal: recording.signal || null };
+    }
+}
+
+export default ReplayCommandBackend;
@@ -0,0 +1,109 @@
+/**
+ * Command Runner - Exposes the CommandRunner module to non-module installer scripts
+ * New code should import the CommandRunner module directly
+ */
+
+import commandRunner, { CommandError } from './CommandRunner.js';
+
+/**
+ * Run a command
+ * @param {string} executable - Executable name or path
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - Run options (cwd, env, timeout, signal, onStdout, onStderr, rejectOnError)
+ * @returns {Promise<Object>} Command result
+ */
+function run(executable, args, options) {
+    return commandRunner.run(executable, args, options);
+}
+
+/**
+ * Parse and run a command line
+ * @param {string} command - Command line
+ * @param {Object} options - Run options
+ * @returns {Promise<Object>} Command result
+ */
+function runCommand(command, options) {
+    return commandRunner.runCommand(command, options);
+}
+
+/**
+ * Parse a command string into executable and arguments
+ * @param {string} command - Command string
+ * @returns {Object} Object containing executable and arguments array
+ */
+function parseCommand(command) {
+    return commandRunner.parseCommand(command);
+}
+
+/**
+ * Format a command for logging
+ * @param {string} executable - Executable
+ * @param {Array<string>} args - Arguments
+ * @returns {string} Command line
+ */
+function formatCommand(executable, args) {
+    return commandRunner.formatCommand(executable, args);
+}
+
+/**
+ * Cancel all running commands
+ */
+function cancelAll() {
+    commandRunner.cancelAll();
+}
+
+/**
+ * Select the command backend
+ * @param {string|null} name - Backend name (electron, node, replay, dry-run) or null for automatic
+ */
+function setBackend(name) {
+    commandRunner.setBackend(name);
+}
+
+/**
+ * Get a registered backend
+ * @param {string} name - Backend name
+ * @returns {Object|null} Backend
+ */
+function getBackend(name) {
+    return commandRunner.getBackend(name);
+}
+
+/**
+ * Get the name of the active backend
+ * @returns {string} Backend name
+ */
+function getBackendName() {
+    return commandRunner.getBackendName();
+}
+
+/**
+ * Check whether commands are only being recorded (dry run)
+ * @returns {boolean} True in dry-run mode
+ */
+function isDryRun() {
+    return commandRunner.isDryRun();
+}
+
+/**
+ * Check whether commands can be run at all
+ * @returns {boolean} False when no execution bridge is available
+ */
+function isAvailable() {
+    return commandRunner.isAvailable();
+}
+
+// Export functions for use in other modules
+window.CommandRunner = {
+    run,
+    runCommand,
+    parseCommand,
+    formatCommand,
+    cancelAll,
+    setBackend,
+    getBackend,
+    getBackendName,
+    isDryRun,
+    isAvailable,
+    CommandError
+};
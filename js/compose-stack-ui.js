@@ -0,0 +1,369 @@
+/**
+ * Compose Stack UI - Creates Docker Compose stacks from selected servers and shows
+ * each stack as a group in the server list, with up/down for the whole stack and a
+ * restart button for each service
+ */
+
+// Stack being created in the compose stack modal, and what it is built from
+let composeStackDraft = null;
+let composeStackSource = null;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    initComposeStackUI();
+});
+
+/**
+ * Add event listeners for the compose stack controls
+ */
+function initComposeStackUI() {
+    const listeners = {
+        newStackBtn: () => openComposeStackModal(),
+        closeComposeStackBtn: hideComposeStackModal,
+        importComposeFileBtn: () => document.getElementById('composeStackFile').click(),
+        downloadComposeFileBtn: downloadComposeFile,
+        saveComposeStackBtn: () => saveComposeStack(false),
+        startComposeStackBtn: () => saveComposeStack(true)
+    };
+
+    Object.entries(listeners).forEach(([id, listener]) => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.addEventListener('click', listener);
+        }
+    });
+
+    const nameInput = document.getElementById('composeStackName');
+    if (nameInput) {
+        nameInput.addEventListener('input', updateComposeStackDraft);
+    }
+
+    const fileInput = document.getElementById('composeStackFile');
+    if (fileInput) {
+        fileInput.addEventListener('change', function() {
+            if (this.files.length > 0) {
+                importComposeStackFile(this.files[0]);
+                this.value = '';
+            }
+        });
+    }
+}
+
+/**
+ * Open the compose stack modal
+ * Lists the inventory servers to choose from; servers selected in the server list start checked.
+ */
+function openComposeStackModal() {
+    if (!window.ComposeStacks) {
+        showNotification('Compose stacks are not available', 'error');
+        return;
+    }
+
+    const selected = window.batchOperationsState ? window.batchOperationsState.selectedServers : [];
+    const servers = window.ServerInventory ? window.ServerInventory.getServers() : [];
+    const serverChoices = document.getElementById('composeStackServers');
+    serverChoices.innerHTML = '';
+
+    servers.forEach(server => {
+        const label = document.createElement('label');
+        label.className = 'compose-stack-server';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = server.id;
+        checkbox.checked = selected.includes(server.id);
+        checkbox.addEventListener('change', updateComposeStackDraft);
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${server.name} (${server.kind})`));
+        serverChoices.appendChild(label);
+    });
+
+    if (servers.length === 0) {
+        serverChoices.textContent = 'No servers found. Refresh the server list or import a compose file.';
+    }
+
+    serverChoices.style.display = 'block';
+    composeStackSource = { servers: [] };
+    document.getElementById('composeStackName').value = 'mcp-stack';
+    updateComposeStackDraft();
+    document.getElementById('composeStackModal').style.display = 'flex';
+}
+
+/**
+ * Hide the compose stack modal
+ */
+function hideComposeStackModal() {
+    document.getElementById('composeStackModal').style.display = 'none';
+    composeStackDraft = null;
+    composeStackSource = null;
+}
+
+/**
+ * Read a compose file into the compose stack modal
+ * @param {File} file - docker-compose.yml
+ */
+async function importComposeStackFile(file) {
+    try {
+        composeStackSource = { content: await file.text() };
+        document.getElementById('composeStackServers').style.display = 'none';
+
+        // Name the stack after the compose project, or the file
+        const imported = window.ComposeStacks.importComposeFile('', composeStackSource.content);
+        document.getElementById('composeStackName').value = imported.name
+            || file.name.replace(/\.(ya?ml)$/i, '').replace(/^docker-compose$/, 'mcp-stack');
+
+        updateComposeStackDraft();
+    } catch (error) {
+        console.error('Error importing compose file:', error);
+        showNotification(`Failed to import compose file: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Rebuild the stack and its compose file preview from the modal's inputs
+ */
+function updateComposeStackDraft() {
+    const preview = document.getElementById('composeStackPreview');
+    const skippedInfo = document.getElementById('composeStackSkipped');
+    const name = document.getElementById('composeStackName').value.trim();
+    let skipped = [];
+
+    composeStackDraft = null;
+
+    try {
+        if (composeStackSource.content !== undefined) {
+            composeStackDraft = window.ComposeStacks.importComposeFile(name, composeStackSource.content);
+        } else {
+            const checked = [...document.querySelectorAll('#composeStackServers input:checked')];
+            composeStackSource.servers = checked.map(checkbox => window.ServerInventory.getServer(checkbox.value)).filter(Boolean);
+
+            const created = window.ComposeStacks.createStack(name, composeStackSource.servers);
+            composeStackDraft = created.stack;
+            skipped = created.skipped;
+        }
+
+        if (composeStackDraft) {
+            if (!composeStackDraft.id) {
+                throw new Error('Stack name must contain a letter or digit');
+            }
+            preview.value = window.ComposeStacks.generateComposeFile(composeStackDraft);
+        }
+    } catch (error) {
+        composeStackDraft = null;
+        preview.value = `# ${error.message}`;
+    }
+
+    skippedInfo.textContent = skipped.map(server => `${server.name} is not included: ${server.reason}`).join('\n');
+    skippedInfo.style.display = skipped.length > 0 ? 'block' : 'none';
+
+    const canSave = Boolean(composeStackDraft && Object.keys(composeStackDraft.services).length > 0);
+    ['downloadComposeFileBtn', 'saveComposeStackBtn', 'startComposeStackBtn'].forEach(id => {
+        document.getElementById(id).disabled = !canSave;
+    });
+}
+
+/**
+ * Save the stack of the compose stack modal
+ * @param {boolean} start - Whether to bring the stack up after saving it
+ */
+async function saveComposeStack(start) {
+    if (!composeStackDraft) {
+        return;
+    }
+
+    const existing = window.ComposeStacks.getStack(composeStackDraft.id);
+    if (existing && !confirm(`Replace the saved stack "${existing.name}"?`)) {
+        return;
+    }
+
+    const stack = window.ComposeStacks.saveStack(composeStackDraft);
+    hideComposeStackModal();
+
+    if (window.BatchOperations) {
+        window.BatchOperations.cancelBatchSelection();
+    }
+
+    if (start) {
+        await bringStackUp(stack.id);
+    } else {
+        showNotification(`Stack "${stack.name}" saved`, 'success');
+        await refreshServerList();
+    }
+}
+
+/**
+ * Download the compose file of the stack in the compose stack modal
+ */
+function downloadComposeFile() {
+    if (!composeStackDraft) {
+        return;
+    }
+
+    const element = document.createElement('a');
+    element.setAttribute('href', 'data:text/yaml;charset=utf-8,' + encodeURIComponent(window.ComposeStacks.generateComposeFile(composeStackDraft)));
+    element.setAttribute('download', 'docker-compose.yml');
+    element.style.display = 'none';
+
+    document.body.appendChild(element);
+    element.click();
+    document.body.removeChild(element);
+}
+
+/**
+ * Add a group to the server list for each stack
+ * Groups hold the servers whose containers belong to the stack's compose project,
+ * and saved stacks are listed even when they are down.
+ * @param {HTMLElement} serverList - Server list element
+ * @param {Array<Object>} servers - Server list entries ({ stack, service, ... })
+ * @param {Function} createItem - Creates the list item of a server
+ * @returns {Array<Object>} Servers that are not in a stack
+ */
+function renderStackGroups(serverList, servers, createItem) {
+    const groups = new Map();
+    const savedStacks = window.ComposeStacks ? window.ComposeStacks.getStacks() : [];
+
+    savedStacks.forEach(stack => groups.set(stack.id, []));
+    servers.filter(server => server.stack).forEach(server => {
+        if (!groups.has(server.stack)) {
+            groups.set(server.stack, []);
+        }
+        groups.get(server.stack).push(server);
+    });
+
+    groups.forEach((members, stackId) => {
+        serverList.appendChild(createStackGroup(stackId, members, createItem));
+    });
+
+    return servers.filter(server => !server.stack);
+}
+
+/**
+ * Create the server list group of a stack
+ * @param {string} stackId - Stack ID (the compose project name)
+ * @param {Array<Object>} members - Server list entries of the stack's services
+ * @param {Function} createItem - Creates the list item of a server
+ * @returns {HTMLElement} Stack group element
+ */
+function createStackGroup(stackId, members, createItem) {
+    const stack = window.ComposeStacks ? window.ComposeStacks.getStack(stackId) : null;
+    const runningCount = members.filter(member => member.isRunning).length;
+
+    const group = document.createElement('div');
+    group.className = 'stack-group';
+    group.setAttribute('data-stack', stackId);
+
+    const header = document.createElement('div');
+    header.className = 'stack-group-header';
+
+    const name = document.createElement('div');
+    name.className = 'stack-group-name';
+    name.innerHTML = '<i class="fas fa-layer-group"></i> ';
+    name.appendChild(document.createTextNode(stack ? stack.name : stackId));
+
+    const status = document.createElement('div');
+    status.className = 'stack-group-status';
+    status.textContent = members.length > 0 ? `${runningCount}/${members.length} running` : 'Down';
+
+    const actions = document.createElement('div');
+    actions.className = 'stack-group-actions';
+
+    const upBtn = document.createElement('button');
+    upBtn.className = 'btn btn-sm btn-outline btn-success';
+    upBtn.innerHTML = '<i class="fas fa-play"></i> Up';
+    upBtn.disabled = !stack;
+    upBtn.title = stack ? 'Create and start all services' : 'Only stacks saved on this machine can be brought up';
+    upBtn.addEventListener('click', () => bringStackUp(stackId));
+
+    const downBtn = document.createElement('button');
+    downBtn.className = 'btn btn-sm btn-outline btn-danger';
+    downBtn.innerHTML = '<i class="fas fa-stop"></i> Down';
+    downBtn.disabled = members.length === 0;
+    downBtn.title = 'Stop and remove all services; volumes are kept';
+    downBtn.addEventListener('click', () => bringStackDown(stackId));
+
+    actions.appendChild(upBtn);
+    actions.appendChild(downBtn);
+    header.appendChild(name);
+    header.appendChild(status);
+    header.appendChild(actions);
+
+    const services = document.createElement('div');
+    services.className = 'stack-group-services';
+
+    members.forEach(member => {
+        const item = createItem(member);
+
+        const restartBtn = document.createElement('button');
+        restartBtn.className = 'btn btn-sm btn-outline stack-service-restart';
+        restartBtn.innerHTML = '<i class="fas fa-sync"></i>';
+        restartBtn.title = `Restart ${member.service}`;
+        restartBtn.addEventListener('click', event => {
+            event.stopPropagation(); // Prevent server selection
+            restartStackService(stackId, member.service);
+        });
+
+        item.appendChild(restartBtn);
+        services.appendChild(item);
+    });
+
+    group.appendChild(header);
+    group.appendChild(services);
+    return group;
+}
+
+/**
+ * Bring a stack up
+ * @param {string} stackId - Stack ID
+ */
+async function bringStackUp(stackId) {
+    await runStackOperation(stackId, 'Starting', 'started', () => window.ComposeStacks.up(stackId));
+}
+
+/**
+ * Bring a stack down
+ * @param {string} stackId - Stack ID
+ */
+async function bringStackDown(stackId) {
+    await runStackOperation(stackId, 'Stopping', 'stopped', () => window.ComposeStacks.down(stackId));
+}
+
+/**
+ * Restart one service of a stack
+ * @param {string} stackId - Stack ID
+ * @param {string} serviceName - Service name
+ */
+async function restartStackService(stackId, serviceName) {
+    await runStackOperation(stackId, `Restarting ${serviceName} in`, `restarted ${serviceName} in`,
+        () => window.ComposeStacks.restartService(stackId, serviceName));
+}
+
+/**
+ * Run a stack operation with notifications, then refresh the server list
+ * @param {string} stackId - Stack ID
+ * @param {string} progressText - Text for the start notification (e.g. "Starting")
+ * @param {string} doneText - Text for the success notification (e.g. "started")
+ * @param {Function} operation - Returns a promise for the operation
+ */
+async function runStackOperation(stackId, progressText, doneText, operation) {
+    showNotification(`${progressText} stack "${stackId}"...`, 'info');
+
+    try {
+        await operation();
+        showNotification(`Successfully ${doneText} stack "${stackId}"`, 'success');
+    } catch (error) {
+        console.error(`Error running stack operation on ${stackId}:`, error);
+        showNotification(error.message, 'error');
+    }
+
+    await refreshServerList();
+}
+
+// Export functions for use in other modules
+window.ComposeStackUI = {
+    openComposeStackModal,
+    renderStackGroups,
+    bringStackUp,
+    bringStackDown,
+    restartStackService
+};
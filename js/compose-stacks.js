@@ -0,0 +1,112 @@
+/**
+ * Compose Stacks - Exposes the ComposeStackManager module to non-module scripts
+ * New code should import the ComposeStackManager module directly
+ */
+
+import composeStackManager from './ComposeStackManager.js';
+
+/**
+ * Build a stack from inventory servers
+ * @param {string} name - Stack name
+ * @param {Array<Object>} servers - Inventory entries
+ * @returns {Object} Stack and the skipped servers ({ stack, skipped })
+ */
+function createStack(name, servers) {
+    return composeStackManager.createStack(name, servers);
+}
+
+/**
+ * Read a stack from a compose file
+ * @param {string} name - Stack name
+ * @param {string} content - docker-compose.yml content
+ * @returns {Object} Stack
+ */
+function importComposeFile(name, content) {
+    return composeStackManager.importComposeFile(name, content);
+}
+
+/**
+ * Write the compose file of a stack
+ * @param {Object} stack - Stack
+ * @returns {string} docker-compose.yml content
+ */
+function generateComposeFile(stack) {
+    return composeStackManager.generateComposeFile(stack);
+}
+
+/**
+ * Save a stack
+ * @param {Object} stack - Stack
+ * @returns {Object} Saved stack
+ */
+function saveStack(stack) {
+    return composeStackManager.saveStack(stack);
+}
+
+/**
+ * Get the saved stacks
+ * @returns {Array<Object>} Stacks
+ */
+function getStacks() {
+    return composeStackManager.getStacks();
+}
+
+/**
+ * Get a saved stack
+ * @param {string} stackId - Stack ID
+ * @returns {Object|null} Stack or null if unknown
+ */
+function getStack(stackId) {
+    return composeStackManager.getStack(stackId);
+}
+
+/**
+ * Forget a saved stack
+ * @param {string} stackId - Stack ID
+ */
+function deleteStack(stackId) {
+    composeStackManager.deleteStack(stackId);
+}
+
+/**
+ * Bring a stack up
+ * @param {string} stackId - Stack ID
+ * @param {Object} options - Options ({ onOutput })
+ * @returns {Promise<void>}
+ */
+function up(stackId, options) {
+    return composeStackManager.up(stackId, options);
+}
+
+/**
+ * Bring a stack down
+ * @param {string} stackId - Stack ID
+ * @returns {Promise<void>}
+ */
+function down(stackId) {
+    return composeStackManager.down(stackId);
+}
+
+/**
+ * Restart one service of a stack
+ * @param {string} stackId - Stack ID
+ * @param {string} serviceName - Service name
+ * @returns {Promise<void>}
+ */
+function restartService(stackId, serviceName) {
+    return composeStackManager.restartService(stackId, serviceName);
+}
+
+// Export functions for use in other modules
+window.ComposeStacks = {
+    createStack,
+    importComposeFile,
+    generateComposeFile,
+    saveStack,
+    getStacks,
+    getStack,
+    deleteStack,
+    up,
+    down,
+    restartService
+};
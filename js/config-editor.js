@@ -1,7 +1,16 @@
 /**
  * Configuration Editor - Handles loading, editing, and saving configuration files for MCP servers
+ * JSON, YAML and TOML files are parsed with ConfigFormats; server config files are also
+ * checked against the schema of the server's template, and SchemaEditor adds completions,
+ * hover help and inline diagnostics from that schema.
  */
 
+// Server config files that follow the schema of the server's template
+const TEMPLATE_CONFIG_FILE = /^config\.(?:json|ya?ml|toml)$/;
+
+// Template ID of each server, from the inventory or its container's TEMPLATE_ID environment variable
+const serverTemplateIds = new Map();
+
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     initConfigEditor();
@@ -14,6 +23,13 @@ document.addEventListener('DOMContentLoaded', function() {
 function initConfigEditor() {
     // Hide validation message initially
     document.getElementById('configValidationMessage').style.display = 'none';
+    
+    window.SchemaEditor.attach(document.getElementById('configEditor'), {
+        backdrop: document.getElementById('configEditorBackdrop'),
+        completions: document.getElementById('configEditorCompletions'),
+        hover: document.getElementById('configEditorHover'),
+        problems: document.getElementById('configEditorProblems')
+    });
 }
 
 /**
@@ -107,6 +123,7 @@ async function loadConfigFile(filename, forceRefresh = false) {
     
     // Show loading state
     configEditor.value = 'Loading configuration...';
+    window.SchemaEditor.setContext({ format: null });
     
     try {
         // Get the selected container ID
@@ -122,6 +139,7 @@ async function loadConfigFile(filename, forceRefresh = false) {
         if (cachedConfig && !forceRefresh) {
             // Use cached version
             configEditor.value = cachedConfig;
+            await updateSchemaEditorContext(containerId, filename);
             return;
         }
         
@@ -133,12 +151,28 @@ async function loadConfigFile(filename, forceRefresh = false) {
         
         // Cache the config
         sessionStorage.setItem(cacheKey, config);
+        
+        await updateSchemaEditorContext(containerId, filename);
     } catch (error) {
         console.error('Error loading configuration file:', error);
         configEditor.value = `Error loading configuration file: ${error.message}`;
     }
 }
 
+/**
+ * Give the schema editor the format and template schema of the loaded file
+ * Only server config files get the template schema; other files are checked for syntax.
+ * @param {string} serverId - Server ID
+ * @param {string} filename - Name of the configuration file
+ */
+async function updateSchemaEditorContext(serverId, filename) {
+    const format = window.ConfigFormats.detectFormat(filename);
+    const templateId = format && TEMPLATE_CONFIG_FILE.test(filename) ? await getServerTemplateId(serverId) : null;
+    const schema = templateId && window.ConfigValidator ? window.ConfigValidator.getTemplateSchema(templateId) : null;
+    
+    window.SchemaEditor.setContext({ format, templateId: schema ? templateId : null, schema });
+}
+
 /**
  * Execute a Docker command with Electron or fallback to simulation
  * @param {Function} electronAction - The action to perform with Electron
@@ -220,6 +254,8 @@ function getConfigFilePath(filename) {
     // Map common configuration files to their paths in the container
     const configPaths = {
         'config.json': '/app/config/config.json',
+        'config.yaml': '/app/config/config.yaml',
+        'config.toml': '/app/config/config.toml',
         'environment.json': '/app/config/environment.json',
         'docker-compose.yml': '/app/docker-compose.yml',
         '.env': '/app/.env'
@@ -286,6 +322,27 @@ services:
       - REPO_URL=https://github.com/modelcontextprotocol/servers
       - TEMPLATE_ID=basic-api
     restart: unless-stopped`,
+        'config.yaml': `# MCP server settings
+name: mcp-server
+port: 3000
+host: 0.0.0.0
+
+logging:
+  level: info  # debug, info, warn or error
+  file: /app/logs/server.log
+`,
+        'pyproject.toml': `[project]
+name = "mcp-server"
+version = "1.0.0"
+requires-python = ">=3.10"
+dependencies = [
+    "mcp>=1.0",
+    "httpx>=0.27",  # HTTP client for the tools
+]
+
+[project.scripts]
+mcp-server = "mcp_server.main:run"
+`,
         '.env': `# MCP Server Environment Variables
 NODE_ENV=production
 PORT=3000
@@ -314,7 +371,7 @@ async function saveConfigFile() {
     
     try {
         // Validate the content before saving
-        if (!validateConfigContent(false)) {
+        if (!(await validateConfigContent(false))) {
             return;
         }
         
@@ -400,28 +457,25 @@ async function saveContainerConfigFile(containerId, filename, content) {
 
 /**
  * Format the configuration content based on file type
+ * YAML and TOML keep their comments; only indentation and spacing change.
  */
 function formatConfigContent() {
     const configEditor = document.getElementById('configEditor');
     const filename = document.getElementById('configFileName').textContent;
     const content = configEditor.value;
+    const format = window.ConfigFormats.detectFormat(filename);
     
     try {
-        // Format based on file extension
-        if (filename.endsWith('.json')) {
-            // Format JSON
-            const parsedJson = JSON.parse(content);
-            configEditor.value = JSON.stringify(parsedJson, null, 2);
-        } else if (filename.endsWith('.yml') || filename.endsWith('.yaml')) {
-            // For YAML, we can't really format it without a YAML library
-            // Just ensure consistent indentation (simple approach)
-            configEditor.value = formatYamlIndentation(content);
+        if (format) {
+            configEditor.value = window.ConfigFormats.formatConfig(content, format);
         } else {
             // For other files, just ensure consistent line endings
             configEditor.value = content.replace(/\r\n/g, '\n');
         }
+        window.SchemaEditor.refresh();
     } catch (error) {
         console.error('Error formatting configuration:', error);
+        highlightConfigError(error);
         
         // Show error message
         const validationMessage = document.getElementById('configValidationMessage');
@@ -432,56 +486,100 @@ function formatConfigContent() {
 }
 
 /**
- * Simple YAML indentation formatter
- * @param {string} content - YAML content
- * @returns {string} Formatted YAML content
+ * Select the character a parse error points at
+ * @param {Error} error - Error, highlighted only if it has a line and column
  */
-function formatYamlIndentation(content) {
-    // Split into lines
-    const lines = content.split('\n');
+function highlightConfigError(error) {
+    if (!(error instanceof window.ConfigFormats.ConfigParseError)) {
+        return;
+    }
     
-    // Process each line
-    for (let i = 0; i < lines.length; i++) {
-        // Trim trailing whitespace
-        lines[i] = lines[i].trimRight();
-        
-        // Count leading spaces
-        const leadingSpaces = lines[i].match(/^\s*/)[0].length;
+    const configEditor = document.getElementById('configEditor');
+    const offset = window.ConfigFormats.getOffset(configEditor.value, error.line, error.column);
+    configEditor.focus();
+    configEditor.setSelectionRange(offset, Math.min(offset + 1, configEditor.value.length));
+}
+
+/**
+ * Get the configuration template of a server
+ * @param {string} serverId - Server ID
+ * @returns {Promise<string|null>} Template ID or null if the server has none
+ */
+async function getServerTemplateId(serverId) {
+    if (serverTemplateIds.has(serverId)) {
+        return serverTemplateIds.get(serverId);
+    }
+    
+    // Inventory details only list environment variable names, the entry keeps the template
+    const entry = window.ServerInventory ? window.ServerInventory.getServer(serverId) : null;
+    if (entry && entry.templateId) {
+        serverTemplateIds.set(serverId, entry.templateId);
+        return entry.templateId;
+    }
+    
+    try {
+        const details = await getServerDetails(serverId);
+        const variable = (details.env || []).find(env => env.startsWith('TEMPLATE_ID='));
+        const templateId = variable ? variable.slice('TEMPLATE_ID='.length) : null;
         
-        // Ensure indentation is a multiple of 2 spaces
-        if (leadingSpaces > 0 && leadingSpaces % 2 !== 0) {
-            const newIndent = Math.floor(leadingSpaces / 2) * 2;
-            lines[i] = ' '.repeat(newIndent) + lines[i].trimLeft();
-        }
+        serverTemplateIds.set(serverId, templateId);
+        return templateId;
+    } catch (error) {
+        // Not cached, the server may be reachable next time
+        console.error('Error getting server template:', error);
+        return null;
+    }
+}
+
+/**
+ * Check a parsed server config against the schema of the server's template
+ * @param {*} config - Parsed configuration
+ * @returns {Promise<Object|null>} Validation result, or null if the server has no known template
+ */
+async function validateAgainstTemplate(config) {
+    const serverId = document.querySelector('.server-item.selected')?.getAttribute('data-server-id');
+    if (!serverId || !window.ConfigValidator) {
+        return null;
     }
     
-    return lines.join('\n');
+    const templateId = await getServerTemplateId(serverId);
+    if (!templateId || !window.ConfigValidator.hasTemplate(templateId)) {
+        return null;
+    }
+    
+    return window.ConfigValidator.validateConfigAgainstTemplate(config, templateId);
 }
 
 /**
  * Validate the configuration content based on file type
  * @param {boolean} [showMessage=true] - Whether to show validation messages
- * @returns {boolean} Whether the validation was successful
+ * @returns {Promise<boolean>} Whether the validation was successful
  */
-function validateConfigContent(showMessage = true) {
+async function validateConfigContent(showMessage = true) {
     const configEditor = document.getElementById('configEditor');
     const filename = document.getElementById('configFileName').textContent;
     const content = configEditor.value;
     const validationMessage = document.getElementById('configValidationMessage');
+    const format = window.ConfigFormats.detectFormat(filename);
     
     try {
-        // Validate based on file extension
-        if (filename.endsWith('.json')) {
-            // Validate JSON
-            JSON.parse(content);
-        } else if (filename.endsWith('.yml') || filename.endsWith('.yaml')) {
-            // Basic YAML validation (just check for balanced indentation)
-            validateYamlIndentation(content);
+        let message = 'Configuration is valid.';
+        
+        if (format) {
+            const config = window.ConfigFormats.parseConfig(content, format);
+            const result = TEMPLATE_CONFIG_FILE.test(filename) ? await validateAgainstTemplate(config) : null;
+            
+            if (result && !result.valid) {
+                throw new Error(`Configuration does not match the server template: ${result.errors.join('; ')}`);
+            }
+            if (result && result.warnings && result.warnings.length > 0) {
+                message = `Configuration is valid. Warnings: ${result.warnings.join('; ')}`;
+            }
         }
         
         // If we got here, validation passed
         if (showMessage) {
-            validationMessage.textContent = 'Configuration is valid.';
+            validationMessage.textContent = message;
             validationMessage.className = 'validation-message success';
             validationMessage.style.display = 'block';
             
@@ -496,6 +594,8 @@ function validateConfigContent(showMessage = true) {
         console.error('Validation error:', error);
         
         if (showMessage) {
+            highlightConfigError(error);
+            
             // Show error message
             validationMessage.textContent = `Validation error: ${error.message}`;
             validationMessage.className = 'validation-message error';
@@ -506,44 +606,6 @@ function validateConfigContent(showMessage = true) {
     }
 }
 
-/**
- * Basic YAML indentation validation
- * @param {string} content - YAML content
- * @throws {Error} If YAML indentation is invalid
- */
-function validateYamlIndentation(content) {
-    // Split into lines
-    const lines = content.split('\n');
-    
-    // Track indentation levels
-    let prevIndent = 0;
-    
-    // Process each line
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        
-        // Skip empty lines and comments
-        if (line.trim() === '' || line.trim().startsWith('#')) {
-            continue;
-        }
-        
-        // Count leading spaces
-        const leadingSpaces = line.match(/^\s*/)[0].length;
-        
-        // Check for tab characters (not allowed in YAML)
-        if (line.includes('\t')) {
-            throw new Error(`Line ${i + 1}: Tab characters are not allowed in YAML`);
-        }
-        
-        // Check for sudden large increases in indentation
-        if (leadingSpaces > prevIndent + 2 && prevIndent !== 0) {
-            throw new Error(`Line ${i + 1}: Inconsistent indentation`);
-        }
-        
-        prevIndent = leadingSpaces;
-    }
-}
-
 // Make functions globally accessible
 window.ConfigEditor = {
     loadConfigFile,
@@ -0,0 +1,344 @@
+/**
+ * Config Formats - Parses and formats JSON, YAML and TOML configuration files
+ * Every format is parsed into plain objects, so the same schema checks apply to all of them.
+ * Parse errors carry the line and column of the problem.
+ */
+
+const FORMATS = {
+    JSON: 'json',
+    YAML: 'yaml',
+    TOML: 'toml'
+};
+
+/**
+ * Error for configuration files that cannot be parsed
+ */
+class ConfigParseError extends Error {
+    /**
+     * @param {string} reason - What is wrong
+     * @param {number} line - Line number (1-based)
+     * @param {number} column - Column number (1-based)
+     */
+    constructor(reason, line, column) {
+        super(`Line ${line}, column ${column}: ${reason}`);
+        this.name = 'ConfigParseError';
+        this.reason = reason;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+/**
+ * Detect the format of a configuration file from its name
+ * @param {string} filename - File name
+ * @returns {string|null} Format or null for plain text files
+ */
+function detectFormat(filename) {
+    const name = filename.toLowerCase();
+
+    if (name.endsWith('.json')) {
+        return FORMATS.JSON;
+    }
+    if (name.endsWith('.yml') || name.endsWith('.yaml')) {
+        return FORMATS.YAML;
+    }
+    if (name.endsWith('.toml')) {
+        return FORMATS.TOML;
+    }
+    return null;
+}
+
+/**
+ * Get the line and column of an offset in a text
+ * @param {string} content - Text
+ * @param {number} offset - Character offset
+ * @returns {Object} Location ({ line, column }), 1-based
+ */
+function getLocation(content, offset) {
+    const before = content.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Get the offset of a line and column in a text
+ * @param {string} content - Text
+ * @param {number} line - Line number (1-based)
+ * @param {number} column - Column number (1-based)
+ * @returns {number} Character offset
+ */
+function getOffset(content, line, column) {
+    const lines = content.split('\n');
+    let offset = 0;
+
+    for (let i = 0; i < line - 1 && i < lines.length; i++) {
+        offset += lines[i].length + 1;
+    }
+
+    return Math.min(content.length, offset + column - 1);
+}
+
+/**
+ * Scan JSON, recording where each value is
+ * JSON.parse does not always say where a problem is, so invalid JSON is scanned again with this.
+ * @private
+ * @param {string} content - JSON text
+ * @param {Array<Object>} locations - Receives the location of every value below the root
+ * @throws {ConfigParseError} If the JSON is not valid
+ */
+function _scanJson(content, locations) {
+    let pos = 0;
+
+    const fail = (reason, offset = pos) => {
+        const location = getLocation(content, offset);
+        throw new ConfigParseError(reason, location.line, location.column);
+    };
+    const skipSpace = () => {
+        while (/[ \t\n\r]/.test(content[pos] || '')) {
+            pos++;
+        }
+    };
+    const describe = () => (pos >= content.length ? 'Unexpected end of input' : `Unexpected "${content[pos]}"`);
+
+    const string = () => {
+        const start = pos;
+        pos++;
+        while (content[pos] !== '"') {
+            if (pos >= content.length || content[pos] === '\n') {
+                fail('Unterminated string', start);
+            }
+            if (content[pos] < ' ') {
+                fail('Control characters must be escaped in strings');
+            }
+            if (content[pos] === '\\') {
+                if (!/^(?:["\\/bfnrt]|u[0-9a-fA-F]{4})/.test(content.slice(pos + 1))) {
+                    fail('Invalid escape sequence');
+                }
+                pos += content[pos + 1] === 'u' ? 5 : 1;
+            }
+            pos++;
+        }
+        pos++;
+    };
+
+    const collection = (path, open) => {
+        const close = open === '{' ? '}' : ']';
+        let index = 0;
+        pos++;
+        skipSpace();
+        if (content[pos] === close) {
+            pos++;
+            return;
+        }
+
+        for (;;) {
+            if (open === '{') {
+                skipSpace();
+                if (content[pos] !== '"') {
+                    fail(pos >= content.length ? 'Unexpected end of input' : 'Expected a property name in double quotes');
+                }
+                const keyStart = pos;
+                string();
+                const key = { start: keyStart, end: pos };
+                skipSpace();
+                if (content[pos] !== ':') {
+                    fail('Expected ":" after the property name');
+                }
+                pos++;
+                value([...path, JSON.parse(content.slice(key.start, key.end))], key);
+            } else {
+                value([...path, index++], null);
+            }
+
+            skipSpace();
+            if (content[pos] === ',') {
+                pos++;
+                skipSpace();
+                if (content[pos] === close) {
+                    fail('Trailing commas are not allowed');
+                }
+            } else if (content[pos] === close) {
+                pos++;
+                return;
+            } else {
+                fail(pos >= content.length ? 'Unexpected end of input' : `Expected "," or "${close}"`);
+            }
+        }
+    };
+
+    const value = (path, key) => {
+        skipSpace();
+        const start = pos;
+        const ch = content[pos];
+
+        if (ch === '{' || ch === '[') {
+            collection(path, ch);
+        } else if (ch === '"') {
+            string();
+        } else {
+            const match = content.slice(pos).match(/^(?:true|false|null|-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][-+]?[0-9]+)?)/);
+            if (!match) {
+                fail(describe());
+            }
+            pos += match[0].length;
+        }
+
+        if (path.length > 0) {
+            locations.push({
+                path,
+                keyStart: key ? key.start : start,
+                keyEnd: key ? key.end : start,
+                valueStart: start,
+                valueEnd: pos
+            });
+        }
+    };
+
+    value([], null);
+    skipSpace();
+    if (pos < content.length) {
+        fail(describe());
+    }
+}
+
+/**
+ * Find the first syntax error in invalid JSON
+ * @private
+ * @param {string} content - JSON text
+ * @returns {ConfigParseError} Error with the line and column of the problem
+ */
+function _findJsonError(content) {
+    try {
+        _scanJson(content, []);
+        return new ConfigParseError('Invalid JSON', 1, 1);
+    } catch (error) {
+        if (!(error instanceof ConfigParseError)) {
+            throw error;
+        }
+        return error;
+    }
+}
+
+/**
+ * Parse JSON, reporting where the syntax error is
+ * @private
+ * @param {string} content - JSON text
+ * @returns {*} Parsed value
+ * @throws {ConfigParseError} If the JSON is not valid
+ */
+function _parseJson(content) {
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw _findJsonError(content);
+    }
+}
+
+/**
+ * Get the parser of a format
+ * @private
+ * @param {string} format - Format
+ * @returns {Object} Parser ({ parse, format, locate })
+ */
+function _getParser(format) {
+    const parsers = {
+        [FORMATS.YAML]: window.ConfigYaml,
+        [FORMATS.TOML]: window.ConfigToml
+    };
+
+    if (!parsers[format]) {
+        throw new Error(`Unsupported configuration format: ${format}`);
+    }
+    return parsers[format];
+}
+
+/**
+ * Parse a configuration file
+ * @param {string} content - File content
+ * @param {string} format - Format (see FORMATS)
+ * @returns {*} Parsed value
+ * @throws {ConfigParseError} If the content is not valid
+ */
+function parseConfig(content, format) {
+    if (format === FORMATS.JSON) {
+        return _parseJson(content);
+    }
+    return _getParser(format).parse(content);
+}
+
+/**
+ * Format a configuration file
+ * YAML and TOML keep their comments, key order and scalar styles; only the layout changes.
+ * The result is parsed again and rejected if it does not mean the same as the input.
+ * @param {string} content - File content
+ * @param {string} format - Format (see FORMATS)
+ * @returns {string} Formatted content
+ */
+function formatConfig(content, format) {
+    if (format === FORMATS.JSON) {
+        return JSON.stringify(_parseJson(content), null, 2);
+    }
+
+    const parser = _getParser(format);
+    const formatted = parser.format(content);
+
+    if (JSON.stringify(parser.parse(formatted)) !== JSON.stringify(parser.parse(content))) {
+        throw new Error('Formatting would change the meaning of the file, so it was left unchanged');
+    }
+
+    return formatted;
+}
+
+/**
+ * Find where each value of a configuration file is
+ * Locations of array items have an empty key range. TOML table headers are marked with table: true.
+ * @param {string} content - File content
+ * @param {string} format - Format (see FORMATS)
+ * @returns {Array<Object>} Locations ({ path, keyStart, keyEnd, valueStart, valueEnd }) as
+ *   character offsets, with the path as an array of keys and indexes
+ * @throws {ConfigParseError} If the content is not valid
+ */
+function locateConfig(content, format) {
+    if (format === FORMATS.JSON) {
+        const locations = [];
+        _parseJson(content);
+        _scanJson(content, locations);
+        return locations;
+    }
+    return _getParser(format).locate(content);
+}
+
+/**
+ * Write a path the way ConfigValidator reports it (servers[0].name)
+ * @param {Array<string|number>} path - Path
+ * @returns {string} Path text
+ */
+function pathToString(path) {
+    return path.reduce((text, part) => (typeof part === 'number'
+        ? `${text}[${part}]`
+        : (text ? `${text}.${part}` : part)), '');
+}
+
+/**
+ * Define a key on a parsed object
+ * Keys like "__proto__" become own properties instead of changing the prototype.
+ * @param {Object} target - Object
+ * @param {string} key - Key
+ * @param {*} value - Value
+ */
+function setKey(target, key, value) {
+    Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+// Export functions for use in other modules
+window.ConfigFormats = {
+    FORMATS,
+    ConfigParseError,
+    detectFormat,
+    getLocation,
+    getOffset,
+    parseConfig,
+    formatConfig,
+    locateConfig,
+    pathToString,
+    setKey
+};
@@ -0,0 +1,864 @@
+/**
+ * Config Schema - Schema-aware help for the configuration editor
+ * Works out completions, hover help, diagnostics and quick fixes for JSON, YAML and TOML
+ * files from the JSON Schema of a server template. Completions read the text around the
+ * cursor, so they also work while the file does not parse.
+ */
+
+// Characters of bare keys and values typed at the cursor
+const COMPLETION_WORD = /[A-Za-z0-9_.+-]*$/;
+const COMPLETION_WORD_AFTER = /^[A-Za-z0-9_.+-]*/;
+
+const YAML_KEY_LINE = /^("[^"]*"|'[^']*'|[^\s#'"][^#]*?):(?=[ \t]|$)[ \t]*(.*)$/;
+const TOML_KEY_PART = /"([^"]*)"|'([^']*)'|([A-Za-z0-9_-]+)/g;
+const TOML_BARE_KEY_TEXT = /^[A-Za-z0-9_-]+$/;
+
+// Placeholder values for keys without a default
+const TYPE_PLACEHOLDERS = { string: '', number: 0, integer: 0, boolean: false, array: [], object: {} };
+
+// Rounds of "Fix all"; each round applies one fix and looks again
+const MAX_FIX_ROUNDS = 50;
+
+/**
+ * Check whether an object has a property of its own
+ * @private
+ * @param {Object} target - Object
+ * @param {string} key - Property name
+ * @returns {boolean} True if the property exists
+ */
+function _has(target, key) {
+    return Object.prototype.hasOwnProperty.call(target, key);
+}
+
+/**
+ * Compare two parsed values
+ * @private
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} True if equal
+ */
+function _sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Get the schema of a value inside a document
+ * @param {Object} schema - JSON Schema of the document
+ * @param {Array<string|number>} path - Path of the value
+ * @returns {Object|null} Schema of the value or null if the schema does not describe it
+ */
+function getSchemaAt(schema, path) {
+    let current = schema;
+
+    for (const part of path) {
+        if (!current) {
+            return null;
+        }
+
+        if (typeof part === 'number') {
+            current = current.items && !Array.isArray(current.items) ? current.items : null;
+        } else if (current.properties && _has(current.properties, part)) {
+            current = current.properties[part];
+        } else {
+            const pattern = Object.keys(current.patternProperties || {}).find(source => new RegExp(source).test(part));
+            current = pattern
+                ? current.patternProperties[pattern]
+                : (typeof current.additionalProperties === 'object' ? current.additionalProperties : null);
+        }
+    }
+
+    return current || null;
+}
+
+/**
+ * Describe the type of a schema for completion and hover text
+ * @private
+ * @param {Object} propSchema - Schema
+ * @returns {string} Type text
+ */
+function _typeText(propSchema) {
+    const type = [].concat(propSchema.type || 'any').join(' | ');
+    return propSchema.enum ? `${type}: ${propSchema.enum.map(value => JSON.stringify(value)).join(' | ')}` : type;
+}
+
+/**
+ * Write a TOML key
+ * @private
+ * @param {string} key - Key
+ * @returns {string} Bare or quoted key
+ */
+function _tomlKey(key) {
+    return TOML_BARE_KEY_TEXT.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Write a value as TOML
+ * @private
+ * @param {*} value - Value
+ * @returns {string|null} TOML text, or null for values TOML cannot hold (null)
+ */
+function _tomlValue(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) {
+            return 'nan';
+        }
+        if (!Number.isFinite(value)) {
+            return value > 0 ? 'inf' : '-inf';
+        }
+        const text = String(value);
+        return Number.isInteger(value) || /[.e]/.test(text) ? text : `${text}.0`;
+    }
+
+    if (Array.isArray(value)) {
+        const items = value.map(_tomlValue);
+        return items.includes(null) ? null : `[${items.join(', ')}]`;
+    }
+
+    if (typeof value === 'object') {
+        const entries = Object.entries(value).map(([key, item]) => [key, _tomlValue(item)]);
+        if (entries.some(([, text]) => text === null)) {
+            return null;
+        }
+        return entries.length > 0 ? `{ ${entries.map(([key, text]) => `${_tomlKey(key)} = ${text}`).join(', ')} }` : '{}';
+    }
+
+    return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Write a value in the syntax of a format, on one line
+ * YAML strings stay plain unless that would change their meaning.
+ * @param {*} value - Value
+ * @param {string} format - Format (see ConfigFormats.FORMATS)
+ * @returns {string|null} Text, or null if the format cannot hold the value
+ */
+function formatValue(value, format) {
+    const { FORMATS } = window.ConfigFormats;
+
+    if (format === FORMATS.TOML) {
+        return _tomlValue(value);
+    }
+
+    if (format === FORMATS.YAML && typeof value === 'string' && /^[^\s"'#&*!|>%@`{}[\],?-][^#\n]*$/.test(value)
+        && !/:(?:\s|$)|\s$/.test(value)) {
+        try {
+            if (window.ConfigYaml.parse(value) === value) {
+                return value;
+            }
+        } catch (error) {
+            // Not a plain scalar, quote it
+        }
+    }
+
+    if (format === FORMATS.YAML && typeof value === 'number' && !Number.isFinite(value)) {
+        return Number.isNaN(value) ? '.nan' : (value > 0 ? '.inf' : '-.inf');
+    }
+
+    return value === undefined ? null : JSON.stringify(value);
+}
+
+/**
+ * Get the line around an offset
+ * @private
+ * @param {string} content - Text
+ * @param {number} offset - Offset
+ * @returns {Object} Line ({ start, before, after }) with the text before and after the offset
+ */
+function _lineAt(content, offset) {
+    const start = content.lastIndexOf('\n', offset - 1) + 1;
+    const end = content.indexOf('\n', offset);
+    return {
+        start,
+        before: content.slice(start, offset),
+        after: content.slice(offset, end === -1 ? content.length : end)
+    };
+}
+
+/**
+ * Find the completion context in JSON by scanning the text before the cursor
+ * @private
+ * @param {string} content - JSON text
+ * @param {number} offset - Cursor offset
+ * @returns {Object|null} Context
+ */
+function _jsonContext(content, offset) {
+    const stack = [];
+    let string = null;
+
+    const childPath = () => {
+        const top = stack[stack.length - 1];
+        if (!top) {
+            return [];
+        }
+        return [...top.path, top.type === 'object' ? top.key : top.index];
+    };
+
+    for (let i = 0; i < offset; i++) {
+        const ch = content[i];
+        const top = stack[stack.length - 1];
+
+        if (ch === '"') {
+            let end = i + 1;
+            while (end < content.length && content[end] !== '"' && content[end] !== '\n') {
+                end += content[end] === '\\' ? 2 : 1;
+            }
+
+            if (end >= offset) {
+                string = { start: i, end: content[end] === '"' ? end + 1 : end };
+                break;
+            }
+
+            if (top && top.type === 'object' && top.expectKey) {
+                try {
+                    top.key = JSON.parse(content.slice(i, end + 1));
+                } catch (error) {
+                    top.key = content.slice(i + 1, end);
+                }
+            }
+            i = end;
+        } else if (ch === '{') {
+            stack.push({ type: 'object', path: childPath(), key: null, expectKey: true });
+        } else if (ch === '[') {
+            stack.push({ type: 'array', path: childPath(), index: 0 });
+        } else if (ch === '}' || ch === ']') {
+            stack.pop();
+        } else if (ch === ':' && top && top.type === 'object') {
+            top.expectKey = false;
+        } else if (ch === ',' && top) {
+            if (top.type === 'object') {
+                top.expectKey = true;
+                top.key = null;
+            } else {
+                top.index++;
+            }
+        }
+    }
+
+    const top = stack[stack.length - 1];
+    if (!top) {
+        return null;
+    }
+
+    const range = string
+        ? { prefix: content.slice(string.start + 1, offset), from: string.start, to: string.end }
+        : {
+            prefix: content.slice(0, offset).match(COMPLETION_WORD)[0],
+            from: offset - content.slice(0, offset).match(COMPLETION_WORD)[0].length,
+            to: offset + content.slice(offset).match(COMPLETION_WORD_AFTER)[0].length
+        };
+
+    if (top.type === 'object' && top.expectKey) {
+        const indent = _lineAt(content, range.from).before.match(/^\s*/)[0].length;
+        return { mode: 'key', path: top.path, indent, ...range };
+    }
+    if (top.type === 'object' && top.key === null) {
+        return null;
+    }
+    return { mode: 'value', path: top.path, key: top.type === 'object' ? top.key : top.index, ...range };
+}
+
+/**
+ * Find the path of the YAML block collection that content at a column belongs to
+ * Walks up to the lines with less indentation ("key:" and "- " lines).
+ * @private
+ * @param {Array<string>} lines - Lines before the cursor line
+ * @param {number} column - Column of the content
+ * @param {boolean} inSequence - True if the content is a sequence entry ("- ")
+ * @returns {Array<string|number>|null} Path, or null inside a multi-line scalar
+ */
+function _yamlParentPath(lines, column, inSequence) {
+    const path = [];
+    let current = column;
+    let sequence = inSequence;
+
+    for (let row = lines.length - 1; row >= 0 && (current > 0 || sequence); row--) {
+        const text = lines[row];
+        const trimmed = text.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) {
+            continue;
+        }
+
+        const match = text.match(/^(\s*)((?:- +)*)(.*)$/);
+        const lead = match[1].length;
+        const contentColumn = lead + match[2].length;
+        if (lead > current || (lead === current && !(sequence && !match[2]))) {
+            continue;
+        }
+
+        const key = match[3].match(YAML_KEY_LINE);
+        const hasValue = key && key[2] !== '' && !key[2].startsWith('#');
+        const name = key ? key[1].replace(/^(["'])(.*)\1$/, '$2') : null;
+
+        if (match[2]) {
+            // A sequence entry: the content is in the entry's mapping or in the value of its key
+            if (key && !hasValue && current > contentColumn) {
+                path.unshift(name);
+            }
+            path.unshift(0);
+            current = lead;
+            sequence = true;
+        } else if (key && !hasValue) {
+            path.unshift(name);
+            current = lead;
+            sequence = false;
+        } else {
+            return null;
+        }
+    }
+
+    return path;
+}
+
+/**
+ * Find the completion context in YAML from the indentation of the lines before the cursor
+ * @private
+ * @param {string} content - YAML text
+ * @param {number} offset - Cursor offset
+ * @returns {Object|null} Context
+ */
+function _yamlContext(content, offset) {
+    const line = _lineAt(content, offset);
+    const lines = content.slice(0, line.start).split('\n').slice(0, -1);
+    const after = line.after.match(COMPLETION_WORD_AFTER)[0].length;
+
+    const keyLine = line.before.match(/^(\s*)((?:- +)*)([A-Za-z0-9_.-]*)$/);
+    if (keyLine) {
+        const parent = _yamlParentPath(lines, keyLine[1].length, Boolean(keyLine[2]));
+        return parent && {
+            mode: 'key',
+            path: keyLine[2] ? [...parent, 0] : parent,
+            prefix: keyLine[3],
+            from: offset - keyLine[3].length,
+            to: offset + after,
+            indent: keyLine[1].length + keyLine[2].length
+        };
+    }
+
+    const valueLine = line.before.match(/^(\s*)((?:- +)*)("[^"]*"|'[^']*'|[^\s#'"][^#]*?):[ \t]+([^#\s]*)$/);
+    if (valueLine) {
+        const parent = _yamlParentPath(lines, valueLine[1].length, Boolean(valueLine[2]));
+        return parent && {
+            mode: 'value',
+            path: valueLine[2] ? [...parent, 0] : parent,
+            key: valueLine[3].replace(/^(["'])(.*)\1$/, '$2'),
+            prefix: valueLine[4],
+            from: offset - valueLine[4].length,
+            to: offset + line.after.match(/^\S*/)[0].length
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Split a dotted TOML key into its parts
+ * @private
+ * @param {string} text - Key text
+ * @returns {Array<string>} Parts
+ */
+function _tomlKeyParts(text) {
+    return [...text.matchAll(TOML_KEY_PART)].map(match => match[1] ?? match[2] ?? match[3]);
+}
+
+/**
+ * Find the completion context in TOML from the table header above the cursor
+ * @private
+ * @param {string} content - TOML text
+ * @param {number} offset - Cursor offset
+ * @returns {Object|null} Context
+ */
+function _tomlContext(content, offset) {
+    const line = _lineAt(content, offset);
+    const lines = content.slice(0, line.start).split('\n');
+    let table = [];
+
+    for (let row = lines.length - 1; row >= 0; row--) {
+        const header = lines[row].match(/^\s*(\[\[?)\s*([A-Za-z0-9_."' -]+?)\s*\]\]?\s*(?:#.*)?$/);
+        if (header) {
+            table = header[1] === '[[' ? [..._tomlKeyParts(header[2]), 0] : _tomlKeyParts(header[2]);
+            break;
+        }
+    }
+
+    const keyLine = line.before.match(/^\s*((?:[A-Za-z0-9_-]+\s*\.\s*)*)([A-Za-z0-9_-]*)$/);
+    if (keyLine) {
+        return {
+            mode: 'key',
+            path: [...table, ..._tomlKeyParts(keyLine[1])],
+            prefix: keyLine[2],
+            from: offset - keyLine[2].length,
+            to: offset + line.after.match(/^[A-Za-z0-9_-]*/)[0].length
+        };
+    }
+
+    const valueLine = line.before.match(/^\s*([A-Za-z0-9_."' -]+?)\s*=\s*(\S*)$/);
+    if (valueLine) {
+        const parts = _tomlKeyParts(valueLine[1]);
+        return {
+            mode: 'value',
+            path: [...table, ...parts.slice(0, -1)],
+            key: parts[parts.length - 1],
+            prefix: valueLine[2],
+            from: offset - valueLine[2].length,
+            to: offset + line.after.match(/^\S*/)[0].length
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Find what the cursor is on: a key of an object or the value of a key
+ * @param {string} content - File content
+ * @param {string} format - Format (see ConfigFormats.FORMATS)
+ * @param {number} offset - Cursor offset
+ * @returns {Object|null} Context ({ mode: 'key' | 'value', path, key, prefix, from, to }) with the
+ *   path of the object and the range the completion replaces, or null if nothing can be completed
+ */
+function getCompletionContext(content, format, offset) {
+    const { FORMATS } = window.ConfigFormats;
+    const finders = {
+        [FORMATS.JSON]: _jsonContext,
+        [FORMATS.YAML]: _yamlContext,
+        [FORMATS.TOML]: _tomlContext
+    };
+
+    return finders[format] ? finders[format](content, offset) : null;
+}
+
+/**
+ * Get the keys an object in the document already has
+ * @private
+ * @param {string} content - File content
+ * @param {string} format - Format
+ * @param {Array<string|number>} path - Path of the object
+ * @returns {Set<string>} Keys, empty while the file does not parse
+ */
+function _existingKeys(content, format, path) {
+    try {
+        let value = window.ConfigFormats.parseConfig(content, format);
+        path.forEach(part => {
+            value = value !== null && typeof value === 'object' ? value[part] : undefined;
+        });
+        return new Set(value !== null && typeof value === 'object' ? Object.keys(value) : []);
+    } catch (error) {
+        return new Set();
+    }
+}
+
+/**
+ * Write the value of a YAML entry, with non-empty mappings as indented blocks
+ * @private
+ * @param {*} value - Value
+ * @param {number} indent - Indentation of the nested keys
+ * @returns {string|null} Text after the colon, or null if YAML cannot hold the value
+ */
+function _yamlEntryValue(value, indent) {
+    const { FORMATS } = window.ConfigFormats;
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+        const text = formatValue(value, FORMATS.YAML);
+        return text === null ? null : ` ${text}`;
+    }
+
+    const lines = Object.entries(value).map(([key, item]) => {
+        const text = _yamlEntryValue(item, indent + 2);
+        return text === null ? null : `\n${' '.repeat(indent)}${formatValue(key, FORMATS.YAML)}:${text}`;
+    });
+    return lines.includes(null) ? null : lines.join('');
+}
+
+/**
+ * Write a key and its value in the syntax of a format
+ * @private
+ * @param {string} key - Key
+ * @param {*} value - Value, or undefined for a key to fill in
+ * @param {string} format - Format
+ * @param {number} indent - Indentation of the line the entry starts on
+ * @returns {string|null} Entry text, or null if the format cannot hold the value
+ */
+function _entryText(key, value, format, indent) {
+    const { FORMATS } = window.ConfigFormats;
+
+    if (format === FORMATS.JSON) {
+        const text = value === undefined ? '' : JSON.stringify(value, null, 2).replace(/\n/g, `\n${' '.repeat(indent)}`);
+        return `${JSON.stringify(key)}: ${text}`;
+    }
+
+    if (format === FORMATS.TOML) {
+        const text = value === undefined ? '' : _tomlValue(value);
+        return text === null ? null : `${_tomlKey(key)} = ${text}`;
+    }
+
+    const text = value === undefined ? ' ' : _yamlEntryValue(value, indent + 2);
+    return text === null ? null : `${formatValue(key, format)}:${text}`;
+}
+
+/**
+ * Write a key with its default value for a key completion
+ * @private
+ * @param {string} name - Key
+ * @param {Object} propSchema - Schema of the key
+ * @param {string} format - Format
+ * @param {Object} context - Completion context
+ * @returns {string} Inserted text
+ */
+function _keyCompletionText(name, propSchema, format, context) {
+    if (format === window.ConfigFormats.FORMATS.YAML && propSchema.type === 'object' && propSchema.default === undefined) {
+        // Nested keys go on the following lines
+        return `${formatValue(name, format)}:\n${' '.repeat(context.indent + 2)}`;
+    }
+
+    const value = propSchema.default !== undefined ? propSchema.default : TYPE_PLACEHOLDERS[propSchema.type];
+    return _entryText(name, value, format, context.indent) || _entryText(name, undefined, format, context.indent);
+}
+
+/**
+ * Get completions at the cursor
+ * Keys come from the properties of the object's schema; values from enums, booleans and defaults.
+ * @param {Object} schema - JSON Schema of the document
+ * @param {string} content - File content
+ * @param {string} format - Format (see ConfigFormats.FORMATS)
+ * @param {number} offset - Cursor offset
+ * @returns {Object|null} Completions ({ from, to, items }) with items ({ label, detail, documentation, text })
+ */
+function getCompletions(schema, content, format, offset) {
+    const context = schema ? getCompletionContext(content, format, offset) : null;
+    if (!context) {
+        return null;
+    }
+
+    const prefix = context.prefix.replace(/^["']/, '').toLowerCase();
+    let items = [];
+
+    if (context.mode === 'key') {
+        const objectSchema = getSchemaAt(schema, context.path);
+        const existing = _existingKeys(content, format, context.path);
+
+        items = Object.entries((objectSchema && objectSchema.properties) || {})
+            .filter(([name]) => !existing.has(name) && name.toLowerCase().startsWith(prefix))
+            .map(([name, propSchema]) => ({
+                label: name,
+                detail: _typeText(propSchema),
+                documentation: propSchema.description || '',
+                text: _keyCompletionText(name, propSchema, format, context)
+            }));
+    } else {
+        const valueSchema = getSchemaAt(schema, [...context.path, context.key]);
+        if (!valueSchema) {
+            return null;
+        }
+
+        const values = valueSchema.enum ? [...valueSchema.enum] : (valueSchema.type === 'boolean' ? [true, false] : []);
+        if (valueSchema.default !== undefined && !values.some(value => _sameValue(value, valueSchema.default))) {
+            values.unshift(valueSchema.default);
+        }
+
+        items = values
+            .map(value => ({
+                label: formatValue(value, format),
+                detail: _sameValue(value, valueSchema.default) ? 'default' : _typeText(valueSchema),
+                documentation: valueSchema.description || '',
+                text: formatValue(value, format)
+            }))
+            .filter(item => item.text !== null && item.label.replace(/^["']/, '').toLowerCase().startsWith(prefix));
+    }
+
+    return { from: context.from, to: context.to, items };
+}
+
+/**
+ * Find the most specific location at an offset
+ * @private
+ * @param {Array<Object>} locations - Locations from ConfigFormats.locateConfig
+ * @param {number} offset - Offset
+ * @returns {Object|null} Location
+ */
+function _locationAt(locations, offset) {
+    return locations
+        .filter(location => (offset >= location.keyStart && offset < location.keyEnd)
+            || (offset >= location.valueStart && offset < location.valueEnd))
+        .sort((a, b) => b.path.length - a.path.length)[0] || null;
+}
+
+/**
+ * Get the hover help for the key or value at an offset
+ * @param {Object} schema - JSON Schema of the document
+ * @param {string} content - File content
+ * @param {string} format - Format (see ConfigFormats.FORMATS)
+ * @param {number} offset - Offset under the mouse
+ * @returns {Object|null} Help ({ path, type, description, default, enum, from, to }), or null
+ *   if the file does not parse or the schema does not describe the value
+ */
+function getHover(schema, content, format, offset) {
+    let locations;
+    try {
+        locations = window.ConfigFormats.locateConfig(content, format);
+    } catch (error) {
+        return null;
+    }
+
+    const location = _locationAt(locations, offset);
+    const propSchema = location && schema ? getSchemaAt(schema, location.path) : null;
+    if (!propSchema) {
+        return null;
+    }
+
+    const onKey = offset >= location.keyStart && offset < location.keyEnd;
+    return {
+        path: window.ConfigFormats.pathToString(location.path),
+        type: _typeText(propSchema),
+        description: propSchema.description || '',
+        default: propSchema.default,
+        enum: propSchema.enum,
+        from: onKey ? location.keyStart : location.valueStart,
+        to: onKey ? location.keyEnd : location.valueEnd
+    };
+}
+
+/**
+ * Get the edit that adds a top-level key
+ * @private
+ * @param {string} content - File content
+ * @param {string} format - Format
+ * @param {Array<Object>} locations - Locations of the content
+ * @param {string} key - Key
+ * @param {*} value - Value
+ * @returns {Object|null} Edit ({ from, to, text }) or null if the key cannot be added
+ */
+function _addKeyEdit(content, format, locations, key, value) {
+    const { FORMATS } = window.ConfigFormats;
+    const topLevel = locations.filter(location => location.path.length === 1 && !location.table);
+    const last = topLevel.sort((a, b) => b.valueEnd - a.valueEnd)[0];
+
+    if (format === FORMATS.JSON) {
+        if (last) {
+            const lineStart = content.lastIndexOf('\n', last.keyStart - 1) + 1;
+            const lead = content.slice(lineStart, last.keyStart);
+            const indent = /^\s*$/.test(lead) ? lead : '  ';
+            return { from: last.valueEnd, to: last.valueEnd, text: `,\n${indent}${_entryText(key, value, format, indent.length)}` };
+        }
+
+        const brace = content.indexOf('{');
+        return brace === -1 ? null : { from: brace + 1, to: brace + 1, text: `\n  ${_entryText(key, value, format, 2)}\n` };
+    }
+
+    const entry = _entryText(key, value, format, 0);
+    if (entry === null || (format === FORMATS.YAML && /^\s*(?:---\s*)?\{/.test(content.replace(/^\s*#.*$/gm, '')))) {
+        // Flow mappings at the top are left alone
+        return null;
+    }
+
+    // Top-level TOML keys must come before the first table, so they go after the last one
+    const header = format === FORMATS.TOML
+        ? locations.filter(location => location.table).sort((a, b) => a.valueStart - b.valueStart)[0]
+        : null;
+    if (header) {
+        const lineEnd = last ? content.indexOf('\n', last.valueEnd) : -1;
+        const at = lineEnd !== -1 && lineEnd < header.valueStart
+            ? lineEnd + 1
+            : content.lastIndexOf('\n', header.valueStart - 1) + 1;
+        return { from: at, to: at, text: `${entry}\n` };
+    }
+
+    const separator = content === '' || content.endsWith('\n') ? '' : '\n';
+    return { from: content.length, to: content.length, text: `${separator}${entry}\n` };
+}
+
+/**
+ * Get the fixes ConfigValidator.autoFixConfig suggests, as edits to the text
+ * Only changed top-level keys are edited, so comments and layout elsewhere stay as they are.
+ * @param {string} content - File content
+ * @param {string} format - Format (see ConfigFormats.FORMATS)
+ * @param {string} templateId - Template ID
+ * @returns {Array<Object>} Fixes ({ path, message, edits })
+ */
+function getQuickFixes(content, format, templateId) {
+    const { FORMATS, parseConfig, locateConfig } = window.ConfigFormats;
+    let config;
+    let locations;
+
+    try {
+        config = parseConfig(content, format);
+        locations = locateConfig(content, format);
+    } catch (error) {
+        return [];
+    }
+
+    if (!window.ConfigValidator || config === null || typeof config !== 'object' || Array.isArray(config)) {
+        return [];
+    }
+
+    const fixed = window.ConfigValidator.autoFixConfig(config, templateId);
+    const fixes = [];
+
+    Object.keys(fixed).forEach(key => {
+        const text = formatValue(fixed[key], format);
+        if (_sameValue(config[key], fixed[key]) || text === null) {
+            return;
+        }
+
+        if (!_has(config, key)) {
+            const edit = _addKeyEdit(content, format, locations, key, fixed[key]);
+            if (edit) {
+                fixes.push({ path: key, message: `Add "${key}" with its default value ${text}`, edits: [edit] });
+            }
+            return;
+        }
+
+        const location = locations.find(item => item.path.length === 1 && item.path[0] === key && !item.table);
+        if (!location) {
+            return;
+        }
+
+        // YAML locations of multi-line values only mark where they start
+        const source = content.slice(location.valueStart, location.valueEnd);
+        if (format === FORMATS.YAML) {
+            try {
+                if (!_sameValue(window.ConfigYaml.parse(source), config[key])) {
+                    return;
+                }
+            } catch (error) {
+                return;
+            }
+        }
+
+        fixes.push({
+            path: key,
+            message: `Change "${key}" to ${text}`,
+            edits: [{ from: location.valueStart, to: location.valueEnd, text }]
+        });
+    });
+
+    return fixes;
+}
+
+/**
+ * Apply edits to a text
+ * @param {string} content - Text
+ * @param {Array<Object>} edits - Edits ({ from, to, text }) that do not overlap
+ * @returns {string} Edited text
+ */
+function applyEdits(content, edits) {
+    return edits
+        .map((edit, index) => ({ ...edit, index }))
+        .sort((a, b) => b.from - a.from || b.index - a.index)
+        .reduce((text, edit) => text.slice(0, edit.from) + edit.text + text.slice(edit.to), content);
+}
+
+/**
+ * Apply every quick fix
+ * Fixes are applied one at a time and looked up again, since each edit moves the others.
+ * @param {string} content - File content
+ * @param {string} format - Format (see ConfigFormats.FORMATS)
+ * @param {string} templateId - Template ID
+ * @returns {string} Fixed content
+ */
+function applyAllFixes(content, format, templateId) {
+    let result = content;
+
+    for (let round = 0; round < MAX_FIX_ROUNDS; round++) {
+        const [fix] = getQuickFixes(result, format, templateId);
+        const next = fix ? applyEdits(result, fix.edits) : result;
+        if (next === result) {
+            break;
+        }
+        result = next;
+    }
+
+    return result;
+}
+
+/**
+ * Get the range of the value a ConfigValidator message is about
+ * @private
+ * @param {string} path - Path text from the message, or null for the whole document
+ * @param {Map} locations - Locations by path text
+ * @param {string} content - File content
+ * @returns {Object} Range ({ from, to })
+ */
+function _messageRange(path, locations, content) {
+    const location = path !== null ? locations.get(path) : null;
+
+    if (!location) {
+        // Mark the first line for problems of the whole document
+        const end = content.indexOf('\n');
+        return { from: 0, to: end === -1 ? content.length : end };
+    }
+
+    return location.valueEnd > location.valueStart && !location.table
+        ? { from: location.valueStart, to: location.valueEnd }
+        : { from: location.keyStart, to: location.keyEnd };
+}
+
+/**
+ * Get the diagnostics of a configuration file
+ * A file that does not parse gets one error at the problem; otherwise the file is checked
+ * against the template schema and each message is placed on the value it is about.
+ * @param {string} content - File content
+ * @param {string} format - Format (see ConfigFormats.FORMATS)
+ * @param {string|null} templateId - Template ID, or null to only check the syntax
+ * @returns {Array<Object>} Diagnostics ({ severity: 'error' | 'warning', message, path, from, to, fix })
+ */
+function getDiagnostics(content, format, templateId) {
+    const { ConfigParseError, parseConfig, locateConfig, getOffset, pathToString } = window.ConfigFormats;
+    let config;
+
+    try {
+        config = parseConfig(content, format);
+    } catch (error) {
+        if (!(error instanceof ConfigParseError)) {
+            throw error;
+        }
+        const from = getOffset(content, error.line, error.column);
+        return [{ severity: 'error', message: error.reason, path: null, from, to: Math.min(from + 1, content.length) }];
+    }
+
+    if (!templateId || !window.ConfigValidator || !window.ConfigValidator.hasTemplate(templateId)) {
+        return [];
+    }
+
+    const result = window.ConfigValidator.validateConfigAgainstTemplate(config, templateId);
+    const locations = new Map(locateConfig(content, format).map(location => [pathToString(location.path), location]));
+    const fixes = getQuickFixes(content, format, templateId);
+    const diagnostics = [];
+
+    const add = (severity, message, path) => {
+        const fix = fixes.find(item => path !== null && (path === item.path || path.startsWith(`${item.path}.`)
+            || path.startsWith(`${item.path}[`)));
+        diagnostics.push({ severity, message, path, ...(_messageRange(path, locations, content)), fix });
+    };
+
+    (result.errors || []).forEach(message => {
+        const field = message.match(/^(?:Required field|Field) "([^"]+)"/);
+        add('error', message, field ? field[1] : null);
+    });
+
+    (result.warnings || []).forEach(message => {
+        const unknown = message.match(/^Unknown properties found: (.+)$/);
+        if (unknown) {
+            unknown[1].split(', ').forEach(name => add('warning', `Unknown property "${name}"`, name));
+        } else {
+            add('warning', message, null);
+        }
+    });
+
+    return diagnostics;
+}
+
+// Export functions for use in other modules
+window.ConfigSchema = {
+    getSchemaAt,
+    formatValue,
+    getCompletionContext,
+    getCompletions,
+    getHover,
+    getDiagnostics,
+    getQuickFixes,
+    applyEdits,
+    applyAllFixes
+};
@@ -0,0 +1,779 @@
+/**
+ * Config TOML - TOML parser and formatter for the configuration editor
+ * Follows TOML 1.0: tables, arrays of tables, dotted keys, inline tables and all string,
+ * number and boolean forms. Dates and times are kept as their text. The document keeps
+ * comments and blank lines, so formatting can normalize the layout without losing them.
+ */
+
+const TOML_ARRAY_INDENT = 4;
+
+const TOML_BARE_KEY = /^[A-Za-z0-9_-]+/;
+const TOML_BARE_VALUE = /^[A-Za-z0-9_+\-.:]+/;
+
+const TOML_DEC_INT = /^[-+]?(?:0|[1-9](?:_?[0-9])*)$/;
+const TOML_HEX_INT = /^0x[0-9a-fA-F](?:_?[0-9a-fA-F])*$/;
+const TOML_OCT_INT = /^0o[0-7](?:_?[0-7])*$/;
+const TOML_BIN_INT = /^0b[01](?:_?[01])*$/;
+const TOML_FLOAT = /^[-+]?(?:0|[1-9](?:_?[0-9])*)(?:\.[0-9](?:_?[0-9])*)?(?:[eE][-+]?[0-9](?:_?[0-9])*)?$/;
+const TOML_SPECIAL_FLOAT = /^[-+]?(?:inf|nan)$/;
+const TOML_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TOML_DATETIME = /^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[-+]\d{2}:\d{2})?)?$/;
+const TOML_TIME = /^\d{2}:\d{2}:\d{2}(?:\.\d+)?$/;
+
+const TOML_ESCAPES = { 'b': '\b', 't': '\t', 'n': '\n', 'f': '\f', 'r': '\r', '"': '"', '\\': '\\' };
+
+/**
+ * Parser building a document from TOML text
+ * Tables are tracked by how they were created, because TOML only lets a table be defined once:
+ * 'implicit' (a parent in a [header]), 'header', 'dotted' (by a dotted key) or 'inline'.
+ * @private
+ */
+class TomlParser {
+    /**
+     * @param {string} content - TOML text
+     */
+    constructor(content) {
+        this.content = content.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+        this.pos = 0;
+        this.kinds = new WeakMap();
+        this.arrayTables = new WeakSet();
+        this.locations = [];
+    }
+
+    /**
+     * Throw a parse error
+     * @param {string} message - What is wrong
+     * @param {number} [offset] - Character offset, the current position by default
+     */
+    fail(message, offset = this.pos) {
+        const { line, column } = window.ConfigFormats.getLocation(this.content, offset);
+        throw new window.ConfigFormats.ConfigParseError(message, line, column);
+    }
+
+    /**
+     * Record where a value is, ending at the current position
+     * @param {Array<string|number>} path - Path of the value
+     * @param {number} keyStart - Offset of the key
+     * @param {number} keyEnd - Offset after the key
+     * @param {number} valueStart - Offset of the value
+     */
+    record(path, keyStart, keyEnd, valueStart) {
+        this.locations.push({ path, keyStart, keyEnd, valueStart, valueEnd: this.pos });
+    }
+
+    /**
+     * Skip spaces and tabs
+     */
+    skipSpaces() {
+        while (this.content[this.pos] === ' ' || this.content[this.pos] === '\t') {
+            this.pos++;
+        }
+    }
+
+    /**
+     * Read a comment up to the end of the line
+     * @returns {string} Comment, starting with #
+     */
+    readComment() {
+        const end = this.content.indexOf('\n', this.pos);
+        const text = this.content.slice(this.pos, end === -1 ? this.content.length : end);
+        const control = text.search(/[\x00-\x08\x0a-\x1f\x7f]/);
+
+        if (control !== -1) {
+            this.fail('Control characters are not allowed in comments', this.pos + control);
+        }
+
+        this.pos += text.length;
+        return text.trimEnd();
+    }
+
+    /**
+     * Finish a line: an optional comment, then a new line or the end of the file
+     * @param {string} what - What the line holds, for the error message
+     * @returns {string|null} Comment
+     */
+    readLineEnd(what) {
+        this.skipSpaces();
+        const comment = this.content[this.pos] === '#' ? this.readComment() : null;
+
+        if (this.pos < this.content.length && this.content[this.pos] !== '\n') {
+            this.fail(`Expected a new line after the ${what}`);
+        }
+
+        this.pos++;
+        return comment;
+    }
+
+    /**
+     * Parse the whole document
+     * @returns {Object} Document ({ items, value, locations }) with items of type 'blank', 'comment',
+     *   'table' ({ key, array, comment }) and 'pair' ({ key, value, comment })
+     */
+    parseDocument() {
+        const root = {};
+        const items = [];
+        let table = { table: root, path: [] };
+
+        while (this.pos < this.content.length) {
+            this.skipSpaces();
+            const ch = this.content[this.pos];
+
+            if (ch === '\n' || ch === undefined) {
+                items.push({ type: 'blank' });
+                this.pos++;
+            } else if (ch === '#') {
+                items.push({ type: 'comment', text: this.readComment() });
+                this.pos++;
+            } else if (ch === '[') {
+                const start = this.pos;
+                const array = this.content[this.pos + 1] === '[';
+                this.pos += array ? 2 : 1;
+                this.skipSpaces();
+
+                const key = this.parseKey();
+                this.skipSpaces();
+                const close = array ? ']]' : ']';
+                if (!this.content.startsWith(close, this.pos)) {
+                    this.fail(`Expected "${close}" to close the table header`);
+                }
+                this.pos += close.length;
+
+                table = this.openTable(root, key, array, start);
+                this.locations.push({
+                    path: table.path,
+                    keyStart: key.offset,
+                    keyEnd: key.end,
+                    valueStart: start,
+                    valueEnd: this.pos,
+                    table: true
+                });
+                items.push({ type: 'table', key: key.text, array, comment: this.readLineEnd('table header') });
+            } else {
+                const key = this.parseKey();
+                this.skipSpaces();
+                if (this.content[this.pos] !== '=') {
+                    this.fail(`Expected "=" after the key "${key.text}"`);
+                }
+                this.pos++;
+                this.skipSpaces();
+
+                const valueStart = this.pos;
+                const path = [...table.path, ...key.parts];
+                const value = this.parseValue(path);
+                this.record(path, key.offset, key.end, valueStart);
+                this.assign(table.table, key, value.value);
+                items.push({ type: 'pair', key: key.text, value, comment: this.readLineEnd('value') });
+            }
+        }
+
+        return { items, value: root, locations: this.locations };
+    }
+
+    /**
+     * Parse a key, which may be dotted
+     * @returns {Object} Key ({ parts, text, offset, end }) with the normalized key text
+     */
+    parseKey() {
+        const offset = this.pos;
+        const parts = [];
+        const texts = [];
+
+        for (;;) {
+            const start = this.pos;
+            const ch = this.content[this.pos];
+
+            if (ch === '"' || ch === '\'') {
+                if (this.content.startsWith(ch.repeat(3), this.pos)) {
+                    this.fail('Multi-line strings cannot be used as keys');
+                }
+                parts.push(ch === '"' ? this.parseBasicString() : this.parseLiteralString());
+            } else {
+                const match = this.content.slice(this.pos).match(TOML_BARE_KEY);
+                if (!match) {
+                    this.fail(ch === undefined || ch === '\n' ? 'Expected a key' : `Unexpected "${ch}" in key`);
+                }
+                parts.push(match[0]);
+                this.pos += match[0].length;
+            }
+            texts.push(this.content.slice(start, this.pos));
+            const end = this.pos;
+
+            this.skipSpaces();
+            if (this.content[this.pos] !== '.') {
+                return { parts, text: texts.join('.'), offset, end };
+            }
+            this.pos++;
+            this.skipSpaces();
+        }
+    }
+
+    /**
+     * Check whether a value is a table
+     * @param {*} value - Value
+     * @returns {boolean} True for a plain object
+     */
+    isTable(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Open the table of a [header] or [[header]]
+     * @param {Object} root - Root table
+     * @param {Object} key - Header key
+     * @param {boolean} array - True for an array of tables
+     * @param {number} offset - Offset of the header, for errors
+     * @returns {Object} Table ({ table, path }) that the following keys go into
+     */
+    openTable(root, key, array, offset) {
+        const { setKey } = window.ConfigFormats;
+        const has = (target, name) => Object.prototype.hasOwnProperty.call(target, name);
+        const path = [...key.parts];
+        let target = root;
+
+        key.parts.slice(0, -1).forEach((part, index) => {
+            const name = key.parts.slice(0, index + 1).join('.');
+
+            if (!has(target, part)) {
+                const child = {};
+                this.kinds.set(child, 'implicit');
+                setKey(target, part, child);
+                target = child;
+                return;
+            }
+
+            const existing = target[part];
+            if (Array.isArray(existing) && this.arrayTables.has(existing)) {
+                path.splice(path.length - key.parts.length + index + 1, 0, existing.length - 1);
+                target = existing[existing.length - 1];
+            } else if (this.isTable(existing) && this.kinds.get(existing) !== 'inline') {
+                target = existing;
+            } else {
+                this.fail(`Key "${name}" is already defined and cannot hold tables`, offset);
+            }
+        });
+
+        const last = key.parts[key.parts.length - 1];
+        const table = {};
+        this.kinds.set(table, 'header');
+
+        if (array) {
+            if (!has(target, last)) {
+                const tables = [];
+                this.arrayTables.add(tables);
+                setKey(target, last, tables);
+            } else if (!this.arrayTables.has(target[last])) {
+                this.fail(`Key "${key.parts.join('.')}" is already defined and is not an array of tables`, offset);
+            }
+            target[last].push(table);
+            return { table, path: [...path, target[last].length - 1] };
+        }
+
+        if (!has(target, last)) {
+            setKey(target, last, table);
+            return { table, path };
+        }
+
+        if (this.isTable(target[last]) && this.kinds.get(target[last]) === 'implicit') {
+            this.kinds.set(target[last], 'header');
+            return { table: target[last], path };
+        }
+
+        return this.fail(`Table "${key.parts.join('.')}" is already defined`, offset);
+    }
+
+    /**
+     * Assign a value to a key, creating the tables of a dotted key
+     * @param {Object} table - Table the key belongs to
+     * @param {Object} key - Key
+     * @param {*} value - Value
+     */
+    assign(table, key, value) {
+        const { setKey } = window.ConfigFormats;
+        const has = (target, name) => Object.prototype.hasOwnProperty.call(target, name);
+        let target = table;
+
+        key.parts.slice(0, -1).forEach((part, index) => {
+            if (!has(target, part)) {
+                const child = {};
+                this.kinds.set(child, 'dotted');
+                setKey(target, part, child);
+                target = child;
+            } else if (this.isTable(target[part]) && this.kinds.get(target[part]) === 'dotted') {
+                target = target[part];
+            } else {
+                const path = key.parts.slice(0, index + 1).join('.');
+                this.fail(this.isTable(target[part])
+                    ? `Table "${path}" is already defined and cannot be extended with dotted keys`
+                    : `Key "${path}" is already defined and is not a table`, key.offset);
+            }
+        });
+
+        const last = key.parts[key.parts.length - 1];
+        if (has(target, last)) {
+            this.fail(`Duplicate key "${key.parts.join('.')}"`, key.offset);
+        }
+        setKey(target, last, value);
+    }
+
+    /**
+     * Mark a table and the tables of its dotted keys as inline, so they cannot be extended
+     * @param {Object} table - Table
+     */
+    seal(table) {
+        this.kinds.set(table, 'inline');
+        Object.values(table).forEach(value => {
+            if (this.isTable(value) && this.kinds.get(value) === 'dotted') {
+                this.seal(value);
+            }
+        });
+    }
+
+    /**
+     * Parse a value
+     * @param {Array<string|number>} path - Path of the value, for the locations of nested values
+     * @returns {Object} Value node ({ kind: 'scalar' | 'array' | 'inline', value, ... })
+     */
+    parseValue(path) {
+        const start = this.pos;
+        const ch = this.content[this.pos];
+        let value;
+
+        if (ch === '[') {
+            return this.parseArray(path);
+        }
+        if (ch === '{') {
+            return this.parseInlineTable(path);
+        }
+
+        if (ch === '"') {
+            value = this.content.startsWith('"""', this.pos) ? this.parseMultilineString('"""') : this.parseBasicString();
+        } else if (ch === '\'') {
+            value = this.content.startsWith('\'\'\'', this.pos) ? this.parseMultilineString('\'\'\'') : this.parseLiteralString();
+        } else {
+            value = this.parseBareValue();
+        }
+
+        return { kind: 'scalar', raw: this.content.slice(start, this.pos), value };
+    }
+
+    /**
+     * Parse a number, boolean, date or time
+     * @returns {*} Value; dates and times are kept as text
+     */
+    parseBareValue() {
+        const start = this.pos;
+        const match = this.content.slice(this.pos).match(TOML_BARE_VALUE);
+
+        if (!match) {
+            const ch = this.content[this.pos];
+            this.fail(ch === undefined || ch === '\n' || ch === '#' ? 'Expected a value' : `Unexpected "${ch}"`);
+        }
+
+        let text = match[0];
+        // Date and time may be separated by a space
+        const time = this.content.slice(this.pos + text.length).match(/^ (\d{2}:[0-9:.]+(?:[Zz]|[-+]\d{2}:\d{2})?)/);
+        if (TOML_DATE.test(text) && time) {
+            text += time[0];
+        }
+        this.pos += text.length;
+
+        if (text === 'true' || text === 'false') {
+            return text === 'true';
+        }
+        if (TOML_DEC_INT.test(text)) {
+            return parseInt(text.replace(/_/g, ''), 10);
+        }
+        if (TOML_HEX_INT.test(text) || TOML_OCT_INT.test(text) || TOML_BIN_INT.test(text)) {
+            const radix = { x: 16, o: 8, b: 2 }[text[1]];
+            return parseInt(text.slice(2).replace(/_/g, ''), radix);
+        }
+        if (TOML_FLOAT.test(text)) {
+            return parseFloat(text.replace(/_/g, ''));
+        }
+        if (TOML_SPECIAL_FLOAT.test(text)) {
+            return text.endsWith('nan') ? NaN : (text.startsWith('-') ? -Infinity : Infinity);
+        }
+        if (TOML_DATETIME.test(text) || TOML_TIME.test(text)) {
+            return text;
+        }
+
+        return this.fail(`Invalid value "${text}"`, start);
+    }
+
+    /**
+     * Read an escape sequence in a basic string
+     * @returns {string} Escaped character
+     */
+    readEscape() {
+        const start = this.pos;
+        const ch = this.content[this.pos + 1];
+
+        if (TOML_ESCAPES[ch]) {
+            this.pos += 2;
+            return TOML_ESCAPES[ch];
+        }
+
+        if (ch === 'u' || ch === 'U') {
+            const length = ch === 'u' ? 4 : 8;
+            const hex = this.content.slice(this.pos + 2, this.pos + 2 + length);
+            const code = parseInt(hex, 16);
+
+            if (/^[0-9a-fA-F]+$/.test(hex) && hex.length === length
+                && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff)) {
+                this.pos += 2 + length;
+                return String.fromCodePoint(code);
+            }
+        }
+
+        return this.fail('Invalid escape sequence', start);
+    }
+
+    /**
+     * Check a string character
+     * @param {string} ch - Character
+     */
+    checkStringCharacter(ch) {
+        if (/[\x00-\x08\x0b-\x1f\x7f]/.test(ch)) {
+            this.fail('Control characters must be escaped in strings');
+        }
+    }
+
+    /**
+     * Parse a single-line basic string ("...")
+     * @returns {string} Value
+     */
+    parseBasicString() {
+        const start = this.pos;
+        let value = '';
+        this.pos++;
+
+        for (;;) {
+            const ch = this.content[this.pos];
+
+            if (ch === undefined || ch === '\n') {
+                this.fail('Unterminated string', start);
+            }
+            if (ch === '"') {
+                this.pos++;
+                return value;
+            }
+
+            if (ch === '\\') {
+                value += this.readEscape();
+            } else {
+                this.checkStringCharacter(ch);
+                value += ch;
+                this.pos++;
+            }
+        }
+    }
+
+    /**
+     * Parse a single-line literal string ('...')
+     * @returns {string} Value
+     */
+    parseLiteralString() {
+        const start = this.pos;
+        const end = this.content.indexOf('\'', this.pos + 1);
+        const newline = this.content.indexOf('\n', this.pos);
+
+        if (end === -1 || (newline !== -1 && newline < end)) {
+            this.fail('Unterminated string', start);
+        }
+
+        const value = this.content.slice(this.pos + 1, end);
+        for (let i = 0; i < value.length; i++) {
+            this.pos = start + 1 + i;
+            this.checkStringCharacter(value[i]);
+        }
+
+        this.pos = end + 1;
+        return value;
+    }
+
+    /**
+     * Parse a multi-line string (""" or ''')
+     * @param {string} quotes - Opening quotes
+     * @returns {string} Value
+     */
+    parseMultilineString(quotes) {
+        const start = this.pos;
+        const literal = quotes[0] === '\'';
+        let value = '';
+
+        this.pos += 3;
+        // A new line right after the opening quotes is not part of the string
+        if (this.content[this.pos] === '\n') {
+            this.pos++;
+        }
+
+        for (;;) {
+            const ch = this.content[this.pos];
+
+            if (ch === undefined) {
+                this.fail('Unterminated multi-line string', start);
+            }
+
+            if (this.content.startsWith(quotes, this.pos)) {
+                // Up to two quotes may come right before the closing ones
+                let count = 3;
+                while (this.content[this.pos + count] === quotes[0]) {
+                    count++;
+                }
+                if (count > 5) {
+                    this.fail('Too many quotes at the end of a multi-line string', this.pos + 5);
+                }
+                this.pos += count;
+                return value + quotes[0].repeat(count - 3);
+            }
+
+            if (!literal && ch === '\\' && /^\\[ \t]*\n/.test(this.content.slice(this.pos))) {
+                // A backslash at the end of a line trims the line break and the following whitespace
+                this.pos++;
+                while (/[ \t\n]/.test(this.content[this.pos] || '')) {
+                    this.pos++;
+                }
+            } else if (!literal && ch === '\\') {
+                value += this.readEscape();
+            } else {
+                if (ch !== '\n') {
+                    this.checkStringCharacter(ch);
+                }
+                value += ch;
+                this.pos++;
+            }
+        }
+    }
+
+    /**
+     * Skip whitespace, new lines and comments inside an array
+     * Comments on the line of an item belong to that item, the others to the next item.
+     * @param {Object} node - Array node
+     * @param {Array<string>} comments - Comments waiting for the next item
+     * @param {number} start - Offset of the array, for errors
+     */
+    skipArraySpace(node, comments, start) {
+        for (;;) {
+            this.skipSpaces();
+            const ch = this.content[this.pos];
+            const last = node.items[node.items.length - 1];
+
+            if (ch === '\n') {
+                node.multiline = true;
+                node.sameLine = false;
+                this.pos++;
+            } else if (ch === '#') {
+                const comment = this.readComment();
+                if (last && node.sameLine && !last.comment) {
+                    last.comment = comment;
+                } else {
+                    comments.push(comment);
+                }
+            } else if (ch === undefined) {
+                this.fail('Unterminated array', start);
+            } else {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Parse an array
+     * @param {Array<string|number>} path - Path of the array
+     * @returns {Object} Array node ({ kind: 'array', items, after, multiline, value })
+     */
+    parseArray(path) {
+        const start = this.pos;
+        const node = { kind: 'array', items: [], after: [], multiline: false, sameLine: false };
+        let comments = [];
+        this.pos++;
+
+        for (;;) {
+            this.skipArraySpace(node, comments, start);
+            if (this.content[this.pos] === ']') {
+                break;
+            }
+
+            const valueStart = this.pos;
+            const itemPath = [...path, node.items.length];
+            node.items.push({ before: comments, value: this.parseValue(itemPath), comment: null });
+            this.record(itemPath, valueStart, valueStart, valueStart);
+            node.sameLine = true;
+            comments = [];
+
+            this.skipArraySpace(node, comments, start);
+            if (this.content[this.pos] === ',') {
+                this.pos++;
+            } else if (this.content[this.pos] !== ']') {
+                this.fail('Expected "," or "]"');
+            }
+        }
+
+        this.pos++;
+        node.after = comments;
+        delete node.sameLine;
+        node.value = node.items.map(item => item.value.value);
+        return node;
+    }
+
+    /**
+     * Parse an inline table ({ key = value, ... })
+     * @param {Array<string|number>} path - Path of the table
+     * @returns {Object} Inline table node ({ kind: 'inline', entries, value })
+     */
+    parseInlineTable(path) {
+        const node = { kind: 'inline', entries: [], value: {} };
+        this.pos++;
+        this.skipSpaces();
+
+        if (this.content[this.pos] === '}') {
+            this.pos++;
+            this.seal(node.value);
+            return node;
+        }
+
+        for (;;) {
+            this.skipSpaces();
+            if (this.content[this.pos] === '}') {
+                this.fail('Trailing commas are not allowed in inline tables');
+            }
+            if (this.content[this.pos] === '\n' || this.pos >= this.content.length) {
+                this.fail('Inline tables must be on a single line');
+            }
+
+            const key = this.parseKey();
+            this.skipSpaces();
+            if (this.content[this.pos] !== '=') {
+                this.fail(`Expected "=" after the key "${key.text}"`);
+            }
+            this.pos++;
+            this.skipSpaces();
+
+            const valueStart = this.pos;
+            const valuePath = [...path, ...key.parts];
+            const value = this.parseValue(valuePath);
+            this.record(valuePath, key.offset, key.end, valueStart);
+            this.assign(node.value, key, value.value);
+            node.entries.push({ key: key.text, value });
+
+            this.skipSpaces();
+            const ch = this.content[this.pos];
+            if (ch === '}') {
+                this.pos++;
+                this.seal(node.value);
+                return node;
+            }
+            if (ch !== ',') {
+                this.fail(ch === '\n' || ch === undefined
+                    ? 'Inline tables must be on a single line'
+                    : 'Expected "," or "}"');
+            }
+            this.pos++;
+        }
+    }
+}
+
+/**
+ * Write a value node
+ * Arrays written over several lines, or with comments, get one item per line.
+ * @private
+ * @param {Object} node - Value node
+ * @param {number} indent - Indentation of the line the value starts on
+ * @returns {string} TOML text
+ */
+function _valueText(node, indent) {
+    if (node.kind === 'scalar') {
+        return node.raw;
+    }
+
+    if (node.kind === 'inline') {
+        if (node.entries.length === 0) {
+            return '{}';
+        }
+        return `{ ${node.entries.map(entry => `${entry.key} = ${_valueText(entry.value, indent)}`).join(', ')} }`;
+    }
+
+    if (!node.multiline || (node.items.length === 0 && node.after.length === 0)) {
+        return `[${node.items.map(item => _valueText(item.value, indent)).join(', ')}]`;
+    }
+
+    const pad = ' '.repeat(indent + TOML_ARRAY_INDENT);
+    const lines = ['['];
+    node.items.forEach(item => {
+        item.before.forEach(comment => lines.push(pad + comment));
+        lines.push(`${pad}${_valueText(item.value, indent + TOML_ARRAY_INDENT)},${item.comment ? ` ${item.comment}` : ''}`);
+    });
+    node.after.forEach(comment => lines.push(pad + comment));
+    lines.push(`${' '.repeat(indent)}]`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Parse TOML into a document
+ * @param {string} content - TOML text
+ * @returns {Object} Document ({ items, value, locations })
+ * @throws {ConfigParseError} If the TOML is not valid
+ */
+function parseTomlDocument(content) {
+    return new TomlParser(content).parseDocument();
+}
+
+/**
+ * Parse TOML
+ * @param {string} content - TOML text
+ * @returns {Object} Value
+ * @throws {ConfigParseError} If the TOML is not valid
+ */
+function parseToml(content) {
+    return parseTomlDocument(content).value;
+}
+
+/**
+ * Find where each value of a TOML document is
+ * @param {string} content - TOML text
+ * @returns {Array<Object>} Locations ({ path, keyStart, keyEnd, valueStart, valueEnd, table })
+ * @throws {ConfigParseError} If the TOML is not valid
+ */
+function locateToml(content) {
+    return parseTomlDocument(content).locations;
+}
+
+/**
+ * Format TOML without indentation and with single blank lines, keeping comments and key order
+ * @param {string} content - TOML text
+ * @returns {string} Formatted TOML
+ * @throws {ConfigParseError} If the TOML is not valid
+ */
+function formatToml(content) {
+    const out = [];
+
+    parseTomlDocument(content).items.forEach(item => {
+        const comment = item.comment ? ` ${item.comment}` : '';
+
+        if (item.type === 'blank') {
+            if (out.length > 0 && out[out.length - 1] !== '') {
+                out.push('');
+            }
+        } else if (item.type === 'comment') {
+            out.push(item.text);
+        } else if (item.type === 'table') {
+            out.push(item.array ? `[[${item.key}]]${comment}` : `[${item.key}]${comment}`);
+        } else {
+            out.push(`${item.key} = ${_valueText(item.value, 0)}${comment}`);
+        }
+    });
+
+    while (out[out.length - 1] === '') {
+        out.pop();
+    }
+    return `${out.join('\n')}\n`;
+}
+
+// Export functions for use in other modules
+window.ConfigToml = {
+    parseDocument: parseTomlDocument,
+    parse: parseToml,
+    format: formatToml,
+    locate: locateToml
+};
@@ -0,0 +1,54 @@
+/**
+ * Config Validator - Exposes the ConfigValidator module to non-module scripts
+ * New code should import the ConfigValidator module directly
+ */
+
+import configValidator from './ConfigValidator.js';
+import configTemplateManager from './ConfigTemplateManager.js';
+
+/**
+ * Check whether a configuration template exists
+ * @param {string} templateId - Template ID
+ * @returns {boolean} True if the template is known
+ */
+function hasTemplate(templateId) {
+    return configTemplateManager.getTemplate(templateId) !== null;
+}
+
+/**
+ * Get the configuration schema of a template
+ * @param {string} templateId - Template ID
+ * @returns {Object|null} JSON Schema or null if the template is unknown
+ */
+function getTemplateSchema(templateId) {
+    const template = configTemplateManager.getTemplate(templateId);
+    return template ? template.configSchema : null;
+}
+
+/**
+ * Validate a configuration against the schema of a template
+ * @param {Object} config - Parsed configuration
+ * @param {string} templateId - Template ID
+ * @returns {Object} Validation result ({ valid, errors, warnings })
+ */
+function validateConfigAgainstTemplate(config, templateId) {
+    return configValidator.validateConfigAgainstTemplate(config, templateId);
+}
+
+/**
+ * Fix a configuration with the defaults, types and limits of a template
+ * @param {Object} config - Parsed configuration
+ * @param {string} templateId - Template ID
+ * @returns {Object} Fixed configuration
+ */
+function autoFixConfig(config, templateId) {
+    return configValidator.autoFixConfig(config, templateId);
+}
+
+// Export functions for use in other modules
+window.ConfigValidator = {
+    hasTemplate,
+    getTemplateSchema,
+    validateConfigAgainstTemplate,
+    autoFixConfig
+};
@@ -0,0 +1,1382 @@
+/**
+ * Config YAML - YAML parser and formatter for the configuration editor
+ * Handles block and flow collections, plain, quoted and block scalars, anchors, aliases,
+ * merge keys and tags, with the YAML 1.2 core schema. The document tree keeps comments
+ * and blank lines, so formatting can normalize indentation without losing them.
+ * A file holds one document; complex (non-scalar) mapping keys are not supported.
+ */
+
+const YAML_INDENT = 2;
+
+const PLAIN_NULL = /^(?:~|null|Null|NULL)?$/;
+const PLAIN_BOOL = /^(?:true|True|TRUE|false|False|FALSE)$/;
+const PLAIN_INT = /^[-+]?[0-9]+$/;
+const PLAIN_OCT = /^0o[0-7]+$/;
+const PLAIN_HEX = /^0x[0-9a-fA-F]+$/;
+const PLAIN_FLOAT = /^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/;
+const PLAIN_INF = /^[-+]?\.(?:inf|Inf|INF)$/;
+const PLAIN_NAN = /^\.(?:nan|NaN|NAN)$/;
+
+const DOUBLE_QUOTE_ESCAPES = {
+    '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v', 'f': '\f',
+    'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', 'N': '\x85', '_': '\xa0',
+    'L': '\u2028', 'P': '\u2029'
+};
+
+const HEX_ESCAPE_LENGTHS = { x: 2, u: 4, U: 8 };
+
+/**
+ * Resolve a plain scalar with the YAML 1.2 core schema
+ * @private
+ * @param {string} text - Scalar text
+ * @returns {*} Value
+ */
+function _resolvePlain(text) {
+    if (PLAIN_NULL.test(text)) {
+        return null;
+    }
+    if (PLAIN_BOOL.test(text)) {
+        return text.toLowerCase() === 'true';
+    }
+    if (PLAIN_INT.test(text)) {
+        return parseInt(text, 10);
+    }
+    if (PLAIN_OCT.test(text)) {
+        return parseInt(text.slice(2), 8);
+    }
+    if (PLAIN_HEX.test(text)) {
+        return parseInt(text.slice(2), 16);
+    }
+    if (PLAIN_FLOAT.test(text)) {
+        return parseFloat(text);
+    }
+    if (PLAIN_INF.test(text)) {
+        return text.startsWith('-') ? -Infinity : Infinity;
+    }
+    if (PLAIN_NAN.test(text)) {
+        return NaN;
+    }
+    return text;
+}
+
+/**
+ * Check whether a character separates tokens
+ * @private
+ * @param {string} ch - Character (undefined at the end of a line)
+ * @returns {boolean} True for a space, a tab or the end of the line
+ */
+function _isBlank(ch) {
+    return ch === undefined || ch === ' ' || ch === '\t';
+}
+
+/**
+ * Get the value of a mapping key
+ * @private
+ * @param {Object} node - Key node
+ * @returns {*} Key value
+ */
+function _resolveKey(node) {
+    return node.style === 'plain' ? _resolvePlain(node.value) : node.value;
+}
+
+/**
+ * Parser building a document tree from YAML text
+ * @private
+ */
+class YamlParser {
+    /**
+     * @param {string} content - YAML text
+     */
+    constructor(content) {
+        this.lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+        this.row = 0;
+        this.pending = [];
+        this.anchors = new Map();
+    }
+
+    /**
+     * Throw a parse error
+     * @param {string} message - What is wrong
+     * @param {number} row - Line index
+     * @param {number} col - Column index
+     */
+    fail(message, row, col) {
+        throw new window.ConfigFormats.ConfigParseError(message, row + 1, col + 1);
+    }
+
+    /**
+     * Check whether a line is blank or a comment
+     * @param {number} row - Line index
+     * @returns {boolean} True if the line has no content
+     */
+    isGap(row) {
+        const text = this.lines[row].trim();
+        return text === '' || text.startsWith('#');
+    }
+
+    /**
+     * Check whether a line is a document marker (--- or ...)
+     * @param {number} row - Line index
+     * @returns {boolean} True for a marker
+     */
+    isMarker(row) {
+        return /^(?:---|\.\.\.)(?:[ \t]|$)/.test(this.lines[row]);
+    }
+
+    /**
+     * Check whether there is no more content in the document
+     * @returns {boolean} True at the end of the document
+     */
+    atEnd() {
+        return this.row >= this.lines.length || this.isMarker(this.row);
+    }
+
+    /**
+     * Skip blank and comment lines, keeping them for the next entry
+     */
+    skipGap() {
+        while (this.row < this.lines.length && this.isGap(this.row)) {
+            const text = this.lines[this.row].trim();
+            if (text !== '' || this.pending[this.pending.length - 1] !== '') {
+                this.pending.push(text);
+            }
+            this.row++;
+        }
+    }
+
+    /**
+     * Take the blank and comment lines seen since the last entry
+     * @returns {Array<string>} Lines ('' for a blank line)
+     */
+    takePending() {
+        const lines = this.pending;
+        this.pending = [];
+        return lines;
+    }
+
+    /**
+     * Get the indentation of a content line
+     * @param {number} row - Line index
+     * @returns {number} Number of leading spaces
+     */
+    indentOf(row) {
+        const line = this.lines[row];
+        const indent = line.search(/[^ ]/);
+
+        if (line[indent] === '\t') {
+            this.fail('Tabs are not allowed in indentation', row, indent);
+        }
+        return indent;
+    }
+
+    /**
+     * Skip spaces and tabs
+     * @param {number} row - Line index
+     * @param {number} col - Column index
+     * @returns {number} Column of the next other character
+     */
+    skipSpaces(row, col) {
+        const line = this.lines[row];
+        while (col < line.length && (line[col] === ' ' || line[col] === '\t')) {
+            col++;
+        }
+        return col;
+    }
+
+    /**
+     * Read the trailing comment of a line, or fail if there is other content
+     * @param {number} row - Line index
+     * @param {number} col - Column index
+     * @param {string} what - What came before, for the error message
+     * @returns {string|null} Comment or null
+     */
+    readLineEnd(row, col, what) {
+        const start = this.skipSpaces(row, col);
+        const rest = this.lines[row].slice(start);
+
+        if (rest === '') {
+            return null;
+        }
+        if (rest.startsWith('#') && _isBlank(this.lines[row][start - 1])) {
+            return rest;
+        }
+        return this.fail(`Unexpected characters after ${what}`, row, start);
+    }
+
+    /**
+     * Parse the document
+     * @returns {Object} Document ({ before, root, after })
+     */
+    parseDocument() {
+        const before = [];
+        let root = null;
+
+        // Comments, directives and the start marker
+        for (;;) {
+            this.skipGap();
+            if (this.row >= this.lines.length) {
+                break;
+            }
+
+            const line = this.lines[this.row];
+            if (line.startsWith('%')) {
+                before.push(...this.takePending(), line.trim());
+                this.row++;
+            } else if (/^---(?:[ \t]|$)/.test(line) && !before.includes('---')) {
+                before.push(...this.takePending(), '---');
+
+                // Content on the marker line ("--- |")
+                const col = this.skipSpaces(this.row, 3);
+                if (col < line.length && line[col] !== '#') {
+                    root = this.parseValue(this.row, col, -1, false);
+                    break;
+                }
+                this.row++;
+            } else {
+                break;
+            }
+        }
+
+        this.skipGap();
+        if (!root && !this.atEnd()) {
+            root = this.parseValue(this.row, this.indentOf(this.row), -1, false);
+        }
+
+        this.skipGap();
+        if (this.row < this.lines.length && /^\.\.\.(?:[ \t]|$)/.test(this.lines[this.row])) {
+            this.row++;
+            this.skipGap();
+        }
+
+        if (this.row < this.lines.length) {
+            if (this.isMarker(this.row)) {
+                this.fail('Files with more than one YAML document are not supported', this.row, 0);
+            }
+            this.fail('Unexpected content; check the indentation', this.row, this.indentOf(this.row));
+        }
+
+        const after = this.takePending();
+        while (after.length > 0 && after[after.length - 1] === '') {
+            after.pop();
+        }
+        while (before.length > 0 && before[0] === '') {
+            before.shift();
+        }
+
+        return {
+            before,
+            root: root ? root.node : null,
+            comment: root ? root.comment : null,
+            after
+        };
+    }
+
+    /**
+     * Parse anchors and tags in front of a node
+     * @param {number} row - Line index
+     * @param {number} col - Column index
+     * @returns {Object} Properties ({ anchor, tag, col }) with the column after them
+     */
+    parseProperties(row, col) {
+        const line = this.lines[row];
+        const properties = { anchor: null, tag: null, col };
+
+        for (;;) {
+            const ch = line[col];
+            if (ch !== '&' && ch !== '!') {
+                break;
+            }
+
+            const match = line.slice(col).match(ch === '&' ? /^&([^\s,[\]{}]+)/ : /^!(?:<[^>]*>|[^\s,[\]{}]*)/);
+            if (!match) {
+                this.fail('Anchor name is missing', row, col);
+            }
+
+            const key = ch === '&' ? 'anchor' : 'tag';
+            if (properties[key]) {
+                this.fail(`A node can only have one ${key}`, row, col);
+            }
+
+            properties[key] = ch === '&' ? match[1] : match[0];
+            col = this.skipSpaces(row, col + match[0].length);
+            properties.col = col;
+        }
+
+        return properties;
+    }
+
+    /**
+     * Attach anchor and tag to a node and remember the anchor
+     * @param {Object} node - Node
+     * @param {Object} properties - Properties from parseProperties
+     * @param {number} row - Line index of the properties
+     * @returns {Object} The node
+     */
+    applyProperties(node, properties, row) {
+        if (properties.anchor || properties.tag) {
+            if (node.kind === 'alias') {
+                this.fail('An alias cannot have an anchor or a tag', row, node.column);
+            }
+            if ((properties.anchor && node.anchor) || (properties.tag && node.tag)) {
+                this.fail('A node can only have one anchor and one tag', row, node.column);
+            }
+
+            node.anchor = node.anchor || properties.anchor;
+            node.tag = node.tag || properties.tag;
+        }
+
+        if (properties.anchor) {
+            this.anchors.set(properties.anchor, node);
+        }
+        return node;
+    }
+
+    /**
+     * Parse a node
+     * @param {number} row - Line index
+     * @param {number} col - Column where the node starts
+     * @param {number} parentIndent - Indentation of the parent collection (-1 at the top)
+     * @param {boolean} afterKey - True on the line of a mapping key, where no collection can start
+     * @returns {Object} Result ({ node, comment }) with the comment on the last line of the node
+     */
+    parseValue(row, col, parentIndent, afterKey) {
+        const line = this.lines[row];
+        const properties = this.parseProperties(row, col);
+        const start = properties.col;
+        const ch = line[start];
+
+        // Nothing else on this line: the node is on the following lines
+        if (start >= line.length || (ch === '#' && _isBlank(line[start - 1]))) {
+            const comment = start < line.length ? line.slice(start) : null;
+            this.row = row + 1;
+            this.skipGap();
+
+            let node = null;
+            if (!this.atEnd()) {
+                const indent = this.indentOf(this.row);
+                const next = this.lines[this.row];
+                const isEntry = next[indent] === '-' && _isBlank(next[indent + 1]);
+
+                if (indent > parentIndent) {
+                    node = this.parseValue(this.row, indent, parentIndent, false).node;
+                } else if (afterKey && indent === parentIndent && isEntry) {
+                    node = this.parseBlockSequence(this.row, indent);
+                }
+            }
+
+            if (!node) {
+                if (!properties.anchor && !properties.tag) {
+                    return { node: null, comment };
+                }
+                node = { kind: 'scalar', style: 'plain', raw: [''], value: '', line: row, column: start };
+            }
+
+            return { node: this.applyProperties(node, properties, row), comment };
+        }
+
+        if (ch === '*') {
+            if (properties.anchor || properties.tag) {
+                this.fail('An alias cannot have an anchor or a tag', row, start);
+            }
+
+            const match = line.slice(start).match(/^\*([^\s,[\]{}]+)/);
+            if (!match || !this.anchors.has(match[1])) {
+                this.fail(`Unknown alias ${match ? match[0] : '*'}`, row, start);
+            }
+
+            const comment = this.readLineEnd(row, start + match[0].length, 'an alias');
+            this.row = row + 1;
+            return { node: { kind: 'alias', name: match[1], line: row, column: start }, comment };
+        }
+
+        if (ch === '|' || ch === '>') {
+            return this.withProperties(this.parseBlockScalar(row, start, parentIndent), properties, row);
+        }
+
+        if (ch === '[' || ch === '{') {
+            return this.withProperties(this.parseFlowCollection(row, start), properties, row);
+        }
+
+        if (ch === '-' && _isBlank(line[start + 1])) {
+            if (afterKey) {
+                this.fail('A sequence cannot start on the line of its key', row, start);
+            }
+            return this.withProperties({ node: this.parseBlockSequence(row, start), comment: null }, properties, row);
+        }
+
+        if (ch === '?' && _isBlank(line[start + 1])) {
+            this.fail('Complex mapping keys are not supported', row, start);
+        }
+
+        if (!afterKey && this.scanKey(row, start)) {
+            if (properties.anchor || properties.tag) {
+                this.fail('Put the anchor or tag of a mapping on its own line', row, col);
+            }
+            return { node: this.parseBlockMapping(row, start), comment: null };
+        }
+
+        if (ch === '"' || ch === '\'') {
+            const scalar = this.scanQuoted(row, start);
+            const comment = this.readLineEnd(scalar.row, scalar.col, 'a quoted string');
+            this.row = scalar.row + 1;
+            return this.withProperties({ node: scalar.node, comment }, properties, row);
+        }
+
+        return this.withProperties(this.parsePlain(row, start, parentIndent, afterKey), properties, row);
+    }
+
+    /**
+     * Apply properties to the node of a parse result
+     * @param {Object} result - Result ({ node, comment })
+     * @param {Object} properties - Properties from parseProperties
+     * @param {number} row - Line index of the properties
+     * @returns {Object} The result
+     */
+    withProperties(result, properties, row) {
+        this.applyProperties(result.node, properties, row);
+        return result;
+    }
+
+    /**
+     * Find a simple mapping key ("key:" followed by a space or the end of the line)
+     * @param {number} row - Line index
+     * @param {number} col - Column index
+     * @returns {Object|null} Key ({ node, col }) with the column after the colon, or null
+     */
+    scanKey(row, col) {
+        const line = this.lines[row];
+        const ch = line[col];
+
+        if (ch === '"' || ch === '\'') {
+            const scalar = this.scanQuoted(row, col);
+            const colon = this.skipSpaces(scalar.row, scalar.col);
+            if (scalar.row !== row || line[colon] !== ':' || !_isBlank(line[colon + 1])) {
+                return null;
+            }
+            return { node: scalar.node, col: colon + 1 };
+        }
+
+        if ('[]{},#&*!|>%@`'.includes(ch) || (('-?:').includes(ch) && _isBlank(line[col + 1]))) {
+            return null;
+        }
+
+        for (let i = col; i < line.length; i++) {
+            if (line[i] === '#' && _isBlank(line[i - 1])) {
+                return null;
+            }
+            if (line[i] === ':' && _isBlank(line[i + 1])) {
+                const text = line.slice(col, i).trim();
+                return {
+                    node: { kind: 'scalar', style: 'plain', raw: [text], value: text, line: row, column: col },
+                    col: i + 1
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a block mapping
+     * @param {number} row - Line index of the first key
+     * @param {number} indent - Column of the keys
+     * @returns {Object} Mapping node
+     */
+    parseBlockMapping(row, indent) {
+        const node = { kind: 'map', style: 'block', entries: [], line: row, column: indent };
+        const keys = new Set();
+        let col = indent;
+
+        for (;;) {
+            const key = this.scanKey(row, col);
+            if (!key) {
+                const text = this.lines[row];
+                if (text[col] === '-' && _isBlank(text[col + 1])) {
+                    this.fail('Expected a mapping key, found a sequence entry', row, col);
+                }
+                this.fail('Expected "key: value"', row, col);
+            }
+
+            const name = String(this.keyValue(key.node));
+            if (keys.has(name)) {
+                this.fail(`Duplicate key "${name}"`, row, col);
+            }
+            keys.add(name);
+
+            const entry = { before: this.takePending(), key: key.node };
+            const value = this.parseValue(row, this.skipSpaces(row, key.col), indent, true);
+            entry.value = value.node;
+            entry.comment = value.comment;
+            node.entries.push(entry);
+
+            this.skipGap();
+            if (this.atEnd()) {
+                break;
+            }
+
+            const next = this.indentOf(this.row);
+            if (next < indent) {
+                break;
+            }
+            if (next > indent) {
+                this.fail('Bad indentation of a mapping entry', this.row, next);
+            }
+
+            row = this.row;
+            col = next;
+
+            // A sequence at the same indentation belongs to the parent
+            if (this.lines[row][col] === '-' && _isBlank(this.lines[row][col + 1]) && node.entries.length > 0) {
+                break;
+            }
+        }
+
+        return node;
+    }
+
+    /**
+     * Parse a block sequence
+     * @param {number} row - Line index of the first entry
+     * @param {number} indent - Column of the dashes
+     * @returns {Object} Sequence node
+     */
+    parseBlockSequence(row, indent) {
+        const node = { kind: 'seq', style: 'block', items: [], line: row, column: indent };
+
+        for (;;) {
+            const item = { before: this.takePending() };
+            const value = this.parseValue(row, this.skipSpaces(row, indent + 1), indent, false);
+            item.value = value.node;
+            item.comment = value.comment;
+            node.items.push(item);
+
+            this.skipGap();
+            if (this.atEnd()) {
+                break;
+            }
+
+            const next = this.indentOf(this.row);
+            const text = this.lines[this.row];
+            if (next < indent || (next === indent && !(text[next] === '-' && _isBlank(text[next + 1])))) {
+                break;
+            }
+            if (next > indent) {
+                this.fail('Bad indentation of a sequence entry', this.row, next);
+            }
+
+            row = this.row;
+        }
+
+        return node;
+    }
+
+    /**
+     * Parse a plain scalar, which may continue on more indented lines
+     * @param {number} row - Line index
+     * @param {number} col - Column index
+     * @param {number} parentIndent - Indentation of the parent collection
+     * @param {boolean} afterKey - True for the value of a mapping key
+     * @returns {Object} Result ({ node, comment })
+     */
+    parsePlain(row, col, parentIndent, afterKey) {
+        const first = this.lines[row];
+        const ch = first[col];
+
+        if (',[]{}%@`'.includes(ch)) {
+            this.fail(`A plain value cannot start with "${ch}"; quote it`, row, col);
+        }
+
+        const raw = [];
+        let comment = null;
+        let r = row;
+        let c = col;
+
+        for (;;) {
+            const line = this.lines[r];
+            let end = line.length;
+
+            for (let i = c; i < line.length; i++) {
+                if (line[i] === '#' && _isBlank(line[i - 1])) {
+                    end = i;
+                    comment = line.slice(i);
+                    break;
+                }
+                if (line[i] === ':' && _isBlank(line[i + 1])) {
+                    this.fail(afterKey ? 'A mapping value cannot contain ": "; quote it' : 'Unexpected mapping key', r, i);
+                }
+            }
+
+            raw.push(line.slice(c, end).trim());
+            if (comment !== null) {
+                break;
+            }
+
+            // Continuation lines are more indented than the parent and are not comments
+            let next = r + 1;
+            const blanks = [];
+            while (next < this.lines.length && this.lines[next].trim() === '') {
+                blanks.push('');
+                next++;
+            }
+            if (next >= this.lines.length || this.isMarker(next) || this.lines[next].trim().startsWith('#')
+                || this.lines[next].search(/\S/) <= parentIndent) {
+                break;
+            }
+
+            raw.push(...blanks);
+            r = next;
+            c = this.lines[r].search(/\S/);
+        }
+
+        this.row = r + 1;
+        const value = this.foldLines(raw);
+        return { node: { kind: 'scalar', style: 'plain', raw, value, line: row, column: col }, comment };
+    }
+
+    /**
+     * Fold the lines of a multi-line flow scalar: one line break becomes a space, blank lines stay
+     * @param {Array<string>} lines - Lines ('' for blank lines)
+     * @returns {string} Folded text
+     */
+    foldLines(lines) {
+        let text = lines[0];
+        let breaks = 0;
+
+        for (let i = 1; i < lines.length; i++) {
+            if (lines[i] === '') {
+                breaks++;
+                continue;
+            }
+            text += breaks > 0 ? '\n'.repeat(breaks) : ' ';
+            text += lines[i];
+            breaks = 0;
+        }
+
+        return text + '\n'.repeat(breaks);
+    }
+
+    /**
+     * Scan a single- or double-quoted scalar, which may span lines
+     * @param {number} row - Line index of the opening quote
+     * @param {number} col - Column of the opening quote
+     * @returns {Object} Result ({ node, row, col }) with the position after the closing quote
+     */
+    scanQuoted(row, col) {
+        const quote = this.lines[row][col];
+        const raw = [];
+        let value = '';
+        let kept = 0;
+        let r = row;
+        let c = col + 1;
+        let lineStart = col;
+
+        /**
+         * Continue on the next line that is not blank
+         * @returns {number} Number of line breaks passed
+         */
+        const nextLine = () => {
+            raw.push(this.lines[r].slice(lineStart));
+            let breaks = 0;
+
+            do {
+                r++;
+                breaks++;
+                if (r >= this.lines.length || this.isMarker(r)) {
+                    this.fail('Unterminated quoted string', row, col);
+                }
+                if (this.lines[r].trim() === '') {
+                    raw.push('');
+                }
+            } while (this.lines[r].trim() === '');
+
+            c = this.skipSpaces(r, 0);
+            lineStart = c;
+            return breaks;
+        };
+
+        for (;;) {
+            const line = this.lines[r];
+
+            if (c >= line.length) {
+                // A line break becomes a space, blank lines become line breaks
+                value = value.slice(0, kept) + value.slice(kept).replace(/[ \t]+$/, '');
+                const breaks = nextLine();
+                value += breaks === 1 ? ' ' : '\n'.repeat(breaks - 1);
+                continue;
+            }
+
+            const ch = line[c];
+            if (ch === quote && quote === '\'' && line[c + 1] === '\'') {
+                value += '\'';
+                c += 2;
+                continue;
+            }
+            if (ch === quote) {
+                break;
+            }
+
+            if (quote === '"' && ch === '\\') {
+                const escape = line[c + 1];
+
+                if (escape === undefined) {
+                    // Escaped line break: the lines are joined without a space
+                    const breaks = nextLine();
+                    value += '\n'.repeat(breaks - 1);
+                    kept = value.length;
+                    continue;
+                }
+
+                if (HEX_ESCAPE_LENGTHS[escape]) {
+                    const hex = line.substr(c + 2, HEX_ESCAPE_LENGTHS[escape]);
+                    if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== HEX_ESCAPE_LENGTHS[escape]) {
+                        this.fail(`Invalid escape sequence \\${escape}${hex}`, r, c);
+                    }
+                    value += String.fromCodePoint(parseInt(hex, 16));
+                    c += 2 + hex.length;
+                } else if (escape in DOUBLE_QUOTE_ESCAPES) {
+                    value += DOUBLE_QUOTE_ESCAPES[escape];
+                    c += 2;
+                } else {
+                    this.fail(`Invalid escape sequence \\${escape}`, r, c);
+                }
+
+                // Escaped spaces survive line folding
+                kept = value.length;
+                continue;
+            }
+
+            value += ch;
+            c++;
+        }
+
+        raw.push(this.lines[r].slice(lineStart, c + 1));
+        return {
+            node: { kind: 'scalar', style: quote === '"' ? 'double' : 'single', raw, value, line: row, column: col },
+            row: r,
+            col: c + 1
+        };
+    }
+
+    /**
+     * Parse a literal (|) or folded (>) block scalar
+     * @param {number} row - Line index of the header
+     * @param {number} col - Column of the header
+     * @param {number} parentIndent - Indentation of the parent collection
+     * @returns {Object} Result ({ node, comment }) with the comment on the header line
+     */
+    parseBlockScalar(row, col, parentIndent) {
+        const line = this.lines[row];
+        const header = line.slice(col).match(/^([|>])([1-9]?)([-+]?)([1-9]?)(?=[ \t]|$)/);
+
+        if (!header || (header[2] && header[4])) {
+            this.fail('Invalid block scalar header', row, col);
+        }
+
+        const folded = header[1] === '>';
+        const chomp = header[3];
+        const explicitIndent = Number(header[2] || header[4]);
+        const comment = this.readLineEnd(row, col + header[0].length, 'the block scalar header');
+
+        // Content indentation: explicit, or that of the first non-empty line
+        let contentIndent = explicitIndent ? Math.max(parentIndent, 0) + explicitIndent : null;
+        let r = row + 1;
+        if (contentIndent === null) {
+            while (r < this.lines.length && this.lines[r].trim() === '') {
+                r++;
+            }
+            const indent = r < this.lines.length ? this.lines[r].search(/\S/) : -1;
+            contentIndent = indent > parentIndent ? indent : Number.MAX_SAFE_INTEGER;
+        }
+
+        const lines = [];
+        let last = -1;
+        for (r = row + 1; r < this.lines.length; r++) {
+            const text = this.lines[r];
+            if (text.trim() === '') {
+                lines.push(text.length > contentIndent ? text.slice(contentIndent) : '');
+                continue;
+            }
+            if (text.search(/\S/) < contentIndent || (contentIndent === 0 && this.isMarker(r))) {
+                break;
+            }
+            lines.push(text.slice(contentIndent));
+            last = lines.length - 1;
+        }
+
+        // Trailing blank lines belong to the scalar only when kept (+)
+        const content = lines.slice(0, last + 1);
+        const trailing = lines.slice(last + 1);
+        if (chomp === '+') {
+            content.push(...trailing);
+        }
+        this.row = row + 1 + content.length;
+
+        return {
+            node: {
+                kind: 'scalar',
+                style: folded ? 'folded' : 'literal',
+                chomp,
+                lines: content,
+                value: this.blockValue(content, folded, chomp),
+                line: row,
+                column: col
+            },
+            comment
+        };
+    }
+
+    /**
+     * Get the value of a block scalar
+     * @param {Array<string>} lines - Content lines without their indentation
+     * @param {boolean} folded - True for folded (>) scalars
+     * @param {string} chomp - Chomping indicator ('', '-' or '+')
+     * @returns {string} Value
+     */
+    blockValue(lines, folded, chomp) {
+        let last = lines.length - 1;
+        while (last >= 0 && lines[last] === '') {
+            last--;
+        }
+
+        let text = '';
+        let empty = 0;
+        let first = true;
+        let previousMoreIndented = false;
+        for (let i = 0; i <= last; i++) {
+            if (lines[i] === '') {
+                empty++;
+                continue;
+            }
+
+            // Folding joins lines with a space, except around more indented lines
+            const moreIndented = /^[ \t]/.test(lines[i]);
+            if (first) {
+                text += '\n'.repeat(empty);
+            } else if (!folded || moreIndented || previousMoreIndented) {
+                text += '\n'.repeat(empty + 1);
+            } else {
+                text += empty > 0 ? '\n'.repeat(empty) : ' ';
+            }
+
+            text += lines[i];
+            first = false;
+            previousMoreIndented = moreIndented;
+            empty = 0;
+        }
+
+        if (chomp === '-' || last < 0) {
+            return chomp === '+' ? '\n'.repeat(lines.length) : text;
+        }
+        return text + '\n' + (chomp === '+' ? '\n'.repeat(lines.length - 1 - last) : '');
+    }
+
+    /**
+     * Parse a flow collection ([...] or {...}), which may span lines
+     * @param {number} row - Line index
+     * @param {number} col - Column of the opening bracket
+     * @returns {Object} Result ({ node, comment })
+     */
+    parseFlowCollection(row, col) {
+        const cursor = { row, col, hasComments: false, start: { row, col } };
+        const node = this.parseFlowNode(cursor);
+
+        node.hasComments = cursor.hasComments;
+        node.raw = this.lines.slice(row, cursor.row + 1).map((text, index) => {
+            const end = index === cursor.row - row ? cursor.col : text.length;
+            return text.slice(index === 0 ? col : 0, end).trim();
+        });
+
+        const comment = this.readLineEnd(cursor.row, cursor.col, 'the closing bracket');
+        this.row = cursor.row + 1;
+        return { node, comment };
+    }
+
+    /**
+     * Skip spaces, line breaks and comments inside a flow collection
+     * @param {Object} cursor - Cursor ({ row, col })
+     */
+    skipFlowSpace(cursor) {
+        for (;;) {
+            cursor.col = this.skipSpaces(cursor.row, cursor.col);
+            const line = this.lines[cursor.row];
+
+            if (cursor.col < line.length && line[cursor.col] !== '#') {
+                return;
+            }
+            if (line[cursor.col] === '#') {
+                cursor.hasComments = true;
+            }
+
+            cursor.row++;
+            cursor.col = 0;
+            if (cursor.row >= this.lines.length || this.isMarker(cursor.row)) {
+                this.fail('Unterminated flow collection', cursor.start.row, cursor.start.col);
+            }
+        }
+    }
+
+    /**
+     * Parse a node inside a flow collection
+     * @param {Object} cursor - Cursor ({ row, col }), moved past the node
+     * @returns {Object} Node
+     */
+    parseFlowNode(cursor) {
+        this.skipFlowSpace(cursor);
+        const properties = this.parseProperties(cursor.row, cursor.col);
+        const propertiesRow = cursor.row;
+        cursor.col = properties.col;
+        this.skipFlowSpace(cursor);
+
+        const line = this.lines[cursor.row];
+        const ch = line[cursor.col];
+        let node;
+
+        if (ch === '[' || ch === '{') {
+            node = this.parseFlowBody(cursor, ch);
+        } else if (ch === '"' || ch === '\'') {
+            const scalar = this.scanQuoted(cursor.row, cursor.col);
+            cursor.row = scalar.row;
+            cursor.col = scalar.col;
+            node = scalar.node;
+        } else if (ch === '*') {
+            const match = line.slice(cursor.col).match(/^\*([^\s,[\]{}]+)/);
+            if (!match || !this.anchors.has(match[1])) {
+                this.fail(`Unknown alias ${match ? match[0] : '*'}`, cursor.row, cursor.col);
+            }
+            node = { kind: 'alias', name: match[1], line: cursor.row, column: cursor.col };
+            cursor.col += match[0].length;
+        } else if (ch === ',' || ch === ']' || ch === '}' || (ch === ':' && /[\s,[\]{}]/.test(line[cursor.col + 1] || ' '))) {
+            // Empty node, as in "[a, , b]" or "{ : b }" or after properties
+            node = { kind: 'scalar', style: 'plain', raw: [''], value: '', line: cursor.row, column: cursor.col };
+        } else {
+            let end = cursor.col;
+            while (end < line.length && !',[]{}'.includes(line[end])
+                && !(line[end] === ':' && /[\s,[\]{}]/.test(line[end + 1] || ' '))
+                && !(line[end] === '#' && _isBlank(line[end - 1]))) {
+                end++;
+            }
+
+            const text = line.slice(cursor.col, end).trim();
+            node = { kind: 'scalar', style: 'plain', raw: [text], value: text, line: cursor.row, column: cursor.col };
+            cursor.col = end;
+        }
+
+        return this.applyProperties(node, properties, propertiesRow);
+    }
+
+    /**
+     * Parse the entries of a flow sequence or mapping
+     * @param {Object} cursor - Cursor at the opening bracket
+     * @param {string} open - Opening bracket
+     * @returns {Object} Collection node
+     */
+    parseFlowBody(cursor, open) {
+        const isMap = open === '{';
+        const close = isMap ? '}' : ']';
+        const node = isMap
+            ? { kind: 'map', style: 'flow', entries: [], line: cursor.row, column: cursor.col }
+            : { kind: 'seq', style: 'flow', items: [], line: cursor.row, column: cursor.col };
+        const keys = new Set();
+        cursor.col++;
+
+        for (;;) {
+            this.skipFlowSpace(cursor);
+            if (this.lines[cursor.row][cursor.col] === close) {
+                cursor.col++;
+                return node;
+            }
+
+            const keyRow = cursor.row;
+            const keyCol = cursor.col;
+            const first = this.parseFlowNode(cursor);
+            this.skipFlowSpace(cursor);
+
+            let value = null;
+            let hasValue = false;
+            if (this.lines[cursor.row][cursor.col] === ':') {
+                cursor.col++;
+                hasValue = true;
+                this.skipFlowSpace(cursor);
+                const next = this.lines[cursor.row][cursor.col];
+                value = next === ',' || next === close ? null : this.parseFlowNode(cursor);
+                this.skipFlowSpace(cursor);
+            }
+
+            if (isMap || hasValue) {
+                if (first.kind !== 'scalar') {
+                    this.fail('Complex mapping keys are not supported', keyRow, keyCol);
+                }
+
+                const entry = { key: first, value };
+                if (isMap) {
+                    const name = String(this.keyValue(first));
+                    if (keys.has(name)) {
+                        this.fail(`Duplicate key "${name}"`, keyRow, keyCol);
+                    }
+                    keys.add(name);
+                    node.entries.push(entry);
+                } else {
+                    // "[a: 1]" is a sequence of single-pair mappings
+                    node.items.push({ value: { kind: 'map', style: 'flow', pair: true, entries: [entry], line: keyRow, column: keyCol } });
+                }
+            } else {
+                node.items.push({ value: first });
+            }
+
+            const ch = this.lines[cursor.row][cursor.col];
+            if (ch === ',') {
+                cursor.col++;
+            } else if (ch !== close) {
+                this.fail(`Expected "," or "${close}"`, cursor.row, cursor.col);
+            }
+        }
+    }
+
+    /**
+     * Get the value of a mapping key
+     * @param {Object} node - Key node
+     * @returns {*} Key value
+     */
+    keyValue(node) {
+        return _resolveKey(node);
+    }
+}
+
+/**
+ * Convert a document tree node to a value
+ * @private
+ * @param {Object|null} node - Node
+ * @param {Map} anchors - Values of anchored nodes by anchor name
+ * @returns {*} Value
+ */
+function _toValue(node, anchors) {
+    if (!node) {
+        return null;
+    }
+    if (node.kind === 'alias') {
+        return anchors.get(node.name);
+    }
+
+    let value;
+    if (node.kind === 'map') {
+        value = _mapToValue(node, anchors);
+    } else if (node.kind === 'seq') {
+        value = node.items.map(item => _toValue(item.value, anchors));
+    } else {
+        value = _scalarToValue(node);
+    }
+
+    if (node.anchor) {
+        anchors.set(node.anchor, value);
+    }
+    return value;
+}
+
+/**
+ * Convert a scalar node to a value, applying standard tags
+ * @private
+ * @param {Object} node - Scalar node
+ * @returns {*} Value
+ */
+function _scalarToValue(node) {
+    const plain = node.style === 'plain';
+
+    switch (node.tag) {
+        case '!!str':
+            return node.value;
+        case '!!int':
+            return parseInt(node.value, 10);
+        case '!!float':
+            return parseFloat(node.value);
+        case '!!bool':
+            return /^true$/i.test(node.value);
+        case '!!null':
+            return null;
+        case '!':
+            return node.value;
+        default:
+            return plain ? _resolvePlain(node.value) : node.value;
+    }
+}
+
+/**
+ * Convert a mapping node to an object, applying merge keys (<<)
+ * @private
+ * @param {Object} node - Mapping node
+ * @param {Map} anchors - Values of anchored nodes by anchor name
+ * @returns {Object} Object
+ */
+function _mapToValue(node, anchors) {
+    const { setKey } = window.ConfigFormats;
+    const result = {};
+    const merged = [];
+
+    node.entries.forEach(entry => {
+        const isMerge = entry.key.style === 'plain' && entry.key.value === '<<';
+        const value = _toValue(entry.value, anchors);
+
+        if (isMerge) {
+            merged.push(...(Array.isArray(value) ? value : [value]));
+        } else {
+            setKey(result, String(_resolveKey(entry.key)), value);
+        }
+    });
+
+    // Explicit keys win over merged ones, earlier merged mappings over later ones
+    merged.forEach(source => {
+        if (source && typeof source === 'object' && !Array.isArray(source)) {
+            Object.keys(source).forEach(key => {
+                if (!Object.prototype.hasOwnProperty.call(result, key)) {
+                    setKey(result, key, source[key]);
+                }
+            });
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Get the anchor and tag text of a node
+ * @private
+ * @param {Object} node - Node
+ * @returns {string} Properties followed by a space, or ''
+ */
+function _propertiesText(node) {
+    const parts = [node.anchor ? `&${node.anchor}` : '', node.tag || ''].filter(Boolean);
+    return parts.length > 0 ? `${parts.join(' ')} ` : '';
+}
+
+/**
+ * Write a node inside a flow collection on one line
+ * @private
+ * @param {Object|null} node - Node
+ * @returns {string} YAML text
+ */
+function _flowText(node) {
+    if (!node) {
+        return '';
+    }
+    if (node.kind === 'alias') {
+        return `*${node.name}`;
+    }
+
+    const properties = _propertiesText(node);
+    if (node.kind === 'scalar') {
+        return properties + (node.raw.length === 1 ? node.raw[0] : JSON.stringify(node.value));
+    }
+
+    if (node.kind === 'seq') {
+        return `${properties}[${node.items.map(item => _flowText(item.value)).join(', ')}]`;
+    }
+
+    const entries = node.entries.map(entry => (entry.value ? `${_flowText(entry.key)}: ${_flowText(entry.value)}` : _flowText(entry.key)));
+    if (node.pair) {
+        return entries[0];
+    }
+    return entries.length > 0 ? `${properties}{ ${entries.join(', ')} }` : `${properties}{}`;
+}
+
+/**
+ * Write the blank and comment lines in front of an entry
+ * @private
+ * @param {Array<string>} before - Lines ('' for blank lines)
+ * @param {number} indent - Indentation
+ * @param {Array<string>} out - Output lines
+ */
+function _writeGap(before, indent, out) {
+    before.forEach(text => out.push(text ? ' '.repeat(indent) + text : ''));
+}
+
+/**
+ * Write a mapping value or sequence entry after its prefix ("key:" or "-")
+ * @private
+ * @param {string} prefix - Indented prefix
+ * @param {Object|null} node - Value node
+ * @param {string|null} comment - Comment on the last line of the value
+ * @param {number} indent - Indentation of the prefix
+ * @param {boolean} inSequence - True for sequence entries
+ * @param {Array<string>} out - Output lines
+ */
+function _writeValue(prefix, node, comment, indent, inSequence, out) {
+    const suffix = comment ? ` ${comment}` : '';
+    const childIndent = indent + YAML_INDENT;
+
+    if (!node) {
+        out.push(prefix + suffix);
+        return;
+    }
+
+    const properties = _propertiesText(node);
+
+    if (node.style === 'block') {
+        const first = node.kind === 'map' ? node.entries[0] : node.items[0];
+        const lines = [];
+        _writeBlock(node, childIndent, lines);
+
+        // "- key: value" and "- - item" when nothing has to go between the dash and the entry
+        if (inSequence && !properties && !comment && first.before.length === 0) {
+            lines[0] = `${prefix} ${lines[0].slice(childIndent)}`;
+        } else {
+            out.push((`${prefix} ${properties}`).trimEnd() + suffix);
+        }
+        out.push(...lines);
+        return;
+    }
+
+    if (node.kind === 'alias') {
+        out.push(`${prefix} *${node.name}${suffix}`);
+        return;
+    }
+
+    if (node.style === 'literal' || node.style === 'folded') {
+        const firstLine = node.lines.find(text => text !== '');
+        const indicator = firstLine !== undefined && /^[ \t]/.test(firstLine) ? String(YAML_INDENT) : '';
+        out.push(`${prefix} ${properties}${node.style === 'literal' ? '|' : '>'}${indicator}${node.chomp}${suffix}`);
+        node.lines.forEach(text => out.push(text ? ' '.repeat(childIndent) + text : ''));
+        return;
+    }
+
+    if (node.kind !== 'scalar') {
+        // Flow collections: one line, unless that would drop comments inside them
+        const raw = node.hasComments ? node.raw : [_flowText({ ...node, anchor: null, tag: null })];
+        out.push(`${prefix} ${properties}${raw[0]}` + (raw.length === 1 ? suffix : ''));
+        raw.slice(1).forEach((text, index) => {
+            out.push((text ? ' '.repeat(childIndent) + text : '') + (index === raw.length - 2 ? suffix : ''));
+        });
+        return;
+    }
+
+    // Multi-line plain and quoted scalars keep their line breaks; only the indentation changes
+    const head = `${prefix} ${properties}${node.raw[0]}`;
+    out.push((node.raw[0] ? head : head.trimEnd()) + (node.raw.length === 1 ? suffix : ''));
+    node.raw.slice(1).forEach((text, index) => {
+        out.push((text ? ' '.repeat(childIndent) + text : '') + (index === node.raw.length - 2 ? suffix : ''));
+    });
+}
+
+/**
+ * Write a block mapping or sequence
+ * @private
+ * @param {Object} node - Collection node
+ * @param {number} indent - Indentation
+ * @param {Array<string>} out - Output lines
+ */
+function _writeBlock(node, indent, out) {
+    const padding = ' '.repeat(indent);
+
+    if (node.kind === 'map') {
+        node.entries.forEach(entry => {
+            _writeGap(entry.before, indent, out);
+            _writeValue(`${padding}${_flowText(entry.key)}:`, entry.value, entry.comment, indent, false, out);
+        });
+    } else {
+        node.items.forEach(item => {
+            _writeGap(item.before, indent, out);
+            _writeValue(`${padding}-`, item.value, item.comment, indent, true, out);
+        });
+    }
+}
+
+/**
+ * Parse YAML into a document tree
+ * @param {string} content - YAML text
+ * @returns {Object} Document ({ before, root, comment, after })
+ * @throws {ConfigParseError} If the YAML is not valid
+ */
+function parseYamlDocument(content) {
+    return new YamlParser(content).parseDocument();
+}
+
+/**
+ * Parse YAML
+ * @param {string} content - YAML text
+ * @returns {*} Value
+ * @throws {ConfigParseError} If the YAML is not valid
+ */
+function parseYaml(content) {
+    return _toValue(parseYamlDocument(content).root, new Map());
+}
+
+/**
+ * Find where each value of a YAML document is
+ * @param {string} content - YAML text
+ * @returns {Array<Object>} Locations ({ path, keyStart, keyEnd, valueStart, valueEnd })
+ * @throws {ConfigParseError} If the YAML is not valid
+ */
+function locateYaml(content) {
+    const doc = parseYamlDocument(content);
+    const lineStarts = [0];
+    const locations = [];
+
+    for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) {
+        lineStarts.push(i + 1);
+    }
+
+    const offsetOf = node => lineStarts[node.line] + node.column;
+    // Only one-line scalars have a known end; other values are marked by their first character
+    const endOf = (node, start) => (node.kind === 'scalar' && node.raw && node.raw.length === 1
+        ? start + node.raw[0].length
+        : start + 1);
+
+    const visit = (node, path) => {
+        if (!node || node.kind === 'alias') {
+            return;
+        }
+
+        const children = node.kind === 'map'
+            ? node.entries
+                .filter(entry => !(entry.key.style === 'plain' && entry.key.value === '<<'))
+                .map(entry => ({ key: entry.key, value: entry.value, name: String(_resolveKey(entry.key)) }))
+            : (node.items || []).map((item, index) => ({ key: null, value: item.value, name: index }));
+
+        children.forEach(child => {
+            const keyStart = child.key ? offsetOf(child.key) : offsetOf(child.value || node);
+            const keyEnd = child.key ? keyStart + child.key.raw[0].length : keyStart;
+            const valueStart = child.value ? offsetOf(child.value) : keyEnd;
+
+            locations.push({
+                path: [...path, child.name],
+                keyStart,
+                keyEnd,
+                valueStart,
+                valueEnd: child.value ? endOf(child.value, valueStart) : keyEnd
+            });
+            visit(child.value, [...path, child.name]);
+        });
+    };
+
+    visit(doc.root, []);
+    return locations;
+}
+
+/**
+ * Format YAML with two-space indentation, keeping comments, key order and scalar styles
+ * @param {string} content - YAML text
+ * @returns {string} Formatted YAML
+ * @throws {ConfigParseError} If the YAML is not valid
+ */
+function formatYaml(content) {
+    const doc = parseYamlDocument(content);
+    const out = [...doc.before];
+
+    if (doc.root && doc.root.style === 'block') {
+        _writeBlock(doc.root, 0, out);
+    } else if (doc.root) {
+        // A scalar or flow collection at the top: write it like a value and drop the prefix
+        const lines = [];
+        _writeValue('', doc.root, doc.comment, 0, false, lines);
+        out.push(...lines.map((text, index) => (index === 0 ? text.replace(/^ /, '') : text)));
+    }
+
+    out.push(...doc.after);
+    return `${out.join('\n')}\n`;
+}
+
+// Export functions for use in other modules
+window.ConfigYaml = {
+    parseDocument: parseYamlDocument,
+    parse: parseYaml,
+    format: formatYaml,
+    locate: locateYaml
+};
@@ -0,0 +1,247 @@
+/**
+ * Container Supervisor - Restarts unhealthy MCP server containers
+ * Restarts back off exponentially. A container that keeps failing, whether restarted here or
+ * by its Docker restart policy, is reported as crash looping through the NotificationManager
+ * and left alone until it is healthy again.
+ */
+
+const CONTAINER_SUPERVISOR_DEFAULTS = {
+    baseDelay: 10000, // 10 seconds before the first restart, doubling after each one
+    maxDelay: 5 * 60 * 1000, // 5 minutes
+    crashLoopThreshold: 3, // restarts within crashLoopWindow
+    crashLoopWindow: 10 * 60 * 1000 // 10 minutes
+};
+
+class ContainerSupervisor {
+    /**
+     * @param {DockerManager} manager Docker manager whose containers are supervised
+     * @param {Object} [options={}] Options ({ baseDelay, maxDelay, crashLoopThreshold, crashLoopWindow, notifier }),
+     *   the notifier defaults to window.NotificationManager
+     */
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.options = { ...CONTAINER_SUPERVISOR_DEFAULTS, ...options };
+        this.states = new Map();
+        this.running = false;
+        this.listening = false;
+    }
+
+    /**
+     * Start supervising
+     * Containers that are already unhealthy are handled right away, and again once the
+     * manager has loaded its containers.
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+
+        if (!this.listening) {
+            this.manager.on('containerHealthChanged', container => this.handleHealthChange(container));
+            this.manager.on('containerStatusChanged', container => this.handleStatusChange(container));
+            this.manager.on('containerRemoved', container => this.forgetContainer(container.id));
+            this.manager.on('containersLoaded', containers => containers.forEach(container => this.handleHealthChange(container)));
+            this.listening = true;
+        }
+
+        this.manager.getAllContainers().forEach(container => this.handleHealthChange(container));
+    }
+
+    /**
+     * Stop supervising and cancel pending restarts
+     */
+    stop() {
+        this.running = false;
+        this.states.forEach(state => {
+            clearTimeout(state.timer);
+            state.timer = null;
+        });
+    }
+
+    /**
+     * Check whether a container runs an MCP server
+     * Containers labelled mcp.supervise=false are left alone.
+     * @param {Object} container Container
+     * @returns {boolean} True if the container is supervised
+     */
+    isSupervised(container) {
+        const labels = container.labels || {};
+        if (labels['mcp.supervise'] === 'false') {
+            return false;
+        }
+
+        return Boolean(labels['mcp.server'])
+            || /^mcp[-_]/.test(container.name || '')
+            || /^mcp\//.test(container.image || '');
+    }
+
+    /**
+     * Restart a container that became unhealthy, after a delay that grows with each restart
+     * @param {Object} container Container
+     */
+    handleHealthChange(container) {
+        if (!this.running || !this.isSupervised(container)) {
+            return;
+        }
+
+        const state = this.getState(container.id);
+
+        if (container.health === 'healthy') {
+            clearTimeout(state.timer);
+            state.timer = null;
+            if (state.crashLooping) {
+                state.crashLooping = false;
+                this.notify(`${container.name} is healthy again`, 'success');
+            }
+            return;
+        }
+
+        if (container.health !== 'unhealthy' || state.timer || state.crashLooping) {
+            return;
+        }
+
+        const recentRestarts = this.getRecentRestarts(state);
+        if (recentRestarts.length >= this.options.crashLoopThreshold) {
+            this.reportCrashLoop(container, state);
+            return;
+        }
+
+        const delay = Math.min(this.options.baseDelay * 2 ** recentRestarts.length, this.options.maxDelay);
+        this.notify(`${container.name} is unhealthy, restarting it in ${Math.round(delay / 1000)} seconds`, 'warning');
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            this.restartContainer(container.id);
+        }, delay);
+    }
+
+    /**
+     * Count restarts done by the container's restart policy
+     * Docker raises the restart count of a container each time its policy restarts it.
+     * @param {Object} container Container
+     */
+    handleStatusChange(container) {
+        if (!this.running || !this.isSupervised(container) || typeof container.restartCount !== 'number') {
+            return;
+        }
+
+        const state = this.getState(container.id);
+        const restarted = state.restartCount !== null && container.restartCount > state.restartCount;
+        state.restartCount = container.restartCount;
+
+        if (!restarted) {
+            return;
+        }
+
+        state.restarts.push(Date.now());
+        if (!state.crashLooping && this.getRecentRestarts(state).length >= this.options.crashLoopThreshold) {
+            this.reportCrashLoop(container, state);
+        }
+    }
+
+    /**
+     * Restart an unhealthy container
+     * @param {string} containerId Container ID
+     * @returns {Promise<void>}
+     * @private
+     */
+    async restartContainer(containerId) {
+        const container = this.manager.getContainerById(containerId);
+        if (!this.running || !container || container.health !== 'unhealthy') {
+            return;
+        }
+
+        this.getState(containerId).restarts.push(Date.now());
+
+        try {
+            this.notify(`Restarting unhealthy container ${container.name}`, 'info');
+            await this.manager.restartContainer(containerId);
+        } catch (error) {
+            console.error(`Error restarting unhealthy container ${container.name}:`, error);
+            this.notify(`Failed to restart ${container.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Report a crash looping container and stop restarting it
+     * @param {Object} container Container
+     * @param {Object} state Supervision state of the container
+     * @private
+     */
+    reportCrashLoop(container, state) {
+        clearTimeout(state.timer);
+        state.timer = null;
+        state.crashLooping = true;
+
+        const restarts = this.getRecentRestarts(state).length;
+        const minutes = Math.round(this.options.crashLoopWindow / 60000);
+        console.warn(`Container ${container.name} is crash looping (${restarts} restarts in ${minutes} minutes)`);
+        this.notify(`${container.name} is crash looping: restarted ${restarts} times in ${minutes} minutes. `
+            + 'Automatic restarts are paused; check its logs.', 'error', 0);
+    }
+
+    /**
+     * Get the restarts of a container within the crash loop window
+     * @param {Object} state Supervision state of the container
+     * @returns {Array<number>} Restart times
+     * @private
+     */
+    getRecentRestarts(state) {
+        const since = Date.now() - this.options.crashLoopWindow;
+        state.restarts = state.restarts.filter(time => time > since);
+        return state.restarts;
+    }
+
+    /**
+     * Get the supervision state of a container
+     * @param {string} containerId Container ID
+     * @returns {Object} State ({ restarts, restartCount, timer, crashLooping })
+     * @private
+     */
+    getState(containerId) {
+        if (!this.states.has(containerId)) {
+            this.states.set(containerId, { restarts: [], restartCount: null, timer: null, crashLooping: false });
+        }
+        return this.states.get(containerId);
+    }
+
+    /**
+     * Drop the state of a removed container
+     * @param {string} containerId Container ID
+     */
+    forgetContainer(containerId) {
+        const state = this.states.get(containerId);
+        if (state) {
+            clearTimeout(state.timer);
+            this.states.delete(containerId);
+        }
+    }
+
+    /**
+     * Show a notification
+     * @param {string} message Message
+     * @param {string} type Notification type (success, error, warning, info)
+     * @param {number} [duration] Duration in milliseconds, 0 to keep it until closed
+     * @private
+     */
+    notify(message, type, duration) {
+        const notifier = this.options.notifier || window.NotificationManager;
+        if (notifier) {
+            notifier.show(message, type, duration);
+        }
+    }
+}
+
+// Make the ContainerSupervisor globally available
+window.ContainerSupervisor = ContainerSupervisor;
+
+// Supervise the containers of the global Docker manager
+document.addEventListener('DOMContentLoaded', function() {
+    if (!window.dockerManager) {
+        return;
+    }
+
+    window.containerSupervisor = new ContainerSupervisor(window.dockerManager);
+    window.containerSupervisor.start();
+});
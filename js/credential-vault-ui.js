@@ -0,0 +1,190 @@
+/**
+ * Credential Vault UI - Sets up, unlocks and locks the master-password credential vault
+ * The header button shows whether the vault is missing, locked or unlocked.
+ */
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    initCredentialVaultUI();
+});
+
+/**
+ * Add event listeners for the credential vault controls
+ */
+function initCredentialVaultUI() {
+    const listeners = {
+        vaultToggleBtn: openCredentialVaultModal,
+        closeCredentialVaultBtn: hideCredentialVaultModal,
+        enableVaultBtn: enableCredentialVault,
+        unlockVaultBtn: unlockCredentialVault,
+        lockVaultBtn: lockCredentialVault
+    };
+
+    Object.entries(listeners).forEach(([id, listener]) => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.addEventListener('click', listener);
+        }
+    });
+
+    const passwordInput = document.getElementById('vaultPassword');
+    if (passwordInput) {
+        passwordInput.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                unlockCredentialVault();
+            }
+        });
+    }
+
+    // The vault also locks itself after inactivity
+    ['credential-vault-enabled', 'credential-vault-locked', 'credential-vault-unlocked'].forEach(eventName => {
+        window.addEventListener(eventName, updateCredentialVaultUI);
+    });
+
+    updateCredentialVaultUI();
+}
+
+/**
+ * Get the state of the credential vault
+ * @returns {string} "unavailable", "disabled", "locked" or "unlocked"
+ */
+function getCredentialVaultState() {
+    if (!window.SecurityManager) {
+        return 'unavailable';
+    }
+    if (!window.SecurityManager.isVaultEnabled()) {
+        return 'disabled';
+    }
+    return window.SecurityManager.isLocked() ? 'locked' : 'unlocked';
+}
+
+/**
+ * Show the vault state on the header button and in the modal
+ */
+function updateCredentialVaultUI() {
+    const state = getCredentialVaultState();
+    const descriptions = {
+        unavailable: 'Secure credential storage is not available.',
+        disabled: 'Credentials are only kept for this session. Set a master password to keep them encrypted on disk.',
+        locked: 'The credential vault is locked. Enter the master password to use stored credentials.',
+        unlocked: 'The credential vault is unlocked.'
+    };
+    const icons = {
+        unavailable: 'fa-key',
+        disabled: 'fa-key',
+        locked: 'fa-lock',
+        unlocked: 'fa-lock-open'
+    };
+
+    const toggleButton = document.getElementById('vaultToggleBtn');
+    if (toggleButton) {
+        toggleButton.title = `Credential Vault: ${state}`;
+        toggleButton.innerHTML = `<i class="fas ${icons[state]}"></i>`;
+    }
+
+    const status = document.getElementById('credentialVaultStatus');
+    if (!status) {
+        return;
+    }
+    status.textContent = descriptions[state];
+
+    const visibility = {
+        credentialVaultSetup: state === 'disabled',
+        enableVaultBtn: state === 'disabled',
+        credentialVaultUnlock: state === 'locked',
+        unlockVaultBtn: state === 'locked',
+        lockVaultBtn: state === 'unlocked'
+    };
+    Object.entries(visibility).forEach(([id, visible]) => {
+        document.getElementById(id).style.display = visible ? '' : 'none';
+    });
+}
+
+/**
+ * Show an error in the credential vault modal
+ * @param {string} message - Error message, or an empty string to hide the error
+ */
+function showCredentialVaultError(message) {
+    const error = document.getElementById('credentialVaultError');
+    error.textContent = message;
+    error.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Open the credential vault modal
+ */
+function openCredentialVaultModal() {
+    ['vaultNewPassword', 'vaultConfirmPassword', 'vaultPassword'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    showCredentialVaultError('');
+    updateCredentialVaultUI();
+    document.getElementById('credentialVaultModal').style.display = 'flex';
+
+    const focusId = getCredentialVaultState() === 'locked' ? 'vaultPassword' : 'vaultNewPassword';
+    document.getElementById(focusId).focus();
+}
+
+/**
+ * Hide the credential vault modal
+ */
+function hideCredentialVaultModal() {
+    document.getElementById('credentialVaultModal').style.display = 'none';
+}
+
+/**
+ * Set the master password
+ */
+async function enableCredentialVault() {
+    const passwordInput = document.getElementById('vaultNewPassword');
+    const password = passwordInput.value;
+    const autoLockMinutes = Math.max(0, parseInt(document.getElementById('vaultAutoLockMinutes').value, 10) || 0);
+
+    if (password.length < passwordInput.minLength) {
+        showCredentialVaultError(`The master password must be at least ${passwordInput.minLength} characters`);
+        return;
+    }
+    if (password !== document.getElementById('vaultConfirmPassword').value) {
+        showCredentialVaultError('The passwords do not match');
+        return;
+    }
+
+    if (!await window.SecurityManager.enableVault(password, { autoLockMinutes })) {
+        showCredentialVaultError('Failed to enable the credential vault');
+        return;
+    }
+
+    hideCredentialVaultModal();
+    showNotification('Credential vault enabled', 'success');
+}
+
+/**
+ * Unlock the vault with the entered master password
+ */
+async function unlockCredentialVault() {
+    const passwordInput = document.getElementById('vaultPassword');
+
+    if (!await window.SecurityManager.unlock(passwordInput.value)) {
+        passwordInput.value = '';
+        showCredentialVaultError('Incorrect master password');
+        return;
+    }
+
+    hideCredentialVaultModal();
+    showNotification('Credential vault unlocked', 'success');
+}
+
+/**
+ * Lock the vault
+ */
+function lockCredentialVault() {
+    window.SecurityManager.lock();
+    hideCredentialVaultModal();
+    showNotification('Credential vault locked', 'info');
+}
+
+// Export functions for use in other modules
+window.CredentialVaultUI = {
+    openCredentialVaultModal,
+    getCredentialVaultState
+};
@@ -0,0 +1,637 @@
+/**
+ * Docker API - Client for the Docker Engine API
+ * Talks HTTP to the Docker daemon over its socket (/var/run/docker.sock, or the
+ * docker_engine named pipe on Windows). DockerManager and the server manager share
+ * one client, so container state comes from the daemon instead of parsed CLI output.
+ */
+
+const DOCKER_SOCKET_PATH = '/var/run/docker.sock';
+const DOCKER_WINDOWS_PIPE = '//./pipe/docker_engine';
+const DOCKER_API_VERSION = 'v1.41';
+
+// Time limit for requests that do not stream (ms)
+const DOCKER_REQUEST_TIMEOUT = 30000;
+
+// Files and directories left out of build contexts
+const DOCKER_CONTEXT_EXCLUDES = new Set(['.git', 'node_modules', '.venv', '__pycache__']);
+
+// Stream types in the 8-byte frame headers of multiplexed logs
+const DOCKER_LOG_STREAMS = { 0: 'stdin', 1: 'stdout', 2: 'stderr' };
+
+let sharedDockerClient = null;
+
+/**
+ * Error returned by the Docker daemon
+ */
+class DockerApiError extends Error {
+    /**
+     * @param {string} message - Message from the daemon
+     * @param {number} statusCode - HTTP status code
+     */
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'DockerApiError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Get a Node.js module through the Electron bridge
+ * @private
+ * @param {string} name - Module name
+ * @returns {Object} Module
+ */
+function _dockerRequire(name) {
+    if (typeof window.require !== 'function') {
+        throw new Error('The Docker Engine API is only available in the desktop app');
+    }
+    return window.require(name);
+}
+
+/**
+ * Split a Docker log stream into lines
+ * Containers without a TTY send frames with an 8-byte header (stream type and length);
+ * containers with a TTY send raw text, which is reported as stdout.
+ * @param {Buffer} buffer - Response body
+ * @returns {Array<Object>} Lines ({ stream, text })
+ */
+function demultiplexLogs(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    const isFrameHeader = at => at + 8 <= buffer.length && DOCKER_LOG_STREAMS[buffer[at]] !== undefined
+        && buffer[at + 1] === 0 && buffer[at + 2] === 0 && buffer[at + 3] === 0;
+
+    if (buffer.length > 0 && !isFrameHeader(0)) {
+        frames.push({ stream: 'stdout', text: buffer.toString('utf8') });
+    } else {
+        while (isFrameHeader(offset)) {
+            const size = buffer.readUInt32BE(offset + 4);
+            frames.push({
+                stream: DOCKER_LOG_STREAMS[buffer[offset]],
+                text: buffer.slice(offset + 8, offset + 8 + size).toString('utf8')
+            });
+            offset += 8 + size;
+        }
+    }
+
+    // Frames do not follow line breaks, so join the partial lines of each stream
+    const lines = [];
+    const partial = {};
+    frames.forEach(frame => {
+        const parts = `${partial[frame.stream] || ''}${frame.text}`.split('\n');
+        partial[frame.stream] = parts.pop();
+        parts.forEach(text => lines.push({ stream: frame.stream, text: text.replace(/\r$/, '') }));
+    });
+    Object.entries(partial).forEach(([stream, text]) => {
+        if (text) {
+            lines.push({ stream, text });
+        }
+    });
+
+    return lines;
+}
+
+/**
+ * Work out usage figures from a container stats sample
+ * CPU usage is measured between the sample and the one before it (precpu_stats).
+ * @param {Object} stats - Response of the stats endpoint
+ * @returns {Object} Usage ({ cpuPercent, memoryUsage, memoryLimit, memoryPercent, networkRx,
+ *   networkTx, blockRead, blockWrite, pids }), in bytes where it applies
+ */
+function summarizeStats(stats) {
+    const cpu = stats.cpu_stats || {};
+    const precpu = stats.precpu_stats || {};
+    const cpuDelta = ((cpu.cpu_usage || {}).total_usage || 0) - ((precpu.cpu_usage || {}).total_usage || 0);
+    const systemDelta = (cpu.system_cpu_usage || 0) - (precpu.system_cpu_usage || 0);
+    const cpus = cpu.online_cpus || ((cpu.cpu_usage || {}).percpu_usage || []).length || 1;
+
+    // Page cache does not count as used memory (inactive_file on cgroup v2, cache on v1)
+    const memory = stats.memory_stats || {};
+    const memoryStats = memory.stats || {};
+    const cache = memoryStats.inactive_file !== undefined ? memoryStats.inactive_file : (memoryStats.cache || 0);
+    const memoryUsage = Math.max(0, (memory.usage || 0) - cache);
+    const memoryLimit = memory.limit || 0;
+
+    const networks = Object.values(stats.networks || {});
+    const blockIo = (stats.blkio_stats || {}).io_service_bytes_recursive || [];
+    const sumBlockIo = op => blockIo
+        .filter(entry => String(entry.op).toLowerCase() === op)
+        .reduce((total, entry) => total + entry.value, 0);
+
+    return {
+        cpuPercent: cpuDelta > 0 && systemDelta > 0 ? (cpuDelta / systemDelta) * cpus * 100 : 0,
+        memoryUsage,
+        memoryLimit,
+        memoryPercent: memoryLimit > 0 ? (memoryUsage / memoryLimit) * 100 : 0,
+        networkRx: networks.reduce((total, network) => total + (network.rx_bytes || 0), 0),
+        networkTx: networks.reduce((total, network) => total + (network.tx_bytes || 0), 0),
+        blockRead: sumBlockIo('read'),
+        blockWrite: sumBlockIo('write'),
+        pids: (stats.pids_stats || {}).current || 0
+    };
+}
+
+/**
+ * Describe a container from a container list entry or an inspect response
+ * @param {Object} data - Entry of GET /containers/json or response of GET /containers/{id}/json
+ * @returns {Object} Container ({ id, name, image, state, status, created, ports, volumes,
+ *   environment, labels, health, restartCount, restartPolicy, healthcheck, memoryLimit, cpuLimit })
+ *   with ports as "host:container" and volumes as "source:destination". health is null for
+ *   containers without a healthcheck; the settings are only in inspect responses.
+ */
+function describeContainer(data) {
+    const inspected = data.State !== undefined && typeof data.State === 'object';
+    const ports = [];
+
+    if (inspected) {
+        Object.entries((data.NetworkSettings || {}).Ports || {}).forEach(([containerPort, bindings]) => {
+            (bindings || []).forEach(binding => ports.push(`${binding.HostPort}:${containerPort.split('/')[0]}`));
+        });
+    } else {
+        (data.Ports || []).filter(port => port.PublicPort).forEach(port => {
+            ports.push(`${port.PublicPort}:${port.PrivatePort}`);
+        });
+    }
+
+    const environment = {};
+    ((data.Config || {}).Env || []).forEach(entry => {
+        const separator = entry.indexOf('=');
+        environment[separator === -1 ? entry : entry.slice(0, separator)] = separator === -1 ? '' : entry.slice(separator + 1);
+    });
+
+    return {
+        id: data.Id,
+        name: inspected ? data.Name.replace(/^\//, '') : ((data.Names || [])[0] || '').replace(/^\//, ''),
+        image: inspected ? data.Config.Image : data.Image,
+        state: inspected ? data.State.Status : data.State,
+        status: inspected ? data.State.Status : data.Status,
+        created: inspected ? data.Created : new Date(data.Created * 1000).toISOString(),
+        ports: [...new Set(ports)],
+        volumes: (data.Mounts || []).map(mount => `${mount.Source || mount.Name}:${mount.Destination}`),
+        environment,
+        labels: (inspected ? data.Config.Labels : data.Labels) || {},
+        ...describeContainerHealth(data, inspected)
+    };
+}
+
+/**
+ * Describe the health and the restart and resource settings of a container
+ * @private
+ * @param {Object} data - Container list entry or inspect response
+ * @param {boolean} inspected - Whether data is an inspect response
+ * @returns {Object} Health, restart count and settings
+ */
+function describeContainerHealth(data, inspected) {
+    if (!inspected) {
+        // List entries only mention health in the status text, e.g. "Up 2 minutes (unhealthy)"
+        const match = String(data.Status || '').match(/\((healthy|unhealthy|health: starting)\)/);
+        return { health: match ? match[1].replace('health: ', '') : null };
+    }
+
+    const hostConfig = data.HostConfig || {};
+    const restartPolicy = hostConfig.RestartPolicy || {};
+    const healthcheck = (data.Config || {}).Healthcheck;
+    const hasHealthcheck = Boolean(healthcheck && healthcheck.Test && healthcheck.Test[0] !== 'NONE');
+
+    return {
+        health: data.State.Health ? data.State.Health.Status : null,
+        restartCount: data.RestartCount || 0,
+        restartPolicy: restartPolicy.Name === 'on-failure' && restartPolicy.MaximumRetryCount
+            ? `on-failure:${restartPolicy.MaximumRetryCount}`
+            : (restartPolicy.Name || 'no'),
+        healthcheck: hasHealthcheck
+            ? {
+                test: healthcheck.Test[0] === 'CMD-SHELL' ? healthcheck.Test[1] : healthcheck.Test.slice(1).join(' '),
+                interval: healthcheck.Interval ? healthcheck.Interval / 1e9 : null,
+                timeout: healthcheck.Timeout ? healthcheck.Timeout / 1e9 : null,
+                retries: healthcheck.Retries || null,
+                startPeriod: healthcheck.StartPeriod ? healthcheck.StartPeriod / 1e9 : null
+            }
+            : null,
+        memoryLimit: hostConfig.Memory || 0,
+        cpuLimit: hostConfig.NanoCpus ? hostConfig.NanoCpus / 1e9 : 0
+    };
+}
+
+/**
+ * Pack a directory into a tar archive to send as build context
+ * Version control data and installed dependencies are left out, as the image installs its own.
+ * Entries get a fixed modification time so unchanged files keep the build cache.
+ * @param {string} directory - Directory, e.g. a repository checkout
+ * @param {Object} [files={}] - Files to add or replace, by path in the archive (e.g. { Dockerfile: '...' })
+ * @returns {Buffer} Archive
+ */
+function createBuildContext(directory, files = {}) {
+    const fs = _dockerRequire('fs');
+    const path = _dockerRequire('path');
+    const { Buffer } = _dockerRequire('buffer');
+    const mtime = new Date(0);
+    const entries = [];
+
+    const walk = relativeDir => {
+        fs.readdirSync(path.join(directory, relativeDir), { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(entry => {
+                const name = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+                if (DOCKER_CONTEXT_EXCLUDES.has(entry.name) || files[name] !== undefined) {
+                    return;
+                }
+
+                const fullPath = path.join(directory, name);
+                if (entry.isDirectory()) {
+                    walk(name);
+                } else if (entry.isFile()) {
+                    const mode = fs.statSync(fullPath).mode & 0o777;
+                    entries.push({ path: name, content: fs.readFileSync(fullPath), mtime, mode });
+                }
+            });
+    };
+
+    walk('');
+    Object.entries(files).forEach(([name, content]) => {
+        entries.push({ path: name, content: Buffer.from(content), mtime });
+    });
+
+    return window.TarArchive.packTar(entries);
+}
+
+/**
+ * Check whether the Docker Engine API can be reached from this window
+ * @returns {boolean} True in the desktop app, where Node.js modules are available
+ */
+function isDockerApiAvailable() {
+    return typeof window.require === 'function';
+}
+
+class DockerApiClient {
+    /**
+     * @param {Object} [options={}] - Options ({ socketPath, apiVersion, timeout })
+     */
+    constructor(options = {}) {
+        this.socketPath = options.socketPath || null;
+        this.apiVersion = options.apiVersion || DOCKER_API_VERSION;
+        this.timeout = options.timeout || DOCKER_REQUEST_TIMEOUT;
+    }
+
+    /**
+     * Get the socket of the Docker daemon
+     * @returns {string} Socket path or named pipe
+     */
+    getSocketPath() {
+        if (this.socketPath) {
+            return this.socketPath;
+        }
+        return _dockerRequire('os').platform() === 'win32' ? DOCKER_WINDOWS_PIPE : DOCKER_SOCKET_PATH;
+    }
+
+    /**
+     * Build the path of an API request
+     * @param {string} path - Endpoint path (e.g. /containers/json)
+     * @param {Object} [query] - Query parameters; objects are sent as JSON, undefined values are left out
+     * @returns {string} Request path
+     * @private
+     */
+    buildPath(path, query = {}) {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([name, value]) => {
+            if (value !== undefined && value !== null) {
+                params.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+            }
+        });
+
+        const search = params.toString();
+        return `/${this.apiVersion}${path}${search ? `?${search}` : ''}`;
+    }
+
+    /**
+     * Open a request and wait for the response headers
+     * Responses with an error status are read and rejected with a DockerApiError.
+     * @param {string} method - HTTP method
+     * @param {string} path - Endpoint path
+     * @param {Object} [options={}] - Options ({ query, body, stream }); a Buffer body is sent as a tar
+     *   archive, other bodies as JSON; streams have no time limit
+     * @returns {Promise<http.IncomingMessage>} Response
+     * @private
+     */
+    open(method, path, options = {}) {
+        const http = _dockerRequire('http');
+        const { Buffer } = _dockerRequire('buffer');
+        const isArchive = Buffer.isBuffer(options.body);
+        let body = null;
+        if (options.body !== undefined) {
+            body = isArchive ? options.body : JSON.stringify(options.body);
+        }
+        const headers = body !== null
+            ? { 'Content-Type': isArchive ? 'application/x-tar' : 'application/json', 'Content-Length': Buffer.byteLength(body) }
+            : {};
+
+        return new Promise((resolve, reject) => {
+            const req = http.request({
+                socketPath: this.getSocketPath(),
+                path: this.buildPath(path, options.query),
+                method,
+                headers
+            }, res => {
+                if (res.statusCode < 400) {
+                    resolve(res);
+                    return;
+                }
+
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    const text = _dockerRequire('buffer').Buffer.concat(chunks).toString('utf8');
+                    let message = text.trim() || `HTTP ${res.statusCode}`;
+                    try {
+                        message = JSON.parse(text).message || message;
+                    } catch (error) {
+                        // Plain text error
+                    }
+                    reject(new DockerApiError(message, res.statusCode));
+                });
+                res.on('error', reject);
+            });
+
+            if (!options.stream) {
+                req.setTimeout(this.timeout, () => req.destroy(new Error(`Docker API request ${method} ${path} timed out`)));
+            }
+            req.on('error', error => reject(error.code === 'ENOENT' || error.code === 'ECONNREFUSED'
+                ? new Error(`Docker daemon is not reachable at ${this.getSocketPath()}`)
+                : error));
+            req.end(body === null ? undefined : body);
+        });
+    }
+
+    /**
+     * Send a request and read the whole response
+     * @param {string} method - HTTP method
+     * @param {string} path - Endpoint path
+     * @param {Object} [options={}] - Options ({ query, body })
+     * @returns {Promise<*>} Parsed JSON, a Buffer for other content, or null for empty responses
+     */
+    async request(method, path, options = {}) {
+        const { Buffer } = _dockerRequire('buffer');
+        const res = await this.open(method, path, options);
+
+        const body = await new Promise((resolve, reject) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve(Buffer.concat(chunks)));
+            res.on('error', reject);
+        });
+
+        if (body.length === 0) {
+            return null;
+        }
+        return /json/.test(res.headers['content-type'] || '') ? JSON.parse(body.toString('utf8')) : body;
+    }
+
+    /**
+     * Read a stream of JSON lines
+     * @param {http.IncomingMessage} res - Response
+     * @param {Function} onMessage - Called with each parsed line
+     * @private
+     */
+    readJsonLines(res, onMessage) {
+        let pending = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+            const lines = `${pending}${chunk}`.split('\n');
+            pending = lines.pop();
+            lines.filter(line => line.trim()).forEach(line => {
+                let message;
+                try {
+                    message = JSON.parse(line);
+                } catch (error) {
+                    console.warn('Skipping malformed Docker API message:', line);
+                    return;
+                }
+                onMessage(message);
+            });
+        });
+    }
+
+    /**
+     * Check that the daemon answers
+     * @returns {Promise<boolean>} True if the daemon answered
+     */
+    async ping() {
+        const body = await this.request('GET', '/_ping');
+        return String(body) === 'OK';
+    }
+
+    /**
+     * List containers
+     * @param {Object} [options={}] - Options ({ all, filters }), all defaults to true
+     * @returns {Promise<Array<Object>>} Container list entries
+     */
+    listContainers(options = {}) {
+        return this.request('GET', '/containers/json', {
+            query: { all: options.all !== false, filters: options.filters }
+        });
+    }
+
+    /**
+     * Create a container
+     * @param {Object} spec - Container configuration (Image, Cmd, Env, ExposedPorts, HostConfig, ...)
+     * @param {string} [name] - Container name
+     * @returns {Promise<Object>} Result ({ Id, Warnings })
+     */
+    createContainer(spec, name) {
+        return this.request('POST', '/containers/create', { query: { name }, body: spec });
+    }
+
+    /**
+     * Start a container; starting a running container is not an error
+     * @param {string} id - Container ID or name
+     * @returns {Promise<void>}
+     */
+    async startContainer(id) {
+        await this.request('POST', `/containers/${encodeURIComponent(id)}/start`);
+    }
+
+    /**
+     * Stop a container; stopping a stopped container is not an error
+     * @param {string} id - Container ID or name
+     * @param {number} [timeout] - Seconds to wait before killing the container
+     * @returns {Promise<void>}
+     */
+    async stopContainer(id, timeout) {
+        await this.request('POST', `/containers/${encodeURIComponent(id)}/stop`, { query: { t: timeout } });
+    }
+
+    /**
+     * Restart a container
+     * @param {string} id - Container ID or name
+     * @param {number} [timeout] - Seconds to wait before killing the container
+     * @returns {Promise<void>}
+     */
+    async restartContainer(id, timeout) {
+        await this.request('POST', `/containers/${encodeURIComponent(id)}/restart`, { query: { t: timeout } });
+    }
+
+    /**
+     * Remove a container
+     * @param {string} id - Container ID or name
+     * @param {Object} [options={}] - Options ({ force, volumes })
+     * @returns {Promise<void>}
+     */
+    async removeContainer(id, options = {}) {
+        await this.request('DELETE', `/containers/${encodeURIComponent(id)}`, {
+            query: { force: options.force || undefined, v: options.volumes || undefined }
+        });
+    }
+
+    /**
+     * Change the restart policy and resource limits of a container
+     * @param {string} id - Container ID or name
+     * @param {Object} update - Fields of HostConfig to change ({ RestartPolicy, Memory, MemorySwap, NanoCpus })
+     * @returns {Promise<Object>} Response ({ Warnings })
+     */
+    updateContainer(id, update) {
+        return this.request('POST', `/containers/${encodeURIComponent(id)}/update`, { body: update });
+    }
+
+    /**
+     * Inspect a container
+     * @param {string} id - Container ID or name
+     * @returns {Promise<Object>} Inspect response
+     */
+    inspectContainer(id) {
+        return this.request('GET', `/containers/${encodeURIComponent(id)}/json`);
+    }
+
+    /**
+     * Get the logs of a container
+     * @param {string} id - Container ID or name
+     * @param {Object} [options={}] - Options ({ tail, since, timestamps })
+     * @returns {Promise<Array<Object>>} Lines ({ stream, text })
+     */
+    async getContainerLogs(id, options = {}) {
+        const body = await this.request('GET', `/containers/${encodeURIComponent(id)}/logs`, {
+            query: {
+                stdout: true,
+                stderr: true,
+                tail: options.tail !== undefined ? options.tail : 'all',
+                since: options.since,
+                timestamps: options.timestamps || undefined
+            }
+        });
+        return body ? demultiplexLogs(body) : [];
+    }
+
+    /**
+     * Get one resource usage sample of a running container
+     * @param {string} id - Container ID or name
+     * @returns {Promise<Object>} Stats response (see summarizeStats)
+     */
+    getContainerStats(id) {
+        return this.request('GET', `/containers/${encodeURIComponent(id)}/stats`, { query: { stream: false } });
+    }
+
+    /**
+     * Build an image from a Git repository or tarball URL, or from a build context archive
+     * @param {Object} options - Options ({ remote, context, tag, buildArgs }); context is a tar
+     *   archive (see createBuildContext) and takes the place of remote
+     * @param {Function} [onProgress] - Called with each line of build output
+     * @returns {Promise<string|null>} Image ID, if the daemon reported it
+     */
+    async buildImage(options, onProgress) {
+        const res = await this.open('POST', '/build', {
+            query: { remote: options.context ? undefined : options.remote, t: options.tag, buildargs: options.buildArgs, rm: true },
+            body: options.context,
+            stream: true
+        });
+
+        return new Promise((resolve, reject) => {
+            let imageId = null;
+            let failure = null;
+
+            this.readJsonLines(res, message => {
+                if (message.error) {
+                    failure = failure || new DockerApiError(message.error.trim(), 200);
+                } else if (message.aux && message.aux.ID) {
+                    imageId = message.aux.ID;
+                } else if (message.stream && onProgress) {
+                    onProgress(message.stream.replace(/\n$/, ''));
+                }
+            });
+            res.on('end', () => (failure ? reject(failure) : resolve(imageId)));
+            res.on('error', reject);
+        });
+    }
+
+    /**
+     * Follow the daemon's event stream
+     * @param {Object} [options={}] - Options ({ filters, since })
+     * @param {Object} handlers - Callbacks ({ onEvent, onError, onEnd })
+     * @returns {Object} Subscription ({ close }); onEnd is not called after close
+     */
+    watchEvents(options = {}, handlers = {}) {
+        let response = null;
+        let closed = false;
+
+        this.open('GET', '/events', { query: { filters: options.filters, since: options.since }, stream: true })
+            .then(res => {
+                response = res;
+                if (closed) {
+                    res.destroy();
+                    return;
+                }
+
+                this.readJsonLines(res, event => {
+                    if (!closed && handlers.onEvent) {
+                        handlers.onEvent(event);
+                    }
+                });
+                res.on('end', () => {
+                    if (!closed && handlers.onEnd) {
+                        handlers.onEnd();
+                    }
+                });
+                res.on('error', error => {
+                    if (!closed && handlers.onError) {
+                        handlers.onError(error);
+                    }
+                });
+            })
+            .catch(error => {
+                if (!closed && handlers.onError) {
+                    handlers.onError(error);
+                }
+            });
+
+        return {
+            close: () => {
+                closed = true;
+                if (response) {
+                    response.destroy();
+                }
+            }
+        };
+    }
+}
+
+/**
+ * Get the client shared by the Docker manager and the server manager
+ * @returns {DockerApiClient} Client
+ */
+function getDockerApiClient() {
+    if (!sharedDockerClient) {
+        sharedDockerClient = new DockerApiClient();
+    }
+    return sharedDockerClient;
+}
+
+// Export functions for use in other modules
+window.DockerApi = {
+    DockerApiClient,
+    DockerApiError,
+    isAvailable: isDockerApiAvailable,
+    getClient: getDockerApiClient,
+    describeContainer,
+    demultiplexLogs,
+    createBuildContext,
+    summarizeStats
+};
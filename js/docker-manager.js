@@ -1,13 +1,31 @@
 /**
  * Docker Manager - Handles Docker-specific operations for MCP servers
+ * Uses the Docker Engine API (see docker-api.js) in the desktop app, where container
+ * status changes come from the daemon's event stream; elsewhere it simulates containers.
  */
+
+// Container events that can change what is known about a container
+const CONTAINER_STATE_EVENTS = new Set(['create', 'start', 'restart', 'die', 'stop', 'kill', 'pause', 'unpause', 'rename', 'update', 'health_status']);
+
+// Restart policies Docker accepts ("on-failure" takes an optional retry limit, e.g. "on-failure:5")
+const RESTART_POLICIES = ['no', 'always', 'unless-stopped', 'on-failure'];
+
+// Multipliers of memory size units (as in docker run --memory)
+const MEMORY_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+// Time limit for cloning a repository to build (ms)
+const REPOSITORY_CLONE_TIMEOUT = 5 * 60 * 1000;
+
 class DockerManager {
     constructor(options = {}) {
         this.options = options;
         this.containers = [];
         this.isDockerAvailable = false;
-        this.statusCheckInterval = null;
-        this.statusCheckIntervalTime = options.statusCheckInterval || 30000; // 30 seconds
+        this.client = options.client
+            || (window.DockerApi && window.DockerApi.isAvailable() ? window.DockerApi.getClient() : null);
+        this.eventSubscription = null;
+        this.eventReconnectTimer = null;
+        this.eventReconnectDelay = options.eventReconnectDelay || 5000; // 5 seconds
     }
 
     /**
@@ -21,7 +39,8 @@ class DockerManager {
             if (this.isDockerAvailable) {
                 console.log('Docker is available');
                 await this.loadContainers();
-                this.startStatusChecks();
+                this.triggerEvent('containersLoaded', this.getAllContainers());
+                this.startEventStream();
             } else {
                 console.warn('Docker is not available');
             }
@@ -38,7 +57,15 @@ class DockerManager {
      * @returns {Promise<boolean>} Whether Docker is available
      */
     async checkDockerAvailability() {
-        // In a real implementation, we would check if Docker is installed and running
+        if (this.client) {
+            try {
+                return await this.client.ping();
+            } catch (error) {
+                console.warn(`Docker daemon is not available: ${error.message}`);
+                return false;
+            }
+        }
+        
         // For simulation purposes, we'll just return true
         return new Promise(resolve => {
             setTimeout(() => resolve(true), 500);
@@ -50,7 +77,12 @@ class DockerManager {
      * @returns {Promise<void>}
      */
     async loadContainers() {
-        // In a real implementation, we would run 'docker ps -a' and parse the output
+        if (this.client) {
+            const containers = await this.client.listContainers({ all: true });
+            this.containers = containers.map(data => this.toContainer(data));
+            return;
+        }
+        
         // For simulation purposes, we'll just create some sample containers
         this.containers = [
             {
@@ -77,50 +109,332 @@ class DockerManager {
     }
 
     /**
-     * Start periodic status checks for containers
+     * Follow container events from the Docker daemon
+     * The stream reconnects after errors and then reloads the containers to catch up.
      */
-    startStatusChecks() {
-        if (this.statusCheckInterval) {
-            clearInterval(this.statusCheckInterval);
+    startEventStream() {
+        if (!this.client) {
+            return;
         }
         
-        this.statusCheckInterval = setInterval(() => {
-            this.updateContainerStatuses();
-        }, this.statusCheckIntervalTime);
+        this.stopEventStream();
+        
+        const reconnect = () => {
+            this.eventSubscription = null;
+            clearTimeout(this.eventReconnectTimer);
+            this.eventReconnectTimer = setTimeout(async () => {
+                this.startEventStream();
+                try {
+                    await this.refreshContainers();
+                } catch (error) {
+                    console.error('Error reloading containers after reconnecting:', error);
+                }
+            }, this.eventReconnectDelay);
+        };
+        
+        this.eventSubscription = this.client.watchEvents({ filters: { type: ['container'] } }, {
+            onEvent: event => {
+                this.handleDockerEvent(event).catch(error => {
+                    console.error('Error handling Docker event:', error);
+                });
+            },
+            onError: error => {
+                console.warn(`Docker event stream failed: ${error.message}`);
+                reconnect();
+            },
+            onEnd: reconnect
+        });
     }
 
     /**
-     * Stop periodic status checks
+     * Stop following container events
      */
-    stopStatusChecks() {
-        if (this.statusCheckInterval) {
-            clearInterval(this.statusCheckInterval);
-            this.statusCheckInterval = null;
+    stopEventStream() {
+        clearTimeout(this.eventReconnectTimer);
+        this.eventReconnectTimer = null;
+        
+        if (this.eventSubscription) {
+            this.eventSubscription.close();
+            this.eventSubscription = null;
         }
     }
 
     /**
-     * Update container statuses
+     * Update the containers for an event from the Docker daemon
+     * @param {Object} event Docker event
      * @returns {Promise<void>}
      */
-    async updateContainerStatuses() {
-        // In a real implementation, we would run 'docker ps' and update container statuses
-        // For simulation purposes, we'll just randomly update statuses
-        for (const container of this.containers) {
-            // 10% chance of changing status
-            if (Math.random() < 0.1) {
-                container.status = container.status === 'running' ? 'exited' : 'running';
-                console.log(`Container ${container.name} status changed to ${container.status}`);
-                
-                // Trigger status change event
-                this.triggerEvent('containerStatusChanged', container);
+    async handleDockerEvent(event) {
+        const action = (event.Action || event.status || '').split(':')[0];
+        const containerId = event.id || (event.Actor && event.Actor.ID);
+        
+        if (event.Type !== 'container' || !containerId) {
+            return;
+        }
+        
+        if (action === 'destroy') {
+            this.forgetContainer(containerId);
+        } else if (CONTAINER_STATE_EVENTS.has(action)) {
+            await this.refreshContainer(containerId);
+        }
+    }
+
+    /**
+     * Reload one container from the Docker daemon
+     * Triggers containerCreated for new containers, containerStatusChanged when the status changes
+     * and containerHealthChanged when the healthcheck result changes.
+     * @param {string} containerId Container ID or name
+     * @returns {Promise<Object|null>} Container, or null if it no longer exists
+     */
+    async refreshContainer(containerId) {
+        let data;
+        try {
+            data = await this.client.inspectContainer(containerId);
+        } catch (error) {
+            if (error.statusCode === 404) {
+                this.forgetContainer(containerId);
+                return null;
             }
+            throw error;
         }
+        
+        const updated = this.toContainer(data);
+        const container = this.getContainerById(updated.id);
+        
+        if (!container) {
+            this.containers.push(updated);
+            this.triggerEvent('containerCreated', updated);
+            return updated;
+        }
+        
+        const statusChanged = container.status !== updated.status;
+        const healthChanged = container.health !== updated.health;
+        Object.assign(container, updated, { logs: container.logs });
+        if (statusChanged) {
+            console.log(`Container ${container.name} status changed to ${container.status}`);
+            this.triggerEvent('containerStatusChanged', container);
+        }
+        if (healthChanged) {
+            console.log(`Container ${container.name} health changed to ${container.health}`);
+            this.triggerEvent('containerHealthChanged', container);
+        }
+        
+        return container;
+    }
+
+    /**
+     * Reload all containers from the Docker daemon, triggering events for what changed
+     * @returns {Promise<Array>} Containers
+     */
+    async refreshContainers() {
+        if (!this.client) {
+            return this.getAllContainers();
+        }
+        
+        const previous = new Map(this.containers.map(container => [container.id, container]));
+        await this.loadContainers();
+        
+        this.containers.forEach(container => {
+            const before = previous.get(container.id);
+            if (!before) {
+                this.triggerEvent('containerCreated', container);
+            } else {
+                if (before.status !== container.status) {
+                    this.triggerEvent('containerStatusChanged', container);
+                }
+                if (before.health !== container.health) {
+                    this.triggerEvent('containerHealthChanged', container);
+                }
+            }
+            previous.delete(container.id);
+        });
+        previous.forEach(container => this.triggerEvent('containerRemoved', container));
+        
+        return this.getAllContainers();
+    }
+
+    /**
+     * Drop a container that no longer exists
+     * @param {string} containerId Container ID or name
+     */
+    forgetContainer(containerId) {
+        const container = this.getContainerById(containerId);
+        if (container) {
+            this.containers = this.containers.filter(c => c !== container);
+            this.triggerEvent('containerRemoved', container);
+        }
+    }
+
+    /**
+     * Convert a container from the Docker Engine API to the manager's format
+     * @param {Object} data Container list entry or inspect response
+     * @returns {Object} Container
+     */
+    toContainer(data) {
+        const described = window.DockerApi.describeContainer(data);
+        return {
+            id: described.id,
+            name: described.name,
+            image: described.image,
+            status: described.state,
+            created: described.created,
+            ports: described.ports,
+            volumes: described.volumes,
+            environment: described.environment,
+            labels: described.labels,
+            health: described.health,
+            restartCount: described.restartCount,
+            restartPolicy: described.restartPolicy,
+            healthcheck: described.healthcheck,
+            memoryLimit: described.memoryLimit,
+            cpuLimit: described.cpuLimit,
+            logs: []
+        };
+    }
+
+    /**
+     * Build the Docker Engine API configuration of a container
+     * @param {Object} options Container creation options (see createContainer)
+     * @returns {Object} Container configuration
+     */
+    buildContainerSpec(options) {
+        const exposedPorts = {};
+        const portBindings = {};
+        
+        (options.ports || []).forEach(port => {
+            // "[ip:]host:container[/protocol]" or just "container[/protocol]"
+            const [mapping, protocol = 'tcp'] = String(port).split('/');
+            const parts = mapping.split(':');
+            const containerPort = parts.pop();
+            const hostPort = parts.pop();
+            const hostIp = parts.join(':');
+            if (!/^\d+$/.test(containerPort) || (hostPort !== undefined && !/^\d*$/.test(hostPort))) {
+                throw new Error(`Invalid port mapping: ${port}`);
+            }
+            
+            const key = `${containerPort}/${protocol}`;
+            exposedPorts[key] = {};
+            
+            const binding = hostPort !== undefined ? { HostIp: hostIp, HostPort: hostPort } : null;
+            if (binding) {
+                portBindings[key] = [...(portBindings[key] || []), binding];
+            }
+        });
+        
+        const command = options.command;
+        const hostConfig = {
+            PortBindings: portBindings,
+            Binds: options.volumes || [],
+            ...this.buildResourceConfig(options)
+        };
+        
+        return {
+            Image: options.image,
+            Env: Object.entries(options.environment || {}).map(([key, value]) => `${key}=${value}`),
+            Cmd: Array.isArray(command) ? command : (command ? ['/bin/sh', '-c', command] : undefined),
+            // Stdio servers exit when stdin closes (like docker run -i)
+            OpenStdin: Boolean(options.openStdin),
+            ExposedPorts: exposedPorts,
+            Healthcheck: this.buildHealthcheck(options.healthcheck),
+            HostConfig: hostConfig
+        };
+    }
+
+    /**
+     * Build the restart policy and resource limits of a container
+     * Settings that are not given are left out, so updates keep their current value.
+     * @param {Object} options Settings ({ restartPolicy, memoryLimit, cpuLimit })
+     * @returns {Object} Fields of HostConfig ({ RestartPolicy, Memory, MemorySwap, NanoCpus })
+     */
+    buildResourceConfig(options) {
+        const config = {};
+        
+        if (options.restartPolicy) {
+            const [name, retries] = String(options.restartPolicy).split(':');
+            if (!RESTART_POLICIES.includes(name) || (retries !== undefined && (name !== 'on-failure' || !/^\d+$/.test(retries)))) {
+                throw new Error(`Invalid restart policy: ${options.restartPolicy}`);
+            }
+            config.RestartPolicy = { Name: name, MaximumRetryCount: retries ? Number(retries) : 0 };
+        }
+        
+        if (options.memoryLimit) {
+            const match = String(options.memoryLimit).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([bkmg])?b?$/);
+            if (!match) {
+                throw new Error(`Invalid memory limit: ${options.memoryLimit}`);
+            }
+            config.Memory = Math.round(Number(match[1]) * MEMORY_UNITS[match[2] || 'b']);
+            // Same swap allowance as docker run --memory
+            config.MemorySwap = config.Memory * 2;
+        }
+        
+        if (options.cpuLimit) {
+            const cpus = Number(options.cpuLimit);
+            if (!(cpus > 0)) {
+                throw new Error(`Invalid CPU limit: ${options.cpuLimit}`);
+            }
+            config.NanoCpus = Math.round(cpus * 1e9);
+        }
+        
+        return config;
+    }
+
+    /**
+     * Build the healthcheck of a container
+     * @param {Object} [healthcheck] Healthcheck ({ test, interval, timeout, retries, startPeriod }),
+     *   with the test run by the container's shell and times in seconds
+     * @returns {Object|undefined} Healthcheck configuration, or undefined to keep the image's
+     */
+    buildHealthcheck(healthcheck) {
+        if (!healthcheck || !healthcheck.test) {
+            return undefined;
+        }
+        
+        const nanoseconds = seconds => (seconds ? Math.round(Number(seconds) * 1e9) : undefined);
+        return {
+            Test: ['CMD-SHELL', healthcheck.test],
+            Interval: nanoseconds(healthcheck.interval),
+            Timeout: nanoseconds(healthcheck.timeout),
+            Retries: healthcheck.retries ? Number(healthcheck.retries) : undefined,
+            StartPeriod: nanoseconds(healthcheck.startPeriod)
+        };
+    }
+
+    /**
+     * Change the restart policy and resource limits of a container
+     * The healthcheck is part of the container's configuration and cannot be changed this way.
+     * @param {string} containerId Container ID or name
+     * @param {Object} settings Settings to change ({ restartPolicy, memoryLimit, cpuLimit })
+     * @returns {Promise<Object>} Container
+     */
+    async updateContainerSettings(containerId, settings) {
+        const container = this.getContainerById(containerId);
+        
+        if (!container) {
+            throw new Error(`Container ${containerId} not found`);
+        }
+        
+        const update = this.buildResourceConfig(settings);
+        
+        if (this.client) {
+            const result = await this.client.updateContainer(container.id, update);
+            ((result && result.Warnings) || []).forEach(warning => console.warn(`Docker: ${warning}`));
+            return this.refreshContainer(container.id);
+        }
+        
+        // For simulation purposes, we'll just update the settings
+        Object.assign(container, {
+            restartPolicy: settings.restartPolicy || container.restartPolicy,
+            memoryLimit: update.Memory || container.memoryLimit,
+            cpuLimit: update.NanoCpus ? update.NanoCpus / 1e9 : container.cpuLimit
+        });
+        return container;
     }
 
     /**
      * Create a new Docker container for an MCP server
-     * @param {Object} options Container creation options
+     * @param {Object} options Container creation options ({ name, image, ports, volumes, environment,
+     *   command, openStdin, restartPolicy, healthcheck, memoryLimit, cpuLimit }); see buildResourceConfig
+     *   and buildHealthcheck for the formats of the settings
      * @returns {Promise<Object>} Created container
      */
     async createContainer(options) {
@@ -130,12 +444,18 @@ class DockerManager {
             ports,
             volumes,
             environment,
-            command
+            command,
+            healthcheck
         } = options;
         
         console.log(`Creating container ${name} from image ${image}`);
         
-        // In a real implementation, we would run 'docker create' with the provided options
+        if (this.client) {
+            const result = await this.client.createContainer(this.buildContainerSpec(options), name);
+            (result.Warnings || []).forEach(warning => console.warn(`Docker: ${warning}`));
+            return this.refreshContainer(result.Id);
+        }
+        
         // For simulation purposes, we'll just create a container object
         const container = {
             id: `container${Date.now()}`,
@@ -147,6 +467,12 @@ class DockerManager {
             volumes: volumes || [],
             environment: environment || {},
             command: command || '',
+            health: healthcheck && healthcheck.test ? 'starting' : null,
+            restartCount: 0,
+            restartPolicy: options.restartPolicy || 'no',
+            healthcheck: healthcheck && healthcheck.test ? healthcheck : null,
+            memoryLimit: this.buildResourceConfig(options).Memory || 0,
+            cpuLimit: Number(options.cpuLimit) || 0,
             logs: []
         };
         
@@ -173,9 +499,13 @@ class DockerManager {
         
         console.log(`Starting container ${container.name}`);
         
-        // In a real implementation, we would run 'docker start'
-        // For simulation purposes, we'll just update the status
-        container.status = 'running';
+        if (this.client) {
+            await this.client.startContainer(container.id);
+            await this.refreshContainer(container.id);
+        } else {
+            // For simulation purposes, we'll just update the status
+            container.status = 'running';
+        }
         
         // Trigger container started event
         this.triggerEvent('containerStarted', container);
@@ -197,9 +527,13 @@ class DockerManager {
         
         console.log(`Stopping container ${container.name}`);
         
-        // In a real implementation, we would run 'docker stop'
-        // For simulation purposes, we'll just update the status
-        container.status = 'exited';
+        if (this.client) {
+            await this.client.stopContainer(container.id);
+            await this.refreshContainer(container.id);
+        } else {
+            // For simulation purposes, we'll just update the status
+            container.status = 'exited';
+        }
         
         // Trigger container stopped event
         this.triggerEvent('containerStopped', container);
@@ -221,14 +555,18 @@ class DockerManager {
         
         console.log(`Restarting container ${container.name}`);
         
-        // In a real implementation, we would run 'docker restart'
-        // For simulation purposes, we'll just update the status
-        container.status = 'restarting';
-        
-        // Simulate restart delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        container.status = 'running';
+        if (this.client) {
+            await this.client.restartContainer(container.id);
+            await this.refreshContainer(container.id);
+        } else {
+            // For simulation purposes, we'll just update the status
+            container.status = 'restarting';
+            
+            // Simulate restart delay
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            
+            container.status = 'running';
+        }
         
         // Trigger container restarted event
         this.triggerEvent('containerRestarted', container);
@@ -242,19 +580,20 @@ class DockerManager {
      * @returns {Promise<boolean>} Whether the container was removed
      */
     async removeContainer(containerId) {
-        const containerIndex = this.containers.findIndex(c => c.id === containerId || c.name === containerId);
+        const container = this.getContainerById(containerId);
         
-        if (containerIndex === -1) {
+        if (!container) {
             throw new Error(`Container ${containerId} not found`);
         }
         
-        const container = this.containers[containerIndex];
-        
         console.log(`Removing container ${container.name}`);
         
-        // In a real implementation, we would run 'docker rm'
-        // For simulation purposes, we'll just remove it from the list
-        this.containers.splice(containerIndex, 1);
+        if (this.client) {
+            await this.client.removeContainer(container.id);
+        }
+        
+        // The destroy event finds the container already gone, so this is the only containerRemoved
+        this.containers.splice(this.containers.indexOf(container), 1);
         
         // Trigger container removed event
         this.triggerEvent('containerRemoved', container);
@@ -277,9 +616,15 @@ class DockerManager {
         
         console.log(`Getting logs for container ${container.name}`);
         
-        // In a real implementation, we would run 'docker logs'
-        // For simulation purposes, we'll generate some sample logs
         const logCount = options.lines || 10;
+        
+        if (this.client) {
+            const lines = await this.client.getContainerLogs(container.id, { tail: logCount, timestamps: true });
+            container.logs = lines.map(line => this.toLogEntry(line));
+            return container.logs;
+        }
+        
+        // For simulation purposes, we'll generate some sample logs
         const logs = [];
         
         for (let i = 0; i < logCount; i++) {
@@ -296,24 +641,84 @@ class DockerManager {
         return logs;
     }
 
+    /**
+     * Convert a log line from the Docker Engine API to a log entry
+     * @param {Object} line Log line ({ stream, text }) with a leading timestamp
+     * @returns {Object} Log entry ({ timestamp, message, level, stream })
+     */
+    toLogEntry(line) {
+        const match = line.text.match(/^(\d{4}-\d{2}-\d{2}T\S+)\s?(.*)$/);
+        const message = match ? match[2] : line.text;
+        
+        let level = 'info';
+        if (/\b(?:error|fatal|exception)\b/i.test(message)) {
+            level = 'error';
+        } else if (/\bwarn(?:ing)?\b/i.test(message)) {
+            level = 'warning';
+        }
+        
+        return {
+            timestamp: match ? match[1] : new Date().toISOString(),
+            message,
+            level,
+            stream: line.stream
+        };
+    }
+
+    /**
+     * Get the resource usage of a running container
+     * @param {string} containerId Container ID or name
+     * @returns {Promise<Object>} Usage (see DockerApi.summarizeStats)
+     */
+    async getContainerStats(containerId) {
+        const container = this.getContainerById(containerId);
+        
+        if (!container) {
+            throw new Error(`Container ${containerId} not found`);
+        }
+        if (!this.client) {
+            throw new Error('Container stats need the Docker Engine API');
+        }
+        
+        return window.DockerApi.summarizeStats(await this.client.getContainerStats(container.id));
+    }
+
     /**
      * Build a Docker image from a repository
+     * With a contextPath the image is built from that checkout instead of the remote repository,
+     * using options.dockerfile in place of the repository's Dockerfile when given.
      * @param {string} repoUrl Repository URL
      * @param {string} tag Image tag
-     * @param {Object} options Build options
+     * @param {Object} options Build options ({ buildArgs, onProgress, contextPath, dockerfile })
      * @returns {Promise<Object>} Built image
      */
     async buildImage(repoUrl, tag, options = {}) {
         console.log(`Building Docker image from ${repoUrl} with tag ${tag}`);
         
-        // In a real implementation, we would run 'docker build'
-        // For simulation purposes, we'll just create an image object
+        // Image names are lower case; use the repository name (github.com/org/server.git -> mcp/server)
+        const repository = `mcp/${repoUrl.replace(/\.git$/, '').split('/').pop().toLowerCase().replace(/[^a-z0-9._-]/g, '-')}`;
+        let id = `image${Date.now()}`;
+        
+        if (this.client) {
+            const context = options.contextPath
+                ? window.DockerApi.createBuildContext(options.contextPath, options.dockerfile ? { Dockerfile: options.dockerfile } : {})
+                : undefined;
+            
+            id = await this.client.buildImage({
+                remote: repoUrl,
+                context,
+                tag: `${repository}:${tag}`,
+                buildArgs: options.buildArgs
+            }, options.onProgress) || `${repository}:${tag}`;
+        }
+        
         const image = {
-            id: `image${Date.now()}`,
+            id,
             tag,
-            repository: repoUrl,
-            created: new Date().toISOString(),
-            size: '250MB'
+            repository,
+            source: repoUrl,
+            generatedDockerfile: Boolean(options.dockerfile),
+            created: new Date().toISOString()
         };
         
         // Trigger image built event
@@ -322,8 +727,51 @@ class DockerManager {
         return image;
     }
 
+    /**
+     * Generate a Dockerfile for a checkout that does not have one
+     * @param {string} checkoutPath Repository checkout
+     * @returns {Promise<Object|null>} Generated file and the analysis it is based on
+     *   ({ dockerfile, analysis }), or null if the repository has a Dockerfile
+     */
+    async prepareDockerfile(checkoutPath) {
+        if (!window.AiInstallerAnalysis || !window.DockerfileGenerator) {
+            throw new Error('Repository analysis is not available');
+        }
+        
+        const files = await window.AiInstallerAnalysis.readRepositoryFiles(checkoutPath);
+        const analysis = window.AiInstallerAnalysis.buildAnalysis(files);
+        
+        if (analysis.hasDockerfile) {
+            return null;
+        }
+        
+        return {
+            dockerfile: window.DockerfileGenerator.generateDockerfile(analysis, files.rootFiles),
+            analysis
+        };
+    }
+
+    /**
+     * Shallow clone a repository into the temp directory
+     * @param {string} repoUrl Repository URL
+     * @returns {Promise<string>} Checkout path
+     */
+    async cloneRepository(repoUrl) {
+        const tempDir = await window.electronAPI.getTempDir();
+        const checkoutPath = `${tempDir}/mcp-docker-build-${Date.now()}`;
+        
+        await window.CommandRunner.run('git', ['clone', '--depth=1', repoUrl, checkoutPath], {
+            timeout: REPOSITORY_CLONE_TIMEOUT
+        });
+        
+        return checkoutPath;
+    }
+
     /**
      * Install an MCP server as a Docker container
+     * In the desktop app the repository is cloned first; when it has no Dockerfile one is
+     * generated and passed to options.reviewDockerfile(dockerfile, analysis), which returns
+     * the (edited) file to build with, or null to cancel.
      * @param {string} repoUrl Repository URL
      * @param {Object} options Installation options
      * @returns {Promise<Object>} Created container
@@ -355,8 +803,9 @@ class DockerManager {
             }
             
             // Build the Docker image
-            log('Building Docker image...');
-            const image = await this.buildImage(repoUrl, tag, { buildArgs });
+            const image = this.client
+                ? await this.buildImageFromCheckout(repoUrl, tag, { buildArgs, log, reviewDockerfile: options.reviewDockerfile })
+                : await this.buildImage(repoUrl, tag, { buildArgs, onProgress: log });
             
             // Create the container
             log('Creating Docker container...');
@@ -365,7 +814,8 @@ class DockerManager {
                 image: `${image.repository}:${image.tag}`,
                 ports,
                 volumes,
-                environment
+                environment,
+                openStdin: true
             });
             
             // Start the container if autoStart is true
@@ -390,13 +840,59 @@ class DockerManager {
         }
     }
 
+    /**
+     * Clone a repository and build its image, generating a Dockerfile if it has none
+     * @param {string} repoUrl Repository URL
+     * @param {string} tag Image tag
+     * @param {Object} options Options ({ buildArgs, log, reviewDockerfile })
+     * @returns {Promise<Object>} Built image
+     * @private
+     */
+    async buildImageFromCheckout(repoUrl, tag, options) {
+        const { log } = options;
+        
+        log('Cloning repository...');
+        const checkoutPath = await this.cloneRepository(repoUrl);
+        
+        try {
+            let dockerfile = null;
+            const generated = await this.prepareDockerfile(checkoutPath);
+            
+            if (generated) {
+                log('The repository has no Dockerfile, generated one from its project files');
+                dockerfile = options.reviewDockerfile
+                    ? await options.reviewDockerfile(generated.dockerfile, generated.analysis)
+                    : generated.dockerfile;
+                
+                if (!dockerfile) {
+                    throw new Error('Installation cancelled: the generated Dockerfile was not accepted');
+                }
+            }
+            
+            log('Building Docker image...');
+            return await this.buildImage(repoUrl, tag, {
+                buildArgs: options.buildArgs,
+                onProgress: log,
+                contextPath: checkoutPath,
+                dockerfile
+            });
+        } finally {
+            if (window.electronAPI.deleteDirectory) {
+                await window.electronAPI.deleteDirectory(checkoutPath).catch(error => {
+                    console.error(`Error removing build checkout ${checkoutPath}:`, error);
+                });
+            }
+        }
+    }
+
     /**
      * Get a container by ID or name
      * @param {string} containerId Container ID or name
      * @returns {Object} Container
      */
     getContainerById(containerId) {
-        return this.containers.find(c => c.id === containerId || c.name === containerId);
+        return this.containers.find(c => c.id === containerId || c.name === containerId
+            || (containerId.length >= 12 && c.id.startsWith(containerId)));
     }
 
     /**
@@ -1,6 +1,9 @@
 /**
  * Docker UI - Handles UI interactions for Docker container management
  */
+
+// Resolves the Dockerfile review of the build from repository modal (with the file, or null to cancel)
+let resolveDockerfileReview = null;
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize Docker UI
     initDockerUI();
@@ -132,6 +135,47 @@ function addDockerEventListeners() {
             addEnvironmentVariableField();
         });
     }
+    
+    // Build from repository button and modal
+    const buildFromRepoBtn = document.getElementById('buildFromRepoBtn');
+    if (buildFromRepoBtn) {
+        buildFromRepoBtn.addEventListener('click', function() {
+            showBuildFromRepoModal();
+        });
+    }
+    
+    const buildFromRepoForm = document.getElementById('buildFromRepoForm');
+    if (buildFromRepoForm) {
+        buildFromRepoForm.addEventListener('submit', function(event) {
+            event.preventDefault();
+            handleBuildFromRepo();
+        });
+    }
+    
+    ['closeBuildFromRepoBtn', 'cancelBuildFromRepoBtn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', function() {
+                hideBuildFromRepoModal();
+            });
+        }
+    });
+    
+    const acceptDockerfileBtn = document.getElementById('acceptDockerfileBtn');
+    if (acceptDockerfileBtn) {
+        acceptDockerfileBtn.addEventListener('click', function() {
+            finishDockerfileReview(document.getElementById('dockerfileReview').value);
+        });
+    }
+    
+    // Container settings form (config tab of the container details)
+    const containerSettingsForm = document.getElementById('containerSettingsForm');
+    if (containerSettingsForm) {
+        containerSettingsForm.addEventListener('submit', function(event) {
+            event.preventDefault();
+            handleUpdateContainerSettings();
+        });
+    }
 }
 
 /**
@@ -145,6 +189,11 @@ function setupDockerEventListeners() {
         updateContainerStatus(container);
     });
     
+    // Container health changed
+    window.dockerManager.on('containerHealthChanged', function(container) {
+        updateContainerHealth(container);
+    });
+    
     // Container created
     window.dockerManager.on('containerCreated', function(container) {
         updateContainerList();
@@ -243,6 +292,7 @@ function createContainerListItem(container) {
             <div class="container-name">${container.name}</div>
             <div class="container-image">${container.image}</div>
             <div class="container-status ${statusClass}">${container.status}</div>
+            <div class="container-health ${getContainerHealthClass(container.health)}"${container.health ? '' : ' style="display: none;"'}>${container.health || ''}</div>
         </div>
         <div class="container-actions">
             <button class="btn btn-sm container-action-btn" data-action="details" title="View Details">
@@ -292,6 +342,42 @@ function getContainerStatusClass(status) {
     }
 }
 
+/**
+ * Get container health CSS class
+ * @param {string|null} health - Healthcheck result (starting, healthy, unhealthy), null without healthcheck
+ * @returns {string} CSS class
+ */
+function getContainerHealthClass(health) {
+    switch (health) {
+        case 'healthy':
+            return 'status-success';
+        case 'unhealthy':
+            return 'status-error';
+        case 'starting':
+            return 'status-warning';
+        default:
+            return 'status-info';
+    }
+}
+
+/**
+ * Update container health in the UI
+ * @param {Object} container - Container object
+ */
+function updateContainerHealth(container) {
+    const healthElement = document.querySelector(`.container-item[data-id="${container.id}"] .container-health`);
+    if (healthElement) {
+        healthElement.textContent = container.health || '';
+        healthElement.className = `container-health ${getContainerHealthClass(container.health)}`;
+        healthElement.style.display = container.health ? '' : 'none';
+    }
+    
+    const containerDetailsPanel = document.getElementById('containerDetailsPanel');
+    if (containerDetailsPanel && containerDetailsPanel.dataset.containerId === container.id) {
+        updateContainerDetails(container);
+    }
+}
+
 /**
  * Update container status in the UI
  * @param {Object} container - Container object
@@ -327,34 +413,34 @@ function updateContainerStatus(container) {
         // Add appropriate buttons based on status
         if (container.status === 'running') {
             // Add stop and restart buttons
-            const stopBtn = document.createElement('button');
-            stopBtn.className = 'btn btn-sm container-action-btn';
-            stopBtn.dataset.action = 'stop';
-            stopBtn.title = 'Stop Container';
-            stopBtn.innerHTML = '<i class="fas fa-stop"></i>';
+            const newStopBtn = document.createElement('button');
+            newStopBtn.className = 'btn btn-sm container-action-btn';
+            newStopBtn.dataset.action = 'stop';
+            newStopBtn.title = 'Stop Container';
+            newStopBtn.innerHTML = '<i class="fas fa-stop"></i>';
             
-            const restartBtn = document.createElement('button');
-            restartBtn.className = 'btn btn-sm container-action-btn';
-            restartBtn.dataset.action = 'restart';
-            restartBtn.title = 'Restart Container';
-            restartBtn.innerHTML = '<i class="fas fa-sync"></i>';
+            const newRestartBtn = document.createElement('button');
+            newRestartBtn.className = 'btn btn-sm container-action-btn';
+            newRestartBtn.dataset.action = 'restart';
+            newRestartBtn.title = 'Restart Container';
+            newRestartBtn.innerHTML = '<i class="fas fa-sync"></i>';
             
             // Insert after details button
             if (detailsBtn) {
-                detailsBtn.insertAdjacentElement('afterend', stopBtn);
-                stopBtn.insertAdjacentElement('afterend', restartBtn);
+                detailsBtn.insertAdjacentElement('afterend', newStopBtn);
+                newStopBtn.insertAdjacentElement('afterend', newRestartBtn);
             }
         } else {
             // Add start button
-            const startBtn = document.createElement('button');
-            startBtn.className = 'btn btn-sm container-action-btn';
-            startBtn.dataset.action = 'start';
-            startBtn.title = 'Start Container';
-            startBtn.innerHTML = '<i class="fas fa-play"></i>';
+            const newStartBtn = document.createElement('button');
+            newStartBtn.className = 'btn btn-sm container-action-btn';
+            newStartBtn.dataset.action = 'start';
+            newStartBtn.title = 'Start Container';
+            newStartBtn.innerHTML = '<i class="fas fa-play"></i>';
             
             // Insert after details button
             if (detailsBtn) {
-                detailsBtn.insertAdjacentElement('afterend', startBtn);
+                detailsBtn.insertAdjacentElement('afterend', newStartBtn);
             }
         }
     }
@@ -408,11 +494,16 @@ async function showContainerDetails(containerId) {
     if (!window.dockerManager) return;
     
     try {
-        const container = window.dockerManager.getContainerById(containerId);
+        let container = window.dockerManager.getContainerById(containerId);
         if (!container) {
             throw new Error(`Container ${containerId} not found`);
         }
         
+        // The container list does not include restart and resource settings
+        if (window.dockerManager.client) {
+            container = await window.dockerManager.refreshContainer(container.id) || container;
+        }
+        
         // Update container details
         updateContainerDetails(container);
         
@@ -438,6 +529,11 @@ async function showContainerDetails(containerId) {
  * @param {Object} container - Container object
  */
 function updateContainerDetails(container) {
+    const containerDetailsPanel = document.getElementById('containerDetailsPanel');
+    if (containerDetailsPanel) {
+        containerDetailsPanel.dataset.containerId = container.id;
+    }
+    
     // Container name
     const containerNameElement = document.getElementById('containerDetailsName');
     if (containerNameElement) {
@@ -531,6 +627,104 @@ function updateContainerDetails(container) {
             containerEnvElement.textContent = 'No environment variables set';
         }
     }
+    
+    // Container health and healthcheck
+    const containerHealthElement = document.getElementById('containerDetailsHealth');
+    if (containerHealthElement) {
+        containerHealthElement.textContent = container.health || 'No healthcheck';
+        containerHealthElement.className = getContainerHealthClass(container.health);
+    }
+    
+    const containerHealthcheckElement = document.getElementById('containerDetailsHealthcheck');
+    if (containerHealthcheckElement) {
+        const healthcheck = container.healthcheck;
+        if (healthcheck) {
+            const timing = [
+                healthcheck.interval ? `every ${healthcheck.interval}s` : null,
+                healthcheck.retries ? `${healthcheck.retries} retries` : null
+            ].filter(Boolean);
+            containerHealthcheckElement.textContent = `${healthcheck.test}${timing.length > 0 ? ` (${timing.join(', ')})` : ''}`;
+        } else {
+            containerHealthcheckElement.textContent = 'None';
+        }
+    }
+    
+    // Container restart policy and resource limits
+    const containerRestartPolicyElement = document.getElementById('containerDetailsRestartPolicy');
+    if (containerRestartPolicyElement) {
+        containerRestartPolicyElement.textContent = container.restartPolicy
+            ? `${container.restartPolicy}${container.restartCount ? ` (restarted ${container.restartCount} times)` : ''}`
+            : '-';
+    }
+    
+    const containerLimitsElement = document.getElementById('containerDetailsLimits');
+    if (containerLimitsElement) {
+        containerLimitsElement.textContent = formatContainerLimits(container);
+    }
+    
+    // Container settings form
+    const restartPolicySelect = document.getElementById('containerSettingsRestartPolicy');
+    if (restartPolicySelect && container.restartPolicy) {
+        if (![...restartPolicySelect.options].some(option => option.value === container.restartPolicy)) {
+            restartPolicySelect.add(new Option(container.restartPolicy, container.restartPolicy));
+        }
+        restartPolicySelect.value = container.restartPolicy;
+    }
+    
+    const memoryInput = document.getElementById('containerSettingsMemory');
+    if (memoryInput) {
+        memoryInput.value = container.memoryLimit ? `${Math.round(container.memoryLimit / (1024 * 1024))}m` : '';
+    }
+    
+    const cpuInput = document.getElementById('containerSettingsCpu');
+    if (cpuInput) {
+        cpuInput.value = container.cpuLimit || '';
+    }
+}
+
+/**
+ * Describe the resource limits of a container
+ * @param {Object} container - Container object
+ * @returns {string} Limits, e.g. "512 MiB memory, 1.5 CPUs"
+ */
+function formatContainerLimits(container) {
+    const limits = [];
+    
+    if (container.memoryLimit) {
+        const mebibytes = container.memoryLimit / (1024 * 1024);
+        limits.push(mebibytes >= 1024 ? `${+(mebibytes / 1024).toFixed(2)} GiB memory` : `${Math.round(mebibytes)} MiB memory`);
+    }
+    if (container.cpuLimit) {
+        limits.push(`${container.cpuLimit} CPU${container.cpuLimit === 1 ? '' : 's'}`);
+    }
+    
+    return limits.length > 0 ? limits.join(', ') : 'None';
+}
+
+/**
+ * Handle container settings form submission
+ */
+async function handleUpdateContainerSettings() {
+    if (!window.dockerManager) return;
+    
+    const containerId = document.getElementById('containerDetailsPanel').dataset.containerId;
+    if (!containerId) return;
+    
+    try {
+        const container = await window.dockerManager.updateContainerSettings(containerId, {
+            restartPolicy: document.getElementById('containerSettingsRestartPolicy').value,
+            memoryLimit: document.getElementById('containerSettingsMemory').value.trim(),
+            cpuLimit: document.getElementById('containerSettingsCpu').value
+        });
+        
+        if (container) {
+            updateContainerDetails(container);
+        }
+        showSuccessNotification('Container settings updated');
+    } catch (error) {
+        console.error('Error updating container settings:', error);
+        showErrorNotification(`Error: ${error.message}`);
+    }
 }
 
 /**
@@ -771,6 +965,9 @@ async function handleCreateContainer() {
         const name = document.getElementById('containerName').value;
         const image = document.getElementById('containerImage').value;
         const autoStart = document.getElementById('containerAutoStart').checked;
+        const restartPolicy = document.getElementById('containerRestartPolicy').value;
+        const memoryLimit = document.getElementById('containerMemoryLimit').value.trim();
+        const cpuLimit = document.getElementById('containerCpuLimit').value;
         
         // Validate required fields
         if (!name || !image) {
@@ -811,13 +1008,27 @@ async function handleCreateContainer() {
             }
         });
         
+        // Get healthcheck
+        const healthcheckCommand = document.getElementById('containerHealthcheck').value.trim();
+        const healthcheck = healthcheckCommand
+            ? {
+                test: healthcheckCommand,
+                interval: document.getElementById('containerHealthInterval').value,
+                retries: document.getElementById('containerHealthRetries').value
+            }
+            : null;
+        
         // Create container
         const result = await window.dockerManager.createContainer({
             name,
             image,
             ports: portMappings,
             volumes: volumeMappings,
-            environment: environmentVariables
+            environment: environmentVariables,
+            restartPolicy,
+            healthcheck,
+            memoryLimit,
+            cpuLimit
         });
         
         // Start container if autoStart is checked
@@ -847,6 +1058,100 @@ async function handleCreateContainer() {
     }
 }
 
+/**
+ * Show build from repository modal
+ */
+function showBuildFromRepoModal() {
+    document.getElementById('buildFromRepoForm').reset();
+    document.getElementById('dockerfileReviewSection').style.display = 'none';
+    document.getElementById('acceptDockerfileBtn').style.display = 'none';
+    document.getElementById('startBuildFromRepoBtn').disabled = false;
+    
+    const buildLog = document.getElementById('buildFromRepoLog');
+    buildLog.textContent = '';
+    buildLog.style.display = 'none';
+    
+    document.getElementById('buildFromRepoModal').style.display = 'block';
+}
+
+/**
+ * Hide build from repository modal
+ * A Dockerfile review that is still open is cancelled.
+ */
+function hideBuildFromRepoModal() {
+    finishDockerfileReview(null);
+    document.getElementById('buildFromRepoModal').style.display = 'none';
+}
+
+/**
+ * Handle build from repository form submission
+ */
+async function handleBuildFromRepo() {
+    if (!window.dockerManager) return;
+    
+    const repoUrl = document.getElementById('buildRepoUrl').value.trim();
+    const name = document.getElementById('buildContainerName').value.trim();
+    
+    if (!repoUrl) {
+        showErrorNotification('Repository URL is required');
+        return;
+    }
+    
+    const buildLog = document.getElementById('buildFromRepoLog');
+    buildLog.textContent = '';
+    buildLog.style.display = 'block';
+    document.getElementById('startBuildFromRepoBtn').disabled = true;
+    
+    const result = await window.dockerManager.installMcpServer(repoUrl, {
+        ...(name ? { name } : {}),
+        ports: [],
+        logCallback: message => {
+            buildLog.textContent += `${message}\n`;
+            buildLog.scrollTop = buildLog.scrollHeight;
+        },
+        reviewDockerfile: reviewGeneratedDockerfile
+    });
+    
+    document.getElementById('startBuildFromRepoBtn').disabled = false;
+    
+    if (result.success) {
+        showSuccessNotification(`Container ${result.container.name} created from ${result.image.repository}`);
+        hideBuildFromRepoModal();
+        updateContainerList();
+    } else {
+        showErrorNotification(`Error: ${result.error}`);
+    }
+}
+
+/**
+ * Show a generated Dockerfile for review
+ * @param {string} dockerfile - Generated Dockerfile
+ * @returns {Promise<string|null>} Dockerfile as accepted, or null if the build was cancelled
+ */
+function reviewGeneratedDockerfile(dockerfile) {
+    document.getElementById('dockerfileReview').value = dockerfile;
+    document.getElementById('dockerfileReviewSection').style.display = 'block';
+    document.getElementById('acceptDockerfileBtn').style.display = '';
+    
+    return new Promise(resolve => {
+        resolveDockerfileReview = resolve;
+    });
+}
+
+/**
+ * End the Dockerfile review of the build from repository modal
+ * @param {string|null} dockerfile - Accepted Dockerfile, or null to cancel the build
+ */
+function finishDockerfileReview(dockerfile) {
+    if (!resolveDockerfileReview) return;
+    
+    const resolve = resolveDockerfileReview;
+    resolveDockerfileReview = null;
+    document.getElementById('dockerfileReviewSection').style.display = 'none';
+    document.getElementById('acceptDockerfileBtn').style.display = 'none';
+    resolve(dockerfile && dockerfile.trim() ? dockerfile : null);
+}
+
 /**
  * Show success notification
  * @param {string} message - Notification message
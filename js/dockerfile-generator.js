@@ -0,0 +1,353 @@
+/**
+ * Dockerfile Generator - Writes a Dockerfile for Node.js and Python MCP servers that
+ * do not ship one, from the repository analysis (see ai-installer-analysis.js)
+ * Generated files use a multi-stage build, run as a non-root user and start the
+ * server over stdio. They are shown for review before the image is built.
+ */
+
+// Base image versions to choose from, newest first
+const NODE_IMAGE_VERSIONS = [24, 22, 20, 18];
+const PYTHON_IMAGE_VERSIONS = ['3.13', '3.12', '3.11', '3.10', '3.9'];
+
+// Used when the project does not state a version, or no listed version satisfies it
+const DEFAULT_NODE_VERSION = 22;
+const DEFAULT_PYTHON_VERSION = '3.12';
+
+// User the Python image runs as (the Node.js images come with a "node" user)
+const PYTHON_IMAGE_USER = 'mcp';
+const PYTHON_IMAGE_UID = 10001;
+
+/**
+ * Generate a Dockerfile for a repository
+ * @param {Object} analysis - Repository analysis ({ language, bin, scripts, engines, startCommand, packageName })
+ * @param {Array<string>} [rootFiles=[]] - Files in the repository root, used to detect lock files
+ * @returns {string} Dockerfile content
+ * @throws {Error} If the language is not supported or no start command is known
+ */
+function generateDockerfile(analysis, rootFiles = []) {
+    if (analysis.language === 'JavaScript' || analysis.language === 'TypeScript') {
+        return generateNodeDockerfile(analysis, rootFiles);
+    }
+
+    if (analysis.language === 'Python') {
+        return generatePythonDockerfile(analysis, rootFiles);
+    }
+
+    throw new Error(`Cannot generate a Dockerfile for ${analysis.language || 'unknown'} projects`);
+}
+
+/**
+ * Generate a Dockerfile for a Node.js project
+ * @param {Object} analysis - Repository analysis
+ * @param {Array<string>} rootFiles - Files in the repository root
+ * @returns {string} Dockerfile content
+ * @private
+ */
+function generateNodeDockerfile(analysis, rootFiles) {
+    const engines = analysis.engines || {};
+    const image = `node:${selectNodeVersion(engines.node)}-alpine`;
+    const entrypoint = getNodeEntrypoint(analysis);
+    const hasLockFile = rootFiles.includes('package-lock.json') || rootFiles.includes('npm-shrinkwrap.json');
+    const hasBuild = Boolean((analysis.scripts || {}).build);
+
+    return joinDockerfile([
+        ...dockerfileHeader(analysis),
+        `FROM ${image} AS build`,
+        'WORKDIR /app',
+        'COPY package*.json ./',
+        // Lifecycle scripts such as "prepare" need the sources, which are not copied yet
+        `RUN ${hasLockFile ? 'npm ci' : 'npm install'} --ignore-scripts`,
+        'COPY . .',
+        ...(hasBuild ? ['RUN npm run build'] : []),
+        'RUN npm prune --omit=dev',
+        '',
+        `FROM ${image}`,
+        'ENV NODE_ENV=production',
+        'WORKDIR /app',
+        'COPY --from=build --chown=node:node /app /app',
+        'USER node',
+        `ENTRYPOINT ${JSON.stringify(entrypoint)}`
+    ]);
+}
+
+/**
+ * Generate a Dockerfile for a Python project
+ * uv projects are installed from uv.lock; other projects get a virtual environment
+ * from requirements.txt and/or the project itself.
+ * @param {Object} analysis - Repository analysis
+ * @param {Array<string>} rootFiles - Files in the repository root
+ * @returns {string} Dockerfile content
+ * @private
+ */
+function generatePythonDockerfile(analysis, rootFiles) {
+    const engines = analysis.engines || {};
+    const version = selectPythonVersion(engines.python);
+    const entrypoint = getPythonEntrypoint(analysis);
+    const usesUv = rootFiles.includes('uv.lock');
+
+    const build = usesUv
+        ? [
+            `FROM ghcr.io/astral-sh/uv:python${version}-bookworm-slim AS build`,
+            'ENV UV_COMPILE_BYTECODE=1 UV_LINK_MODE=copy UV_PROJECT_ENVIRONMENT=/opt/venv',
+            'WORKDIR /app',
+            'COPY pyproject.toml uv.lock ./',
+            'RUN uv sync --frozen --no-dev --no-install-project',
+            'COPY . .',
+            'RUN uv sync --frozen --no-dev'
+        ]
+        : [
+            `FROM python:${version}-slim AS build`,
+            'RUN python -m venv /opt/venv',
+            'ENV PATH="/opt/venv/bin:$PATH" PIP_NO_CACHE_DIR=1',
+            'WORKDIR /app',
+            ...(rootFiles.includes('requirements.txt')
+                ? ['COPY requirements.txt ./', 'RUN pip install -r requirements.txt']
+                : []),
+            'COPY . .',
+            ...(rootFiles.includes('pyproject.toml') || rootFiles.includes('setup.py')
+                ? ['RUN pip install .']
+                : [])
+        ];
+
+    return joinDockerfile([
+        ...dockerfileHeader(analysis),
+        ...build,
+        '',
+        `FROM python:${version}-slim${usesUv ? '-bookworm' : ''}`,
+        `RUN useradd --system --uid ${PYTHON_IMAGE_UID} --no-create-home ${PYTHON_IMAGE_USER}`,
+        'ENV PATH="/opt/venv/bin:$PATH" PYTHONUNBUFFERED=1',
+        'WORKDIR /app',
+        'COPY --from=build /opt/venv /opt/venv',
+        `COPY --from=build --chown=${PYTHON_IMAGE_USER} /app /app`,
+        `USER ${PYTHON_IMAGE_USER}`,
+        `ENTRYPOINT ${JSON.stringify(entrypoint)}`
+    ]);
+}
+
+/**
+ * Get the comment lines at the top of a generated Dockerfile
+ * @param {Object} analysis - Repository analysis
+ * @returns {Array<string>} Lines
+ * @private
+ */
+function dockerfileHeader(analysis) {
+    const source = analysis.language === 'Python' ? 'the Python project files' : 'package.json';
+    return [
+        `# Generated from ${source}${analysis.packageName ? ` of ${analysis.packageName}` : ''}`,
+        '# The repository has no Dockerfile; review this one before building',
+        ''
+    ];
+}
+
+/**
+ * Join Dockerfile lines
+ * @param {Array<string>} lines - Lines
+ * @returns {string} Dockerfile content
+ * @private
+ */
+function joinDockerfile(lines) {
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Work out how to start a Node.js server
+ * The bin script is what npx would run; "npm start" is resolved to its node command
+ * so the server gets signals and stdin directly.
+ * @param {Object} analysis - Repository analysis
+ * @returns {Array<string>} Entrypoint
+ * @throws {Error} If no start command is known
+ * @private
+ */
+function getNodeEntrypoint(analysis) {
+    const binPaths = Object.values(analysis.bin || {});
+    if (binPaths.length > 0) {
+        return ['node', binPaths[0]];
+    }
+
+    let command = analysis.startCommand;
+    if (command === 'npm start') {
+        const start = (analysis.scripts || {}).start || '';
+        command = /^node\s/.test(start) && !/[;&|<>$`]/.test(start) ? start : null;
+        if (!command) {
+            return ['npm', 'start'];
+        }
+    }
+
+    if (!command) {
+        throw new Error('No start command found in package.json');
+    }
+    return command.trim().split(/\s+/);
+}
+
+/**
+ * Work out how to start a Python server
+ * Console scripts are installed into the virtual environment, so they run without "uv run".
+ * @param {Object} analysis - Repository analysis
+ * @returns {Array<string>} Entrypoint
+ * @throws {Error} If no start command is known
+ * @private
+ */
+function getPythonEntrypoint(analysis) {
+    const scriptNames = Object.keys(analysis.bin || {});
+    if (scriptNames.length > 0) {
+        return [scriptNames[0]];
+    }
+
+    if (!analysis.startCommand) {
+        throw new Error('No console script or server.py/main.py/app.py found to start the server');
+    }
+    return analysis.startCommand.replace(/^uv run\s+/, '').trim().split(/\s+/);
+}
+
+/**
+ * Choose the Node.js image version for an engines.node range such as ">=18" or "^20.11"
+ * @param {string} [range] - Version range
+ * @returns {number} Newest listed major version that satisfies the range
+ */
+function selectNodeVersion(range) {
+    if (!range) {
+        return DEFAULT_NODE_VERSION;
+    }
+
+    const version = NODE_IMAGE_VERSIONS.find(major => satisfiesRange([major, 0], range, parseNodeComparator));
+    return version || DEFAULT_NODE_VERSION;
+}
+
+/**
+ * Choose the Python image version for requires-python such as ">=3.10,<3.13" or "^3.11"
+ * @param {string} [range] - Version specifier
+ * @returns {string} Newest listed version that satisfies the specifier
+ */
+function selectPythonVersion(range) {
+    if (!range) {
+        return DEFAULT_PYTHON_VERSION;
+    }
+
+    const version = PYTHON_IMAGE_VERSIONS.find(candidate => {
+        const [major, minor] = candidate.split('.').map(Number);
+        return satisfiesRange([major, minor], range, parsePythonComparator);
+    });
+    return version || DEFAULT_PYTHON_VERSION;
+}
+
+/**
+ * Check a [major, minor] version against a range of alternatives (||) of comparators
+ * Only major and minor are compared; images track the newest patch release.
+ * @param {Array<number>} version - Version
+ * @param {string} range - Range
+ * @param {Function} parseComparator - Turns one comparator into a test of [major, minor]
+ * @returns {boolean} True if the version satisfies the range
+ * @private
+ */
+function satisfiesRange(version, range, parseComparator) {
+    return range.split('||').some(alternative => {
+        const comparators = alternative.split(/[\s,]+/).filter(Boolean);
+        return comparators.every(comparator => {
+            const test = parseComparator(comparator);
+            return !test || test(version);
+        });
+    });
+}
+
+/**
+ * Parse a version into [major, minor], treating x and * as absent
+ * @param {string} text - Version such as "20", "3.11" or "18.x"
+ * @returns {Array<number>|null} Major and minor (minor is null when absent), or null if unparseable
+ * @private
+ */
+function parseVersionParts(text) {
+    const match = text.match(/^v?(\d+)(?:\.(\d+|x|\*))?/i);
+    if (!match) {
+        return null;
+    }
+    return [Number(match[1]), /^\d+$/.test(match[2] || '') ? Number(match[2]) : null];
+}
+
+/**
+ * Compare [major, minor] versions
+ * @param {Array<number>} a - Version
+ * @param {Array<number>} b - Version; a null minor compares equal to any minor
+ * @returns {number} Negative, zero or positive
+ * @private
+ */
+function compareVersionParts(a, b) {
+    if (a[0] !== b[0]) {
+        return a[0] - b[0];
+    }
+    return b[1] === null ? 0 : a[1] - b[1];
+}
+
+/**
+ * Parse a comparator of an npm range
+ * @param {string} comparator - Comparator such as ">=18", "^20.11" or "20.x"
+ * @returns {Function|null} Test of [major, minor], or null to ignore the comparator
+ * @private
+ */
+function parseNodeComparator(comparator) {
+    const match = comparator.match(/^(>=|<=|>|<|\^|~|=)?(.*)$/);
+    const bound = parseVersionParts(match[2]);
+    if (!bound) {
+        return null;
+    }
+
+    switch (match[1]) {
+        case '>=':
+            return version => compareVersionParts(version, bound) >= 0;
+        case '>':
+            // ">18" allows 18.1; only ">18.x" style bounds exclude the whole major
+            return version => (bound[1] === null ? version[0] > bound[0] : compareVersionParts(version, bound) >= 0);
+        case '<=':
+            return version => version[0] <= bound[0];
+        case '<':
+            return version => (bound[1] ? version[0] <= bound[0] : version[0] < bound[0]);
+        default:
+            // ^, ~, = and bare versions pin the major version
+            return version => version[0] === bound[0];
+    }
+}
+
+/**
+ * Parse a PEP 440 (or Poetry) Python version specifier
+ * @param {string} comparator - Specifier such as ">=3.10", "~=3.11", "^3.11" or "==3.12.*"
+ * @returns {Function|null} Test of [major, minor], or null to ignore the specifier
+ * @private
+ */
+function parsePythonComparator(comparator) {
+    const match = comparator.match(/^(~=|==|!=|>=|<=|>|<|\^|~)?(.*)$/);
+    const bound = parseVersionParts(match[2]);
+    if (!bound) {
+        return null;
+    }
+    if (bound[1] === null) {
+        bound[1] = 0;
+    }
+    const patch = /^\d+\.\d+\.(\d+)/.test(match[2]);
+
+    switch (match[1]) {
+        case '>=':
+            return version => compareVersionParts(version, bound) >= 0;
+        case '>':
+            return version => compareVersionParts(version, bound) > (patch ? -1 : 0);
+        case '<=':
+            return version => compareVersionParts(version, bound) <= 0;
+        case '<':
+            return version => compareVersionParts(version, bound) < (patch ? 1 : 0);
+        case '!=':
+            return version => patch || compareVersionParts(version, bound) !== 0;
+        case '~=':
+            // ~=3.11 allows later 3.x releases, ~=3.11.2 only later 3.11 releases
+            return version => (patch ? compareVersionParts(version, bound) === 0 : version[0] === bound[0] && version[1] >= bound[1]);
+        case '^':
+            return version => version[0] === bound[0] && version[1] >= bound[1];
+        default:
+            // ==3.12, ==3.12.* and ~3.12 pin the minor version
+            return version => compareVersionParts(version, bound) === 0;
+    }
+}
+
+// Export functions for use in other modules
+window.DockerfileGenerator = {
+    generateDockerfile,
+    selectNodeVersion,
+    selectPythonVersion
+};
@@ -36,6 +36,7 @@ class ErrorHandler {
             'BACKUP_FAILED': 'Backup operation failed. Please check permissions and available space.',
             'RESTORE_FAILED': 'Restore operation failed. The backup may be corrupted or incompatible.',
             'BACKUP_NOT_FOUND': 'Backup not found. It may have been deleted or moved.',
+            'BACKUP_CORRUPTED': 'Backup verification failed. Files are missing or do not match their checksums.',
             
             // Search errors
             'SEARCH_FAILED': 'Search operation failed. Please try again with different keywords.',
@@ -91,6 +91,37 @@ class FileSystemAPI {
         }
     }
 
+    /**
+     * Read file content without decoding it
+     * @param {string} filePath - File path
+     * @returns {Promise<Buffer>} File content
+     */
+    async readBinaryFile(filePath) {
+        try {
+            return await this.readFileAsync(filePath);
+        } catch (error) {
+            console.error(`Error reading file ${filePath}:`, error);
+            throw new Error(`Failed to read file ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write binary file content
+     * @param {string} filePath - File path
+     * @param {Buffer|Uint8Array} content - File content
+     * @returns {Promise<void>}
+     */
+    async writeBinaryFile(filePath, content) {
+        try {
+            await this.createDirectory(this.path.dirname(filePath));
+            await this.writeFileAsync(filePath, content);
+            console.log(`Wrote file: ${filePath}`);
+        } catch (error) {
+            console.error(`Error writing file ${filePath}:`, error);
+            throw new Error(`Failed to write file ${filePath}: ${error.message}`);
+        }
+    }
+
     /**
      * List files in a directory
      * @param {string} dirPath - Directory path
@@ -23,8 +23,9 @@ function getInstallationCommand(methodId, repoUrl, templateId, installPath) {
 /**
  * Install MCP servers based on the selected method
  * @param {string} methodId - The installation method ID
+ * @returns {Promise<boolean>} Whether the installation was successful
  */
-function installMcpServers(methodId) {
+async function installMcpServers(methodId) {
     try {
         // Get the appropriate installation command
         const command = getMcpInstallCommand(methodId);
@@ -32,11 +33,11 @@ function installMcpServers(methodId) {
         // Log the command
         InstallerLogger.logMessage(`Executing: ${command}`, 'info');
         
-        // In a real implementation, this would execute the command
-        // For our simulation, we'll just log the steps
-        logInstallationSteps(methodId);
+        await executeInstallCommand(command, (msg, level) => InstallerLogger.logMessage(msg, level));
+        return true;
     } catch (error) {
         InstallerLogger.logMessage(`Error installing MCP servers: ${error.message}`, 'error');
+        return false;
     }
 }
 
@@ -55,43 +56,6 @@ function getMcpInstallCommand(methodId) {
     return commands[methodId] || commands.npx;
 }
 
-/**
- * Log the installation steps
- * @param {string} methodId - The installation method ID
- */
-function logInstallationSteps(methodId) {
-    // Simulate installation steps
-    const steps = [
-        'Installing @modelcontextprotocol/server-github...',
-        'Installing @modelcontextprotocol/server-redis...',
-        'Installing @modelcontextprotocol/server-time...',
-        'Installing @modelcontextprotocol/server-aws-kb-retrieval...',
-        'Installing @modelcontextprotocol/server-everart...',
-        'Installing @modelcontextprotocol/server-everything...',
-        'Installing @modelcontextprotocol/server-gdrive...',
-        'Installing @modelcontextprotocol/server-git...',
-        'Installing @modelcontextprotocol/server-gitlab...',
-        'Installing @modelcontextprotocol/server-google-maps...',
-        'Installing @modelcontextprotocol/server-postgres...',
-        'Installing @modelcontextprotocol/server-sentry...',
-        'Installing @modelcontextprotocol/server-sequentialthinking...',
-        'Installing @modelcontextprotocol/server-slack...',
-        'Installing @modelcontextprotocol/server-sqlite...'
-    ];
-    
-    // Log each step with a delay
-    steps.forEach((step, index) => {
-        setTimeout(() => {
-            InstallerLogger.logMessage(step, 'info');
-            
-            // Log completion for each step
-            setTimeout(() => {
-                InstallerLogger.logMessage(`${step.replace('Installing', 'Installed')}`, 'success');
-            }, 300);
-        }, index * 600);
-    });
-}
-
 /**
  * Install from a GitHub repository URL
  * @param {string} repoUrl - The repository URL
@@ -115,13 +79,13 @@ async function installFromUrl(repoUrl, options = {}) {
         const methodId = determineMethodId(options);
         
         // Construct the installation command
-        const command = constructInstallCommand(methodId, validatedUrl);
+        const command = constructInstallCommand(methodId, validatedUrl, installPath);
         
         // Log the command
         log(`Executing: ${command}`, 'info');
         
         // Execute the command
-        await executeInstallCommand(command, installPath);
+        await executeInstallCommand(command, log, { signal: options.signal });
         
         // Return success
         return true;
@@ -188,14 +152,15 @@ function determineMethodId(options) {
  * Construct installation command
  * @param {string} methodId - Installation method ID
  * @param {string} gitUrl - Git URL
+ * @param {string} installPath - Installation path
  * @returns {string} Installation command
  */
-function constructInstallCommand(methodId, gitUrl) {
+function constructInstallCommand(methodId, gitUrl, installPath) {
     // Construct the command based on the method
     const commands = {
-        npx: `npx @modelcontextprotocol/mcp-installer --repo=${gitUrl}`,
-        uv: `uv install @modelcontextprotocol/mcp --repo=${gitUrl}`,
-        python: `pip install modelcontextprotocol-mcp --repo=${gitUrl}`
+        npx: `npx @modelcontextprotocol/mcp-installer --repo=${gitUrl} --path="${installPath}"`,
+        uv: `uv install @modelcontextprotocol/mcp --repo=${gitUrl} --path="${installPath}"`,
+        python: `pip install modelcontextprotocol-mcp --repo=${gitUrl} --path="${installPath}"`
     };
     
     return commands[methodId] || commands.npx;
@@ -204,37 +169,31 @@ function constructInstallCommand(methodId, gitUrl) {
 /**
  * Execute installation command
  * @param {string} command - Installation command
- * @param {string} installPath - Installation path
- * @returns {Promise<void>} Promise that resolves when command completes
+ * @param {Function} log - Logging function
+ * @param {Object} options - Extra CommandRunner options (cwd, signal, timeout)
+ * @returns {Promise<Object>} Command result
+ * @throws {Error} If the command fails
  */
-async function executeInstallCommand(command, installPath) {
-    // In a real implementation, this would use runCommandAsync
-    // For our simulation, we'll just log the steps
-    InstallerLogger.logMessage('Starting installation...', 'info');
+async function executeInstallCommand(command, log, options = {}) {
+    log('Starting installation...', 'info');
     
-    // Simulate command execution
-    await new Promise(resolve => {
-        setTimeout(() => {
-            InstallerLogger.logMessage('Cloning repository...', 'info');
-            setTimeout(() => {
-                InstallerLogger.logMessage('Installing dependencies...', 'info');
-                setTimeout(() => {
-                    InstallerLogger.logMessage('Building server...', 'info');
-                    setTimeout(() => {
-                        InstallerLogger.logMessage('Configuring server...', 'info');
-                        setTimeout(() => {
-                            InstallerLogger.logMessage('Starting server...', 'info');
-                            setTimeout(() => {
-                                InstallerLogger.logMessage('Verifying installation...', 'info');
-                                InstallerLogger.logMessage('Installation completed successfully', 'success');
-                                resolve();
-                            }, 1000);
-                        }, 1000);
-                    }, 1000);
-                }, 1000);
-            }, 1000);
-        }, 1000);
+    if (window.CommandRunner.isDryRun()) {
+        log('Dry run: the command is recorded but not executed', 'warning');
+    }
+    
+    // Stream command output into the log as it arrives
+    const logLines = type => chunk => {
+        chunk.split('\n').filter(line => line.trim()).forEach(line => log(line, type));
+    };
+    
+    const result = await window.CommandRunner.runCommand(command, {
+        ...options,
+        onStdout: logLines('info'),
+        onStderr: logLines('warning')
     });
+    
+    log('Installation completed successfully', 'success');
+    return result;
 }
 
 /**
@@ -261,7 +220,6 @@ window.InstallerCommandBuilder = {
     getInstallationCommand,
     installMcpServers,
     getMcpInstallCommand,
-    logInstallationSteps,
     installFromUrl,
     validateAndNormalizeUrl,
     determineInstallPath,
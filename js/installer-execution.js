@@ -6,8 +6,9 @@
 /**
  * Install MCP servers based on the selected method
  * @param {string} methodId - The installation method ID
+ * @returns {Promise<boolean>} Whether the installation was successful
  */
-function installMcpServers(methodId) {
+async function installMcpServers(methodId) {
     try {
         // Get the appropriate installation command
         const command = getMcpInstallCommand(methodId);
@@ -15,11 +16,10 @@ function installMcpServers(methodId) {
         // Log the command
         logMessage(`Executing: ${command}`, 'info');
         
-        // In a real implementation, this would execute the command
-        // For our simulation, we'll just log the steps
-        logInstallationSteps(methodId);
+        return await executeInstallCommand(command, logMessage);
     } catch (error) {
         logMessage(`Error installing MCP servers: ${error.message}`, 'error');
+        return false;
     }
 }
 
@@ -38,43 +38,6 @@ function getMcpInstallCommand(methodId) {
     return commands[methodId] || commands.npx;
 }
 
-/**
- * Log the installation steps
- * @param {string} methodId - The installation method ID
- */
-function logInstallationSteps(methodId) {
-    // Simulate installation steps
-    const steps = [
-        'Installing @modelcontextprotocol/server-github...',
-        'Installing @modelcontextprotocol/server-redis...',
-        'Installing @modelcontextprotocol/server-time...',
-        'Installing @modelcontextprotocol/server-aws-kb-retrieval...',
-        'Installing @modelcontextprotocol/server-everart...',
-        'Installing @modelcontextprotocol/server-everything...',
-        'Installing @modelcontextprotocol/server-gdrive...',
-        'Installing @modelcontextprotocol/server-git...',
-        'Installing @modelcontextprotocol/server-gitlab...',
-        'Installing @modelcontextprotocol/server-google-maps...',
-        'Installing @modelcontextprotocol/server-postgres...',
-        'Installing @modelcontextprotocol/server-sentry...',
-        'Installing @modelcontextprotocol/server-sequentialthinking...',
-        'Installing @modelcontextprotocol/server-slack...',
-        'Installing @modelcontextprotocol/server-sqlite...'
-    ];
-    
-    // Log each step with a delay
-    steps.forEach((step, index) => {
-        setTimeout(() => {
-            logMessage(step, 'info');
-            
-            // Log completion for each step
-            setTimeout(() => {
-                logMessage(`${step.replace('Installing', 'Installed')}`, 'success');
-            }, 300);
-        }, index * 600);
-    });
-}
-
 /**
  * Install from a GitHub repository URL
  * @param {string} repoUrl - The repository URL
@@ -101,7 +64,7 @@ async function installFromUrl(repoUrl, options = {}) {
         log(`Executing: ${command}`, 'info');
         
         // Execute the command
-        const success = await executeInstallCommand(command, log);
+        const success = await executeInstallCommand(command, log, { signal: options.signal });
         
         // Return whether the installation was successful
         return success;
@@ -167,16 +130,27 @@ function constructInstallCommand(repoUrl, installPath, options) {
  * Execute the installation command
  * @param {string} command - The command to execute
  * @param {Function} log - The logging function
+ * @param {Object} options - Extra CommandRunner options (cwd, signal, timeout)
  * @returns {Promise<boolean>} Whether the command execution was successful
  */
-async function executeInstallCommand(command, log) {
+async function executeInstallCommand(command, log, options = {}) {
     try {
-        // In a real implementation, this would use runCommandAsync
-        // For our simulation, we'll just log the steps
         log('Starting installation...', 'info');
         
-        // Simulate command execution
-        await simulateCommandExecution(log);
+        if (window.CommandRunner.isDryRun()) {
+            log('Dry run: the command is recorded but not executed', 'warning');
+        }
+        
+        // Stream command output into the log as it arrives
+        const logLines = type => chunk => {
+            chunk.split('\n').filter(line => line.trim()).forEach(line => log(line, type));
+        };
+        
+        await window.CommandRunner.runCommand(command, {
+            ...options,
+            onStdout: logLines('info'),
+            onStderr: logLines('warning')
+        });
         
         // Log success
         log('Installation completed successfully', 'success');
@@ -188,46 +162,13 @@ async function executeInstallCommand(command, log) {
     }
 }
 
-/**
- * Simulate command execution
- * @param {Function} log - The logging function
- * @returns {Promise<void>} A promise that resolves when the simulation is complete
- */
-async function simulateCommandExecution(log) {
-    return new Promise(resolve => {
-        // Simulate installation steps
-        const steps = [
-            'Cloning repository...',
-            'Installing dependencies...',
-            'Building server...',
-            'Configuring server...',
-            'Starting server...',
-            'Verifying installation...'
-        ];
-        
-        // Log each step with a delay
-        steps.forEach((step, index) => {
-            setTimeout(() => {
-                log(step, 'info');
-                
-                // Resolve the promise after the last step
-                if (index === steps.length - 1) {
-                    resolve();
-                }
-            }, index * 1000);
-        });
-    });
-}
-
 // Export functions for use in other modules
 window.InstallerExecution = {
     installMcpServers,
     getMcpInstallCommand,
-    logInstallationSteps,
     installFromUrl,
     validateGitHubUrl,
     determineInstallPath,
     constructInstallCommand,
-    executeInstallCommand,
-    simulateCommandExecution
+    executeInstallCommand
 };
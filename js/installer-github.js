@@ -28,7 +28,7 @@ async function installFromUrl(repoUrl, options = {}) {
         log(`Executing: ${command}`, 'info');
         
         // Execute the command
-        const success = await executeInstallCommand(command, log);
+        const success = await executeInstallCommand(command, log, { signal: options.signal });
         
         // Return whether the installation was successful
         return success;
@@ -111,16 +111,27 @@ function constructInstallCommand(repoUrl, installPath, options) {
  * Execute the installation command
  * @param {string} command - The command to execute
  * @param {Function} log - The logging function
+ * @param {Object} options - Extra CommandRunner options (cwd, signal, timeout)
  * @returns {Promise<boolean>} Whether the command execution was successful
  */
-async function executeInstallCommand(command, log) {
+async function executeInstallCommand(command, log, options = {}) {
     try {
-        // In a real implementation, this would use runCommandAsync
-        // For our simulation, we'll just log the steps
         log('Starting installation...', 'info');
         
-        // Simulate command execution
-        await simulateCommandExecution(log);
+        if (window.CommandRunner.isDryRun()) {
+            log('Dry run: the command is recorded but not executed', 'warning');
+        }
+        
+        // Stream command output into the log as it arrives
+        const logLines = type => chunk => {
+            chunk.split('\n').filter(line => line.trim()).forEach(line => log(line, type));
+        };
+        
+        await window.CommandRunner.runCommand(command, {
+            ...options,
+            onStdout: logLines('info'),
+            onStderr: logLines('warning')
+        });
         
         // Log success
         log('Installation completed successfully', 'success');
@@ -132,37 +143,6 @@ async function executeInstallCommand(command, log) {
     }
 }
 
-/**
- * Simulate command execution
- * @param {Function} log - The logging function
- * @returns {Promise<void>} A promise that resolves when the simulation is complete
- */
-async function simulateCommandExecution(log) {
-    return new Promise(resolve => {
-        // Simulate installation steps
-        const steps = [
-            'Cloning repository...',
-            'Installing dependencies...',
-            'Building server...',
-            'Configuring server...',
-            'Starting server...',
-            'Verifying installation...'
-        ];
-        
-        // Log each step with a delay
-        steps.forEach((step, index) => {
-            setTimeout(() => {
-                log(step, 'info');
-                
-                // Resolve the promise after the last step
-                if (index === steps.length - 1) {
-                    resolve();
-                }
-            }, index * 1000);
-        });
-    });
-}
-
 /**
  * Handle installation error
  * @param {Error} error - Error object
@@ -250,7 +230,6 @@ window.InstallerGitHub = {
     determineInstallPath,
     constructInstallCommand,
     executeInstallCommand,
-    simulateCommandExecution,
     handleInstallError,
     parseRepositoryInfo,
     getRepositoryMetadata
@@ -4,229 +4,37 @@
  */
 
 /**
- * Execute installation command asynchronously
- * @param {string} command - Installation command
- * @param {string} installPath - Installation path
- * @param {Function} log - Logging function
- * @returns {Promise<void>} Promise that resolves when command completes
- */
-async function executeInstallCommand(command, installPath, log) {
-    return new Promise((resolve, reject) => {
-        try {
-            // Use the provided log function or default to console.log
-            const logger = log || ((msg, type) => console.log(`[${type}] ${msg}`));
-            
-            logger(`Executing command: ${command}`, 'info');
-            
-            // Check if we're running in Electron with command execution access
-            if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-                // Parse the command into executable and arguments
-                const { executable, args } = parseCommand(command);
-                
-                // Execute the command
-                window.electronAPI.executeCommand(executable, args, { cwd: installPath })
-                    .then(result => {
-                        logger(`Command executed successfully`, 'success');
-                        logger(result, 'info');
-                        resolve(result);
-                    })
-                    .catch(error => {
-                        logger(`Error executing command: ${error.message}`, 'error');
-                        reject(error);
-                    });
-            } else {
-                // Fallback to simulation for development/testing
-                logger('Running in simulation mode', 'info');
-                
-                // Simulate command execution
-                simulateCommandExecution(command, installPath, logger)
-                    .then(result => {
-                        resolve(result);
-                    })
-                    .catch(error => {
-                        reject(error);
-                    });
-            }
-        } catch (error) {
-            if (log) {
-                log(`Error executing command: ${error.message}`, 'error');
-            }
-            reject(error);
-        }
-    });
-}
-
-/**
- * Parse a command string into executable and arguments
- * @param {string} command - Command string to parse
- * @returns {Object} Object containing executable and arguments array
- */
-function parseCommand(command) {
-    // Trim the command
-    command = command.trim();
-    
-    // Split the command by spaces, respecting quotes
-    const parts = [];
-    let current = '';
-    let inQuotes = false;
-    let quoteChar = '';
-    
-    for (let i = 0; i < command.length; i++) {
-        const char = command[i];
-        
-        if ((char === '"' || char === "'") && (i === 0 || command[i - 1] !== '\\')) {
-            if (!inQuotes) {
-                inQuotes = true;
-                quoteChar = char;
-            } else if (char === quoteChar) {
-                inQuotes = false;
-            } else {
-                current += char;
-            }
-        } else if (char === ' ' && !inQuotes) {
-            if (current) {
-                parts.push(current);
-                current = '';
-            }
-        } else {
-            current += char;
-        }
-    }
-    
-    if (current) {
-        parts.push(current);
-    }
-    
-    // The first part is the executable, the rest are arguments
-    const executable = parts[0];
-    const args = parts.slice(1);
-    
-    return { executable, args };
-}
-
-/**
- * Simulate command execution for development/testing
- * @param {string} command - Command to simulate
- * @param {string} installPath - Installation path
+ * Create a logger that falls back to the console
  * @param {Function} log - Logging function
- * @returns {Promise<void>} Promise that resolves when simulation is complete
+ * @returns {Function} Logging function
  */
-async function simulateCommandExecution(command, installPath, log) {
-    return new Promise((resolve) => {
-        // Log the command
-        log(`Simulating command: ${command}`, 'info');
-        log(`Working directory: ${installPath}`, 'info');
-        
-        // Simulate a delay
-        setTimeout(() => {
-            // Generate a simulated output based on the command
-            let output = '';
-            
-            if (command.includes('git clone')) {
-                output = simulateGitClone(command);
-            } else if (command.includes('npm install') || command.includes('npx')) {
-                output = simulateNpmInstall(command);
-            } else if (command.includes('python') || command.includes('pip')) {
-                output = simulatePythonCommand(command);
-            } else if (command.includes('docker')) {
-                output = simulateDockerCommand(command);
-            } else {
-                output = `Simulated output for: ${command}`;
-            }
-            
-            // Log the output
-            log(output, 'info');
-            
-            // Resolve with the output
-            resolve(output);
-        }, 1500);
-    });
+function getCommandLogger(log) {
+    return log || ((msg, type) => console.log(`[${type}] ${msg}`));
 }
 
 /**
- * Simulate Git clone command
- * @param {string} command - Git command to simulate
- * @returns {string} Simulated output
+ * Create stdout/stderr handlers that stream command output to a log function
+ * @param {Function} logger - Logging function
+ * @returns {Object} onStdout/onStderr handlers for CommandRunner
  */
-function simulateGitClone(command) {
-    const repoUrl = command.match(/git clone\s+([^\s]+)/)?.[1] || 'unknown-repo';
-    const repoName = repoUrl.split('/').pop().replace('.git', '');
+function createOutputStreams(logger) {
+    const stream = type => chunk => {
+        chunk.split('\n').filter(line => line.trim()).forEach(line => logger(line, type));
+    };
     
-    return `Cloning into '${repoName}'...
-remote: Enumerating objects: 125, done.
-remote: Counting objects: 100% (125/125), done.
-remote: Compressing objects: 100% (80/80), done.
-remote: Total 125 (delta 40), reused 125 (delta 40), pack-reused 0
-Receiving objects: 100% (125/125), 56.78 KiB | 1.42 MiB/s, done.
-Resolving deltas: 100% (40/40), done.`;
-}
-
-/**
- * Simulate npm install command
- * @param {string} command - npm command to simulate
- * @returns {string} Simulated output
- */
-function simulateNpmInstall(command) {
-    return `added 256 packages in 4.2s
-found 0 vulnerabilities`;
-}
-
-/**
- * Simulate Python command
- * @param {string} command - Python command to simulate
- * @returns {string} Simulated output
- */
-function simulatePythonCommand(command) {
-    if (command.includes('pip install')) {
-        return `Collecting package metadata (current_repodata.json): done
-Solving environment: done
-Preparing transaction: done
-Verifying transaction: done
-Executing transaction: done
-Installing pip dependencies: done`;
-    } else {
-        return `Python 3.9.7 (default, Sep 16 2021, 13:09:58) 
-[GCC 7.5.0] :: Anaconda, Inc. on linux
-Type "help", "copyright", "credits" or "license" for more information.`;
-    }
+    return {
+        onStdout: stream('info'),
+        onStderr: stream('warning')
+    };
 }
 
 /**
- * Simulate Docker command
- * @param {string} command - Docker command to simulate
- * @returns {string} Simulated output
+ * Parse a command string into executable and arguments
+ * @param {string} command - Command string to parse
+ * @returns {Object} Object containing executable and arguments array
  */
-function simulateDockerCommand(command) {
-    if (command.includes('docker run')) {
-        const containerName = command.match(/--name\s+([^\s]+)/)?.[1] || 'mcp-server';
-        return `${containerName} started successfully
-Server listening on port 3000`;
-    } else if (command.includes('docker build')) {
-        return `Step 1/10 : FROM node:16-alpine
- ---> 1234567890ab
-Step 2/10 : WORKDIR /app
- ---> Using cache
- ---> abcdef123456
-Step 3/10 : COPY package*.json ./
- ---> Using cache
- ---> 123abc456def
-Step 4/10 : RUN npm install
- ---> Using cache
- ---> def456abc123
-Step 5/10 : COPY . .
- ---> Using cache
- ---> 456def123abc
-Step 6/10 : EXPOSE 3000
- ---> Using cache
- ---> abc123def456
-Step 7/10 : CMD ["node", "index.js"]
- ---> Using cache
- ---> 789ghi101112
-Successfully built 789ghi101112
-Successfully tagged mcp-server:latest`;
-    } else {
-        return `Docker command executed successfully`;
-    }
+function parseCommand(command) {
+    return window.CommandRunner.parseCommand(command);
 }
 
 /**
@@ -235,44 +43,22 @@ Successfully tagged mcp-server:latest`;
  * @returns {Promise<boolean>} Promise that resolves to true if Docker is available
  */
 async function checkDockerAvailability(log) {
-    return new Promise((resolve) => {
-        const logger = log || ((msg, type) => console.log(`[${type}] ${msg}`));
-        
-        logger('Checking Docker availability...', 'info');
-        
-        // Check if we're running in Electron with command execution access
-        if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-            // Execute the Docker version command
-            window.electronAPI.executeCommand('docker', ['version'], {})
-                .then(() => {
-                    logger('Docker is available', 'success');
-                    resolve(true);
-                })
-                .catch(() => {
-                    logger('Docker is not available', 'warning');
-                    resolve(false);
-                });
-        } else {
-            // Fallback to simulation for development/testing
-            logger('Running in simulation mode', 'info');
-            
-            // Simulate Docker availability check
-            setTimeout(() => {
-                const isAvailable = simulateDockerCheck();
-                logger(`Docker is ${isAvailable ? 'available' : 'not available'} (simulated)`, isAvailable ? 'success' : 'warning');
-                resolve(isAvailable);
-            }, 1000);
-        }
+    const logger = getCommandLogger(log);
+    
+    logger('Checking Docker availability...', 'info');
+    
+    const result = await window.CommandRunner.run('docker', ['version'], {
+        timeout: 15000,
+        rejectOnError: false
     });
-}
-
-/**
- * Simulate Docker availability check for development/testing
- * @returns {boolean} Simulated Docker availability
- */
-function simulateDockerCheck() {
-    // Simulate Docker availability (80% chance of being available)
-    return Math.random() < 0.8;
+    
+    if (result.exitCode !== 0) {
+        logger('Docker is not available', 'warning');
+        return false;
+    }
+    
+    logger(`Docker is available${result.backend === 'dry-run' ? ' (dry run)' : ''}`, 'success');
+    return true;
 }
 
 /**
@@ -280,124 +66,37 @@ function simulateDockerCheck() {
  * @param {string} command - Docker command to execute
  * @param {string} installPath - Installation path for volume mounting
  * @param {Function} log - Logging function
- * @returns {Promise<void>} Promise that resolves when command completes
+ * @param {Object} options - Extra CommandRunner options (signal, timeout)
+ * @returns {Promise<string>} Promise that resolves with the command output
  */
-async function executeDockerCommand(command, installPath, log) {
-    return new Promise((resolve, reject) => {
-        try {
-            // Use the provided log function or default to console.log
-            const logger = log || ((msg, type) => console.log(`[${type}] ${msg}`));
-            
-            // Check Docker availability first
-            checkDockerAvailability(logger)
-                .then(isAvailable => {
-                    if (!isAvailable) {
-                        const error = new Error('Docker is not available. Please install Docker and ensure it is running.');
-                        logger(error.message, 'error');
-                        reject(error);
-                        return;
-                    }
-                    
-                    // Extract container name from command
-                    const containerNameMatch = command.match(/--name\s+([^\s]+)/);
-                    const containerName = containerNameMatch ? containerNameMatch[1] : 'mcp-server';
-                    
-                    logger(`Executing Docker command for container: ${containerName}`, 'info');
-                    
-                    // Check if we're running in Electron with command execution access
-                    if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-                        // Parse the command into executable and arguments
-                        const { executable, args } = parseCommand(command);
-                        
-                        // Execute the command
-                        window.electronAPI.executeCommand(executable, args, { cwd: installPath })
-                            .then(result => {
-                                logger(`Docker command executed successfully`, 'success');
-                                logger(result, 'info');
-                                resolve(result);
-                            })
-                            .catch(error => {
-                                logger(`Error executing Docker command: ${error.message}`, 'error');
-                                reject(error);
-                            });
-                    } else {
-                        // Fallback to simulation for development/testing
-                        logger('Running in simulation mode', 'info');
-                        
-                        // Simulate Docker command execution
-                        simulateDockerExecution(command, containerName)
-                            .then(result => {
-                                resolve(result);
-                            })
-                            .catch(error => {
-                                reject(error);
-                            });
-                    }
-                })
-                .catch(error => {
-                    logger(`Error checking Docker availability: ${error.message}`, 'error');
-                    reject(error);
-                });
-        } catch (error) {
-            if (log) {
-                log(`Error executing Docker command: ${error.message}`, 'error');
-            }
-            reject(error);
+async function executeDockerCommand(command, installPath, log, options = {}) {
+    const logger = getCommandLogger(log);
+    
+    try {
+        // Check Docker availability first
+        const isAvailable = await checkDockerAvailability(logger);
+        if (!isAvailable) {
+            throw new Error('Docker is not available. Please install Docker and ensure it is running.');
         }
-    });
-}
-
-/**
- * Simulate Docker command execution for development/testing
- * @param {string} command - Docker command to simulate
- * @param {string} containerName - Container name
- * @returns {Promise<void>} Promise that resolves when simulation is complete
- */
-async function simulateDockerExecution(command, containerName) {
-    return new Promise((resolve) => {
-        // Simulate a delay
-        setTimeout(() => {
-            // Generate a simulated output based on the command
-            let output = '';
-            
-            if (command.includes('docker run')) {
-                output = `${containerName} started successfully
-Server listening on port 3000`;
-            } else if (command.includes('docker build')) {
-                output = `Step 1/10 : FROM node:16-alpine
- ---> 1234567890ab
-Step 2/10 : WORKDIR /app
- ---> Using cache
- ---> abcdef123456
-Step 3/10 : COPY package*.json ./
- ---> Using cache
- ---> 123abc456def
-Step 4/10 : RUN npm install
- ---> Using cache
- ---> def456abc123
-Step 5/10 : COPY . .
- ---> Using cache
- ---> 456def123abc
-Step 6/10 : EXPOSE 3000
- ---> Using cache
- ---> abc123def456
-Step 7/10 : CMD ["node", "index.js"]
- ---> Using cache
- ---> 789ghi101112
-Successfully built 789ghi101112
-Successfully tagged mcp-server:latest`;
-            } else if (command.includes('docker stop')) {
-                output = `${containerName} stopped`;
-            } else if (command.includes('docker rm')) {
-                output = `${containerName} removed`;
-            } else {
-                output = `Docker command executed successfully`;
-            }
-            
-            // Resolve with the output
-            resolve(output);
-        }, 2000);
-    });
+        
+        // Extract container name from command
+        const containerNameMatch = command.match(/--name\s+([^\s]+)/);
+        const containerName = containerNameMatch ? containerNameMatch[1] : 'mcp-server';
+        
+        logger(`Executing Docker command for container: ${containerName}`, 'info');
+        
+        const result = await window.CommandRunner.runCommand(command, {
+            ...options,
+            cwd: installPath,
+            ...createOutputStreams(logger)
+        });
+        
+        logger('Docker command executed successfully', 'success');
+        return result.stdout;
+    } catch (error) {
+        logger(`Error executing Docker command: ${error.message}`, 'error');
+        throw error;
+    }
 }
 
 /**
@@ -450,9 +149,11 @@ function buildDockerCommand(repoUrl, templateId, installPath) {
         command += ` -p ${options.portMapping}`;
     }
     
-    // Add volume mapping
+    // Add volume mapping, keeping server data in the installation directory by default
     if (options.volumeMapping) {
         command += ` -v ${options.volumeMapping}`;
+    } else if (installPath) {
+        command += ` -v "${installPath}:/app/data"`;
     }
     
     // Add environment variables
@@ -591,34 +292,30 @@ function constructInstallCommand(methodId, gitUrl, installPath) {
  * @param {string} command - Installation command
  * @param {string} installPath - Installation path
  * @param {Function} log - Optional logging function
- * @returns {Promise<void>} Promise that resolves when command completes
+ * @param {Object} options - Extra CommandRunner options (signal, timeout)
+ * @returns {Promise<string>} Promise that resolves with the command output
  */
-async function executeInstallCommand(command, installPath, log) {
-    // Use the provided log function or default to console.log
-    const logger = log || ((msg, type) => console.log(`[${type}] ${msg}`));
+async function executeInstallCommand(command, installPath, log, options = {}) {
+    const logger = getCommandLogger(log);
     
-    // Ensure the runCommandAsync function is available
-    if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-        // Parse the command into executable and arguments
-        const { executable, args } = parseCommand(command);
+    try {
+        logger(`Executing command: ${command}`, 'info');
         
-        // Execute the command
-        try {
-            logger(`Executing command: ${command}`, 'info');
-            const result = await window.electronAPI.executeCommand(executable, args, { cwd: installPath });
-            logger(`Command executed successfully`, 'success');
-            logger(result, 'info');
-            return result;
-        } catch (error) {
-            logger(`Error executing command: ${error.message}`, 'error');
-            throw error;
+        if (window.CommandRunner.isDryRun()) {
+            logger('Dry run: the command is recorded but not executed', 'warning');
         }
-    } else {
-        // Fallback to simulation for development/testing
-        logger('Running in simulation mode', 'info');
         
-        // Simulate command execution
-        return simulateCommandExecution(command, installPath, logger);
+        const result = await window.CommandRunner.runCommand(command, {
+            ...options,
+            cwd: installPath,
+            ...createOutputStreams(logger)
+        });
+        
+        logger('Command executed successfully', 'success');
+        return result.stdout;
+    } catch (error) {
+        logger(`Error executing command: ${error.message}`, 'error');
+        throw error;
     }
 }
 
@@ -641,15 +338,8 @@ function handleInstallError(error, repoUrl, log) {
 window.InstallerUICommand = {
     executeInstallCommand,
     parseCommand,
-    simulateCommandExecution,
-    simulateGitClone,
-    simulateNpmInstall,
-    simulatePythonCommand,
-    simulateDockerCommand,
     checkDockerAvailability,
-    simulateDockerCheck,
     executeDockerCommand,
-    simulateDockerExecution,
     getDockerConfigOptions,
     buildDockerCommand,
     ensureInstallDirectory,
@@ -1,35 +1,34 @@
 /**
  * Installer UI Docker - Docker-specific functionality
+ * All docker and git commands go through window.CommandRunner
  */
 
+/**
+ * Run a docker command through the command runner
+ * @param {Array<string>} args - Docker arguments
+ * @param {Object} options - CommandRunner options
+ * @returns {Promise<Object>} Command result
+ */
+function runDocker(args, options = {}) {
+    return window.CommandRunner.run('docker', args, options);
+}
+
 /**
  * Check if Docker is installed and running
  * @returns {Promise<boolean>} Promise that resolves to true if Docker is available
  */
 async function checkDockerAvailability() {
-    return new Promise((resolve) => {
-        logMessage('Checking Docker availability...', 'info');
-        
-        if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-            window.electronAPI.executeCommand('docker', ['version'], {})
-                .then(() => {
-                    logMessage('Docker is available', 'success');
-                    resolve(true);
-                })
-                .catch(() => {
-                    logMessage('Docker is not available', 'warning');
-                    resolve(false);
-                });
-        } else {
-            // Simulation mode
-            setTimeout(() => {
-                const isAvailable = Math.random() < 0.8;
-                logMessage(`Docker is ${isAvailable ? 'available' : 'not available'} (simulated)`, 
-                    isAvailable ? 'success' : 'warning');
-                resolve(isAvailable);
-            }, 1000);
-        }
-    });
+    logMessage('Checking Docker availability...', 'info');
+    
+    const result = await runDocker(['version'], { timeout: 15000, rejectOnError: false });
+    
+    if (result.exitCode !== 0) {
+        logMessage('Docker is not available', 'warning');
+        return false;
+    }
+    
+    logMessage(`Docker is available${result.backend === 'dry-run' ? ' (dry run)' : ''}`, 'success');
+    return true;
 }
 
 /**
@@ -38,25 +37,15 @@ async function checkDockerAvailability() {
  * @returns {Promise<Object>} Promise that resolves to container status
  */
 async function getDockerContainerStatus(containerName) {
-    return new Promise((resolve, reject) => {
-        if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-            window.electronAPI.executeCommand('docker', ['inspect', '--format', '{{.State.Status}}', containerName], {})
-                .then(result => {
-                    const status = result.trim();
-                    resolve({ name: containerName, status });
-                })
-                .catch(() => {
-                    resolve({ name: containerName, status: 'not_found' });
-                });
-        } else {
-            // Simulation
-            setTimeout(() => {
-                const statuses = ['running', 'exited', 'not_found'];
-                const status = statuses[Math.floor(Math.random() * statuses.length)];
-                resolve({ name: containerName, status });
-            }, 500);
-        }
+    const result = await runDocker(['inspect', '--format', '{{.State.Status}}', containerName], {
+        rejectOnError: false
     });
+    
+    if (result.exitCode !== 0 || !result.stdout.trim()) {
+        return { name: containerName, status: 'not_found' };
+    }
+    
+    return { name: containerName, status: result.stdout.trim() };
 }
 
 /**
@@ -72,30 +61,21 @@ async function buildDockerImage(repoUrl, installPath) {
     
     logMessage(`Building Docker image: ${imageName}`, 'info');
     
-    if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-        try {
-            // Clone repository if needed
-            await cloneRepositoryIfNeeded(repoUrl, installPath);
-            
-            // Build Docker image
-            const buildResult = await window.electronAPI.executeCommand('docker', 
-                ['build', '-t', imageName, '.'], 
-                { cwd: `${installPath}/${repoName}` });
-                
-            logMessage('Docker image built successfully', 'success');
-            return { success: true, imageName, output: buildResult };
-        } catch (error) {
-            logMessage(`Error building Docker image: ${error.message}`, 'error');
-            return { success: false, error: error.message };
-        }
-    } else {
-        // Simulation
-        return new Promise(resolve => {
-            setTimeout(() => {
-                logMessage('Docker image built successfully (simulated)', 'success');
-                resolve({ success: true, imageName, output: 'Simulated build output' });
-            }, 3000);
+    try {
+        // Clone repository if needed
+        await cloneRepositoryIfNeeded(repoUrl, installPath);
+        
+        // Build Docker image
+        const buildResult = await runDocker(['build', '-t', imageName, '.'], {
+            cwd: `${installPath}/${repoName}`,
+            onStdout: chunk => logMessage(chunk.trim(), 'info')
         });
+        
+        logMessage('Docker image built successfully', 'success');
+        return { success: true, imageName, output: buildResult.stdout };
+    } catch (error) {
+        logMessage(`Error building Docker image: ${error.message}`, 'error');
+        return { success: false, error: error.message };
     }
 }
 
@@ -121,14 +101,8 @@ async function cloneRepositoryIfNeeded(repoUrl, installPath) {
     // Clone repository
     logMessage(`Cloning repository: ${repoUrl}`, 'info');
     
-    if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-        await window.electronAPI.executeCommand('git', ['clone', repoUrl], { cwd: installPath });
-        logMessage('Repository cloned successfully', 'success');
-    } else {
-        // Simulation
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        logMessage('Repository cloned successfully (simulated)', 'success');
-    }
+    await window.CommandRunner.run('git', ['clone', repoUrl], { cwd: installPath });
+    logMessage('Repository cloned successfully', 'success');
 }
 
 /**
@@ -167,27 +141,13 @@ async function runDockerContainer(imageName, options = {}) {
     // Add image name
     args.push(imageName);
     
-    if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-        try {
-            const result = await window.electronAPI.executeCommand('docker', args, {});
-            logMessage(`Container ${containerName} started successfully`, 'success');
-            return { success: true, containerId: result.trim(), containerName };
-        } catch (error) {
-            logMessage(`Error starting container: ${error.message}`, 'error');
-            return { success: false, error: error.message };
-        }
-    } else {
-        // Simulation
-        return new Promise(resolve => {
-            setTimeout(() => {
-                logMessage(`Container ${containerName} started successfully (simulated)`, 'success');
-                resolve({ 
-                    success: true, 
-                    containerId: generateContainerId(),
-                    containerName 
-                });
-            }, 1500);
-        });
+    try {
+        const result = await runDocker(args);
+        logMessage(`Container ${containerName} started successfully`, 'success');
+        return { success: true, containerId: result.stdout.trim(), containerName };
+    } catch (error) {
+        logMessage(`Error starting container: ${error.message}`, 'error');
+        return { success: false, error: error.message };
     }
 }
 
@@ -199,23 +159,13 @@ async function runDockerContainer(imageName, options = {}) {
 async function stopDockerContainer(containerName) {
     logMessage(`Stopping Docker container: ${containerName}`, 'info');
     
-    if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-        try {
-            await window.electronAPI.executeCommand('docker', ['stop', containerName], {});
-            logMessage(`Container ${containerName} stopped successfully`, 'success');
-            return { success: true };
-        } catch (error) {
-            logMessage(`Error stopping container: ${error.message}`, 'error');
-            return { success: false, error: error.message };
-        }
-    } else {
-        // Simulation
-        return new Promise(resolve => {
-            setTimeout(() => {
-                logMessage(`Container ${containerName} stopped successfully (simulated)`, 'success');
-                resolve({ success: true });
-            }, 1000);
-        });
+    try {
+        await runDocker(['stop', containerName]);
+        logMessage(`Container ${containerName} stopped successfully`, 'success');
+        return { success: true };
+    } catch (error) {
+        logMessage(`Error stopping container: ${error.message}`, 'error');
+        return { success: false, error: error.message };
     }
 }
 
@@ -227,23 +177,13 @@ async function stopDockerContainer(containerName) {
 async function removeDockerContainer(containerName) {
     logMessage(`Removing Docker container: ${containerName}`, 'info');
     
-    if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-        try {
-            await window.electronAPI.executeCommand('docker', ['rm', containerName], {});
-            logMessage(`Container ${containerName} removed successfully`, 'success');
-            return { success: true };
-        } catch (error) {
-            logMessage(`Error removing container: ${error.message}`, 'error');
-            return { success: false, error: error.message };
-        }
-    } else {
-        // Simulation
-        return new Promise(resolve => {
-            setTimeout(() => {
-                logMessage(`Container ${containerName} removed successfully (simulated)`, 'success');
-                resolve({ success: true });
-            }, 1000);
-        });
+    try {
+        await runDocker(['rm', containerName]);
+        logMessage(`Container ${containerName} removed successfully`, 'success');
+        return { success: true };
+    } catch (error) {
+        logMessage(`Error removing container: ${error.message}`, 'error');
+        return { success: false, error: error.message };
     }
 }
 
@@ -256,26 +196,13 @@ async function removeDockerContainer(containerName) {
 async function getDockerContainerLogs(containerName, lines = 100) {
     logMessage(`Getting logs for container: ${containerName}`, 'info');
     
-    if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-        try {
-            const logs = await window.electronAPI.executeCommand(
-                'docker', ['logs', '--tail', lines.toString(), containerName], {});
-            return logs;
-        } catch (error) {
-            logMessage(`Error getting container logs: ${error.message}`, 'error');
-            return `Error: ${error.message}`;
-        }
-    } else {
-        // Simulation
-        return new Promise(resolve => {
-            setTimeout(() => {
-                resolve(`Simulated logs for container ${containerName}\n` +
-                    `[INFO] Server started\n` +
-                    `[INFO] Listening on port 3000\n` +
-                    `[INFO] Connected to database\n` +
-                    `[INFO] Ready to process requests`);
-            }, 500);
-        });
+    try {
+        // docker logs writes the container's stderr stream to stderr
+        const result = await runDocker(['logs', '--tail', lines.toString(), containerName]);
+        return result.stdout + result.stderr;
+    } catch (error) {
+        logMessage(`Error getting container logs: ${error.message}`, 'error');
+        return `Error: ${error.message}`;
     }
 }
 
@@ -287,62 +214,25 @@ async function getDockerContainerLogs(containerName, lines = 100) {
 async function listDockerContainers(all = true) {
     logMessage('Listing Docker containers', 'info');
     
-    if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-        try {
-            const args = ['ps', '--format', '{{.Names}},{{.Status}},{{.Image}},{{.Ports}}'];
-            if (all) {
-                args.push('-a');
-            }
-            
-            const result = await window.electronAPI.executeCommand('docker', args, {});
-            const lines = result.trim().split('\n');
-            
-            return lines.map(line => {
-                const [name, status, image, ports] = line.split(',');
-                return { name, status, image, ports };
-            });
-        } catch (error) {
-            logMessage(`Error listing containers: ${error.message}`, 'error');
-            return [];
+    try {
+        const args = ['ps', '--format', '{{.Names}}\t{{.Status}}\t{{.Image}}\t{{.Ports}}'];
+        if (all) {
+            args.push('-a');
         }
-    } else {
-        // Simulation
-        return new Promise(resolve => {
-            setTimeout(() => {
-                const containers = [];
-                const statuses = ['Up 2 hours', 'Exited (0) 3 hours ago', 'Up 30 minutes'];
-                
-                // Generate 3-5 simulated containers
-                const count = Math.floor(Math.random() * 3) + 3;
-                
-                for (let i = 0; i < count; i++) {
-                    containers.push({
-                        name: `mcp-server-${i + 1}`,
-                        status: statuses[Math.floor(Math.random() * statuses.length)],
-                        image: `mcp-server-${i + 1}:latest`,
-                        ports: '0.0.0.0:3000->3000/tcp'
-                    });
-                }
-                
-                resolve(containers);
-            }, 1000);
+        
+        const result = await runDocker(args);
+        const lines = result.stdout.trim().split('\n').filter(line => line);
+        
+        return lines.map(line => {
+            const [name, status, image, ports] = line.split('\t');
+            return { name, status, image, ports };
         });
+    } catch (error) {
+        logMessage(`Error listing containers: ${error.message}`, 'error');
+        return [];
     }
 }
 
-/**
- * Generate a random container ID for simulation
- * @returns {string} Random container ID
- */
-function generateContainerId() {
-    const chars = '0123456789abcdef';
-    let id = '';
-    for (let i = 0; i < 12; i++) {
-        id += chars[Math.floor(Math.random() * chars.length)];
-    }
-    return id;
-}
-
 /**
  * Helper function to log messages
  * @param {string} message - Message to log
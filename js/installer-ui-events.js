@@ -175,6 +175,12 @@ function addConfigurationButtonListeners() {
     if (fixBtn) {
         fixBtn.addEventListener('click', ClaudeConfigManager.fixJsonConfiguration);
     }
+    
+    // Move secrets button
+    const moveSecretsBtn = document.getElementById('moveSecretsBtn');
+    if (moveSecretsBtn) {
+        moveSecretsBtn.addEventListener('click', () => ClaudeConfigManager.moveSecretsToVault());
+    }
 }
 
 /**
@@ -88,8 +88,16 @@ function getUserHomeDirectory() {
  * @returns {Array} Array of installed server names
  */
 function discoverInstalledServers(installPath, methodId) {
-    // In a real implementation, we would scan the directory for installed servers
-    // For our simulation, we'll return a predefined list of servers
+    // Prefer the servers found in the client configs by the last inventory discovery
+    if (window.ServerInventory) {
+        const inventoryServers = window.ServerInventory.getServers()
+            .filter(server => server.clients.length > 0)
+            .map(server => server.name);
+        
+        if (inventoryServers.length > 0) {
+            return inventoryServers;
+        }
+    }
     
     // Try to get the actual installed servers if we have access to the file system
     if (typeof window.electronAPI !== 'undefined' && window.electronAPI.listDirectory) {
@@ -0,0 +1,69 @@
+/**
+ * Port Registry - Exposes the PortRegistry module to non-module scripts
+ * New code should import the PortRegistry module directly
+ */
+
+import portRegistry from './PortRegistry.js';
+
+/**
+ * Check whether a port is free
+ * @param {number} port - Port
+ * @param {Object} [options] - Options ({ owner })
+ * @returns {Promise<boolean>} True if the port is not reserved and can be bound
+ */
+function isPortAvailable(port, options) {
+    return portRegistry.isPortAvailable(port, options);
+}
+
+/**
+ * Find a free port without reserving it
+ * @param {number} start - First port to try
+ * @param {number} end - Last port to try
+ * @returns {Promise<number>} Free port
+ */
+function findAvailablePort(start, end) {
+    return portRegistry.findAvailablePort(start, end);
+}
+
+/**
+ * Allocate a free port to an owner
+ * @param {Object} options - Allocation options ({ owner, name, preferred, start, end })
+ * @returns {Promise<number>} Allocated port
+ */
+function allocatePort(options) {
+    return portRegistry.allocatePort(options);
+}
+
+/**
+ * Release an allocated port
+ * @param {number} port - Port
+ */
+function releasePort(port) {
+    portRegistry.releasePort(port);
+}
+
+/**
+ * Release the ports allocated to an owner
+ * @param {string} owner - Owner ID
+ */
+function releaseOwner(owner) {
+    portRegistry.releaseOwner(owner);
+}
+
+/**
+ * Get the reserved ports
+ * @returns {Array<Object>} Reservations ({ port, source, owner, name })
+ */
+function getReservations() {
+    return portRegistry.getReservations();
+}
+
+// Export functions for use in other modules
+window.PortRegistry = {
+    isPortAvailable,
+    findAvailablePort,
+    allocatePort,
+    releasePort,
+    releaseOwner,
+    getReservations
+};
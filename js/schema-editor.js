@@ -0,0 +1,501 @@
+/**
+ * Schema Editor - Adds schema help to the configuration editor textarea
+ * Shows completions, hover help and squiggles under problems, and lists the problems with
+ * quick fixes. The squiggles are drawn on a backdrop that mirrors the textarea's text.
+ */
+
+// Delay before the diagnostics are checked again after typing (ms)
+const SCHEMA_EDITOR_REFRESH_DELAY = 300;
+
+// Delay before the hover help is shown (ms)
+const SCHEMA_EDITOR_HOVER_DELAY = 400;
+
+// Typed characters that open the completion list
+const SCHEMA_EDITOR_COMPLETION_TRIGGER = /^[A-Za-z_"]$/;
+
+const schemaEditorState = {
+    textarea: null,
+    elements: null,
+    mirror: null,
+    format: null,
+    templateId: null,
+    schema: null,
+    diagnostics: [],
+    completion: null,
+    refreshTimer: null,
+    hoverTimer: null
+};
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeSchemaEditorHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Attach schema help to a textarea
+ * @param {HTMLTextAreaElement} textarea - Editor textarea
+ * @param {Object} elements - Elements ({ backdrop, completions, hover, problems })
+ */
+function attachSchemaEditor(textarea, elements) {
+    schemaEditorState.textarea = textarea;
+    schemaEditorState.elements = elements;
+
+    // Hidden copy of the backdrop used to measure where the caret is
+    schemaEditorState.mirror = elements.backdrop.cloneNode(false);
+    schemaEditorState.mirror.removeAttribute('id');
+    schemaEditorState.mirror.style.visibility = 'hidden';
+    elements.backdrop.parentNode.appendChild(schemaEditorState.mirror);
+
+    textarea.addEventListener('input', handleSchemaEditorInput);
+    textarea.addEventListener('keydown', handleSchemaEditorKeydown);
+    textarea.addEventListener('scroll', handleSchemaEditorScroll);
+    textarea.addEventListener('blur', hideSchemaEditorCompletions);
+    textarea.addEventListener('mousemove', handleSchemaEditorMousemove);
+    textarea.addEventListener('mouseleave', hideSchemaEditorHover);
+
+    // Keep the focus in the textarea while picking a completion
+    elements.completions.addEventListener('mousedown', event => {
+        event.preventDefault();
+        const item = event.target.closest('[data-index]');
+        if (item) {
+            acceptSchemaEditorCompletion(Number(item.dataset.index));
+        }
+    });
+
+    elements.problems.addEventListener('click', handleSchemaEditorProblemClick);
+
+    if (typeof ResizeObserver === 'function') {
+        new ResizeObserver(syncSchemaEditorBackdrop).observe(textarea);
+    }
+
+    refreshSchemaEditor();
+}
+
+/**
+ * Set the format and template schema of the file being edited
+ * @param {Object} context - Context ({ format, templateId, schema }); a null format turns the help off
+ */
+function setSchemaEditorContext(context) {
+    schemaEditorState.format = context.format || null;
+    schemaEditorState.templateId = context.templateId || null;
+    schemaEditorState.schema = context.schema || null;
+    refreshSchemaEditor();
+}
+
+/**
+ * Check the editor content again and redraw the squiggles and the problem list
+ * Call this after changing the textarea's value from code.
+ */
+function refreshSchemaEditor() {
+    const { textarea, format, templateId } = schemaEditorState;
+    if (!textarea) {
+        return;
+    }
+
+    clearTimeout(schemaEditorState.refreshTimer);
+    hideSchemaEditorCompletions();
+    hideSchemaEditorHover();
+
+    try {
+        schemaEditorState.diagnostics = format
+            ? window.ConfigSchema.getDiagnostics(textarea.value, format, templateId)
+            : [];
+    } catch (error) {
+        console.error('Error checking configuration:', error);
+        schemaEditorState.diagnostics = [];
+    }
+
+    renderSchemaEditorBackdrop();
+    renderSchemaEditorProblems();
+}
+
+/**
+ * Check the content again once typing pauses
+ */
+function scheduleSchemaEditorRefresh() {
+    clearTimeout(schemaEditorState.refreshTimer);
+    schemaEditorState.refreshTimer = setTimeout(() => {
+        const completion = schemaEditorState.completion;
+        refreshSchemaEditor();
+
+        // Keep an open completion list open
+        if (completion) {
+            showSchemaEditorCompletions(true);
+        }
+    }, SCHEMA_EDITOR_REFRESH_DELAY);
+}
+
+/**
+ * Handle typing in the editor
+ * @param {InputEvent} event - Input event
+ */
+function handleSchemaEditorInput(event) {
+    renderSchemaEditorBackdrop();
+    scheduleSchemaEditorRefresh();
+
+    if (schemaEditorState.completion) {
+        showSchemaEditorCompletions(true);
+    } else if (event.inputType === 'insertText' && SCHEMA_EDITOR_COMPLETION_TRIGGER.test(event.data || '')) {
+        showSchemaEditorCompletions(false);
+    }
+}
+
+/**
+ * Handle keys for the completion list
+ * @param {KeyboardEvent} event - Key event
+ */
+function handleSchemaEditorKeydown(event) {
+    const completion = schemaEditorState.completion;
+
+    if (event.ctrlKey && event.code === 'Space') {
+        event.preventDefault();
+        showSchemaEditorCompletions(true);
+        return;
+    }
+
+    if (!completion) {
+        return;
+    }
+
+    const count = completion.items.length;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        completion.selected = (completion.selected + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+        renderSchemaEditorCompletions();
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+        event.preventDefault();
+        acceptSchemaEditorCompletion(completion.selected);
+    } else if (event.key === 'Escape') {
+        event.preventDefault();
+        hideSchemaEditorCompletions();
+    }
+}
+
+/**
+ * Show the completions at the caret
+ * @param {boolean} explicit - True if asked for (Ctrl+Space), false while typing
+ */
+function showSchemaEditorCompletions(explicit) {
+    const { textarea, format, schema } = schemaEditorState;
+    if (!format || !schema || textarea.selectionStart !== textarea.selectionEnd) {
+        hideSchemaEditorCompletions();
+        return;
+    }
+
+    const completions = window.ConfigSchema.getCompletions(schema, textarea.value, format, textarea.selectionStart);
+    if (!completions || completions.items.length === 0 || (!explicit && !schemaEditorState.completion
+        && completions.items.every(item => item.text === textarea.value.slice(completions.from, completions.to)))) {
+        hideSchemaEditorCompletions();
+        return;
+    }
+
+    schemaEditorState.completion = { ...completions, selected: 0 };
+    renderSchemaEditorCompletions();
+
+    const caret = getSchemaEditorCaretPosition(completions.from);
+    const list = schemaEditorState.elements.completions;
+    list.style.left = `${caret.left}px`;
+    list.style.top = `${caret.top + caret.height}px`;
+    list.style.display = 'block';
+}
+
+/**
+ * Draw the completion list
+ */
+function renderSchemaEditorCompletions() {
+    const { completion, elements } = schemaEditorState;
+
+    elements.completions.innerHTML = completion.items.map((item, index) => `
+        <div class="completion-item${index === completion.selected ? ' selected' : ''}" data-index="${index}"
+            title="${escapeSchemaEditorHtml(item.documentation)}">
+            <span class="completion-label">${escapeSchemaEditorHtml(item.label)}</span>
+            <span class="completion-detail">${escapeSchemaEditorHtml(item.detail)}</span>
+        </div>
+    `).join('');
+
+    const selected = elements.completions.querySelector('.completion-item.selected');
+    if (selected && selected.scrollIntoView) {
+        selected.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * Insert a completion
+ * @param {number} index - Index of the completion
+ */
+function acceptSchemaEditorCompletion(index) {
+    const { completion, textarea } = schemaEditorState;
+    const item = completion && completion.items[index];
+    if (!item) {
+        return;
+    }
+
+    textarea.setRangeText(item.text, completion.from, completion.to, 'end');
+    hideSchemaEditorCompletions();
+    renderSchemaEditorBackdrop();
+    scheduleSchemaEditorRefresh();
+}
+
+/**
+ * Hide the completion list
+ */
+function hideSchemaEditorCompletions() {
+    schemaEditorState.completion = null;
+    if (schemaEditorState.elements) {
+        schemaEditorState.elements.completions.style.display = 'none';
+    }
+}
+
+/**
+ * Get where a character of the text is drawn, relative to the editor
+ * @param {number} offset - Character offset
+ * @returns {Object} Position ({ left, top, height }) in pixels
+ */
+function getSchemaEditorCaretPosition(offset) {
+    const { textarea, mirror } = schemaEditorState;
+
+    mirror.textContent = textarea.value.slice(0, offset);
+    const marker = document.createElement('span');
+    marker.textContent = '\u200b';
+    mirror.appendChild(marker);
+
+    const position = {
+        left: marker.offsetLeft - textarea.scrollLeft,
+        top: marker.offsetTop - textarea.scrollTop,
+        height: marker.offsetHeight
+    };
+    mirror.textContent = '';
+    return position;
+}
+
+/**
+ * Get the character offset under the mouse
+ * The textarea lets the mouse through for a moment so the backdrop text can be hit-tested.
+ * @param {MouseEvent} event - Mouse event
+ * @returns {number|null} Offset or null if the mouse is not over text
+ */
+function getSchemaEditorOffsetAt(event) {
+    const { textarea, elements } = schemaEditorState;
+    let node = null;
+    let nodeOffset = 0;
+
+    textarea.style.pointerEvents = 'none';
+    try {
+        if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(event.clientX, event.clientY);
+            node = position && position.offsetNode;
+            nodeOffset = position ? position.offset : 0;
+        } else if (document.caretRangeFromPoint) {
+            const range = document.caretRangeFromPoint(event.clientX, event.clientY);
+            node = range && range.startContainer;
+            nodeOffset = range ? range.startOffset : 0;
+        }
+    } finally {
+        textarea.style.pointerEvents = '';
+    }
+
+    if (!node || node.nodeType !== Node.TEXT_NODE || !elements.backdrop.contains(node)) {
+        return null;
+    }
+
+    // Add up the text before the hit node
+    const walker = document.createTreeWalker(elements.backdrop, NodeFilter.SHOW_TEXT);
+    let offset = 0;
+    while (walker.nextNode() && walker.currentNode !== node) {
+        offset += walker.currentNode.textContent.length;
+    }
+    return offset + nodeOffset;
+}
+
+/**
+ * Show the hover help once the mouse rests
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleSchemaEditorMousemove(event) {
+    clearTimeout(schemaEditorState.hoverTimer);
+    schemaEditorState.hoverTimer = setTimeout(() => showSchemaEditorHover(event), SCHEMA_EDITOR_HOVER_DELAY);
+}
+
+/**
+ * Show the schema help and problems of the text under the mouse
+ * @param {MouseEvent} event - Mouse event
+ */
+function showSchemaEditorHover(event) {
+    const { textarea, elements, format, schema, diagnostics } = schemaEditorState;
+    const offset = format ? getSchemaEditorOffsetAt(event) : null;
+    if (offset === null) {
+        hideSchemaEditorHover();
+        return;
+    }
+
+    const help = schema ? window.ConfigSchema.getHover(schema, textarea.value, format, offset) : null;
+    const problems = diagnostics.filter(item => offset >= item.from && offset < item.to);
+    if (!help && problems.length === 0) {
+        hideSchemaEditorHover();
+        return;
+    }
+
+    let html = '';
+    if (help) {
+        html += `<div class="hover-title"><code>${escapeSchemaEditorHtml(help.path)}</code>
+            <span class="hover-type">${escapeSchemaEditorHtml(help.type)}</span></div>`;
+        if (help.description) {
+            html += `<div>${escapeSchemaEditorHtml(help.description)}</div>`;
+        }
+        if (help.default !== undefined) {
+            html += `<div>Default: <code>${escapeSchemaEditorHtml(JSON.stringify(help.default))}</code></div>`;
+        }
+    }
+    problems.forEach(item => {
+        html += `<div class="hover-problem ${item.severity}">${escapeSchemaEditorHtml(item.message)}</div>`;
+    });
+
+    const rect = elements.hover.parentNode.getBoundingClientRect();
+    elements.hover.innerHTML = html;
+    elements.hover.style.left = `${event.clientX - rect.left}px`;
+    elements.hover.style.top = `${event.clientY - rect.top + 16}px`;
+    elements.hover.style.display = 'block';
+}
+
+/**
+ * Hide the hover help
+ */
+function hideSchemaEditorHover() {
+    clearTimeout(schemaEditorState.hoverTimer);
+    if (schemaEditorState.elements) {
+        schemaEditorState.elements.hover.style.display = 'none';
+    }
+}
+
+/**
+ * Draw the text with squiggles under the problems on the backdrop
+ */
+function renderSchemaEditorBackdrop() {
+    const { textarea, elements } = schemaEditorState;
+    const content = textarea.value;
+
+    // Diagnostics go stale while typing; only draw the ones that still fit the text
+    const marks = schemaEditorState.diagnostics
+        .filter(item => item.to > item.from && item.to <= content.length)
+        .sort((a, b) => a.from - b.from);
+
+    let html = '';
+    let position = 0;
+    marks.forEach(item => {
+        if (item.from < position) {
+            return;
+        }
+        html += escapeSchemaEditorHtml(content.slice(position, item.from));
+        html += `<mark class="squiggle ${item.severity}">${escapeSchemaEditorHtml(content.slice(item.from, item.to))}</mark>`;
+        position = item.to;
+    });
+    html += escapeSchemaEditorHtml(content.slice(position));
+
+    // A trailing newline needs a character after it to take up a line
+    elements.backdrop.innerHTML = content.endsWith('\n') ? `${html} ` : html;
+    syncSchemaEditorBackdrop();
+}
+
+/**
+ * Keep the backdrop scrolled and sized like the textarea
+ */
+function syncSchemaEditorBackdrop() {
+    const { textarea, elements, mirror } = schemaEditorState;
+    if (!textarea) {
+        return;
+    }
+
+    // Leave room for the textarea's scrollbar so lines wrap the same way
+    const scrollbar = `${textarea.offsetWidth - textarea.clientWidth}px`;
+    elements.backdrop.style.right = scrollbar;
+    mirror.style.right = scrollbar;
+    elements.backdrop.scrollTop = textarea.scrollTop;
+    elements.backdrop.scrollLeft = textarea.scrollLeft;
+}
+
+/**
+ * Follow the textarea when it scrolls
+ */
+function handleSchemaEditorScroll() {
+    syncSchemaEditorBackdrop();
+    hideSchemaEditorCompletions();
+    hideSchemaEditorHover();
+}
+
+/**
+ * Draw the problem list with its quick fixes
+ */
+function renderSchemaEditorProblems() {
+    const { textarea, elements, diagnostics } = schemaEditorState;
+
+    if (diagnostics.length === 0) {
+        elements.problems.innerHTML = '';
+        elements.problems.style.display = 'none';
+        return;
+    }
+
+    const fixable = diagnostics.some(item => item.fix);
+    let html = `<div class="problems-header">
+        <span>Problems (${diagnostics.length})</span>
+        ${fixable ? '<button class="btn btn-sm btn-outline" data-action="fix-all"><i class="fas fa-magic"></i> Fix all</button>' : ''}
+    </div><ul>`;
+
+    diagnostics.forEach((item, index) => {
+        const location = window.ConfigFormats.getLocation(textarea.value, item.from);
+        html += `<li class="problem ${item.severity}" data-index="${index}">
+            <i class="fas ${item.severity === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'}"></i>
+            <span class="problem-location">Ln ${location.line}, Col ${location.column}</span>
+            <span class="problem-message">${escapeSchemaEditorHtml(item.message)}</span>
+            ${item.fix ? `<button class="btn btn-sm btn-outline" data-action="fix" title="${escapeSchemaEditorHtml(item.fix.message)}">Fix</button>` : ''}
+        </li>`;
+    });
+
+    elements.problems.innerHTML = `${html}</ul>`;
+    elements.problems.style.display = 'block';
+}
+
+/**
+ * Handle clicks in the problem list: select the problem or apply its fix
+ * @param {MouseEvent} event - Click event
+ */
+function handleSchemaEditorProblemClick(event) {
+    const { textarea, format, templateId, diagnostics } = schemaEditorState;
+    const button = event.target.closest('[data-action]');
+    const row = event.target.closest('[data-index]');
+
+    if (button && button.dataset.action === 'fix-all') {
+        textarea.value = window.ConfigSchema.applyAllFixes(textarea.value, format, templateId);
+        refreshSchemaEditor();
+        return;
+    }
+
+    const item = row ? diagnostics[Number(row.dataset.index)] : null;
+    if (!item) {
+        return;
+    }
+
+    if (button && item.fix) {
+        textarea.value = window.ConfigSchema.applyEdits(textarea.value, item.fix.edits);
+        refreshSchemaEditor();
+        return;
+    }
+
+    textarea.focus();
+    textarea.setSelectionRange(item.from, item.to);
+}
+
+// Export functions for use in other modules
+window.SchemaEditor = {
+    attach: attachSchemaEditor,
+    setContext: setSchemaEditorContext,
+    refresh: refreshSchemaEditor,
+    showCompletions: showSchemaEditorCompletions
+};
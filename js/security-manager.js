@@ -0,0 +1,97 @@
+/**
+ * Security Manager - Exposes the SecurityManager module to non-module backup and vault UI scripts
+ * New code should import the SecurityManager module directly
+ */
+
+import securityManager from './SecurityManager.js';
+
+/**
+ * Check whether a master-password vault is set up
+ * @returns {boolean} True if credentials are protected by a master password
+ */
+function isVaultEnabled() {
+    return securityManager.isVaultEnabled();
+}
+
+/**
+ * Check whether the credentials are locked
+ * @returns {boolean} True if the vault is set up and not unlocked
+ */
+function isLocked() {
+    return securityManager.isLocked();
+}
+
+/**
+ * Protect the stored credentials with a master password
+ * @param {string} masterPassword - Master password
+ * @param {Object} options - Vault options ({ autoLockMinutes })
+ * @returns {Promise<boolean>} Success status
+ */
+function enableVault(masterPassword, options) {
+    return securityManager.enableVault(masterPassword, options);
+}
+
+/**
+ * Unlock the vault with the master password
+ * @param {string} masterPassword - Master password
+ * @returns {Promise<boolean>} True if the password was correct
+ */
+function unlock(masterPassword) {
+    return securityManager.unlock(masterPassword);
+}
+
+/**
+ * Lock the vault
+ */
+function lock() {
+    securityManager.lock();
+}
+
+/**
+ * Get the key backups are encrypted with, creating it on first use
+ * @returns {Promise<string>} Raw 256-bit key as base64
+ */
+function getBackupEncryptionKey() {
+    return securityManager.getBackupEncryptionKey();
+}
+
+/**
+ * Store a named secret in the vault
+ * @param {string} name - Secret name
+ * @param {string} value - Secret value
+ * @returns {Promise<boolean>} False if no master password is set or the vault is locked
+ */
+function storeSecret(name, value) {
+    return securityManager.storeSecret(name, value);
+}
+
+/**
+ * Get a named secret from the vault
+ * @param {string} name - Secret name
+ * @returns {Promise<string|null>} Secret value or null if locked or missing
+ */
+function getSecret(name) {
+    return securityManager.getSecret(name);
+}
+
+/**
+ * Delete a named secret from the vault
+ * @param {string} name - Secret name
+ * @returns {Promise<boolean>} Success status
+ */
+function deleteSecret(name) {
+    return securityManager.deleteSecret(name);
+}
+
+// Export functions for use in other modules
+window.SecurityManager = {
+    isVaultEnabled,
+    isLocked,
+    enableVault,
+    unlock,
+    lock,
+    getBackupEncryptionKey,
+    storeSecret,
+    getSecret,
+    deleteSecret
+};
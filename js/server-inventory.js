@@ -0,0 +1,70 @@
+/**
+ * Server Inventory - Exposes the ServerInventory module to non-module scripts
+ * New code should import the ServerInventory module directly
+ */
+
+import serverInventory, { SERVER_KINDS } from './ServerInventory.js';
+
+/**
+ * Discover servers from client configs, processes and containers
+ * @param {Object} options - Discovery options (targets, includeProcesses, includeContainers)
+ * @returns {Promise<Array<Object>>} Inventory entries
+ */
+function discover(options) {
+    return serverInventory.discover(options);
+}
+
+/**
+ * Get the entries of the last discovery
+ * @returns {Array<Object>} Inventory entries
+ */
+function getServers() {
+    return serverInventory.getServers();
+}
+
+/**
+ * Get an inventory entry
+ * @param {string} serverId - Inventory ID
+ * @returns {Object|null} Entry or null if unknown
+ */
+function getServer(serverId) {
+    return serverInventory.getServer(serverId);
+}
+
+/**
+ * Get the inventory ID of a server from an inventory ID, server name or container ID
+ * @param {string} serverId - Inventory ID, server name, container ID or container name
+ * @returns {string} Inventory ID, or serverId if no single entry matches it
+ */
+function resolveServerId(serverId) {
+    return serverInventory.resolveServerId(serverId);
+}
+
+/**
+ * Get the options ResourceMonitor needs to sample a server
+ * @param {string} serverId - Inventory ID
+ * @returns {Object|null} Monitoring options or null if unknown
+ */
+function getMonitoringOptions(serverId) {
+    return serverInventory.getMonitoringOptions(serverId);
+}
+
+/**
+ * Classify how a server is launched
+ * @param {Object} server - Server config ({ command, args, env, url })
+ * @returns {Object} Classification ({ kind, identifier })
+ */
+function classifyServer(server) {
+    return serverInventory.classifyServer(server);
+}
+
+// Export functions for use in other modules
+window.ServerInventory = {
+    discover,
+    getServers,
+    getServer,
+    resolveServerId,
+    getMonitoringOptions,
+    classifyServer,
+    SERVER_KINDS
+};
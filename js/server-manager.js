@@ -7,8 +7,14 @@ document.addEventListener('DOMContentLoaded', function() {
     initServerManager();
     addServerManagerEventListeners();
     initServerManagerEventListeners();
+    initDockerEventListeners();
 });
 
+// Delay before the server list follows container events, so bursts refresh it once
+const DOCKER_EVENT_REFRESH_DELAY = 500;
+
+let dockerEventRefreshTimer = null;
+
 /**
  * Initialize the server manager
  */
@@ -25,41 +31,107 @@ async function initServerManager() {
  */
 async function refreshServerList() {
     try {
-        // Get all containers
-        const containers = await getDockerContainers();
+        // Get all servers
+        const containers = await getServerList();
         
         // Clear server list
         const serverList = document.getElementById('serverList');
         serverList.innerHTML = '';
         
-        // Add containers to server list
-        if (containers.length === 0) {
-            // Show empty state
-            document.getElementById('serverListEmptyState').style.display = 'block';
-        } else {
-            // Hide empty state
-            document.getElementById('serverListEmptyState').style.display = 'none';
-            
-            // Add containers to list
-            for (const container of containers) {
-                let serverListItem;
-                
-                // Use BatchOperations.createServerListItem if available, otherwise use default
-                if (window.BatchOperations && typeof window.BatchOperations.createServerListItem === 'function') {
-                    serverListItem = window.BatchOperations.createServerListItem(container);
-                } else {
-                    serverListItem = createDefaultServerListItem(container);
-                }
-                
-                serverList.appendChild(serverListItem);
-            }
+        // Compose stacks are listed as groups of their services
+        const standalone = window.ComposeStackUI
+            ? window.ComposeStackUI.renderStackGroups(serverList, containers, buildServerListItem)
+            : containers;
+        
+        // Add the other containers to the list
+        for (const container of standalone) {
+            serverList.appendChild(buildServerListItem(container));
         }
+        
+        // Show empty state if nothing was listed
+        document.getElementById('serverListEmptyState').style.display = serverList.children.length === 0 ? 'block' : 'none';
     } catch (error) {
         console.error('Error refreshing server list:', error);
         showNotification('Failed to refresh server list', 'error');
     }
 }
 
+/**
+ * Get the servers to list
+ * Uses the server inventory (client configs, processes and containers) when it is loaded,
+ * otherwise only Docker containers.
+ * @returns {Promise<Array>} Promise resolving to array of server list entries
+ */
+async function getServerList() {
+    if (!window.ServerInventory) {
+        return getDockerContainers();
+    }
+    
+    try {
+        const servers = await window.ServerInventory.discover();
+        return servers.map(mapInventoryEntryToListEntry);
+    } catch (error) {
+        console.error('Error discovering servers, falling back to Docker containers:', error);
+        return getDockerContainers();
+    }
+}
+
+/**
+ * Map an inventory entry to the shape used by the server list
+ * @param {Object} entry - Inventory entry
+ * @returns {Object} Server list entry
+ */
+function mapInventoryEntryToListEntry(entry) {
+    return {
+        id: entry.id,
+        name: entry.name,
+        kind: entry.kind,
+        image: entry.container ? entry.container.image : (entry.identifier || entry.command),
+        status: entry.status,
+        ports: [],
+        createdAt: entry.firstSeen,
+        isRunning: entry.status === 'running',
+        containerId: entry.container ? entry.container.id : null,
+        clients: entry.clients,
+        stack: entry.container ? entry.container.labels['com.docker.compose.project'] || null : null,
+        service: entry.container ? entry.container.labels['com.docker.compose.service'] || null : null
+    };
+}
+
+/**
+ * Resolve the Docker container of a server
+ * @param {string} serverId - Inventory ID or container ID
+ * @returns {string} Container ID
+ */
+function resolveContainerId(serverId) {
+    const entry = window.ServerInventory ? window.ServerInventory.getServer(serverId) : null;
+    return entry && entry.container ? entry.container.id : serverId;
+}
+
+/**
+ * Check whether a server is managed through the inventory without a container
+ * Such servers are launched by their MCP client and cannot be started or stopped here.
+ * @param {string} serverId - Inventory ID or container ID
+ * @returns {boolean} True for inventory servers without a container
+ */
+function isClientLaunchedServer(serverId) {
+    const entry = window.ServerInventory ? window.ServerInventory.getServer(serverId) : null;
+    return Boolean(entry && !entry.container);
+}
+
+/**
+ * Create the server list item of a container
+ * Uses BatchOperations.createServerListItem if available, otherwise the default item.
+ * @param {Object} container - Container details
+ * @returns {HTMLElement} Server list item element
+ */
+function buildServerListItem(container) {
+    if (window.BatchOperations && typeof window.BatchOperations.createServerListItem === 'function') {
+        return window.BatchOperations.createServerListItem(container);
+    }
+    return createDefaultServerListItem(container);
+}
+
 /**
  * Create default server list item (without batch operations support)
  * @param {Object} container - Container details
@@ -78,7 +150,7 @@ function createDefaultServerListItem(container) {
     // Server status
     const serverStatus = document.createElement('div');
     serverStatus.className = 'server-list-item-status';
-    serverStatus.textContent = container.isRunning ? 'Running' : 'Stopped';
+    serverStatus.textContent = container.isRunning ? 'Running' : (container.status === 'remote' ? 'Remote' : 'Stopped');
     
     // Server actions
     const serverActions = document.createElement('div');
@@ -193,6 +265,35 @@ function addServerManagerEventListeners() {
     });
 }
 
+/**
+ * Follow the container events of the Docker manager
+ * The Docker manager watches the daemon's event stream; the server list follows it.
+ */
+function initDockerEventListeners() {
+    ['containerStatusChanged', 'containerCreated', 'containerRemoved'].forEach(eventName => {
+        document.addEventListener(`docker:${eventName}`, event => {
+            scheduleServerListRefresh(event.detail && event.detail.id);
+        });
+    });
+}
+
+/**
+ * Refresh the server list shortly after a container event
+ * @param {string} [containerId] - Container that changed
+ */
+function scheduleServerListRefresh(containerId) {
+    clearTimeout(dockerEventRefreshTimer);
+    dockerEventRefreshTimer = setTimeout(async () => {
+        dockerEventRefreshTimer = null;
+        await refreshServerList();
+        
+        const selectedItem = document.querySelector('.server-list-item.selected');
+        if (containerId && selectedItem && resolveContainerId(selectedItem.getAttribute('data-id')) === containerId) {
+            updateSelectedServerIfNeeded(selectedItem.getAttribute('data-id'));
+        }
+    }, DOCKER_EVENT_REFRESH_DELAY);
+}
+
 /**
  * Initialize server manager event listeners
  */
@@ -406,125 +507,55 @@ async function getDockerContainers() {
  * @returns {Promise<Array>} Promise resolving to array of container objects
  */
 async function getContainersBasedOnEnvironment() {
-    return isElectronEnvironmentAvailable() 
+    return isDockerEngineAvailable() 
         ? await getContainersFromDocker() 
         : getSimulatedContainers();
 }
 
 /**
- * Check if Electron environment with command execution is available
- * @returns {boolean} True if Electron environment is available
+ * Check if the Docker Engine API client can be used
+ * @returns {boolean} True in the desktop app, where the client reaches the Docker socket
  */
-function isElectronEnvironmentAvailable() {
-    const hasElectronAPI = typeof window.electronAPI !== 'undefined';
-    const canExecuteCommands = hasElectronAPI && window.electronAPI.executeCommand;
+function isDockerEngineAvailable() {
+    const canUseDockerApi = Boolean(window.DockerApi && window.DockerApi.isAvailable());
     
-    if (!canExecuteCommands && hasElectronAPI) {
-        console.warn('Electron API available but missing executeCommand capability');
+    if (!canUseDockerApi) {
+        console.log('Using simulated Docker containers (Docker Engine API not available)');
     }
     
-    if (!canExecuteCommands) {
-        console.log('Using simulated Docker containers (Electron API not available)');
-    }
-    
-    return canExecuteCommands;
+    return canUseDockerApi;
 }
 
 /**
- * Get containers from Docker using Electron API
+ * Get containers from the Docker Engine API
  * @returns {Promise<Array>} Promise resolving to array of container objects
  */
 async function getContainersFromDocker() {
-    const dockerCommand = buildDockerPsCommand();
-    const result = await executeDockerCommand(dockerCommand);
-    return parseDockerPsOutput(result);
-}
-
-/**
- * Build the Docker PS command parameters
- * @returns {Object} Docker command configuration
- */
-function buildDockerPsCommand() {
-    return {
-        command: 'docker',
-        args: [
-            'ps', 
-            '-a', 
-            '--format', 
-            '{{.ID}}\\t{{.Names}}\\t{{.Image}}\\t{{.Status}}\\t{{.Ports}}\\t{{.CreatedAt}}'
-        ],
-        options: {}
-    };
-}
-
-/**
- * Execute a Docker command via Electron API
- * @param {Object} commandConfig - Command configuration
- * @returns {Promise<string>} Command output
- */
-async function executeDockerCommand(commandConfig) {
-    try {
-        return await window.electronAPI.executeCommand(
-            commandConfig.command,
-            commandConfig.args,
-            commandConfig.options
-        );
-    } catch (error) {
-        console.error('Error executing Docker command:', error);
-        throw new Error(`Docker command failed: ${error.message}`);
-    }
+    const containers = await window.DockerApi.getClient().listContainers({ all: true });
+    return containers.map(mapDockerContainerToListEntry);
 }
 
 /**
- * Parse Docker ps command output into container objects
- * @param {string} output - Docker ps command output
- * @returns {Array} Array of container objects
- */
-function parseDockerPsOutput(output) {
-    if (!output || output.trim() === '') {
-        return [];
-    }
-    
-    return output.trim().split('\n').map(parseDockerPsLine);
-}
-
-/**
- * Parse a single line from Docker ps output
- * @param {string} line - Line from Docker ps output
+ * Map a Docker Engine API container list entry to the shape used by the server list
+ * @param {Object} data - Container list entry
  * @returns {Object} Container object
  */
-function parseDockerPsLine(line) {
-    const [id, name, image, status, ports, createdAt] = line.split('\t');
+function mapDockerContainerToListEntry(data) {
+    const container = window.DockerApi.describeContainer(data);
     
     return {
-        id,
-        name,
-        image,
-        status,
-        ports: extractPortMappings(ports),
-        createdAt,
-        isRunning: determineContainerRunningState(status)
+        id: container.id,
+        name: container.name,
+        image: container.image,
+        status: container.status,
+        ports: container.ports,
+        createdAt: container.created,
+        isRunning: container.state === 'running',
+        stack: container.labels['com.docker.compose.project'] || null,
+        service: container.labels['com.docker.compose.service'] || null
     };
 }
 
-/**
- * Extract port mappings from Docker ports string
- * @param {string} ports - Docker ports string
- * @returns {Array} Array of port mappings
- */
-function extractPortMappings(ports) {
-    return ports.match(/\d+:\d+/g) || [];
-}
-
-/**
- * Determine if a container is running based on its status
- * @param {string} status - Container status string
- * @returns {boolean} True if container is running
- */
-function determineContainerRunningState(status) {
-    return status.toLowerCase().includes('up');
-}
-
 /**
  * Get simulated Docker containers for development/testing
  * @returns {Array} Array of simulated container objects
@@ -639,14 +670,14 @@ function filterServerList(query) {
  */
 async function selectServer(serverId) {
     try {
-        // Get container details
-        const container = await getContainerDetails(serverId);
+        // Get server details
+        const container = await getServerDetails(serverId);
         
         // Update server details panel
         updateServerDetails(container);
         
         // Update action button states
-        updateActionButtonStates(container.isRunning);
+        updateActionButtonStates(container.isRunning, container.controllable !== false);
         
         // Update server details visibility
         document.getElementById('serverDetails').style.display = 'block';
@@ -690,6 +721,37 @@ async function selectServer(serverId) {
     }
 }
 
+/**
+ * Get details of a server from the inventory, or of a Docker container
+ * @param {string} serverId - Inventory ID or container ID
+ * @returns {Promise<Object>} Promise resolving to server details object
+ */
+async function getServerDetails(serverId) {
+    const entry = window.ServerInventory ? window.ServerInventory.getServer(serverId) : null;
+    
+    if (!entry) {
+        return getContainerDetails(serverId);
+    }
+    
+    if (entry.container) {
+        const details = await getContainerDetails(entry.container.id);
+        return { ...details, id: serverId, name: entry.name, containerId: entry.container.id };
+    }
+    
+    return {
+        id: serverId,
+        name: entry.name,
+        image: entry.url || [entry.command, ...entry.args].join(' '),
+        created: new Date(entry.firstSeen).toLocaleString(),
+        status: entry.process ? `Running (PID ${entry.process.pid})` : (entry.status === 'remote' ? 'Remote' : 'Not running'),
+        isRunning: entry.status === 'running',
+        controllable: false,
+        ports: [],
+        volumes: [],
+        env: entry.envNames
+    };
+}
+
 /**
  * Get detailed information about a Docker container
  * @param {string} containerId - Container ID
@@ -697,7 +759,7 @@ async function selectServer(serverId) {
  */
 async function getContainerDetails(containerId) {
     try {
-        return isElectronEnvironmentAvailable()
+        return isDockerEngineAvailable()
             ? await getDockerContainerDetails(containerId)
             : getSimulatedContainerDetails(containerId);
     } catch (error) {
@@ -707,81 +769,25 @@ async function getContainerDetails(containerId) {
 }
 
 /**
- * Get Docker container details using docker inspect
+ * Get Docker container details from the Docker Engine API
  * @param {string} containerId - Container ID
  * @returns {Promise<Object>} Container details
  */
 async function getDockerContainerDetails(containerId) {
-    const inspectCommand = {
-        command: 'docker',
-        args: ['inspect', containerId],
-        options: {}
-    };
-    
-    const result = await executeDockerCommand(inspectCommand);
-    return parseDockerInspectOutput(result);
-}
-
-/**
- * Parse Docker inspect command output into container details object
- * @param {string} output - Docker inspect command output
- * @returns {Object} Container details object
- */
-function parseDockerInspectOutput(output) {
-    if (!output || output.trim() === '') {
-        throw new Error('Empty response from Docker inspect');
-    }
+    const container = window.DockerApi.describeContainer(await window.DockerApi.getClient().inspectContainer(containerId));
+    const isRunning = container.state === 'running';
     
-    try {
-        const inspectData = JSON.parse(output)[0];
-        
-        // Extract relevant information
-        const name = inspectData.Name.replace(/^\//, '');
-        const id = inspectData.Id;
-        const image = inspectData.Config.Image;
-        const created = new Date(inspectData.Created).toLocaleString();
-        const isRunning = inspectData.State.Running;
-        const status = isRunning ? 'Running' : 'Stopped';
-        
-        // Extract port mappings
-        const ports = [];
-        if (inspectData.NetworkSettings && inspectData.NetworkSettings.Ports) {
-            for (const containerPort in inspectData.NetworkSettings.Ports) {
-                const mappings = inspectData.NetworkSettings.Ports[containerPort];
-                if (mappings) {
-                    mappings.forEach(mapping => {
-                        ports.push(`${mapping.HostPort}:${containerPort.split('/')[0]}`);
-                    });
-                }
-            }
-        }
-        
-        // Extract volume mounts
-        const volumes = [];
-        if (inspectData.Mounts) {
-            inspectData.Mounts.forEach(mount => {
-                volumes.push(`${mount.Source}:${mount.Destination}`);
-            });
-        }
-        
-        // Extract environment variables
-        const env = inspectData.Config.Env || [];
-        
-        return {
-            id,
-            name,
-            image,
-            created,
-            status,
-            isRunning,
-            ports,
-            volumes,
-            env
-        };
-    } catch (error) {
-        console.error('Error parsing Docker inspect output:', error);
-        throw new Error('Failed to parse container details');
-    }
+    return {
+        id: container.id,
+        name: container.name,
+        image: container.image,
+        created: new Date(container.created).toLocaleString(),
+        status: isRunning ? 'Running' : 'Stopped',
+        isRunning,
+        ports: container.ports,
+        volumes: container.volumes,
+        env: Object.entries(container.environment).map(([key, value]) => `${key}=${value}`)
+    };
 }
 
 /**
@@ -830,7 +836,7 @@ function updateServerDetails(container) {
     statusBadge.classList.add(container.isRunning ? 'status-running' : 'status-stopped');
     
     // Update container info
-    document.getElementById('containerId').textContent = container.id;
+    document.getElementById('containerId').textContent = container.containerId || (container.controllable === false ? '-' : container.id);
     document.getElementById('containerImage').textContent = container.image;
     document.getElementById('containerCreated').textContent = container.created;
     document.getElementById('containerPorts').textContent = container.ports.join(', ') || '-';
@@ -840,11 +846,12 @@ function updateServerDetails(container) {
 /**
  * Update action button states based on container running state
  * @param {boolean} isRunning - Whether the container is running
+ * @param {boolean} canControl - Whether the server can be started and stopped from here
  */
-function updateActionButtonStates(isRunning) {
-    document.getElementById('startServerBtn').disabled = isRunning;
-    document.getElementById('stopServerBtn').disabled = !isRunning;
-    document.getElementById('restartServerBtn').disabled = !isRunning;
+function updateActionButtonStates(isRunning, canControl = true) {
+    document.getElementById('startServerBtn').disabled = !canControl || isRunning;
+    document.getElementById('stopServerBtn').disabled = !canControl || !isRunning;
+    document.getElementById('restartServerBtn').disabled = !canControl || !isRunning;
     document.getElementById('viewLogsBtn').disabled = false;
     document.getElementById('deleteServerBtn').disabled = false;
 }
@@ -871,13 +878,8 @@ async function performServerAction(containerId, action) {
  * @returns {Promise<void>}
  */
 async function executeServerAction(containerId, action) {
-    if (isElectronEnvironmentAvailable()) {
-        const actionCommand = {
-            command: 'docker',
-            args: [action, containerId],
-            options: {}
-        };
-        await executeDockerCommand(actionCommand);
+    if (isDockerEngineAvailable()) {
+        await window.DockerApi.getClient()[`${action}Container`](resolveContainerId(containerId));
         logServerAction(action, containerId, false);
     } else {
         logServerAction(action, containerId, true);
@@ -960,10 +962,14 @@ async function refreshServerLogs(containerId) {
     logsContent.textContent = 'Loading logs...';
     
     try {
-        // Check if we're running in Electron with command execution access
-        if (typeof window.electronAPI !== 'undefined' && window.electronAPI.executeCommand) {
-            const logs = await window.electronAPI.executeCommand('docker', ['logs', containerId], {});
-            logsContent.textContent = logs || 'No logs available';
+        if (isClientLaunchedServer(containerId)) {
+            logsContent.textContent = 'This server is launched by its MCP client, which keeps its logs.';
+            return;
+        }
+        
+        if (isDockerEngineAvailable()) {
+            const lines = await window.DockerApi.getClient().getContainerLogs(resolveContainerId(containerId));
+            logsContent.textContent = lines.map(line => line.text).join('\n') || 'No logs available';
         } else {
             // Fallback to simulation for development/testing
             console.log(`[Simulation] Getting logs for container ${containerId}`);
@@ -1042,8 +1048,12 @@ function downloadServerLogs() {
  */
 async function confirmDeleteServer(containerId) {
     try {
+        if (isClientLaunchedServer(containerId)) {
+            throw new Error('This server is launched by an MCP client; remove it from the client configuration instead');
+        }
+        
         // Get container details
-        const container = await getContainerDetails(containerId);
+        const container = await getServerDetails(containerId);
         
         // Reset form
         document.getElementById('confirmServerName').value = '';
@@ -1113,11 +1123,11 @@ function hideDeleteServerModal() {
 async function deleteServer(serverId) {
     try {
         // Get container details
-        const container = await getContainerDetails(serverId);
+        const container = await getServerDetails(serverId);
         
         // Perform deletion steps
         await stopContainerIfRunning(container);
-        await removeContainer(serverId);
+        await removeContainer(resolveContainerId(serverId));
         removeContainerFromLocalStorage(serverId);
         await cleanupVolumes(container);
         await removeConfigFiles(container);
@@ -1142,7 +1152,7 @@ async function deleteServer(serverId) {
  */
 async function stopContainerIfRunning(container) {
     if (container.isRunning) {
-        await stopContainer(container.id);
+        await executeServerAction(container.containerId || container.id, 'stop');
     }
 }
 
@@ -1152,7 +1162,11 @@ async function stopContainerIfRunning(container) {
  * @returns {Promise<void>}
  */
 async function removeContainer(serverId) {
-    await window.electronAPI.runCommand(`docker rm ${serverId}`);
+    if (isDockerEngineAvailable()) {
+        await window.DockerApi.getClient().removeContainer(serverId);
+    } else {
+        simulateContainerDeletion(serverId);
+    }
 }
 
 /**
@@ -1321,6 +1335,7 @@ function simulateContainerDeletion(containerId) {
 // Make functions globally accessible
 window.ServerManager = {
     refreshServerList,
+    getServerList,
     startServer,
     stopServer,
     restartServer,
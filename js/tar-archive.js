@@ -0,0 +1,231 @@
+/**
+ * Tar Archive - Writes and reads ustar archives
+ * Shared by backup archives and Docker build contexts. Paths that do not fit the
+ * ustar name and prefix fields are carried in PAX extended headers.
+ */
+
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Get a Node.js module through the Electron bridge
+ * @private
+ * @param {string} name - Module name
+ * @returns {Object} Module
+ */
+function _tarRequire(name) {
+    if (typeof window.require !== 'function') {
+        throw new Error('Tar archives can only be created in the desktop app');
+    }
+    return window.require(name);
+}
+
+/**
+ * Write an octal number field into a tar header
+ * @private
+ * @param {Buffer} header - Header block
+ * @param {number} value - Value
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length (including the terminating NUL)
+ */
+function _writeOctal(header, value, offset, length) {
+    header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+}
+
+/**
+ * Read an octal number field from a tar header
+ * @private
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {number} Value
+ */
+function _readOctal(header, offset, length) {
+    const text = header.toString('ascii', offset, offset + length).replace(/\0.*$/, '').trim();
+    return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Read a NUL-terminated string field from a tar header
+ * @private
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string} Value
+ */
+function _readString(header, offset, length) {
+    const field = header.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return field.toString('utf8', 0, end === -1 ? length : end);
+}
+
+/**
+ * Sum the header bytes with the checksum field counted as spaces
+ * @private
+ * @param {Buffer} header - Header block
+ * @returns {number} Checksum
+ */
+function _headerChecksum(header) {
+    let sum = 0;
+    for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+        sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    return sum;
+}
+
+/**
+ * Split a path into ustar prefix and name fields
+ * @private
+ * @param {string} name - Entry path
+ * @returns {Object|null} Fields ({ prefix, name }) or null if the path needs a PAX header
+ */
+function _splitTarPath(name) {
+    const { Buffer } = _tarRequire('buffer');
+
+    if (Buffer.byteLength(name) <= 100) {
+        return { prefix: '', name };
+    }
+
+    const split = name.lastIndexOf('/', 155);
+    if (split > 0 && Buffer.byteLength(name.slice(split + 1)) <= 100 && Buffer.byteLength(name.slice(0, split)) <= 155) {
+        return { prefix: name.slice(0, split), name: name.slice(split + 1) };
+    }
+
+    return null;
+}
+
+/**
+ * Create a ustar header block
+ * @private
+ * @param {Object} fields - Path fields ({ prefix, name })
+ * @param {number} size - Content size in bytes
+ * @param {Date} mtime - Modification time
+ * @param {string} [type='0'] - Entry type ('0' file, 'x' PAX extended header)
+ * @param {number} [mode=0o644] - File mode
+ * @returns {Buffer} Header block
+ */
+function _createTarHeader(fields, size, mtime, type = '0', mode = 0o644) {
+    const { Buffer } = _tarRequire('buffer');
+    const header = Buffer.alloc(TAR_BLOCK_SIZE);
+
+    header.write(fields.name, 0, 100, 'utf8');
+    _writeOctal(header, mode, 100, 8);
+    _writeOctal(header, 0, 108, 8);
+    _writeOctal(header, 0, 116, 8);
+    _writeOctal(header, size, 124, 12);
+    _writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+    header.write(type, 156, 1, 'ascii');
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+    header.write(fields.prefix, 345, 155, 'utf8');
+
+    header.write(`${_headerChecksum(header).toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+    return header;
+}
+
+/**
+ * Create a PAX record carrying a path that does not fit the ustar fields
+ * @private
+ * @param {string} name - Entry path
+ * @returns {Buffer} Record content
+ */
+function _createPaxPathRecord(name) {
+    const { Buffer } = _tarRequire('buffer');
+    const body = ` path=${name}\n`;
+
+    // The length prefix counts itself, so grow it until it is stable
+    let length = Buffer.byteLength(body);
+    while (`${length}`.length + Buffer.byteLength(body) !== length) {
+        length = `${length}`.length + Buffer.byteLength(body);
+    }
+
+    return Buffer.from(`${length}${body}`);
+}
+
+/**
+ * Pack files into a tar stream
+ * Paths that do not fit the ustar fields are stored in a PAX extended header.
+ * @param {Array<Object>} files - Files ({ path, content, mtime, mode }); mode defaults to 0644
+ * @returns {Buffer} Tar content
+ */
+function packTar(files) {
+    const { Buffer } = _tarRequire('buffer');
+    const blocks = [];
+
+    const pushEntry = (fields, content, mtime, type, mode) => {
+        blocks.push(_createTarHeader(fields, content.length, mtime, type, mode));
+        blocks.push(content);
+
+        const padding = (TAR_BLOCK_SIZE - (content.length % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+        if (padding > 0) {
+            blocks.push(Buffer.alloc(padding));
+        }
+    };
+
+    for (const file of files) {
+        const mtime = file.mtime || new Date();
+        let fields = _splitTarPath(file.path);
+
+        if (!fields) {
+            const shortName = file.path.slice(-90).replace(/^[^/]*\//, '');
+            pushEntry({ prefix: '', name: `PaxHeader/${shortName}`.slice(0, 100) }, _createPaxPathRecord(file.path), mtime, 'x');
+            fields = { prefix: '', name: shortName.slice(0, 100) };
+        }
+
+        pushEntry(fields, file.content, mtime, '0', file.mode);
+    }
+
+    // Two empty blocks mark the end of the archive
+    blocks.push(Buffer.alloc(TAR_BLOCK_SIZE * 2));
+    return Buffer.concat(blocks);
+}
+
+/**
+ * Unpack a tar stream
+ * @param {Buffer} tar - Tar content
+ * @returns {Map<string, Buffer>} File contents by path
+ */
+function unpackTar(tar) {
+    const files = new Map();
+    let paxPath = null;
+    let offset = 0;
+
+    while (offset + TAR_BLOCK_SIZE <= tar.length) {
+        const header = tar.subarray(offset, offset + TAR_BLOCK_SIZE);
+
+        if (header.every(byte => byte === 0)) {
+            return files;
+        }
+
+        if (_readOctal(header, 148, 8) !== _headerChecksum(header)) {
+            throw new Error(`Corrupted archive header at offset ${offset}`);
+        }
+
+        const name = _readString(header, 0, 100);
+        const prefix = _readString(header, 345, 155);
+        const size = _readOctal(header, 124, 12);
+        const type = String.fromCharCode(header[156]);
+        const start = offset + TAR_BLOCK_SIZE;
+
+        if (start + size > tar.length) {
+            throw new Error(`Archive is truncated in ${prefix ? `${prefix}/${name}` : name}`);
+        }
+
+        if (type === 'x') {
+            const match = tar.toString('utf8', start, start + size).match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+            paxPath = match ? match[1] : null;
+        } else if (type === '0' || type === '\0') {
+            files.set(paxPath || (prefix ? `${prefix}/${name}` : name), tar.subarray(start, start + size));
+            paxPath = null;
+        }
+
+        offset = start + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+    }
+
+    throw new Error('Archive is truncated: end-of-archive marker missing');
+}
+
+// Export functions for use in other modules
+window.TarArchive = {
+    packTar,
+    unpackTar
+};
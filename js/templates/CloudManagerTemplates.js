@@ -20,6 +20,7 @@ class CloudManagerTemplates {
                     </div>
                     <div class="col-md-8">
                         ${this.getActiveDeploymentsHTML()}
+                        ${this.getPricingCatalogHTML()}
                     </div>
                 </div>
             </div>
@@ -32,7 +33,6 @@ class CloudManagerTemplates {
      * @returns {string} HTML string.
      */
     static getProviderSelectionHTML(providers = {}) {
-        // TODO: Populate dynamically based on CloudManager.getSupportedProviders()
         return `
             <div class="card mb-3">
                 <div class="card-header">Cloud Provider Configuration</div>
@@ -40,23 +40,31 @@ class CloudManagerTemplates {
                     <div class="mb-3">
                         <label for="cloud-provider-select" class="form-label">Select Provider:</label>
                         <select id="cloud-provider-select" class="form-select">
-                            <option value="">-- Select Provider --</option>
-                            <!-- Options will be populated dynamically -->
-                             <option value="aws">AWS (Coming Soon)</option>
-                             <option value="gcp">GCP (Coming Soon)</option>
-                             <option value="azure">Azure (Coming Soon)</option>
+                            ${this.getProviderOptionsHTML(providers)}
                         </select>
                     </div>
                     <div id="cloud-provider-config-form" class="mt-3" style="display: none;">
                         <!-- Configuration fields will be loaded here based on selection -->
                         <p class="text-muted">Provider-specific configuration fields will appear here.</p>
-                        <button id="save-provider-config" class="btn btn-primary btn-sm">Save Configuration</button>
                     </div>
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Generates the options of the provider select.
+     * @param {Object} providers - Provider summaries keyed by ID.
+     * @returns {string} HTML string.
+     */
+    static getProviderOptionsHTML(providers = {}) {
+        const options = Object.values(providers).map(provider => `
+            <option value="${this.escapeHTML(provider.id)}">${this.escapeHTML(provider.name)}${provider.configured ? '' : ' (not configured)'}</option>
+        `);
+
+        return `<option value="">-- Select Provider --</option>${options.join('')}`;
+    }
+
     /**
      * Generates HTML for the server deployment form.
      * @returns {string} HTML string.
@@ -82,6 +90,8 @@ class CloudManagerTemplates {
                             <p class="text-muted">Provider-specific deployment options will appear here.</p>
                             <!-- e.g., instance type, region, VPC -->
                         </div>
+                        <div id="cloud-cost-options" class="mb-3"></div>
+                        <div id="cloud-cost-estimate" class="mb-3"></div>
                         <button type="submit" id="start-cloud-deployment" class="btn btn-success" disabled>Deploy to Cloud</button>
                     </form>
                 </div>
@@ -97,7 +107,7 @@ class CloudManagerTemplates {
         return `
             <div class="card">
                 <div class="card-header d-flex justify-content-between align-items-center">
-                    Active Cloud Deployments
+                    <span>Active Cloud Deployments <small id="fleet-cost-summary" class="text-muted ms-2"></small></span>
                     <button id="refresh-deployments-btn" class="btn btn-sm btn-outline-secondary" title="Refresh List">
                         <i class="fas fa-sync-alt"></i>
                     </button>
@@ -112,90 +122,169 @@ class CloudManagerTemplates {
         `;
     }
 
+    /**
+     * Generates HTML for the pricing catalog editor.
+     * @returns {string} HTML string.
+     */
+    static getPricingCatalogHTML() {
+        return `
+            <div class="card mt-3">
+                <div class="card-header d-flex justify-content-between align-items-center">
+                    Pricing Catalog
+                    <button id="toggle-pricing-catalog-btn" class="btn btn-sm btn-outline-secondary">Edit Prices</button>
+                </div>
+                <div id="pricing-catalog-editor" class="card-body" style="display: none;">
+                    <p class="text-muted small">Estimates use these prices. Adjust them to match your contracts and discounts.</p>
+                    <textarea id="pricing-catalog-json" class="form-control font-monospace" rows="16" spellcheck="false"></textarea>
+                    <div class="mt-2">
+                        <button id="save-pricing-catalog-btn" class="btn btn-primary btn-sm">Save Prices</button>
+                        <button id="reset-pricing-catalog-btn" class="btn btn-outline-danger btn-sm">Restore Bundled Prices</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generates the sizing fields used for cost estimation.
+     * @param {Object} pricing - Provider pricing from the catalog.
+     * @returns {string} HTML string.
+     */
+    static getCostFieldsHTML(pricing) {
+        const fields = [
+            {
+                id: 'instanceType',
+                label: 'Instance Size',
+                type: 'select',
+                options: Object.keys(pricing.instanceTypes)
+            },
+            {
+                id: 'region',
+                label: 'Region',
+                type: 'select',
+                options: Object.keys(pricing.regions)
+            },
+            { id: 'storageGb', label: 'Storage (GB)', type: 'number', placeholder: '0' },
+            { id: 'egressGbPerMonth', label: 'Egress per Month (GB)', type: 'number', placeholder: '0' }
+        ];
+
+        return `<h6>Sizing</h6>${this.getProviderFieldsHTML(fields, 'cloud-cost-option')}`;
+    }
+
+    /**
+     * Generates HTML for a monthly cost estimate.
+     * @param {Object} estimate - Estimate from CloudCostEstimator.
+     * @param {Function} formatCost - Formats an amount in the estimate's currency.
+     * @returns {string} HTML string.
+     */
+    static getCostEstimateHTML(estimate, formatCost) {
+        return `
+            <div class="alert alert-info mb-0 py-2">
+                <strong>Estimated cost: ${formatCost(estimate.monthly)}/month</strong>
+                <div class="small">
+                    Compute ${formatCost(estimate.compute)} &middot;
+                    Storage ${formatCost(estimate.storage)} &middot;
+                    Egress ${formatCost(estimate.egress)}
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Generates HTML for a single active deployment card.
      * @param {Object} deployment - The deployment details object.
+     * @param {Object} cost - Formatted cost ({ monthly, accrued, hints }) or null if not priced.
      * @returns {string} HTML string for the deployment card.
      */
-    static getDeploymentCardHTML(deployment) {
+    static getDeploymentCardHTML(deployment, cost = null) {
         const statusClasses = {
             pending: 'text-warning',
             running: 'text-success',
+            stopped: 'text-secondary',
             error: 'text-danger',
             terminated: 'text-muted'
         };
         const statusClass = statusClasses[deployment.status] || 'text-secondary';
+        const id = this.escapeHTML(deployment.id);
 
         return `
-            <div class="card mb-2 deployment-card" data-deployment-id="${deployment.id}">
+            <div class="card mb-2 deployment-card" data-deployment-id="${id}">
                 <div class="card-body">
-                    <h5 class="card-title">Deployment ID: ${deployment.id}</h5>
-                    <p class="card-text mb-1">Server ID: ${deployment.serverId}</p>
-                    <p class="card-text mb-1">Provider: ${deployment.providerId.toUpperCase()}</p>
-                    <p class="card-text mb-1">Status: <strong class="${statusClass}">${deployment.status}</strong></p>
-                    ${deployment.ipAddress ? `<p class="card-text mb-1">IP Address: ${deployment.ipAddress}</p>` : ''}
-                    <p class="card-text"><small class="text-muted">Created: ${new Date(deployment.createdAt).toLocaleString()}</small></p>
-                    <button class="btn btn-danger btn-sm terminate-deployment-btn" data-deployment-id="${deployment.id}" ${deployment.status === 'terminated' ? 'disabled' : ''}>
+                    <h5 class="card-title">${this.escapeHTML(deployment.name || deployment.id)}</h5>
+                    <p class="card-text mb-1">Server ID: ${this.escapeHTML(deployment.serverId)}</p>
+                    <p class="card-text mb-1">Provider: ${this.escapeHTML(deployment.providerId)}</p>
+                    <p class="card-text mb-1">Status: <strong class="${statusClass}">${this.escapeHTML(deployment.status)}</strong>
+                        ${deployment.statusDetail ? `<small class="text-muted">${this.escapeHTML(deployment.statusDetail)}</small>` : ''}</p>
+                    ${deployment.resourceId ? `<p class="card-text mb-1">Resource: <code>${this.escapeHTML(deployment.resourceId)}</code></p>` : ''}
+                    ${deployment.ipAddress ? `<p class="card-text mb-1">IP Address: ${this.escapeHTML(deployment.ipAddress)}</p>` : ''}
+                    ${deployment.error ? `<p class="card-text mb-1 text-danger">${this.escapeHTML(deployment.error)}</p>` : ''}
+                    ${cost ? `<p class="card-text mb-1">Cost: ${this.escapeHTML(cost.monthly)}/month &middot; ${this.escapeHTML(cost.accrued)} so far</p>` : ''}
+                    ${cost && cost.hints.length > 0 ? `
+                        <ul class="small text-warning mb-1">
+                            ${cost.hints.map(hint => `<li>${this.escapeHTML(hint.message)}</li>`).join('')}
+                        </ul>
+                    ` : ''}
+                    <p class="card-text"><small class="text-muted">Created: ${new Date(deployment.createdAt).toLocaleString()}${deployment.updatedAt ? ` &middot; Checked: ${new Date(deployment.updatedAt).toLocaleTimeString()}` : ''}</small></p>
+                    <button class="btn btn-outline-secondary btn-sm deployment-logs-btn" data-deployment-id="${id}" ${deployment.resourceId ? '' : 'disabled'}>
+                        <i class="fas fa-file-alt me-1"></i> Logs
+                    </button>
+                    <button class="btn btn-danger btn-sm terminate-deployment-btn" data-deployment-id="${id}" ${deployment.status === 'terminated' ? 'disabled' : ''}>
                         <i class="fas fa-trash-alt me-1"></i> Terminate
                     </button>
-                    <!-- TODO: Add buttons for logs, SSH, etc. -->
+                    <pre class="deployment-logs mt-2" data-deployment-id="${id}" style="display: none; max-height: 300px; overflow: auto;"></pre>
                 </div>
             </div>
         `;
     }
 
-     /**
-     * Generates HTML for provider-specific configuration fields (AWS example).
+    /**
+     * Generates form fields from provider field descriptors.
+     * @param {Array<Object>} fields - Field descriptors ({ id, label, type, placeholder, required, help, options }).
+     * @param {string} prefix - Prefix for the element IDs.
+     * @param {Object} values - Current values keyed by field ID.
      * @returns {string} HTML string.
      */
-    static getAWSConfigFieldsHTML() {
-        return `
-            <h5>AWS Configuration</h5>
-            <div class="mb-3">
-                <label for="aws-access-key-id" class="form-label">Access Key ID:</label>
-                <input type="password" id="aws-access-key-id" class="form-control" required>
-            </div>
-            <div class="mb-3">
-                <label for="aws-secret-access-key" class="form-label">Secret Access Key:</label>
-                <input type="password" id="aws-secret-access-key" class="form-control" required>
-            </div>
-            <div class="mb-3">
-                <label for="aws-region" class="form-label">Default Region:</label>
-                <select id="aws-region" class="form-select" required>
-                    <option value="us-east-1">us-east-1 (N. Virginia)</option>
-                    <option value="us-west-2">us-west-2 (Oregon)</option>
-                    <!-- Add more regions as needed -->
-                </select>
-            </div>
-        `;
+    static getProviderFieldsHTML(fields, prefix, values = {}) {
+        return fields.map(field => {
+            const elementId = `${prefix}-${field.id}`;
+            const value = values[field.id] !== undefined ? this.escapeHTML(values[field.id]) : '';
+            const required = field.required ? 'required' : '';
+            let input;
+
+            if (field.type === 'select') {
+                input = `
+                    <select id="${elementId}" class="form-select" data-field-id="${field.id}" ${required}>
+                        ${(field.options || []).map(option => `<option value="${this.escapeHTML(option)}" ${option === values[field.id] ? 'selected' : ''}>${this.escapeHTML(option)}</option>`).join('')}
+                    </select>
+                `;
+            } else {
+                input = `<input type="${field.type || 'text'}" id="${elementId}" class="form-control" data-field-id="${field.id}"
+                    placeholder="${this.escapeHTML(field.placeholder || '')}" value="${value}" ${required}>`;
+            }
+
+            return `
+                <div class="mb-3">
+                    <label for="${elementId}" class="form-label">${this.escapeHTML(field.label)}:</label>
+                    ${input}
+                    ${field.help ? `<div class="form-text">${this.escapeHTML(field.help)}</div>` : ''}
+                </div>
+            `;
+        }).join('');
     }
 
-     /**
-     * Generates HTML for provider-specific deployment options (AWS example).
-     * @returns {string} HTML string.
+    /**
+     * Escapes text for use in HTML.
+     * @param {*} value - Value to escape.
+     * @returns {string} Escaped text.
      */
-    static getAWSDeploymentOptionsHTML() {
-        return `
-            <h5>AWS Deployment Options</h5>
-            <div class="mb-3">
-                <label for="aws-instance-type" class="form-label">Instance Type:</label>
-                <select id="aws-instance-type" class="form-select" required>
-                    <option value="t2.micro">t2.micro (Free Tier Eligible)</option>
-                    <option value="t3.small">t3.small</option>
-                    <!-- Add more instance types -->
-                </select>
-            </div>
-             <div class="mb-3">
-                <label for="aws-deployment-region" class="form-label">Deployment Region:</label>
-                <select id="aws-deployment-region" class="form-select" required>
-                    <option value="us-east-1">us-east-1 (N. Virginia)</option>
-                    <option value="us-west-2">us-west-2 (Oregon)</option>
-                    <!-- Add more regions -->
-                </select>
-            </div>
-            <!-- TODO: Add VPC, Security Group options -->
-        `;
+    static escapeHTML(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
-
-    // TODO: Add templates for GCP, Azure config and deployment options
 }
+
+export default CloudManagerTemplates;
@@ -147,30 +147,28 @@ const Utils = {
     
     /**
      * Check if a port is available
+     * Delegates to the port registry, which knows reserved ports and probes the port itself
      * @param {number} port - The port to check
      * @returns {Promise<boolean>} Whether the port is available
      */
     async isPortAvailable(port) {
-        // Simulate port check
-        return new Promise(resolve => {
-            setTimeout(() => {
-                // 80% chance the port is available
-                resolve(Math.random() > 0.2);
-            }, 500);
-        });
+        if (!window.PortRegistry) {
+            throw new Error('Failed to check port: the port registry is not loaded');
+        }
+        return window.PortRegistry.isPortAvailable(port);
     },
     
     /**
      * Find an available port starting from the given port
+     * The port is not reserved; use PortRegistry.allocatePort to hold on to it
      * @param {number} startPort - The port to start checking from
      * @returns {Promise<number>} An available port
      */
     async findAvailablePort(startPort) {
-        let port = startPort;
-        while (!(await this.isPortAvailable(port))) {
-            port++;
+        if (!window.PortRegistry) {
+            throw new Error('Failed to find port: the port registry is not loaded');
         }
-        return port;
+        return window.PortRegistry.findAvailablePort(startPort);
     },
     
     /**